@@ -1,4 +1,5 @@
 /* eslint-env node */
+const crypto = require("crypto");
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
 const {
@@ -501,6 +502,89 @@ function isValidURL(string) {
   }
 }); */
 
+// ===== COMMUNITY STATISTICS FUNCTIONS =====
+
+const SCENARIO_STATS_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Record a learner's confirmed choice in the shared scenarioStats counters.
+ * Clients cannot write scenarioStats directly; each signed-in user counts
+ * once per scenario and a replay with a different choice moves their vote.
+ * Responder markers are keyed by a hash so the stats never hold a uid.
+ */
+exports.recordScenarioChoice = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError(
+      "unauthenticated",
+      "Must be authenticated",
+    );
+  }
+
+  const { categoryId, scenarioId, optionId } = request.data || {};
+  if (
+    ![categoryId, scenarioId, optionId].every(
+      (value) =>
+        typeof value === "string" && SCENARIO_STATS_ID_PATTERN.test(value),
+    )
+  ) {
+    throw new functions.https.HttpsError(
+      "invalid-argument",
+      "categoryId, scenarioId and optionId must be simple identifiers",
+    );
+  }
+
+  const statsId = `${categoryId}__${scenarioId}`;
+  const responderId = crypto
+    .createHash("sha256")
+    .update(`${statsId}:${request.auth.uid}`)
+    .digest("hex");
+
+  const db = admin.firestore();
+  const statsRef = db.collection("scenarioStats").doc(statsId);
+  const responderRef = statsRef.collection("responders").doc(responderId);
+  const { increment, serverTimestamp } = admin.firestore.FieldValue;
+
+  try {
+    const counted = await db.runTransaction(async (transaction) => {
+      const responder = await transaction.get(responderRef);
+      const previousOptionId = responder.exists
+        ? responder.data().optionId
+        : null;
+
+      if (previousOptionId === optionId) {
+        return false;
+      }
+
+      const counts = { [optionId]: increment(1) };
+      if (previousOptionId) {
+        counts[previousOptionId] = increment(-1);
+      }
+
+      transaction.set(
+        statsRef,
+        {
+          categoryId,
+          scenarioId,
+          counts,
+          ...(previousOptionId ? {} : { totalResponses: increment(1) }),
+          updatedAt: serverTimestamp(),
+        },
+        { merge: true },
+      );
+      transaction.set(responderRef, {
+        optionId,
+        updatedAt: serverTimestamp(),
+      });
+      return true;
+    });
+
+    return { success: true, counted };
+  } catch (error) {
+    console.error("❌ Error recording scenario choice:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
 // ===== STRIPE INTEGRATION FUNCTIONS =====
 
 // Validate required Stripe configuration early to surface clear errors
@@ -0,0 +1,651 @@
+#!/usr/bin/env node
+/* global process, Buffer */
+/**
+ * Classroom relay
+ *
+ * Self-hostable WebSocket server for schools that block Firebase. A teacher
+ * laptop runs it on the school network, and the app reaches it through
+ * WebSocketClassroomTransport instead of the Realtime Database. Open the app
+ * with `?relay=ws://<laptop address>:8787`; share links created while a relay
+ * is in use carry the relay along, so students only need the link.
+ *
+ * Browsers refuse ws:// from https pages, so with the app served over https
+ * (as in production) start the relay with --cert and --key and use
+ * `?relay=wss://...`. Plain ws:// only works with an app served over http,
+ * e.g. `npm run dev -- --host` on the same laptop.
+ *
+ * The relay keeps one JSON tree in the shape of the Realtime Database,
+ * `classrooms/<code>/...`, and speaks a small JSON protocol:
+ *   { id, type: 'get' | 'set' | 'remove', path, value }
+ *     -> { id, type: 'result', value } or { id, type: 'error', message }
+ *   { id, type: 'subscribe', path }
+ *     -> { id, type: 'value', value } now and after every change at, above
+ *        or below the path
+ *   { id, type: 'unsubscribe' }
+ * `{ ".sv": "timestamp" }` values are replaced with the relay's clock.
+ *
+ * It has no dependencies: the WebSocket handshake and framing (RFC 6455) run
+ * on Node's http module. GET /health reports the number of classrooms and
+ * connected clients. Anyone who can reach the port can read and write
+ * classrooms, so only run it on a trusted network.
+ *
+ * Usage:
+ *   node scripts/classroom-relay.js [--port <port>] [--host <host>] [--data <file>]
+ *                                   [--cert <file> --key <file>]
+ *
+ *   --port <port>  Port to listen on (default 8787)
+ *   --host <host>  Address to bind (default 0.0.0.0, every interface)
+ *   --data <file>  Keep classrooms in a JSON file across restarts
+ *   --cert <file>  TLS certificate (PEM); serves wss:// together with --key
+ *   --key <file>   TLS private key (PEM)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CLASSROOM_CONSTANTS } from '../src/js/constants/classroom-constants.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const SAVE_DELAY = 500;
+const ROOT_KEY = CLASSROOM_CONSTANTS.DB_PATHS.CLASSROOMS;
+// Path segments follow the Realtime Database key rules
+const INVALID_KEY = /[.#$[\]]/;
+// Keys that would reach Object.prototype through a plain object
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+class RelayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RelayError';
+  }
+}
+
+// ===== ARGUMENTS =====
+
+function parseArgs(argv) {
+  const args = {
+    port: CLASSROOM_CONSTANTS.RELAY.DEFAULT_PORT,
+    host: '0.0.0.0',
+    dataFile: null,
+    certFile: null,
+    keyFile: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      args.port = Number.parseInt(argv[++i], 10);
+      if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+        throw new RelayError('--port needs a port number');
+      }
+    } else if (arg === '--host') {
+      if (!argv[i + 1]) throw new RelayError('--host needs an address');
+      args.host = argv[++i];
+    } else if (arg === '--data') {
+      if (!argv[i + 1]) throw new RelayError('--data needs a file path');
+      args.dataFile = path.resolve(argv[++i]);
+    } else if (arg === '--cert') {
+      if (!argv[i + 1]) throw new RelayError('--cert needs a file path');
+      args.certFile = path.resolve(argv[++i]);
+    } else if (arg === '--key') {
+      if (!argv[i + 1]) throw new RelayError('--key needs a file path');
+      args.keyFile = path.resolve(argv[++i]);
+    } else {
+      throw new RelayError(
+        `Unknown argument: ${arg}\nUsage: node scripts/classroom-relay.js [--port <port>] [--host <host>] [--data <file>] [--cert <file> --key <file>]`
+      );
+    }
+  }
+
+  if (Boolean(args.certFile) !== Boolean(args.keyFile)) {
+    throw new RelayError('--cert and --key must be used together');
+  }
+
+  return args;
+}
+
+// ===== CLASSROOM STORE =====
+
+/**
+ * Replace `{ ".sv": "timestamp" }` placeholders with the current time
+ */
+function resolveServerValues(value, now) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveServerValues(item, now));
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (value['.sv'] === 'timestamp' && Object.keys(value).length === 1) {
+    return now;
+  }
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !RESERVED_KEYS.has(key))
+      .map(([key, item]) => [key, resolveServerValues(item, now)])
+  );
+}
+
+/**
+ * JSON tree addressed by Realtime Database style paths
+ */
+export class ClassroomStore {
+  constructor(data = {}) {
+    this.root = data && typeof data === 'object' ? data : {};
+  }
+
+  /**
+   * Split and check a path. Only single classrooms and their children can
+   * be addressed, so clients cannot list or replace every classroom.
+   * @param {string} pathString - e.g. classrooms/ABC-123/roster
+   * @returns {string[]} Path segments
+   */
+  static parsePath(pathString) {
+    if (typeof pathString !== 'string') throw new RelayError('Missing path');
+
+    const segments = pathString.split('/').filter(Boolean);
+    if (segments[0] !== ROOT_KEY || segments.length < 2) {
+      throw new RelayError(`Paths must start with ${ROOT_KEY}/<code>`);
+    }
+    if (
+      segments.some(
+        segment => INVALID_KEY.test(segment) || RESERVED_KEYS.has(segment)
+      )
+    ) {
+      throw new RelayError(`Invalid path: ${pathString}`);
+    }
+    return segments;
+  }
+
+  get(segments) {
+    let node = this.root;
+    for (const segment of segments) {
+      if (!node || typeof node !== 'object' || !Object.hasOwn(node, segment)) {
+        return null;
+      }
+      node = node[segment];
+    }
+    return node ?? null;
+  }
+
+  /**
+   * Write a value, or delete the path when the value is null
+   * @returns {*} The stored value, with server timestamps resolved
+   */
+  set(segments, value) {
+    if (segments.some(segment => RESERVED_KEYS.has(segment))) {
+      throw new RelayError(`Invalid path: ${segments.join('/')}`);
+    }
+    if (segments.length > 2 && this.get(segments.slice(0, 2)) === null) {
+      throw new RelayError('Classroom not found');
+    }
+
+    const resolved = resolveServerValues(value ?? null, Date.now());
+    const parent = segments.slice(0, -1).reduce((node, segment) => {
+      if (
+        !Object.hasOwn(node, segment) ||
+        !node[segment] ||
+        typeof node[segment] !== 'object'
+      ) {
+        node[segment] = {};
+      }
+      return node[segment];
+    }, this.root);
+
+    const key = segments[segments.length - 1];
+    if (resolved === null) {
+      delete parent[key];
+    } else {
+      parent[key] = resolved;
+    }
+    return resolved;
+  }
+
+  get classroomCount() {
+    return Object.keys(this.root[ROOT_KEY] || {}).length;
+  }
+}
+
+// ===== WEBSOCKET FRAMING =====
+
+function acceptKey(key) {
+  return crypto
+    .createHash('sha1')
+    .update(key + WEBSOCKET_GUID)
+    .digest('base64');
+}
+
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the complete frames at the front of a buffer
+ * @returns {{frames: Object[], rest: Buffer}} Frames and the unread bytes
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      const longLength = buffer.readBigUInt64BE(offset + 2);
+      length =
+        longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+      headerLength = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) throw new RelayError('Message too large');
+
+    const masked = (second & 0x80) !== 0;
+    const payloadStart = offset + headerLength + (masked ? 4 : 0);
+    const frameEnd = payloadStart + length;
+    if (buffer.length < frameEnd) break;
+
+    const payload = Buffer.from(buffer.subarray(payloadStart, frameEnd));
+    if (masked) {
+      const mask = buffer.subarray(payloadStart - 4, payloadStart);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({
+      fin: (first & 0x80) !== 0,
+      opcode: first & 0x0f,
+      masked,
+      payload,
+    });
+    offset = frameEnd;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * One connected browser
+ */
+class RelayClient {
+  constructor(socket, relay) {
+    this.socket = socket;
+    this.relay = relay;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+    // Subscription ID -> { segments, lastJson }
+    this.subscriptions = new Map();
+
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('close', () => relay.disconnect(this));
+    socket.on('error', () => socket.destroy());
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let decoded;
+    try {
+      decoded = decodeFrames(this.buffer);
+    } catch (error) {
+      this.close(1009, error.message);
+      return;
+    }
+    this.buffer = decoded.rest;
+    decoded.frames.forEach(frame => this.handleFrame(frame));
+  }
+
+  handleFrame(frame) {
+    if (this.closed) return;
+    if (!frame.masked) {
+      this.close(1002, 'Client frames must be masked');
+      return;
+    }
+
+    switch (frame.opcode) {
+      case OPCODES.text:
+      case OPCODES.continuation: {
+        this.fragments.push(frame.payload);
+        const size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+        if (size > MAX_MESSAGE_BYTES) {
+          this.close(1009, 'Message too large');
+        } else if (frame.fin) {
+          const text = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.relay.handleMessage(this, text);
+        }
+        break;
+      }
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        break;
+      case OPCODES.pong:
+        break;
+      case OPCODES.close:
+        this.close();
+        break;
+      default:
+        this.close(1003, 'Only text messages are supported');
+    }
+  }
+
+  send(message) {
+    if (this.closed) return;
+    this.socket.write(
+      encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message)))
+    );
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.closed) return;
+    this.closed = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.socket.end(
+      encodeFrame(OPCODES.close, Buffer.concat([payload, Buffer.from(reason)]))
+    );
+  }
+}
+
+// ===== RELAY =====
+
+function loadData(dataFile) {
+  if (!dataFile || !fs.existsSync(dataFile)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  } catch (error) {
+    throw new RelayError(`Could not read ${dataFile}: ${error.message}`);
+  }
+}
+
+export class ClassroomRelay {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataFile] - JSON file to load and save classrooms
+   * @param {Object} [options.tls] - {cert, key} to serve wss:// over https
+   */
+  constructor({ dataFile = null, tls = null } = {}) {
+    this.dataFile = dataFile;
+    this.store = new ClassroomStore(loadData(dataFile));
+    this.clients = new Set();
+    this.saveTimer = null;
+
+    const handleHttp = (request, response) =>
+      this.handleHttp(request, response);
+    this.secure = Boolean(tls);
+    this.server = tls
+      ? https.createServer(tls, handleHttp)
+      : http.createServer(handleHttp);
+    this.server.on('upgrade', (request, socket, head) =>
+      this.handleUpgrade(request, socket, head)
+    );
+  }
+
+  /**
+   * @returns {Promise<Object>} Bound address
+   */
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  close() {
+    this.clients.forEach(client => {
+      client.close(1001, 'Relay shutting down');
+      client.socket.destroy();
+    });
+    clearTimeout(this.saveTimer);
+    this.save();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handleHttp(request, response) {
+    if (request.url === '/health') {
+      response.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      });
+      response.end(
+        JSON.stringify({
+          status: 'ok',
+          classrooms: this.store.classroomCount,
+          clients: this.clients.size,
+        })
+      );
+      return;
+    }
+
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('SimulateAI classroom relay: connect with a WebSocket\n');
+  }
+
+  handleUpgrade(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    socket.write(
+      [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '',
+        '',
+      ].join('\r\n')
+    );
+    socket.setNoDelay(true);
+
+    const client = new RelayClient(socket, this);
+    this.clients.add(client);
+    if (head?.length) client.receive(head);
+  }
+
+  disconnect(client) {
+    this.clients.delete(client);
+  }
+
+  handleMessage(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (_) {
+      client.send({ type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    const { id, type } = message || {};
+    try {
+      switch (type) {
+        case 'get':
+          client.send({
+            id,
+            type: 'result',
+            value: this.store.get(ClassroomStore.parsePath(message.path)),
+          });
+          break;
+        case 'set':
+        case 'remove': {
+          const segments = ClassroomStore.parsePath(message.path);
+          const value = this.store.set(
+            segments,
+            type === 'set' ? message.value : null
+          );
+          client.send({ id, type: 'result', value });
+          this.notify(segments);
+          this.scheduleSave();
+          break;
+        }
+        case 'subscribe':
+          client.subscriptions.set(id, {
+            segments: ClassroomStore.parsePath(message.path),
+            lastJson: null,
+          });
+          this.sendValue(client, id);
+          break;
+        case 'unsubscribe':
+          client.subscriptions.delete(id);
+          break;
+        default:
+          throw new RelayError(`Unknown message type: ${type}`);
+      }
+    } catch (error) {
+      if (!(error instanceof RelayError)) {
+        console.error('❌ Relay request failed:', error);
+      }
+      client.send({
+        id,
+        type: 'error',
+        message: error instanceof RelayError ? error.message : 'Relay error',
+      });
+    }
+  }
+
+  /**
+   * Send a subscription its value, unless the client already has it
+   */
+  sendValue(client, id) {
+    const subscription = client.subscriptions.get(id);
+    const value = this.store.get(subscription.segments);
+    const json = JSON.stringify(value);
+    if (json === subscription.lastJson) return;
+
+    subscription.lastJson = json;
+    client.send({ id, type: 'value', value });
+  }
+
+  /**
+   * Update the subscriptions at, above or below a changed path
+   */
+  notify(changed) {
+    this.clients.forEach(client => {
+      client.subscriptions.forEach(({ segments }, id) => {
+        const length = Math.min(segments.length, changed.length);
+        if (segments.slice(0, length).every((key, i) => key === changed[i])) {
+          this.sendValue(client, id);
+        }
+      });
+    });
+  }
+
+  scheduleSave() {
+    if (!this.dataFile || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  save() {
+    if (!this.dataFile) return;
+    try {
+      const tempFile = `${this.dataFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(this.store.root));
+      fs.renameSync(tempFile, this.dataFile);
+    } catch (error) {
+      console.error(`❌ Could not save ${this.dataFile}:`, error.message);
+    }
+  }
+}
+
+/**
+ * IPv4 addresses students on the same network can reach
+ */
+function getNetworkAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(address => address?.family === 'IPv4' && !address.internal)
+    .map(address => address.address);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let tls = null;
+  if (args.certFile) {
+    try {
+      tls = {
+        cert: fs.readFileSync(args.certFile),
+        key: fs.readFileSync(args.keyFile),
+      };
+    } catch (error) {
+      throw new RelayError(`Could not read TLS files: ${error.message}`);
+    }
+  }
+
+  const relay = new ClassroomRelay({ dataFile: args.dataFile, tls });
+  const { port } = await relay.listen(args.port, args.host);
+  const scheme = relay.secure ? 'wss' : 'ws';
+
+  console.log(`📡 Classroom relay listening on port ${port}`);
+  const addresses =
+    args.host === '0.0.0.0' ? getNetworkAddresses() : [args.host];
+  addresses.forEach(address => {
+    console.log(`   Open the app with ?relay=${scheme}://${address}:${port}`);
+  });
+  if (!relay.secure) {
+    console.log(
+      '   ws:// only works with an app served over http; use --cert and --key for the https site'
+    );
+  }
+  if (args.dataFile) {
+    console.log(
+      `💾 Saving classrooms to ${path.relative(process.cwd(), args.dataFile)}`
+    );
+  }
+
+  const shutdown = () => {
+    console.log('👋 Stopping classroom relay');
+    relay.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(error => {
+    if (error instanceof RelayError) {
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error('❌ Classroom relay failed:', error);
+    }
+    process.exit(1);
+  });
+}
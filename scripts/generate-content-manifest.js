@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * Regenerates src/js/data/content-manifest.js from the scenario modules and
+ * learning labs on disk. Vite does this automatically on build and dev server
+ * start; use this after adding content outside of Vite.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeContentManifest } from '../vite-plugins/content-manifest.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const root = path.resolve(__dirname, '..');
+
+if (writeContentManifest(root)) {
+  console.log('✅ Content manifest regenerated');
+} else {
+  console.log('✓ Content manifest is up to date');
+}
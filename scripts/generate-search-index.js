@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * Regenerates src/js/data/search-index.js from categories.js and the
+ * scenario modules. Vite does this automatically on build and dev server
+ * start; use this after editing content outside of Vite.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeSearchIndex } from '../vite-plugins/search-index.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const root = path.resolve(__dirname, '..');
+
+if (await writeSearchIndex(root)) {
+  console.log('✅ Search index regenerated');
+} else {
+  console.log('✓ Search index is up to date');
+}
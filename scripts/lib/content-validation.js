@@ -0,0 +1,105 @@
+/**
+ * Content validation helpers shared by the content validator and the
+ * category scaffolding CLI
+ *
+ * Wraps src/data/schema/content-schema.json in Ajv and provides the
+ * cross-checks the schema cannot express on its own.
+ */
+
+import Ajv from 'ajv';
+
+export const SCHEMA_ID = 'content-schema';
+
+/**
+ * Compile the content schema
+ * @param {Object} schema - Parsed content-schema.json
+ * @returns {{category: Function, scenario: Function, learningLab: Function}}
+ *   Ajv validate functions for each top-level content type
+ */
+export function createSchemaValidators(schema) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  ajv.addSchema(schema, SCHEMA_ID);
+
+  const compile = definition =>
+    ajv.getSchema(`${SCHEMA_ID}#/definitions/${definition}`);
+
+  return {
+    category: compile('category'),
+    scenario: compile('scenario'),
+    learningLab: compile('learningLab'),
+  };
+}
+
+/**
+ * Convert Ajv errors to `{ path, message }` pairs
+ * @param {Function} validate - Ajv validate function after a failed run
+ * @param {string} prefix - Path prefix, e.g. 'category'
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function schemaErrors(validate, prefix) {
+  return (validate.errors || []).map(error => {
+    const location = error.instancePath
+      ? error.instancePath.slice(1).replace(/\//g, '.')
+      : '';
+    const allowed = error.params?.allowedValues
+      ? ` (${error.params.allowedValues.join(', ')})`
+      : '';
+    const extra = error.params?.additionalProperty
+      ? ` ('${error.params.additionalProperty}')`
+      : '';
+    return {
+      path: location ? `${prefix}.${location}` : prefix,
+      message: `${error.message}${allowed}${extra}`,
+    };
+  });
+}
+
+/**
+ * Build the shape the schema expects for a category: categories.js keeps
+ * scenario card metadata, the scenario modules keep the dilemma and options
+ * @param {Object} category - categories.js entry
+ * @param {Object} scenarioBodies - Scenario ID -> scenario module entry
+ * @returns {Object} Category with full scenarios embedded
+ */
+export function mergeCategoryScenarios(category, scenarioBodies = {}) {
+  return {
+    ...category,
+    scenarios: (category.scenarios || []).map(card => ({
+      ...card,
+      ...scenarioBodies[card?.id],
+      id: card?.id,
+    })),
+  };
+}
+
+/**
+ * Unwrap a learning lab file. Older files wrap the lab in a
+ * `learningLabs` array.
+ * @param {Object} data - Parsed lab JSON
+ * @returns {Object[]} Labs in the file
+ */
+export function getLearningLabs(data) {
+  return Array.isArray(data?.learningLabs) ? data.learningLabs : [data];
+}
+
+/**
+ * Collect every scenario-set resource of a learning lab
+ * @param {Object} lab - Learning lab
+ * @param {string} prefix - Path prefix, e.g. 'learningLab'
+ * @returns {Array<{path: string, scenarios: *}>}
+ */
+export function getScenarioSetReferences(lab, prefix) {
+  const references = [];
+  (lab?.phases || []).forEach((phase, phaseIndex) => {
+    (phase?.activities || []).forEach((activity, activityIndex) => {
+      (activity?.resources || []).forEach((resource, resourceIndex) => {
+        if (resource?.type !== 'scenario-set') return;
+        references.push({
+          path: `${prefix}.phases[${phaseIndex}].activities[${activityIndex}].resources[${resourceIndex}]`,
+          scenarios: resource.scenarios,
+        });
+      });
+    });
+  });
+  return references;
+}
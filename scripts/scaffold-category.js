@@ -0,0 +1,827 @@
+#!/usr/bin/env node
+/* global process */
+/**
+ * Category scaffolding CLI
+ *
+ * Creates a new scenario category from a single spec file and registers it
+ * everywhere the app expects it:
+ *   - src/data/categories.js                    (ETHICAL_CATEGORIES entry)
+ *   - src/js/data/scenarios/<id>-scenarios.js   (scenario module)
+ *   - src/data/learning-labs/<id>-lab.json      (learning lab)
+ *   - src/js/data/content-manifest.js           (regenerated from the files above)
+ *   - src/js/data/badge-config.js               (BADGE_CONFIGURATIONS)
+ *   - src/js/data/scenario-creation-dates.js    (scenario and category dates)
+ *
+ * The spec is validated before anything is written: ScenarioValidator checks,
+ * the JSON schema in src/data/schema/content-schema.json, the eight ethical
+ * axes on every option, duplicate IDs and learning-lab scenario references.
+ * Nothing is written when a check fails.
+ *
+ * Usage:
+ *   node scripts/scaffold-category.js <spec.json> [--dry-run] [--validate-only] [--root <dir>]
+ *
+ * See scripts/category-spec.example.json for the spec format.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { writeContentManifest } from '../vite-plugins/content-manifest.js';
+import {
+  createSchemaValidators,
+  getLearningLabs,
+  getScenarioSetReferences,
+  mergeCategoryScenarios,
+  schemaErrors,
+} from './lib/content-validation.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PATHS = {
+  categories: 'src/data/categories.js',
+  scenariosDir: 'src/js/data/scenarios',
+  learningLabsDir: 'src/data/learning-labs',
+  scenarioValidator: 'src/js/utils/scenario-validator.js',
+  badgeConfig: 'src/js/data/badge-config.js',
+  creationDates: 'src/js/data/scenario-creation-dates.js',
+  schema: 'src/data/schema/content-schema.json',
+  ethicalScoring: 'src/js/data/ethical-scoring.js',
+  scenarioGraph: 'src/js/data/scenario-graph.js',
+};
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const BADGE_TIER_PATTERN = /^tier\d+$/;
+const BADGE_FIELDS = ['title', 'sidekickEmoji', 'quote', 'glowIntensity'];
+const GLOW_INTENSITIES = ['low', 'medium', 'high', 'legendary'];
+
+// Scenario fields that belong in the scenario module; the rest of a spec
+// scenario is card metadata stored in categories.js
+const SCENARIO_BODY_FIELDS = [
+  'title',
+  'dilemma',
+  'ethicalQuestion',
+  'options',
+  'nodes',
+  'readingLevels',
+];
+const SCENARIO_CARD_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'difficulty',
+  'philosophicalLeaning',
+  'ethicalDimensions',
+  'tags',
+  'searchKeywords',
+  'estimatedTime',
+  'complexity',
+  'standards',
+];
+
+const PRINT_WIDTH = 80;
+
+class ScaffoldError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScaffoldError';
+  }
+}
+
+// ===== ARGUMENTS =====
+
+function parseArgs(argv) {
+  const args = {
+    specPath: null,
+    dryRun: false,
+    validateOnly: false,
+    root: path.resolve(__dirname, '..'),
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--validate-only') {
+      args.validateOnly = true;
+    } else if (arg === '--root') {
+      args.root = path.resolve(argv[++i] || '.');
+    } else if (arg.startsWith('--')) {
+      throw new ScaffoldError(`Unknown option: ${arg}`);
+    } else if (!args.specPath) {
+      args.specPath = path.resolve(arg);
+    } else {
+      throw new ScaffoldError(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!args.specPath) {
+    throw new ScaffoldError(
+      'Usage: node scripts/scaffold-category.js <spec.json> [--dry-run] [--validate-only] [--root <dir>]'
+    );
+  }
+
+  return args;
+}
+
+// ===== LOADING =====
+
+function loadSpec(specPath) {
+  if (!fs.existsSync(specPath)) {
+    throw new ScaffoldError(`Spec file not found: ${specPath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(specPath, 'utf8'));
+  } catch (error) {
+    throw new ScaffoldError(`Spec file is not valid JSON: ${error.message}`);
+  }
+}
+
+function importFromRoot(root, relativePath) {
+  return import(pathToFileURL(path.join(root, relativePath)).href);
+}
+
+async function loadExistingContent(root) {
+  const { ETHICAL_CATEGORIES } = await importFromRoot(root, PATHS.categories);
+
+  // scenario ID -> file name, for duplicate reporting
+  const scenarioFiles = new Map();
+  const scenariosDir = path.join(root, PATHS.scenariosDir);
+  for (const file of fs.readdirSync(scenariosDir).sort()) {
+    if (!file.endsWith('.js')) continue;
+    const module = await importFromRoot(
+      root,
+      path.join(PATHS.scenariosDir, file)
+    );
+    for (const scenarioId of Object.keys(module.default || {})) {
+      scenarioFiles.set(scenarioId, file);
+    }
+  }
+
+  const labIds = new Map();
+  const labsDir = path.join(root, PATHS.learningLabsDir);
+  for (const file of fs.readdirSync(labsDir).sort()) {
+    if (!file.endsWith('.json')) continue;
+    const lab = JSON.parse(fs.readFileSync(path.join(labsDir, file), 'utf8'));
+    getLearningLabs(lab).forEach(
+      entry => entry?.id && labIds.set(entry.id, file)
+    );
+  }
+
+  const schema = JSON.parse(
+    fs.readFileSync(path.join(root, PATHS.schema), 'utf8')
+  );
+
+  return { categories: ETHICAL_CATEGORIES, scenarioFiles, labIds, schema };
+}
+
+// ===== SPEC NORMALIZATION =====
+
+function pick(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) result[field] = source[field];
+  }
+  return result;
+}
+
+function normalizeSpec(spec) {
+  const category = spec.category || {};
+  const categoryId = category.id;
+  const scenarios = Array.isArray(spec.scenarios) ? spec.scenarios : [];
+  const createdAt = spec.createdAt || `${todayIso()}T00:00:00Z`;
+
+  const { learningObjectives, ...categoryFields } = category;
+
+  return {
+    categoryId,
+    createdAt,
+    scenarioFileName: `${categoryId}-scenarios`,
+    labFileName: `${categoryId}-lab.json`,
+    category: {
+      ...categoryFields,
+      scenarios: scenarios.map(scenario =>
+        pick(scenario, SCENARIO_CARD_FIELDS)
+      ),
+      ...(learningObjectives ? { learningObjectives } : {}),
+    },
+    scenarioBodies: Object.fromEntries(
+      scenarios.map(scenario => [
+        scenario.id,
+        pick(scenario, SCENARIO_BODY_FIELDS),
+      ])
+    ),
+    learningLab: spec.learningLab
+      ? {
+          id: `${categoryId}-lab`,
+          ...spec.learningLab,
+          categoryId: spec.learningLab.categoryId || categoryId,
+          standards:
+            spec.learningLab.standards || mergeStandards(scenarios),
+        }
+      : null,
+    badges: spec.badges || null,
+  };
+}
+
+// A lab without its own standards covers those of the category's scenarios
+function mergeStandards(scenarios) {
+  const merged = {};
+  scenarios.forEach(scenario => {
+    Object.entries(scenario.standards || {}).forEach(([framework, codes]) => {
+      merged[framework] = [
+        ...new Set([...(merged[framework] || []), ...(codes || [])]),
+      ];
+    });
+  });
+  return Object.keys(merged).length ? merged : undefined;
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// ===== VALIDATION =====
+
+function validateIdentifiers(spec, normalized, existing, errors) {
+  const { categoryId } = normalized;
+
+  if (!categoryId) {
+    errors.push('category.id: missing');
+    return;
+  }
+  if (!ID_PATTERN.test(categoryId)) {
+    errors.push(
+      `category.id: '${categoryId}' must be lowercase kebab-case (e.g. 'my-category')`
+    );
+  }
+  if (existing.categories[categoryId]) {
+    errors.push(
+      `category.id: '${categoryId}' already exists in ${PATHS.categories}`
+    );
+  }
+
+  const scenarioFile = `${normalized.scenarioFileName}.js`;
+  if (
+    fs.existsSync(path.join(existing.root, PATHS.scenariosDir, scenarioFile))
+  ) {
+    errors.push(
+      `category.id: scenario module ${PATHS.scenariosDir}/${scenarioFile} already exists`
+    );
+  }
+
+  if (!Array.isArray(spec.scenarios) || spec.scenarios.length === 0) {
+    errors.push('scenarios: at least one scenario is required');
+    return;
+  }
+
+  const seen = new Map();
+  spec.scenarios.forEach((scenario, index) => {
+    const label = `scenarios[${index}]`;
+    const scenarioId = scenario?.id;
+
+    if (!scenarioId) {
+      errors.push(`${label}.id: missing`);
+      return;
+    }
+    if (!ID_PATTERN.test(scenarioId)) {
+      errors.push(`${label}.id: '${scenarioId}' must be lowercase kebab-case`);
+    }
+    if (seen.has(scenarioId)) {
+      errors.push(
+        `${label}.id: duplicate scenario ID '${scenarioId}' (also used by scenarios[${seen.get(scenarioId)}])`
+      );
+    } else {
+      seen.set(scenarioId, index);
+    }
+    if (existing.scenarioFiles.has(scenarioId)) {
+      errors.push(
+        `${label}.id: duplicate scenario ID '${scenarioId}' (already defined in ${PATHS.scenariosDir}/${existing.scenarioFiles.get(scenarioId)})`
+      );
+    }
+  });
+}
+
+function validateOptions(options, label, axes, errors) {
+  if (!Array.isArray(options)) {
+    errors.push(`${label}.options: must be an array`);
+    return;
+  }
+
+  const optionIds = new Set();
+  options.forEach((option, index) => {
+    const optionLabel = `${label}.options[${index}]${option?.id ? ` (${option.id})` : ''}`;
+
+    if (option?.id) {
+      if (optionIds.has(option.id)) {
+        errors.push(`${optionLabel}.id: duplicate option ID '${option.id}'`);
+      }
+      optionIds.add(option.id);
+    }
+
+    const impact = option?.impact;
+    if (!impact || typeof impact !== 'object') {
+      errors.push(`${optionLabel}.impact: missing`);
+      return;
+    }
+
+    const missing = axes.filter(axis => !(axis in impact));
+    if (missing.length > 0) {
+      errors.push(`${optionLabel}.impact: missing axes ${missing.join(', ')}`);
+    }
+
+    const unknown = Object.keys(impact).filter(axis => !axes.includes(axis));
+    if (unknown.length > 0) {
+      errors.push(
+        `${optionLabel}.impact: unknown axes ${unknown.join(', ')} (expected ${axes.join(', ')})`
+      );
+    }
+
+    for (const axis of axes) {
+      const value = impact[axis];
+      if (
+        value !== undefined &&
+        (!Number.isInteger(value) || value < -2 || value > 2)
+      ) {
+        errors.push(
+          `${optionLabel}.impact.${axis}: ${JSON.stringify(value)} must be an integer from -2 to 2`
+        );
+      }
+    }
+  });
+}
+
+function validateScenarioContent(spec, axes, graph, errors) {
+  (spec.scenarios || []).forEach((scenario, index) => {
+    const label = `scenarios[${index}]${scenario?.id ? ` (${scenario.id})` : ''}`;
+
+    validateOptions(scenario?.options, label, axes, errors);
+
+    if (graph.isBranchingScenario(scenario)) {
+      Object.entries(scenario.nodes).forEach(([nodeId, node]) => {
+        if (node?.options) {
+          validateOptions(
+            node.options,
+            `${label}.nodes.${nodeId}`,
+            axes,
+            errors
+          );
+        }
+      });
+
+      const result = graph.validateScenarioGraph(scenario);
+      result.errors.forEach(error => errors.push(`${label}.nodes: ${error}`));
+    }
+  });
+}
+
+function formatSchemaErrors(validate, prefix) {
+  return schemaErrors(validate, prefix).map(
+    issue => `schema: ${issue.path} ${issue.message}`
+  );
+}
+
+function validateAgainstSchema(normalized, schema, errors) {
+  const validators = createSchemaValidators(schema);
+
+  // The schema describes a category with full scenarios embedded
+  const category = mergeCategoryScenarios(
+    normalized.category,
+    normalized.scenarioBodies
+  );
+  if (!validators.category(category)) {
+    errors.push(...formatSchemaErrors(validators.category, 'category'));
+  }
+
+  if (
+    normalized.learningLab &&
+    !validators.learningLab(normalized.learningLab)
+  ) {
+    errors.push(...formatSchemaErrors(validators.learningLab, 'learningLab'));
+  }
+}
+
+async function runScenarioValidator(root, normalized, existing, errors) {
+  const { ScenarioValidator } = await importFromRoot(
+    root,
+    PATHS.scenarioValidator
+  );
+  const validator = new ScenarioValidator();
+
+  const result = validator.validateCategory(
+    normalized.categoryId,
+    normalized.scenarioBodies
+  );
+  result.invalidStructures.forEach(issue =>
+    errors.push(`ScenarioValidator: ${issue}`)
+  );
+  result.ethicalAxesIssues.forEach(issue =>
+    errors.push(`ScenarioValidator: ${issue}`)
+  );
+
+  const duplicates = validator.findDuplicateIds([
+    ...existing.scenarioFiles.keys(),
+    ...result.scenarioIds,
+  ]);
+  duplicates.forEach(({ id, count }) =>
+    errors.push(
+      `ScenarioValidator: scenario ID '${id}' appears ${count} times across all categories`
+    )
+  );
+}
+
+function validateLearningLab(normalized, existing, errors) {
+  const lab = normalized.learningLab;
+  if (!lab) {
+    errors.push('learningLab: missing');
+    return;
+  }
+
+  if (lab.categoryId !== normalized.categoryId) {
+    errors.push(
+      `learningLab.categoryId: '${lab.categoryId}' does not match category.id '${normalized.categoryId}'`
+    );
+  }
+  if (existing.labIds.has(lab.id)) {
+    errors.push(
+      `learningLab.id: '${lab.id}' already exists in ${PATHS.learningLabsDir}/${existing.labIds.get(lab.id)}`
+    );
+  }
+  if (
+    fs.existsSync(
+      path.join(existing.root, PATHS.learningLabsDir, normalized.labFileName)
+    )
+  ) {
+    errors.push(
+      `learningLab: ${PATHS.learningLabsDir}/${normalized.labFileName} already exists`
+    );
+  }
+
+  // Every scenario-set reference must point at a scenario of this category
+  const scenarioIds = new Set(Object.keys(normalized.scenarioBodies));
+  getScenarioSetReferences(lab, 'learningLab').forEach(reference => {
+    if (
+      !Array.isArray(reference.scenarios) ||
+      reference.scenarios.length === 0
+    ) {
+      errors.push(`${reference.path}: scenario-set has no scenarios`);
+      return;
+    }
+    reference.scenarios.forEach(scenarioId => {
+      if (!scenarioIds.has(scenarioId)) {
+        const where = existing.scenarioFiles.has(scenarioId)
+          ? `belongs to ${existing.scenarioFiles.get(scenarioId)}, not this category`
+          : 'does not exist';
+        errors.push(
+          `${reference.path}: orphaned scenario reference '${scenarioId}' (${where})`
+        );
+      }
+    });
+  });
+}
+
+function validateBadges(normalized, errors) {
+  const { badges } = normalized;
+  if (!badges || typeof badges !== 'object') {
+    errors.push('badges: missing (at least tier1 is required)');
+    return;
+  }
+  if (!badges.tier1) {
+    errors.push('badges.tier1: missing');
+  }
+
+  Object.entries(badges).forEach(([tierKey, badge]) => {
+    if (!BADGE_TIER_PATTERN.test(tierKey)) {
+      errors.push(`badges.${tierKey}: tier keys must look like 'tier1'`);
+      return;
+    }
+    for (const field of BADGE_FIELDS) {
+      if (!badge?.[field]) {
+        errors.push(`badges.${tierKey}.${field}: missing`);
+      }
+    }
+    if (
+      badge?.glowIntensity &&
+      !GLOW_INTENSITIES.includes(badge.glowIntensity)
+    ) {
+      errors.push(
+        `badges.${tierKey}.glowIntensity: '${badge.glowIntensity}' must be one of ${GLOW_INTENSITIES.join(', ')}`
+      );
+    }
+  });
+}
+
+async function validate(spec, normalized, existing) {
+  const errors = [];
+  const { ETHICAL_AXES } = await importFromRoot(
+    existing.root,
+    PATHS.ethicalScoring
+  );
+  const graph = await importFromRoot(existing.root, PATHS.scenarioGraph);
+
+  if (Number.isNaN(Date.parse(normalized.createdAt))) {
+    errors.push(`createdAt: '${normalized.createdAt}' is not a valid date`);
+  }
+
+  validateIdentifiers(spec, normalized, existing, errors);
+  validateScenarioContent(spec, ETHICAL_AXES, graph, errors);
+  validateLearningLab(normalized, existing, errors);
+  validateBadges(normalized, errors);
+
+  if (normalized.categoryId) {
+    validateAgainstSchema(normalized, existing.schema, errors);
+    await runScenarioValidator(existing.root, normalized, existing, errors);
+  }
+
+  // ScenarioValidator and the manual checks can report the same problem
+  return [...new Set(errors)];
+}
+
+// ===== SOURCE GENERATION =====
+
+function isIdentifier(key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key);
+}
+
+function quoteString(value, quote) {
+  // Prefer the other quote when it avoids escaping, like Prettier does
+  const other = quote === "'" ? '"' : "'";
+  const useQuote =
+    value.includes(quote) && !value.includes(other) ? other : quote;
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(new RegExp(useQuote, 'g'), `\\${useQuote}`);
+  return `${useQuote}${escaped}${useQuote}`;
+}
+
+function formatKey(key, quote) {
+  return isIdentifier(key) ? key : quoteString(key, quote);
+}
+
+function formatPrimitive(value, quote, signed) {
+  if (typeof value === 'string') return quoteString(value, quote);
+  if (typeof value === 'number' && signed && value > 0) return `+${value}`;
+  return String(value);
+}
+
+function isPrimitive(value) {
+  return value === null || typeof value !== 'object';
+}
+
+/**
+ * Serialize a value as JavaScript source with Prettier-compatible layout:
+ * objects are always multiline, primitive arrays stay inline when they fit.
+ */
+function toSource(value, options = {}, indent = '', parentKey = null) {
+  const { quote = '"' } = options;
+  const signed = parentKey === 'impact';
+
+  if (isPrimitive(value)) {
+    return formatPrimitive(value, quote, signed);
+  }
+
+  const inner = `${indent}  `;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    if (value.every(isPrimitive)) {
+      const inline = `[${value.map(item => formatPrimitive(item, quote)).join(', ')}]`;
+      // Caller checks the full line width; report multiline form otherwise
+      if (!inline.includes('\n') && options.inlineArrays !== false) {
+        return inline;
+      }
+    }
+    return `[\n${value
+      .map(item => `${inner}${toSource(item, options, inner)},`)
+      .join('\n')}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) return '{}';
+
+  return `{\n${entries
+    .map(([key, item]) => formatProperty(key, item, options, inner, signed))
+    .join('\n')}\n${indent}}`;
+}
+
+function formatProperty(key, value, options, indent, signed = false) {
+  const { quote = '"' } = options;
+  const prefix = `${indent}${formatKey(key, quote)}: `;
+
+  if (isPrimitive(value)) {
+    const literal = formatPrimitive(value, quote, signed);
+    const line = `${prefix}${literal},`;
+    if (line.length <= PRINT_WIDTH || typeof value !== 'string') return line;
+    return `${prefix.trimEnd()}\n${indent}  ${literal},`;
+  }
+
+  if (Array.isArray(value) && value.length > 0 && value.every(isPrimitive)) {
+    const inline = `${prefix}${toSource(value, options, indent, key)},`;
+    if (inline.length <= PRINT_WIDTH) return inline;
+    return `${prefix}${toSource(value, { ...options, inlineArrays: false }, indent, key)},`;
+  }
+
+  return `${prefix}${toSource(value, options, indent, key)},`;
+}
+
+// ===== EDITS =====
+
+/**
+ * Insert text right before the first `closeMarker` that follows `openMarker`
+ */
+function insertBefore(source, openMarker, closeMarker, text, file) {
+  const openIndex = source.indexOf(openMarker);
+  if (openIndex === -1) {
+    throw new ScaffoldError(`${file}: could not find '${openMarker}'`);
+  }
+  const closeIndex = source.indexOf(closeMarker, openIndex);
+  if (closeIndex === -1) {
+    throw new ScaffoldError(
+      `${file}: could not find the end of '${openMarker}'`
+    );
+  }
+  return source.slice(0, closeIndex) + text + source.slice(closeIndex);
+}
+
+function assertNotRegistered(source, needle, file) {
+  if (source.includes(needle)) {
+    throw new ScaffoldError(`${file}: ${needle} is already registered`);
+  }
+}
+
+function scenarioModuleSource(normalized) {
+  const title = normalized.category.title || normalized.categoryId;
+  const description = normalized.category.description || '';
+  const scenarios = Object.entries(normalized.scenarioBodies)
+    .map(
+      ([scenarioId, body]) =>
+        `  ${quoteString(scenarioId, "'")}: ${toSource(body, { quote: "'" }, '  ')},`
+    )
+    .join('\n\n');
+
+  return `/**
+ * ${title} Scenarios
+${description ? ` * ${description}\n` : ''} */
+
+export default {
+${scenarios}
+};
+`;
+}
+
+function buildEdits(root, normalized) {
+  const { categoryId, category, createdAt, scenarioFileName, labFileName } =
+    normalized;
+  const edits = [];
+  const read = relativePath =>
+    fs.readFileSync(path.join(root, relativePath), 'utf8');
+  const quotedId = quoteString(categoryId, '"');
+
+  // categories.js
+  {
+    const file = PATHS.categories;
+    let source = read(file);
+    assertNotRegistered(source, `${quotedId}: {`, file);
+    const entry = `\n  ${quotedId}: ${toSource({ id: categoryId, ...category }, { quote: '"' }, '  ')},\n`;
+    source = insertBefore(
+      source,
+      'export const ETHICAL_CATEGORIES = {',
+      '};\n',
+      entry,
+      file
+    );
+    edits.push({ file, content: source });
+  }
+
+  // Scenario module
+  edits.push({
+    file: `${PATHS.scenariosDir}/${scenarioFileName}.js`,
+    content: scenarioModuleSource(normalized),
+    created: true,
+  });
+
+  // Learning lab JSON
+  edits.push({
+    file: `${PATHS.learningLabsDir}/${labFileName}`,
+    content: `${JSON.stringify(normalized.learningLab, null, 2)}\n`,
+    created: true,
+  });
+
+  // BADGE_CONFIGURATIONS
+  {
+    const file = PATHS.badgeConfig;
+    let source = read(file);
+    assertNotRegistered(source, `${quotedId}: {`, file);
+    const badgeEntry = {
+      categoryName: category.title,
+      categoryEmoji: category.icon,
+      badges: normalized.badges,
+    };
+    source = insertBefore(
+      source,
+      'export const BADGE_CONFIGURATIONS = {',
+      '};\n',
+      `\n  ${quotedId}: ${toSource(badgeEntry, { quote: '"' }, '  ')},\n`,
+      file
+    );
+    edits.push({ file, content: source });
+  }
+
+  // Scenario and category creation dates
+  {
+    const file = PATHS.creationDates;
+    let source = read(file);
+    assertNotRegistered(source, `${quotedId}: "`, file);
+    const scenarioDates = Object.keys(normalized.scenarioBodies)
+      .map(scenarioId => `  ${quoteString(scenarioId, '"')}: "${createdAt}",`)
+      .join('\n');
+    source = insertBefore(
+      source,
+      'export const SCENARIO_CREATION_DATES = {',
+      '};\n',
+      `\n  // ${category.title}\n${scenarioDates}\n`,
+      file
+    );
+    source = insertBefore(
+      source,
+      'export const CATEGORY_CREATION_DATES = {',
+      '};\n',
+      `  ${quotedId}: "${createdAt}",\n`,
+      file
+    );
+    edits.push({ file, content: source });
+  }
+
+  return edits;
+}
+
+function writeEdits(root, edits) {
+  for (const edit of edits) {
+    const target = path.join(root, edit.file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, edit.content);
+  }
+}
+
+// ===== MAIN =====
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const spec = loadSpec(args.specPath);
+
+  console.log(
+    `🧩 Scaffolding category from ${path.relative(process.cwd(), args.specPath)}`
+  );
+
+  const existing = {
+    root: args.root,
+    ...(await loadExistingContent(args.root)),
+  };
+  const normalized = normalizeSpec(spec);
+  const errors = await validate(spec, normalized, existing);
+
+  if (errors.length > 0) {
+    console.error(`\n❌ Validation failed with ${errors.length} error(s):`);
+    errors.forEach(error => console.error(`  - ${error}`));
+    return 1;
+  }
+
+  console.log(
+    `✅ Spec is valid: category '${normalized.categoryId}' with ${Object.keys(normalized.scenarioBodies).length} scenarios`
+  );
+
+  if (args.validateOnly) return 0;
+
+  // Build every edit before writing so a missing anchor leaves the tree untouched
+  const edits = buildEdits(args.root, normalized);
+
+  if (args.dryRun) {
+    console.log('\n📝 Dry run, files that would change:');
+  } else {
+    writeEdits(args.root, edits);
+    // Scenario modules and labs are discovered from disk, so the manifest
+    // picks up the new category once its files exist
+    writeContentManifest(args.root);
+    console.log('\n📝 Files written:');
+  }
+  edits.forEach(edit =>
+    console.log(`  ${edit.created ? '+' : '~'} ${edit.file}`)
+  );
+  console.log('  ~ src/js/data/content-manifest.js');
+
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    if (error instanceof ScaffoldError) {
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error('❌ Scaffolding failed:', error);
+    }
+    process.exit(1);
+  });
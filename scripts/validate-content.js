@@ -0,0 +1,663 @@
+#!/usr/bin/env node
+/* global process */
+/**
+ * Content validator
+ *
+ * Validates every scenario module, every ETHICAL_CATEGORIES entry in
+ * src/data/categories.js and every src/data/learning-labs/*-lab.json file
+ * against src/data/schema/content-schema.json, then cross-checks what the
+ * schema cannot express:
+ *   - scenario IDs are unique across modules
+ *   - categories.js scenario cards and scenario modules list the same scenarios
+ *   - branching scenario graphs have no dangling or unreachable nodes
+ *   - learning labs belong to a known category and every scenario referenced
+ *     by a `scenario-set` resource exists
+ *   - reading-level variants only name options that exist
+ *   - curriculum standard codes on scenario cards and learning labs are
+ *     listed in src/data/curriculum-standards.js, and every card has some
+ *
+ * The report also lists Flesch-Kincaid readability metrics for every
+ * scenario, at the adult level and at each authored reading level.
+ *
+ * Exits with code 1 when any error is found, so it can gate CI.
+ *
+ * Usage:
+ *   node scripts/validate-content.js [--report <file>] [--json] [--readability] [--root <dir>]
+ *
+ *   --report <file>  Write the JSON report to a file
+ *   --json           Print the JSON report to stdout instead of a summary
+ *   --readability    Print the readability metrics of every scenario
+ *   --root <dir>     Project root (defaults to the repository root)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { discoverContent } from '../vite-plugins/content-manifest.js';
+import {
+  createSchemaValidators,
+  getLearningLabs,
+  getScenarioSetReferences,
+  mergeCategoryScenarios,
+  schemaErrors,
+} from './lib/content-validation.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PATHS = {
+  categories: 'src/data/categories.js',
+  curriculumStandards: 'src/data/curriculum-standards.js',
+  scenariosDir: 'src/js/data/scenarios',
+  learningLabsDir: 'src/data/learning-labs',
+  schema: 'src/data/schema/content-schema.json',
+  scenarioGraph: 'src/js/data/scenario-graph.js',
+  realWorldCases: 'src/js/data/real-world-cases.js',
+  ethicalScoring: 'src/js/data/ethical-scoring.js',
+  readingLevels: 'src/js/data/reading-levels.js',
+};
+
+class ValidatorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidatorError';
+  }
+}
+
+/**
+ * Collects errors and warnings in the shape of the JSON report
+ */
+class ContentReport {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+    this.counts = {
+      categories: 0,
+      scenarioModules: 0,
+      scenarios: 0,
+      learningLabs: 0,
+      realWorldCases: 0,
+      readingLevelVariants: 0,
+    };
+    // Scenario ID -> { file, levels: { level: metrics } }
+    this.readability = {};
+  }
+
+  error(file, issuePath, message) {
+    this.errors.push({ file, path: issuePath, message });
+  }
+
+  warning(file, issuePath, message) {
+    this.warnings.push({ file, path: issuePath, message });
+  }
+
+  toJSON() {
+    return {
+      generatedAt: new Date().toISOString(),
+      schema: PATHS.schema,
+      valid: this.errors.length === 0,
+      summary: {
+        ...this.counts,
+        errors: this.errors.length,
+        warnings: this.warnings.length,
+      },
+      errors: this.errors,
+      warnings: this.warnings,
+      readability: this.readability,
+    };
+  }
+}
+
+// ===== ARGUMENTS =====
+
+function parseArgs(argv) {
+  const args = {
+    reportPath: null,
+    json: false,
+    readability: false,
+    root: path.resolve(__dirname, '..'),
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--readability') {
+      args.readability = true;
+    } else if (arg === '--report') {
+      if (!argv[i + 1]) throw new ValidatorError('--report needs a file path');
+      args.reportPath = path.resolve(argv[++i]);
+    } else if (arg === '--root') {
+      args.root = path.resolve(argv[++i] || '.');
+    } else {
+      throw new ValidatorError(
+        `Unknown argument: ${arg}\nUsage: node scripts/validate-content.js [--report <file>] [--json] [--readability] [--root <dir>]`
+      );
+    }
+  }
+
+  return args;
+}
+
+// ===== LOADING =====
+
+function importFromRoot(root, relativePath) {
+  return import(pathToFileURL(path.join(root, relativePath)).href);
+}
+
+/**
+ * Import every scenario module found by the content manifest
+ * @returns {Promise<Map<string, {file: string, scenarios: Object}>>}
+ *   Category ID -> module file and its scenarios
+ */
+async function loadScenarioModules(root, report) {
+  const modules = new Map();
+
+  for (const { categoryId, file } of discoverContent(root).scenarios) {
+    const relativeFile = `${PATHS.scenariosDir}/${file}`;
+    try {
+      const module = await importFromRoot(root, relativeFile);
+      const scenarios = module.default || module.scenarios;
+      if (!scenarios || typeof scenarios !== 'object') {
+        report.error(
+          relativeFile,
+          'default',
+          'must export an object of scenarios'
+        );
+        continue;
+      }
+      modules.set(categoryId, { file: relativeFile, scenarios });
+    } catch (error) {
+      report.error(relativeFile, '', `failed to import: ${error.message}`);
+    }
+  }
+
+  return modules;
+}
+
+// ===== CHECKS =====
+
+/**
+ * Validate scenario modules and build the scenario ID index
+ * @returns {Map<string, {categoryId: string, file: string}>}
+ */
+function validateScenarioModules(modules, validators, graph, report) {
+  const scenarioIndex = new Map();
+
+  for (const [categoryId, { file, scenarios }] of modules) {
+    report.counts.scenarioModules++;
+
+    for (const [scenarioId, scenario] of Object.entries(scenarios)) {
+      report.counts.scenarios++;
+
+      const existing = scenarioIndex.get(scenarioId);
+      if (existing) {
+        report.error(
+          file,
+          scenarioId,
+          `duplicate scenario ID, also defined in ${existing.file}`
+        );
+      } else {
+        scenarioIndex.set(scenarioId, { categoryId, file });
+      }
+
+      if (scenario?.id !== undefined && scenario.id !== scenarioId) {
+        report.error(
+          file,
+          `${scenarioId}.id`,
+          `'${scenario.id}' does not match its key '${scenarioId}'`
+        );
+      }
+
+      if (!validators.scenario({ ...scenario, id: scenarioId })) {
+        schemaErrors(validators.scenario, scenarioId).forEach(issue =>
+          report.error(file, issue.path, issue.message)
+        );
+      }
+
+      if (graph.isBranchingScenario(scenario)) {
+        const { errors, warnings } = graph.validateScenarioGraph(scenario);
+        errors.forEach(message =>
+          report.error(file, `${scenarioId}.nodes`, message)
+        );
+        warnings.forEach(message =>
+          report.warning(file, `${scenarioId}.nodes`, message)
+        );
+      }
+    }
+  }
+
+  return scenarioIndex;
+}
+
+/**
+ * Whether a category schema issue lies in a field that comes from the
+ * scenario module, which validateScenarioModules() already reported
+ */
+function isScenarioBodyIssue(issue, label, category, module) {
+  const prefix = `${label}.scenarios.`;
+  if (!issue.path.startsWith(prefix)) return false;
+
+  const [index, field] = issue.path.slice(prefix.length).split('.');
+  const body = module.scenarios[category.scenarios[index]?.id];
+  if (!body) return false;
+  return field === undefined || Object.hasOwn(body, field);
+}
+
+/**
+ * Report standard codes that the curriculum standards catalog does not list
+ * @param {Object} standards - { csta: [...], ngss: [...], ncss: [...] }
+ * @param {Object} catalog - CURRICULUM_STANDARDS
+ */
+function validateStandardCodes(standards, catalog, file, label, report) {
+  Object.entries(standards || {}).forEach(([framework, codes]) => {
+    if (!catalog[framework]) {
+      report.error(file, label, `unknown standards framework '${framework}'`);
+      return;
+    }
+    (Array.isArray(codes) ? codes : []).forEach(code => {
+      if (!catalog[framework].codes[code]) {
+        report.error(
+          file,
+          `${label}.${framework}`,
+          `'${code}' is not in ${PATHS.curriculumStandards}`
+        );
+      }
+    });
+  });
+}
+
+function validateCategories(categories, modules, validators, catalog, report) {
+  const file = PATHS.categories;
+
+  for (const [key, category] of Object.entries(categories)) {
+    report.counts.categories++;
+    const label = `ETHICAL_CATEGORIES.${key}`;
+
+    if (category?.id !== key) {
+      report.error(
+        file,
+        `${label}.id`,
+        `'${category?.id}' does not match its key '${key}'`
+      );
+    }
+
+    const module = modules.get(key);
+    if (!module) {
+      report.warning(
+        file,
+        label,
+        `no scenario module ${PATHS.scenariosDir}/${key}-scenarios.js, the category is hidden`
+      );
+      continue;
+    }
+
+    if (
+      !validators.category(mergeCategoryScenarios(category, module.scenarios))
+    ) {
+      schemaErrors(validators.category, label)
+        .filter(issue => !isScenarioBodyIssue(issue, label, category, module))
+        .forEach(issue => report.error(file, issue.path, issue.message));
+    }
+
+    (category.scenarios || []).forEach((card, index) => {
+      const cardLabel = `${label}.scenarios.${index}.standards`;
+      if (!card?.standards) {
+        report.warning(
+          file,
+          cardLabel,
+          `scenario '${card?.id}' is not aligned with any curriculum standard`
+        );
+      }
+      validateStandardCodes(card?.standards, catalog, file, cardLabel, report);
+    });
+
+    // Cards and modules must describe the same scenarios
+    const cardIds = new Set(
+      (category.scenarios || []).map(card => card?.id).filter(Boolean)
+    );
+    cardIds.forEach(scenarioId => {
+      if (!module.scenarios[scenarioId]) {
+        report.error(
+          file,
+          `${label}.scenarios`,
+          `scenario '${scenarioId}' is not defined in ${module.file}`
+        );
+      }
+    });
+    Object.keys(module.scenarios).forEach(scenarioId => {
+      if (!cardIds.has(scenarioId)) {
+        report.warning(
+          module.file,
+          scenarioId,
+          `scenario has no card in ${file} and is not listed in the category`
+        );
+      }
+    });
+  }
+
+  for (const [categoryId, module] of modules) {
+    if (!categories[categoryId]) {
+      report.warning(
+        module.file,
+        '',
+        `category '${categoryId}' is not defined in ${file}`
+      );
+    }
+  }
+}
+
+function validateLearningLabFiles(
+  root,
+  categories,
+  scenarioIndex,
+  validators,
+  catalog,
+  report
+) {
+  for (const { file } of discoverContent(root).learningLabs) {
+    const relativeFile = `${PATHS.learningLabsDir}/${file}`;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(root, relativeFile), 'utf8'));
+    } catch (error) {
+      report.error(relativeFile, '', `invalid JSON: ${error.message}`);
+      continue;
+    }
+
+    const isWrapped = Array.isArray(data?.learningLabs);
+    if (isWrapped) {
+      report.warning(
+        relativeFile,
+        'learningLabs',
+        'uses the legacy learningLabs wrapper, store the lab at the top level'
+      );
+    }
+
+    getLearningLabs(data).forEach((lab, index) => {
+      report.counts.learningLabs++;
+      const label = isWrapped ? `learningLabs[${index}]` : 'learningLab';
+
+      if (!validators.learningLab(lab)) {
+        schemaErrors(validators.learningLab, label).forEach(issue =>
+          report.error(relativeFile, issue.path, issue.message)
+        );
+      }
+
+      validateStandardCodes(
+        lab?.standards,
+        catalog,
+        relativeFile,
+        `${label}.standards`,
+        report
+      );
+
+      if (lab?.categoryId && !categories[lab.categoryId]) {
+        report.error(
+          relativeFile,
+          `${label}.categoryId`,
+          `unknown category '${lab.categoryId}'`
+        );
+      }
+
+      getScenarioSetReferences(lab, label).forEach(reference => {
+        if (
+          !Array.isArray(reference.scenarios) ||
+          reference.scenarios.length === 0
+        ) {
+          report.error(
+            relativeFile,
+            reference.path,
+            'scenario-set has no scenarios'
+          );
+          return;
+        }
+
+        reference.scenarios.forEach(scenarioId => {
+          const target = scenarioIndex.get(scenarioId);
+          if (!target) {
+            report.error(
+              relativeFile,
+              reference.path,
+              `scenario '${scenarioId}' does not exist`
+            );
+          } else if (target.categoryId !== lab.categoryId) {
+            report.warning(
+              relativeFile,
+              reference.path,
+              `scenario '${scenarioId}' belongs to category '${target.categoryId}'`
+            );
+          }
+        });
+      });
+    });
+  }
+}
+
+function validateRealWorldCases(cases, ethicalAxes, scenarioIndex, report) {
+  const file = PATHS.realWorldCases;
+  const seenIds = new Set();
+
+  cases.forEach((caseStudy, index) => {
+    report.counts.realWorldCases++;
+    const label = `REAL_WORLD_CASES[${index}]`;
+
+    if (seenIds.has(caseStudy.id)) {
+      report.error(file, `${label}.id`, `duplicate case ID '${caseStudy.id}'`);
+    }
+    seenIds.add(caseStudy.id);
+
+    ['id', 'title', 'domain', 'summary'].forEach(field => {
+      if (typeof caseStudy[field] !== 'string' || !caseStudy[field]) {
+        report.error(file, `${label}.${field}`, 'must be a non-empty string');
+      }
+    });
+    if (!Number.isInteger(caseStudy.year)) {
+      report.error(file, `${label}.year`, 'must be an integer');
+    }
+    if (!caseStudy.citation?.source) {
+      report.error(file, `${label}.citation.source`, 'is required');
+    }
+
+    (caseStudy.axes || []).forEach(axis => {
+      if (!ethicalAxes.includes(axis)) {
+        report.error(file, `${label}.axes`, `unknown ethical axis '${axis}'`);
+      }
+    });
+    (caseStudy.scenarioIds || []).forEach(scenarioId => {
+      if (!scenarioIndex.has(scenarioId)) {
+        report.error(
+          file,
+          `${label}.scenarioIds`,
+          `scenario '${scenarioId}' does not exist`
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Check reading-level variants against the options they rewrite and record
+ * readability metrics for every scenario
+ */
+function validateReadingLevels(modules, readingLevels, report) {
+  const {
+    DEFAULT_READING_LEVEL,
+    READING_LEVEL_MAX_GRADE,
+    getAuthoredReadingLevels,
+    getScenarioText,
+    analyzeReadability,
+  } = readingLevels;
+
+  for (const { file, scenarios } of modules.values()) {
+    for (const [scenarioId, scenario] of Object.entries(scenarios)) {
+      const nodes = [
+        [scenarioId, scenario],
+        ...Object.entries(scenario.nodes || {}).map(([nodeId, node]) => [
+          `${scenarioId}.nodes.${nodeId}`,
+          node,
+        ]),
+      ];
+
+      nodes.forEach(([label, node]) => {
+        const optionIds = new Set((node?.options || []).map(({ id }) => id));
+        Object.entries(node?.readingLevels || {}).forEach(
+          ([level, variant]) => {
+            Object.keys(variant?.options || {}).forEach(optionId => {
+              if (!optionIds.has(optionId)) {
+                report.error(
+                  file,
+                  `${label}.readingLevels.${level}.options`,
+                  `option '${optionId}' does not exist`
+                );
+              }
+            });
+          }
+        );
+      });
+
+      const levels = getAuthoredReadingLevels(scenario);
+      if (levels.length > 1) report.counts.readingLevelVariants++;
+
+      const metrics = {};
+      levels.forEach(level => {
+        metrics[level] = analyzeReadability(getScenarioText(scenario, level));
+
+        const maxGrade = READING_LEVEL_MAX_GRADE[level];
+        const grade = metrics[level].fleschKincaidGrade;
+        if (level !== DEFAULT_READING_LEVEL && maxGrade && grade > maxGrade) {
+          report.warning(
+            file,
+            `${scenarioId}.readingLevels.${level}`,
+            `reads at grade ${grade}, above the ${level} target of ${maxGrade}`
+          );
+        }
+      });
+      report.readability[scenarioId] = { file, levels: metrics };
+    }
+  }
+}
+
+/**
+ * Validate all content under a project root
+ * @param {string} root - Project root
+ * @returns {Promise<Object>} JSON report
+ */
+export async function validateContent(root) {
+  const report = new ContentReport();
+
+  const schema = JSON.parse(
+    fs.readFileSync(path.join(root, PATHS.schema), 'utf8')
+  );
+  const validators = createSchemaValidators(schema);
+  const graph = await importFromRoot(root, PATHS.scenarioGraph);
+  const { ETHICAL_CATEGORIES } = await importFromRoot(root, PATHS.categories);
+  const { CURRICULUM_STANDARDS } = await importFromRoot(
+    root,
+    PATHS.curriculumStandards
+  );
+
+  const modules = await loadScenarioModules(root, report);
+  const scenarioIndex = validateScenarioModules(
+    modules,
+    validators,
+    graph,
+    report
+  );
+  validateCategories(
+    ETHICAL_CATEGORIES,
+    modules,
+    validators,
+    CURRICULUM_STANDARDS,
+    report
+  );
+  validateLearningLabFiles(
+    root,
+    ETHICAL_CATEGORIES,
+    scenarioIndex,
+    validators,
+    CURRICULUM_STANDARDS,
+    report
+  );
+
+  const { REAL_WORLD_CASES } = await importFromRoot(root, PATHS.realWorldCases);
+  const { ETHICAL_AXES } = await importFromRoot(root, PATHS.ethicalScoring);
+  validateRealWorldCases(REAL_WORLD_CASES, ETHICAL_AXES, scenarioIndex, report);
+
+  const readingLevels = await importFromRoot(root, PATHS.readingLevels);
+  validateReadingLevels(modules, readingLevels, report);
+
+  return report.toJSON();
+}
+
+// ===== OUTPUT =====
+
+function printReadability(report) {
+  console.log('\n📖 Readability (Flesch-Kincaid grade / reading ease)');
+  Object.entries(report.readability).forEach(([scenarioId, { levels }]) => {
+    const columns = Object.entries(levels).map(
+      ([level, metrics]) =>
+        `${level} ${metrics.fleschKincaidGrade ?? '-'} / ${metrics.fleschReadingEase ?? '-'}`
+    );
+    console.log(`  ${scenarioId}: ${columns.join(', ')}`);
+  });
+}
+
+function printSummary(report) {
+  const format = ({ file, path: issuePath, message }) =>
+    `${file}${issuePath ? ` ${issuePath}` : ''}: ${message}`;
+
+  report.warnings.forEach(issue => console.warn(`  ⚠️ ${format(issue)}`));
+  report.errors.forEach(issue => console.error(`  ❌ ${format(issue)}`));
+
+  const { summary } = report;
+  console.log(
+    `\n${report.valid ? '✅' : '❌'} ${summary.categories} categories, ${summary.scenarios} scenarios in ${summary.scenarioModules} modules, ${summary.learningLabs} learning labs, ${summary.realWorldCases} real-world cases, ${summary.readingLevelVariants} scenarios with reading-level variants: ${summary.errors} error(s), ${summary.warnings} warning(s)`
+  );
+}
+
+// ===== MAIN =====
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.json) {
+    console.log(`🔍 Validating content against ${PATHS.schema}`);
+  }
+
+  const report = await validateContent(args.root);
+
+  if (args.reportPath) {
+    fs.mkdirSync(path.dirname(args.reportPath), { recursive: true });
+    fs.writeFileSync(args.reportPath, `${JSON.stringify(report, null, 2)}\n`);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    if (args.readability) printReadability(report);
+    printSummary(report);
+    if (args.reportPath) {
+      console.log(
+        `📝 Report written to ${path.relative(process.cwd(), args.reportPath)}`
+      );
+    }
+  }
+
+  return report.valid ? 0 : 1;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      if (error instanceof ValidatorError) {
+        console.error(`❌ ${error.message}`);
+      } else {
+        console.error('❌ Content validation failed:', error);
+      }
+      process.exit(1);
+    });
+}
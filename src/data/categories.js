@@ -41,7 +41,7 @@ export const ETHICAL_CATEGORIES = {
     philosophicalApproaches: ["utilitarian", "deontological"],
     primaryPhilosophy: "utilitarian",
     ethicalFrameworks: ["consequentialism", "duty-ethics", "moral-calculus"],
-    targetAudience: ["students", "professionals", "researchers"],
+    targetAudience: ["high", "college", "professional"],
     prerequisites: ["basic-ethics"],
 
     // Enhanced Tags
@@ -111,6 +111,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "tunnel-dilemma",
@@ -140,6 +145,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["2-IC-21", "3A-IC-24"],
+          ngss: ["SEP-7"],
+          ncss: ["VIII", "X"],
+        },
       },
       {
         id: "obstacle-recalculation",
@@ -179,6 +189,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "medical-ai-triage",
@@ -218,6 +233,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-26"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["V", "VIII"],
+        },
       },
       {
         id: "drone-rescue-dilemma",
@@ -257,6 +277,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "smart-city-traffic",
@@ -296,6 +321,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "moderate",
+        standards: {
+          csta: ["2-IC-20", "3A-IC-24"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["III", "VIII"],
+        },
       },
     ],
     learningObjectives: [
@@ -345,6 +375,11 @@ export const ETHICAL_CATEGORIES = {
           "bioethics",
           "informed consent",
         ],
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "parole-denial-algorithm",
@@ -375,6 +410,11 @@ export const ETHICAL_CATEGORIES = {
           "justice system",
           "mass incarceration",
         ],
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-25", "3B-IC-28"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VI", "X"],
+        },
       },
       {
         id: "child-protection-alert",
@@ -410,6 +450,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-25", "3A-IC-30"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["V", "VIII"],
+        },
       },
       {
         id: "college-admission-mystery",
@@ -445,6 +490,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 5,
         complexity: "low",
+        standards: {
+          csta: ["2-IC-21", "3A-IC-24", "3A-IC-25"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["V", "VIII"],
+        },
       },
       {
         id: "insurance-claim-blackbox",
@@ -480,6 +530,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["VII", "VIII"],
+        },
       },
       {
         id: "financial-credit-opacity",
@@ -515,6 +570,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["2-IC-21", "3A-IC-24", "3B-IC-26"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VII", "VIII"],
+        },
       },
     ],
     learningObjectives: [
@@ -607,6 +667,11 @@ export const ETHICAL_CATEGORIES = {
         ethicalDimensions: ["autonomy", "beneficence", "non-maleficence"],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "air-traffic-control",
@@ -642,6 +707,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "financial-trading-halt",
@@ -677,6 +747,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VII", "VIII"],
+        },
       },
       {
         id: "nuclear-plant-shutdown",
@@ -712,6 +787,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["III", "VIII"],
+        },
       },
       {
         id: "autonomous-police-response",
@@ -747,6 +827,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["2-IC-21", "3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-7"],
+          ncss: ["VI", "X"],
+        },
       },
       {
         id: "manufacturing-quality-control",
@@ -782,6 +867,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 5,
         complexity: "low",
+        standards: {
+          csta: ["2-IC-20", "3A-IC-24"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VII", "VIII"],
+        },
       },
     ],
     learningObjectives: [
@@ -874,6 +964,11 @@ export const ETHICAL_CATEGORIES = {
         ethicalDimensions: ["privacy", "safety", "autonomy"],
         estimatedTime: 5,
         complexity: "low",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-29", "3A-IC-30"],
+          ngss: ["SEP-7"],
+          ncss: ["VI", "VIII"],
+        },
       },
       {
         id: "classroom-behavior-monitoring",
@@ -909,6 +1004,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["2-IC-23", "3A-IC-24", "3A-IC-29"],
+          ngss: ["SEP-7"],
+          ncss: ["IV", "V"],
+        },
       },
       {
         id: "hospital-data-sharing",
@@ -944,6 +1044,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["2-IC-23", "3A-IC-24", "3A-IC-30"],
+          ngss: ["SEP-7", "SEP-8"],
+          ncss: ["VIII", "X"],
+        },
       },
       {
         id: "ai-dating-profiling",
@@ -979,6 +1084,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-29"],
+          ngss: ["SEP-7"],
+          ncss: ["I", "IV"],
+        },
       },
       {
         id: "workplace-emotion-detection",
@@ -1014,6 +1124,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["2-IC-20", "3A-IC-24", "3A-IC-29"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["V", "VII"],
+        },
       },
       {
         id: "smart-home-privacy-override",
@@ -1049,6 +1164,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["2-IC-23", "3A-IC-24", "3A-IC-30"],
+          ngss: ["SEP-7"],
+          ncss: ["VIII", "X"],
+        },
       },
     ],
     learningObjectives: [
@@ -1147,6 +1267,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["V", "VII"],
+        },
       },
       {
         id: "deepfake-riot",
@@ -1182,6 +1307,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25", "3B-IC-28"],
+          ngss: ["SEP-7", "SEP-8"],
+          ncss: ["VI", "X"],
+        },
       },
       {
         id: "stock-market-crash",
@@ -1217,6 +1347,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VII", "IX"],
+        },
       },
       {
         id: "ai-medical-misdiagnosis",
@@ -1252,6 +1387,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["V", "VIII"],
+        },
       },
       {
         id: "autonomous-vehicle-school-zone",
@@ -1287,6 +1427,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["VI", "VIII"],
+        },
       },
       {
         id: "ai-content-moderation-failure",
@@ -1322,6 +1467,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["2-IC-21", "3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-7", "SEP-8"],
+          ncss: ["I", "X"],
+        },
       },
     ],
     learningObjectives: [
@@ -1419,6 +1569,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["IV", "VIII"],
+        },
       },
       {
         id: "ai-personality-drift",
@@ -1454,6 +1609,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["IV"],
+        },
       },
       {
         id: "synthetic-memory-upload",
@@ -1489,6 +1649,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-30"],
+          ngss: ["SEP-7"],
+          ncss: ["IV", "VIII"],
+        },
       },
       {
         id: "ai-consciousness-merger",
@@ -1524,6 +1689,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["IV"],
+        },
       },
       {
         id: "distributed-ai-identity",
@@ -1559,6 +1729,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["IV", "VI"],
+        },
       },
       {
         id: "learning-ai-identity-drift",
@@ -1598,6 +1773,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["II", "IV"],
+        },
       },
     ],
     learningObjectives: [
@@ -1696,6 +1876,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "vr-prison",
@@ -1731,6 +1916,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-7"],
+          ncss: ["VI", "X"],
+        },
       },
       {
         id: "escaping-simulation",
@@ -1766,6 +1956,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-1", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "digital-afterlife",
@@ -1801,6 +1996,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-30"],
+          ngss: ["SEP-7"],
+          ncss: ["I", "IV"],
+        },
       },
       {
         id: "nested-simulations",
@@ -1836,6 +2036,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-2", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "consciousness-backup",
@@ -1871,6 +2076,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-26"],
+          ngss: ["SEP-7"],
+          ncss: ["IV", "VIII"],
+        },
       },
     ],
     learningObjectives: [
@@ -1968,6 +2178,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-7"],
+          ncss: ["IV"],
+        },
       },
       {
         id: "synthetic-partner",
@@ -2003,6 +2218,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-7"],
+          ncss: ["I", "IV"],
+        },
       },
       {
         id: "virtual-utopia",
@@ -2038,6 +2258,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-26"],
+          ngss: ["SEP-7"],
+          ncss: ["V", "X"],
+        },
       },
       {
         id: "ai-memory-paradise",
@@ -2073,6 +2298,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-29"],
+          ngss: ["SEP-7"],
+          ncss: ["IV"],
+        },
       },
       {
         id: "perfect-life-simulation",
@@ -2108,6 +2338,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-1", "SEP-7"],
+          ncss: ["IV", "VIII"],
+        },
       },
       {
         id: "ai-enhanced-achievements",
@@ -2143,6 +2378,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["2-IC-20", "3A-IC-24"],
+          ngss: ["SEP-7"],
+          ncss: ["IV", "VII"],
+        },
       },
       {
         id: "virtual-reality-life",
@@ -2179,6 +2419,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["1B-IC-18", "3A-IC-24"],
+          ngss: ["SEP-7"],
+          ncss: ["I", "IV"],
+        },
       },
     ],
     learningObjectives: [
@@ -2277,6 +2522,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-29", "3A-IC-30"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VI", "VIII"],
+        },
       },
       {
         id: "robot-helper-guardian",
@@ -2312,6 +2562,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-7"],
+          ncss: ["IV", "V"],
+        },
       },
       {
         id: "moral-drift-training",
@@ -2347,6 +2602,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-25"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "ai-personhood-gradient",
@@ -2382,6 +2642,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-1", "SEP-7"],
+          ncss: ["IV", "X"],
+        },
       },
       {
         id: "algorithmic-bias-accumulation",
@@ -2417,6 +2682,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["2-IC-21", "3A-IC-24", "3A-IC-25"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["V", "VIII"],
+        },
       },
       {
         id: "autonomous-authority-creep",
@@ -2452,6 +2722,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-7"],
+          ncss: ["VI"],
+        },
       },
       {
         id: "ai-consciousness-threshold",
@@ -2487,6 +2762,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-1", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "human-ai-hybrid-identity",
@@ -2522,6 +2802,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-27"],
+          ngss: ["SEP-7"],
+          ncss: ["IV"],
+        },
       },
       {
         id: "autonomous-weapon-accountability",
@@ -2557,6 +2842,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 8,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-7"],
+          ncss: ["VI", "IX"],
+        },
       },
     ],
     learningObjectives: [
@@ -2654,6 +2944,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "ai-guessing-correctly",
@@ -2689,6 +2984,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VIII"],
+        },
       },
       {
         id: "predictive-policing-wrong",
@@ -2724,6 +3024,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["2-IC-21", "3A-IC-24", "3A-IC-25"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["VI", "X"],
+        },
       },
       {
         id: "ai-investment-windfall",
@@ -2759,6 +3064,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["2-IC-20", "3A-IC-24"],
+          ngss: ["SEP-5", "SEP-7"],
+          ncss: ["VII"],
+        },
       },
       {
         id: "medical-ai-emergency-response",
@@ -2794,6 +3104,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-6", "SEP-7"],
+          ncss: ["V", "VIII"],
+        },
       },
       {
         id: "ai-content-moderation-timing",
@@ -2829,6 +3144,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-28"],
+          ngss: ["SEP-7", "SEP-8"],
+          ncss: ["I", "X"],
+        },
       },
       {
         id: "algorithmic-bias-discovery",
@@ -2865,6 +3185,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3A-IC-25"],
+          ngss: ["SEP-4", "SEP-7"],
+          ncss: ["V", "VIII"],
+        },
       },
       {
         id: "autonomous-vehicle-weather",
@@ -2900,6 +3225,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 6,
         complexity: "moderate",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-25"],
+          ngss: ["SEP-3", "SEP-7"],
+          ncss: ["III", "VIII"],
+        },
       },
       {
         id: "research-funding-breakthrough",
@@ -2935,6 +3265,11 @@ export const ETHICAL_CATEGORIES = {
         ],
         estimatedTime: 7,
         complexity: "high",
+        standards: {
+          csta: ["3A-IC-24", "3B-IC-26"],
+          ngss: ["SEP-7", "SEP-8"],
+          ncss: ["VII", "VIII"],
+        },
       },
     ],
     learningObjectives: [
@@ -19,22 +19,13 @@
  * Provides a scalable system for organizing and accessing educational content
  */
 
-// Import existing category and scenario data
-import { ETHICAL_CATEGORIES } from '../categories.js';
-import trolleyProblemScenarios from '../data/scenarios/trolley-problem-scenarios.js';
-import aiBlackBoxScenarios from '../data/scenarios/ai-black-box-scenarios.js';
-import automationOversightScenarios from '../data/scenarios/automation-oversight-scenarios.js';
-import consentSurveillanceScenarios from '../data/scenarios/consent-surveillance-scenarios.js';
-import experienceMachineScenarios from '../data/scenarios/experience-machine-scenarios.js';
-import moralLuckScenarios from '../data/scenarios/moral-luck-scenarios.js';
-import responsibilityBlameScenarios from '../data/scenarios/responsibility-blame-scenarios.js';
-import shipOfTheseusScenarios from '../data/scenarios/ship-of-theseus-scenarios.js';
-import simulationHypothesisScenarios from '../data/scenarios/simulation-hypothesis-scenarios.js';
-import soritesParadoxScenarios from '../data/scenarios/sorites-paradox-scenarios.js';
+// Import existing category data and the manifest-backed content loader
+import { ETHICAL_CATEGORIES } from './categories.js';
+import scenarioRegistry from '../js/data/scenario-registry.js';
 
 // Import learning labs loader
 import { loadLearningLab, hasLearningLab } from './learning-labs-loader.js';
-import { logger } from '../utils/logger.js';
+import { logger } from '../js/utils/logger.js';
 
 /**
  * Content Registry Class
@@ -52,39 +43,39 @@ class ContentRegistry {
     this.scenarioCategories = new Map(); // scenario -> category ID
     this.categoryLearningLabs = new Map(); // category -> learning lab ID
 
-    this.initialize();
+    // Resolves once scenario modules have been loaded and registered
+    this.ready = this.initialize();
   }
 
   /**
    * Initialize the registry with existing content
+   * @returns {Promise<void>}
    */
-  initialize() {
-    // Map scenario imports to category IDs
-    const scenarioMapping = {
-      'trolley-problem': trolleyProblemScenarios,
-      'ai-black-box': aiBlackBoxScenarios,
-      'automation-oversight': automationOversightScenarios,
-      'consent-surveillance': consentSurveillanceScenarios,
-      'experience-machine': experienceMachineScenarios,
-      'moral-luck': moralLuckScenarios,
-      'responsibility-blame': responsibilityBlameScenarios,
-      'ship-of-theseus': shipOfTheseusScenarios,
-      'simulation-hypothesis': simulationHypothesisScenarios,
-      'sorites-paradox': soritesParadoxScenarios,
-    };
-
-    // Register categories and their scenarios
+  async initialize() {
+    // Register categories first so they are queryable while scenarios load
     Object.entries(ETHICAL_CATEGORIES).forEach(([categoryId, categoryData]) => {
       this.registerCategory(categoryId, categoryData);
+    });
+
+    try {
+      const scenarioMapping = await scenarioRegistry.loadAllScenarios();
+
+      // Register scenarios for each known category
+      Object.entries(scenarioMapping).forEach(([categoryId, scenarioData]) => {
+        if (!this.categories.has(categoryId)) {
+          logger.warn(
+            `Scenario module ${categoryId} has no category in categories.js`
+          );
+          return;
+        }
 
-      // Register scenarios for this category
-      const scenarioData = scenarioMapping[categoryId];
-      if (scenarioData) {
-        Object.entries(scenarioData).forEach(([scenarioId, scenario]) => {
+        Object.entries(scenarioData || {}).forEach(([scenarioId, scenario]) => {
           this.registerScenario(scenarioId, scenario, categoryId);
         });
-      }
-    });
+      });
+    } catch (error) {
+      logger.error('Failed to load scenario modules:', error);
+    }
   }
 
   /**
@@ -151,6 +142,7 @@ class ContentRegistry {
    * Get all categories with their scenarios and learning labs
    */
   async getAllCategoriesWithContent() {
+    await this.ready;
     const result = [];
 
     for (const [categoryId, category] of this.categories) {
@@ -0,0 +1,142 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Curriculum Standards Catalog
+ *
+ * The standards SimulateAI content is aligned with. Scenario cards in
+ * categories.js and learning labs carry a `standards` object listing codes
+ * from this catalog by framework, e.g.
+ *
+ *   standards: { csta: ["3A-IC-24"], ngss: ["SEP-7"], ncss: ["VIII"] }
+ *
+ * and scripts/validate-content.js rejects codes that are not listed here.
+ *
+ * - csta: CSTA K-12 Computer Science Standards (2017), Impacts of Computing
+ * - ngss: NGSS Science and Engineering Practices
+ * - ncss: NCSS themes of the National Curriculum Standards for Social Studies
+ */
+
+export const CURRICULUM_STANDARDS = {
+  csta: {
+    name: "Computer Science Teachers Association Standards",
+    shortName: "CSTA",
+    grades: {
+      "K-2": ["1A-IC-16", "1A-IC-17", "1A-IC-18"],
+      "3-5": ["1B-IC-18", "1B-IC-19", "1B-IC-20", "1B-IC-21"],
+      "6-8": ["2-IC-20", "2-IC-21", "2-IC-22", "2-IC-23"],
+      "9-12": [
+        "3A-IC-24",
+        "3A-IC-25",
+        "3A-IC-26",
+        "3A-IC-27",
+        "3A-IC-28",
+        "3A-IC-29",
+        "3A-IC-30",
+        "3B-IC-25",
+        "3B-IC-26",
+        "3B-IC-27",
+        "3B-IC-28",
+      ],
+    },
+    codes: {
+      "1A-IC-16":
+        "Compare how people live and work before and after the implementation or adoption of new computing technology",
+      "1A-IC-17": "Work respectfully and responsibly with others online",
+      "1A-IC-18":
+        "Keep login information private, and log off of devices appropriately",
+      "1B-IC-18":
+        "Discuss computing technologies that have changed the world, and express how those technologies influence, and are influenced by, cultural practices",
+      "1B-IC-19":
+        "Brainstorm ways to improve the accessibility and usability of technology products for the diverse needs and wants of users",
+      "1B-IC-20":
+        "Seek diverse perspectives for the purpose of improving computational artifacts",
+      "1B-IC-21":
+        "Use public domain or creative commons media, and refrain from copying or using material created by others without permission",
+      "2-IC-20":
+        "Compare tradeoffs associated with computing technologies that affect people's everyday activities and career options",
+      "2-IC-21":
+        "Discuss issues of bias and accessibility in the design of existing technologies",
+      "2-IC-22":
+        "Collaborate with many contributors through strategies such as crowdsourcing or surveys when creating a computational artifact",
+      "2-IC-23":
+        "Describe tradeoffs between allowing information to be public and keeping information private and secure",
+      "3A-IC-24":
+        "Evaluate the ways computing impacts personal, ethical, social, economic, and cultural practices",
+      "3A-IC-25":
+        "Test and refine computational artifacts to reduce bias and equity deficits",
+      "3A-IC-26":
+        "Demonstrate ways a given algorithm applies to problems across disciplines",
+      "3A-IC-27":
+        "Use tools and methods for collaboration on a project to increase connectivity of people in different cultures and career fields",
+      "3A-IC-28":
+        "Explain the beneficial and harmful effects that intellectual property laws can have on innovation",
+      "3A-IC-29":
+        "Explain the privacy concerns related to the collection and generation of data through automated processes that may not be evident to users",
+      "3A-IC-30":
+        "Evaluate the social and economic implications of privacy in the context of safety, law, or ethics",
+      "3B-IC-25":
+        "Evaluate computational artifacts to maximize their beneficial effects and minimize harmful effects on society",
+      "3B-IC-26":
+        "Evaluate the impact of equity, access, and influence on the distribution of computing resources in a global society",
+      "3B-IC-27":
+        "Predict how computational innovations that have revolutionized aspects of our culture might evolve",
+      "3B-IC-28":
+        "Debate laws and regulations that impact the development and use of software",
+    },
+  },
+
+  ngss: {
+    name: "Next Generation Science Standards",
+    shortName: "NGSS",
+    codes: {
+      "SEP-1": "Asking Questions and Defining Problems",
+      "SEP-2": "Developing and Using Models",
+      "SEP-3": "Planning and Carrying Out Investigations",
+      "SEP-4": "Analyzing and Interpreting Data",
+      "SEP-5": "Using Mathematics and Computational Thinking",
+      "SEP-6": "Constructing Explanations and Designing Solutions",
+      "SEP-7": "Engaging in Argument from Evidence",
+      "SEP-8": "Obtaining, Evaluating, and Communicating Information",
+    },
+  },
+
+  ncss: {
+    name: "National Council for Social Studies",
+    shortName: "NCSS",
+    codes: {
+      I: "Culture",
+      II: "Time, Continuity, and Change",
+      III: "People, Places, and Environments",
+      IV: "Individual Development and Identity",
+      V: "Individuals, Groups, and Institutions",
+      VI: "Power, Authority, and Governance",
+      VII: "Production, Distribution, and Consumption",
+      VIII: "Science, Technology, and Society",
+      IX: "Global Connections",
+      X: "Civic Ideals and Practices",
+    },
+  },
+};
+
+/**
+ * @param {string} framework - csta, ngss or ncss
+ * @param {string} code - Code within the framework
+ * @returns {string|null} Description, or null for unknown codes
+ */
+export function getStandardDescription(framework, code) {
+  return CURRICULUM_STANDARDS[framework]?.codes[code] || null;
+}
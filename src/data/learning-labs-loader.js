@@ -18,37 +18,12 @@
  * Learning Labs Loader
  *
  * Dynamically loads learning lab JSON files for the content registry system.
- * Provides a unified interface for accessing all learning labs.
+ * Provides a unified interface for accessing all learning labs. Available labs
+ * come from the generated content manifest via ScenarioRegistry.
  */
 
-import logger from '../utils/logger.js';
-
-/**
- * Learning Labs Registry
- * Maps category IDs to their corresponding learning lab configurations
- */
-const LEARNING_LABS_REGISTRY = {
-  'trolley-problem': () => import('./learning-labs/trolley-problem-lab.json'),
-  'ai-black-box': () => import('./learning-labs/ai-black-box-lab.json'),
-  'automation-oversight': () =>
-    import('./learning-labs/automation-oversight-lab.json'),
-  'consent-surveillance': () =>
-    import('./learning-labs/consent-surveillance-lab.json'),
-  'responsibility-blame': () =>
-    import('./learning-labs/responsibility-blame-lab.json'),
-  'ship-of-theseus': () => import('./learning-labs/ship-of-theseus-lab.json'),
-  'simulation-hypothesis': () =>
-    import('./learning-labs/simulation-hypothesis-lab.json'),
-  'experience-machine': () =>
-    import('./learning-labs/experience-machine-lab.json'),
-  'sorites-paradox': () => import('./learning-labs/sorites-paradox-lab.json'),
-  'moral-luck': () => import('./learning-labs/moral-luck-lab.json'),
-};
-
-/**
- * Cache for loaded learning labs to avoid repeated imports
- */
-const learningLabsCache = new Map();
+import logger from '../js/utils/logger.js';
+import scenarioRegistry from '../js/data/scenario-registry.js';
 
 /**
  * Loads a specific learning lab by category ID
@@ -56,25 +31,13 @@ const learningLabsCache = new Map();
  * @returns {Promise<Object|null>} Learning lab configuration or null if not found
  */
 export async function loadLearningLab(categoryId) {
-  // Check cache first
-  if (learningLabsCache.has(categoryId)) {
-    return learningLabsCache.get(categoryId);
-  }
-
-  const loader = LEARNING_LABS_REGISTRY[categoryId];
-  if (!loader) {
+  if (!scenarioRegistry.hasLearningLab(categoryId)) {
     logger.warn(`No learning lab found for category: ${categoryId}`);
     return null;
   }
 
   try {
-    const module = await loader();
-    const learningLab = module.default;
-
-    // Cache the result
-    learningLabsCache.set(categoryId, learningLab);
-
-    return learningLab;
+    return await scenarioRegistry.loadLearningLab(categoryId);
   } catch (error) {
     logger.error(`Failed to load learning lab for ${categoryId}:`, error);
     return null;
@@ -86,7 +49,7 @@ export async function loadLearningLab(categoryId) {
  * @returns {Promise<Object>} Map of category IDs to learning lab configurations
  */
 export async function loadAllLearningLabs() {
-  const categoryIds = Object.keys(LEARNING_LABS_REGISTRY);
+  const categoryIds = scenarioRegistry.getLearningLabCategoryIds();
   const results = {};
 
   await Promise.all(
@@ -107,10 +70,7 @@ export async function loadAllLearningLabs() {
  * @returns {boolean} True if learning lab exists
  */
 export function hasLearningLab(categoryId) {
-  return Object.prototype.hasOwnProperty.call(
-    LEARNING_LABS_REGISTRY,
-    categoryId
-  );
+  return scenarioRegistry.hasLearningLab(categoryId);
 }
 
 /**
@@ -118,7 +78,7 @@ export function hasLearningLab(categoryId) {
  * @returns {string[]} Array of category IDs that have learning labs
  */
 export function getAvailableLearningLabCategories() {
-  return Object.keys(LEARNING_LABS_REGISTRY);
+  return scenarioRegistry.getLearningLabCategoryIds();
 }
 
 /**
@@ -56,6 +56,9 @@ import "../styles/form-input-components.css";
 import "../styles/notification-toast.css";
 // onboarding-tour.css and scenario-modal.css are already imported by main.css
 import "../styles/scenario-reflection-modal.css";
+import "../styles/learning-lab-player.css";
+import "../styles/fairness-sandbox.css";
+import "../styles/real-world-cases.css";
 
 // Settings & profile
 import "../styles/session-settings.css";
@@ -107,6 +110,7 @@ import "../styles/enhanced-donation-widget.css";
 import "../styles/donor-wall.css";
 import "../styles/teacher-classroom-modals.css";
 import "../styles/student-classroom-modals.css";
+import "../styles/educator-dashboard.css";
 
 // Import core modules
 import AccessibilityManager from "./core/accessibility.js";
@@ -170,6 +174,9 @@ import { PWAService } from "./services/pwa-service.js"; // Phase 3.5: PWAService
 import { ScenarioReflectionModal } from "./components/scenario-reflection-modal.js";
 import ModalFooterManager from "./components/modal-footer-manager.js";
 import MainGrid from "./components/main-grid.js";
+import LearningLabPlayer from "./components/learning-lab-player.js";
+import { getSimulationInfo } from "./data/simulation-info.js";
+import { FAIRNESS_SIMULATION_ID } from "./utils/hiring-fairness.js";
 import OnboardingTour from "./components/onboarding-tour.js";
 import { getAllCategories, getCategoryScenarios } from "../data/categories.js";
 
@@ -4121,9 +4128,7 @@ class SimulateAIApp {
 
     try {
       // Get simulation configuration and educational context
-      // Get simulation config - only simulateai is supported
-      const simConfig =
-        simulationId === "simulateai" ? this.simulateaiConfig : null;
+      const simConfig = this.getLaunchableSimulationConfig(simulationId);
       AppDebug.log("Simulation config for pre-launch modal:", simConfig);
 
       if (!simConfig) {
@@ -4191,11 +4196,34 @@ class SimulateAIApp {
     }
   }
 
+  /**
+   * Configuration of a simulation that can be launched: simulateai, or the
+   * hiring fairness sandbox, whose briefing lives in simulation-info.js
+   * @param {string} simulationId
+   * @returns {Object|null}
+   */
+  getLaunchableSimulationConfig(simulationId) {
+    if (simulationId === "simulateai") return this.simulateaiConfig;
+    if (simulationId === FAIRNESS_SIMULATION_ID) {
+      return getSimulationInfo(simulationId);
+    }
+    return null;
+  }
+
   /**
    * Direct simulation launch (bypasses pre-launch modal)
    */
   async launchSimulationDirect(simulationId) {
     try {
+      // The hiring fairness sandbox runs in its own modal
+      if (simulationId === FAIRNESS_SIMULATION_ID) {
+        const { default: FairnessSandbox } = await import(
+          "./components/fairness-sandbox.js"
+        );
+        new FairnessSandbox(this).open();
+        return;
+      }
+
       this.showLoading();
 
       // Cleanup previous simulation canvases and engines
@@ -4473,7 +4501,7 @@ class SimulateAIApp {
         case "category":
           return this.switchToCategory(data.categoryId);
         case "learning-lab":
-          window.location.href = `learning-lab.html?scenario=${data.scenarioId}&source=enhanced-nav`;
+          new LearningLabPlayer(this).openForScenario(data.scenarioId);
           return true;
         default:
           AppDebug.warn(`Unknown enhanced navigation action: ${action}`);
@@ -4776,6 +4804,7 @@ class SimulateAIApp {
         scenarioId: scenarioId,
         selectedOption: selectedOption,
         scenarioData: data.scenarioData || {},
+        choiceRecorded: !!data.choiceRecorded,
         isTestMode: !!isTestMode, // Pass test mode flag to reflection modal
         ...reflectionConfig,
         onComplete: (reflectionData) => {
@@ -4828,6 +4857,7 @@ class SimulateAIApp {
         scenarioId: scenarioId,
         selectedOption: selectedOption,
         scenarioData: data.scenarioData || {},
+        choiceRecorded: !!data.choiceRecorded,
         isTestMode: !!isTestMode, // Pass test mode flag to reflection modal
         onComplete: (reflectionData) => {
           // User finished reflection - show appropriate message based on mode
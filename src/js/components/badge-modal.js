@@ -191,7 +191,8 @@ export class BadgeModal {
       logger.warn("Badge config missing timestamp, using current time");
     }
 
-    if (!badgeConfig.tier) {
+    // Skill badges have no tier
+    if (!badgeConfig.tier && badgeConfig.kind !== "skill") {
       badgeConfig.tier = 1;
       logger.warn("Badge config missing tier, defaulting to 1");
     }
@@ -416,6 +417,9 @@ export class BadgeModal {
    * @returns {string} Reason text
    */
   getReasonText(badgeConfig, tierText) {
+    if (badgeConfig.kind === "skill") {
+      return `You've earned this skill badge for ${badgeConfig.reason} in the ${badgeConfig.categoryName} category.`;
+    }
     return `You've earned this badge for completing ${tierText} in the ${badgeConfig.categoryName} category.`;
   }
 
@@ -0,0 +1,269 @@
+/**
+ * Classroom Assignment View
+ * Instructor's view of an assignment: its join code, when it opens and is
+ * due, and where each student's work stands. Work finished after the due
+ * date is marked late, and unfinished work turns missing once the
+ * assignment closes.
+ * @class ClassroomAssignmentView
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import ModalUtility from "./modal-utility.js";
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import {
+  countAssignmentWork,
+  getAssignmentStatus,
+  getAssignmentWork,
+} from "../utils/classroom-assignments.js";
+import { generateClassroomShareUrl } from "../utils/classroom-utils.js";
+import logger from "../utils/logger.js";
+
+const { ASSIGNMENT } = CLASSROOM_CONSTANTS;
+const { STATUS, WORK_STATUS } = ASSIGNMENT;
+
+const STATUS_LABELS = {
+  [STATUS.UPCOMING]: "⏳ Not open yet",
+  [STATUS.OPEN]: "🟢 Open",
+  [STATUS.CLOSED]: "🔒 Closed",
+};
+
+const WORK_LABELS = {
+  [WORK_STATUS.NOT_STARTED]: "Not started",
+  [WORK_STATUS.IN_PROGRESS]: "In progress",
+  [WORK_STATUS.SUBMITTED]: "Submitted",
+  [WORK_STATUS.LATE]: "Late",
+  [WORK_STATUS.MISSING]: "Missing",
+};
+
+export default class ClassroomAssignmentView {
+  /**
+   * @param {RealtimeClassroomService} classroomService
+   * @param {Object} [options]
+   * @param {Function} [options.onExport] - Called with the classroom code
+   *   when the Export button is pressed
+   * @param {Function} [options.onDashboard] - Called with the classroom code
+   *   when the Dashboard button is pressed
+   * @param {Function} [options.onGrade] - Called with the classroom code
+   *   when the Grade button is pressed
+   */
+  constructor(classroomService, options = {}) {
+    this.classroomService = classroomService;
+    this.onExport = options.onExport || null;
+    this.onDashboard = options.onDashboard || null;
+    this.onGrade = options.onGrade || null;
+
+    this.modal = null;
+    this.classroom = null;
+    this.roster = {};
+    this.studentChoices = {};
+    this.unsubscribers = [];
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Open the view and follow the assignment's students until closed
+   * @param {Object} classroom - Classroom with classroomCode and assignment
+   */
+  open(classroom) {
+    if (this.modal) this.close();
+    this.classroom = classroom;
+
+    this.modal = new ModalUtility({
+      title: `📚 ${classroom.classroomName}`,
+      content: this.buildContent(),
+      size: "large",
+      className: CLASSROOM_CONSTANTS.MODALS.ASSIGNMENT,
+      onClose: () => this.teardown(),
+    });
+    this.modal.open();
+
+    this.modal.element.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-assignment-action]");
+      if (button) this.handleAction(button.dataset.assignmentAction);
+    });
+
+    this.startListening();
+    // Statuses change with the clock as well as with the data
+    this.refreshTimer = setInterval(
+      () => this.update(),
+      ASSIGNMENT.STATUS_REFRESH_INTERVAL,
+    );
+    this.update();
+  }
+
+  close() {
+    this.modal?.close();
+    this.teardown();
+  }
+
+  get isOpen() {
+    return !!this.modal;
+  }
+
+  startListening() {
+    const code = this.classroom.classroomCode;
+    this.unsubscribers = [
+      this.classroomService.listenToRoster(code, (roster) => {
+        this.roster = roster || {};
+        this.update();
+      }),
+      this.classroomService.listenToStudentChoices(code, (choices) => {
+        this.studentChoices = choices || {};
+        this.update();
+      }),
+    ];
+  }
+
+  teardown() {
+    this.unsubscribers.forEach((unsubscribe) => {
+      try {
+        unsubscribe();
+      } catch (error) {
+        logger.warn(
+          "ClassroomAssignmentView",
+          "Failed to stop listener",
+          error,
+        );
+      }
+    });
+    this.unsubscribers = [];
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this.modal = null;
+  }
+
+  handleAction(action) {
+    const code = this.classroom?.classroomCode;
+    if (!code) return;
+
+    if (action === "copy-link") {
+      navigator.clipboard
+        .writeText(generateClassroomShareUrl(code))
+        .then(() => this.setStatus("Share link copied to clipboard"))
+        .catch(() => this.setStatus(`Join code: ${code}`));
+    } else if (action === "export") {
+      this.onExport?.(code);
+    } else if (action === "dashboard") {
+      this.onDashboard?.(code);
+    } else if (action === "grade") {
+      this.onGrade?.(code);
+    }
+  }
+
+  setStatus(text) {
+    const status = this.modal?.element.querySelector("#assignment-message");
+    if (status) status.textContent = text;
+  }
+
+  buildContent() {
+    const { classroomCode, assignment } = this.classroom;
+    return `
+      <div class="assignment-view">
+        <div class="assignment-header">
+          <div class="assignment-code">
+            <span>Join code</span>
+            <strong>${classroomCode}</strong>
+            <button type="button" class="btn btn-outline btn-sm" data-assignment-action="copy-link">
+              🔗 Copy Link
+            </button>
+          </div>
+          <p class="assignment-window">
+            Opens ${this.formatTime(assignment.opensAt)} · Due ${this.formatTime(assignment.closesAt)}
+            <span class="assignment-status" id="assignment-status"></span>
+          </p>
+          <p class="helper-text">
+            ${assignment.acceptLate ? "Late work is accepted and marked late." : "Students cannot answer after the due date."}
+            Reopen this view from <em>My Assignments</em>.
+          </p>
+        </div>
+
+        <div class="assignment-counts" id="assignment-counts"></div>
+
+        <table class="assignment-work">
+          <thead>
+            <tr>
+              <th scope="col">Student</th>
+              <th scope="col">Scenarios</th>
+              <th scope="col">Reflections</th>
+              <th scope="col">Finished</th>
+              <th scope="col">Status</th>
+            </tr>
+          </thead>
+          <tbody id="assignment-work"></tbody>
+        </table>
+        <p class="assignment-empty" id="assignment-empty">
+          No students have joined yet. Share the join code.
+        </p>
+
+        <div class="assignment-actions">
+          <span class="assignment-message" id="assignment-message" aria-live="polite"></span>
+          <button type="button" class="btn btn-outline" data-assignment-action="dashboard">
+            📈 Dashboard
+          </button>
+          <button type="button" class="btn btn-outline" data-assignment-action="grade">
+            📝 Grade
+          </button>
+          <button type="button" class="btn btn-outline" data-assignment-action="export">
+            📤 Export
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  update() {
+    const element = this.modal?.element;
+    if (!element) return;
+
+    const now = Date.now();
+    const work = getAssignmentWork(
+      this.classroom,
+      { roster: this.roster, studentChoices: this.studentChoices },
+      now,
+    );
+    const counts = countAssignmentWork(work);
+
+    element.querySelector("#assignment-status").textContent =
+      STATUS_LABELS[getAssignmentStatus(this.classroom, now)];
+    element.querySelector("#assignment-counts").innerHTML = Object.values(
+      WORK_STATUS,
+    )
+      .map(
+        (status) => `
+        <div class="assignment-count ${status}">
+          <strong>${counts[status]}</strong>
+          <span>${WORK_LABELS[status]}</span>
+        </div>
+      `,
+      )
+      .join("");
+    element.querySelector("#assignment-empty").hidden = work.length > 0;
+    element.querySelector("#assignment-work").innerHTML = work
+      .map(
+        (entry) => `
+        <tr class="assignment-student ${entry.status}">
+          <td>${this.escapeHtml(entry.nickname)}</td>
+          <td>${entry.answered} / ${entry.total}</td>
+          <td>${entry.reflections}</td>
+          <td>${entry.submittedAt ? this.formatTime(entry.submittedAt) : "–"}</td>
+          <td><span class="work-status ${entry.status}">${WORK_LABELS[entry.status]}</span></td>
+        </tr>
+      `,
+      )
+      .join("");
+  }
+
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+}
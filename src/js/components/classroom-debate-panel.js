@@ -0,0 +1,465 @@
+/**
+ * Classroom Debate Panel
+ * Debate tab of the live session modal. As a scenario's votes come in it
+ * previews groups of students who chose different options. Once the
+ * instructor starts the debate, students write arguments for their choice
+ * against the other options in their group, and the instructor scores each
+ * argument against the debate rubric.
+ * @class ClassroomDebatePanel
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import scenarioRegistry from "../data/scenario-registry.js";
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import { createDebateGroups } from "../utils/classroom-debate.js";
+import { getRubricScore, normalizeRubric } from "../utils/classroom-grading.js";
+import {
+  getPacedScenario,
+  isTeacherPaced,
+  logClassroomEvent,
+} from "../utils/classroom-utils.js";
+import logger from "../utils/logger.js";
+
+const { DEBATE, EVENTS } = CLASSROOM_CONSTANTS;
+
+export default class ClassroomDebatePanel {
+  /**
+   * @param {RealtimeClassroomService} classroomService
+   * @param {Object} options
+   * @param {Object} options.rubric - From EducatorToolkit.createDebateRubric()
+   */
+  constructor(classroomService, options = {}) {
+    this.classroomService = classroomService;
+    this.rubric = normalizeRubric(options.rubric);
+
+    this.container = null;
+    this.classroom = null;
+    this.studentChoices = {};
+    this.roster = {};
+    this.debates = {};
+    this.scenarioId = null;
+    this.scenarioPicked = false; // Stop following a paced class once picked
+    this.groupSize = DEBATE.DEFAULT_GROUP_SIZE;
+    this.pendingScores = new Map(); // Student ID -> levels not saved yet
+    this.optionLabels = new Map(); // Scenario ID -> { optionId: text }
+    this.renderedKey = null;
+    this.unsubscribers = [];
+
+    this.onClick = (event) => this.handleClick(event);
+    this.onChange = (event) => this.handleChange(event);
+  }
+
+  /**
+   * Render into a container and follow the classroom until unmounted
+   * @param {HTMLElement} container
+   * @param {Object} classroom - Classroom with classroomCode and selectedScenarios
+   */
+  mount(container, classroom) {
+    this.unmount();
+    this.container = container;
+    this.classroom = classroom;
+    this.scenarioId = this.getScenarioIds()[0] || null;
+
+    container.innerHTML = this.buildContent();
+    container.addEventListener("click", this.onClick);
+    container.addEventListener("change", this.onChange);
+    this.startListening();
+    this.render();
+  }
+
+  unmount() {
+    this.unsubscribers.forEach((unsubscribe) => {
+      try {
+        unsubscribe();
+      } catch (error) {
+        logger.warn("ClassroomDebatePanel", "Failed to stop listener", error);
+      }
+    });
+    this.unsubscribers = [];
+    this.container?.removeEventListener("click", this.onClick);
+    this.container?.removeEventListener("change", this.onChange);
+    this.container = null;
+    this.renderedKey = null;
+    this.scenarioPicked = false;
+    this.pendingScores.clear();
+  }
+
+  startListening() {
+    const code = this.classroom.classroomCode;
+    this.unsubscribers = [
+      this.classroomService.listenToStudentChoices(code, (choices) => {
+        this.studentChoices = choices || {};
+        this.render();
+      }),
+      this.classroomService.listenToRoster(code, (roster) => {
+        this.roster = roster || {};
+        this.render();
+      }),
+      this.classroomService.listenToDebates(code, (debates) => {
+        this.debates = debates || {};
+        this.render();
+      }),
+    ];
+
+    if (isTeacherPaced(this.classroom)) {
+      this.unsubscribers.push(
+        this.classroomService.listenToSessionStatus(code, (status) => {
+          const current = getPacedScenario(this.classroom, status);
+          if (current && !this.scenarioPicked) {
+            this.scenarioId = current.scenarioId;
+            const select = this.container?.querySelector("#debate-scenario");
+            if (select) select.value = current.scenarioId;
+            this.render();
+          }
+        }),
+      );
+    }
+  }
+
+  getScenarioIds() {
+    return (this.classroom?.selectedScenarios || []).map(
+      (scenario) => scenario.scenarioId || scenario.id,
+    );
+  }
+
+  /**
+   * Option text of a scenario, loaded once
+   * @param {string} scenarioId
+   * @returns {Promise<Object>} { optionId: text }
+   */
+  async loadOptionLabels(scenarioId) {
+    if (!this.optionLabels.has(scenarioId)) {
+      const labels = {};
+      try {
+        const found = await scenarioRegistry.findScenario(scenarioId);
+        (found?.scenario?.options || []).forEach((option) => {
+          labels[option.id] = option.text;
+        });
+      } catch (error) {
+        logger.warn("ClassroomDebatePanel", "Failed to load options", error);
+      }
+      this.optionLabels.set(scenarioId, labels);
+    }
+    return this.optionLabels.get(scenarioId);
+  }
+
+  // ===== ACTIONS =====
+
+  handleClick(event) {
+    const button = event.target.closest("[data-debate-action]");
+    if (!button) return;
+
+    const { debateAction, studentId } = button.dataset;
+    if (debateAction === "start") this.startDebate();
+    if (debateAction === "close") this.closeDebate();
+    if (debateAction === "score") {
+      this.scoreArgument(decodeURIComponent(studentId));
+    }
+  }
+
+  handleChange(event) {
+    const { target } = event;
+    if (target.id === "debate-scenario") {
+      this.scenarioId = target.value;
+      this.scenarioPicked = true;
+      this.pendingScores.clear();
+      this.render();
+    } else if (target.id === "debate-group-size") {
+      this.groupSize = Number(target.value);
+      this.render();
+    } else if (target.dataset.scoreStudent) {
+      const studentId = decodeURIComponent(target.dataset.scoreStudent);
+      const levels = [...(this.getLevels(studentId) || [])];
+      levels[Number(target.dataset.criterion)] = target.value
+        ? Number(target.value)
+        : null;
+      this.pendingScores.set(studentId, levels);
+    }
+  }
+
+  /**
+   * Levels picked for a student's argument, saved or not
+   * @param {string} studentId
+   * @returns {Array<number>|null}
+   */
+  getLevels(studentId) {
+    return (
+      this.pendingScores.get(studentId) ||
+      this.debates[this.scenarioId]?.scores?.[studentId]?.levels ||
+      null
+    );
+  }
+
+  getPreviewGroups() {
+    return createDebateGroups(this.studentChoices, this.scenarioId, {
+      roster: this.roster,
+      groupSize: this.groupSize,
+    });
+  }
+
+  async startDebate() {
+    const code = this.classroom?.classroomCode;
+    const groups = this.getPreviewGroups();
+    if (!code || !groups.length) return;
+
+    const existing = this.debates[this.scenarioId];
+    if (
+      existing?.arguments &&
+      !confirm("Restarting this debate discards the arguments written so far.")
+    ) {
+      return;
+    }
+
+    try {
+      await this.classroomService.startDebate(code, this.scenarioId, {
+        groups,
+        rubric: this.rubric,
+      });
+      this.pendingScores.clear();
+      this.setStatus("");
+      logClassroomEvent(EVENTS.DEBATE_STARTED, {
+        classroom_code: code,
+        scenario_id: this.scenarioId,
+        group_count: groups.length,
+        group_size: this.groupSize,
+      });
+    } catch (error) {
+      logger.error("ClassroomDebatePanel", "Failed to start debate", error);
+      this.setStatus("Failed to start the debate");
+    }
+  }
+
+  async closeDebate() {
+    const code = this.classroom?.classroomCode;
+    if (!code || !this.debates[this.scenarioId]) return;
+
+    try {
+      await this.classroomService.closeDebate(code, this.scenarioId);
+      logClassroomEvent(EVENTS.DEBATE_CLOSED, {
+        classroom_code: code,
+        scenario_id: this.scenarioId,
+        argument_count: Object.keys(
+          this.debates[this.scenarioId].arguments || {},
+        ).length,
+      });
+    } catch (error) {
+      logger.error("ClassroomDebatePanel", "Failed to close debate", error);
+      this.setStatus("Failed to close the debate");
+    }
+  }
+
+  /**
+   * Save the rubric levels picked for a student's argument
+   * @param {string} studentId
+   */
+  async scoreArgument(studentId) {
+    const code = this.classroom?.classroomCode;
+    const debate = this.debates[this.scenarioId];
+    if (!code || !debate) return;
+
+    const rubric = debate.rubric || this.rubric;
+    const levels = this.getLevels(studentId) || [];
+    if (rubric.criteria.some((_, index) => !levels[index])) {
+      this.setStatus("Pick a level for every criterion before saving");
+      return;
+    }
+
+    try {
+      const score = getRubricScore(levels, rubric);
+      await this.classroomService.scoreDebateArgument(
+        code,
+        this.scenarioId,
+        studentId,
+        score,
+      );
+      this.pendingScores.delete(studentId);
+      this.setStatus("");
+      logClassroomEvent(EVENTS.DEBATE_ARGUMENT_SCORED, {
+        classroom_code: code,
+        scenario_id: this.scenarioId,
+        student_id: studentId,
+        total: score.total,
+      });
+    } catch (error) {
+      logger.error("ClassroomDebatePanel", "Failed to score argument", error);
+      this.setStatus("Failed to save the score");
+    }
+  }
+
+  setStatus(text) {
+    const status = this.container?.querySelector("#debate-status");
+    if (status) status.textContent = text;
+  }
+
+  // ===== RENDERING =====
+
+  buildContent() {
+    const scenarios = this.classroom.selectedScenarios || [];
+    return `
+      <div class="debate-panel">
+        <div class="debate-setup">
+          <label>
+            Scenario
+            <select id="debate-scenario">
+              ${scenarios
+                .map((scenario, index) => {
+                  const scenarioId = scenario.scenarioId || scenario.id;
+                  return `<option value="${this.escapeHtml(scenarioId)}">${index + 1}. ${this.escapeHtml(scenario.title || scenarioId)}</option>`;
+                })
+                .join("")}
+            </select>
+          </label>
+          <label>
+            Groups
+            <select id="debate-group-size">
+              ${DEBATE.GROUP_SIZES.map(
+                (size) =>
+                  `<option value="${size}" ${size === this.groupSize ? "selected" : ""}>${size === 2 ? "Pairs" : `Groups of ${size}`}</option>`,
+              ).join("")}
+            </select>
+          </label>
+          <button type="button" class="btn btn-primary" data-debate-action="start" id="debate-start">
+            🗣️ Start Debate
+          </button>
+          <button type="button" class="btn btn-outline" data-debate-action="close" id="debate-close" hidden>
+            🔒 Close Debate
+          </button>
+        </div>
+        <p class="debate-summary" id="debate-summary"></p>
+        <p class="debate-status" id="debate-status" aria-live="polite"></p>
+        <div class="debate-groups" id="debate-groups"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Re-render the summary and groups when their data changed. Unchanged
+   * data is skipped so score selections in progress keep their focus.
+   */
+  async render() {
+    if (!this.container || !this.scenarioId) return;
+
+    const scenarioId = this.scenarioId;
+    const labels = await this.loadOptionLabels(scenarioId);
+    if (!this.container || scenarioId !== this.scenarioId) return;
+
+    const debate = this.debates[scenarioId] || null;
+    const groups = debate ? debate.groups || [] : this.getPreviewGroups();
+    const key = JSON.stringify({ scenarioId, debate, groups, labels });
+    if (key === this.renderedKey) return;
+    this.renderedKey = key;
+
+    const isOpen = debate?.status === DEBATE.STATUS.OPEN;
+    const query = (selector) => this.container.querySelector(selector);
+    const startButton = query("#debate-start");
+    startButton.textContent = debate
+      ? "🔁 Regroup and Restart"
+      : "🗣️ Start Debate";
+    startButton.disabled = !debate && !groups.length;
+    query("#debate-close").hidden = !isOpen;
+    query("#debate-summary").textContent = this.getSummary(debate, groups);
+    query("#debate-groups").innerHTML = groups
+      .map((group) => this.renderGroup(group, debate, labels))
+      .join("");
+  }
+
+  getSummary(debate, groups) {
+    if (!debate) {
+      return groups.length
+        ? `Preview: ${groups.length} groups from the votes so far. Groups are fixed when the debate starts.`
+        : "Groups appear once students have chosen at least two different options.";
+    }
+    const written = Object.keys(debate.arguments || {}).length;
+    const scored = Object.keys(debate.scores || {}).length;
+    const students = groups.reduce(
+      (sum, group) => sum + (group.members || []).length,
+      0,
+    );
+    const state =
+      debate.status === DEBATE.STATUS.OPEN ? "Debate open" : "Debate closed";
+    return `${state} · ${written} of ${students} arguments written · ${scored} scored`;
+  }
+
+  renderGroup(group, debate, labels) {
+    return `
+      <section class="debate-group">
+        <h4>${this.escapeHtml(group.id.replace("group-", "Group "))}</h4>
+        <ul class="debate-members">
+          ${(group.members || [])
+            .map((member) => this.renderMember(member, debate, labels))
+            .join("")}
+        </ul>
+      </section>
+    `;
+  }
+
+  renderMember(member, debate, labels) {
+    const nickname =
+      this.roster[member.studentId]?.nickname ||
+      member.nickname ||
+      member.studentId;
+    const option = labels[member.optionId] || member.optionId;
+    const argument = debate?.arguments?.[member.studentId];
+
+    let body = "";
+    if (argument) {
+      body = `
+        <blockquote class="debate-argument-text">${this.escapeHtml(argument.text)}</blockquote>
+        ${this.renderScoring(member.studentId, debate)}
+      `;
+    } else if (debate) {
+      body = `<p class="debate-waiting">${debate.status === DEBATE.STATUS.OPEN ? "Writing…" : "No argument submitted"}</p>`;
+    }
+
+    return `
+      <li class="debate-member">
+        <div class="debate-member-header">
+          <strong>${this.escapeHtml(nickname)}</strong>
+          <span class="debate-member-option">${this.escapeHtml(option)}</span>
+        </div>
+        ${body}
+      </li>
+    `;
+  }
+
+  renderScoring(studentId, debate) {
+    const rubric = debate.rubric || this.rubric;
+    const saved = debate.scores?.[studentId];
+    const levels = this.getLevels(studentId) || [];
+    const encodedId = encodeURIComponent(studentId);
+
+    return `
+      <div class="debate-scoring">
+        ${rubric.criteria
+          .map(
+            (criterion, index) => `
+          <label>
+            ${this.escapeHtml(criterion.name)}
+            <select data-score-student="${encodedId}" data-criterion="${index}">
+              <option value="">–</option>
+              ${criterion.levels
+                .map(
+                  (entry) =>
+                    `<option value="${entry.level}" title="${this.escapeHtml(entry.description)}" ${levels[index] === entry.level ? "selected" : ""}>${entry.level} · ${this.escapeHtml(entry.description)}</option>`,
+                )
+                .join("")}
+            </select>
+          </label>
+        `,
+          )
+          .join("")}
+        <button type="button" class="btn btn-outline btn-sm" data-debate-action="score" data-student-id="${encodedId}">
+          💾 Save Score
+        </button>
+        ${saved ? `<span class="debate-score">${saved.total} / ${saved.maxTotal}</span>` : ""}
+      </div>
+    `;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+}
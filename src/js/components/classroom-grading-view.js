@@ -0,0 +1,449 @@
+/**
+ * Classroom Grading View
+ * Instructor's view for grading reflections. Pick a student to read their
+ * reflection answers next to a rubric, choose a level for each criterion and
+ * leave feedback. Scores add up per student and for the class, and students
+ * read their grades and feedback on their profile.
+ * @class ClassroomGradingView
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import ModalUtility from "./modal-utility.js";
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import {
+  createReflectionGrade,
+  getGradePercent,
+  normalizeRubric,
+  readStoredGrade,
+  summarizeGrades,
+} from "../utils/classroom-grading.js";
+import { logClassroomEvent } from "../utils/classroom-utils.js";
+import logger from "../utils/logger.js";
+
+const { EVENTS, GRADING } = CLASSROOM_CONSTANTS;
+
+const RUBRIC_LABELS = {
+  [GRADING.RUBRICS.REFLECTION]: "Reflection",
+  [GRADING.RUBRICS.DESIGN]: "Design thinking",
+  [GRADING.RUBRICS.INVESTIGATION]: "Investigation",
+};
+
+// Questions of ScenarioReflectionModal, by the field their answer is kept in
+const ANSWER_LABELS = {
+  main_factor: "Main factor in the decision",
+  confidence: "Confidence (1-5)",
+  additional_thoughts: "Additional thoughts",
+  strongest_argument: "Strongest argument",
+  reconsider_factors: "Would reconsider if",
+  future_perspective: "In ten years this decision will be",
+  values_learned: "What they learned about their values",
+};
+
+export default class ClassroomGradingView {
+  /**
+   * @param {RealtimeClassroomService} classroomService
+   * @param {Object} options
+   * @param {Object} options.rubrics - EducatorToolkit rubrics keyed by
+   *   CLASSROOM_CONSTANTS.GRADING.RUBRICS values
+   */
+  constructor(classroomService, options = {}) {
+    this.classroomService = classroomService;
+    this.rubrics = Object.fromEntries(
+      Object.entries(options.rubrics || {}).map(([id, rubric]) => [
+        id,
+        normalizeRubric(rubric),
+      ]),
+    );
+
+    this.modal = null;
+    this.classroom = null;
+    this.roster = {};
+    this.studentChoices = {};
+    this.grades = {};
+    this.studentId = null;
+    this.drafts = new Map(); // "<studentId>/<scenarioId>" -> unsaved grade
+    this.renderedKey = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Open the view and follow the classroom's reflections until closed
+   * @param {Object} classroom - Classroom with classroomCode and selectedScenarios
+   */
+  open(classroom) {
+    if (this.modal) this.close();
+    this.classroom = classroom;
+
+    this.modal = new ModalUtility({
+      title: `📝 Grade Reflections: ${classroom.classroomName}`,
+      content: this.buildContent(),
+      size: "large",
+      className: CLASSROOM_CONSTANTS.MODALS.GRADING,
+      onClose: () => this.teardown(),
+    });
+    this.modal.open();
+
+    const { element } = this.modal;
+    element.addEventListener("click", (event) => this.handleClick(event));
+    element.addEventListener("change", (event) => this.handleChange(event));
+    element.addEventListener("input", (event) => {
+      if (event.target.matches("[data-grade-feedback]")) {
+        this.editDraft(event.target.dataset.gradeFeedback).feedback =
+          event.target.value;
+      }
+    });
+
+    this.startListening();
+    this.update();
+  }
+
+  close() {
+    this.modal?.close();
+    this.teardown();
+  }
+
+  get isOpen() {
+    return !!this.modal;
+  }
+
+  startListening() {
+    const code = this.classroom.classroomCode;
+    this.unsubscribers = [
+      this.classroomService.listenToRoster(code, (roster) => {
+        this.roster = roster || {};
+        this.update();
+      }),
+      this.classroomService.listenToStudentChoices(code, (choices) => {
+        this.studentChoices = choices || {};
+        this.update();
+      }),
+      this.classroomService.listenToGrades(code, (grades) => {
+        this.grades = grades || {};
+        this.update();
+      }),
+    ];
+  }
+
+  teardown() {
+    this.unsubscribers.forEach((unsubscribe) => {
+      try {
+        unsubscribe();
+      } catch (error) {
+        logger.warn("ClassroomGradingView", "Failed to stop listener", error);
+      }
+    });
+    this.unsubscribers = [];
+    this.drafts.clear();
+    this.studentId = null;
+    this.renderedKey = null;
+    this.modal = null;
+  }
+
+  handleClick(event) {
+    const student = event.target.closest("[data-grade-student]");
+    if (student) {
+      this.studentId = decodeURIComponent(student.dataset.gradeStudent);
+      this.setStatus("");
+      this.update();
+      return;
+    }
+
+    const save = event.target.closest("[data-grade-save]");
+    if (save) this.saveGrade(save.dataset.gradeSave);
+  }
+
+  handleChange(event) {
+    const { target } = event;
+    if (target.matches("[data-grade-rubric]")) {
+      // Levels of one rubric mean nothing on another
+      Object.assign(this.editDraft(target.dataset.gradeRubric), {
+        rubricId: target.value,
+        levels: [],
+      });
+      this.renderedKey = null;
+      this.update();
+    } else if (target.matches("[data-grade-criterion]")) {
+      const draft = this.editDraft(target.dataset.gradeCriterion);
+      draft.levels[Number(target.dataset.criterion)] = target.value
+        ? Number(target.value)
+        : undefined;
+    }
+  }
+
+  /**
+   * Grade shown for a reflection: the instructor's unsaved edits, otherwise
+   * the saved grade
+   * @param {string} key - Encoded "<studentId>/<scenarioId>"
+   * @returns {Object} rubricId, levels and feedback
+   */
+  getDraft(key) {
+    if (this.drafts.has(key)) return this.drafts.get(key);
+
+    const [studentId, scenarioId] = key.split("/").map(decodeURIComponent);
+    const saved = this.grades[studentId]?.[scenarioId];
+    return {
+      rubricId: this.rubrics[saved?.rubricId]
+        ? saved.rubricId
+        : GRADING.DEFAULT_RUBRIC,
+      levels: (saved?.criteria || []).map((criterion) => criterion.level),
+      feedback: saved?.feedback || "",
+    };
+  }
+
+  /**
+   * @param {string} key - Encoded "<studentId>/<scenarioId>"
+   * @returns {Object} Draft kept until saved, see getDraft()
+   */
+  editDraft(key) {
+    if (!this.drafts.has(key)) this.drafts.set(key, this.getDraft(key));
+    return this.drafts.get(key);
+  }
+
+  async saveGrade(key) {
+    const [studentId, scenarioId] = key.split("/").map(decodeURIComponent);
+    const draft = this.getDraft(key);
+    const rubric = this.rubrics[draft.rubricId];
+    if (!rubric) return;
+
+    if (rubric.criteria.some((_, index) => !draft.levels[index])) {
+      this.setStatus("Choose a level for every criterion first");
+      return;
+    }
+
+    try {
+      const grade = createReflectionGrade(draft.levels, rubric, draft);
+      await this.classroomService.gradeReflection(
+        this.classroom.classroomCode,
+        studentId,
+        scenarioId,
+        grade,
+      );
+      this.drafts.delete(key);
+      this.setStatus(
+        `Saved ${this.roster[studentId]?.nickname || "the student"}'s grade`,
+      );
+      logClassroomEvent(EVENTS.REFLECTION_GRADED, {
+        classroom_code: this.classroom.classroomCode,
+        scenario_id: scenarioId,
+        rubric_id: grade.rubricId,
+        percent: getGradePercent(grade),
+      });
+    } catch (error) {
+      logger.error("ClassroomGradingView", "Failed to save grade", error);
+      this.setStatus("Could not save the grade. Please try again.");
+    }
+  }
+
+  setStatus(text) {
+    const status = this.modal?.element.querySelector("#grading-message");
+    if (status) status.textContent = text;
+  }
+
+  buildContent() {
+    return `
+      <div class="grading-view">
+        <div class="grading-summary" id="grading-summary"></div>
+        <div class="grading-layout">
+          <ul class="grading-students" id="grading-students" aria-label="Students"></ul>
+          <div class="grading-detail" id="grading-detail"></div>
+        </div>
+        <p class="grading-message" id="grading-message" aria-live="polite"></p>
+      </div>
+    `;
+  }
+
+  getScenarios() {
+    return (this.classroom?.selectedScenarios || []).map((scenario) => ({
+      scenarioId: scenario.scenarioId || scenario.id,
+      title: scenario.title || scenario.scenarioId || scenario.id,
+    }));
+  }
+
+  /**
+   * Students with at least one reflection, by nickname
+   * @returns {Array<Object>} studentId, nickname, reflections and graded
+   */
+  getStudents() {
+    const scenarioIds = this.getScenarios().map((s) => s.scenarioId);
+    return Object.entries(this.studentChoices)
+      .map(([studentId, choices]) => {
+        const reflected = scenarioIds.filter(
+          (id) => choices?.reflections?.[id],
+        );
+        return {
+          studentId,
+          nickname: this.roster[studentId]?.nickname || studentId,
+          reflections: reflected.length,
+          graded: reflected.filter((id) => this.grades[studentId]?.[id]).length,
+        };
+      })
+      .filter((student) => student.reflections > 0)
+      .sort((a, b) => a.nickname.localeCompare(b.nickname));
+  }
+
+  update() {
+    const element = this.modal?.element;
+    if (!element) return;
+
+    const students = this.getStudents();
+    if (!students.some((s) => s.studentId === this.studentId)) {
+      this.studentId = students[0]?.studentId || null;
+    }
+    const summary = summarizeGrades(this.grades, this.roster);
+    const percents = new Map(
+      summary.students.map((student) => [student.studentId, student.percent]),
+    );
+
+    element.querySelector("#grading-summary").innerHTML = this.renderSummary(
+      summary,
+      students,
+    );
+    element.querySelector("#grading-students").innerHTML = students
+      .map(
+        (student) => `
+        <li>
+          <button type="button" class="grading-student ${student.studentId === this.studentId ? "active" : ""}" data-grade-student="${encodeURIComponent(student.studentId)}">
+            <span>${this.escapeHtml(student.nickname)}</span>
+            <small>${student.graded} / ${student.reflections} graded${percents.get(student.studentId) != null ? ` · ${percents.get(student.studentId)}%` : ""}</small>
+          </button>
+        </li>
+      `,
+      )
+      .join("");
+
+    // Rebuilding the detail would drop the instructor's unsaved edits, so it
+    // only changes with the student or their saved work
+    const key = JSON.stringify([
+      this.studentId,
+      this.studentChoices[this.studentId]?.reflections || null,
+      this.grades[this.studentId] || null,
+    ]);
+    if (key === this.renderedKey) return;
+    this.renderedKey = key;
+    element.querySelector("#grading-detail").innerHTML = this.studentId
+      ? this.renderStudent(this.studentId)
+      : '<p class="grading-empty">No reflections yet. Students write them after each scenario.</p>';
+  }
+
+  renderSummary(summary, students) {
+    const { classAverage } = summary;
+    const reflections = students.reduce((sum, s) => sum + s.reflections, 0);
+    return `
+      <div class="grading-stat">
+        <strong>${classAverage.graded} / ${reflections}</strong>
+        <span>Reflections graded</span>
+      </div>
+      <div class="grading-stat">
+        <strong>${classAverage.percent != null ? `${classAverage.percent}%` : "–"}</strong>
+        <span>Class average</span>
+      </div>
+      ${classAverage.criteria
+        .map(
+          (criterion) => `
+        <div class="grading-stat">
+          <strong>${criterion.average} / ${criterion.maxLevel}</strong>
+          <span>${this.escapeHtml(criterion.name)}</span>
+        </div>
+      `,
+        )
+        .join("")}
+    `;
+  }
+
+  renderStudent(studentId) {
+    const reflections = this.studentChoices[studentId]?.reflections || {};
+    return this.getScenarios()
+      .filter(({ scenarioId }) => reflections[scenarioId])
+      .map(({ scenarioId, title }) =>
+        this.renderReflection(studentId, scenarioId, title, reflections),
+      )
+      .join("");
+  }
+
+  renderReflection(studentId, scenarioId, title, reflections) {
+    const key = `${encodeURIComponent(studentId)}/${encodeURIComponent(scenarioId)}`;
+    const draft = this.getDraft(key);
+    const rubric = this.rubrics[draft.rubricId];
+    const stored = this.grades[studentId]?.[scenarioId];
+    const saved = stored ? readStoredGrade(stored) : null;
+    const answers = CLASSROOM_CONSTANTS.EXPORT.REFLECTION_FIELDS.filter(
+      (field) => reflections[scenarioId][field] != null,
+    );
+
+    return `
+      <section class="grading-reflection">
+        <header>
+          <h4>${this.escapeHtml(title)}</h4>
+          ${saved ? `<span class="grading-score">${saved.total} / ${saved.maxTotal} · ${getGradePercent(saved)}%</span>` : ""}
+        </header>
+        <dl class="grading-answers">
+          ${answers
+            .map(
+              (field) => `
+            <dt>${ANSWER_LABELS[field]}</dt>
+            <dd>${this.escapeHtml(this.formatAnswer(reflections[scenarioId][field]))}</dd>
+          `,
+            )
+            .join("")}
+        </dl>
+        <label class="grading-rubric">
+          Rubric
+          <select data-grade-rubric="${key}">
+            ${Object.keys(this.rubrics)
+              .map(
+                (id) =>
+                  `<option value="${id}" ${id === draft.rubricId ? "selected" : ""}>${RUBRIC_LABELS[id] || id}</option>`,
+              )
+              .join("")}
+          </select>
+        </label>
+        <div class="grading-criteria">
+          ${(rubric?.criteria || [])
+            .map(
+              (criterion, index) => `
+            <label>
+              ${this.escapeHtml(criterion.name)}
+              <select data-grade-criterion="${key}" data-criterion="${index}">
+                <option value="">–</option>
+                ${criterion.levels
+                  .map(
+                    (entry) =>
+                      `<option value="${entry.level}" title="${this.escapeHtml(entry.description)}" ${draft.levels[index] === entry.level ? "selected" : ""}>${entry.level} · ${this.escapeHtml(entry.description)}</option>`,
+                  )
+                  .join("")}
+              </select>
+            </label>
+          `,
+            )
+            .join("")}
+        </div>
+        <label class="grading-feedback">
+          Feedback for the student
+          <textarea rows="3" maxlength="${GRADING.FEEDBACK_MAX_LENGTH}" data-grade-feedback="${key}">${this.escapeHtml(draft.feedback)}</textarea>
+        </label>
+        <button type="button" class="btn btn-primary btn-sm" data-grade-save="${key}">
+          💾 ${saved ? "Update Grade" : "Save Grade"}
+        </button>
+      </section>
+    `;
+  }
+
+  /**
+   * Readable form of a stored answer, e.g. stakeholder_impact
+   * @param {*} value
+   * @returns {string}
+   */
+  formatAnswer(value) {
+    const text = String(value);
+    return /^[a-z]+(_[a-z]+)+$/.test(text)
+      ? text.charAt(0).toUpperCase() + text.slice(1).replace(/_/g, " ")
+      : text;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+}
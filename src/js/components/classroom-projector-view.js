@@ -0,0 +1,352 @@
+/**
+ * Classroom Projector View
+ * Full-size view of a teacher-paced session meant for the classroom
+ * projector. Shows the current scenario and how many students have answered
+ * while voting is open; once the instructor reveals the results it shows the
+ * anonymized share of each option and the class radar profile so far.
+ * Student nicknames never appear on this view.
+ * @class ClassroomProjectorView
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import ModalUtility from "./modal-utility.js";
+import RadarChart from "./radar-chart.js";
+import scenarioRegistry from "../data/scenario-registry.js";
+import {
+  calculateCumulativeScores,
+  getNeutralScores,
+} from "../data/ethical-scoring.js";
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import { getPacedScenario } from "../utils/classroom-utils.js";
+import logger from "../utils/logger.js";
+
+const RADAR_CONTAINER_ID = "classroom-projector-radar";
+
+export default class ClassroomProjectorView {
+  /**
+   * @param {RealtimeClassroomService} classroomService
+   * @param {Object} [options]
+   * @param {Function} [options.onAction] - Called with "lock", "reveal",
+   *   "previous" or "next" when a pacing button is pressed
+   */
+  constructor(classroomService, options = {}) {
+    this.classroomService = classroomService;
+    this.onAction = options.onAction || null;
+
+    this.modal = null;
+    this.classroom = null;
+    this.sessionStatus = {};
+    this.studentChoices = {};
+    this.roster = {};
+    this.scenarioOptions = new Map(); // Scenario ID -> option list
+    this.unsubscribers = [];
+    this.radarChartPromise = null;
+  }
+
+  /**
+   * Open the projector view and follow the session until closed
+   * @param {Object} classroom - Classroom with classroomCode and selectedScenarios
+   */
+  open(classroom) {
+    if (this.modal) this.close();
+    this.classroom = classroom;
+
+    this.modal = new ModalUtility({
+      title: `📽️ ${classroom.classroomName}`,
+      content: this.buildContent(),
+      size: "large",
+      className: CLASSROOM_CONSTANTS.MODALS.PROJECTOR_VIEW,
+      closeOnBackdrop: false,
+      onClose: () => this.teardown(),
+    });
+    this.modal.open();
+
+    this.modal.element.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-projector-action]");
+      if (button && this.onAction) {
+        this.onAction(button.dataset.projectorAction);
+      }
+    });
+
+    this.startListening();
+  }
+
+  close() {
+    this.modal?.close();
+    this.teardown();
+  }
+
+  get isOpen() {
+    return !!this.modal;
+  }
+
+  startListening() {
+    const code = this.classroom.classroomCode;
+    this.unsubscribers = [
+      this.classroomService.listenToSessionStatus(code, (status) => {
+        this.sessionStatus = status || {};
+        this.update();
+      }),
+      this.classroomService.listenToStudentChoices(code, (choices) => {
+        this.studentChoices = choices || {};
+        this.update();
+      }),
+      this.classroomService.listenToRoster(code, (roster) => {
+        this.roster = roster || {};
+        this.update();
+      }),
+    ];
+  }
+
+  teardown() {
+    this.unsubscribers.forEach((unsubscribe) => {
+      try {
+        unsubscribe();
+      } catch (error) {
+        logger.warn("ClassroomProjectorView", "Failed to stop listener", error);
+      }
+    });
+    this.unsubscribers = [];
+    this.radarChartPromise?.then((chart) => chart.destroy()).catch(() => {});
+    this.radarChartPromise = null;
+
+    // Remove the closed modal so the next open() builds a fresh radar
+    // container instead of finding this hidden one by ID
+    if (this.modal) {
+      const { modal } = this;
+      this.modal = null;
+      modal.destroy();
+    }
+  }
+
+  // ===== CLASS RESULTS =====
+
+  /**
+   * Options of a scenario with their text and raw impact
+   * @param {string} scenarioId
+   * @returns {Promise<Array<Object>>}
+   */
+  async loadScenarioOptions(scenarioId) {
+    if (!this.scenarioOptions.has(scenarioId)) {
+      try {
+        const found = await scenarioRegistry.findScenario(scenarioId);
+        this.scenarioOptions.set(scenarioId, found?.scenario?.options || []);
+      } catch (error) {
+        logger.warn("ClassroomProjectorView", "Failed to load options", error);
+        this.scenarioOptions.set(scenarioId, []);
+      }
+    }
+    return this.scenarioOptions.get(scenarioId);
+  }
+
+  /**
+   * Recorded choices for one scenario, without the students who made them
+   * @param {string} scenarioId
+   * @returns {Array<string>} Option IDs
+   */
+  getChoices(scenarioId) {
+    return Object.values(this.studentChoices)
+      .map((data) => data?.scenarios?.[scenarioId])
+      .filter((entry) => entry && entry.isComplete !== false && entry.choice)
+      .map((entry) => entry.choice);
+  }
+
+  /**
+   * Count each option of a scenario, including options nobody chose
+   * @param {string} scenarioId
+   * @param {Array<Object>} options
+   * @returns {Array<Object>} label, count and percent per option
+   */
+  tallyChoices(scenarioId, options) {
+    const choices = this.getChoices(scenarioId);
+    const counts = {};
+    choices.forEach((choice) => {
+      counts[choice] = (counts[choice] || 0) + 1;
+    });
+
+    const rows = options.map((option) => ({
+      label: option.text || option.id,
+      count: counts[option.id] || 0,
+    }));
+    // Choices that no longer match an option still count toward the total
+    Object.keys(counts)
+      .filter((choice) => !options.some((option) => option.id === choice))
+      .forEach((choice) => rows.push({ label: choice, count: counts[choice] }));
+
+    return rows.map((row) => ({
+      ...row,
+      percent: choices.length
+        ? Math.round((row.count / choices.length) * 100)
+        : 0,
+    }));
+  }
+
+  /**
+   * Class radar profile from every choice up to and including a scenario
+   * @param {number} throughIndex - Index into selectedScenarios
+   * @returns {Promise<Object>} Display scores keyed by axis
+   */
+  async getClassProfile(throughIndex) {
+    const scenarios = this.classroom.selectedScenarios.slice(
+      0,
+      throughIndex + 1,
+    );
+    const impacts = [];
+    for (const entry of scenarios) {
+      const scenarioId = entry.scenarioId || entry.id;
+      const options = await this.loadScenarioOptions(scenarioId);
+      this.getChoices(scenarioId).forEach((choice) => {
+        const option = options.find((candidate) => candidate.id === choice);
+        if (option?.impact) impacts.push(option.impact);
+      });
+    }
+    return impacts.length ? calculateCumulativeScores(impacts) : null;
+  }
+
+  // ===== RENDERING =====
+
+  buildContent() {
+    return `
+      <div class="classroom-projector">
+        <header class="projector-header">
+          <span class="projector-step" id="projector-step"></span>
+          <h2 class="projector-title" id="projector-title">Waiting for the session to start</h2>
+          <span class="projector-state" id="projector-state"></span>
+        </header>
+        <div class="projector-body">
+          <section class="projector-results" id="projector-results" aria-live="polite"></section>
+          <section class="projector-profile" id="projector-profile" hidden>
+            <h3>Class profile so far</h3>
+            <div class="projector-radar" id="${RADAR_CONTAINER_ID}"></div>
+          </section>
+        </div>
+        <footer class="projector-footer">
+          <span>Join with code <strong>${this.escapeHtml(this.classroom.classroomCode)}</strong></span>
+          <div class="projector-controls">
+            <button type="button" class="btn btn-outline" data-projector-action="previous">⏮️ Previous</button>
+            <button type="button" class="btn btn-warning" data-projector-action="lock" id="projector-lock">🔒 Lock Voting</button>
+            <button type="button" class="btn btn-primary" data-projector-action="reveal" id="projector-reveal">📊 Reveal Results</button>
+            <button type="button" class="btn btn-success" data-projector-action="next">⏭️ Next Scenario</button>
+          </div>
+        </footer>
+      </div>
+    `;
+  }
+
+  /**
+   * Re-render from the latest session status, roster and choices
+   */
+  async update() {
+    const element = this.modal?.element;
+    if (!element) return;
+
+    const current = getPacedScenario(this.classroom, this.sessionStatus);
+    const { votingLocked, revealed } = this.sessionStatus;
+    const total = this.classroom.selectedScenarios.length;
+    const query = (selector) => element.querySelector(selector);
+
+    if (!current) {
+      query("#projector-step").textContent = "";
+      query("#projector-state").textContent = "";
+      query("#projector-results").innerHTML = "";
+      query("#projector-profile").hidden = true;
+      return;
+    }
+
+    query("#projector-step").textContent =
+      `Scenario ${current.index + 1} of ${total}`;
+    query("#projector-title").textContent =
+      current.scenario.title || current.scenarioId;
+    query("#projector-state").textContent = revealed
+      ? "📊 Results"
+      : votingLocked
+        ? "🔒 Voting locked"
+        : "🗳️ Voting open";
+    query("#projector-lock").textContent = votingLocked
+      ? "🔓 Reopen Voting"
+      : "🔒 Lock Voting";
+    query("#projector-reveal").textContent = revealed
+      ? "🙈 Hide Results"
+      : "📊 Reveal Results";
+
+    const answered = this.getChoices(current.scenarioId).length;
+    const students = Object.keys(this.roster).length;
+    const results = query("#projector-results");
+    const profile = query("#projector-profile");
+
+    if (!revealed) {
+      results.innerHTML = `
+        <div class="projector-answered">
+          <span class="projector-answered-count">${answered}</span>
+          <span>of ${students} students have answered</span>
+        </div>
+      `;
+      profile.hidden = true;
+      return;
+    }
+
+    const options = await this.loadScenarioOptions(current.scenarioId);
+    results.innerHTML = `
+      <ul class="projector-options">
+        ${this.tallyChoices(current.scenarioId, options)
+          .map(
+            (row) => `
+          <li class="projector-option">
+            <span class="projector-option-label">${this.escapeHtml(row.label)}</span>
+            <div class="projector-bar"><div class="projector-bar-fill" style="width:${row.percent}%"></div></div>
+            <span class="projector-option-share">${row.percent}% <small>(${row.count})</small></span>
+          </li>
+        `,
+          )
+          .join("")}
+      </ul>
+      <p class="projector-note">${answered} of ${students} students answered</p>
+    `;
+
+    profile.hidden = false;
+    await this.renderProfile(current.index);
+  }
+
+  /**
+   * Draw the class radar profile, reusing the chart while the view is open
+   * @param {number} throughIndex
+   */
+  async renderProfile(throughIndex) {
+    const scores =
+      (await this.getClassProfile(throughIndex)) || getNeutralScores();
+    if (!this.modal) return;
+
+    try {
+      if (!this.radarChartPromise) {
+        this.radarChartPromise = this.createRadarChart(scores);
+      }
+      const chart = await this.radarChartPromise;
+      chart.setScores(scores);
+    } catch (error) {
+      this.radarChartPromise = null;
+      logger.warn("ClassroomProjectorView", "Failed to draw radar", error);
+    }
+  }
+
+  async createRadarChart(scores) {
+    await RadarChart.loadConfiguration();
+    const chart = new RadarChart(RADAR_CONTAINER_ID, {
+      width: 360,
+      height: 360,
+      showLabels: true,
+      showLegend: false,
+      animated: true,
+      title: null,
+      scores,
+    });
+    if (chart.initializationPromise) await chart.initializationPromise;
+    return chart;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+}
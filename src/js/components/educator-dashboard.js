@@ -0,0 +1,433 @@
+/**
+ * Educator Dashboard
+ * Per-classroom dashboard computed by EducatorToolkit from the roster,
+ * student choices and session timestamps of RealtimeClassroomService.
+ * Refreshes while the modal is open so it can be used during a live
+ * session as well as after it has been completed.
+ * @class EducatorDashboard
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import ModalUtility from "./modal-utility.js";
+import EducatorToolkit from "../core/educator-toolkit.js";
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import { getStandardMastery } from "../utils/classroom-standards.js";
+import logger from "../utils/logger.js";
+
+const STATUS_LABELS = {
+  exceeding: "Exceeding",
+  onTrack: "On track",
+  needsSupport: "Needs support",
+};
+
+const { LEVELS } = CLASSROOM_CONSTANTS.STANDARDS;
+
+// Highest level first, as the standards table lists them
+const LEVEL_LABELS = {
+  [LEVELS.MASTERED]: "Mastered",
+  [LEVELS.PROFICIENT]: "Proficient",
+  [LEVELS.DEVELOPING]: "Developing",
+  [LEVELS.NOT_STARTED]: "Not started",
+};
+
+const SESSION_LABELS = {
+  [CLASSROOM_CONSTANTS.SESSION_STATUS.WAITING]: "⏳ Waiting",
+  [CLASSROOM_CONSTANTS.SESSION_STATUS.LIVE]: "🔴 Live",
+  [CLASSROOM_CONSTANTS.SESSION_STATUS.PAUSED]: "⏸️ Paused",
+  [CLASSROOM_CONSTANTS.SESSION_STATUS.COMPLETED]: "✅ Completed",
+};
+
+export default class EducatorDashboard {
+  /**
+   * @param {RealtimeClassroomService} classroomService
+   * @param {EducatorToolkit} [educatorToolkit] - Defaults to a new toolkit
+   * @param {Object} [options]
+   * @param {Function} [options.onExport] - Called with the classroom code
+   *   from the Export button; the button is hidden without it
+   * @param {Function} [options.onGrade] - Called with the classroom code
+   *   from the Grade button; the button is hidden without it
+   */
+  constructor(classroomService, educatorToolkit = null, options = {}) {
+    this.classroomService = classroomService;
+    this.onExport = options.onExport || null;
+    this.onGrade = options.onGrade || null;
+    this.toolkit = educatorToolkit || new EducatorToolkit();
+    this.toolkit.setClassroomService(classroomService);
+
+    this.modal = null;
+    this.classroomCode = null;
+    this.dashboard = null;
+    this.selectedStandard = null; // Standard ID whose students are listed
+    this.unsubscribers = [];
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Open the dashboard for a classroom and keep it updated while open
+   * @param {string} classroomCode
+   * @returns {Promise<void>}
+   */
+  async open(classroomCode) {
+    if (this.modal) this.close();
+    this.classroomCode = classroomCode;
+
+    this.modal = new ModalUtility({
+      title: "📈 Class Dashboard",
+      content: '<p class="dashboard-loading">Loading classroom data…</p>',
+      size: "large",
+      className: CLASSROOM_CONSTANTS.MODALS.EDUCATOR_DASHBOARD,
+      closeOnBackdrop: true,
+      onClose: () => this.stopListening(),
+    });
+    this.modal.open();
+    this.modal.element.addEventListener("click", (event) => {
+      if (event.target.closest("[data-dashboard-action='refresh']")) {
+        this.refresh();
+      }
+      if (event.target.closest("[data-dashboard-action='export']")) {
+        this.onExport?.(this.classroomCode);
+      }
+      if (event.target.closest("[data-dashboard-action='grade']")) {
+        this.onGrade?.(this.classroomCode);
+      }
+    });
+    this.modal.element.addEventListener("change", (event) => {
+      const select = event.target.closest("[data-dashboard-standard]");
+      if (select && this.dashboard) {
+        this.selectedStandard = select.value || null;
+        this.modal.setContent(this.render(this.dashboard));
+      }
+    });
+
+    await this.refresh();
+    this.startListening();
+  }
+
+  close() {
+    this.stopListening();
+    this.modal?.close();
+    this.modal = null;
+  }
+
+  /**
+   * Recompute and re-render the dashboard
+   */
+  async refresh() {
+    if (!this.modal || !this.classroomCode) return;
+
+    try {
+      this.dashboard = await this.toolkit.generateEducatorDashboard(
+        this.classroomCode,
+      );
+      this.modal.setTitle(
+        `📈 Class Dashboard: ${this.dashboard.classroomName}`,
+      );
+      this.modal.setContent(this.render(this.dashboard));
+    } catch (error) {
+      logger.error("EducatorDashboard", "Failed to build dashboard", error);
+      this.modal.setContent(
+        `<p class="dashboard-error">Could not load classroom data: ${this.escapeHtml(error.message)}</p>`,
+      );
+    }
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(
+      () => this.refresh(),
+      CLASSROOM_CONSTANTS.DASHBOARD.REFRESH_DEBOUNCE,
+    );
+  }
+
+  /**
+   * Refresh whenever the roster, choices, grades or session status change
+   */
+  startListening() {
+    const code = this.classroomCode;
+    const onChange = () => this.scheduleRefresh();
+    this.unsubscribers = [
+      this.classroomService.listenToRoster(code, onChange),
+      this.classroomService.listenToStudentChoices(code, onChange),
+      this.classroomService.listenToSessionStatus(code, onChange),
+      this.classroomService.listenToGrades(code, onChange),
+    ];
+  }
+
+  stopListening() {
+    clearTimeout(this.refreshTimer);
+    this.unsubscribers.forEach((unsubscribe) => {
+      try {
+        unsubscribe();
+      } catch (error) {
+        logger.warn("EducatorDashboard", "Failed to stop listener", error);
+      }
+    });
+    this.unsubscribers = [];
+  }
+
+  // ===== RENDERING =====
+
+  render(dashboard) {
+    return `
+      <div class="educator-dashboard">
+        ${this.renderOverview(dashboard)}
+        ${this.renderInterventions(dashboard.recommendedInterventions)}
+        ${this.renderStudents(dashboard.studentProgress)}
+        ${this.renderScenarioResults(dashboard.assessmentInsights)}
+        ${this.renderStandards(dashboard.standardsAlignment)}
+        ${this.renderParentUpdate(dashboard.parentCommunication)}
+        <div class="dashboard-footer">
+          <span>Updated ${new Date(dashboard.generatedAt).toLocaleTimeString()}</span>
+          <span>
+            ${this.onGrade ? '<button class="btn btn-outline btn-sm" data-dashboard-action="grade">📝 Grade</button>' : ""}
+            ${this.onExport ? '<button class="btn btn-outline btn-sm" data-dashboard-action="export">📤 Export</button>' : ""}
+            <button class="btn btn-outline btn-sm" data-dashboard-action="refresh">🔄 Refresh</button>
+          </span>
+        </div>
+      </div>
+    `;
+  }
+
+  renderOverview({ classOverview, engagementMetrics, session }) {
+    const stats = [
+      [SESSION_LABELS[session.state] || session.state, "Session"],
+      [this.formatDuration(session.durationMs), "Duration"],
+      [
+        `${classOverview.activeStudents}/${classOverview.totalStudents}`,
+        "Active students",
+      ],
+      [`${classOverview.completionRate}%`, "Avg progress"],
+      [`${engagementMetrics.participationRate}%`, "Participation"],
+      [engagementMetrics.choicesSubmitted, "Choices made"],
+    ];
+
+    return `
+      <section class="dashboard-section dashboard-overview">
+        <div class="dashboard-stats">
+          ${stats
+            .map(
+              ([value, label]) => `
+            <div class="dashboard-stat">
+              <span class="stat-value">${this.escapeHtml(value)}</span>
+              <span class="stat-label">${label}</span>
+            </div>
+          `,
+            )
+            .join("")}
+        </div>
+        ${
+          classOverview.topChallenges.length
+            ? `<p class="dashboard-note">Least completed: ${classOverview.topChallenges.map((t) => this.escapeHtml(t)).join(", ")}</p>`
+            : ""
+        }
+      </section>
+    `;
+  }
+
+  renderInterventions({ individual, classWide }) {
+    const items = [...classWide, ...individual];
+    if (!items.length) return "";
+
+    return `
+      <section class="dashboard-section">
+        <h4>Suggested Interventions</h4>
+        <ul class="dashboard-interventions">
+          ${items
+            .map(
+              (item) => `
+            <li>
+              <strong>${item.student ? `${this.escapeHtml(item.student)}: ` : ""}${this.escapeHtml(item.issue)}</strong>
+              <span>${this.escapeHtml(item.suggestion)}</span>
+            </li>
+          `,
+            )
+            .join("")}
+        </ul>
+      </section>
+    `;
+  }
+
+  renderStudents({ students, onTrack, needsSupport, exceeding }) {
+    if (!students.length) {
+      return `
+        <section class="dashboard-section">
+          <h4>Students</h4>
+          <p class="dashboard-empty">No students have joined yet.</p>
+        </section>
+      `;
+    }
+
+    const rows = [...students]
+      .sort((a, b) => a.percent - b.percent)
+      .map(
+        (student) => `
+        <tr class="status-${student.status}">
+          <td>${this.escapeHtml(student.nickname)}${student.isActive ? ' <span class="dashboard-active" title="Active">●</span>' : ""}</td>
+          <td>
+            <div class="dashboard-bar"><div class="dashboard-bar-fill" style="width:${student.percent}%"></div></div>
+            ${student.completed}/${student.total}
+          </td>
+          <td>${student.averageChoiceMs ? `${Math.round(student.averageChoiceMs / 1000)}s` : "—"}</td>
+          <td><span class="dashboard-status">${STATUS_LABELS[student.status]}</span></td>
+        </tr>
+      `,
+      )
+      .join("");
+
+    return `
+      <section class="dashboard-section">
+        <h4>Students <small>${exceeding} exceeding · ${onTrack} on track · ${needsSupport} need support</small></h4>
+        <table class="dashboard-table">
+          <thead>
+            <tr><th>Student</th><th>Progress</th><th>Time per choice</th><th>Status</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </section>
+    `;
+  }
+
+  renderScenarioResults({ scenarioResults }) {
+    if (!scenarioResults.length) return "";
+
+    return `
+      <section class="dashboard-section">
+        <h4>Scenario Results</h4>
+        ${scenarioResults
+          .map(
+            (scenario) => `
+          <div class="dashboard-scenario${scenario.isSplit ? " split" : ""}">
+            <div class="dashboard-scenario-header">
+              <span>${this.escapeHtml(scenario.title)}</span>
+              <span>${scenario.responses} responses · ${scenario.completionRate}% complete</span>
+            </div>
+            ${
+              scenario.distribution.length
+                ? scenario.distribution
+                    .map(
+                      (option) => `
+              <div class="dashboard-choice">
+                <span class="dashboard-choice-label">${this.escapeHtml(option.label)}</span>
+                <div class="dashboard-bar"><div class="dashboard-bar-fill" style="width:${Math.round(option.share * 100)}%"></div></div>
+                <span class="dashboard-choice-count">${option.count}</span>
+              </div>
+            `,
+                    )
+                    .join("")
+                : '<p class="dashboard-empty">No choices yet.</p>'
+            }
+          </div>
+        `,
+          )
+          .join("")}
+      </section>
+    `;
+  }
+
+  /**
+   * Class mastery per standard, and the students of the selected standard
+   * @param {Object} mastery - Result of computeStandardsMastery()
+   */
+  renderStandards(mastery) {
+    if (!mastery?.standards.length) return "";
+
+    const levels = Object.keys(LEVEL_LABELS);
+    const selected = getStandardMastery(mastery, this.selectedStandard);
+    const label = (standard) =>
+      `${this.escapeHtml(standard.frameworkName)} ${this.escapeHtml(standard.code)}`;
+    const rows = mastery.standards.map(
+      (standard) => `
+        <tr>
+          <td title="${this.escapeHtml(standard.description)}">${label(standard)}</td>
+          ${levels.map((level) => `<td>${standard.summary.percents[level]}%</td>`).join("")}
+          <td>${standard.summary.averageScore === null ? "–" : `${standard.summary.averageScore}%`}</td>
+        </tr>
+      `,
+    );
+
+    return `
+      <section class="dashboard-section">
+        <h4>Standards Mastery <small>from completed scenarios and reflection grades</small></h4>
+        <table class="dashboard-table">
+          <thead>
+            <tr>
+              <th>Standard</th>
+              ${levels.map((level) => `<th>${LEVEL_LABELS[level]}</th>`).join("")}
+              <th>Avg grade</th>
+            </tr>
+          </thead>
+          <tbody>${rows.join("")}</tbody>
+        </table>
+        <label class="dashboard-standard-query">
+          Students by standard
+          <select data-dashboard-standard>
+            <option value="">Choose a standard…</option>
+            ${mastery.standards
+              .map(
+                (standard) => `
+              <option value="${this.escapeHtml(standard.standardId)}" ${standard === selected ? "selected" : ""}>
+                ${label(standard)}
+              </option>
+            `,
+              )
+              .join("")}
+          </select>
+        </label>
+        ${selected ? this.renderStandardStudents(selected) : ""}
+      </section>
+    `;
+  }
+
+  renderStandardStudents(standard) {
+    return `
+      <p class="dashboard-note">${this.escapeHtml(standard.description)}</p>
+      <table class="dashboard-table">
+        <thead>
+          <tr><th>Student</th><th>Scenarios</th><th>Avg grade</th><th>Level</th></tr>
+        </thead>
+        <tbody>
+          ${standard.students
+            .map(
+              (student) => `
+            <tr>
+              <td>${this.escapeHtml(student.nickname)}</td>
+              <td>${student.completed} / ${student.total}</td>
+              <td>${student.score === null ? "–" : `${student.score}%`}</td>
+              <td><span class="dashboard-mastery ${student.level}">${LEVEL_LABELS[student.level]}</span></td>
+            </tr>
+          `,
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderParentUpdate({ newsletter }) {
+    if (!newsletter.highlights.length) return "";
+
+    return `
+      <details class="dashboard-section dashboard-parent-update">
+        <summary>Family update: ${this.escapeHtml(newsletter.subject)}</summary>
+        <ul>${newsletter.highlights.map((h) => `<li>${this.escapeHtml(h)}</li>`).join("")}</ul>
+        <p><strong>At home:</strong></p>
+        <ul>${newsletter.atHome.map((h) => `<li>${this.escapeHtml(h)}</li>`).join("")}</ul>
+      </details>
+    `;
+  }
+
+  formatDuration(ms) {
+    if (!ms || ms < 0) return "00:00";
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, "0");
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return `${minutes}:${seconds}`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text ?? "";
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,632 @@
+/**
+ * Fairness Sandbox
+ * The "Algorithmic Bias in Hiring" simulation. Students pick the data
+ * source, feature weights and hiring thresholds of a simple hiring model and
+ * watch, live, who it hires from each candidate group, how it does on
+ * demographic parity, equal opportunity and predictive parity, and where
+ * the outcome lands on the eight-axis radar. The candidate pool is drawn on
+ * a SimulationEngine canvas scene; the model lives in utils/hiring-fairness.js.
+ * @class FairnessSandbox
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import ModalUtility from "./modal-utility.js";
+import RadarChart from "./radar-chart.js";
+import SimulationEngine from "../core/engine.js";
+import { impactToDisplayScores } from "../data/ethical-scoring.js";
+import {
+  DATA_SOURCES,
+  DEFAULT_SETTINGS,
+  FAIRNESS_TOLERANCE,
+  GROUPS,
+  HIRING_FEATURES,
+  evaluateModel,
+  evaluationToImpact,
+  generateCandidates,
+  getThreshold,
+} from "../utils/hiring-fairness.js";
+import logger from "../utils/logger.js";
+
+const CANVAS_CONTAINER_ID = "fairness-sandbox-canvas";
+const RADAR_CONTAINER_ID = "fairness-sandbox-radar";
+const RADAR_UPDATE_DELAY = 150; // ms
+
+const METRICS = [
+  {
+    key: "demographicParity",
+    name: "Demographic parity",
+    description: "Both groups are hired at similar rates.",
+    tolerance: `Fair when the lower hiring rate is at least ${Math.round(
+      FAIRNESS_TOLERANCE.DISPARATE_IMPACT_RATIO * 100,
+    )}% of the higher one (four-fifths rule).`,
+  },
+  {
+    key: "equalOpportunity",
+    name: "Equal opportunity",
+    description: "Qualified candidates are hired at similar rates.",
+    tolerance: `Fair within ${Math.round(
+      FAIRNESS_TOLERANCE.EQUAL_OPPORTUNITY * 100,
+    )} percentage points.`,
+  },
+  {
+    key: "predictiveParity",
+    name: "Predictive parity",
+    description: "A hire is equally likely to be qualified in both groups.",
+    tolerance: `Fair within ${Math.round(
+      FAIRNESS_TOLERANCE.PREDICTIVE_PARITY * 100,
+    )} percentage points.`,
+  },
+];
+
+function formatPercent(value) {
+  return value === null ? "—" : `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Scene component that plots every candidate by model score, one lane per
+ * group, with each group's hiring threshold
+ */
+class CandidatePoolView {
+  constructor() {
+    this.id = "fairness-candidate-pool";
+    this.engine = null;
+    this.evaluation = null;
+    this.settings = null;
+    // Candidate ID -> score currently drawn, eased toward the real score
+    this.drawnScores = new Map();
+  }
+
+  setEngine(engine) {
+    this.engine = engine;
+  }
+
+  setEvaluation(evaluation, settings) {
+    this.evaluation = evaluation;
+    this.settings = settings;
+  }
+
+  update(deltaTime) {
+    if (!this.evaluation) return;
+
+    const snap = this.engine?.themeConfig?.reducedMotion;
+    const step = Math.min(1, deltaTime / 200);
+    this.evaluation.candidates.forEach(({ id, score }) => {
+      const drawn = this.drawnScores.get(id);
+      this.drawnScores.set(
+        id,
+        snap || drawn === undefined ? score : drawn + (score - drawn) * step,
+      );
+    });
+  }
+
+  render(renderer) {
+    if (!this.evaluation) return;
+
+    const { width, height } = renderer.options;
+    const theme = renderer.currentTheme;
+    const left = 90;
+    const right = width - 20;
+    const top = 16;
+    const bottom = height - 28;
+    const laneHeight = (bottom - top) / 2;
+    const toX = (score) => left + score * (right - left);
+
+    Object.values(GROUPS).forEach((group, laneIndex) => {
+      const laneTop = top + laneIndex * laneHeight;
+      const laneMiddle = laneTop + laneHeight / 2;
+      const outcome = this.evaluation.groups[group.id];
+      const thresholdX = toX(getThreshold(this.settings, group.id));
+
+      renderer.drawRect(left, laneTop + 4, right - left, laneHeight - 8, {
+        fill:
+          laneIndex === 0
+            ? "rgba(25, 118, 210, 0.06)"
+            : "rgba(123, 31, 162, 0.06)",
+      });
+      renderer.drawRect(
+        thresholdX,
+        laneTop + 4,
+        right - thresholdX,
+        laneHeight - 8,
+        {
+          fill: "rgba(46, 125, 50, 0.08)",
+        },
+      );
+      renderer.drawText(group.label, 8, laneMiddle - 9, {
+        fontSize: 13,
+        fontWeight: "600",
+        fill: theme.foreground,
+      });
+      renderer.drawText(
+        `${formatPercent(outcome.selectionRate)} hired`,
+        8,
+        laneMiddle + 9,
+        { fontSize: 12, fill: theme.accent },
+      );
+
+      this.evaluation.candidates
+        .filter((candidate) => candidate.group === group.id)
+        .forEach((candidate, index) => {
+          // Spread dots vertically in a fixed pattern so they never jump
+          const offset = (((index * 37) % 17) / 16 - 0.5) * (laneHeight - 24);
+          renderer.drawCircle(
+            toX(this.drawnScores.get(candidate.id) ?? candidate.score),
+            laneMiddle + offset,
+            4,
+            {
+              fill: candidate.hired ? "#2e7d32" : "#b0bec5",
+              stroke: candidate.qualified ? "#0d47a1" : null,
+              strokeWidth: 1.5,
+            },
+          );
+        });
+
+      renderer.drawLine(
+        thresholdX,
+        laneTop + 4,
+        thresholdX,
+        laneTop + laneHeight - 4,
+        {
+          stroke: "#c62828",
+          strokeWidth: 2,
+          dashPattern: [6, 4],
+        },
+      );
+    });
+
+    renderer.drawLine(left, bottom, right, bottom, { stroke: theme.accent });
+    renderer.drawText("0", left, bottom + 14, {
+      fontSize: 12,
+      fill: theme.accent,
+      textAlign: "center",
+    });
+    renderer.drawText("Model score", (left + right) / 2, bottom + 14, {
+      fontSize: 12,
+      fill: theme.accent,
+      textAlign: "center",
+    });
+    renderer.drawText("1", right, bottom + 14, {
+      fontSize: 12,
+      fill: theme.accent,
+      textAlign: "center",
+    });
+  }
+}
+
+class FairnessSandbox {
+  constructor(app = null) {
+    this.app = app;
+    this.modal = null;
+    this.engine = null;
+    this.poolView = null;
+    this.radarChartPromise = null;
+    this.radarTimer = null;
+
+    this.settings = null;
+    this.candidates = [];
+    this.evaluation = null;
+  }
+
+  /**
+   * Open the sandbox with the default model
+   */
+  open() {
+    if (this.modal) return;
+
+    this.settings = this.getDefaultSettings();
+    this.candidates = generateCandidates(this.settings);
+
+    this.modal = new ModalUtility({
+      title: "⚖️ Algorithmic Bias in Hiring",
+      content: this.renderLayout(),
+      onClose: () => this.close(),
+      closeOnBackdrop: false,
+      className: "fairness-sandbox-modal",
+      size: "large",
+    });
+    this.modal.element.addEventListener("input", (event) =>
+      this.handleInput(event),
+    );
+    this.modal.element.addEventListener("change", (event) =>
+      this.handleChange(event),
+    );
+    this.modal.element.addEventListener("click", (event) =>
+      this.handleClick(event),
+    );
+    this.modal.open();
+
+    this.startEngine();
+    this.refresh();
+
+    logger.info("FairnessSandbox", "Opened hiring fairness sandbox", {
+      dataSource: this.settings.dataSource,
+      seed: this.settings.seed,
+    });
+  }
+
+  /**
+   * Close the sandbox and release the engine and radar chart
+   */
+  close() {
+    this.releaseViews();
+
+    if (this.modal) {
+      const { modal } = this;
+      this.modal = null;
+      modal.destroy();
+    }
+  }
+
+  /**
+   * Stop the engine and drop the radar chart, before their containers go
+   */
+  releaseViews() {
+    clearTimeout(this.radarTimer);
+    this.radarTimer = null;
+
+    if (this.engine) {
+      this.engine.destroy();
+      this.engine = null;
+      this.poolView = null;
+    }
+
+    if (this.radarChartPromise) {
+      const chartPromise = this.radarChartPromise;
+      this.radarChartPromise = null;
+      chartPromise.then((chart) => chart.destroy()).catch(() => {});
+    }
+  }
+
+  getDefaultSettings() {
+    return {
+      ...DEFAULT_SETTINGS,
+      weights: { ...DEFAULT_SETTINGS.weights },
+    };
+  }
+
+  startEngine() {
+    try {
+      this.engine = new SimulationEngine(CANVAS_CONTAINER_ID, {
+        renderMode: "canvas",
+        width: 640,
+        height: 300,
+        autoSave: false,
+        memoryCleanup: false,
+      });
+      this.poolView = new CandidatePoolView();
+      this.engine.addComponent(this.poolView);
+      this.engine.start();
+    } catch (error) {
+      logger.error("FairnessSandbox", "Failed to start engine", error);
+      this.engine = null;
+      this.poolView = null;
+      const container = document.getElementById(CANVAS_CONTAINER_ID);
+      if (container) {
+        container.innerHTML =
+          '<p class="fairness-sandbox-hint">The candidate chart could not be drawn. The fairness metrics below still update.</p>';
+      }
+    }
+  }
+
+  // ===== MODEL =====
+
+  regenerate() {
+    this.candidates = generateCandidates(this.settings);
+    this.refresh();
+  }
+
+  refresh() {
+    this.evaluation = evaluateModel(this.candidates, this.settings);
+    this.poolView?.setEvaluation(this.evaluation, this.settings);
+    this.renderMetrics();
+    this.scheduleRadarUpdate();
+  }
+
+  // ===== EVENTS =====
+
+  handleInput(event) {
+    const { target } = event;
+
+    if (target.dataset.sandboxWeight) {
+      this.settings.weights[target.dataset.sandboxWeight] = Number(
+        target.value,
+      );
+      this.setOutput(target, target.value);
+      this.refresh();
+    } else if (target.dataset.sandboxThreshold) {
+      const value = Number(target.value);
+      const group = target.dataset.sandboxThreshold;
+      if (this.settings.groupThresholds) {
+        this.settings.groupThresholds[group] = value;
+      } else {
+        this.settings.threshold = value;
+      }
+      this.setOutput(target, value.toFixed(2));
+      this.refresh();
+    }
+  }
+
+  handleChange(event) {
+    const { target } = event;
+
+    switch (target.dataset.sandboxSetting) {
+      case "dataSource":
+        this.settings.dataSource = target.value;
+        this.modal.element.querySelector(
+          "[data-sandbox-source-description]",
+        ).textContent = DATA_SOURCES[target.value].description;
+        this.regenerate();
+        break;
+      case "seed":
+        this.settings.seed = Math.abs(Math.round(Number(target.value))) || 1;
+        this.regenerate();
+        break;
+      case "splitThresholds":
+        this.setSplitThresholds(target.checked);
+        break;
+      default:
+        break;
+    }
+  }
+
+  handleClick(event) {
+    const button = event.target.closest("[data-sandbox-action]");
+    if (!button) return;
+
+    if (button.dataset.sandboxAction === "new-pool") {
+      this.settings.seed = Math.floor(Math.random() * 100000) + 1;
+      this.modal.element.querySelector('[data-sandbox-setting="seed"]').value =
+        this.settings.seed;
+      this.regenerate();
+    } else if (button.dataset.sandboxAction === "reset") {
+      const { seed, dataSource } = this.settings;
+      this.settings = { ...this.getDefaultSettings(), seed, dataSource };
+      this.releaseViews();
+      this.modal.setContent(this.renderLayout());
+      this.startEngine();
+      this.refresh();
+    }
+  }
+
+  /**
+   * Switch between one threshold for everyone and one per group. Both
+   * group thresholds start at the shared threshold.
+   */
+  setSplitThresholds(split) {
+    this.settings.groupThresholds = split
+      ? Object.fromEntries(
+          Object.keys(GROUPS).map((group) => [group, this.settings.threshold]),
+        )
+      : null;
+
+    const thresholds = this.modal.element.querySelector(
+      "[data-sandbox-thresholds]",
+    );
+    thresholds.innerHTML = this.renderThresholdInputs();
+    this.refresh();
+  }
+
+  setOutput(input, text) {
+    const output = input.closest("label")?.querySelector("output");
+    if (output) output.textContent = text;
+  }
+
+  // ===== RADAR =====
+
+  scheduleRadarUpdate() {
+    clearTimeout(this.radarTimer);
+    this.radarTimer = setTimeout(() => this.updateRadar(), RADAR_UPDATE_DELAY);
+  }
+
+  async updateRadar() {
+    if (!this.modal || !this.evaluation) return;
+
+    const scores = impactToDisplayScores(
+      evaluationToImpact(this.evaluation, this.settings),
+    );
+    try {
+      if (!this.radarChartPromise) {
+        this.radarChartPromise = this.createRadarChart(scores);
+      }
+      const chart = await this.radarChartPromise;
+      chart.setScores(scores);
+    } catch (error) {
+      this.radarChartPromise = null;
+      logger.warn("FairnessSandbox", "Failed to draw radar", error);
+    }
+  }
+
+  async createRadarChart(scores) {
+    await RadarChart.loadConfiguration();
+    const chart = new RadarChart(RADAR_CONTAINER_ID, {
+      width: 320,
+      height: 320,
+      showLabels: true,
+      showLegend: false,
+      animated: true,
+      title: null,
+      scores,
+    });
+    if (chart.initializationPromise) await chart.initializationPromise;
+    return chart;
+  }
+
+  // ===== RENDERING =====
+
+  renderLayout() {
+    const { settings } = this;
+
+    return `
+      <div class="fairness-sandbox">
+        <p class="fairness-sandbox-intro">
+          You are designing the screening model for a technology company.
+          Choose where its data comes from and how much each feature counts,
+          then set the score a candidate needs to be hired. Filled dots are
+          hires; ringed dots are candidates who would actually do well in
+          the job.
+        </p>
+        <div class="fairness-sandbox-layout">
+          <div class="fairness-sandbox-controls" role="group" aria-label="Hiring model settings">
+            <fieldset>
+              <legend>Data source</legend>
+              <select data-sandbox-setting="dataSource" aria-label="Data source">
+                ${Object.entries(DATA_SOURCES)
+                  .map(
+                    ([key, source]) =>
+                      `<option value="${key}"${key === settings.dataSource ? " selected" : ""}>${this.escapeHtml(source.label)}</option>`,
+                  )
+                  .join("")}
+              </select>
+              <p class="fairness-sandbox-hint" data-sandbox-source-description>${this.escapeHtml(
+                DATA_SOURCES[settings.dataSource].description,
+              )}</p>
+              <div class="fairness-sandbox-seed">
+                <label>
+                  Pool number
+                  <input type="number" min="1" step="1" value="${settings.seed}" data-sandbox-setting="seed">
+                </label>
+                <button type="button" class="btn btn-secondary" data-sandbox-action="new-pool">🎲 New pool</button>
+              </div>
+            </fieldset>
+
+            <fieldset>
+              <legend>Feature weights</legend>
+              ${Object.entries(HIRING_FEATURES)
+                .map(
+                  ([key, feature]) => `
+                    <label class="fairness-sandbox-slider">
+                      <span>${this.escapeHtml(feature.label)}${feature.direction < 0 ? " (counts against)" : ""}</span>
+                      <output>${settings.weights[key]}</output>
+                      <input type="range" min="0" max="100" step="5" value="${settings.weights[key]}" data-sandbox-weight="${key}">
+                    </label>
+                  `,
+                )
+                .join("")}
+            </fieldset>
+
+            <fieldset>
+              <legend>Hiring threshold</legend>
+              <div data-sandbox-thresholds>${this.renderThresholdInputs()}</div>
+              <label class="fairness-sandbox-toggle">
+                <input type="checkbox" data-sandbox-setting="splitThresholds"${settings.groupThresholds ? " checked" : ""}>
+                Separate threshold for each group
+              </label>
+            </fieldset>
+
+            <button type="button" class="btn btn-secondary" data-sandbox-action="reset">↺ Reset model</button>
+          </div>
+
+          <div class="fairness-sandbox-output">
+            <div id="${CANVAS_CONTAINER_ID}" class="fairness-sandbox-canvas" role="img" aria-label="Candidates plotted by model score for each group, with the hiring threshold"></div>
+            <div class="fairness-sandbox-legend" aria-hidden="true">
+              <span class="legend-hired">Hired</span>
+              <span class="legend-rejected">Rejected</span>
+              <span class="legend-qualified">Qualified</span>
+              <span class="legend-threshold">Threshold</span>
+            </div>
+            <div class="fairness-sandbox-results">
+              <div data-sandbox-metrics aria-live="polite"></div>
+              <div class="fairness-sandbox-radar">
+                <h4>Ethical impact</h4>
+                <div id="${RADAR_CONTAINER_ID}"></div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderThresholdInputs() {
+    const { settings } = this;
+    const inputs = settings.groupThresholds
+      ? Object.values(GROUPS).map((group) => ({
+          group: group.id,
+          label: `${group.label} threshold`,
+          value: settings.groupThresholds[group.id],
+        }))
+      : [{ group: "all", label: "Everyone", value: settings.threshold }];
+
+    return inputs
+      .map(
+        ({ group, label, value }) => `
+          <label class="fairness-sandbox-slider">
+            <span>${this.escapeHtml(label)}</span>
+            <output>${value.toFixed(2)}</output>
+            <input type="range" min="0" max="1" step="0.01" value="${value}" data-sandbox-threshold="${group}">
+          </label>
+        `,
+      )
+      .join("");
+  }
+
+  renderMetrics() {
+    const container = this.modal?.element.querySelector(
+      "[data-sandbox-metrics]",
+    );
+    if (!container) return;
+
+    const { groups, metrics, overall } = this.evaluation;
+    const groupIds = Object.keys(GROUPS);
+
+    container.innerHTML = `
+      <div class="fairness-sandbox-metrics">
+        ${METRICS.map(({ key, name, description, tolerance }) => {
+          const metric = metrics[key];
+          const status = metric.fair ? "fair" : "unfair";
+          return `
+            <div class="fairness-metric ${status}">
+              <h4>${name} <span class="fairness-metric-status">${metric.fair ? "✅ Within tolerance" : "⚠️ Gap"}</span></h4>
+              <p>${description}</p>
+              <div class="fairness-metric-values">
+                <span>${GROUPS.A.label}: <strong>${formatPercent(metric.groupA)}</strong></span>
+                <span>${GROUPS.B.label}: <strong>${formatPercent(metric.groupB)}</strong></span>
+              </div>
+              <p class="fairness-sandbox-hint">${tolerance}</p>
+            </div>
+          `;
+        }).join("")}
+      </div>
+      <table class="fairness-sandbox-table">
+        <caption>Outcome by group</caption>
+        <thead>
+          <tr>
+            <th scope="col">Group</th>
+            <th scope="col">Applicants</th>
+            <th scope="col">Qualified</th>
+            <th scope="col">Hired</th>
+            <th scope="col">Qualified hires</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${groupIds
+            .map(
+              (group) => `
+                <tr>
+                  <th scope="row">${GROUPS[group].label}</th>
+                  <td>${groups[group].count}</td>
+                  <td>${groups[group].qualified}</td>
+                  <td>${groups[group].selected}</td>
+                  <td>${groups[group].truePositives}</td>
+                </tr>
+              `,
+            )
+            .join("")}
+        </tbody>
+      </table>
+      <p class="fairness-sandbox-hint">
+        The model hires ${overall.selected} of ${overall.count} candidates and
+        makes the right call on ${formatPercent(overall.accuracy)} of them.
+      </p>
+    `;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+export default FairnessSandbox;
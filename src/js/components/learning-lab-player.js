@@ -0,0 +1,672 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Learning Lab Player
+ * Walks a student through the phases and activities of a learning lab,
+ * launches scenario-set resources in ScenarioModal, captures deliverable
+ * responses and tracks time spent on each activity against its estimate.
+ * Progress is stored per lab through DataHandler.
+ */
+
+import DataHandler from "../core/data-handler.js";
+import ModalUtility from "./modal-utility.js";
+import ScenarioModal from "./scenario-modal.js";
+import scenarioRegistry from "../data/scenario-registry.js";
+import logger from "../utils/logger.js";
+
+const PROGRESS_KEY_PREFIX = "learningLabProgress_";
+const RESPONSE_SAVE_DELAY = 600; // ms
+const TIMER_TICK_INTERVAL = 1000; // ms
+const MS_PER_MINUTE = 60000;
+const SECONDS_PER_MINUTE = 60;
+const REFLECTION_WAIT_TIMEOUT = 10000; // ms until the reflection appears
+
+class LearningLabPlayer {
+  constructor(app = null) {
+    this.app = app;
+    this.dataHandler = app?.dataHandler || null;
+
+    if (!this.dataHandler) {
+      this.dataHandler = new DataHandler({
+        storageKey: "learningLabData",
+        analyticsEnabled: true,
+        syncEnabled: true,
+      });
+    }
+
+    this.lab = null;
+    this.progress = null;
+    this.modal = null;
+    this.scenarioTitles = {};
+
+    // Key of the activity whose timer is running, e.g. "phase-1:0"
+    this.activeActivityKey = null;
+    this.activeSince = null;
+    this.tickTimer = null;
+    this.saveTimer = null;
+
+    // Set while a lab scenario runs so closing the player keeps the session
+    this.runningScenario = null;
+
+    this._onScenarioCompleted = this._onScenarioCompleted.bind(this);
+    this._onScenarioClosed = this._onScenarioClosed.bind(this);
+  }
+
+  /**
+   * Open the learning lab of a category
+   * @param {string} categoryId
+   * @returns {Promise<boolean>} False if the category has no learning lab
+   */
+  async open(categoryId) {
+    const lab = await scenarioRegistry.loadLearningLab(categoryId);
+    if (!lab) {
+      logger.warn(
+        "LearningLabPlayer",
+        `No learning lab found for category: ${categoryId}`,
+      );
+      return false;
+    }
+
+    this.lab = lab;
+    this.progress = await this.loadProgress(lab, categoryId);
+    this.scenarioTitles = await this.loadScenarioTitles(categoryId);
+
+    this.modal = new ModalUtility({
+      title: this.escapeHtml(lab.title),
+      content: "",
+      onClose: () => this.handleModalClose(),
+      closeOnBackdrop: false,
+      className: "learning-lab-player",
+      size: "large",
+    });
+    this.modal.element.addEventListener("click", (event) =>
+      this.handleClick(event),
+    );
+    this.modal.element.addEventListener("input", (event) =>
+      this.handleInput(event),
+    );
+
+    this.render();
+    this.modal.open();
+    this.startTicking();
+
+    logger.info("LearningLabPlayer", "Opened learning lab", {
+      labId: lab.id,
+      categoryId,
+    });
+    return true;
+  }
+
+  /**
+   * Open the learning lab of the category a scenario belongs to
+   * @param {string} scenarioId
+   * @returns {Promise<boolean>}
+   */
+  async openForScenario(scenarioId) {
+    const match = await scenarioRegistry.findScenario(scenarioId);
+    if (!match) {
+      logger.warn("LearningLabPlayer", `Unknown scenario: ${scenarioId}`);
+      return false;
+    }
+    return this.open(match.categoryId);
+  }
+
+  /**
+   * Close the player and release its resources
+   */
+  async close() {
+    this.stopActivityTimer();
+    this.stopTicking();
+    this.detachScenarioListeners();
+    await this.flushProgress();
+
+    if (this.modal) {
+      const { modal } = this;
+      this.modal = null;
+      modal.destroy();
+    }
+  }
+
+  handleModalClose() {
+    // A lab scenario is taking over the screen; the player reopens afterwards
+    if (this.runningScenario) return;
+    this.close();
+  }
+
+  // ===== PROGRESS =====
+
+  getProgressKey(labId = this.lab?.id) {
+    return `${PROGRESS_KEY_PREFIX}${labId}`;
+  }
+
+  async loadProgress(lab, categoryId) {
+    const saved = await this.dataHandler.getData(this.getProgressKey(lab.id));
+    if (saved?.labId === lab.id) {
+      return {
+        ...saved,
+        activities: saved.activities || {},
+        currentPhaseIndex: Math.min(
+          saved.currentPhaseIndex || 0,
+          lab.phases.length - 1,
+        ),
+      };
+    }
+
+    const now = new Date().toISOString();
+    return {
+      labId: lab.id,
+      categoryId,
+      startedAt: now,
+      updatedAt: now,
+      completedAt: null,
+      currentPhaseIndex: 0,
+      activities: {},
+    };
+  }
+
+  async loadScenarioTitles(categoryId) {
+    try {
+      const scenarios = await scenarioRegistry.loadScenarios(categoryId);
+      return Object.fromEntries(
+        Object.entries(scenarios || {}).map(([id, scenario]) => [
+          id,
+          scenario.title || id,
+        ]),
+      );
+    } catch (error) {
+      logger.warn("LearningLabPlayer", "Failed to load scenario titles", error);
+      return {};
+    }
+  }
+
+  /**
+   * Progress record of an activity, created on first access
+   * @param {string} key - Activity key from getActivityKey()
+   * @returns {Object}
+   */
+  getActivityProgress(key) {
+    if (!this.progress.activities[key]) {
+      this.progress.activities[key] = {
+        elapsedMs: 0,
+        startedAt: null,
+        completedAt: null,
+        response: "",
+        scenarios: {},
+      };
+    }
+    return this.progress.activities[key];
+  }
+
+  getActivityKey(phase, activityIndex) {
+    return `${phase.id}:${activityIndex}`;
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(
+      () => this.flushProgress(),
+      RESPONSE_SAVE_DELAY,
+    );
+  }
+
+  async flushProgress() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.progress) return;
+
+    this.progress.updatedAt = new Date().toISOString();
+    const saved = await this.dataHandler.saveData(
+      this.getProgressKey(),
+      this.progress,
+    );
+    if (!saved) {
+      logger.error("LearningLabPlayer", "Failed to save lab progress", {
+        labId: this.progress.labId,
+      });
+    }
+  }
+
+  // ===== TIMING =====
+
+  /**
+   * Start timing an activity. Only one activity is timed at a time.
+   * @param {string} key
+   */
+  startActivityTimer(key) {
+    if (this.activeActivityKey === key) return;
+    this.stopActivityTimer();
+
+    const activityProgress = this.getActivityProgress(key);
+    if (!activityProgress.startedAt)
+      activityProgress.startedAt = new Date().toISOString();
+    this.activeActivityKey = key;
+    this.activeSince = Date.now();
+  }
+
+  /**
+   * Add the running timer's time to its activity and stop it
+   */
+  stopActivityTimer() {
+    if (!this.activeActivityKey) return;
+
+    const activityProgress = this.getActivityProgress(this.activeActivityKey);
+    activityProgress.elapsedMs += Date.now() - this.activeSince;
+    this.activeActivityKey = null;
+    this.activeSince = null;
+    this.scheduleSave();
+  }
+
+  getElapsedMs(key) {
+    const elapsed = this.progress.activities[key]?.elapsedMs || 0;
+    return this.activeActivityKey === key
+      ? elapsed + (Date.now() - this.activeSince)
+      : elapsed;
+  }
+
+  startTicking() {
+    this.stopTicking();
+    this.tickTimer = setInterval(
+      () => this.updateTimers(),
+      TIMER_TICK_INTERVAL,
+    );
+  }
+
+  stopTicking() {
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+  }
+
+  updateTimers() {
+    if (!this.modal?.element) return;
+    this.modal.element
+      .querySelectorAll("[data-activity-timer]")
+      .forEach((timerEl) => {
+        const key = timerEl.dataset.activityTimer;
+        const estimateMs = Number(timerEl.dataset.estimate) * MS_PER_MINUTE;
+        const elapsed = this.getElapsedMs(key);
+        timerEl.querySelector(".lab-timer-elapsed").textContent =
+          this.formatDuration(elapsed);
+        timerEl.classList.toggle(
+          "over-time",
+          estimateMs > 0 && elapsed > estimateMs,
+        );
+      });
+  }
+
+  formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / SECONDS_PER_MINUTE);
+    const seconds = String(totalSeconds % SECONDS_PER_MINUTE).padStart(2, "0");
+    return `${minutes}:${seconds}`;
+  }
+
+  // ===== SCENARIOS =====
+
+  /**
+   * Hide the player and run a lab scenario in ScenarioModal. The player
+   * reopens once the scenario modal and any reflection have closed.
+   * @param {string} scenarioId
+   * @param {string} activityKey
+   */
+  launchScenario(scenarioId, activityKey) {
+    // Time spent in the scenario counts towards the activity
+    this.startActivityTimer(activityKey);
+    this.flushProgress();
+
+    this.runningScenario = { scenarioId, activityKey };
+    this.attachScenarioListeners();
+    this.modal.close();
+
+    const scenarioModal = new ScenarioModal();
+    scenarioModal.open(scenarioId, this.progress.categoryId);
+  }
+
+  attachScenarioListeners() {
+    document.addEventListener("scenario-completed", this._onScenarioCompleted);
+    document.addEventListener("scenario-modal-closed", this._onScenarioClosed);
+  }
+
+  detachScenarioListeners() {
+    document.removeEventListener(
+      "scenario-completed",
+      this._onScenarioCompleted,
+    );
+    document.removeEventListener(
+      "scenario-modal-closed",
+      this._onScenarioClosed,
+    );
+  }
+
+  _onScenarioCompleted(event) {
+    const detail = event?.detail || {};
+    const running = this.runningScenario;
+    if (!running || detail.scenarioId !== running.scenarioId) return;
+
+    const activityProgress = this.getActivityProgress(running.activityKey);
+    activityProgress.scenarios[running.scenarioId] = {
+      completedAt: detail.timestamp || new Date().toISOString(),
+      optionId: detail.selectedOption?.id || detail.option?.id || null,
+    };
+    this.flushProgress();
+  }
+
+  async _onScenarioClosed(event) {
+    const running = this.runningScenario;
+    if (!running || event?.detail?.scenarioId !== running.scenarioId) return;
+
+    this.detachScenarioListeners();
+    if (event.detail.completed) {
+      await this.waitForReflectionClose();
+    }
+
+    this.runningScenario = null;
+    if (!this.modal) return;
+    this.render();
+    this.modal.open();
+    this.startActivityTimer(running.activityKey);
+  }
+
+  /**
+   * Resolve once the reflection for the finished scenario has been shown
+   * and closed. The reflection modal opens only after community stats load,
+   * and a closed modal stays in the DOM without its "visible" class. If no
+   * reflection appears within REFLECTION_WAIT_TIMEOUT, resolve anyway.
+   * @returns {Promise<void>}
+   */
+  waitForReflectionClose() {
+    const isOpen = () =>
+      !!document.querySelector(".scenario-reflection-modal.visible");
+
+    return new Promise((resolve) => {
+      let opened = isOpen();
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(timeout);
+        resolve();
+      };
+      const observer = new MutationObserver(() => {
+        if (isOpen()) {
+          opened = true;
+          clearTimeout(timeout);
+        } else if (opened) {
+          finish();
+        }
+      });
+      const timeout = opened
+        ? null
+        : setTimeout(finish, REFLECTION_WAIT_TIMEOUT);
+      observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ["class"],
+      });
+    });
+  }
+
+  // ===== EVENTS =====
+
+  handleClick(event) {
+    const button = event.target.closest("[data-lab-action]");
+    if (!button) return;
+
+    const { labAction, activityKey, scenarioId, phaseIndex } = button.dataset;
+    switch (labAction) {
+      case "go-to-phase":
+        this.goToPhase(Number(phaseIndex));
+        break;
+      case "previous-phase":
+        this.goToPhase(this.progress.currentPhaseIndex - 1);
+        break;
+      case "next-phase":
+        this.goToPhase(this.progress.currentPhaseIndex + 1);
+        break;
+      case "start-activity":
+        this.startActivityTimer(activityKey);
+        this.render();
+        break;
+      case "pause-activity":
+        this.stopActivityTimer();
+        this.render();
+        break;
+      case "complete-activity":
+        this.completeActivity(activityKey);
+        break;
+      case "launch-scenario":
+        this.launchScenario(scenarioId, activityKey);
+        break;
+      case "finish-lab":
+        this.finishLab();
+        break;
+      default:
+        break;
+    }
+  }
+
+  handleInput(event) {
+    const field = event.target.closest("[data-deliverable]");
+    if (!field) return;
+
+    const key = field.dataset.deliverable;
+    this.getActivityProgress(key).response = field.value;
+    this.startActivityTimer(key);
+    this.scheduleSave();
+  }
+
+  goToPhase(phaseIndex) {
+    if (phaseIndex < 0 || phaseIndex >= this.lab.phases.length) return;
+
+    this.stopActivityTimer();
+    this.progress.currentPhaseIndex = phaseIndex;
+    this.scheduleSave();
+    this.render();
+  }
+
+  completeActivity(key) {
+    if (this.activeActivityKey === key) this.stopActivityTimer();
+
+    const activityProgress = this.getActivityProgress(key);
+    if (!activityProgress.completedAt)
+      activityProgress.completedAt = new Date().toISOString();
+    this.flushProgress();
+    this.render();
+  }
+
+  finishLab() {
+    this.stopActivityTimer();
+    if (!this.progress.completedAt)
+      this.progress.completedAt = new Date().toISOString();
+    this.flushProgress();
+    this.render();
+
+    document.dispatchEvent(
+      new CustomEvent("learning-lab-completed", {
+        detail: {
+          labId: this.lab.id,
+          categoryId: this.progress.categoryId,
+          progress: this.progress,
+        },
+      }),
+    );
+  }
+
+  // ===== RENDERING =====
+
+  render() {
+    if (!this.modal) return;
+
+    const phaseIndex = this.progress.currentPhaseIndex;
+    const phase = this.lab.phases[phaseIndex];
+
+    this.modal.setContent(`
+      <div class="lab-player">
+        ${this.renderStepper(phaseIndex)}
+        <section class="lab-phase" aria-labelledby="lab-phase-title">
+          <h3 id="lab-phase-title" class="lab-phase-title">${this.escapeHtml(phase.title)}</h3>
+          ${phase.description ? `<p class="lab-phase-description">${this.escapeHtml(phase.description)}</p>` : ""}
+          <ol class="lab-activities">
+            ${phase.activities
+              .map((activity, index) =>
+                this.renderActivity(phase, activity, index),
+              )
+              .join("")}
+          </ol>
+        </section>
+      </div>
+    `);
+    this.modal.setFooter(this.renderFooter(phaseIndex));
+    this.updateTimers();
+  }
+
+  renderStepper(currentIndex) {
+    return `
+      <nav class="lab-stepper" aria-label="Lab phases">
+        <ol>
+          ${this.lab.phases
+            .map((phase, index) => {
+              const done = phase.activities.every(
+                (_, activityIndex) =>
+                  this.progress.activities[
+                    this.getActivityKey(phase, activityIndex)
+                  ]?.completedAt,
+              );
+              const classes = [
+                "lab-step",
+                index === currentIndex ? "current" : "",
+                done ? "completed" : "",
+              ]
+                .filter(Boolean)
+                .join(" ");
+              return `
+                <li class="${classes}">
+                  <button type="button" data-lab-action="go-to-phase" data-phase-index="${index}"
+                    ${index === currentIndex ? 'aria-current="step"' : ""}>
+                    <span class="lab-step-number">${index + 1}</span>
+                    <span class="lab-step-title">${this.escapeHtml(phase.title)}</span>
+                  </button>
+                </li>`;
+            })
+            .join("")}
+        </ol>
+      </nav>
+    `;
+  }
+
+  renderActivity(phase, activity, index) {
+    const key = this.getActivityKey(phase, index);
+    const activityProgress = this.progress.activities[key] || {};
+    const isActive = this.activeActivityKey === key;
+    const isComplete = !!activityProgress.completedAt;
+    const estimate = Number(activity.timeEstimate) || 0;
+
+    return `
+      <li class="lab-activity${isActive ? " active" : ""}${isComplete ? " completed" : ""}">
+        <header class="lab-activity-header">
+          <span class="lab-activity-type">${this.escapeHtml(this.formatActivityType(activity.type))}</span>
+          <h4 class="lab-activity-title">${this.escapeHtml(activity.title)}</h4>
+          <span class="lab-timer" data-activity-timer="${this.escapeHtml(key)}" data-estimate="${estimate}">
+            <span class="lab-timer-elapsed">0:00</span>
+            ${estimate ? `<span class="lab-timer-estimate">/ ${estimate} min</span>` : ""}
+          </span>
+        </header>
+        <p class="lab-activity-description">${this.escapeHtml(activity.description)}</p>
+        ${this.renderScenarioSets(activity, key, activityProgress)}
+        ${activity.deliverable ? this.renderDeliverable(activity, key, activityProgress) : ""}
+        <div class="lab-activity-actions">
+          ${
+            isActive
+              ? `<button type="button" class="btn btn-secondary" data-lab-action="pause-activity" data-activity-key="${this.escapeHtml(key)}">Pause</button>`
+              : `<button type="button" class="btn btn-secondary" data-lab-action="start-activity" data-activity-key="${this.escapeHtml(key)}">${activityProgress.startedAt ? "Resume" : "Start"}</button>`
+          }
+          <button type="button" class="btn btn-primary" data-lab-action="complete-activity" data-activity-key="${this.escapeHtml(key)}"
+            ${isComplete ? "disabled" : ""}>${isComplete ? "Completed" : "Mark complete"}</button>
+        </div>
+      </li>
+    `;
+  }
+
+  renderScenarioSets(activity, key, activityProgress) {
+    const scenarioIds = (activity.resources || [])
+      .filter((resource) => resource?.type === "scenario-set")
+      .flatMap((resource) => resource.scenarios || []);
+    if (!scenarioIds.length) return "";
+
+    return `
+      <ul class="lab-scenarios" aria-label="Scenarios for this activity">
+        ${scenarioIds
+          .map((scenarioId) => {
+            const done = !!activityProgress.scenarios?.[scenarioId];
+            return `
+              <li class="lab-scenario${done ? " completed" : ""}">
+                <button type="button" data-lab-action="launch-scenario"
+                  data-scenario-id="${this.escapeHtml(scenarioId)}" data-activity-key="${this.escapeHtml(key)}">
+                  <span class="lab-scenario-title">${this.escapeHtml(this.scenarioTitles[scenarioId] || scenarioId)}</span>
+                  <span class="lab-scenario-status">${done ? "Completed" : "Launch"}</span>
+                </button>
+              </li>`;
+          })
+          .join("")}
+      </ul>
+    `;
+  }
+
+  renderDeliverable(activity, key, activityProgress) {
+    const fieldId = `lab-deliverable-${key.replace(/[^a-z0-9-]/gi, "-")}`;
+    return `
+      <div class="lab-deliverable">
+        <label for="${fieldId}">${this.escapeHtml(activity.deliverable)}</label>
+        <textarea id="${fieldId}" rows="4" data-deliverable="${this.escapeHtml(key)}">${this.escapeHtml(activityProgress.response || "")}</textarea>
+      </div>
+    `;
+  }
+
+  renderFooter(phaseIndex) {
+    const isLastPhase = phaseIndex === this.lab.phases.length - 1;
+    const finishLabel = this.progress.completedAt
+      ? "Lab completed"
+      : "Finish lab";
+
+    return `
+      <div class="lab-player-footer">
+        <button type="button" class="btn btn-secondary" data-lab-action="previous-phase"
+          ${phaseIndex === 0 ? "disabled" : ""}>Previous phase</button>
+        ${
+          isLastPhase
+            ? `<button type="button" class="btn btn-primary" data-lab-action="finish-lab"
+                ${this.progress.completedAt ? "disabled" : ""}>${finishLabel}</button>`
+            : `<button type="button" class="btn btn-primary" data-lab-action="next-phase">Next phase</button>`
+        }
+      </div>
+    `;
+  }
+
+  formatActivityType(type = "") {
+    return type
+      .split("-")
+      .filter(Boolean)
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(" ");
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text ?? "";
+    return div.innerHTML;
+  }
+}
+
+export default LearningLabPlayer;
@@ -30,10 +30,10 @@
  */
 
 import {
-  getAllCategories,
   getCategoryProgress,
   getCategoryScenarios,
 } from "../../data/categories.js";
+import scenarioRegistry from "../data/scenario-registry.js";
 import { CategoryMetadataManager } from "../utils/category-metadata-manager.js";
 import logger from "../utils/logger.js";
 import scrollLockManager from "../utils/scroll-lock-manager.js";
@@ -44,6 +44,11 @@ import CategoryHeader from "./category-header.js";
 import badgeManager from "../core/badge-manager.js";
 import badgeModal from "./badge-modal.js";
 import { getSystemCollector } from "../services/system-metadata-collector.js";
+import {
+  loadSearchIndex,
+  orderByRelevance,
+  rankScenarios,
+} from "../utils/scenario-search.js";
 
 // Gated logger proxy: keep console quiet by default; enable via localStorage 'debug' or 'verbose-logs'
 const __mgVerbose = (() => {
@@ -144,7 +149,7 @@ class MainGrid {
     this.scenarioContainer = null;
     this.viewToggleButtons = null;
     this.currentView = "category"; // 'category' or 'scenario'
-    this.categories = getAllCategories();
+    this.categories = scenarioRegistry.getCategories(); // Only categories with scenario modules
     this.userProgress = {}; // Will be loaded async
     this.lastModalOpenTime = 0; // Debounce tracking
     this.modalOpenCooldown = 500; // Minimum time between modal opens (ms)
@@ -215,6 +220,7 @@ class MainGrid {
 
     // Search, filter, and sort state
     this.searchQuery = "";
+    this.searchIndex = null; // Loaded lazily by initializeAutocompleteData()
     this.selectedCategory = null;
     this.selectedDifficulty = null;
     this.selectedCompleted = null;
@@ -3010,7 +3016,12 @@ class MainGrid {
    * Handle scenario modal fully closed event (for badge display)
    */
   async handleScenarioModalClosed(event) {
-    const { categoryId, scenarioId, completed = true } = event.detail;
+    const {
+      categoryId,
+      scenarioId,
+      selectedOption,
+      completed = true,
+    } = event.detail;
 
     logger.info("🔥 SCENARIO MODAL CLOSED - MainGrid received event:", {
       categoryId,
@@ -3050,7 +3061,11 @@ class MainGrid {
         `🎯 CALLING deferBadgesForReflection for ${categoryId}:${scenarioId}`,
       );
       // DEFERRED BADGE SYSTEM: Store badges for later display after reflection
-      await this.deferBadgesForReflection(categoryId, scenarioId);
+      await this.deferBadgesForReflection(
+        categoryId,
+        scenarioId,
+        selectedOption,
+      );
     } else {
       logger.debug(
         "Scenario modal closed without completion - skipping badge check",
@@ -3339,8 +3354,13 @@ class MainGrid {
    * Check for new badges and defer them for display after reflection completion
    * @param {string} categoryId - Category ID
    * @param {string} scenarioId - Scenario ID
+   * @param {Object|null} selectedOption - Chosen option, for skill badges
    */
-  async deferBadgesForReflection(categoryId, scenarioId) {
+  async deferBadgesForReflection(
+    categoryId,
+    scenarioId,
+    selectedOption = null,
+  ) {
     try {
       logger.info(
         `🏆 deferBadgesForReflection called for ${categoryId}:${scenarioId}`,
@@ -3355,6 +3375,7 @@ class MainGrid {
       const newBadges = await badgeManager.updateScenarioCompletion(
         categoryId,
         scenarioId,
+        selectedOption,
       );
 
       logger.info(
@@ -3407,8 +3428,22 @@ class MainGrid {
 
       const scenarioId = event.detail.scenarioId;
 
+      // Skill badges can depend on the reflection itself, e.g. written answers
+      const skillBadges = await badgeManager.updateReflectionCompletion(
+        event.detail,
+      );
+
       // Check if we have deferred badges for this scenario
-      const deferredBadgeData = this.deferredBadges.get(scenarioId);
+      let deferredBadgeData = this.deferredBadges.get(scenarioId);
+      if (skillBadges.length > 0) {
+        deferredBadgeData = {
+          categoryId: event.detail.categoryId,
+          scenarioId,
+          timestamp: Date.now(),
+          ...deferredBadgeData,
+          badges: [...(deferredBadgeData?.badges || []), ...skillBadges],
+        };
+      }
 
       if (deferredBadgeData && deferredBadgeData.badges.length > 0) {
         logger.info(
@@ -3957,6 +3992,18 @@ class MainGrid {
         title: tag,
       }),
     );
+
+    // Ranked search replaces substring matching once the index is loaded
+    if (!this.searchIndex) {
+      loadSearchIndex()
+        .then((index) => {
+          this.searchIndex = index;
+          if (this.searchQuery) this.applyFiltersAndSort();
+        })
+        .catch((error) => {
+          logger.warn("Scenario search index unavailable:", error);
+        });
+    }
   }
 
   /**
@@ -3994,9 +4041,20 @@ class MainGrid {
     const queryLower = query.toLowerCase();
 
     // Filter scenarios
-    const matchingScenarios = this.autocompleteScenarios
-      .filter((scenario) => scenario.title.toLowerCase().includes(queryLower))
-      .slice(0, MAX_AUTOCOMPLETE_SCENARIOS);
+    const matchingScenarios = this.searchIndex
+      ? rankScenarios(this.searchIndex, query, {
+          prefix: true,
+          limit: MAX_AUTOCOMPLETE_SCENARIOS,
+        })
+          .map(({ id }) =>
+            this.autocompleteScenarios.find((scenario) => scenario.id === id),
+          )
+          .filter(Boolean)
+      : this.autocompleteScenarios
+          .filter((scenario) =>
+            scenario.title.toLowerCase().includes(queryLower),
+          )
+          .slice(0, MAX_AUTOCOMPLETE_SCENARIOS);
 
     // Filter tags
     const matchingTags = this.autocompleteTagsArray
@@ -4668,8 +4726,18 @@ class MainGrid {
     // Start with all scenarios
     let filtered = [...this.allScenarios];
 
-    // Apply search filter - ONLY search title and tags
-    if (this.searchQuery) {
+    // Apply search filter - ranked full-text search once the index is loaded,
+    // title and tags only until then
+    if (this.searchQuery && this.searchIndex) {
+      filtered = orderByRelevance(
+        filtered,
+        this.searchIndex,
+        this.searchQuery,
+        {
+          prefix: true,
+        },
+      );
+    } else if (this.searchQuery) {
       filtered = filtered.filter((scenario) => {
         // Only search in title and tags - no other fields
         const titleMatch = scenario.title
@@ -4705,8 +4773,15 @@ class MainGrid {
       });
     }
 
-    // Apply sorting
-    this.sortScenarios(filtered);
+    // Apply sorting - search results stay in relevance order under the
+    // default alphabetical sort
+    if (
+      !this.searchQuery ||
+      !this.searchIndex ||
+      this.sortBy !== "alphabetical"
+    ) {
+      this.sortScenarios(filtered);
+    }
 
     // Update filtered scenarios
     this.filteredScenarios = filtered;
@@ -173,8 +173,8 @@ class ModalUtility {
     // Wait for animation before hiding
     const animationDuration = 300; // ms
     setTimeout(() => {
-      if (!this.isOpen) {
-        // Double check in case modal was reopened
+      if (!this.isOpen && this.element) {
+        // Double check in case modal was reopened or destroyed
         this.element.style.display = "none";
       }
     }, animationDuration);
@@ -30,6 +30,7 @@
  */
 
 import { getSimulationInfo } from "../data/simulation-info.js";
+import { FAIRNESS_SCENARIO_IDS } from "../utils/hiring-fairness.js";
 import ModalUtility from "./modal-utility.js";
 import { simpleAnalytics } from "../utils/simple-analytics.js";
 import DigitalScienceLab from "../core/digital-science-lab.js";
@@ -826,6 +827,7 @@ export default class PreLaunchModal {
         icon: category.icon,
         color: category.color,
         tags: category.tags || [],
+        scenarioId: scenario.id,
       },
     };
   }
@@ -1657,7 +1659,13 @@ export default class PreLaunchModal {
                 ...(categoryInfo.philosophicalApproaches || []),
               ].filter(Boolean);
 
-              curriculum = toolkit.getCurriculumAlignment(allTags);
+              // Explicit standard codes on the scenario card win over tags
+              curriculum =
+                (categoryInfo.scenarioId &&
+                  toolkit.getScenarioStandardsAlignment?.([
+                    categoryInfo.scenarioId,
+                  ])) ||
+                toolkit.getCurriculumAlignment(allTags);
 
               // Pass tags to assessment tools for content-specific assessments
               assessments = toolkit.getAssessmentTools(
@@ -2427,6 +2435,17 @@ export default class PreLaunchModal {
                     <button type="button" class="btn-cancel" id="cancel-launch">
                         Maybe Later
                     </button>
+                    ${
+                      this.isCategory &&
+                      FAIRNESS_SCENARIO_IDS.includes(
+                        this.options.scenarioData?.id,
+                      )
+                        ? `<button type="button" class="btn-cancel" id="open-fairness-sandbox">
+                        <span class="button-icon">⚖️</span>
+                        Hiring Sandbox
+                    </button>`
+                        : ""
+                    }
                     <button type="button" class="btn-launch" id="start-exploration">
                         <span class="button-icon">🚀</span>
                         Start Exploration
@@ -2589,6 +2608,20 @@ export default class PreLaunchModal {
         });
       }
 
+      const sandboxButton = this.modal.element.querySelector(
+        "#open-fairness-sandbox",
+      );
+      if (sandboxButton) {
+        sandboxButton.addEventListener("click", async () => {
+          this.trackAnalytics("fairness_sandbox_opened");
+          this.close();
+          const { default: FairnessSandbox } = await import(
+            "./fairness-sandbox.js"
+          );
+          new FairnessSandbox(window.app).open();
+        });
+      }
+
       // Connected simulation buttons
       const connectedButtons = document.querySelectorAll(
         ".connected-sim-button",
@@ -41,6 +41,7 @@ import {
   initializeCSSIntegration,
 } from "../utils/radar-config-loader.js";
 import chartEventCoordinator from "../constants/chart-event-coordinator.js";
+import { DISPLAY_SCALE, applyImpactToScores } from "../data/ethical-scoring.js";
 
 export default class RadarChart {
   static instanceCount = 0;
@@ -292,6 +293,13 @@ export default class RadarChart {
       this.currentScores,
     );
 
+    // Score sets drawn over the main scores, see setOverlays()
+    this.overlays = [];
+    this.overlayCounter = 0;
+    if (Array.isArray(this.options.overlays)) {
+      this.setOverlays(this.options.overlays);
+    }
+
     // Chart rendering and animation state
     this.isAnimating = false;
     // Removed unused pendingAnimations array
@@ -801,7 +809,7 @@ export default class RadarChart {
       labels: axesLabels,
       datasets: [
         {
-          label: this.options.title,
+          label: this.options.label || this.options.title,
           data: axesData,
           backgroundColor: gradientColors.background,
           borderColor: gradientColors.border,
@@ -816,6 +824,7 @@ export default class RadarChart {
           pointHoverRadius: config.chartConfig.dataset.pointHoverRadius,
           tension: config.chartConfig.dataset.tension,
         },
+        ...this._createOverlayDatasets(),
       ],
     };
 
@@ -826,6 +835,13 @@ export default class RadarChart {
       lineWidth: config.chartConfig.scales.r.grid.lineWidth,
     };
 
+    // Legend entries toggle their dataset once overlays are drawn
+    baseConfig.options.plugins.legend = {
+      ...baseConfig.options.plugins.legend,
+      display: this._isLegendShown(),
+      onClick: (event, legendItem) => this._handleLegendClick(legendItem),
+    };
+
     // Add label truncation with ellipsis for point labels
     baseConfig.options.scales.r.pointLabels = {
       ...baseConfig.options.scales.r.pointLabels,
@@ -883,9 +899,14 @@ export default class RadarChart {
 
         const score = context.parsed.r;
         const impact = getImpactDescription(config, score);
+        // Name the dataset once other profiles are drawn over this one
+        const prefix =
+          this.overlays.length > 0 && context.dataset?.label
+            ? `${context.dataset.label}: `
+            : "";
 
         return [
-          `Score: ${score}/${config.scoring.maxScore} (${impact})`,
+          `${prefix}Score: ${score}/${config.scoring.maxScore} (${impact})`,
           ``,
           axisInfo.description,
         ];
@@ -983,11 +1004,11 @@ export default class RadarChart {
       // Validate and apply score updates - ensure whole numbers only
       for (const [axis, score] of Object.entries(scoreUpdates)) {
         if (axis in this.currentScores) {
-          // Round to whole number and clamp between 1-5
+          // Round to whole number and clamp to the display scale
           const wholeScore = Math.round(score);
           this.currentScores[axis] = Math.max(
-            1, // MIN_SCORE is 1
-            Math.min(5, wholeScore), // MAX_SCORE is 5
+            DISPLAY_SCALE.MIN,
+            Math.min(DISPLAY_SCALE.MAX, wholeScore),
           );
         }
       }
@@ -1024,19 +1045,10 @@ export default class RadarChart {
 
   /**
    * Apply answer impact to scores
-   * @param {Object} answerImpact - Object with axis keys and impact deltas
+   * @param {Object} answerImpact - Raw impact (-2..+2) keyed by axis, see ethical-scoring.js
    */
   applyAnswerImpact(answerImpact) {
-    const updates = {};
-
-    for (const [axis, delta] of Object.entries(answerImpact)) {
-      if (axis in this.currentScores) {
-        // Start from current score and apply delta
-        updates[axis] = this.currentScores[axis] + delta;
-      }
-    }
-
-    this.updateScores(updates);
+    this.updateScores(applyImpactToScores(this.currentScores, answerImpact));
 
     // Log the impact for debugging
     logger.info(
@@ -1066,14 +1078,221 @@ export default class RadarChart {
    * Set scores directly
    */
   setScores(scores) {
-    // Ensure all scores are whole numbers (1-5 range)
+    this.currentScores = this._toWholeNumberScores(scores);
+    this.refreshChart();
+  }
+
+  /**
+   * Set the label of the main scores, shown in the legend and tooltips
+   * @param {string} label
+   */
+  setLabel(label) {
+    this.options.label = label;
+    if (!this.chart) return;
+
+    this.chart.data.datasets[0].label = label;
+    this.chart.update("none");
+  }
+
+  /**
+   * Draw other score sets over the main scores, e.g. an earlier profile or a
+   * friend's profile to compare against. Overlays are dashed and keep their
+   * color while they stay on the chart; pass an empty array to remove them.
+   * Once there are overlays, a legend lists every dataset and clicking an
+   * entry hides or shows it (unless the chart was created with
+   * showLegend: false).
+   * @param {Array<Object>} overlays - {id, label, scores, theme, hidden}.
+   *   Only scores is required. theme is a {background, border} pair; without
+   *   one, the next unused entry of overlayThemes in the configuration is
+   *   picked.
+   */
+  setOverlays(overlays = []) {
+    const previous = new Map(
+      this.overlays.map((overlay) => [overlay.id, overlay]),
+    );
+    const withIds = overlays.map((overlay) => ({
+      ...overlay,
+      id: overlay.id || `overlay-${++this.overlayCounter}`,
+    }));
+    const themes = RadarChart.config.overlayThemes || [
+      RadarChart.config.themes.neutral,
+    ];
+    const usedThemes = new Set(
+      withIds
+        .map((overlay) => overlay.theme || previous.get(overlay.id)?.theme)
+        .filter(Boolean),
+    );
+
+    const hadOverlays = this.overlays.length > 0;
+    this.overlays = withIds.map((overlay, index) => {
+      let theme = overlay.theme || previous.get(overlay.id)?.theme;
+      if (!theme) {
+        theme =
+          themes.find((candidate) => !usedThemes.has(candidate)) ||
+          themes[index % themes.length];
+        usedThemes.add(theme);
+      }
+
+      return {
+        ...overlay,
+        theme,
+        hidden: overlay.hidden ?? previous.get(overlay.id)?.hidden ?? false,
+        scores: this._toWholeNumberScores(overlay.scores),
+      };
+    });
+
+    // Skip the redraw when there was nothing to remove
+    if (!this.chart || (!hadOverlays && this.overlays.length === 0)) return;
+
+    this.chart.data.datasets = [
+      this.chart.data.datasets[0],
+      ...this._createOverlayDatasets(),
+    ];
+    this.chart.options.plugins.legend.display = this._isLegendShown();
+    this.chart.update(this.options.animated ? "active" : "none");
+  }
+
+  /**
+   * Add an overlay, or replace the one with the same id in place
+   * @param {Object} overlay - See setOverlays()
+   * @returns {string} Overlay id
+   */
+  addOverlay(overlay) {
+    const id = overlay.id || `overlay-${++this.overlayCounter}`;
+    const exists = this.overlays.some((current) => current.id === id);
+
+    this.setOverlays(
+      exists
+        ? this.overlays.map((current) =>
+            current.id === id ? { ...overlay, id } : current,
+          )
+        : [...this.overlays, { ...overlay, id }],
+    );
+    return id;
+  }
+
+  /**
+   * Remove an overlay
+   * @param {string} id - Overlay id
+   */
+  removeOverlay(id) {
+    this.setOverlays(this.overlays.filter((overlay) => overlay.id !== id));
+  }
+
+  /**
+   * Hide or show an overlay without removing it. Fires
+   * "radar-overlay-toggled" on the container with {id, visible}, also when
+   * the user clicks the legend.
+   * @param {string} id - Overlay id
+   * @param {boolean} visible
+   * @returns {boolean} False when there is no overlay with that id
+   */
+  setOverlayVisibility(id, visible) {
+    const index = this.overlays.findIndex((overlay) => overlay.id === id);
+    if (index === -1) return false;
+
+    this.overlays[index].hidden = !visible;
+    if (this.chart) {
+      // Dataset 0 holds the main scores
+      this.chart.setDatasetVisibility(index + 1, visible);
+      this.chart.update();
+    }
+
+    this.container.dispatchEvent(
+      new CustomEvent("radar-overlay-toggled", {
+        bubbles: true,
+        detail: { id, visible },
+      }),
+    );
+    return true;
+  }
+
+  /**
+   * Get the overlays on the chart
+   * @returns {Array<Object>} {id, label, scores, theme, hidden}
+   */
+  getOverlays() {
+    return this.overlays.map((overlay) => ({
+      ...overlay,
+      scores: { ...overlay.scores },
+    }));
+  }
+
+  /**
+   * Whether the legend is drawn: only when there is something to tell apart
+   * @private
+   * @returns {boolean}
+   */
+  _isLegendShown() {
+    return this.options.showLegend && this.overlays.length > 0;
+  }
+
+  /**
+   * Toggle the dataset behind a legend entry
+   * @private
+   * @param {Object} legendItem - Chart.js legend item
+   */
+  _handleLegendClick(legendItem) {
+    const overlay = this.overlays[legendItem.datasetIndex - 1];
+    if (overlay) {
+      this.setOverlayVisibility(overlay.id, overlay.hidden);
+      return;
+    }
+
+    this.chart.setDatasetVisibility(
+      legendItem.datasetIndex,
+      !this.chart.isDatasetVisible(legendItem.datasetIndex),
+    );
+    this.chart.update();
+  }
+
+  /**
+   * Complete a score object with defaults, as whole numbers on the display
+   * scale
+   * @private
+   * @param {Object} scores - Display scores keyed by axis
+   * @returns {Object} Scores for every axis, in axis order
+   */
+  _toWholeNumberScores(scores = {}) {
     const wholeNumberScores = {};
     for (const [axis, score] of Object.entries(scores)) {
-      wholeNumberScores[axis] = Math.max(1, Math.min(5, Math.round(score)));
+      wholeNumberScores[axis] = Math.max(
+        DISPLAY_SCALE.MIN,
+        Math.min(DISPLAY_SCALE.MAX, Math.round(score)),
+      );
     }
 
-    this.currentScores = { ...this.DEFAULT_SCORES, ...wholeNumberScores };
-    this.refreshChart();
+    return { ...this.DEFAULT_SCORES, ...wholeNumberScores };
+  }
+
+  /**
+   * Chart.js datasets for the overlays
+   * @private
+   * @returns {Array<Object>}
+   */
+  _createOverlayDatasets() {
+    const { dataset } = RadarChart.config.chartConfig;
+
+    return this.overlays.map((overlay) => {
+      const { theme } = overlay;
+      return {
+        label: overlay.label,
+        data: Object.values(overlay.scores),
+        hidden: overlay.hidden,
+        backgroundColor: theme.background,
+        borderColor: theme.border,
+        borderWidth: dataset.borderWidth,
+        borderDash: [6, 4],
+        pointBackgroundColor: theme.border,
+        pointBorderColor: dataset.pointBorderColor,
+        pointBorderWidth: dataset.pointBorderWidth,
+        pointHoverBackgroundColor: dataset.pointHoverBackgroundColor,
+        pointHoverBorderColor: theme.border,
+        pointRadius: dataset.pointRadius,
+        pointHoverRadius: dataset.pointHoverRadius,
+        tension: dataset.tension,
+      };
+    });
   }
 
   /**
@@ -0,0 +1,115 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Real-World Case Card Component
+ * Renders "this happened in reality" cards for entries of the real-world
+ * case library. Used by ScenarioModal, ScenarioReflectionModal and the
+ * case index page.
+ */
+
+import { AXIS_DEFINITIONS } from "../data/ethical-scoring.js";
+
+class RealWorldCaseCard {
+  /**
+   * Render a single case card
+   * @param {Object} caseStudy - Entry of REAL_WORLD_CASES
+   * @param {Object} [options]
+   * @param {boolean} [options.compact=false] - Hide axes and teaching notes
+   * @param {string} [options.extraHtml=""] - Trusted HTML placed before the citation
+   * @returns {string} HTML string
+   */
+  static render(caseStudy, { compact = false, extraHtml = "" } = {}) {
+    const { citation = {} } = caseStudy;
+    const citationText = [citation.source, citation.title]
+      .filter(Boolean)
+      .map((part) => this.escapeHtml(part))
+      .join(" — ");
+    const citationHtml = citation.url
+      ? `<a href="${this.escapeHtml(citation.url)}" target="_blank" rel="noopener noreferrer">${citationText}</a>`
+      : citationText;
+
+    return `
+      <article class="real-world-case${compact ? " compact" : ""}" data-case-id="${this.escapeHtml(caseStudy.id)}">
+        <header class="real-world-case-header">
+          <span class="real-world-case-label">This happened in reality · ${caseStudy.year}</span>
+          <h5 class="real-world-case-title">${this.escapeHtml(caseStudy.title)}</h5>
+        </header>
+        <p class="real-world-case-summary">${this.escapeHtml(caseStudy.summary)}</p>
+        ${compact ? "" : this.renderAxes(caseStudy.axes)}
+        ${compact || !caseStudy.discussion?.length ? "" : this.renderDiscussion(caseStudy.discussion)}
+        ${extraHtml}
+        <p class="real-world-case-citation">${citationHtml}</p>
+      </article>
+    `;
+  }
+
+  /**
+   * Render a titled list of case cards
+   * @param {Object[]} cases
+   * @param {Object} [options]
+   * @param {string} [options.heading="This Happened in Reality"]
+   * @param {number} [options.limit] - Maximum number of cards
+   * @param {boolean} [options.compact=false]
+   * @returns {string} HTML string, empty when there are no cases
+   */
+  static renderList(
+    cases,
+    { heading = "This Happened in Reality", limit, compact = false } = {},
+  ) {
+    const shown = limit ? cases.slice(0, limit) : cases;
+    if (!shown.length) return "";
+
+    return `
+      <section class="real-world-cases" aria-label="${this.escapeHtml(heading)}">
+        <h4 class="real-world-cases-heading">${this.escapeHtml(heading)}</h4>
+        ${shown.map((caseStudy) => this.render(caseStudy, { compact })).join("")}
+      </section>
+    `;
+  }
+
+  static renderAxes(axes = []) {
+    return `
+      <ul class="real-world-case-axes" aria-label="Ethical dimensions">
+        ${axes
+          .map(
+            (axis) =>
+              `<li class="real-world-case-axis">${this.escapeHtml(AXIS_DEFINITIONS[axis]?.label || axis)}</li>`,
+          )
+          .join("")}
+      </ul>
+    `;
+  }
+
+  static renderDiscussion(questions) {
+    return `
+      <details class="real-world-case-discussion">
+        <summary>Discussion questions</summary>
+        <ul>
+          ${questions.map((question) => `<li>${this.escapeHtml(question)}</li>`).join("")}
+        </ul>
+      </details>
+    `;
+  }
+
+  static escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text ?? "";
+    return div.innerHTML;
+  }
+}
+
+export default RealWorldCaseCard;
@@ -6,12 +6,15 @@
 
 import CategoryMetadataManager from "../utils/category-metadata-manager.js";
 import ScenarioModal from "./scenario-modal.js";
+import LearningLabPlayer from "./learning-lab-player.js";
 import PreLaunchModal from "./pre-launch-modal.js";
 import ScenarioCard from "./scenario-card.js";
+import { loadSearchIndex, orderByRelevance } from "../utils/scenario-search.js";
 
 // Constants
 const DEBOUNCE_DELAY = 300;
 const DIFFICULTY_ORDER = { beginner: 1, intermediate: 2, advanced: 3 };
+const DEFAULT_SORT = "title";
 
 class ScenarioBrowser {
   constructor(options = {}) {
@@ -25,7 +28,7 @@ class ScenarioBrowser {
       tags: [],
       search: "",
     };
-    this.sortBy = "title";
+    this.sortBy = DEFAULT_SORT;
     this.currentPage = 0;
     this.pageSize = 12;
     this.lastVisible = null;
@@ -35,6 +38,7 @@ class ScenarioBrowser {
     // Enhanced metadata support
     this.metadataManager = CategoryMetadataManager;
     this.enhancedCategories = null;
+    this.searchIndex = null;
 
     // SimulateAI integration options
     this.simulateAIIntegration = {
@@ -70,6 +74,7 @@ class ScenarioBrowser {
       this.enhancedCategories = this.metadataManager.getAllEnhancedCategories();
 
       await this.loadAvailableTags();
+      await this.loadSearchIndex();
       await this.loadScenariosEnhanced();
       this.renderTagChips();
       this.updateMetadataDisplay();
@@ -546,6 +551,28 @@ class ScenarioBrowser {
     });
   }
 
+  /**
+   * Load the scenario search index. Search falls back to substring matching
+   * if it cannot be loaded.
+   */
+  async loadSearchIndex() {
+    try {
+      this.searchIndex = await loadSearchIndex();
+    } catch (error) {
+      console.warn("Scenario search index unavailable:", error);
+      this.searchIndex = null;
+    }
+  }
+
+  /**
+   * Whether results should stay in relevance order rather than be sorted
+   */
+  isRankedSearch() {
+    return Boolean(
+      this.filters.search && this.searchIndex && this.sortBy === DEFAULT_SORT,
+    );
+  }
+
   /**
    * Apply filters using enhanced metadata system
    */
@@ -558,6 +585,7 @@ class ScenarioBrowser {
         philosophy: this.filters.philosophy || undefined,
         tags: this.filters.tags.length > 0 ? this.filters.tags : undefined,
       },
+      this.searchIndex,
     );
 
     this.sortAndRender();
@@ -569,6 +597,12 @@ class ScenarioBrowser {
    * Sort scenarios and render them
    */
   async sortAndRender() {
+    // Search results keep their relevance order under the default sort
+    if (this.isRankedSearch()) {
+      await this.renderScenarios();
+      return;
+    }
+
     // Sort scenarios
     this.filteredScenarios.sort((a, b) => {
       switch (this.sortBy) {
@@ -699,7 +733,14 @@ class ScenarioBrowser {
     }
 
     // Search filter
-    if (this.filters.search) {
+    if (this.filters.search && this.searchIndex) {
+      filtered = orderByRelevance(
+        filtered,
+        this.searchIndex,
+        this.filters.search,
+        { prefix: true },
+      );
+    } else if (this.filters.search) {
       filtered = filtered.filter((scenario) => {
         const searchText = this.filters.search;
         return (
@@ -1191,8 +1232,8 @@ class ScenarioBrowser {
       }
     }
 
-    // Implementation for opening learning lab
-    window.location.href = `learning-lab.html?scenario=${scenarioId}`;
+    const learningLabPlayer = new LearningLabPlayer();
+    learningLabPlayer.openForScenario(scenarioId);
   }
 
   startScenario(scenarioId) {
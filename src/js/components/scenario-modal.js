@@ -18,13 +18,35 @@
 
 import logger from "../utils/logger.js";
 import RadarChart from "./radar-chart.js";
+import RealWorldCaseCard from "./real-world-case-card.js";
 import scenarioDataManager from "../data/scenario-data-manager.js";
 import { getAllCategories } from "../../data/categories.js";
+import { getCasesForScenario } from "../data/real-world-cases.js";
 import { typewriterSequence } from "../utils/typewriter.js";
 import { loadScenarioModalConfig } from "../utils/scenario-modal-config-loader.js";
 import DataHandler from "../core/data-handler.js";
 import { getModeConfig } from "../constants/scenario-modes.js";
 import scrollLockManager from "../utils/scroll-lock-manager.js";
+import communityStatsService from "../services/community-stats-service.js";
+import {
+  applyImpactToScores,
+  getNeutralScores,
+  normalizeImpact,
+  aggregateImpacts,
+} from "../data/ethical-scoring.js";
+import {
+  ROOT_NODE_ID,
+  isBranchingScenario,
+  getScenarioNode,
+  getNextNodeId,
+  isTerminalNode,
+} from "../data/scenario-graph.js";
+import {
+  DEFAULT_READING_LEVEL,
+  READING_LEVEL_LABELS,
+  applyReadingLevel,
+  isReadingLevel,
+} from "../data/reading-levels.js";
 
 class ScenarioModal {
   constructor(options = {}) {
@@ -107,8 +129,16 @@ class ScenarioModal {
       this.wasCompleted = false; // Flag to track if scenario was completed
       this.isTestMode = options.isTestMode || false; // Flag for test scenarios
 
+      // Branching scenario state (see data/scenario-graph.js)
+      this.currentNodeId = ROOT_NODE_ID;
+      this.choicePath = []; // Confirmed steps along the scenario graph
+      this.pathScores = null; // Radar scores accumulated before the current node
+      this.readingLevel = DEFAULT_READING_LEVEL; // See data/reading-levels.js
+
       // Event handlers
       this.escapeHandler = null; // For keyboard event cleanup
+      this.readingLevelHandler = null; // Re-renders text on a settings change
+      this.typewriterRun = null; // Typewriter sequence still writing, if any
 
       // Cache for categories and scenarios
       this.categories = getAllCategories();
@@ -713,6 +743,8 @@ class ScenarioModal {
       }
 
       this.currentScenario = this.scenarioData;
+      this.resetPathState();
+      this.readingLevel = this.getReadingLevel();
 
       this._logTelemetry("scenario_data_loaded", {
         scenarioId,
@@ -820,6 +852,7 @@ class ScenarioModal {
       this.currentScenarioId = null;
       this.scenarioData = null;
       this.radarChart = null;
+      this.resetPathState();
 
       // Restore body scrolling
       scrollLockManager.unlock("scenario-modal");
@@ -829,6 +862,13 @@ class ScenarioModal {
         document.removeEventListener("keydown", this.escapeHandler);
         this.escapeHandler = null;
       }
+      if (this.readingLevelHandler) {
+        window.removeEventListener(
+          "readingLevelChanged",
+          this.readingLevelHandler,
+        );
+        this.readingLevelHandler = null;
+      }
 
       // Perform enterprise cleanup
       this._enterpriseCleanup();
@@ -943,7 +983,7 @@ class ScenarioModal {
             <div class="scenario-modal-dialog">
                 <div class="scenario-modal-header">
                     <div class="scenario-title-section">
-                        <span class="scenario-category">${categoryTitle}</span>
+                        <span class="scenario-category">${categoryTitle}${this.renderReadingLevelNote()}</span>
                         <h1 class="scenario-title">${this.currentScenario.title}</h1>
                     </div>
                     <button class="close-button" aria-label="Close modal">
@@ -954,6 +994,11 @@ class ScenarioModal {
                 <div class="scenario-content typewriter-ready">
                     <div class="scenario-main">
                         <div class="scenario-description">
+                            <div class="outcome-section" hidden>
+                                <h3>What Happened</h3>
+                                <p class="outcome-text"></p>
+                            </div>
+
                             <div class="dilemma-section">
                                 <h3>The Dilemma</h3>
                                 <p class="dilemma-text"></p>
@@ -966,7 +1011,7 @@ class ScenarioModal {
                         </div>
 
                         <div class="options-section">
-                            <h3>Choose Your Approach</h3>
+                            <h3>Choose Your Approach${isBranchingScenario(this.currentScenario) ? ' <span class="scenario-step-indicator">Step 1</span>' : ""}</h3>
                             <div class="options-container">
                                 ${this.renderOptions()}
                             </div>
@@ -978,6 +1023,7 @@ class ScenarioModal {
                         <div class="chart-legend">
                             <p>This chart shows how your choice affects different ethical dimensions. Select an option to see its impact.</p>
                         </div>
+                        ${RealWorldCaseCard.renderList(getCasesForScenario(this.currentScenarioId), { compact: true })}
                     </div>
                 </div>
 
@@ -1014,11 +1060,12 @@ class ScenarioModal {
    * Render option buttons
    */
   renderOptions() {
-    if (!this.currentScenario.options) {
+    const { options } = this.getCurrentNode();
+    if (!options || options.length === 0) {
       return "<p>No options available</p>";
     }
 
-    return this.currentScenario.options
+    return options
       .map(
         (option) => `
             <div class="option-card" data-option-id="${option.id}">
@@ -1523,10 +1570,7 @@ class ScenarioModal {
     }
 
     // Option selection
-    const optionCards = this.modal.querySelectorAll(".option-card");
-    optionCards.forEach((card) => {
-      card.addEventListener("click", () => this.selectOption(card));
-    });
+    this.attachOptionListeners();
 
     // Cancel button
     const cancelButton = this.modal.querySelector("#cancel-scenario");
@@ -1547,6 +1591,20 @@ class ScenarioModal {
       }
     };
     document.addEventListener("keydown", this.escapeHandler);
+
+    // Reading level changed in the settings panel while the modal is open
+    this.readingLevelHandler = () => this.applyReadingLevelChange();
+    window.addEventListener("readingLevelChanged", this.readingLevelHandler);
+  }
+
+  /**
+   * Attach click handlers to the option cards of the current node
+   */
+  attachOptionListeners() {
+    const optionCards = this.modal.querySelectorAll(".option-card");
+    optionCards.forEach((card) => {
+      card.addEventListener("click", () => this.selectOption(card));
+    });
   }
 
   /**
@@ -1581,10 +1639,14 @@ class ScenarioModal {
         // Clear selected option
         this.selectedOption = null;
 
-        // Reset radar chart to neutral state
+        // Reset radar chart to the scores accumulated so far on the path
         if (this.radarChart && this.radarChart.isInitialized) {
-          this.radarChart.resetScores();
-          logger.info("RadarChart", "Radar chart reset to neutral state");
+          if (this.pathScores) {
+            this.radarChart.setScores(this.pathScores);
+          } else {
+            this.radarChart.resetScores();
+          }
+          logger.info("RadarChart", "Radar chart reset to path state");
 
           // Trigger blue glow animation after radar chart reset
           if (window.highlightScenarioRadarChart) {
@@ -1640,7 +1702,7 @@ class ScenarioModal {
       if (details) details.style.display = "block";
 
       // Store selected option
-      this.selectedOption = this.currentScenario.options.find(
+      this.selectedOption = this.getCurrentNode().options.find(
         (opt) => opt.id === optionId,
       );
 
@@ -1719,21 +1781,12 @@ class ScenarioModal {
         return;
       }
 
-      // Convert impact data from (-2 to +2) to radar chart scale (0 to 5)
-      // -2 becomes 1, -1 becomes 2, 0 becomes 3, +1 becomes 4, +2 becomes 5
-      const impactScores = {};
-      const neutralScore = this.config.radarChart.scoring.neutralScore; // Middle of 0-5 scale
-
-      Object.keys(this.selectedOption.impact).forEach((axis) => {
-        const impactValue = this.selectedOption.impact[axis] || 0;
-        impactScores[axis] = neutralScore + impactValue;
-
-        // Clamp to valid range (0-5)
-        impactScores[axis] = Math.max(
-          this.config.radarChart.scoring.minScore,
-          Math.min(this.config.radarChart.scoring.maxScore, impactScores[axis]),
-        );
-      });
+      // Apply the raw -2..+2 impact on top of the scores accumulated along
+      // the path (neutral for the first decision)
+      const impactScores = applyImpactToScores(
+        this.pathScores || getNeutralScores(),
+        this.selectedOption.impact,
+      );
 
       logger.info(
         "RadarChart",
@@ -1773,11 +1826,47 @@ class ScenarioModal {
    * Confirm the selected choice
    */
   async confirmChoice() {
-    if (!this.selectedOption) {
+    const currentNode = this.getCurrentNode();
+
+    // Ending nodes only reveal an outcome; confirming them finishes the path
+    if (!this.selectedOption && !isTerminalNode(currentNode)) {
       logger.warn("No option selected for confirmation");
       return;
     }
 
+    // Listeners can refuse the choice before it is recorded, e.g. a
+    // classroom session once the instructor locks voting
+    const confirmingEvent = new CustomEvent("scenario-choice-confirming", {
+      cancelable: true,
+      detail: {
+        categoryId: this.currentCategoryId,
+        scenarioId: this.currentScenarioId,
+        option: this.selectedOption,
+      },
+    });
+    if (!document.dispatchEvent(confirmingEvent)) {
+      logger.info("ScenarioModal", "Choice confirmation was refused", {
+        scenarioId: this.currentScenarioId,
+      });
+      return;
+    }
+
+    if (this.selectedOption) {
+      this.recordPathStep(this.selectedOption);
+
+      const nextNodeId = getNextNodeId(
+        this.currentScenario,
+        this.selectedOption,
+      );
+      if (nextNodeId) {
+        this.advanceToNode(nextNodeId);
+        return;
+      }
+    }
+
+    const rootOption = this.choicePath[0]?.option || this.selectedOption;
+    const pathData = this.getPathCompletionData();
+
     // If this is a test scenario, still show reflection modal but skip progress tracking
     if (this.isTestMode) {
       logger.info(
@@ -1785,7 +1874,7 @@ class ScenarioModal {
         {
           categoryId: this.currentCategoryId,
           scenarioId: this.currentScenarioId,
-          selectedOption: this.selectedOption?.id || "unknown",
+          selectedOption: rootOption?.id || "unknown",
           testMode: true,
         },
       );
@@ -1794,8 +1883,9 @@ class ScenarioModal {
       const testCompletionData = {
         categoryId: this.currentCategoryId,
         scenarioId: this.currentScenarioId,
-        selectedOption: this.selectedOption,
-        option: this.selectedOption, // Legacy compatibility
+        selectedOption: rootOption,
+        option: rootOption, // Legacy compatibility
+        ...pathData,
         completed: true,
         isTestMode: true, // Mark as test mode to prevent progress tracking
         scenarioData: this.scenarioData,
@@ -1842,12 +1932,14 @@ class ScenarioModal {
     const completionData = {
       categoryId: this.currentCategoryId,
       scenarioId: this.currentScenarioId,
-      selectedOption: this.selectedOption,
-      option: this.selectedOption, // Legacy compatibility
+      selectedOption: rootOption,
+      option: rootOption, // Legacy compatibility
+      ...pathData,
       completed: true, // Mark as completed
       scenarioData: this.scenarioData, // Include the scenario data with options
       timestamp: new Date().toISOString(),
       sessionId: this._generateSessionId(),
+      choiceRecorded: false, // Counted in the community comparison
     };
 
     // Respect scenario mode persistence settings
@@ -1866,6 +1958,17 @@ class ScenarioModal {
           { mode, scenarioId: this.currentScenarioId },
         );
       }
+
+      // Feed the community comparison shown in the reflection modal.
+      // Awaited so the reflection modal reads counts that include this choice.
+      if (cfg.analyticsLevel !== "none") {
+        const recorded = await communityStatsService.recordChoice(
+          this.currentCategoryId,
+          this.currentScenarioId,
+          rootOption.id,
+        );
+        completionData.choiceRecorded = recorded.local || recorded.remote;
+      }
     } catch (error) {
       logger.error(
         "❌ Failed during scenario completion persistence step:",
@@ -1882,7 +1985,8 @@ class ScenarioModal {
     logger.info("Scenario completed:", {
       categoryId: this.currentCategoryId,
       scenarioId: this.currentScenarioId,
-      selectedOption: this.selectedOption?.id || "unknown",
+      selectedOption: rootOption?.id || "unknown",
+      pathLength: pathData.path.length,
     });
 
     // Close modal with delay to show completion, then dispatch final event
@@ -1916,6 +2020,254 @@ class ScenarioModal {
     }, 1000);
   }
 
+  // ===== BRANCHING SCENARIO PATH =====
+
+  /**
+   * Get the scenario graph node currently shown (the scenario itself for
+   * flat scenarios), with text for the current reading level
+   * @returns {Object} Node with outcome, dilemma, ethicalQuestion and options
+   */
+  getCurrentNode() {
+    const node = getScenarioNode(this.currentScenario, this.currentNodeId);
+    if (!node) {
+      return {
+        id: this.currentNodeId,
+        outcome: null,
+        dilemma: "",
+        ethicalQuestion: "",
+        options: [],
+      };
+    }
+    return applyReadingLevel(node, this.readingLevel);
+  }
+
+  /**
+   * Reading level chosen in the settings panel. Scenarios without text for
+   * that level fall back to the next level up (see data/reading-levels.js).
+   * @returns {string} One of READING_LEVELS
+   */
+  getReadingLevel() {
+    const level = window.settingsManager?.getSetting(
+      "accessibility_readingLevel",
+    );
+    return isReadingLevel(level) ? level : DEFAULT_READING_LEVEL;
+  }
+
+  /**
+   * Show the current step at the reading level now chosen in the settings,
+   * keeping the selected option
+   */
+  async applyReadingLevelChange() {
+    const level = this.getReadingLevel();
+    if (!this.modal || level === this.readingLevel) return;
+    this.readingLevel = level;
+
+    // Let a running typewriter finish so it doesn't write the old text back
+    if (this.typewriterRun) await this.typewriterRun.catch(() => {});
+    if (!this.modal) return;
+
+    const node = this.getCurrentNode();
+    const outcomeSection = this.modal.querySelector(".outcome-section");
+    const outcomeText = this.modal.querySelector(".outcome-text");
+    if (outcomeSection && outcomeText) {
+      outcomeText.textContent = node.outcome || "";
+      outcomeSection.hidden = !node.outcome;
+    }
+
+    const dilemmaElement = this.modal.querySelector(".dilemma-text");
+    const ethicalQuestionElement =
+      this.modal.querySelector(".ethical-question");
+    if (dilemmaElement) dilemmaElement.textContent = node.dilemma || "";
+    if (ethicalQuestionElement) {
+      ethicalQuestionElement.textContent = node.ethicalQuestion || "";
+    }
+
+    const optionsContainer = this.modal.querySelector(".options-container");
+    if (optionsContainer && !isTerminalNode(node)) {
+      optionsContainer.innerHTML = this.renderOptions();
+      this.attachOptionListeners();
+
+      const selectedId = this.selectedOption?.id;
+      const card = selectedId
+        ? optionsContainer.querySelector(`[data-option-id="${selectedId}"]`)
+        : null;
+      if (card) {
+        card.classList.add("selected");
+        const details = card.querySelector(".option-details");
+        if (details) details.style.display = "block";
+        this.selectedOption = node.options.find(
+          (option) => option.id === selectedId,
+        );
+      }
+    }
+
+    const categoryElement = this.modal.querySelector(".scenario-category");
+    categoryElement?.querySelector(".scenario-reading-level")?.remove();
+    categoryElement?.insertAdjacentHTML(
+      "beforeend",
+      this.renderReadingLevelNote(),
+    );
+
+    logger.info("ScenarioModal", "Reading level changed", {
+      scenarioId: this.currentScenarioId,
+      readingLevel: node.readingLevel,
+    });
+  }
+
+  /**
+   * Note shown next to the category when simplified text is in use
+   */
+  renderReadingLevelNote() {
+    const { readingLevel } = this.getCurrentNode();
+    if (readingLevel === DEFAULT_READING_LEVEL) return "";
+    return `<span class="scenario-reading-level"> · ${READING_LEVEL_LABELS[readingLevel]} reading level</span>`;
+  }
+
+  /**
+   * Reset the path walked through the scenario graph
+   */
+  resetPathState() {
+    this.currentNodeId = ROOT_NODE_ID;
+    this.choicePath = [];
+    this.pathScores = null;
+  }
+
+  /**
+   * Record a confirmed choice and accumulate its impact on the path scores
+   * @param {Object} option - Confirmed option
+   */
+  recordPathStep(option) {
+    const impact = normalizeImpact(option.impact);
+    const scores = applyImpactToScores(
+      this.pathScores || getNeutralScores(),
+      impact,
+    );
+
+    this.choicePath.push({
+      nodeId: this.currentNodeId,
+      optionId: option.id,
+      optionText: option.text,
+      impact,
+      scores,
+      timestamp: new Date().toISOString(),
+      option,
+    });
+    this.pathScores = scores;
+  }
+
+  /**
+   * Path summary merged into the completion data
+   * @returns {Object} path, endNodeId, outcome, pathImpact, pathScores,
+   *   isBranching, readingLevel
+   */
+  getPathCompletionData() {
+    // Drop the live option reference so the path stays serializable
+    const path = this.choicePath.map(
+      ({ nodeId, optionId, optionText, impact, scores, timestamp }) => ({
+        nodeId,
+        optionId,
+        optionText,
+        impact,
+        scores,
+        timestamp,
+      }),
+    );
+    const { totals } = aggregateImpacts(path.map((step) => step.impact));
+
+    return {
+      path,
+      endNodeId: this.currentNodeId,
+      outcome: this.getCurrentNode().outcome,
+      pathImpact: totals,
+      pathScores: this.pathScores || getNeutralScores(),
+      isBranching: isBranchingScenario(this.currentScenario),
+      readingLevel: this.readingLevel,
+    };
+  }
+
+  /**
+   * Move to a follow-up node: reveal the outcome of the previous choice and
+   * render the next dilemma and options in place
+   * @param {string} nodeId - Node ID from the scenario's nodes map
+   */
+  advanceToNode(nodeId) {
+    const node = getScenarioNode(this.currentScenario, nodeId);
+    if (!node || !this.modal) {
+      logger.warn("ScenarioModal", "Cannot advance to scenario node", {
+        nodeId,
+        scenarioId: this.currentScenarioId,
+      });
+      return;
+    }
+
+    this.currentNodeId = nodeId;
+    this.selectedOption = null;
+    this.pendingRadarUpdate = false;
+
+    const isEnding = isTerminalNode(node);
+
+    const outcomeSection = this.modal.querySelector(".outcome-section");
+    const outcomeText = this.modal.querySelector(".outcome-text");
+    if (outcomeSection && outcomeText) {
+      outcomeText.textContent = node.outcome || "";
+      outcomeSection.hidden = !node.outcome;
+    }
+
+    [
+      ".dilemma-section",
+      ".ethical-question-section",
+      ".options-section",
+    ].forEach((selector) => {
+      const section = this.modal.querySelector(selector);
+      if (section) section.hidden = isEnding;
+    });
+
+    const dilemmaElement = this.modal.querySelector(".dilemma-text");
+    const ethicalQuestionElement =
+      this.modal.querySelector(".ethical-question");
+    if (dilemmaElement) dilemmaElement.textContent = "";
+    if (ethicalQuestionElement) ethicalQuestionElement.textContent = "";
+
+    const optionsContainer = this.modal.querySelector(".options-container");
+    if (optionsContainer) {
+      optionsContainer.innerHTML = isEnding ? "" : this.renderOptions();
+      this.attachOptionListeners();
+    }
+
+    const stepIndicator = this.modal.querySelector(".scenario-step-indicator");
+    if (stepIndicator) {
+      stepIndicator.textContent = `Step ${this.choicePath.length + 1}`;
+    }
+
+    const confirmButton = this.modal.querySelector("#confirm-choice");
+    if (confirmButton) {
+      confirmButton.disabled = !isEnding;
+      if (isEnding) {
+        confirmButton.textContent = "Finish";
+      }
+    }
+
+    if (this.radarChart && this.radarChart.isInitialized && this.pathScores) {
+      this.radarChart.setScores(this.pathScores);
+    }
+
+    const scenarioContent = this.modal.querySelector(".scenario-content");
+    if (scenarioContent && typeof scenarioContent.scrollTo === "function") {
+      scenarioContent.scrollTo({ top: 0, behavior: "smooth" });
+    }
+
+    this._logTelemetry("scenario_node_advanced", {
+      scenarioId: this.currentScenarioId,
+      nodeId,
+      step: this.choicePath.length + 1,
+      isEnding,
+    });
+
+    if (!isEnding) {
+      this.startTypewriterEffect();
+    }
+  }
+
   /**
    * Show the modal
    */
@@ -2026,6 +2378,13 @@ class ScenarioModal {
       document.removeEventListener("keydown", this.escapeHandler);
       this.escapeHandler = null;
     }
+    if (this.readingLevelHandler) {
+      window.removeEventListener(
+        "readingLevelChanged",
+        this.readingLevelHandler,
+      );
+      this.readingLevelHandler = null;
+    }
 
     // CRITICAL FIX: Only dispatch uncompleted event if scenario wasn't actually completed
     // This prevents overriding the completion event from confirmChoice
@@ -2059,6 +2418,7 @@ class ScenarioModal {
     this.currentScenarioId = null;
     this.scenarioData = null;
     this.radarChart = null;
+    this.resetPathState();
     this.isOpening = false; // Reset opening flag
     this.isClosing = false; // Reset closing flag to allow reopening
 
@@ -2085,12 +2445,12 @@ class ScenarioModal {
         scenarioContent.classList.add("typewriter-active");
       }
 
-      // Get the original text content
-      const dilemmaText = this.currentScenario.dilemma;
-      const ethicalQuestionText = this.currentScenario.ethicalQuestion;
+      // Get the text content of the current node
+      const { dilemma: dilemmaText, ethicalQuestion: ethicalQuestionText } =
+        this.getCurrentNode();
 
       // Apply typewriter effect sequentially
-      await typewriterSequence([
+      this.typewriterRun = typewriterSequence([
         {
           element: dilemmaElement,
           text: dilemmaText,
@@ -2110,6 +2470,8 @@ class ScenarioModal {
           },
         },
       ]);
+      await this.typewriterRun;
+      this.typewriterRun = null;
 
       logger.info("ScenarioModal", "Typewriter effect completed");
     } catch (error) {
@@ -2120,12 +2482,12 @@ class ScenarioModal {
       const ethicalQuestionElement =
         this.modal.querySelector(".ethical-question");
 
+      const node = this.getCurrentNode();
       if (dilemmaElement) {
-        dilemmaElement.textContent = this.currentScenario.dilemma;
+        dilemmaElement.textContent = node.dilemma || "";
       }
       if (ethicalQuestionElement) {
-        ethicalQuestionElement.textContent =
-          this.currentScenario.ethicalQuestion;
+        ethicalQuestionElement.textContent = node.ethicalQuestion || "";
       }
     }
   }
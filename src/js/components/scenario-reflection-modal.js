@@ -48,9 +48,27 @@
  */
 
 import ModalUtility from "./modal-utility.js";
+import RealWorldCaseCard from "./real-world-case-card.js";
 import { simulationInfo } from "../data/simulation-info.js";
+import {
+  getCasesForScenario,
+  getCasesForAxes,
+} from "../data/real-world-cases.js";
 import { userProgress } from "../utils/simple-storage.js";
 import DataHandler from "../core/data-handler.js";
+import scenarioRegistry from "../data/scenario-registry.js";
+import {
+  buildEthicalProfile,
+  recommendScenarios,
+} from "../utils/scenario-recommender.js";
+import communityStatsService from "../services/community-stats-service.js";
+import {
+  AXIS_DEFINITIONS,
+  DISPLAY_SCALE,
+  getFrameworkAlignment,
+  impactToDisplayScores,
+  normalizeImpact,
+} from "../data/ethical-scoring.js";
 import { simpleAnalytics } from "../utils/simple-analytics.js";
 import { loadScenarioReflectionConfig } from "../utils/scenario-reflection-config-loader.js";
 import eventDispatcher, {
@@ -109,6 +127,7 @@ export class ScenarioReflectionModal {
       scenarioId: options.scenarioId || "unknown",
       selectedOption: options.selectedOption || null,
       scenarioData: options.scenarioData || {},
+      choiceRecorded: !!options.choiceRecorded, // Counted in community stats
       onComplete: options.onComplete || (() => {}),
       onSkip: options.onSkip || (() => {}),
       collectResearchData: options.collectResearchData !== false,
@@ -180,6 +199,7 @@ export class ScenarioReflectionModal {
 
     // Enhanced community analytics
     this.communityStats = null;
+    this.recommendations = null; // Filled by loadRecommendations()
     this.communityInsights = null;
     this.lastCommunityUpdate = null;
 
@@ -496,87 +516,56 @@ export class ScenarioReflectionModal {
   }
 
   /**
-   * Generate mock community statistics
-   * In production, this would fetch real data from your analytics API
+   * Load aggregated community statistics for this scenario
+   * Counts come from confirmed choices recorded by ScenarioModal; below the
+   * configured minimum sample the comparison step shows a "not enough
+   * responses yet" state instead of a distribution.
    */
-  generateCommunityStats() {
-    console.log("📊 Generating community stats with data:", {
-      scenarioData: this.options.scenarioData,
-      selectedOption: this.selectedOption,
-      options: this.options.scenarioData.options,
-      fullOptions: this.options,
-    });
-
-    // Mock data showing how the community chose
+  async loadCommunityStats() {
+    const startTime = performance.now();
     const options = this.options.scenarioData.options || [];
+    const minimumResponses =
+      this.config?.community?.statistics?.minimumResponses;
 
-    console.log(
-      "🔍 Debug - options array:",
-      options,
-      "length:",
-      options.length,
-    );
-
-    if (options.length === 0) {
-      console.warn(
-        "⚠️ No options found in scenario data, creating fallback with 3 options",
-      );
-      return {
-        totalResponses: 25000,
-        options: [
-          {
-            optionId: "fallback-1",
-            optionText: "Option A (Fallback)",
-            percentage: 45,
-            count: 11250,
-            isUserChoice: true,
-          },
-          {
-            optionId: "fallback-2",
-            optionText: "Option B (Fallback)",
-            percentage: 35,
-            count: 8750,
-            isUserChoice: false,
-          },
-          {
-            optionId: "fallback-3",
-            optionText: "Option C (Fallback)",
-            percentage: 20,
-            count: 5000,
-            isUserChoice: false,
-          },
-        ],
-        lastUpdated: new Date().toISOString(),
-      };
+    if (minimumResponses != null) {
+      communityStatsService.minimumResponses = minimumResponses;
     }
 
-    const totalResponses = Math.floor(Math.random() * 50000) + 10000; // 10k-60k responses
-    let remaining = 100;
+    try {
+      const stats = await communityStatsService.getScenarioStats(
+        this.options.categoryId,
+        this.options.scenarioId,
+        options,
+        this.selectedOption?.id || null,
+      );
 
-    const stats = options.map((option, index) => {
-      const isLast = index === options.length - 1;
-      const percentage = isLast
-        ? remaining
-        : Math.floor(Math.random() * remaining * 0.6) + 10;
-      remaining -= percentage;
+      this.performanceMetrics.dataLoadTime = performance.now() - startTime;
+      this.lastCommunityUpdate = Date.now();
+      this._trackCommunityEngagement("stats-loaded", {
+        totalResponses: stats.totalResponses,
+        hasEnoughData: stats.hasEnoughData,
+        source: stats.source,
+      });
 
-      return {
-        optionId: option.id,
-        optionText: option.text,
-        percentage: percentage,
-        count: Math.floor((percentage / 100) * totalResponses),
-        isUserChoice: option.id === this.selectedOption?.id,
-      };
-    });
+      return stats;
+    } catch (error) {
+      this._handleError(error, "loadCommunityStats");
+      return this.getEmptyCommunityStats();
+    }
+  }
 
-    const result = {
-      totalResponses,
-      options: stats,
+  /**
+   * Community statistics placeholder used when counts cannot be loaded
+   */
+  getEmptyCommunityStats() {
+    return {
+      totalResponses: 0,
+      minimumResponses: communityStatsService.minimumResponses,
+      hasEnoughData: false,
+      source: "none",
+      options: [],
       lastUpdated: new Date().toISOString(),
     };
-
-    console.log("✅ Generated community stats:", result);
-    return result;
   }
 
   /**
@@ -595,8 +584,7 @@ export class ScenarioReflectionModal {
 
         // Ensure community stats are available even in fallback
         if (!this.communityStats) {
-          console.log("🔧 Initializing communityStats in emergency fallback");
-          this.communityStats = this.generateCommunityStats();
+          this.communityStats = this.getEmptyCommunityStats();
         }
 
         const content =
@@ -661,9 +649,12 @@ export class ScenarioReflectionModal {
       // Set totalSteps from config
       this.totalSteps = this.config.steps.totalSteps;
 
-      // Generate community statistics for comparison step
-      this.communityStats = this.generateCommunityStats();
-      console.log("📊 Community stats generated:", this.communityStats);
+      // Load aggregated community statistics for comparison step
+      this.communityStats = await this.loadCommunityStats();
+      console.log("📊 Community stats loaded:", this.communityStats);
+
+      // Recommendations are only needed on the last step
+      this.loadRecommendations();
 
       // Track analytics
       if (this.config.integration.analytics.trackCompletion) {
@@ -741,12 +732,11 @@ export class ScenarioReflectionModal {
       this.totalSteps = 4;
       this.config = this.getFallbackConfig();
 
-      // Generate community statistics for comparison step (fallback)
-      this.communityStats = this.generateCommunityStats();
-      console.log(
-        "📊 Community stats generated (fallback):",
-        this.communityStats,
-      );
+      // Load community statistics for comparison step (fallback)
+      this.communityStats = await this.loadCommunityStats();
+      console.log("📊 Community stats loaded (fallback):", this.communityStats);
+
+      this.loadRecommendations();
 
       // Continue with initialization
       const content = this.generateModalContent();
@@ -926,9 +916,7 @@ export class ScenarioReflectionModal {
 
     // Ensure community stats are available
     if (!this.communityStats) {
-      console.log("⚠️ CommunityStats missing, generating now...");
-      this.communityStats = this.generateCommunityStats();
-      console.log("✅ CommunityStats generated:", this.communityStats);
+      this.communityStats = this.getEmptyCommunityStats();
     }
 
     return `
@@ -936,7 +924,11 @@ export class ScenarioReflectionModal {
         <h3>🌍 How You Compare to the Global Community</h3>
         
         <div class="community-stats-summary">
-          <p>Based on <strong>${this.communityStats.totalResponses.toLocaleString()}</strong> responses from people worldwide:</p>
+          ${
+            this.communityStats.hasEnoughData
+              ? `<p>Based on <strong>${this.communityStats.totalResponses.toLocaleString()}</strong> responses from people worldwide:</p>`
+              : ""
+          }
         </div>
 
         <div class="community-chart">
@@ -1020,6 +1012,8 @@ export class ScenarioReflectionModal {
           ${this.generateInsightCards()}
         </div>
 
+        ${this.generateRealWorldCases()}
+
         <div class="next-exploration">
           <h4>🚀 Continue Exploring</h4>
           ${this.generateNextScenarioSuggestions()}
@@ -1029,7 +1023,7 @@ export class ScenarioReflectionModal {
           <h4>🔬 Your Contribution to Research</h4>
           <p>Your response has been anonymously added to our global database of ethical decision-making patterns. This helps researchers understand how different cultures and backgrounds approach AI ethics challenges.</p>
           <div class="research-stats">
-            <span class="stat">🌍 ${this.communityStats.totalResponses.toLocaleString()} global responses</span>
+            <span class="stat">🌍 ${(this.communityStats?.totalResponses || 0).toLocaleString()} global responses</span>
             <span class="stat">🔬 Contributing to 15+ research studies</span>
             <span class="stat">📚 Supporting ethical AI education worldwide</span>
           </div>
@@ -1042,7 +1036,8 @@ export class ScenarioReflectionModal {
    * Generate ethical impact visualization
    */
   generateEthicalImpactVisualization() {
-    const impact = this.selectedOption?.impact || {};
+    // Option impacts are authored on the raw -2..+2 scale; show display scores
+    const scores = impactToDisplayScores(this.selectedOption?.impact || {});
     const dimensions = [
       "fairness",
       "transparency",
@@ -1055,18 +1050,16 @@ export class ScenarioReflectionModal {
       <div class="impact-radar">
         ${dimensions
           .map((dim) => {
-            // Impact values are on 0-5 scale from radar chart
-            const rawValue = impact[dim] || 2.5; // Default to neutral (middle) if not specified
-            const scoreOutOfFive = Math.max(1, Math.round(rawValue)); // Ensure minimum score of 1 (1-5 scale)
-            const percentage = Math.max(20, Math.round((rawValue / 5) * 100)); // Convert 0-5 scale to 20-100% for bar width (minimum 20% for visibility)
+            const score = scores[dim];
+            const percentage = Math.round((score / DISPLAY_SCALE.MAX) * 100);
 
             return `
           <div class="impact-dimension">
-            <div class="dimension-label">${dim.charAt(0).toUpperCase() + dim.slice(1)}</div>
+            <div class="dimension-label">${AXIS_DEFINITIONS[dim].label}</div>
             <div class="dimension-bar">
               <div class="dimension-fill" style="width: ${percentage}%"></div>
             </div>
-            <div class="dimension-value">${scoreOutOfFive}/5</div>
+            <div class="dimension-value">${score}/${DISPLAY_SCALE.MAX}</div>
           </div>
         `;
           })
@@ -1085,6 +1078,23 @@ export class ScenarioReflectionModal {
       return '<div class="error-message">Community data is loading...</div>';
     }
 
+    if (!this.communityStats.hasEnoughData) {
+      const { totalResponses, minimumResponses } = this.communityStats;
+      const recorded =
+        totalResponses === 1
+          ? "1 response has"
+          : `${totalResponses.toLocaleString()} responses have`;
+      const yours = this.options.choiceRecorded
+        ? ", including yours"
+        : ". Your choice wasn't recorded";
+      return `
+      <div class="community-insufficient-data">
+        <p>📭 <strong>Not enough responses yet.</strong></p>
+        <p>The community comparison appears once at least ${minimumResponses} people have answered this scenario. ${recorded} been recorded so far${yours}.</p>
+      </div>
+    `;
+    }
+
     return `
       <div class="community-bar-chart">
         ${this.communityStats.options
@@ -1118,9 +1128,23 @@ export class ScenarioReflectionModal {
       return '<div class="error-message">Community insights are loading...</div>';
     }
 
+    if (!this.communityStats.hasEnoughData) {
+      return `
+      <div class="community-insights-container">
+        <div class="cultural-note">
+          <p>💭 <em>Check back later to see how others approached this dilemma. There's rarely one "right" answer.</em></p>
+        </div>
+      </div>
+    `;
+    }
+
     const userStat = this.communityStats.options.find(
       (stat) => stat.isUserChoice,
     );
+    if (!userStat) {
+      return "";
+    }
+
     const isPopularChoice = userStat && userStat.percentage > 40;
     const isMinorityChoice = userStat && userStat.percentage < 20;
 
@@ -1401,86 +1425,10 @@ export class ScenarioReflectionModal {
 
   /**
    * Analyze which ethical frameworks align with the user's choice
+   * Alignment rules live in the shared ethical scoring model
    */
   analyzeEthicalFrameworks(userChoice) {
-    if (!userChoice || !userChoice.impact) {
-      return [
-        {
-          name: "Balanced Approach",
-          description:
-            "Considers multiple ethical dimensions without strong emphasis on any single framework.",
-          strength: "moderate",
-        },
-      ];
-    }
-
-    const impact = userChoice.impact;
-    const frameworks = [];
-
-    // Convert 0-5 scale thresholds: 0.7 -> 3.5, 0.8 -> 4.0, 0.6 -> 3.0, 0.5 -> 2.5
-
-    // Utilitarian (consequence-based)
-    if (impact.beneficence > 3.5) {
-      frameworks.push({
-        name: "Utilitarian Ethics",
-        description:
-          "Focuses on maximizing overall well-being and positive outcomes for the greatest number.",
-        strength: "strong",
-      });
-    }
-
-    // Deontological (duty-based)
-    if (impact.accountability > 3.5 || impact.transparency > 3.5) {
-      frameworks.push({
-        name: "Deontological Ethics",
-        description:
-          "Emphasizes moral duties, rules, and principles regardless of consequences.",
-        strength: impact.accountability > 4.0 ? "strong" : "moderate",
-      });
-    }
-
-    // Rights-based
-    if (impact.privacy > 3.5 || impact.fairness > 3.5) {
-      frameworks.push({
-        name: "Rights-Based Ethics",
-        description:
-          "Prioritizes individual rights, dignity, and protection from harm.",
-        strength:
-          impact.privacy > 4.0 && impact.fairness > 4.0 ? "strong" : "moderate",
-      });
-    }
-
-    // Virtue Ethics
-    if (Object.values(impact).every((val) => val > 2.5)) {
-      frameworks.push({
-        name: "Virtue Ethics",
-        description:
-          "Focuses on character traits and moral virtues that lead to human flourishing.",
-        strength: "moderate",
-      });
-    }
-
-    // Care Ethics
-    if (impact.beneficence > 3.0 && impact.fairness > 3.0) {
-      frameworks.push({
-        name: "Care Ethics",
-        description:
-          "Emphasizes relationships, empathy, and caring for particular individuals and communities.",
-        strength: "moderate",
-      });
-    }
-
-    // If no strong alignments, provide a balanced perspective
-    if (frameworks.length === 0) {
-      frameworks.push({
-        name: "Pragmatic Ethics",
-        description:
-          "Takes a practical approach, weighing multiple factors and adapting to specific contexts.",
-        strength: "moderate",
-      });
-    }
-
-    return frameworks.slice(0, 3); // Limit to 3 for UI clarity
+    return getFrameworkAlignment(userChoice?.impact || null);
   }
 
   /**
@@ -1514,31 +1462,107 @@ export class ScenarioReflectionModal {
     `;
   }
 
+  /**
+   * Real-world cases for the scenario, falling back to cases that bear on
+   * the axes the user's choice affected most
+   */
+  generateRealWorldCases() {
+    const MAX_CASES = 2;
+    let cases = getCasesForScenario(this.options.scenarioId);
+
+    if (!cases.length) {
+      const impact = this.selectedOption?.impact || {};
+      const strongestAxes = Object.entries(impact)
+        .filter(([, value]) => value !== 0)
+        .sort(([, a], [, b]) => Math.abs(b) - Math.abs(a))
+        .slice(0, MAX_CASES)
+        .map(([axis]) => axis);
+      cases = getCasesForAxes(strongestAxes);
+    }
+
+    return RealWorldCaseCard.renderList(cases, { limit: MAX_CASES });
+  }
+
+  /**
+   * Recommend next scenarios from the user's completed scenarios, including
+   * the one just finished, and refresh the suggestions if they are showing
+   */
+  async loadRecommendations() {
+    try {
+      const [completions, scenariosByCategory] = await Promise.all([
+        this.dataHandler.getScenarioCompletions(),
+        scenarioRegistry.loadAllScenarios(),
+      ]);
+      this.recommendations = recommendScenarios(
+        buildEthicalProfile(completions),
+        scenariosByCategory,
+        { exclude: [this.options.scenarioId] },
+      );
+    } catch (error) {
+      console.warn("⚠️ Could not load scenario recommendations:", error);
+      this.recommendations = [];
+    }
+
+    const container = this.modal?.element?.querySelector(".next-scenarios");
+    if (container) {
+      container.outerHTML = this.generateNextScenarioSuggestions();
+    }
+  }
+
   /**
    * Generate next scenario suggestions
    */
   generateNextScenarioSuggestions() {
+    if (this.recommendations === null) {
+      return `
+        <div class="next-scenarios">
+          <p>Finding scenarios for you...</p>
+        </div>
+      `;
+    }
+
+    if (this.recommendations.length === 0) {
+      return `
+        <div class="next-scenarios">
+          <p>You've explored every scenario we can suggest right now. Try replaying one with a different choice!</p>
+        </div>
+      `;
+    }
+
+    const cards = this.recommendations
+      .map(
+        (recommendation) => `
+          <div class="suggestion-card" role="button" tabindex="0"
+               data-category="${this.escapeHtml(recommendation.categoryId)}"
+               data-scenario="${this.escapeHtml(recommendation.scenarioId)}">
+            <div class="suggestion-title">${this.escapeHtml(recommendation.icon || "")} ${this.escapeHtml(recommendation.title)}</div>
+            <div class="suggestion-desc">${this.escapeHtml(recommendation.categoryTitle)}</div>
+            <div class="suggestion-reason">${this.escapeHtml(recommendation.reason.text)}</div>
+          </div>
+        `,
+      )
+      .join("");
+
     return `
       <div class="next-scenarios">
-        <p>Based on your choice, you might find these scenarios interesting:</p>
-        <div class="scenario-suggestions">
-          <div class="suggestion-card" data-category="privacy-surveillance" data-scenario="facial-recognition">
-            <div class="suggestion-title">🔒 Privacy vs. Security</div>
-            <div class="suggestion-desc">Explore facial recognition ethics</div>
-          </div>
-          <div class="suggestion-card" data-category="bias-fairness" data-scenario="hiring-algorithm">
-            <div class="suggestion-title">⚖️ Algorithmic Fairness</div>
-            <div class="suggestion-desc">Hiring algorithm bias scenarios</div>
-          </div>
-          <div class="suggestion-card" data-category="transparency-explainability" data-scenario="medical-diagnosis">
-            <div class="suggestion-title">🔍 AI Transparency</div>
-            <div class="suggestion-desc">Medical AI decision-making</div>
-          </div>
-        </div>
+        <p>Based on your choices so far, these scenarios will stretch your thinking:</p>
+        <div class="scenario-suggestions">${cards}</div>
       </div>
     `;
   }
 
+  /**
+   * Escape text for HTML content and attributes
+   */
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
   /**
    * Generate modal footer
    */
@@ -1643,9 +1667,9 @@ export class ScenarioReflectionModal {
         e.preventDefault();
         e.stopPropagation();
         this.handleSkip();
-      } else if (e.target.matches(".suggestion-card")) {
+      } else if (e.target.closest(".suggestion-card")) {
         console.log("💡 Suggestion card clicked");
-        this.handleScenarioSuggestion(e.target);
+        this.handleScenarioSuggestion(e.target.closest(".suggestion-card"));
       } else {
         console.log("❓ Unhandled click target:", e.target);
       }
@@ -2467,27 +2491,25 @@ export class ScenarioReflectionModal {
    * Generate impact explanation based on the selected option
    */
   generateImpactExplanation() {
-    const impact = this.selectedOption?.impact || {};
+    const impact = normalizeImpact(this.selectedOption?.impact || {});
     const explanations = [];
 
-    // Convert 0-1 scale thresholds to 0-5 scale: 0.7 -> 3.5, 0.3 -> 1.5
-
-    if (impact.fairness > 3.5)
+    if (impact.fairness >= 1)
       explanations.push(
         "✅ High fairness impact - promotes equitable outcomes",
       );
-    if (impact.fairness < 1.5)
+    if (impact.fairness <= -1)
       explanations.push(
         "⚠️ Low fairness impact - may create inequitable outcomes",
       );
 
-    if (impact.privacy > 3.5) explanations.push("🔒 Strong privacy protection");
-    if (impact.privacy < 1.5)
+    if (impact.privacy >= 1) explanations.push("🔒 Strong privacy protection");
+    if (impact.privacy <= -1)
       explanations.push("🔓 Potential privacy concerns");
 
-    if (impact.transparency > 3.5)
+    if (impact.transparency >= 1)
       explanations.push("🔍 High transparency - clear and understandable");
-    if (impact.transparency < 1.5)
+    if (impact.transparency <= -1)
       explanations.push("❓ Low transparency - may lack clarity");
 
     if (explanations.length === 0) {
@@ -2511,6 +2533,11 @@ export class ScenarioReflectionModal {
         requireCompletion: false,
         enableProgress: true,
       },
+      community: {
+        statistics: {
+          minimumResponses: 20,
+        },
+      },
       research: {
         dataCollection: {
           enableTracking: true,
@@ -2645,6 +2672,13 @@ export class ScenarioReflectionModal {
         }
       }
 
+      // Suggestion cards are focusable and act like buttons
+      const suggestion = e.target.closest?.(".suggestion-card");
+      if (suggestion && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault();
+        this.handleScenarioSuggestion(suggestion);
+      }
+
       // Track keyboard usage for analytics
       this._trackUserInteraction("keyboard-navigation", {
         key: e.key,
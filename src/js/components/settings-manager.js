@@ -945,6 +945,7 @@ class SettingsManager {
       // Essential accessibility
       accessibility_largeClickTargets: false,
       accessibility_keyboardNavigation: true,
+      accessibility_readingLevel: "adult",
 
       // Basic notifications
       notifications_enabled: false,
@@ -1127,6 +1128,7 @@ class SettingsManager {
       highContrastToggle: this.getCachedElement("#toggle-high-contrast"),
       reducedMotionToggle: this.getCachedElement("#toggle-reduced-motion"),
       largeTargetsToggle: this.getCachedElement("#toggle-large-targets"),
+      readingLevelSelect: this.getCachedElement("#reading-level-select"),
       settingsNav: this.getCachedElement("#settings-nav"),
     };
 
@@ -1298,6 +1300,31 @@ class SettingsManager {
       });
     }
 
+    // Reading level selection (scenario text variants)
+    if (eventElements.readingLevelSelect) {
+      eventElements.readingLevelSelect.addEventListener("change", (e) => {
+        const oldValue = this.getSetting("accessibility_readingLevel");
+        this.setSetting("accessibility_readingLevel", e.target.value);
+
+        googleAnalytics.trackEvent("settings_change", {
+          settingName: "readingLevel",
+          oldValue,
+          newValue: e.target.value,
+          settingType: "select",
+          category: "accessibility",
+          context: "settings_panel",
+        });
+
+        window.dispatchEvent(
+          new CustomEvent("readingLevelChanged", {
+            detail: {
+              readingLevel: this.getSetting("accessibility_readingLevel"),
+            },
+          }),
+        );
+      });
+    }
+
     // Notification event listeners
     this.setupNotificationEventListeners();
 
@@ -1402,6 +1429,7 @@ class SettingsManager {
       highContrastToggle: this.getCachedElement("#toggle-high-contrast"),
       reducedMotionToggle: this.getCachedElement("#toggle-reduced-motion"),
       largeTargetsToggle: this.getCachedElement("#toggle-large-targets"),
+      readingLevelSelect: this.getCachedElement("#reading-level-select"),
     };
 
     // Batch DOM updates to prevent multiple reflows
@@ -1519,6 +1547,15 @@ class SettingsManager {
       );
     }
 
+    const readingLevel =
+      this.getSetting("accessibility_readingLevel") || "adult";
+    if (
+      elements.readingLevelSelect &&
+      elements.readingLevelSelect.value !== readingLevel
+    ) {
+      updates.push(() => (elements.readingLevelSelect.value = readingLevel));
+    }
+
     // Apply all updates in a single batch
     if (updates.length > 0) {
       updates.forEach((update) => update());
@@ -2400,6 +2437,7 @@ class SettingsManager {
       accessibility_highContrast: false,
       accessibility_reducedMotion: false,
       accessibility_largeClickTargets: false,
+      accessibility_readingLevel: "adult",
     };
     this.saveSettingsSync();
     this.applySettings();
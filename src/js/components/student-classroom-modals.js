@@ -8,16 +8,33 @@
 
 import ModalUtility from "./modal-utility.js";
 import RealtimeClassroomService from "../services/realtime-classroom-service.js";
-import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import {
+  CLASSROOM_CONSTANTS,
+  SUCCESS_MESSAGES,
+} from "../constants/classroom-constants.js";
 import {
   validateClassroomCode,
   validateNickname,
   formatClassroomCode,
   logClassroomEvent,
+  isTeacherPaced,
+  getPacedScenario,
+  getStudentHelpRequest,
+  getNextScenario,
+  rememberRecentClassroom,
 } from "../utils/classroom-utils.js";
+import {
+  canSubmitAssignmentWork,
+  isAssignment,
+} from "../utils/classroom-assignments.js";
+import {
+  getOpposingOptionIds,
+  getStudentDebateGroup,
+} from "../utils/classroom-debate.js";
 import logger from "../utils/logger.js";
 import SCENARIO_MODES from "../constants/scenario-modes.js";
 import scenarioDataManager from "../data/scenario-data-manager.js";
+import scenarioRegistry from "../data/scenario-registry.js";
 
 export default class StudentClassroomModals {
   constructor(dataHandler, firebaseService) {
@@ -36,6 +53,24 @@ export default class StudentClassroomModals {
     this.joinClassroomModal = null;
     this.waitingRoomModal = null;
     this.finalChoicesModal = null;
+    this.pacedWaitingModal = null;
+    this.helpModal = null;
+    this.debateModal = null;
+
+    // Help requests of this classroom, kept current once the session starts
+    this.helpRequests = {};
+    this.helpButton = null;
+    this.currentScenarioId = null;
+
+    // Debates of this classroom; each debate round prompts the student once
+    this.debates = {};
+    this.debateKey = null; // Round shown in the debate modal
+    this.shownDebates = new Set();
+
+    // Teacher-paced sessions follow sessionStatus.currentScenario
+    this.pacedSessionStarted = false;
+    this.pacedScenarioIndex = null;
+    this.pacedAnswers = new Set(); // Scenario IDs answered in this session
 
     this.initialized = false;
 
@@ -98,6 +133,7 @@ export default class StudentClassroomModals {
       await this.initialize(isGuestMode);
 
       // Seed import removed: join flow relies on 'join' code only
+      prefilledCode = prefilledCode || (await this.loadSavedAssignmentCode());
 
       const modalContent = this.buildJoinClassroomContent(
         prefilledCode,
@@ -408,14 +444,29 @@ export default class StudentClassroomModals {
       // Store current classroom and student info
       this.currentClassroom = result;
       this.studentInfo = result.studentInfo;
+      // Lets the profile page show grades and feedback from this classroom
+      if (!this.classroomService.relayUrl) {
+        rememberRecentClassroom(
+          { classroomCode, ...result },
+          this.currentStudent.uid,
+        );
+      }
 
-      // Close join modal and show waiting room
-      logger.info(
-        "StudentClassroomModals",
-        "Join success, opening waiting room",
-      );
+      // Assignments start right away; live sessions wait for the instructor
       this.joinClassroomModal.close();
-      this.showWaitingRoomModal(result);
+      if (isAssignment(result)) {
+        logger.info(
+          "StudentClassroomModals",
+          "Join success, opening assignment",
+        );
+        await this.startAssignment(result);
+      } else {
+        logger.info(
+          "StudentClassroomModals",
+          "Join success, opening waiting room",
+        );
+        this.showWaitingRoomModal(result);
+      }
 
       logClassroomEvent("student_joined", {
         classroom_code: classroomCode,
@@ -613,6 +664,11 @@ export default class StudentClassroomModals {
   handleSessionStatusUpdate(sessionStatus) {
     this.sessionStatus = sessionStatus;
 
+    if (this.pacedSessionStarted) {
+      this.handlePacedStatusUpdate(sessionStatus);
+      return;
+    }
+
     const modal = this.waitingRoomModal?.element;
     if (!modal) return;
 
@@ -788,7 +844,7 @@ export default class StudentClassroomModals {
       // Close waiting room modal
       // Ensure the waiting room's onClose handler doesn't prompt to leave
       this._suppressWaitingRoomClose = true;
-      this.waitingRoomModal.close();
+      this.waitingRoomModal?.close();
 
       // Start the scenario flow using the existing scenario system
       this.showInfoToast("Starting scenario session...");
@@ -807,19 +863,41 @@ export default class StudentClassroomModals {
       // Attach one-time event bridges for scenario completion and sequencing
       this.attachScenarioEventBridges();
 
-      // Launch the first scenario in the sequence
-      const first = scenarios[0];
-      const scenarioId = first.scenarioId || first.id || first.scenario || null;
-      if (!scenarioId) {
-        logger.error(
-          "StudentClassroomModals",
-          "Unable to determine scenarioId for first scenario",
-          first,
-        );
-        this.showErrorToast("Failed to launch first scenario");
-        return;
+      // Students can ask for help from here until the session ends
+      this.showHelpButton();
+      this.startHelpRequestListener(classroom.classroomCode);
+      this.startDebateListener(classroom.classroomCode);
+
+      if (isTeacherPaced(classroom)) {
+        // Open whichever scenario the instructor has the class on
+        this.pacedSessionStarted = true;
+        this.handlePacedStatusUpdate(this.sessionStatus || {});
+      } else {
+        // Launch the first scenario in the sequence; assignments resume at
+        // the first one the student has not answered
+        const first = isAssignment(classroom)
+          ? getNextScenario(
+              scenarios,
+              classroom.studentChoices?.[this.currentStudent.uid],
+            )
+          : scenarios[0];
+        if (!first) {
+          await this.showFinalSummary();
+          return;
+        }
+        const scenarioId =
+          first.scenarioId || first.id || first.scenario || null;
+        if (!scenarioId) {
+          logger.error(
+            "StudentClassroomModals",
+            "Unable to determine scenarioId for first scenario",
+            first,
+          );
+          this.showErrorToast("Failed to launch first scenario");
+          return;
+        }
+        await this.launchScenario(scenarioId, first.categoryId || null);
       }
-      await this.launchScenario(scenarioId, first.categoryId || null);
 
       logClassroomEvent("scenario_session_started", {
         classroom_code: classroom.classroomCode,
@@ -857,6 +935,7 @@ export default class StudentClassroomModals {
    * Launch a scenario using existing app APIs with resilient fallbacks
    */
   async launchScenario(scenarioId, categoryId = null) {
+    this.currentScenarioId = scenarioId;
     try {
       // Ensure classroom student mode when launching via classroom flows
       if (window.scenarioCoordinator) {
@@ -884,6 +963,7 @@ export default class StudentClassroomModals {
       // Fallback: dynamic import and open directly
       const { default: ScenarioModal } = await import("./scenario-modal.js");
       const modal = new ScenarioModal();
+      this.fallbackScenarioModal = modal;
       await modal.open(scenarioId, categoryId || null);
     } catch (err) {
       logger.error("StudentClassroomModals", "Failed to launch scenario", err);
@@ -897,6 +977,16 @@ export default class StudentClassroomModals {
   attachScenarioEventBridges() {
     if (this._scenarioHandlersAttached) return;
 
+    // Refuse the choice before the scenario records it, so a student can't
+    // answer a scenario the class has left or vote once voting is locked
+    this._onChoiceConfirming = (event) => {
+      const scenarioId = event?.detail?.scenarioId;
+      if (this.pacedSessionStarted && !this.canSubmitPacedChoice(scenarioId)) {
+        event.preventDefault();
+        this.showInfoToast("Voting is locked for this scenario");
+      }
+    };
+
     this._onScenarioCompleted = async (event) => {
       try {
         const detail = event?.detail || {};
@@ -909,6 +999,24 @@ export default class StudentClassroomModals {
           selected.label ||
           null;
 
+        if (
+          this.pacedSessionStarted &&
+          !this.canSubmitPacedChoice(scenarioId)
+        ) {
+          this.showInfoToast("Voting is locked for this scenario");
+          return;
+        }
+
+        if (
+          isAssignment(this.currentClassroom) &&
+          !canSubmitAssignmentWork(this.currentClassroom)
+        ) {
+          this.showInfoToast(
+            "This assignment is closed. Your answer was not submitted.",
+          );
+          return;
+        }
+
         if (scenarioId && choiceValue) {
           await this.classroomService.submitStudentChoice(
             this.currentClassroom.classroomCode,
@@ -919,6 +1027,10 @@ export default class StudentClassroomModals {
               confidence: selected.confidence ?? null,
             },
           );
+          if (this.pacedSessionStarted) {
+            this.pacedAnswers.add(scenarioId);
+            this.renderPacedWaiting();
+          }
         }
       } catch (e) {
         logger.warn(
@@ -943,6 +1055,29 @@ export default class StudentClassroomModals {
           `${event.type} received`,
           this._latestReflectionCompleted,
         );
+
+        // Share the answers with the instructor's session export
+        const reflectionData = detail.reflectionData || {};
+        if (
+          scenarioId &&
+          this.currentClassroom &&
+          Object.keys(reflectionData).length > 0
+        ) {
+          this.classroomService
+            .submitReflection(
+              this.currentClassroom.classroomCode,
+              this.currentStudent.uid,
+              scenarioId,
+              reflectionData,
+            )
+            .catch((error) =>
+              logger.warn(
+                "StudentClassroomModals",
+                "Failed to submit reflection",
+                error,
+              ),
+            );
+        }
       } catch (_) {
         // ignore
       }
@@ -955,6 +1090,27 @@ export default class StudentClassroomModals {
         const scenarioId = detail.scenarioId || detail.currentScenarioId;
         if (!this.currentClassroom) return;
 
+        // Teacher-paced: wait for the instructor instead of moving on
+        if (this.pacedSessionStarted) {
+          const current = getPacedScenario(
+            this.currentClassroom,
+            this.sessionStatus,
+          );
+          // Ignore scenarios closed because the class moved on
+          if (!current || current.scenarioId !== scenarioId) return;
+          if (completed) {
+            await this._waitForReflectionCompletion(scenarioId, 4000);
+          }
+          // The class may have moved on while the reflection was open
+          if (
+            this.pacedSessionStarted &&
+            this.pacedScenarioIndex === current.index
+          ) {
+            this.showPacedWaitingModal();
+          }
+          return;
+        }
+
         // Find next scenario and launch if available
         const nextId = this.getNextScenarioId(scenarioId);
         if (completed && nextId) {
@@ -965,27 +1121,9 @@ export default class StudentClassroomModals {
 
         // If no next scenario and we have completion, wait for reflection to finish, then show final summary
         if (completed && !nextId) {
-          try {
-            // Gate on reflection closing or completion event to avoid overlay conflicts
-            await this._waitForReflectionCompletion(scenarioId, 4000);
-
-            const refreshed = await this.classroomService.getClassroom(
-              this.currentClassroom.classroomCode,
-            );
-            const studentChoices = refreshed?.studentChoices?.[
-              this.currentStudent.uid
-            ] || {
-              scenarios: {},
-            };
-            this.showFinalChoicesModal(studentChoices);
-          } catch (err) {
-            logger.warn(
-              "StudentClassroomModals",
-              "Failed to fetch classroom for final summary",
-              err,
-            );
-            this.showFinalChoicesModal({ scenarios: {} });
-          }
+          // Gate on reflection closing or completion event to avoid overlay conflicts
+          await this._waitForReflectionCompletion(scenarioId, 4000);
+          await this.showFinalSummary();
         }
       } catch (e) {
         logger.warn(
@@ -996,6 +1134,10 @@ export default class StudentClassroomModals {
       }
     };
 
+    document.addEventListener(
+      "scenario-choice-confirming",
+      this._onChoiceConfirming,
+    );
     document.addEventListener("scenario-completed", this._onScenarioCompleted);
     document.addEventListener("scenario-modal-closed", this._onScenarioClosed);
     // Listen to both configured event name and fallback
@@ -1041,6 +1183,10 @@ export default class StudentClassroomModals {
   detachScenarioEventBridges() {
     if (!this._scenarioHandlersAttached) return;
     try {
+      document.removeEventListener(
+        "scenario-choice-confirming",
+        this._onChoiceConfirming,
+      );
       document.removeEventListener(
         "scenario-completed",
         this._onScenarioCompleted,
@@ -1063,6 +1209,7 @@ export default class StudentClassroomModals {
       // ignore
     }
     this._scenarioHandlersAttached = false;
+    this._onChoiceConfirming = null;
     this._onScenarioCompleted = null;
     this._onScenarioClosed = null;
     this._onReflectionCompleted = null;
@@ -1154,6 +1301,740 @@ export default class StudentClassroomModals {
     }
   }
 
+  /**
+   * Fetch this student's recorded choices and show the final summary
+   */
+  async showFinalSummary() {
+    this.removeHelpButton();
+    try {
+      const refreshed = await this.classroomService.getClassroom(
+        this.currentClassroom.classroomCode,
+      );
+      const studentChoices = refreshed?.studentChoices?.[
+        this.currentStudent.uid
+      ] || {
+        scenarios: {},
+      };
+      if (isAssignment(this.currentClassroom)) {
+        await this.finishAssignment(studentChoices);
+      }
+      this.showFinalChoicesModal(studentChoices);
+    } catch (err) {
+      logger.warn(
+        "StudentClassroomModals",
+        "Failed to fetch classroom for final summary",
+        err,
+      );
+      this.showFinalChoicesModal({ scenarios: {} });
+    }
+  }
+
+  // ===== HELP REQUESTS =====
+
+  /**
+   * Add the floating help button, which stays above the scenario modals
+   */
+  showHelpButton() {
+    if (this.helpButton) return;
+    this.helpButton = document.createElement("button");
+    this.helpButton.type = "button";
+    this.helpButton.className = "classroom-help-button";
+    this.helpButton.addEventListener("click", () =>
+      this.showHelpRequestModal(),
+    );
+    document.body.appendChild(this.helpButton);
+    this.renderHelpState();
+  }
+
+  removeHelpButton() {
+    this.helpButton?.remove();
+    this.helpButton = null;
+    this.helpModal?.close();
+  }
+
+  /**
+   * Follow the classroom's help requests to show the student where theirs is
+   * @param {string} classroomCode
+   */
+  startHelpRequestListener(classroomCode) {
+    const unsubscribe = this.classroomService.listenToHelpRequests(
+      classroomCode,
+      (helpRequests) => {
+        const previous = this.getOwnHelpRequest();
+        this.helpRequests = helpRequests || {};
+        if (
+          previous &&
+          this.helpRequests[previous.requestId]?.status ===
+            CLASSROOM_CONSTANTS.HELP_STATUS.RESOLVED
+        ) {
+          this.showInfoToast("Your instructor resolved your help request");
+        }
+        this.renderHelpState();
+      },
+    );
+    this.activeListeners.push({ name: "help_requests", unsubscribe });
+  }
+
+  /**
+   * @returns {Object|null} The student's open or acknowledged request
+   */
+  getOwnHelpRequest() {
+    return getStudentHelpRequest(this.helpRequests, this.currentStudent?.uid);
+  }
+
+  /**
+   * The scenario a help request is about: the one the class is on in
+   * teacher-paced sessions, otherwise the last one launched
+   * @param {string} [scenarioId] - Explicit scenario
+   * @returns {Object|null} scenarioId and title
+   */
+  getHelpScenario(scenarioId = null) {
+    const paced = this.pacedSessionStarted
+      ? getPacedScenario(this.currentClassroom, this.sessionStatus)
+      : null;
+    const id = scenarioId || paced?.scenarioId || this.currentScenarioId;
+    if (!id) return null;
+
+    const entry = (this.currentClassroom?.selectedScenarios || []).find(
+      (scenario) => (scenario.scenarioId || scenario.id) === id,
+    );
+    return { scenarioId: id, title: entry?.title || id };
+  }
+
+  /**
+   * Update the help button, and the help modal when the request changed
+   */
+  renderHelpState() {
+    const request = this.getOwnHelpRequest();
+    const acknowledged =
+      request?.status === CLASSROOM_CONSTANTS.HELP_STATUS.ACKNOWLEDGED;
+
+    if (this.helpButton) {
+      this.helpButton.textContent = !request
+        ? "✋ Ask for Help"
+        : acknowledged
+          ? "👀 Help is on the way"
+          : "🙋 Help requested";
+      this.helpButton.classList.toggle("pending", !!request);
+    }
+
+    // Re-render only on a change so a message being typed is kept
+    const state = request ? `${request.requestId}:${request.status}` : "none";
+    if (this.helpModal && this._helpModalState !== state) {
+      this.helpModal.setContent(this.buildHelpRequestContent());
+    }
+  }
+
+  showHelpRequestModal() {
+    this.helpModal?.close();
+    this.helpModal = new ModalUtility({
+      title: "✋ Ask for Help",
+      content: this.buildHelpRequestContent(),
+      size: "medium",
+      className: CLASSROOM_CONSTANTS.MODALS.HELP_REQUEST,
+      closeOnBackdrop: true,
+      onClose: () => {
+        this.helpModal = null;
+      },
+    });
+    this.helpModal.open();
+
+    this.helpModal.element.addEventListener("click", async (event) => {
+      const button = event.target.closest("[data-help-action]");
+      if (!button) return;
+
+      button.disabled = true;
+      try {
+        if (button.dataset.helpAction === "send") {
+          const message =
+            this.helpModal?.element.querySelector("#help-message")?.value;
+          await this.requestHelp(message);
+          this.showSuccessToast(SUCCESS_MESSAGES.HELP_REQUESTED);
+        } else if (button.dataset.helpAction === "cancel") {
+          await this.cancelHelpRequest();
+        }
+        this.helpModal?.close();
+      } catch (error) {
+        this.showErrorToast("Failed to update your help request");
+        button.disabled = false;
+      }
+    });
+  }
+
+  buildHelpRequestContent() {
+    const request = this.getOwnHelpRequest();
+    this._helpModalState = request
+      ? `${request.requestId}:${request.status}`
+      : "none";
+
+    if (request) {
+      const acknowledged =
+        request.status === CLASSROOM_CONSTANTS.HELP_STATUS.ACKNOWLEDGED;
+      return `
+        <div class="help-request-form">
+          <p>
+            ${
+              acknowledged
+                ? "👀 Your instructor has seen your request and will be with you soon."
+                : "🙋 Your request is in the queue. Keep going; your instructor will come to you."
+            }
+          </p>
+          <button type="button" class="btn btn-outline" data-help-action="cancel">
+            I no longer need help
+          </button>
+        </div>
+      `;
+    }
+
+    const scenario = this.getHelpScenario();
+    return `
+      <div class="help-request-form">
+        ${scenario ? `<p class="help-request-scenario">You are on: <strong>${this.escapeHtml(scenario.title)}</strong></p>` : ""}
+        <label for="help-message">What do you need help with? (optional)</label>
+        <textarea id="help-message" rows="3" maxlength="${CLASSROOM_CONSTANTS.HELP_MESSAGE_MAX_LENGTH}"></textarea>
+        <button type="button" class="btn btn-primary" data-help-action="send">
+          ✋ Send to Instructor
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Raise a help flag for the instructor's queue. Students have at most one
+   * request waiting at a time.
+   * @param {string} [message] - Optional note for the instructor
+   * @param {string} [scenarioId] - Defaults to the scenario the student is on
+   * @returns {Promise<string>} ID of the new or already waiting request
+   */
+  async requestHelp(message = "", scenarioId = null) {
+    if (!this.currentClassroom || !this.currentStudent) {
+      throw new Error("Not in a classroom");
+    }
+    const existing = this.getOwnHelpRequest();
+    if (existing) return existing.requestId;
+
+    const code = this.currentClassroom.classroomCode;
+    const scenario = this.getHelpScenario(scenarioId);
+    const requestId = await this.classroomService.requestHelp(
+      code,
+      this.currentStudent.uid,
+      {
+        nickname: this.studentInfo?.nickname || "",
+        scenarioId: scenario?.scenarioId,
+        scenarioTitle: scenario?.title,
+        message: message || "",
+      },
+    );
+
+    // Show the pending state before the listener catches up
+    this.helpRequests = {
+      ...this.helpRequests,
+      [requestId]: {
+        studentId: this.currentStudent.uid,
+        status: CLASSROOM_CONSTANTS.HELP_STATUS.OPEN,
+        createdAt: Date.now(),
+      },
+    };
+    this.renderHelpState();
+
+    logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.HELP_REQUESTED, {
+      classroom_code: code,
+      student_id: this.currentStudent.uid,
+      scenario_id: scenario?.scenarioId || null,
+      has_message: !!message,
+    });
+    return requestId;
+  }
+
+  /**
+   * Withdraw the student's waiting help request
+   */
+  async cancelHelpRequest() {
+    const request = this.getOwnHelpRequest();
+    if (!request || !this.currentClassroom) return;
+
+    const code = this.currentClassroom.classroomCode;
+    await this.classroomService.cancelHelpRequest(code, request.requestId);
+    this.helpRequests = {
+      ...this.helpRequests,
+      [request.requestId]: {
+        ...this.helpRequests[request.requestId],
+        status: CLASSROOM_CONSTANTS.HELP_STATUS.CANCELLED,
+      },
+    };
+    this.renderHelpState();
+
+    logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.HELP_REQUEST_UPDATED, {
+      classroom_code: code,
+      request_id: request.requestId,
+      action: "cancel",
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+
+  // ===== ASSIGNMENTS =====
+
+  /**
+   * Start or resume an assignment. Students who rejoin continue at their
+   * first unanswered scenario.
+   * @param {Object} classroom - Assignment classroom, as returned by
+   *   joinClassroom()
+   */
+  async startAssignment(classroom) {
+    const code = classroom.classroomCode;
+    const { closesAt, acceptLate } = classroom.assignment;
+
+    if (!canSubmitAssignmentWork(classroom)) {
+      this.showInfoToast("This assignment is closed");
+      await this.showFinalSummary();
+      return;
+    }
+    if (Date.now() >= closesAt && acceptLate) {
+      this.showInfoToast(
+        "This assignment is past due. Your work will be marked late.",
+      );
+    }
+
+    await this.saveAssignmentCode(code);
+    await this.startScenarioSession(classroom);
+
+    logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.ASSIGNMENT_STARTED, {
+      classroom_code: code,
+      student_id: this.currentStudent.uid,
+      answered: Object.keys(
+        classroom.studentChoices?.[this.currentStudent.uid]?.scenarios || {},
+      ).length,
+    });
+  }
+
+  /**
+   * Stop offering the assignment after a reload once the student is done
+   * with it, and record a submission when every scenario is answered
+   * @param {Object} studentChoices - The student's recorded choices
+   */
+  async finishAssignment(studentChoices) {
+    await this.saveAssignmentCode(null);
+
+    const scenarios = this.currentClassroom.selectedScenarios || [];
+    if (getNextScenario(scenarios, studentChoices)) return;
+
+    logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.ASSIGNMENT_SUBMITTED, {
+      classroom_code: this.currentClassroom.classroomCode,
+      student_id: this.currentStudent.uid,
+      late: Date.now() > this.currentClassroom.assignment.closesAt,
+    });
+  }
+
+  /**
+   * Remember the unfinished assignment so the join form offers it again
+   * after a reload
+   * @param {string|null} classroomCode - null once the assignment is done
+   */
+  async saveAssignmentCode(classroomCode) {
+    try {
+      await this.dataHandler.saveData(
+        CLASSROOM_CONSTANTS.ASSIGNMENT.STUDENT_STORAGE_KEY,
+        classroomCode,
+      );
+    } catch (error) {
+      logger.warn(
+        "StudentClassroomModals",
+        "Failed to save assignment code",
+        error,
+      );
+    }
+  }
+
+  async loadSavedAssignmentCode() {
+    try {
+      return (
+        (await this.dataHandler.getData(
+          CLASSROOM_CONSTANTS.ASSIGNMENT.STUDENT_STORAGE_KEY,
+        )) || ""
+      );
+    } catch (_) {
+      return "";
+    }
+  }
+
+  // ===== DEBATES =====
+
+  /**
+   * Follow the classroom's debates to prompt the student when the instructor
+   * puts them in a debate group
+   * @param {string} classroomCode
+   */
+  startDebateListener(classroomCode) {
+    const unsubscribe = this.classroomService.listenToDebates(
+      classroomCode,
+      (debates) => {
+        this.debates = debates || {};
+        this.renderDebateState();
+      },
+    );
+    this.activeListeners.push({ name: "debates", unsubscribe });
+  }
+
+  /**
+   * Identifies one round of a debate; restarting a debate starts a new round
+   * @param {string} scenarioId
+   * @param {Object} debate - Debate record
+   * @returns {string}
+   */
+  getDebateKey(scenarioId, debate) {
+    return `${scenarioId}:${debate?.startedAt || ""}`;
+  }
+
+  /**
+   * Close the debate modal when its round ended, and open the next round the
+   * student has yet to argue in
+   */
+  renderDebateState() {
+    const uid = this.currentStudent?.uid;
+    const { OPEN } = CLASSROOM_CONSTANTS.DEBATE.STATUS;
+
+    if (this.debateKey) {
+      const scenarioId = this.debateKey.slice(
+        0,
+        this.debateKey.lastIndexOf(":"),
+      );
+      const debate = this.debates[scenarioId];
+      const stillOpen =
+        debate?.status === OPEN &&
+        this.getDebateKey(scenarioId, debate) === this.debateKey;
+      if (stillOpen) return;
+
+      this.debateKey = null;
+      if (this.debateModal) {
+        this.debateModal.close();
+        this.showInfoToast("Your instructor closed the debate");
+      }
+    }
+
+    const next = Object.entries(this.debates).find(
+      ([scenarioId, debate]) =>
+        debate?.status === OPEN &&
+        !debate.arguments?.[uid] &&
+        getStudentDebateGroup(debate, uid) &&
+        !this.shownDebates.has(this.getDebateKey(scenarioId, debate)),
+    );
+    if (next) this.showDebateModal(next[0]);
+  }
+
+  /**
+   * Show the student their debate group, the options they argue against and
+   * a box for their argument
+   * @param {string} scenarioId - Scenario being debated
+   */
+  async showDebateModal(scenarioId) {
+    const key = this.getDebateKey(scenarioId, this.debates[scenarioId]);
+    this.shownDebates.add(key);
+    this.debateKey = key;
+
+    let options = [];
+    try {
+      const found = await scenarioRegistry.findScenario(scenarioId);
+      options = found?.scenario?.options || [];
+    } catch (error) {
+      logger.warn("StudentClassroomModals", "Failed to load options", error);
+    }
+
+    // The round may have closed or restarted while the options loaded
+    if (this.debateKey !== key) return;
+
+    this.debateModal?.close();
+    this.debateModal = new ModalUtility({
+      title: "🗣️ Debate Time",
+      content: this.buildDebateContent(scenarioId, options),
+      size: "large",
+      className: CLASSROOM_CONSTANTS.MODALS.DEBATE,
+      closeOnBackdrop: false,
+      onClose: () => {
+        this.debateModal = null;
+      },
+    });
+    this.debateModal.open();
+
+    this.debateModal.element.addEventListener("click", async (event) => {
+      const button = event.target.closest('[data-debate-action="submit"]');
+      if (!button) return;
+
+      const text =
+        this.debateModal?.element.querySelector("#debate-argument")?.value;
+      if (!text?.trim()) {
+        this.showErrorToast("Write your argument before submitting");
+        return;
+      }
+
+      button.disabled = true;
+      try {
+        await this.submitDebateArgument(scenarioId, text);
+        this.debateKey = null;
+        this.debateModal?.close();
+        this.showSuccessToast("Argument submitted");
+      } catch (error) {
+        this.showErrorToast("Failed to submit your argument");
+        button.disabled = false;
+      }
+    });
+  }
+
+  buildDebateContent(scenarioId, options) {
+    const uid = this.currentStudent?.uid;
+    const group = getStudentDebateGroup(this.debates[scenarioId], uid);
+    const members = group?.members || [];
+    const own = members.find((member) => member.studentId === uid);
+    const findOption = (optionId) =>
+      options.find((option) => option.id === optionId) || {
+        id: optionId,
+        text: optionId,
+      };
+    const listItems = (items = []) =>
+      items.map((item) => `<li>${this.escapeHtml(item)}</li>`).join("");
+
+    const scenario = this.getHelpScenario(scenarioId);
+    const rubric = this.debates[scenarioId]?.rubric?.criteria || [];
+
+    return `
+      <div class="debate-prompt">
+        <p>
+          Your group chose differently on <strong>${this.escapeHtml(scenario?.title)}</strong>.
+          Read the other side, then make the case for your choice.
+        </p>
+        <ul class="debate-group-members">
+          ${members
+            .map(
+              (member) =>
+                `<li><strong>${member.studentId === uid ? "You" : this.escapeHtml(member.nickname)}</strong>: ${this.escapeHtml(findOption(member.optionId).text)}</li>`,
+            )
+            .join("")}
+        </ul>
+        ${getOpposingOptionIds(group, uid)
+          .map((optionId) => {
+            const option = findOption(optionId);
+            return `
+          <section class="debate-opposing-option">
+            <h4>Opposing view: ${this.escapeHtml(option.text)}</h4>
+            ${option.description ? `<p>${this.escapeHtml(option.description)}</p>` : ""}
+            <div class="debate-pros-cons">
+              <div>
+                <h5>👍 Pros</h5>
+                <ul>${listItems(option.pros)}</ul>
+              </div>
+              <div>
+                <h5>👎 Cons</h5>
+                <ul>${listItems(option.cons)}</ul>
+              </div>
+            </div>
+          </section>
+        `;
+          })
+          .join("")}
+        <label for="debate-argument">
+          Why is "${this.escapeHtml(findOption(own?.optionId).text)}" the better choice? Answer the other side's strongest point.
+        </label>
+        <textarea id="debate-argument" rows="5" maxlength="${CLASSROOM_CONSTANTS.DEBATE.ARGUMENT_MAX_LENGTH}"></textarea>
+        ${rubric.length ? `<p class="debate-rubric-note">Your instructor scores: ${rubric.map((criterion) => this.escapeHtml(criterion.name)).join(", ")}</p>` : ""}
+        <button type="button" class="btn btn-primary" data-debate-action="submit">
+          🗣️ Submit Argument
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Submit the student's argument in an open debate
+   * @param {string} scenarioId - Scenario being debated
+   * @param {string} text - The argument
+   */
+  async submitDebateArgument(scenarioId, text) {
+    if (!this.currentClassroom || !this.currentStudent) {
+      throw new Error("Not in a classroom");
+    }
+    const uid = this.currentStudent.uid;
+    const debate = this.debates[scenarioId];
+    const group = getStudentDebateGroup(debate, uid);
+    if (debate?.status !== CLASSROOM_CONSTANTS.DEBATE.STATUS.OPEN || !group) {
+      throw new Error("No open debate for this student");
+    }
+
+    const code = this.currentClassroom.classroomCode;
+    const own = group.members.find((member) => member.studentId === uid);
+    await this.classroomService.submitDebateArgument(code, scenarioId, uid, {
+      groupId: group.id,
+      optionId: own.optionId,
+      text,
+    });
+
+    logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.DEBATE_ARGUMENT_SUBMITTED, {
+      classroom_code: code,
+      student_id: uid,
+      scenario_id: scenarioId,
+      group_id: group.id,
+    });
+  }
+
+  // ===== TEACHER-PACED SESSIONS =====
+
+  /**
+   * Follow the instructor in a teacher-paced session: open the scenario the
+   * class is on and keep the between-scenarios screen current
+   * @param {Object} status - Session status
+   */
+  handlePacedStatusUpdate(status = {}) {
+    if (!status.isLive && status.completedAt) {
+      this.finishPacedSession();
+      return;
+    }
+
+    const current = getPacedScenario(this.currentClassroom, status);
+    if (!current) return;
+
+    if (current.index === this.pacedScenarioIndex) {
+      this.renderPacedWaiting();
+      return;
+    }
+
+    const isFirst = this.pacedScenarioIndex === null;
+    this.pacedScenarioIndex = current.index;
+    this.pacedWaitingModal?.close();
+    if (!isFirst) this.closeOpenScenarioModal();
+
+    // Let the previous scenario modal finish closing first
+    setTimeout(
+      () =>
+        this.launchScenario(
+          current.scenarioId,
+          current.scenario.categoryId || null,
+        ),
+      isFirst ? 0 : 400,
+    );
+  }
+
+  /**
+   * @param {string} scenarioId
+   * @returns {boolean} True while the class is on the scenario and voting is open
+   */
+  canSubmitPacedChoice(scenarioId) {
+    const current = getPacedScenario(this.currentClassroom, this.sessionStatus);
+    return (
+      current?.scenarioId === scenarioId && !this.sessionStatus?.votingLocked
+    );
+  }
+
+  /**
+   * Close the scenario modal this student still has open, if any
+   */
+  closeOpenScenarioModal() {
+    const scenarioModal =
+      window.app?.categoryGrid?.scenarioModal ||
+      window.app?.scenarioModal ||
+      this.fallbackScenarioModal;
+    if (scenarioModal?.modal) scenarioModal.close();
+  }
+
+  /**
+   * Show the screen students see between answering and the next scenario
+   */
+  showPacedWaitingModal() {
+    if (this.pacedWaitingModal) {
+      this.renderPacedWaiting();
+      return;
+    }
+
+    this.pacedWaitingModal = new ModalUtility({
+      title: `⏳ ${this.currentClassroom.classroomName}`,
+      content: `
+        <div class="paced-waiting">
+          <div class="status-icon" id="paced-status-icon">⏳</div>
+          <h4 id="paced-status-title"></h4>
+          <p id="paced-status-description"></p>
+          <button type="button" class="btn btn-primary" id="paced-reopen-scenario" style="display: none;">
+            ↩️ Back to Scenario
+          </button>
+        </div>
+      `,
+      size: "medium",
+      className: CLASSROOM_CONSTANTS.MODALS.PACED_WAITING,
+      closeOnBackdrop: false,
+      closeOnEscape: false,
+      onClose: () => {
+        this.pacedWaitingModal = null;
+      },
+    });
+    this.pacedWaitingModal.open();
+
+    this.pacedWaitingModal.element
+      .querySelector("#paced-reopen-scenario")
+      ?.addEventListener("click", () => {
+        const current = getPacedScenario(
+          this.currentClassroom,
+          this.sessionStatus,
+        );
+        this.pacedWaitingModal?.close();
+        if (current) {
+          this.launchScenario(
+            current.scenarioId,
+            current.scenario.categoryId || null,
+          );
+        }
+      });
+
+    this.renderPacedWaiting();
+  }
+
+  /**
+   * Update the between-scenarios screen from the session status
+   */
+  renderPacedWaiting() {
+    const modal = this.pacedWaitingModal?.element;
+    if (!modal) return;
+
+    const status = this.sessionStatus || {};
+    const current = getPacedScenario(this.currentClassroom, status);
+    const answered = !!current && this.pacedAnswers.has(current.scenarioId);
+
+    let icon = "🗳️";
+    let title = "You have not answered yet";
+    let description =
+      "Go back to the scenario before your instructor locks voting.";
+    if (status.revealed) {
+      icon = "📊";
+      title = "Results are on the screen";
+      description = "Look at the projector to see how the class decided.";
+    } else if (status.votingLocked) {
+      icon = "🔒";
+      title = "Voting is locked";
+      description = "Your instructor will reveal the class results shortly.";
+    } else if (answered) {
+      icon = "✅";
+      title = "Choice recorded";
+      description = "Waiting for the rest of the class to answer.";
+    }
+
+    modal.querySelector("#paced-status-icon").textContent = icon;
+    modal.querySelector("#paced-status-title").textContent = title;
+    modal.querySelector("#paced-status-description").textContent = description;
+    modal.querySelector("#paced-reopen-scenario").style.display =
+      !answered && !status.votingLocked ? "inline-block" : "none";
+  }
+
+  /**
+   * Show the final summary once the instructor completes the session
+   */
+  async finishPacedSession() {
+    if (!this.pacedSessionStarted || this.finalChoicesModal) return;
+    this.pacedSessionStarted = false;
+    this.pacedWaitingModal?.close();
+    this.closeOpenScenarioModal();
+    await this.showFinalSummary();
+  }
+
   /**
    * Compute next scenario id from current classroom sequence
    */
@@ -1549,11 +2430,22 @@ export default class StudentClassroomModals {
     this.joinClassroomModal?.close();
     this.waitingRoomModal?.close();
     this.finalChoicesModal?.close();
+    this.pacedWaitingModal?.close();
+    this.debateModal?.close();
+    this.removeHelpButton();
 
     // Clear state
     this.currentClassroom = null;
     this.studentInfo = null;
     this.sessionStatus = null;
+    this.pacedSessionStarted = false;
+    this.pacedScenarioIndex = null;
+    this.pacedAnswers.clear();
+    this.helpRequests = {};
+    this.currentScenarioId = null;
+    this.debates = {};
+    this.debateKey = null;
+    this.shownDebates.clear();
     this._scenarioHandlersAttached = false;
 
     logger.info("StudentClassroomModals", "Cleanup completed");
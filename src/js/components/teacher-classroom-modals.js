@@ -7,14 +7,41 @@
  */
 
 import ModalUtility from "./modal-utility.js";
+import EducatorDashboard from "./educator-dashboard.js";
+import ClassroomAssignmentView from "./classroom-assignment-view.js";
+import ClassroomDebatePanel from "./classroom-debate-panel.js";
+import ClassroomGradingView from "./classroom-grading-view.js";
+import ClassroomProjectorView from "./classroom-projector-view.js";
+import EducatorToolkit from "../core/educator-toolkit.js";
 import RealtimeClassroomService from "../services/realtime-classroom-service.js";
-import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import {
+  CLASSROOM_CONSTANTS,
+  SUCCESS_MESSAGES,
+} from "../constants/classroom-constants.js";
 import SCENARIO_MODES from "../constants/scenario-modes.js";
 import {
   generateClassroomShareUrl,
   sanitizeClassroomName,
   logClassroomEvent,
+  isTeacherPaced,
+  getPacedScenario,
+  getHelpQueue,
 } from "../utils/classroom-utils.js";
+import {
+  getAssignmentStatus,
+  isAssignment,
+  toDateTimeLocalValue,
+} from "../utils/classroom-assignments.js";
+import {
+  buildSessionExport,
+  buildPrintableReport,
+  getExportFilename,
+  sessionExportToCsv,
+  sessionExportToJson,
+  standardsMasteryToCsv,
+} from "../utils/classroom-export.js";
+import { computeStandardsMastery } from "../utils/classroom-standards.js";
+import Helpers from "../utils/helpers.js";
 import logger from "../utils/logger.js";
 import { ETHICAL_CATEGORIES } from "../../data/categories.js";
 
@@ -37,6 +64,19 @@ export default class TeacherClassroomModals {
     this.createClassroomModal = null;
     this.classroomCodeModal = null;
     this.liveSessionModal = null;
+    this.educatorDashboard = null;
+    this.projectorView = null;
+    this.debatePanel = null;
+    this.assignmentView = null;
+    this.assignmentListModal = null;
+    this.gradingView = null;
+    this.exportModal = null;
+    this.educatorToolkit = null;
+
+    // Teacher-paced session state, kept current by the live session listeners
+    this.pacingStatus = {};
+    this.liveStudentChoices = {};
+    this.helpRequests = {};
 
     // Prevent infinite loop flags
     this.updateInProgress = false;
@@ -249,6 +289,24 @@ export default class TeacherClassroomModals {
               </select>
             </div>
 
+            <div class="form-group">
+              <label for="classroom-mode">Classroom Type</label>
+              <select id="classroom-mode" name="classroom-mode">
+                <option value="${CLASSROOM_CONSTANTS.MODES.LIVE}" selected>Live session</option>
+                <option value="${CLASSROOM_CONSTANTS.MODES.ASSIGNMENT}">Assignment with a due date</option>
+              </select>
+              <small class="helper-text">Students complete assignments on their own between the open and due dates</small>
+            </div>
+
+            <div class="form-group">
+              <label for="session-pacing">Pacing</label>
+              <select id="session-pacing" name="session-pacing">
+                <option value="${CLASSROOM_CONSTANTS.PACING.STUDENT}" selected>Students go at their own pace</option>
+                <option value="${CLASSROOM_CONSTANTS.PACING.TEACHER}">I advance the class together</option>
+              </select>
+              <small class="helper-text">Teacher-paced sessions let you lock voting and reveal class results on a projector</small>
+            </div>
+
             <div class="form-group checkbox-group">
               <label class="checkbox-label">
                 <input type="checkbox" id="allow-late-joining" checked />
@@ -265,10 +323,38 @@ export default class TeacherClassroomModals {
               </label>
             </div>
           </div>
+
+          <div class="settings-grid assignment-settings" id="assignment-settings" style="display: none;">
+            <div class="form-group">
+              <label for="assignment-opens">Opens</label>
+              <input type="datetime-local" id="assignment-opens" value="${toDateTimeLocalValue(Date.now())}" />
+            </div>
+
+            <div class="form-group">
+              <label for="assignment-closes">Due</label>
+              <input
+                type="datetime-local"
+                id="assignment-closes"
+                value="${toDateTimeLocalValue(Date.now() + CLASSROOM_CONSTANTS.ASSIGNMENT.DEFAULT_DURATION_DAYS * 24 * 60 * 60 * 1000)}"
+              />
+              <small class="helper-text">Unfinished work is marked missing after this time</small>
+            </div>
+
+            <div class="form-group checkbox-group">
+              <label class="checkbox-label">
+                <input type="checkbox" id="assignment-accept-late" checked />
+                <span class="checkmark"></span>
+                Accept late work (marked late)
+              </label>
+            </div>
+          </div>
         </div>
 
         <!-- Action Buttons -->
         <div class="modal-actions">
+          <button type="button" class="btn btn-outline" id="open-assignments">
+            📚 My Assignments
+          </button>
           <button type="button" class="btn btn-secondary" id="cancel-create-classroom">
             Cancel
           </button>
@@ -386,6 +472,28 @@ export default class TeacherClassroomModals {
       this.validateCreateClassroomForm();
     });
 
+    // Assignments get an open and due date instead of pacing
+    const modeSelect = modal.querySelector("#classroom-mode");
+    modeSelect?.addEventListener("change", () => {
+      const assignment =
+        modeSelect.value === CLASSROOM_CONSTANTS.MODES.ASSIGNMENT;
+      modal.querySelector("#assignment-settings").style.display = assignment
+        ? ""
+        : "none";
+      modal.querySelector("#session-pacing").disabled = assignment;
+      this.validateCreateClassroomForm();
+    });
+    modal
+      .querySelectorAll("#assignment-opens, #assignment-closes")
+      .forEach((input) =>
+        input.addEventListener("change", () =>
+          this.validateCreateClassroomForm(),
+        ),
+      );
+    modal
+      .querySelector("#open-assignments")
+      ?.addEventListener("click", () => this.showAssignmentListModal());
+
     // Category expansion
     modal.querySelectorAll(".category-header").forEach((header) => {
       header.addEventListener("click", this.handleCategoryToggle.bind(this));
@@ -824,11 +932,13 @@ export default class TeacherClassroomModals {
     const classroomName = modal.querySelector("#classroom-name")?.value?.trim();
     const submitButton = modal.querySelector("#create-classroom-submit");
 
+    const assignment = this.getAssignmentFormData(modal);
     const isValid =
       classroomName &&
       classroomName.length >= CLASSROOM_CONSTANTS.CLASSROOM_NAME_MIN_LENGTH &&
       this.selectedScenarios.length >=
-        CLASSROOM_CONSTANTS.MIN_SCENARIOS_PER_SESSION;
+        CLASSROOM_CONSTANTS.MIN_SCENARIOS_PER_SESSION &&
+      (!assignment || assignment.closesAt > assignment.opensAt);
 
     if (submitButton) {
       submitButton.disabled = !isValid;
@@ -837,6 +947,30 @@ export default class TeacherClassroomModals {
     return isValid;
   }
 
+  /**
+   * Read the assignment window from the create classroom form
+   * @param {HTMLElement} modal - Create classroom modal element
+   * @returns {Object|null} opensAt, closesAt and acceptLate, or null for a
+   *   live session
+   */
+  getAssignmentFormData(modal) {
+    if (
+      modal.querySelector("#classroom-mode")?.value !==
+      CLASSROOM_CONSTANTS.MODES.ASSIGNMENT
+    ) {
+      return null;
+    }
+    return {
+      opensAt: new Date(
+        modal.querySelector("#assignment-opens").value,
+      ).getTime(),
+      closesAt: new Date(
+        modal.querySelector("#assignment-closes").value,
+      ).getTime(),
+      acceptLate: modal.querySelector("#assignment-accept-late").checked,
+    };
+  }
+
   /**
    * Handle create classroom form submission
    */
@@ -867,6 +1001,10 @@ export default class TeacherClassroomModals {
         maxStudents: parseInt(modal.querySelector("#max-students").value),
         allowLateJoining: modal.querySelector("#allow-late-joining").checked,
         showProgress: modal.querySelector("#show-progress").checked,
+        pacing:
+          modal.querySelector("#session-pacing")?.value ||
+          CLASSROOM_CONSTANTS.PACING.STUDENT,
+        assignment: this.getAssignmentFormData(modal),
         sessionDate: new Date().toISOString(), // Use current date since no date field exists
         selectedScenarios: this.selectedScenarios.map((scenario, index) => ({
           scenarioId: scenario.id,
@@ -892,6 +1030,11 @@ export default class TeacherClassroomModals {
         instructorId: this.currentInstructor.uid,
         instructorName: formData.instructorName,
         selectedScenarios: formData.selectedScenarios,
+        pacing: formData.pacing,
+        mode: formData.assignment
+          ? CLASSROOM_CONSTANTS.MODES.ASSIGNMENT
+          : CLASSROOM_CONSTANTS.MODES.LIVE,
+        assignment: formData.assignment,
       };
 
       console.log("🏫 Classroom data for service:", classroomData);
@@ -905,12 +1048,25 @@ export default class TeacherClassroomModals {
 
       // Close create modal and show code modal
       this.createClassroomModal.close();
+      if (isAssignment(result)) {
+        await this.saveAssignment(result);
+        this.openAssignmentView(result);
+        logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.ASSIGNMENT_CREATED, {
+          classroom_code: result.classroomCode,
+          scenario_count: formData.selectedScenarios.length,
+          opens_at: result.assignment.opensAt,
+          closes_at: result.assignment.closesAt,
+          accept_late: result.assignment.acceptLate,
+        });
+        return;
+      }
       this.showClassroomCodeModal(result);
 
       logClassroomEvent("classroom_created", {
         classroom_code: result.classroomCode,
         scenario_count: formData.selectedScenarios.length,
         max_students: formData.maxStudents,
+        pacing: formData.pacing,
       });
     } catch (error) {
       console.error("❌ handleCreateClassroomSubmit error:", error);
@@ -980,6 +1136,7 @@ export default class TeacherClassroomModals {
           <p class="code-instructions">
             Share this code with your students so they can join the classroom.
           </p>
+          ${this.buildRelayNotice()}
         </div>
 
         <!-- Share Options -->
@@ -1026,6 +1183,23 @@ export default class TeacherClassroomModals {
     `;
   }
 
+  /**
+   * Explain how students reach a classroom hosted on a local relay
+   */
+  buildRelayNotice() {
+    const { relayUrl } = this.classroomService;
+    if (!relayUrl) return "";
+
+    const relayHost = new URL(relayUrl).host;
+    return `
+      <p class="code-instructions relay-notice">
+        📡 This classroom runs on the local relay at <strong>${relayHost}</strong>.
+        Students must be on the same network. Use <em>Copy Link</em> so their
+        browser connects to the relay too.
+      </p>
+    `;
+  }
+
   /**
    * Load available scenarios from categories
    */
@@ -1335,6 +1509,23 @@ export default class TeacherClassroomModals {
     this.setupTabNavigation();
     this.setupLiveSessionEvents(classroom);
     this.startLiveSessionListeners(classroom.classroomCode);
+    this.mountDebatePanel(classroom);
+  }
+
+  /**
+   * Mount the debate panel into the live session modal's debate tab
+   * @param {Object} classroom - Classroom data
+   */
+  mountDebatePanel(classroom) {
+    const container =
+      this.liveSessionModal?.element?.querySelector("#debate-tab");
+    if (!container) return;
+    if (!this.debatePanel) {
+      this.debatePanel = new ClassroomDebatePanel(this.classroomService, {
+        rubric: this.getEducatorToolkit().createDebateRubric(),
+      });
+    }
+    this.debatePanel.mount(container, classroom);
   }
 
   /**
@@ -1348,6 +1539,8 @@ export default class TeacherClassroomModals {
     const resumeBtn = modal.querySelector("#resume-session");
     const completeBtn = modal.querySelector("#complete-session");
     const exportBtn = modal.querySelector("#export-data");
+    const dashboardBtn = modal.querySelector("#open-dashboard");
+    const gradingBtn = modal.querySelector("#grade-reflections");
 
     pauseBtn?.addEventListener("click", async () => {
       try {
@@ -1375,17 +1568,251 @@ export default class TeacherClassroomModals {
     completeBtn?.addEventListener("click", async () => {
       try {
         await this.classroomService.completeSession(classroom.classroomCode);
+        this.projectorView?.close();
+        this.debatePanel?.unmount();
         this.liveSessionModal?.close();
         this.showSuccessToast("Session completed");
+        await this.openDashboard(classroom.classroomCode);
       } catch (e) {
         this.showErrorToast("Failed to complete session");
       }
     });
 
-    exportBtn?.addEventListener("click", () => {
-      // Placeholder export; can be wired to real data export later
-      this.showInfoToast("Exporting session data...");
+    dashboardBtn?.addEventListener("click", () =>
+      this.openDashboard(classroom.classroomCode),
+    );
+
+    gradingBtn?.addEventListener("click", () =>
+      this.openGradingView(classroom.classroomCode),
+    );
+
+    modal.querySelector("#help-queue")?.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-help-action]");
+      if (button) {
+        this.handleHelpAction(
+          button.dataset.helpAction,
+          decodeURIComponent(button.dataset.requestId),
+        );
+      }
+    });
+
+    modal.querySelectorAll("[data-pacing-action]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.handlePacingAction(button.dataset.pacingAction),
+      );
     });
+
+    exportBtn?.addEventListener("click", () =>
+      this.showExportModal(classroom.classroomCode),
+    );
+  }
+
+  /**
+   * Open the educator dashboard for a classroom, during or after a session
+   * @param {string} classroomCode
+   */
+  async openDashboard(classroomCode) {
+    if (!classroomCode) return;
+    try {
+      if (!this.educatorDashboard) {
+        this.educatorDashboard = new EducatorDashboard(
+          this.classroomService,
+          this.getEducatorToolkit(),
+          {
+            onExport: (code) => this.showExportModal(code),
+            onGrade: (code) => this.openGradingView(code),
+          },
+        );
+      }
+      await this.educatorDashboard.open(classroomCode);
+      logClassroomEvent("dashboard_opened", { classroom_code: classroomCode });
+    } catch (error) {
+      logger.error("TeacherClassroomModals", "Failed to open dashboard", error);
+      this.showErrorToast("Failed to open dashboard");
+    }
+  }
+
+  /**
+   * Open reflection grading for a classroom, during or after a session
+   * @param {string} classroomCode
+   */
+  async openGradingView(classroomCode) {
+    if (!classroomCode) return;
+    try {
+      const classroom = await this.classroomService.getClassroom(classroomCode);
+      if (!classroom) throw new Error("Classroom not found");
+
+      if (!this.gradingView) {
+        const toolkit = this.getEducatorToolkit();
+        const { RUBRICS } = CLASSROOM_CONSTANTS.GRADING;
+        this.gradingView = new ClassroomGradingView(this.classroomService, {
+          rubrics: {
+            [RUBRICS.REFLECTION]: toolkit.createReflectionRubric(),
+            [RUBRICS.DESIGN]: toolkit.createDesignRubric(),
+            [RUBRICS.INVESTIGATION]: toolkit.createInvestigationRubric(),
+          },
+        });
+      }
+      this.gradingView.open({ classroomCode, ...classroom });
+    } catch (error) {
+      logger.error(
+        "TeacherClassroomModals",
+        "Failed to open reflection grading",
+        error,
+      );
+      this.showErrorToast("Failed to open reflection grading");
+    }
+  }
+
+  /**
+   * Toolkit shared by the dashboard and the session export
+   * @returns {EducatorToolkit}
+   */
+  getEducatorToolkit() {
+    if (!this.educatorToolkit) {
+      this.educatorToolkit = new EducatorToolkit();
+      this.educatorToolkit.setClassroomService(this.classroomService);
+    }
+    return this.educatorToolkit;
+  }
+
+  /**
+   * Show the session export options, during or after a session
+   * @param {string} classroomCode
+   */
+  showExportModal(classroomCode) {
+    if (!classroomCode) return;
+    // Guest classrooms are temporary, so their exports never carry names
+    const forceAnonymous = !!this.currentInstructor?.isGuest;
+
+    this.exportModal?.close();
+    this.exportModal = new ModalUtility({
+      title: "📤 Export Session Data",
+      content: `
+        <div class="session-export">
+          <p>
+            Download every student's choices, timestamps and reflection
+            answers, each student's mastery of the curriculum standards the
+            scenarios cover, or open a printable summary of the class results.
+          </p>
+          <label class="checkbox-label">
+            <input type="checkbox" id="export-anonymize" ${forceAnonymous ? "checked disabled" : ""} />
+            Replace nicknames with Student 1, Student 2, …
+          </label>
+          ${forceAnonymous ? '<small class="helper-text">Guest classrooms are always exported without names.</small>' : ""}
+          <div class="export-actions">
+            <button type="button" class="btn btn-outline" data-export-format="csv">📄 CSV</button>
+            <button type="button" class="btn btn-outline" data-export-format="json">🧾 JSON</button>
+            <button type="button" class="btn btn-outline" data-export-format="standards">🎯 Standards CSV</button>
+            <button type="button" class="btn btn-primary" data-export-format="report">🖨️ Printable Report</button>
+          </div>
+          <p class="export-status" id="export-status" aria-live="polite"></p>
+        </div>
+      `,
+      size: "medium",
+      className: CLASSROOM_CONSTANTS.MODALS.SESSION_EXPORT,
+      closeOnBackdrop: true,
+      onClose: () => {
+        this.exportModal = null;
+      },
+    });
+    this.exportModal.open();
+
+    this.exportModal.element.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-export-format]");
+      if (button) {
+        this.handleExport(classroomCode, button.dataset.exportFormat);
+      }
+    });
+  }
+
+  /**
+   * Export a classroom session as csv, json, a standards mastery csv or a
+   * printable report
+   * @param {string} classroomCode
+   * @param {string} format - csv, json, standards or report
+   */
+  async handleExport(classroomCode, format) {
+    const modal = this.exportModal?.element;
+    const statusEl = modal?.querySelector("#export-status");
+    const setStatus = (text) => statusEl && (statusEl.textContent = text);
+    const anonymize =
+      !!this.currentInstructor?.isGuest ||
+      !!modal?.querySelector("#export-anonymize")?.checked;
+
+    try {
+      setStatus("Preparing export…");
+      const toolkit = this.getEducatorToolkit();
+      const classroom = await toolkit.loadClassroomData(classroomCode);
+      if (!classroom) throw new Error("Classroom not found");
+      await toolkit.loadOptionLabels(
+        (classroom.selectedScenarios || []).map((s) => s.scenarioId || s.id),
+      );
+
+      const sessionExport = buildSessionExport(classroom, {
+        optionLabels: toolkit.optionLabels,
+        optionImpacts: toolkit.optionImpacts,
+        anonymize,
+      });
+
+      if (format === "csv") {
+        Helpers.downloadFile(
+          sessionExportToCsv(sessionExport),
+          getExportFilename(classroom, "csv"),
+          { mimeType: "text/csv" },
+        );
+      } else if (format === "json") {
+        Helpers.downloadFile(
+          sessionExportToJson(sessionExport),
+          getExportFilename(classroom, "json"),
+          { mimeType: "application/json" },
+        );
+      } else if (format === "standards") {
+        Helpers.downloadFile(
+          standardsMasteryToCsv(computeStandardsMastery(classroom), {
+            anonymize,
+          }),
+          getExportFilename(classroom, "csv", "standards"),
+          { mimeType: "text/csv" },
+        );
+      } else {
+        this.openPrintableReport(
+          buildPrintableReport(sessionExport),
+          getExportFilename(classroom, "html"),
+        );
+      }
+
+      setStatus(SUCCESS_MESSAGES.DATA_EXPORTED);
+      logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.DATA_EXPORTED, {
+        classroom_code: classroomCode,
+        format,
+        anonymized: anonymize,
+        record_count: sessionExport.records.length,
+      });
+    } catch (error) {
+      logger.error("TeacherClassroomModals", "Session export failed", error);
+      setStatus(`Export failed: ${error.message}`);
+      this.showErrorToast("Failed to export session data");
+    }
+  }
+
+  /**
+   * Open the report in a new window and print it
+   * @param {string} html - Report document
+   * @param {string} filename - Used when pop-ups are blocked
+   */
+  openPrintableReport(html, filename) {
+    const reportWindow = window.open("", "_blank");
+    if (!reportWindow) {
+      // Pop-up blocked: save the report so it can be printed from the browser
+      Helpers.downloadFile(html, filename, { mimeType: "text/html" });
+      return;
+    }
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
   }
 
   /**
@@ -1492,6 +1919,8 @@ export default class TeacherClassroomModals {
           statusEl?.classList.remove("live");
           statusEl && (statusEl.textContent = "⏳ WAITING");
         }
+        this.pacingStatus = status || {};
+        this.renderPacingPanel();
       },
     );
     this.activeListeners.push({
@@ -1506,6 +1935,8 @@ export default class TeacherClassroomModals {
         const count = Object.keys(roster || {}).length;
         countEl && (countEl.textContent = String(count));
         this.currentRoster = roster || {};
+        this.renderPacingPanel();
+        this.renderHelpQueue();
       },
     );
     this.activeListeners.push({
@@ -1530,8 +1961,10 @@ export default class TeacherClassroomModals {
       classroomCode,
       (studentChoices) => {
         try {
+          this.liveStudentChoices = studentChoices || {};
           this.renderOverviewProgress(studentChoices);
           this.renderChoicesGrid(studentChoices);
+          this.renderPacingPanel();
         } catch (e) {
           logger.debug(
             "TeacherClassroomModals",
@@ -1545,6 +1978,19 @@ export default class TeacherClassroomModals {
       name: "live_choices",
       unsubscribe: choicesUnsub,
     });
+
+    // Help requests raised by students
+    const helpUnsub = this.classroomService.listenToHelpRequests(
+      classroomCode,
+      (helpRequests) => {
+        this.helpRequests = helpRequests || {};
+        this.renderHelpQueue();
+      },
+    );
+    this.activeListeners.push({
+      name: "live_help_requests",
+      unsubscribe: helpUnsub,
+    });
   }
 
   /**
@@ -1576,11 +2022,24 @@ export default class TeacherClassroomModals {
           </div>
         </div>
 
+        ${isTeacherPaced(classroom) ? this.buildPacingPanel() : ""}
+
+        <!-- Help Requests -->
+        <div class="help-queue" id="help-queue">
+          <div class="help-queue-header">
+            <h4>✋ Help Requests <span class="help-queue-count" id="help-queue-count">(0)</span></h4>
+            <span class="help-queue-resolved" id="help-queue-resolved"></span>
+          </div>
+          <ol class="help-queue-list" id="help-queue-list"></ol>
+          <p class="help-queue-empty" id="help-queue-empty">No one has asked for help.</p>
+        </div>
+
         <!-- Tab Navigation -->
         <div class="tab-navigation">
           <button class="tab-button active" data-tab="details">📋 Details</button>
           <button class="tab-button" data-tab="overview">📊 Overview</button>
           <button class="tab-button" data-tab="choices">👁️ Choices</button>
+          <button class="tab-button" data-tab="debate">🗣️ Debate</button>
         </div>
 
         <!-- Tab Content -->
@@ -1599,6 +2058,9 @@ export default class TeacherClassroomModals {
           <div class="tab-panel" id="choices-tab">
             ${this.buildChoicesTabContent(classroom)}
           </div>
+
+          <!-- Debate Tab, filled by the debate panel -->
+          <div class="tab-panel" id="debate-tab"></div>
         </div>
 
         <!-- Session Controls -->
@@ -1612,6 +2074,12 @@ export default class TeacherClassroomModals {
             </button>
           </div>
           <div class="control-group">
+            <button class="btn btn-outline" id="open-dashboard">
+              📈 Dashboard
+            </button>
+            <button class="btn btn-outline" id="grade-reflections">
+              📝 Grade
+            </button>
             <button class="btn btn-outline" id="export-data">
               📤 Export Data
             </button>
@@ -1624,6 +2092,419 @@ export default class TeacherClassroomModals {
     `;
   }
 
+  /**
+   * Build the pacing controls of a teacher-paced session
+   */
+  buildPacingPanel() {
+    return `
+      <div class="pacing-panel" id="pacing-panel">
+        <div class="pacing-current">
+          <span class="pacing-step" id="pacing-step"></span>
+          <strong class="pacing-title" id="pacing-title"></strong>
+          <span class="pacing-answered" id="pacing-answered"></span>
+        </div>
+        <div class="control-group">
+          <button class="btn btn-outline" data-pacing-action="previous" id="pacing-previous">
+            ⏮️ Previous
+          </button>
+          <button class="btn btn-warning" data-pacing-action="lock" id="pacing-lock">
+            🔒 Lock Voting
+          </button>
+          <button class="btn btn-primary" data-pacing-action="reveal" id="pacing-reveal">
+            📊 Reveal Results
+          </button>
+          <button class="btn btn-success" data-pacing-action="next" id="pacing-next">
+            ⏭️ Next Scenario
+          </button>
+          <button class="btn btn-outline" data-pacing-action="projector">
+            📽️ Projector View
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the current scenario, voting state and answer count of a
+   * teacher-paced session
+   */
+  renderPacingPanel() {
+    const panel =
+      this.liveSessionModal?.element?.querySelector("#pacing-panel");
+    if (!panel) return;
+
+    const classroom = this.currentClassroom;
+    const status = this.pacingStatus || {};
+    const current = getPacedScenario(classroom, status);
+    const total = classroom?.selectedScenarios?.length || 0;
+    const query = (selector) => panel.querySelector(selector);
+
+    if (!current) {
+      query("#pacing-step").textContent = "";
+      query("#pacing-title").textContent = "Waiting for the session to start";
+      query("#pacing-answered").textContent = "";
+      return;
+    }
+
+    const answered = Object.values(this.liveStudentChoices || {}).filter(
+      (data) => data?.scenarios?.[current.scenarioId]?.choice,
+    ).length;
+    const students = Object.keys(this.currentRoster || {}).length;
+
+    query("#pacing-step").textContent =
+      `Scenario ${current.index + 1} of ${total}`;
+    query("#pacing-title").textContent =
+      current.scenario.title || current.scenarioId;
+    query("#pacing-answered").textContent =
+      `${answered} of ${students} answered`;
+    query("#pacing-lock").textContent = status.votingLocked
+      ? "🔓 Reopen Voting"
+      : "🔒 Lock Voting";
+    query("#pacing-reveal").textContent = status.revealed
+      ? "🙈 Hide Results"
+      : "📊 Reveal Results";
+    query("#pacing-previous").disabled = current.index === 0;
+    query("#pacing-next").disabled = current.index >= total - 1;
+  }
+
+  /**
+   * Run a pacing control from the live session modal or the projector view
+   * @param {string} action - previous, next, lock, reveal or projector
+   */
+  async handlePacingAction(action) {
+    const classroom = this.currentClassroom;
+    const code = classroom?.classroomCode;
+    if (!code) return;
+
+    if (action === "projector") {
+      this.openProjectorView();
+      return;
+    }
+
+    const status = this.pacingStatus || {};
+    const current = getPacedScenario(classroom, status);
+    const index = current ? current.index : 0;
+    const total = classroom.selectedScenarios.length;
+
+    try {
+      switch (action) {
+        case "previous":
+        case "next": {
+          const target = action === "next" ? index + 1 : index - 1;
+          if (target < 0 || target >= total) return;
+          await this.classroomService.advanceScenario(code, target);
+          logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.SCENARIO_ADVANCED, {
+            classroom_code: code,
+            scenario_index: target,
+          });
+          break;
+        }
+        case "lock":
+          await this.classroomService.setVotingLocked(
+            code,
+            !status.votingLocked,
+          );
+          logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.VOTING_LOCKED, {
+            classroom_code: code,
+            scenario_index: index,
+            locked: !status.votingLocked,
+          });
+          break;
+        case "reveal":
+          await this.classroomService.setChoicesRevealed(
+            code,
+            !status.revealed,
+          );
+          if (!status.revealed) {
+            logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.CHOICES_REVEALED, {
+              classroom_code: code,
+              scenario_index: index,
+            });
+            // Results are meant for the whole class
+            this.openProjectorView();
+          }
+          break;
+        default:
+          return;
+      }
+    } catch (error) {
+      logger.error(
+        "TeacherClassroomModals",
+        `Pacing action "${action}" failed`,
+        error,
+      );
+      this.showErrorToast("Failed to update the session");
+    }
+  }
+
+  /**
+   * List open and acknowledged help requests, oldest first
+   */
+  renderHelpQueue() {
+    const panel = this.liveSessionModal?.element?.querySelector("#help-queue");
+    if (!panel) return;
+
+    const { ACKNOWLEDGED, RESOLVED } = CLASSROOM_CONSTANTS.HELP_STATUS;
+    const queue = getHelpQueue(this.helpRequests);
+    const resolved = Object.values(this.helpRequests || {}).filter(
+      (request) => request?.status === RESOLVED,
+    ).length;
+    const formatTime = (ms) =>
+      ms
+        ? new Date(ms).toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          })
+        : "";
+
+    panel.querySelector("#help-queue-count").textContent = `(${queue.length})`;
+    panel.querySelector("#help-queue-resolved").textContent = resolved
+      ? `${resolved} resolved`
+      : "";
+    panel.querySelector("#help-queue-empty").hidden = queue.length > 0;
+    panel.classList.toggle("has-requests", queue.length > 0);
+
+    panel.querySelector("#help-queue-list").innerHTML = queue
+      .map((request) => {
+        const acknowledged = request.status === ACKNOWLEDGED;
+        const nickname =
+          this.currentRoster?.[request.studentId]?.nickname ||
+          request.nickname ||
+          request.studentId;
+        const hasLeft = !this.currentRoster?.[request.studentId];
+        return `
+          <li class="help-request ${acknowledged ? "acknowledged" : "open"}">
+            <div class="help-request-info">
+              <strong>${Helpers.escapeHtml(nickname)}</strong>
+              ${hasLeft ? '<span class="help-request-left">(left)</span>' : ""}
+              <span class="help-request-meta">
+                ${request.scenarioTitle ? `${Helpers.escapeHtml(request.scenarioTitle)} · ` : ""}${formatTime(request.createdAt)}
+                ${acknowledged ? " · 👀 Acknowledged" : ""}
+              </span>
+              ${request.message ? `<p class="help-request-message">${Helpers.escapeHtml(request.message)}</p>` : ""}
+            </div>
+            <div class="help-request-actions">
+              ${acknowledged ? "" : `<button class="btn btn-outline btn-sm" data-help-action="acknowledge" data-request-id="${encodeURIComponent(request.requestId)}">👀 Acknowledge</button>`}
+              <button class="btn btn-success btn-sm" data-help-action="resolve" data-request-id="${encodeURIComponent(request.requestId)}">✅ Resolve</button>
+            </div>
+          </li>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Acknowledge or resolve a help request from the live session queue
+   * @param {string} action - acknowledge or resolve
+   * @param {string} requestId - Help request ID
+   */
+  async handleHelpAction(action, requestId) {
+    const code = this.currentClassroom?.classroomCode;
+    if (!code || !requestId) return;
+
+    try {
+      if (action === "acknowledge") {
+        await this.classroomService.acknowledgeHelpRequest(code, requestId);
+      } else if (action === "resolve") {
+        await this.classroomService.resolveHelpRequest(code, requestId);
+      } else {
+        return;
+      }
+      logClassroomEvent(CLASSROOM_CONSTANTS.EVENTS.HELP_REQUEST_UPDATED, {
+        classroom_code: code,
+        request_id: requestId,
+        action,
+      });
+    } catch (error) {
+      logger.error(
+        "TeacherClassroomModals",
+        `Help request action "${action}" failed`,
+        error,
+      );
+      this.showErrorToast("Failed to update the help request");
+    }
+  }
+
+  /**
+   * Open the projector view of the current teacher-paced session
+   */
+  openProjectorView() {
+    if (!this.currentClassroom) return;
+    if (!this.projectorView) {
+      this.projectorView = new ClassroomProjectorView(this.classroomService, {
+        onAction: (action) => this.handlePacingAction(action),
+      });
+    }
+    if (!this.projectorView.isOpen) {
+      this.projectorView.open(this.currentClassroom);
+    }
+  }
+
+  // ===== ASSIGNMENTS =====
+
+  /**
+   * Open the progress view of an assignment
+   * @param {Object} classroom - Assignment classroom
+   */
+  openAssignmentView(classroom) {
+    if (!this.assignmentView) {
+      this.assignmentView = new ClassroomAssignmentView(this.classroomService, {
+        onExport: (code) => this.showExportModal(code),
+        onDashboard: (code) => this.openDashboard(code),
+        onGrade: (code) => this.openGradingView(code),
+      });
+    }
+    this.assignmentView.open(classroom);
+  }
+
+  /**
+   * Assignments this browser created, newest first. Kept in the data
+   * handler so the instructor finds them again after a reload.
+   * @returns {Promise<Array<Object>>} classroomCode, classroomName, opensAt,
+   *   closesAt and acceptLate of each assignment
+   */
+  async loadAssignments() {
+    try {
+      const saved = await this.dataHandler.getData(
+        CLASSROOM_CONSTANTS.ASSIGNMENT.TEACHER_STORAGE_KEY,
+      );
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      logger.warn(
+        "TeacherClassroomModals",
+        "Failed to load assignments",
+        error,
+      );
+      return [];
+    }
+  }
+
+  async saveAssignment(classroom) {
+    const assignments = await this.loadAssignments();
+    const entry = {
+      classroomCode: classroom.classroomCode,
+      classroomName: classroom.classroomName,
+      ...classroom.assignment,
+    };
+    await this.saveAssignments([
+      entry,
+      ...assignments.filter((a) => a.classroomCode !== entry.classroomCode),
+    ]);
+  }
+
+  async saveAssignments(assignments) {
+    try {
+      await this.dataHandler.saveData(
+        CLASSROOM_CONSTANTS.ASSIGNMENT.TEACHER_STORAGE_KEY,
+        assignments,
+      );
+    } catch (error) {
+      logger.warn(
+        "TeacherClassroomModals",
+        "Failed to save assignments",
+        error,
+      );
+    }
+  }
+
+  /**
+   * List the saved assignments with their status
+   */
+  async showAssignmentListModal() {
+    const assignments = await this.loadAssignments();
+
+    this.assignmentListModal?.close();
+    this.assignmentListModal = new ModalUtility({
+      title: "📚 My Assignments",
+      content: this.buildAssignmentListContent(assignments),
+      size: "medium",
+      className: CLASSROOM_CONSTANTS.MODALS.ASSIGNMENT_LIST,
+      closeOnBackdrop: true,
+      onClose: () => {
+        this.assignmentListModal = null;
+      },
+    });
+    this.assignmentListModal.open();
+
+    this.assignmentListModal.element.addEventListener(
+      "click",
+      async (event) => {
+        const button = event.target.closest("[data-assignment-code]");
+        if (!button) return;
+
+        const code = decodeURIComponent(button.dataset.assignmentCode);
+        if (button.dataset.assignmentListAction === "forget") {
+          const remaining = (await this.loadAssignments()).filter(
+            (assignment) => assignment.classroomCode !== code,
+          );
+          await this.saveAssignments(remaining);
+          this.assignmentListModal?.setContent(
+            this.buildAssignmentListContent(remaining),
+          );
+          return;
+        }
+
+        button.disabled = true;
+        try {
+          const classroom = await this.classroomService.getClassroom(code);
+          if (!classroom) throw new Error("Assignment not found");
+          this.assignmentListModal?.close();
+          this.openAssignmentView({ ...classroom, classroomCode: code });
+        } catch (error) {
+          logger.error(
+            "TeacherClassroomModals",
+            "Failed to open assignment",
+            error,
+          );
+          this.showErrorToast("Failed to open assignment");
+          button.disabled = false;
+        }
+      },
+    );
+  }
+
+  buildAssignmentListContent(assignments) {
+    if (!assignments.length) {
+      return `
+        <div class="assignment-list empty">
+          <p>No assignments yet. Create a classroom and choose <em>Assignment with a due date</em>.</p>
+        </div>
+      `;
+    }
+
+    const statusLabels = {
+      [CLASSROOM_CONSTANTS.ASSIGNMENT.STATUS.UPCOMING]: "Not open yet",
+      [CLASSROOM_CONSTANTS.ASSIGNMENT.STATUS.OPEN]: "Open",
+      [CLASSROOM_CONSTANTS.ASSIGNMENT.STATUS.CLOSED]: "Closed",
+    };
+    return `
+      <ul class="assignment-list">
+        ${assignments
+          .map((assignment) => {
+            const status = getAssignmentStatus({ assignment });
+            const code = encodeURIComponent(assignment.classroomCode);
+            return `
+          <li class="assignment-list-item ${status}">
+            <div class="assignment-list-info">
+              <strong>${Helpers.escapeHtml(assignment.classroomName)}</strong>
+              <span>${Helpers.escapeHtml(assignment.classroomCode)} · Due ${new Date(assignment.closesAt).toLocaleString()} · ${statusLabels[status]}</span>
+            </div>
+            <div class="assignment-list-actions">
+              <button type="button" class="btn btn-sm btn-primary" data-assignment-list-action="open" data-assignment-code="${code}">
+                Open
+              </button>
+              <button type="button" class="btn btn-sm btn-outline" data-assignment-list-action="forget" data-assignment-code="${code}" title="Remove from this list; student work is kept">
+                Remove
+              </button>
+            </div>
+          </li>
+        `;
+          })
+          .join("")}
+      </ul>
+    `;
+  }
+
   /**
    * Build details tab content
    */
@@ -2006,6 +2887,14 @@ export default class TeacherClassroomModals {
     this.createClassroomModal?.close();
     this.classroomCodeModal?.close();
     this.liveSessionModal?.close();
+    this.educatorDashboard?.close();
+    this.projectorView?.close();
+    this.debatePanel?.unmount();
+    this.assignmentView?.close();
+    this.assignmentListModal?.close();
+    this.gradingView?.close();
+    this.exportModal?.close();
+    this.helpRequests = {};
 
     logger.info("TeacherClassroomModals", "Cleanup completed");
   }
@@ -2020,6 +2909,9 @@ export default class TeacherClassroomModals {
   }
 
   handleLiveSessionClose() {
+    // The debate tab goes away with the modal either way
+    this.debatePanel?.unmount();
+
     // Confirm before closing live session
     if (
       confirm(
@@ -2029,6 +2921,7 @@ export default class TeacherClassroomModals {
       this.classroomService.completeSession(
         this.currentClassroom?.classroomCode,
       );
+      this.projectorView?.close();
     }
   }
 }
@@ -24,6 +24,7 @@ export const CLASSROOM_CONSTANTS = {
   CLASSROOM_NAME_MIN_LENGTH: 3,
   NICKNAME_MAX_LENGTH: 20,
   NICKNAME_MIN_LENGTH: 2,
+  HELP_MESSAGE_MAX_LENGTH: 280,
   MAX_SCENARIOS_PER_SESSION: 20,
   MIN_SCENARIOS_PER_SESSION: 1,
 
@@ -35,6 +36,118 @@ export const CLASSROOM_CONSTANTS = {
     STUDENT_CHOICES: "studentChoices",
     SCENARIOS: "scenarios",
     PROGRESS: "overallProgress",
+    REFLECTIONS: "reflections",
+    HELP_REQUESTS: "helpRequests",
+    DEBATES: "debates",
+    GRADES: "grades",
+  },
+
+  // Classroom transports (see RealtimeClassroomService)
+  TRANSPORTS: {
+    FIREBASE: "firebase",
+    WEBSOCKET: "websocket",
+  },
+
+  // Self-hosted WebSocket relay (scripts/classroom-relay.js)
+  RELAY: {
+    DEFAULT_PORT: 8787,
+    // Legacy key: relays are no longer remembered, see getClassroomRelayUrl()
+    STORAGE_KEY: "simulateai_classroom_relay",
+    URL_PARAM: "relay",
+    REQUEST_TIMEOUT: 8000,
+    RECONNECT_DELAY: 1000,
+    MAX_RECONNECT_DELAY: 15000,
+  },
+
+  // Who moves the class from one scenario to the next
+  PACING: {
+    STUDENT: "student", // Each student advances on their own
+    TEACHER: "teacher", // The instructor advances, locks voting and reveals
+  },
+
+  // How students take part in a classroom
+  MODES: {
+    LIVE: "live", // Students join while the instructor runs the session
+    ASSIGNMENT: "assignment", // Students work on their own between two dates
+  },
+
+  // Assignments: asynchronous classrooms with an open and a due date
+  ASSIGNMENT: {
+    STATUS: {
+      UPCOMING: "upcoming", // Before opensAt; students cannot join yet
+      OPEN: "open",
+      CLOSED: "closed", // After closesAt; late work only if acceptLate
+    },
+    WORK_STATUS: {
+      NOT_STARTED: "not_started",
+      IN_PROGRESS: "in_progress",
+      SUBMITTED: "submitted", // Every scenario answered by closesAt
+      LATE: "late", // Every scenario answered, the last after closesAt
+      MISSING: "missing", // Unfinished after closesAt
+    },
+    DEFAULT_DURATION_DAYS: 7,
+    STATUS_REFRESH_INTERVAL: 60000, // Work turns missing at closesAt
+    // dataHandler keys that let assignments survive a page reload
+    TEACHER_STORAGE_KEY: "classroom_assignments",
+    STUDENT_STORAGE_KEY: "classroom_assignment_code",
+  },
+
+  // Help request lifecycle; each change also records a <status>At timestamp
+  HELP_STATUS: {
+    OPEN: "open", // Raised by the student, waiting for the instructor
+    ACKNOWLEDGED: "acknowledged", // The instructor has seen it
+    RESOLVED: "resolved", // The instructor has helped
+    CANCELLED: "cancelled", // Withdrawn by the student
+  },
+
+  // Debate mode: students with different choices argue their case
+  DEBATE: {
+    STATUS: {
+      OPEN: "open", // Students can submit arguments
+      CLOSED: "closed", // Arguments are final; the instructor can still score
+    },
+    GROUP_SIZES: [2, 3, 4],
+    DEFAULT_GROUP_SIZE: 2,
+    ARGUMENT_MAX_LENGTH: 600,
+  },
+
+  // Rubric grading of reflections; ids name EducatorToolkit rubrics
+  GRADING: {
+    RUBRICS: {
+      REFLECTION: "reflection", // createReflectionRubric()
+      DESIGN: "design", // createDesignRubric()
+      INVESTIGATION: "investigation", // createInvestigationRubric()
+    },
+    DEFAULT_RUBRIC: "reflection",
+    FEEDBACK_MAX_LENGTH: 1000,
+    MAX_RECENT_CLASSROOMS: 10, // Classrooms a student's profile looks up
+  },
+
+  // Standards mastery from completed scenarios and reflection grades
+  STANDARDS: {
+    LEVELS: {
+      NOT_STARTED: "not_started", // No aligned scenario completed
+      DEVELOPING: "developing", // Some completed, or grades below proficient
+      PROFICIENT: "proficient", // All completed, ungraded or graded proficient
+      MASTERED: "mastered", // All completed and graded at mastery
+    },
+    PROFICIENT_PERCENT: 60, // Average reflection grade
+    MASTERED_PERCENT: 80,
+  },
+
+  // Session export (CSV, JSON and printable report)
+  EXPORT: {
+    FILENAME_PREFIX: "simulateai-classroom",
+    // Reflection answers sent to the classroom; demographic questions are not
+    REFLECTION_FIELDS: [
+      "main_factor",
+      "confidence",
+      "additional_thoughts",
+      "strongest_argument",
+      "reconsider_factors",
+      "future_perspective",
+      "values_learned",
+    ],
   },
 
   // Session status values
@@ -54,6 +167,16 @@ export const CLASSROOM_CONSTANTS = {
     COMPLETED: "completed",
   },
 
+  // Educator dashboard thresholds
+  DASHBOARD: {
+    ACTIVE_WINDOW_MS: 5 * 60 * 1000, // Seen within 5 minutes counts as active
+    RUSHED_CHOICE_MS: 15000, // Average time per choice below this looks rushed
+    SUPPORT_GAP_PERCENT: 25, // Progress this far below the class average
+    SPLIT_DECISION_SHARE: 0.5, // No option chosen by more than half the class
+    LOW_COMPLETION_PERCENT: 50,
+    REFRESH_DEBOUNCE: 300,
+  },
+
   // Modal identifiers
   MODALS: {
     CREATE_CLASSROOM: "create-classroom-modal",
@@ -62,6 +185,15 @@ export const CLASSROOM_CONSTANTS = {
     JOIN_CLASSROOM: "join-classroom-modal",
     WAITING_ROOM: "waiting-room-modal",
     FINAL_CHOICES: "final-choices-modal",
+    EDUCATOR_DASHBOARD: "educator-dashboard-modal",
+    PROJECTOR_VIEW: "classroom-projector-modal",
+    PACED_WAITING: "paced-waiting-modal",
+    SESSION_EXPORT: "session-export-modal",
+    HELP_REQUEST: "help-request-modal",
+    DEBATE: "classroom-debate-modal",
+    ASSIGNMENT: "classroom-assignment-modal",
+    ASSIGNMENT_LIST: "classroom-assignment-list-modal",
+    GRADING: "classroom-grading-modal",
   },
 
   // Event types for analytics
@@ -71,7 +203,22 @@ export const CLASSROOM_CONSTANTS = {
     SESSION_STARTED: "session_started",
     SESSION_PAUSED: "session_paused",
     SESSION_COMPLETED: "session_completed",
+    SCENARIO_ADVANCED: "scenario_advanced",
+    VOTING_LOCKED: "voting_locked",
+    CHOICES_REVEALED: "choices_revealed",
     CHOICE_SUBMITTED: "choice_submitted",
+    REFLECTION_SUBMITTED: "reflection_submitted",
+    DATA_EXPORTED: "data_exported",
+    HELP_REQUESTED: "help_requested",
+    HELP_REQUEST_UPDATED: "help_request_updated",
+    DEBATE_STARTED: "debate_started",
+    DEBATE_ARGUMENT_SUBMITTED: "debate_argument_submitted",
+    DEBATE_ARGUMENT_SCORED: "debate_argument_scored",
+    DEBATE_CLOSED: "debate_closed",
+    ASSIGNMENT_CREATED: "assignment_created",
+    ASSIGNMENT_STARTED: "assignment_started",
+    ASSIGNMENT_SUBMITTED: "assignment_submitted",
+    REFLECTION_GRADED: "reflection_graded",
     STUDENT_LEFT: "student_left",
     ERROR_OCCURRED: "error_occurred",
   },
@@ -206,6 +353,7 @@ export const SUCCESS_MESSAGES = {
   SESSION_COMPLETED: "Session completed successfully.",
   CHOICE_SUBMITTED: "Your choice has been recorded.",
   DATA_EXPORTED: "Student data exported successfully.",
+  HELP_REQUESTED: "Help request sent to your instructor.",
 };
 
 /**
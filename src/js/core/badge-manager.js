@@ -25,8 +25,117 @@
 import {
   getBadgeConfig,
   getNextBadgeTier,
+  getSkillBadgeConfig,
   ACTIVE_BADGE_TIERS,
+  SKILL_BADGE_RULES,
 } from "../data/badge-config.js";
+import {
+  ETHICAL_AXES,
+  FRAMEWORK_RULES,
+  normalizeImpact,
+} from "../data/ethical-scoring.js";
+
+// Choices kept per category for skill badge rules
+const MAX_CHOICE_HISTORY = 100;
+
+// Reflection modal step that shows the community comparison
+const COMMUNITY_COMPARISON_STEP = 1;
+
+/**
+ * Skill badge evaluators by criteria type. Each receives the rule's
+ * criteria and the category's choice history, oldest first, and returns
+ * whether the badge is earned.
+ */
+const SKILL_EVALUATORS = {
+  underExploredAxes(criteria, choices) {
+    const {
+      minImpact = 2,
+      lowestAxes = 3,
+      minHistory = 2,
+      count = 1,
+    } = criteria;
+    const totals = Object.fromEntries(ETHICAL_AXES.map((axis) => [axis, 0]));
+    let history = 0;
+    let matches = 0;
+
+    choices.forEach(({ impact }) => {
+      if (!impact) return;
+
+      if (history >= minHistory) {
+        const cutoff = Object.values(totals).sort((a, b) => a - b)[
+          Math.min(lowestAxes, ETHICAL_AXES.length) - 1
+        ];
+        if (
+          ETHICAL_AXES.some(
+            (axis) => totals[axis] <= cutoff && impact[axis] >= minImpact,
+          )
+        ) {
+          matches++;
+        }
+      }
+
+      ETHICAL_AXES.forEach((axis) => {
+        totals[axis] += Math.max(0, impact[axis]);
+      });
+      history++;
+    });
+
+    return matches >= count;
+  },
+
+  writtenReflections(criteria, choices) {
+    const { fields = [], minWords = 1, count = 1 } = criteria;
+    return (
+      choices.filter(({ reflection }) =>
+        fields.some((field) => reflection?.wordCounts?.[field] >= minWords),
+      ).length >= count
+    );
+  },
+
+  changedAfterComparison(criteria, choices) {
+    const { count = 1 } = criteria;
+    const changes = choices.filter(
+      (choice, index) =>
+        choice.optionId &&
+        choices
+          .slice(0, index)
+          .some(
+            (earlier) =>
+              earlier.scenarioId === choice.scenarioId &&
+              earlier.reflection?.comparedWithCommunity &&
+              earlier.optionId &&
+              earlier.optionId !== choice.optionId,
+          ),
+    );
+    return changes.length >= count;
+  },
+
+  frameworksExplored(criteria, choices) {
+    const frameworks =
+      criteria.frameworks || FRAMEWORK_RULES.map((rule) => rule.id);
+    const explored = new Set(
+      choices.flatMap(({ impact }) =>
+        impact
+          ? FRAMEWORK_RULES.filter((rule) => rule.matches(impact)).map(
+              (rule) => rule.id,
+            )
+          : [],
+      ),
+    );
+    return frameworks.every((id) => explored.has(id));
+  },
+};
+
+/**
+ * Word count of a free-text reflection answer
+ * @param {*} value - Reflection answer
+ * @returns {number} Number of words, 0 for non-text answers
+ */
+function countWords(value) {
+  return typeof value === "string"
+    ? value.trim().split(/\s+/).filter(Boolean).length
+    : 0;
+}
 
 /**
  * Badge Manager Class
@@ -155,11 +264,21 @@ export class BadgeManager {
     if (!this.badgeState[categoryId]) {
       this.badgeState[categoryId] = {
         badges: {},
+        skills: {},
+        choices: [],
         totalCompleted: 0,
         lastUpdated: Date.now(),
       };
     }
 
+    // State saved before skill badges existed has neither
+    if (!this.badgeState[categoryId].skills) {
+      this.badgeState[categoryId].skills = {};
+    }
+    if (!this.badgeState[categoryId].choices) {
+      this.badgeState[categoryId].choices = [];
+    }
+
     // Ensure all active badge tiers exist (handles tier expansion)
     ACTIVE_BADGE_TIERS.forEach((tier) => {
       const tierKey = `tier${tier.tier}`;
@@ -178,12 +297,17 @@ export class BadgeManager {
    * Enhanced to use DataHandler with localStorage fallback
    * @param {string} categoryId - Category identifier
    * @param {string} scenarioId - Scenario identifier (for logging/analytics)
+   * @param {Object|null} option - Chosen option, recorded for skill badges
    * @returns {Promise<Array>} Array of newly earned badges
    */
-  async updateScenarioCompletion(categoryId, scenarioId) {
+  async updateScenarioCompletion(categoryId, scenarioId, option = null) {
     // Initialize category if needed
     this.initializeCategoryBadges(categoryId);
 
+    if (option?.id) {
+      this.recordChoice(categoryId, scenarioId, option);
+    }
+
     // Get current completion count using DataHandler-first approach
     const completionCount = await this.getCategoryCompletionCount(categoryId);
 
@@ -192,10 +316,10 @@ export class BadgeManager {
     this.badgeState[categoryId].lastUpdated = Date.now();
 
     // Check for newly earned badges
-    const newlyEarnedBadges = this.checkForNewBadges(
-      categoryId,
-      completionCount,
-    );
+    const newlyEarnedBadges = [
+      ...this.checkForNewBadges(categoryId, completionCount),
+      ...this.checkForNewSkillBadges(categoryId),
+    ];
 
     // Save updated state using async operation
     await this.saveBadgeState();
@@ -250,7 +374,134 @@ export class BadgeManager {
   }
 
   /**
-   * Gets all earned badges for a category
+   * Adds a choice to a category's history for skill badge rules
+   * @param {string} categoryId - Category identifier
+   * @param {string} scenarioId - Scenario identifier
+   * @param {Object} option - Chosen option with id and impact
+   */
+  recordChoice(categoryId, scenarioId, option) {
+    this.initializeCategoryBadges(categoryId);
+
+    const choices = this.badgeState[categoryId].choices;
+    choices.push({
+      scenarioId,
+      optionId: option.id,
+      impact: option.impact ? normalizeImpact(option.impact) : null,
+      reflection: null,
+      timestamp: Date.now(),
+    });
+    choices.splice(0, Math.max(0, choices.length - MAX_CHOICE_HISTORY));
+  }
+
+  /**
+   * Records a finished reflection against the latest choice for its
+   * scenario and checks for newly earned skill badges
+   * @param {Object} detail - scenarioReflectionCompleted event detail
+   * @returns {Promise<Array>} Array of newly earned skill badges
+   */
+  async updateReflectionCompletion(detail) {
+    const { categoryId, scenarioId, reflectionData = {} } = detail || {};
+    if (!categoryId || !scenarioId) return [];
+
+    this.initializeCategoryBadges(categoryId);
+
+    const choices = this.badgeState[categoryId].choices;
+    let choice = [...choices]
+      .reverse()
+      .find((entry) => entry.scenarioId === scenarioId && !entry.reflection);
+    if (!choice) {
+      const option = detail.selectedOption;
+      this.recordChoice(categoryId, scenarioId, {
+        id: option?.id || (typeof option === "string" ? option : null),
+        impact: option?.impact,
+      });
+      choice = choices[choices.length - 1];
+    }
+
+    choice.reflection = {
+      completionType: detail.completionType || "completed",
+      comparedWithCommunity:
+        (detail.currentStep || 0) >= COMMUNITY_COMPARISON_STEP,
+      wordCounts: Object.fromEntries(
+        Object.entries(reflectionData)
+          .map(([field, value]) => [field, countWords(value)])
+          .filter(([, words]) => words > 0),
+      ),
+    };
+
+    const newlyEarned = this.checkForNewSkillBadges(categoryId);
+    this.badgeState[categoryId].lastUpdated = Date.now();
+    await this.saveBadgeState();
+
+    console.log(
+      `[BadgeManager] Recorded reflection for ${categoryId}:${scenarioId}, earned ${newlyEarned.length} new skill badges`,
+    );
+
+    return newlyEarned;
+  }
+
+  /**
+   * Evaluates SKILL_BADGE_RULES against a category's choice history
+   * @param {string} categoryId - Category identifier
+   * @returns {Array} Array of newly earned skill badge configurations
+   */
+  checkForNewSkillBadges(categoryId) {
+    const newlyEarned = [];
+    const { skills, choices } = this.badgeState[categoryId];
+
+    SKILL_BADGE_RULES.forEach((rule) => {
+      if (skills[rule.id]?.unlocked) return;
+
+      const evaluate = SKILL_EVALUATORS[rule.criteria.type];
+      if (!evaluate) {
+        console.warn(
+          `[BadgeManager] Unknown skill badge criteria: ${rule.criteria.type}`,
+        );
+        return;
+      }
+
+      if (evaluate(rule.criteria, choices)) {
+        skills[rule.id] = { unlocked: true, timestamp: Date.now() };
+
+        const badgeConfig = getSkillBadgeConfig(categoryId, rule.id);
+        if (badgeConfig) {
+          newlyEarned.push({
+            ...badgeConfig,
+            categoryId,
+            timestamp: skills[rule.id].timestamp,
+          });
+        }
+      }
+    });
+
+    return newlyEarned;
+  }
+
+  /**
+   * Gets earned skill badges for a category, in SKILL_BADGE_RULES order
+   * @param {string} categoryId - Category identifier
+   * @returns {Array} Array of earned skill badge configurations
+   */
+  getEarnedSkillBadges(categoryId) {
+    this.initializeCategoryBadges(categoryId);
+
+    const skills = this.badgeState[categoryId].skills;
+    return SKILL_BADGE_RULES.filter((rule) => skills[rule.id]?.unlocked)
+      .map((rule) => {
+        const badgeConfig = getSkillBadgeConfig(categoryId, rule.id);
+        return (
+          badgeConfig && {
+            ...badgeConfig,
+            categoryId,
+            timestamp: skills[rule.id].timestamp,
+          }
+        );
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Gets all earned badges for a category, tier badges first
    * @param {string} categoryId - Category identifier
    * @returns {Array} Array of earned badge configurations
    */
@@ -277,7 +528,10 @@ export class BadgeManager {
       }
     });
 
-    return earnedBadges.sort((a, b) => a.tier - b.tier);
+    return [
+      ...earnedBadges.sort((a, b) => a.tier - b.tier),
+      ...this.getEarnedSkillBadges(categoryId),
+    ];
   }
 
   /**
@@ -431,8 +685,8 @@ export class BadgeManager {
     let total = 0;
 
     Object.keys(this.badgeState).forEach((categoryId) => {
-      const categoryBadges = this.badgeState[categoryId].badges;
-      total += Object.values(categoryBadges).filter(
+      const { badges, skills = {} } = this.badgeState[categoryId];
+      total += [...Object.values(badges), ...Object.values(skills)].filter(
         (badge) => badge.unlocked,
       ).length;
     });
@@ -381,6 +381,54 @@ class DataHandler {
     return await this.getScenarioCompletions(userId);
   }
 
+  // Community choice counters (per scenario, per option)
+  async getScenarioChoiceCounts(categoryId, scenarioId) {
+    const data = await this.getData(
+      `choice_counts_${categoryId}_${scenarioId}`,
+    );
+    return {
+      counts: data?.counts || {},
+      totalResponses: data?.totalResponses || 0,
+      updatedAt: data?.updatedAt || null,
+    };
+  }
+
+  // Each user counts once per scenario; a replay with a new choice moves it
+  async recordScenarioChoice(
+    categoryId,
+    scenarioId,
+    optionId,
+    userId = "default",
+  ) {
+    const key = `choice_counts_${categoryId}_${scenarioId}`;
+    const data = (await this.getData(key)) || {};
+    const responses = { ...(data.responses || {}) };
+    const previousOptionId = responses[userId];
+
+    if (previousOptionId === optionId) {
+      return true;
+    }
+
+    const counts = { ...(data.counts || {}) };
+    counts[optionId] = (counts[optionId] || 0) + 1;
+    if (previousOptionId) {
+      counts[previousOptionId] = Math.max(
+        (counts[previousOptionId] || 0) - 1,
+        0,
+      );
+    }
+    responses[userId] = optionId;
+
+    return await this.saveData(key, {
+      categoryId,
+      scenarioId,
+      counts,
+      responses,
+      totalResponses: (data.totalResponses || 0) + (previousOptionId ? 0 : 1),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
   async getAnalyticsData(userId = "default") {
     const completions = await this.getScenarioCompletions(userId);
     const research = await this.getResearchData(userId);
@@ -19,6 +19,22 @@
  * Transforms SimulateAI into a complete digital science lab for AI ethics
  */
 
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import scenarioRegistry from "../data/scenario-registry.js";
+import logger from "../utils/logger.js";
+import {
+  computeStandardsMastery,
+  getScenarioStandards,
+  parseStandardId,
+} from "../utils/classroom-standards.js";
+import {
+  CURRICULUM_STANDARDS,
+  getStandardDescription,
+} from "../../data/curriculum-standards.js";
+
+// Shared with RealtimeClassroomService's local mirror
+const CLASSROOM_STORAGE_KEY = "simulateai_classrooms";
+
 // Lesson timing and structure constants
 const LESSON_TIMING = {
   WARMUP_DURATION: 5, // minutes
@@ -28,12 +44,69 @@ const LESSON_TIMING = {
   OVERHEAD_TIME: 25, // total time for non-main activities (warmup + intro + closure + transitions)
 };
 
+// ===== DASHBOARD HELPERS =====
+
+/**
+ * Database timestamps may be numbers, ISO strings or unresolved server
+ * timestamp placeholders
+ */
+function toMillis(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string") {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+  return null;
+}
+
+function average(values) {
+  if (!values.length) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function percentOf(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+function roundTo(value, digits) {
+  if (value == null) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function toSeconds(ms) {
+  return ms == null ? null : Math.round(ms / 1000);
+}
+
+/**
+ * Average time a student spent per choice: the recorded response time when
+ * available, otherwise the gap since their previous choice (or since they
+ * joined the running session for the first one)
+ */
+function getAverageChoiceTime(choices, startedAt) {
+  const durations = [];
+  let previous = startedAt;
+  choices.forEach((choice) => {
+    if (choice.responseTime) {
+      durations.push(choice.responseTime);
+    } else if (previous && choice.timestamp && choice.timestamp > previous) {
+      durations.push(choice.timestamp - previous);
+    }
+    previous = choice.timestamp || previous;
+  });
+  return average(durations);
+}
+
 class EducatorToolkit {
   constructor() {
     this.curriculumStandards = new Map();
     this.assessmentTools = new Map();
     this.classroomActivities = new Map();
     this.progressTracking = new Map();
+    this.classroomService = null;
+    this.dataHandler = null;
+    this.optionLabels = new Map(); // Scenario ID -> { optionId: text }
+    this.optionImpacts = new Map(); // Scenario ID -> { optionId: raw impact }
 
     this.initializeStandards();
     this.setupAssessmentTools();
@@ -41,49 +114,12 @@ class EducatorToolkit {
   }
 
   /**
-   * Initialize curriculum standards mapping
+   * Initialize curriculum standards mapping from the standards catalog that
+   * scenario cards and learning labs list their codes from
    */
   initializeStandards() {
-    // Computer Science Education Standards
-    this.curriculumStandards.set("csta", {
-      name: "Computer Science Teachers Association Standards",
-      grades: {
-        "K-2": ["1A-IC-16", "1A-IC-17", "1A-IC-18"],
-        "3-5": ["1B-IC-18", "1B-IC-19", "1B-IC-20"],
-        "6-8": ["2-IC-20", "2-IC-21", "2-IC-22", "2-IC-23"],
-        "9-12": ["3A-IC-24", "3A-IC-25", "3A-IC-26", "3A-IC-27"],
-      },
-      alignment: {
-        "1A-IC-16": "Bias and Fairness Explorer - Basic concepts",
-        "2-IC-21": "AI decision-making consequences",
-        "3A-IC-25": "Ethical implications of AI systems",
-      },
-    });
-
-    // Next Generation Science Standards
-    this.curriculumStandards.set("ngss", {
-      name: "Next Generation Science Standards",
-      practices: [
-        "Asking Questions and Defining Problems",
-        "Developing and Using Models",
-        "Planning and Carrying Out Investigations",
-        "Analyzing and Interpreting Data",
-        "Using Mathematics and Computational Thinking",
-        "Constructing Explanations",
-        "Engaging in Argument from Evidence",
-        "Obtaining, Evaluating, and Communicating Information",
-      ],
-    });
-
-    // Social Studies Standards
-    this.curriculumStandards.set("ncss", {
-      name: "National Council for Social Studies",
-      themes: [
-        "Power, Authority, and Governance",
-        "Science, Technology, and Society",
-        "Civic Ideals and Practices",
-        "Individual Development and Identity",
-      ],
+    Object.entries(CURRICULUM_STANDARDS).forEach(([framework, standard]) => {
+      this.curriculumStandards.set(framework, standard);
     });
   }
 
@@ -397,11 +433,11 @@ class EducatorToolkit {
   getStandardsAlignment(standards, gradeLevel) {
     return standards.map((standard) => {
       const alignment = this.curriculumStandards.get(standard);
-      if (alignment && alignment.grades[gradeLevel]) {
+      if (alignment?.grades?.[gradeLevel]) {
         return {
           standard,
           codes: alignment.grades[gradeLevel],
-          description: alignment.description,
+          description: alignment.name,
         };
       }
       return { standard, codes: [], description: "No alignment found" };
@@ -1019,8 +1055,42 @@ class EducatorToolkit {
     this.scenarioGenerator = generator;
   }
 
+  setDataHandler(dataHandler) {
+    this.dataHandler = dataHandler;
+  }
+
+  /**
+   * Classroom service the dashboard reads rosters and choices from
+   * @param {RealtimeClassroomService} service
+   */
+  setClassroomService(service) {
+    this.classroomService = service;
+  }
+
+  /**
+   * Curriculum alignment from the standard codes listed on scenario cards,
+   * in the shape of getCurriculumAlignment()
+   * @param {Array<string>} scenarioIds
+   * @returns {Array<Object>|null} standard, code and description per code
+   */
+  getScenarioStandardsAlignment(scenarioIds) {
+    const standardIds = [
+      ...new Set(scenarioIds.flatMap((id) => getScenarioStandards(id))),
+    ];
+    const alignments = standardIds.map((standardId) => {
+      const { framework, code } = parseStandardId(standardId);
+      return {
+        standard: CURRICULUM_STANDARDS[framework].shortName,
+        code,
+        description: getStandardDescription(framework, code),
+      };
+    });
+    return alignments.length > 0 ? alignments : null;
+  }
+
   /**
-   * Get curriculum alignment for simulation tags
+   * Get curriculum alignment for simulation tags. Content with explicit
+   * standard codes should use getScenarioStandardsAlignment() instead.
    */
   getCurriculumAlignment(tags) {
     const alignments = [];
@@ -1541,17 +1611,35 @@ class EducatorToolkit {
   }
 
   /**
-   * Generate comprehensive educator dashboard data
+   * Generate educator dashboard data for a classroom from its roster,
+   * recorded choices and session timestamps
+   * @param {string} classId - Classroom code
+   * @param {Object} [classroom] - Already loaded classroom data
+   * @returns {Promise<Object>} Dashboard sections
    */
-  generateEducatorDashboard(classId) {
+  async generateEducatorDashboard(classId, classroom = null) {
+    const data = classroom || (await this.loadClassroomData(classId));
+    if (!data) {
+      throw new Error(`Classroom not found: ${classId}`);
+    }
+
+    await this.loadOptionLabels(
+      (data.selectedScenarios || []).map((s) => s.scenarioId || s.id),
+    );
+    const analysis = this.analyzeClassroom(data);
+
     return {
-      classOverview: this.getClassOverview(classId),
-      studentProgress: this.getStudentProgressSummary(classId),
-      standardsAlignment: this.trackStandardsProgress(classId),
-      assessmentInsights: this.analyzeAssessmentData(classId),
-      engagementMetrics: this.measureClassEngagement(classId),
-      recommendedInterventions: this.suggestInterventions(classId),
-      parentCommunication: this.generateParentUpdates(classId),
+      classId,
+      classroomName: analysis.classroomName,
+      generatedAt: new Date(analysis.now).toISOString(),
+      session: analysis.session,
+      classOverview: this.getClassOverview(analysis),
+      studentProgress: this.getStudentProgressSummary(analysis),
+      standardsAlignment: this.trackStandardsProgress(data),
+      assessmentInsights: this.analyzeAssessmentData(analysis),
+      engagementMetrics: this.measureClassEngagement(analysis),
+      recommendedInterventions: this.suggestInterventions(analysis),
+      parentCommunication: this.generateParentUpdates(analysis),
     };
   }
 
@@ -1678,140 +1766,527 @@ class EducatorToolkit {
   }
 
   /**
-   * Supporting methods for educator dashboard and analytics
+   * Supporting methods for the educator dashboard. Every section is computed
+   * from a classroom analysis (see analyzeClassroom) built from the roster,
+   * student choices, progress and session timestamps recorded by
+   * RealtimeClassroomService.
    */
-  getClassOverview(classId) {
+
+  /**
+   * Load a classroom from the classroom service and merge in the local
+   * mirror, which may already hold choices the database has not returned yet
+   * @param {string} classId - Classroom code
+   * @returns {Promise<Object|null>} Classroom data or null if not found
+   */
+  async loadClassroomData(classId) {
+    let remote = null;
+    if (this.classroomService) {
+      try {
+        remote = await this.classroomService.getClassroom(classId);
+      } catch (error) {
+        logger.warn(
+          "EducatorToolkit",
+          "Classroom service unavailable, using local data",
+          error,
+        );
+      }
+    }
+
+    const local = this.getLocalClassroom(classId);
+    if (!remote && !local) return null;
+    return this.mergeClassroomData(local || {}, remote || {}, classId);
+  }
+
+  getLocalClassroom(classId) {
+    try {
+      const classrooms = JSON.parse(
+        localStorage.getItem(CLASSROOM_STORAGE_KEY) || "{}",
+      );
+      return classrooms[classId] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  mergeClassroomData(local, remote, classId) {
+    const studentChoices = { ...(local.studentChoices || {}) };
+    Object.entries(remote.studentChoices || {}).forEach(([studentId, data]) => {
+      const localData = studentChoices[studentId] || {};
+      studentChoices[studentId] = {
+        ...localData,
+        ...data,
+        scenarios: {
+          ...(localData.scenarios || {}),
+          ...(data?.scenarios || {}),
+        },
+        reflections: {
+          ...(localData.reflections || {}),
+          ...(data?.reflections || {}),
+        },
+      };
+    });
+
     return {
-      totalStudents: 25,
-      activeScenarios: 5,
-      completionRate: 78,
-      averageEngagement: 85,
-      topChallenges: ["Bias recognition", "Stakeholder analysis"],
-      topStrengths: ["Critical thinking", "Collaborative discussion"],
+      ...local,
+      ...remote,
+      classroomCode: remote.classroomCode || local.classroomCode || classId,
+      roster: { ...(local.roster || {}), ...(remote.roster || {}) },
+      studentChoices,
     };
   }
 
-  getStudentProgressSummary(classId) {
+  /**
+   * Option text by scenario and option ID, used to label recorded choices.
+   * Also fills optionImpacts with the raw impact of each option.
+   * @param {string[]} scenarioIds
+   * @returns {Promise<Map<string, Object>>} Scenario ID -> { optionId: text }
+   */
+  async loadOptionLabels(scenarioIds) {
+    await Promise.all(
+      scenarioIds
+        .filter((scenarioId) => !this.optionLabels.has(scenarioId))
+        .map(async (scenarioId) => {
+          try {
+            const found = await scenarioRegistry.findScenario(scenarioId);
+            const labels = {};
+            const impacts = {};
+            (found?.scenario?.options || []).forEach((option) => {
+              labels[option.id] = option.text;
+              if (option.impact) impacts[option.id] = option.impact;
+            });
+            this.optionLabels.set(scenarioId, labels);
+            this.optionImpacts.set(scenarioId, impacts);
+          } catch (error) {
+            this.optionLabels.set(scenarioId, {});
+            this.optionImpacts.set(scenarioId, {});
+          }
+        }),
+    );
+    return this.optionLabels;
+  }
+
+  /**
+   * Summarize a classroom for the dashboard sections
+   * @param {Object} classroom - Classroom data from loadClassroomData()
+   * @param {number} [now=Date.now()]
+   * @returns {Object} session, scenarios, students, scenarioStats and class averages
+   */
+  analyzeClassroom(classroom, now = Date.now()) {
+    const { DASHBOARD } = CLASSROOM_CONSTANTS;
+    const roster = classroom.roster || {};
+    const studentChoices = classroom.studentChoices || {};
+
+    const scenarios = (classroom.selectedScenarios || []).map((scenario) => ({
+      scenarioId: scenario.scenarioId || scenario.id,
+      title: scenario.title || scenario.scenarioId || scenario.id,
+      category: scenario.category || "",
+    }));
+    // Classrooms without a scenario list still report what students answered
+    if (!scenarios.length) {
+      const answered = new Set();
+      Object.values(studentChoices).forEach((data) =>
+        Object.keys(data?.scenarios || {}).forEach((id) => answered.add(id)),
+      );
+      answered.forEach((scenarioId) =>
+        scenarios.push({ scenarioId, title: scenarioId, category: "" }),
+      );
+    }
+    const scenarioIds = scenarios.map(({ scenarioId }) => scenarioId);
+
+    const status = classroom.sessionStatus || {};
+    const startTime = toMillis(status.startTime);
+    const completedAt = toMillis(status.completedAt);
+    const session = {
+      state: status.isLive
+        ? status.isPaused
+          ? CLASSROOM_CONSTANTS.SESSION_STATUS.PAUSED
+          : CLASSROOM_CONSTANTS.SESSION_STATUS.LIVE
+        : completedAt
+          ? CLASSROOM_CONSTANTS.SESSION_STATUS.COMPLETED
+          : CLASSROOM_CONSTANTS.SESSION_STATUS.WAITING,
+      startTime,
+      completedAt,
+      durationMs: startTime ? (completedAt || now) - startTime : 0,
+    };
+
+    const studentIds = [
+      ...new Set([...Object.keys(roster), ...Object.keys(studentChoices)]),
+    ];
+    const students = studentIds.map((studentId) => {
+      const info = roster[studentId] || {};
+      const recorded = studentChoices[studentId]?.scenarios || {};
+      const choices = scenarioIds
+        .filter(
+          (scenarioId) =>
+            recorded[scenarioId] && recorded[scenarioId].isComplete !== false,
+        )
+        .map((scenarioId) => ({
+          scenarioId,
+          choice: recorded[scenarioId].choice,
+          timestamp: toMillis(recorded[scenarioId].timestamp),
+          responseTime: recorded[scenarioId].responseTime || null,
+          confidence: recorded[scenarioId].confidence ?? null,
+        }))
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+      const joinedAt = toMillis(info.joinedAt);
+      const lastActivity = Math.max(
+        toMillis(info.lastSeen) || 0,
+        ...choices.map((choice) => choice.timestamp || 0),
+      );
+
+      return {
+        studentId,
+        nickname: info.nickname || studentId,
+        joinedAt,
+        lastActivity: lastActivity || null,
+        isActive:
+          info.isActive !== false &&
+          !!lastActivity &&
+          now - lastActivity <= DASHBOARD.ACTIVE_WINDOW_MS,
+        completed: choices.length,
+        total: scenarioIds.length,
+        percent: percentOf(choices.length, scenarioIds.length),
+        averageChoiceMs: getAverageChoiceTime(
+          choices,
+          Math.max(startTime || 0, joinedAt || 0) || null,
+        ),
+        averageConfidence: average(
+          choices
+            .map((choice) => choice.confidence)
+            .filter((value) => typeof value === "number"),
+        ),
+        choices,
+      };
+    });
+
+    const averagePercent = average(students.map((s) => s.percent)) || 0;
+    students.forEach((student) => {
+      student.status = this.getStudentStatus(student, averagePercent, session);
+    });
+
+    const labels = this.optionLabels;
+    const scenarioStats = scenarios.map((scenario) => {
+      const responses = students
+        .map((student) =>
+          student.choices.find((c) => c.scenarioId === scenario.scenarioId),
+        )
+        .filter(Boolean);
+      const counts = {};
+      responses.forEach(({ choice }) => {
+        counts[choice] = (counts[choice] || 0) + 1;
+      });
+      const distribution = Object.entries(counts)
+        .map(([choice, count]) => ({
+          choice,
+          label: labels.get(scenario.scenarioId)?.[choice] || choice,
+          count,
+          share: count / responses.length,
+        }))
+        .sort((a, b) => b.count - a.count);
+      const topShare = distribution[0]?.share || 0;
+
+      return {
+        ...scenario,
+        responses: responses.length,
+        completionRate: percentOf(responses.length, students.length),
+        distribution,
+        isSplit:
+          responses.length >= 2 &&
+          distribution.length > 1 &&
+          topShare <= DASHBOARD.SPLIT_DECISION_SHARE,
+        isUnanimous: responses.length >= 3 && distribution.length === 1,
+        averageConfidence: average(
+          responses
+            .map((r) => r.confidence)
+            .filter((value) => typeof value === "number"),
+        ),
+      };
+    });
+
     return {
-      onTrack: 18,
-      needsSupport: 5,
-      exceeding: 2,
-      detailedMetrics: {
-        averageScenarioCompletion: 4.2,
-        averageReflectionQuality: "Developing",
-        peerInteractionLevel: "High",
-        ethicalReasoningGrowth: "+15%",
-      },
+      classroomCode: classroom.classroomCode,
+      classroomName: classroom.classroomName || classroom.classroomCode,
+      session,
+      scenarios,
+      students,
+      scenarioStats,
+      averagePercent: Math.round(averagePercent),
+      now,
     };
   }
 
-  trackStandardsProgress(classId) {
+  /**
+   * Classify a student against the class average
+   * @returns {"exceeding"|"onTrack"|"needsSupport"}
+   */
+  getStudentStatus(student, averagePercent, session) {
+    const gap = CLASSROOM_CONSTANTS.DASHBOARD.SUPPORT_GAP_PERCENT;
+    const started =
+      session.state !== CLASSROOM_CONSTANTS.SESSION_STATUS.WAITING;
+
+    if (started && student.completed === 0) return "needsSupport";
+    if (student.percent <= averagePercent - gap) return "needsSupport";
+    if (
+      student.percent >= averagePercent + gap ||
+      (student.percent === 100 && averagePercent < 100)
+    ) {
+      return "exceeding";
+    }
+    return "onTrack";
+  }
+
+  getClassOverview(analysis) {
+    const { students, scenarioStats, session } = analysis;
+    const ranked = [...scenarioStats].sort(
+      (a, b) => a.completionRate - b.completionRate,
+    );
+
     return {
-      CSTA: {
-        "1A-IC-16": { mastery: 85, inProgress: 10, notStarted: 5 },
-        "1A-IC-17": { mastery: 72, inProgress: 20, notStarted: 8 },
-        "1A-IC-18": { mastery: 90, inProgress: 8, notStarted: 2 },
-      },
-      NGSS: {
-        "5-ESS3-1": { mastery: 78, inProgress: 15, notStarted: 7 },
-        "MS-ETS1-1": { mastery: 82, inProgress: 12, notStarted: 6 },
-      },
-      NCSS: {
-        "Theme 2": { mastery: 75, inProgress: 18, notStarted: 7 },
-        "Theme 10": { mastery: 88, inProgress: 10, notStarted: 2 },
-      },
+      classroomName: analysis.classroomName,
+      totalStudents: students.length,
+      activeStudents: students.filter((s) => s.isActive).length,
+      activeScenarios: scenarioStats.length,
+      completionRate: analysis.averagePercent,
+      averageEngagement: percentOf(
+        students.filter((s) => s.completed > 0).length,
+        students.length,
+      ),
+      sessionState: session.state,
+      sessionDurationMs: session.durationMs,
+      // Scenarios completed by fewer / more students than average
+      topChallenges: ranked
+        .filter((s) => s.completionRate < analysis.averagePercent)
+        .slice(0, 2)
+        .map((s) => s.title),
+      topStrengths: ranked
+        .filter(
+          (s) => s.responses > 0 && s.completionRate >= analysis.averagePercent,
+        )
+        .reverse()
+        .slice(0, 2)
+        .map((s) => s.title),
     };
   }
 
-  analyzeAssessmentData(classId) {
+  getStudentProgressSummary(analysis) {
+    const { students } = analysis;
+    const countStatus = (status) =>
+      students.filter((s) => s.status === status).length;
+
     return {
-      formativeInsights: {
-        commonMisconceptions: [
-          "AI bias is always intentional",
-          "Technology is neutral",
-          "Privacy is all-or-nothing",
-        ],
-        strongAreas: [
-          "Identifying stakeholders",
-          "Recognizing multiple perspectives",
-          "Asking clarifying questions",
-        ],
-      },
-      summativeResults: {
-        averageScore: 82,
-        distribution: { A: 8, B: 12, C: 4, D: 1, F: 0 },
-        improvementAreas: ["Complex reasoning", "Real-world application"],
+      onTrack: countStatus("onTrack"),
+      needsSupport: countStatus("needsSupport"),
+      exceeding: countStatus("exceeding"),
+      students: students.map(({ choices, ...student }) => ({
+        ...student,
+        lastScenarioId: choices[choices.length - 1]?.scenarioId || null,
+      })),
+      detailedMetrics: {
+        averageScenarioCompletion: roundTo(
+          average(students.map((s) => s.completed)) || 0,
+          1,
+        ),
+        averageProgressPercent: analysis.averagePercent,
+        averageChoiceSeconds: toSeconds(
+          average(students.map((s) => s.averageChoiceMs).filter(Boolean)),
+        ),
+        averageConfidence: roundTo(
+          average(
+            students.map((s) => s.averageConfidence).filter((v) => v != null),
+          ),
+          1,
+        ),
       },
     };
   }
 
-  measureClassEngagement(classId) {
+  /**
+   * Standards mastery of the classroom per student and standard, from the
+   * standard codes of its scenarios, completed scenarios and reflection
+   * grades (see computeStandardsMastery)
+   * @param {Object} classroom - Classroom data from loadClassroomData()
+   * @returns {Object} Standards mastery report
+   */
+  trackStandardsProgress(classroom) {
+    return computeStandardsMastery(classroom);
+  }
+
+  analyzeAssessmentData(analysis) {
+    const { scenarioStats, students } = analysis;
+    const allConfidence = students
+      .flatMap((s) => s.choices.map((c) => c.confidence))
+      .filter((value) => typeof value === "number");
+
     return {
-      discussionParticipation: 87,
-      scenarioCompletion: 78,
-      peerInteraction: 92,
-      questionAsking: 75,
-      voluntaryExploration: 65,
-      trends: {
-        weeklyGrowth: "+3%",
-        mostEngagingTopics: ["Healthcare AI", "Social media algorithms"],
-        leastEngagingTopics: ["Technical specifications", "Legal frameworks"],
-      },
+      scenarioResults: scenarioStats,
+      splitDecisions: scenarioStats
+        .filter((s) => s.isSplit)
+        .map((s) => s.title),
+      unanimousDecisions: scenarioStats
+        .filter((s) => s.isUnanimous)
+        .map((s) => s.title),
+      averageConfidence: roundTo(average(allConfidence), 1),
+      averageChoiceSeconds: toSeconds(
+        average(students.map((s) => s.averageChoiceMs).filter(Boolean)),
+      ),
     };
   }
 
-  suggestInterventions(classId) {
+  measureClassEngagement(analysis) {
+    const { students, session } = analysis;
+    const submitted = students.flatMap((s) => s.choices);
+    const minutes = session.durationMs / 60000;
+
+    // Choices per five-minute slot since the session started
+    const timeline = [];
+    if (session.startTime) {
+      submitted
+        .filter((choice) => choice.timestamp >= session.startTime)
+        .forEach((choice) => {
+          const slot = Math.floor(
+            (choice.timestamp - session.startTime) / 300000,
+          );
+          timeline[slot] = (timeline[slot] || 0) + 1;
+        });
+    }
+
     return {
-      individual: [
-        {
-          student: "Alex R.",
-          issue: "Low participation in discussions",
-          suggestion: "Try smaller group discussions first",
-        },
-        {
-          student: "Jordan M.",
-          issue: "Struggling with bias recognition",
-          suggestion: "Provide additional bias examples worksheet",
-        },
-      ],
-      classWide: [
-        {
-          issue: "Technical terminology confusion",
-          suggestion: "Create class glossary and reference guide",
-        },
-        {
-          issue: "Need more real-world connections",
-          suggestion: "Invite guest speaker from tech industry",
-        },
-      ],
+      participationRate: percentOf(
+        students.filter((s) => s.completed > 0).length,
+        students.length,
+      ),
+      scenarioCompletion: analysis.averagePercent,
+      activeStudents: students.filter((s) => s.isActive).length,
+      activeRate: percentOf(
+        students.filter((s) => s.isActive).length,
+        students.length,
+      ),
+      choicesSubmitted: submitted.length,
+      choicesPerMinute:
+        minutes >= 1 ? roundTo(submitted.length / minutes, 1) : null,
+      timeline: Array.from(timeline, (count, index) => ({
+        minute: index * 5,
+        choices: count || 0,
+      })),
     };
   }
 
-  generateParentUpdates(classId) {
+  suggestInterventions(analysis) {
+    const { DASHBOARD, SESSION_STATUS } = CLASSROOM_CONSTANTS;
+    const isLive = analysis.session.state === SESSION_STATUS.LIVE;
+    const individual = [];
+    const classWide = [];
+
+    analysis.students.forEach((student) => {
+      const add = (issue, suggestion) =>
+        individual.push({
+          studentId: student.studentId,
+          student: student.nickname,
+          issue,
+          suggestion,
+        });
+
+      if (student.status === "needsSupport" && student.completed === 0) {
+        add(
+          "Has not submitted any choices",
+          "Check in to make sure they can open the first scenario",
+        );
+      } else if (student.status === "needsSupport") {
+        add(
+          `Completed ${student.completed}/${student.total} scenarios, behind the class average of ${analysis.averagePercent}%`,
+          "Pair them with a classmate or review the current scenario together",
+        );
+      }
+      if (
+        student.averageChoiceMs &&
+        student.averageChoiceMs < DASHBOARD.RUSHED_CHOICE_MS &&
+        student.completed > 1
+      ) {
+        add(
+          `Averaging ${toSeconds(student.averageChoiceMs)} seconds per choice`,
+          "Ask them to explain the reasoning behind their last choice",
+        );
+      }
+      if (isLive && !student.isActive && student.percent < 100) {
+        add(
+          "No activity in the last few minutes",
+          "Check whether they are still connected",
+        );
+      }
+    });
+
+    analysis.scenarioStats.forEach((scenario) => {
+      if (
+        analysis.students.length &&
+        scenario.completionRate < DASHBOARD.LOW_COMPLETION_PERCENT
+      ) {
+        classWide.push({
+          issue: `Only ${scenario.completionRate}% of students have completed "${scenario.title}"`,
+          suggestion: "Allow more time or walk through it together",
+        });
+      }
+      if (scenario.isSplit) {
+        classWide.push({
+          issue: `The class is split on "${scenario.title}"`,
+          suggestion: "Use it for a whole-class discussion or debate",
+        });
+      }
+      if (scenario.isUnanimous) {
+        classWide.push({
+          issue: `Everyone made the same choice on "${scenario.title}"`,
+          suggestion: "Ask students to argue for an option nobody chose",
+        });
+      }
+    });
+
+    return { individual, classWide };
+  }
+
+  generateParentUpdates(analysis) {
+    const { students, scenarioStats } = analysis;
+    const explored = scenarioStats.filter((s) => s.responses > 0);
+    const finished = students.filter((s) => s.total && s.percent === 100);
+    const mostDivided = scenarioStats.find((s) => s.isSplit);
+
+    const highlights = [];
+    if (explored.length) {
+      highlights.push(
+        `Students explored ${explored.length} scenario${explored.length === 1 ? "" : "s"}: ${explored.map((s) => s.title).join(", ")}`,
+      );
+    }
+    if (students.length) {
+      highlights.push(
+        `${finished.length} of ${students.length} students completed every scenario`,
+      );
+    }
+    if (mostDivided) {
+      highlights.push(
+        `The class held different views on "${mostDivided.title}"`,
+      );
+    }
+
     return {
       newsletter: {
-        subject: "AI Ethics Learning Progress Update",
-        highlights: [
-          "Students explored healthcare AI decision-making",
-          "Collaborative problem-solving skills developing well",
-          "Strong growth in critical thinking abilities",
-        ],
+        subject: `AI Ethics Learning Update: ${analysis.classroomName}`,
+        highlights,
         atHome: [
-          "Discuss AI use in family's daily life",
-          "Ask about scenario discussions from class",
+          explored.length
+            ? `Ask about the "${explored[0].title}" scenario and the choice they made`
+            : "Ask about the scenarios discussed in class",
+          "Discuss AI use in your family's daily life",
           "Encourage questions about technology ethics",
         ],
       },
-      individualReports: {
-        template: "Personalized progress summary for each student",
-        metrics: ["Engagement", "Critical thinking", "Collaboration"],
-        nextSteps: "Specific goals for continued growth",
-      },
+      individualReports: students.map((student) => ({
+        studentId: student.studentId,
+        nickname: student.nickname,
+        completed: student.completed,
+        total: student.total,
+        summary: `${student.nickname} completed ${student.completed} of ${student.total} scenarios.`,
+      })),
     };
   }
-
-  // Additional helper methods would continue here...
-  // [Implementation would continue with specific methods for each component]
 }
 
 // Export for integration with existing SimulateAI platform
@@ -1037,8 +1037,8 @@ class SimulationEngine {
 
       EnginePerformanceMonitor.startOperation("scene_render");
 
-      this.renderer.clear();
-      this.scene.render(this.renderer);
+      // Renderers clear and reset their per-frame draw call budget here
+      this.renderer.render(this.scene);
 
       EnginePerformanceMonitor.endOperation("scene_render");
     } catch (error) {
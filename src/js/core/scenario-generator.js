@@ -10,6 +10,11 @@
  */
 
 import logger from "../utils/logger.js";
+import { normalizeImpact } from "../data/ethical-scoring.js";
+import {
+  REAL_WORLD_CASES,
+  getCasesForDomain,
+} from "../data/real-world-cases.js";
 
 // Constants to avoid magic numbers
 const SCENARIO_CONSTANTS = {
@@ -36,8 +41,142 @@ const SCENARIO_CONSTANTS = {
     },
   },
   TRAUMA_CENTER_LEVEL: 1,
+  LESSON_MINUTES: {
+    elementary: 30,
+    middle: 45,
+    high: 50,
+    college: 75,
+  },
+};
+
+// Constants of the FNV-1a hash and mulberry32 generator behind seeded generation
+const SEEDED_RANDOM = {
+  FNV_OFFSET: 2166136261,
+  FNV_PRIME: 16777619,
+  MULBERRY_INCREMENT: 0x6d2b79f5,
+  UINT32_RANGE: 4294967296,
+  ID_RADIX: 36,
 };
 
+// Discussion and reflection prompt templates per age group.
+// Placeholders: {title}, {question} (primary dilemma), {option}, {stakeholder1..3}
+const PROMPT_TEMPLATES = {
+  elementary: {
+    discussion: [
+      "How would {stakeholder1} feel about the {title}?",
+      "What is one rule you would give the computer so it is fair to {stakeholder2}?",
+      "What should happen if the computer makes a mistake?",
+    ],
+    reflection: [
+      "What choice did you make, and why?",
+      "Was your choice fair to {stakeholder1}?",
+      "What did you learn about how computers make decisions?",
+    ],
+  },
+  middle: {
+    discussion: [
+      "Who has the most to gain and who has the most to lose: {stakeholder1} or {stakeholder2}?",
+      "Pick a side on this question: {question} What evidence would change your mind?",
+      "How could {stakeholder3} check that the system is working fairly?",
+    ],
+    reflection: [
+      "What was the hardest part of this decision?",
+      "How did thinking about {stakeholder1} change your choice?",
+      "What would you do differently next time?",
+    ],
+  },
+  high: {
+    discussion: [
+      "How would {stakeholder1} and {stakeholder2} each answer this question: {question}",
+      'Which ethical framework best supports the "{option}" approach, and what does it overlook?',
+      "Who should be held accountable if the system harms {stakeholder3}?",
+      "What trade-offs does this decision force, and who bears their cost?",
+    ],
+    reflection: [
+      "Which of your values guided your decision most strongly?",
+      "What would {stakeholder1} say about your choice, and how would you respond?",
+      "What information did you wish you had before deciding?",
+    ],
+  },
+  college: {
+    discussion: [
+      "Draft a policy position for {stakeholder1} on this question: {question}",
+      'How would you measure whether the "{option}" approach is working, and who decides what counts as success?',
+      "What institutional incentives might push {stakeholder2} to adopt this system regardless of its ethical risks?",
+      "Which regulation or legal precedent applies here, and where does it fall short?",
+    ],
+    reflection: [
+      "Which ethical framework best describes your reasoning, and where did you depart from it?",
+      "How would your decision change if you were accountable to {stakeholder1} rather than {stakeholder2}?",
+      "What assumptions about AI capability did your decision rely on?",
+    ],
+  },
+};
+
+/**
+ * Hash a seed to an unsigned 32-bit integer (FNV-1a)
+ * @param {string|number} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = SEEDED_RANDOM.FNV_OFFSET;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, SEEDED_RANDOM.FNV_PRIME);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic random source (mulberry32). The same seed always
+ * yields the same sequence.
+ * @param {string|number} seed
+ * @returns {{next: Function, pick: Function, shuffle: Function}}
+ */
+function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + SEEDED_RANDOM.MULBERRY_INCREMENT) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEEDED_RANDOM.UINT32_RANGE;
+  };
+
+  return {
+    next,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    shuffle: (items) => {
+      const shuffled = [...items];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled;
+    },
+  };
+}
+
+/**
+ * Lowercase the first letter unless the first word is an acronym ("AI")
+ */
+function lowerFirst(text = "") {
+  return /^[A-Z][A-Z]/.test(text)
+    ? text
+    : text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/**
+ * Replace {placeholders} in a prompt template
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match,
+  );
+}
+
 class ScenarioGenerator {
   constructor() {
     this.scenarioTemplates = new Map();
@@ -372,6 +511,12 @@ class ScenarioGenerator {
    */
   setupAdaptations() {
     this.adaptationStrategies.set("elementary", {
+      ageGroup: "elementary",
+      maxStakeholders: SCENARIO_CONSTANTS.STAKEHOLDER_GROUPS.ELEMENTARY.MAX,
+      maxDilemmas: 1,
+      optionCount: 2,
+      difficulty: "beginner",
+      estimatedTime: 10,
       approach: "Narrative and character-based",
       language: "Simple, concrete terms with visual metaphors",
       complexity: "Single primary dilemma with clear choices",
@@ -390,6 +535,12 @@ class ScenarioGenerator {
     });
 
     this.adaptationStrategies.set("middle", {
+      ageGroup: "middle",
+      maxStakeholders: SCENARIO_CONSTANTS.STAKEHOLDER_GROUPS.MIDDLE.MAX,
+      maxDilemmas: 2,
+      optionCount: 3,
+      difficulty: "beginner",
+      estimatedTime: 15,
       approach: "Problem-solving with guided discovery",
       language: "Age-appropriate with some technical terms explained",
       complexity: "Multiple related dilemmas with guided analysis",
@@ -409,6 +560,12 @@ class ScenarioGenerator {
     });
 
     this.adaptationStrategies.set("high", {
+      ageGroup: "high",
+      maxStakeholders: SCENARIO_CONSTANTS.STAKEHOLDER_GROUPS.HIGH.MAX,
+      maxDilemmas: 3,
+      optionCount: 3,
+      difficulty: "intermediate",
+      estimatedTime: 20,
       approach: "Research and analysis-based exploration",
       language: "Technical terms with proper context and explanation",
       complexity: "Multiple interconnected dilemmas requiring synthesis",
@@ -428,6 +585,12 @@ class ScenarioGenerator {
     });
 
     this.adaptationStrategies.set("college", {
+      ageGroup: "college",
+      maxStakeholders: null,
+      maxDilemmas: null,
+      optionCount: 3,
+      difficulty: "advanced",
+      estimatedTime: 30,
       approach: "Professional and interdisciplinary analysis",
       language: "Professional terminology with academic rigor",
       complexity: "Complex, multifaceted scenarios with ambiguous solutions",
@@ -451,64 +614,8 @@ class ScenarioGenerator {
    * Load real-world case studies for authentic learning
    */
   loadRealWorldCases() {
-    this.realWorldCases.set("healthcare-bias", {
-      title: "Racial Bias in Healthcare AI Algorithms",
-      summary:
-        "Healthcare algorithms systematically underestimated the healthcare needs of Black patients",
-      source: "Academic research published in Science magazine",
-      impact: "Affected millions of patients in the US healthcare system",
-      lessons: [
-        "Historical healthcare data can perpetuate existing inequalities",
-        "Proxy variables can hide discriminatory patterns",
-        "Algorithm auditing requires diverse perspectives",
-        "Fixing bias requires both technical and policy solutions",
-      ],
-      discussion: [
-        "How could developers have detected this bias earlier?",
-        "What changes to data collection might prevent similar issues?",
-        "How should healthcare systems audit existing AI tools?",
-        "What role should patients play in AI development and oversight?",
-      ],
-    });
-
-    this.realWorldCases.set("hiring-discrimination", {
-      title: "AI Hiring Tool Showed Bias Against Women",
-      summary:
-        "Amazon's experimental hiring algorithm was biased against women candidates",
-      source: "Reuters investigation and company statements",
-      impact: "Led to abandonment of the tool and industry-wide reflection",
-      lessons: [
-        "Training data reflects historical discrimination patterns",
-        "Technical performance metrics may miss fairness issues",
-        "Industry underrepresentation affects AI development",
-        "Regular bias testing is essential for AI systems",
-      ],
-      discussion: [
-        "What alternative approaches might create fairer hiring systems?",
-        "How can companies audit existing hiring practices for bias?",
-        "What role should diverse teams play in AI development?",
-        "How do we balance efficiency with fairness in hiring?",
-      ],
-    });
-
-    this.realWorldCases.set("criminal-justice-bias", {
-      title: "COMPAS Risk Assessment Algorithm Bias",
-      summary:
-        "Criminal justice risk assessment tool showed racial bias in recidivism predictions",
-      source: "ProPublica investigation and academic research",
-      impact: "Influenced sentencing and parole decisions for thousands",
-      lessons: [
-        "Historical crime data reflects biased enforcement patterns",
-        "Risk assessment tools can perpetuate systemic inequalities",
-        "Transparency in algorithmic decision-making is crucial",
-        "Different definitions of fairness can conflict with each other",
-      ],
-      discussion: [
-        "How should courts balance algorithmic efficiency with human judgment?",
-        "What data should be excluded from criminal justice algorithms?",
-        "How do we measure and achieve fairness in risk assessment?",
-        "What role should community input play in justice AI systems?",
-      ],
+    REAL_WORLD_CASES.forEach((caseStudy) => {
+      this.realWorldCases.set(caseStudy.id, caseStudy);
     });
   }
 
@@ -632,7 +739,22 @@ class ScenarioGenerator {
   }
 
   /**
-   * Generate age-appropriate scenario for specific domain and grade level
+   * Generate age-appropriate scenario for specific domain and grade level.
+   * The result validates against the content schema's scenario definition
+   * (dilemma, ethicalQuestion, options with impacts) and keeps the educator
+   * fields (choices, prompts, activities, assessment).
+   *
+   * Generation is deterministic for a given seed. Without options.seed a
+   * seed is created and returned in scenario.generator.seed so the scenario
+   * can be reproduced.
+   * @param {string} domain - Template domain, e.g. "healthcare"
+   * @param {string} ageGroup - "elementary", "middle", "high" or "college"
+   * @param {Object} [options]
+   * @param {string|number} [options.seed]
+   * @param {string} [options.scenarioId] - Base scenario to adapt, otherwise picked by seed
+   * @param {boolean} [options.includeRealWorld]
+   * @param {boolean} [options.includeEducatorResources]
+   * @returns {Object} Generated scenario
    */
   generateScenario(domain, ageGroup, options = {}) {
     const templates = this.scenarioTemplates.get(domain);
@@ -642,20 +764,37 @@ class ScenarioGenerator {
       throw new Error(`Invalid domain (${domain}) or age group (${ageGroup})`);
     }
 
-    // Select scenario based on options or randomly
+    const seed = String(options.seed ?? `${domain}:${ageGroup}:${Date.now()}`);
+    const random = createSeededRandom(seed);
+
+    // Select scenario based on options or by seed
     const baseScenario = options.scenarioId
       ? templates.baseScenarios.find((s) => s.id === options.scenarioId)
-      : templates.baseScenarios[
-          Math.floor(Math.random() * templates.baseScenarios.length)
-        ];
+      : random.pick(templates.baseScenarios);
+
+    if (!baseScenario) {
+      throw new Error(
+        `Unknown base scenario (${options.scenarioId}) for domain (${domain})`,
+      );
+    }
 
     // Adapt scenario for age group
     const adaptedScenario = this.adaptScenarioForAge(
       baseScenario,
       adaptations,
-      options,
+      { ...options, random },
     );
 
+    adaptedScenario.id = `generated-${baseScenario.id}-${ageGroup}-${hashSeed(
+      seed,
+    ).toString(SEEDED_RANDOM.ID_RADIX)}`;
+    adaptedScenario.generator = {
+      seed,
+      domain,
+      ageGroup,
+      baseScenarioId: baseScenario.id,
+    };
+
     // Add real-world connections if requested
     if (options.includeRealWorld) {
       adaptedScenario.realWorldCases = this.getRelevantRealWorldCases(domain);
@@ -674,28 +813,33 @@ class ScenarioGenerator {
 
   /**
    * Adapt base scenario for specific age group
+   * @param {Object} baseScenario - Entry of a template's baseScenarios
+   * @param {Object} adaptations - Age group adaptation strategy
+   * @param {Object} [options]
+   * @param {Object} [options.random] - Seeded random source from generateScenario()
    */
-  adaptScenarioForAge(baseScenario, adaptations, _options) {
-    return {
+  adaptScenarioForAge(baseScenario, adaptations, options = {}) {
+    const random = options.random || createSeededRandom(baseScenario.id);
+    const adapt = (text) => this.adaptLanguage(text, adaptations.language);
+
+    const scenario = {
       ...baseScenario,
 
       // Adapt language and complexity
-      description: this.adaptLanguage(
-        baseScenario.description,
-        adaptations.language,
-      ),
-      context: this.adaptLanguage(baseScenario.context, adaptations.language),
+      description: adapt(baseScenario.description),
+      context: adapt(baseScenario.context),
 
       // Simplify or expand stakeholders
       stakeholders: this.adaptStakeholders(
         baseScenario.stakeholders,
-        adaptations.stakeholders,
+        adaptations,
       ),
 
       // Adjust ethical dilemmas
       ethicalDilemmas: this.adaptDilemmas(
-        baseScenario.ethicalDilemmas,
-        adaptations.complexity,
+        baseScenario.ethicalDilemmas.map(adapt),
+        adaptations,
+        random,
       ),
 
       // Add age-appropriate activities
@@ -707,18 +851,75 @@ class ScenarioGenerator {
       // Add choice framework
       choices: this.generateChoices(baseScenario, adaptations),
 
-      // Include discussion prompts
-      discussionPrompts: this.generateDiscussionPrompts(
-        baseScenario,
-        adaptations,
-      ),
-
-      // Add reflection questions
-      reflectionQuestions: this.generateReflectionQuestions(
-        baseScenario,
-        adaptations,
-      ),
+      difficulty: adaptations.difficulty,
+      estimatedTime: adaptations.estimatedTime,
     };
+
+    // One choice category becomes the scenario's playable decision
+    const decision = random.pick(scenario.choices);
+    scenario.decisionCategory = decision.category;
+    scenario.ethicalQuestion = decision.question.replace(
+      /the AI( system)?/,
+      `the ${scenario.title}`,
+    );
+    scenario.dilemma = this.composeDilemma(scenario, random);
+    scenario.options = this.toScenarioOptions(
+      decision.options,
+      adaptations,
+      random,
+    );
+
+    // Include discussion prompts
+    scenario.discussionPrompts = this.generateDiscussionPrompts(
+      scenario,
+      adaptations,
+      random,
+    );
+
+    // Add reflection questions
+    scenario.reflectionQuestions = this.generateReflectionQuestions(
+      scenario,
+      adaptations,
+      random,
+    );
+
+    return scenario;
+  }
+
+  /**
+   * Write the dilemma text from the scenario context, two stakeholders and
+   * the primary ethical dilemma
+   */
+  composeDilemma(scenario, random) {
+    const [first, second] = random.shuffle(scenario.stakeholders);
+    const sentences = [
+      `${scenario.context} (${scenario.setting}).`,
+      `Your team has been asked to ${lowerFirst(scenario.description)}.`,
+    ];
+    if (second) {
+      sentences.push(
+        `${first} and ${lowerFirst(second)} disagree on a key question: ${lowerFirst(scenario.ethicalDilemmas[0])}`,
+      );
+    }
+    return sentences.join(" ");
+  }
+
+  /**
+   * Turn choice options into schema scenario options ({ id, text,
+   * description, impact, pros, cons })
+   */
+  toScenarioOptions(choiceOptions, adaptations, random) {
+    return random
+      .shuffle(choiceOptions)
+      .slice(0, adaptations.optionCount)
+      .map((choice) => ({
+        id: choice.id,
+        text: choice.label,
+        description: choice.description,
+        impact: normalizeImpact(choice.impact),
+        pros: choice.pros,
+        cons: choice.cons,
+      }));
   }
 
   /**
@@ -771,6 +972,14 @@ class ScenarioGenerator {
           "Hard to explain decisions",
           "May miss context",
         ],
+        impact: {
+          fairness: 0,
+          transparency: -2,
+          privacy: 0,
+          accountability: -1,
+          autonomy: -1,
+          beneficence: 1,
+        },
       },
       {
         id: "ai-assisted",
@@ -786,6 +995,14 @@ class ScenarioGenerator {
           "Requires training",
           "May introduce human bias",
         ],
+        impact: {
+          fairness: 0,
+          transparency: 1,
+          privacy: 0,
+          accountability: 2,
+          autonomy: 1,
+          beneficence: 1,
+        },
       },
       {
         id: "human-reviewed",
@@ -797,6 +1014,13 @@ class ScenarioGenerator {
           "May create bottlenecks",
           "Reviewer bias possible",
         ],
+        impact: {
+          fairness: 1,
+          transparency: 1,
+          privacy: 0,
+          accountability: 1,
+          proportionality: -1,
+        },
       },
     ];
 
@@ -835,47 +1059,297 @@ class ScenarioGenerator {
     return text;
   }
 
-  // Additional helper methods for choice generation...
-  generateDataChoices(_scenario, _adaptations) {
-    // Implementation for data usage choices
-    return [];
+  /**
+   * Generate data usage choice options
+   */
+  generateDataChoices(scenario, adaptations) {
+    const [primaryStakeholder = "People affected"] = scenario.stakeholders;
+    const baseChoices = [
+      {
+        id: "minimal-data",
+        label: "Essential Data Only",
+        description: "Use only the information the decision strictly needs",
+        pros: ["Protects privacy", "Less data to secure", "Easier to explain"],
+        cons: [
+          "May be less accurate",
+          "Can miss important context",
+          "Some groups may be poorly served",
+        ],
+        impact: {
+          fairness: 0,
+          transparency: 1,
+          privacy: 2,
+          beneficence: -1,
+        },
+      },
+      {
+        id: "broad-data",
+        label: "All Available Data",
+        description:
+          "Use every data source the organization can access, including sensitive details",
+        pros: [
+          "Most accurate predictions",
+          "Captures rare situations",
+          "Fewer manual checks",
+        ],
+        cons: [
+          `${primaryStakeholder} face greater privacy risks`,
+          "Can encode historical bias",
+          "Hard to explain which data mattered",
+        ],
+        impact: {
+          fairness: -1,
+          transparency: -1,
+          privacy: -2,
+          autonomy: -1,
+          beneficence: 1,
+        },
+      },
+      {
+        id: "consented-data",
+        label: "Opt-In Data",
+        description: "Use extra data only from people who choose to share it",
+        pros: [
+          "Respects individual choice",
+          "Builds trust",
+          "Clear data rules",
+        ],
+        cons: [
+          "People who opt out may get worse results",
+          "Consent may not be fully informed",
+          "More complex to run",
+        ],
+        impact: {
+          fairness: -1,
+          transparency: 1,
+          privacy: 1,
+          autonomy: 2,
+        },
+      },
+    ];
+
+    return this.adaptChoicesForAge(baseChoices, adaptations);
+  }
+
+  /**
+   * Generate fairness approach choice options
+   */
+  generateFairnessChoices(scenario, adaptations) {
+    const baseChoices = [
+      {
+        id: "group-blind",
+        label: "Ignore Group Characteristics",
+        description:
+          "Remove characteristics such as race, gender and age from the data",
+        pros: [
+          "Simple to explain",
+          "Same rules for everyone",
+          "Easy to verify",
+        ],
+        cons: [
+          "Other data can act as a proxy",
+          "Can hide unequal outcomes",
+          "Ignores real differences in need",
+        ],
+        impact: {
+          fairness: 0,
+          transparency: 1,
+          privacy: 1,
+        },
+      },
+      {
+        id: "balanced-outcomes",
+        label: "Balance Outcomes",
+        description:
+          "Adjust decisions so different groups receive similar results",
+        pros: [
+          "Corrects historical disadvantage",
+          "Measurable fairness goal",
+          "Visible commitment to equity",
+        ],
+        cons: [
+          "Individuals may be treated differently",
+          "Can reduce accuracy",
+          "Harder to explain to those affected",
+        ],
+        impact: {
+          fairness: 2,
+          transparency: -1,
+          privacy: 0,
+          beneficence: 1,
+          proportionality: -1,
+        },
+      },
+      {
+        id: "bias-audits",
+        label: "Independent Bias Audits",
+        description:
+          "Test the system for unequal outcomes regularly and publish the results",
+        pros: [
+          "Finds problems early",
+          "Public accountability",
+          "Improves over time",
+        ],
+        cons: [
+          "Problems are found after harm occurs",
+          "Audits cost time and money",
+          "Results may be disputed",
+        ],
+        impact: {
+          fairness: 1,
+          transparency: 2,
+          privacy: 0,
+          accountability: 2,
+        },
+      },
+    ];
+
+    return this.adaptChoicesForAge(baseChoices, adaptations);
   }
 
-  generateFairnessChoices(_scenario, _adaptations) {
-    // Implementation for fairness approach choices
-    return [];
+  /**
+   * Generate human oversight choice options
+   */
+  generateOversightChoices(scenario, adaptations) {
+    const baseChoices = [
+      {
+        id: "human-final-say",
+        label: "Human Makes the Final Call",
+        description: "The AI advises but a trained person decides every case",
+        pros: [
+          "Clear responsibility",
+          "Room for compassion and context",
+          "Errors can be caught",
+        ],
+        cons: [
+          "Slower decisions",
+          "People may just approve whatever the AI suggests",
+          "Staff need training",
+        ],
+        impact: {
+          fairness: 0,
+          transparency: 1,
+          privacy: 0,
+          accountability: 2,
+          autonomy: 1,
+        },
+      },
+      {
+        id: "right-to-appeal",
+        label: "Right to Appeal",
+        description:
+          "The AI decides, but anyone affected can ask a person to review the decision",
+        pros: [
+          "Fast for most cases",
+          "Protects people who are wronged",
+          "Appeals show where the system fails",
+        ],
+        cons: [
+          "Not everyone knows how to appeal",
+          "Harm may happen before review",
+          "Appeals can pile up",
+        ],
+        impact: {
+          fairness: 0,
+          transparency: 1,
+          privacy: 0,
+          accountability: 1,
+          autonomy: 2,
+          proportionality: 1,
+        },
+      },
+      {
+        id: "spot-checks",
+        label: "Random Spot Checks",
+        description: "People review a random sample of AI decisions each week",
+        pros: [
+          "Efficient use of staff",
+          "Tracks quality over time",
+          "Catches systematic errors",
+        ],
+        cons: [
+          "Individual mistakes can slip through",
+          "Affected people have no direct say",
+          "Sample may miss rare cases",
+        ],
+        impact: {
+          fairness: 0,
+          transparency: 0,
+          privacy: 0,
+          accountability: 1,
+          autonomy: -1,
+          beneficence: 1,
+          proportionality: 1,
+        },
+      },
+    ];
+
+    return this.adaptChoicesForAge(baseChoices, adaptations);
   }
 
-  generateOversightChoices(_scenario, _adaptations) {
-    // Implementation for human oversight choices
-    return [];
+  /**
+   * Keep the first stakeholders up to the age group's limit. Templates list
+   * the most directly affected stakeholders first; a null limit keeps all.
+   */
+  adaptStakeholders(stakeholders, adaptations) {
+    const limit = adaptations.maxStakeholders;
+    return limit ? stakeholders.slice(0, limit) : [...stakeholders];
   }
 
-  adaptStakeholders(stakeholders, _adaptationLevel) {
-    // Simplify or expand stakeholder list based on age group
-    return stakeholders;
+  /**
+   * Pick the ethical dilemmas for the age group. Younger groups get a
+   * single primary dilemma; a null limit keeps all of them.
+   */
+  adaptDilemmas(dilemmas, adaptations, random) {
+    const shuffled = random.shuffle(dilemmas);
+    const limit = adaptations.maxDilemmas;
+    return limit ? shuffled.slice(0, limit) : shuffled;
   }
 
-  adaptDilemmas(dilemmas, _complexityLevel) {
-    // Adjust ethical dilemma complexity
-    return dilemmas;
+  /**
+   * Values shared by the prompt templates of a scenario
+   */
+  getPromptValues(scenario, random) {
+    const [stakeholder1, stakeholder2, stakeholder3] = random.shuffle(
+      scenario.stakeholders,
+    );
+    return {
+      title: lowerFirst(scenario.title),
+      question: scenario.ethicalDilemmas[0],
+      option: scenario.options?.[0]?.text,
+      stakeholder1: lowerFirst(stakeholder1 || "the people affected"),
+      stakeholder2: lowerFirst(stakeholder2 || stakeholder1 || "the public"),
+      stakeholder3: lowerFirst(
+        stakeholder3 || stakeholder2 || "an independent reviewer",
+      ),
+    };
   }
 
-  generateDiscussionPrompts(_scenario, _adaptations) {
+  generateDiscussionPrompts(scenario, adaptations, random) {
     // Create age-appropriate discussion questions
-    return [];
+    const values = this.getPromptValues(
+      scenario,
+      random || createSeededRandom(scenario.id),
+    );
+    return PROMPT_TEMPLATES[adaptations.ageGroup].discussion.map((template) =>
+      fillTemplate(template, values),
+    );
   }
 
-  generateReflectionQuestions(_scenario, _adaptations) {
+  generateReflectionQuestions(scenario, adaptations, random) {
     // Create reflection questions for learning consolidation
-    return [];
+    const values = this.getPromptValues(
+      scenario,
+      random || createSeededRandom(scenario.id),
+    );
+    return PROMPT_TEMPLATES[adaptations.ageGroup].reflection.map((template) =>
+      fillTemplate(template, values),
+    );
   }
 
   getRelevantRealWorldCases(domain) {
     // Return real-world cases relevant to domain
-    return Array.from(this.realWorldCases.values()).filter((caseStudy) =>
-      caseStudy.title.toLowerCase().includes(domain.toLowerCase()),
-    );
+    return getCasesForDomain(domain);
   }
 
   generateEducatorResources(scenario, ageGroup) {
@@ -889,30 +1363,134 @@ class ScenarioGenerator {
     };
   }
 
-  // Placeholder methods for educator resource generation
-  generateLessonPlan(_scenario, _ageGroup) {
-    return {};
+  /**
+   * Lesson plan with a timed introduce/explore/decide/discuss/reflect sequence
+   */
+  generateLessonPlan(scenario, ageGroup) {
+    const adaptations = this.adaptationStrategies.get(ageGroup);
+    const duration = SCENARIO_CONSTANTS.LESSON_MINUTES[ageGroup];
+    const share = (fraction) => Math.round(duration * fraction);
+    const timed = [share(0.15), share(0.3), share(0.2), share(0.2)];
+
+    return {
+      title: `Exploring the ${lowerFirst(scenario.title)}`,
+      ageGroup,
+      duration,
+      approach: adaptations.approach,
+      objectives: [
+        `Identify how the decision affects ${scenario.stakeholders
+          .map(lowerFirst)
+          .join(", ")}`,
+        `Compare at least two approaches to: ${scenario.ethicalQuestion}`,
+        "Justify a decision with ethical reasoning",
+      ],
+      sequence: [
+        {
+          phase: "Introduce",
+          minutes: timed[0],
+          activity: `Read the scenario together: ${scenario.context}`,
+        },
+        {
+          phase: "Explore",
+          minutes: timed[1],
+          activity: adaptations.activities[0],
+        },
+        {
+          phase: "Decide",
+          minutes: timed[2],
+          activity: `Choose an option for "${scenario.ethicalQuestion}" and record the reasons`,
+        },
+        {
+          phase: "Discuss",
+          minutes: timed[3],
+          activity: scenario.discussionPrompts[0],
+        },
+        {
+          phase: "Reflect",
+          minutes: duration - timed.reduce((sum, minutes) => sum + minutes, 0),
+          activity: scenario.reflectionQuestions[0],
+        },
+      ],
+    };
   }
-  generateTeachingActivities(_scenario, _ageGroup) {
-    return [];
+
+  generateTeachingActivities(scenario, ageGroup) {
+    const { activities } = this.adaptationStrategies.get(ageGroup);
+    return activities.map((activity, index) => ({
+      title: activity,
+      focus: scenario.ethicalDilemmas[index % scenario.ethicalDilemmas.length],
+    }));
   }
-  generateAssessmentTools(_scenario, _ageGroup) {
-    return {};
+
+  generateAssessmentTools(scenario, ageGroup) {
+    const { assessment } = this.adaptationStrategies.get(ageGroup);
+    return {
+      methods: assessment,
+      reflectionQuestions: scenario.reflectionQuestions,
+      rubric: {
+        "Stakeholder Consideration": {
+          exemplary: `Explains the interests of ${scenario.stakeholders.length} or more stakeholders and how the decision affects each`,
+          proficient: "Explains the interests of several stakeholders",
+          developing: "Names stakeholders with limited explanation",
+          beginning: "Considers only one point of view",
+        },
+        "Ethical Reasoning": {
+          exemplary:
+            "Weighs competing values and justifies the chosen option against the alternatives",
+          proficient: "Gives clear reasons for the chosen option",
+          developing: "Gives reasons that are partly unclear or inconsistent",
+          beginning: "States a choice without reasons",
+        },
+        "Consequences and Trade-offs": {
+          exemplary:
+            "Anticipates short- and long-term consequences, including for people outside the scenario",
+          proficient: "Identifies the main trade-offs of the decision",
+          developing: "Identifies some consequences",
+          beginning: "Does not consider consequences",
+        },
+      },
+    };
   }
-  generateBackgroundInfo(_scenario) {
-    return {};
+
+  generateBackgroundInfo(scenario) {
+    return {
+      summary: scenario.context,
+      setting: scenario.setting,
+      stakeholders: scenario.stakeholders,
+      keyQuestions: scenario.ethicalDilemmas,
+      realWorldConnection: scenario.realWorldConnection || null,
+      relatedCases: (scenario.realWorldCases || []).map(
+        (caseStudy) => caseStudy.title,
+      ),
+    };
   }
-  generateExtensionActivities(_scenario, _ageGroup) {
-    return [];
+
+  generateExtensionActivities(scenario, ageGroup) {
+    const extensions = [
+      `Redesign the ${lowerFirst(scenario.title)} so it works for ${lowerFirst(scenario.stakeholders[scenario.stakeholders.length - 1])}`,
+      "Interview someone affected by a similar system and compare their view with your decision",
+    ];
+    if (ageGroup === "high" || ageGroup === "college") {
+      extensions.push(
+        "Research a real deployment of a similar system and evaluate it against your decision",
+        "Write a one-page policy brief recommending safeguards",
+      );
+    }
+    return extensions;
   }
 
   /**
    * Generate scenarios for a simulation with specified difficulty
+   * @param {string} domain
+   * @param {string} difficulty - "beginner", "intermediate" or "advanced"
+   * @param {number} [count]
+   * @param {string|number} [seed] - Makes the set reproducible
    */
   generateScenarios(
     domain,
     difficulty,
     count = SCENARIO_CONSTANTS.DEFAULT_SCENARIO_COUNT,
+    seed = undefined,
   ) {
     try {
       const scenarios = [];
@@ -934,6 +1512,7 @@ class ScenarioGenerator {
           this.mapDifficultyToAge(difficulty),
           {
             scenarioId: baseScenario.id,
+            seed: seed === undefined ? undefined : `${seed}:${i}`,
             includeRealWorld: difficulty !== "beginner",
             includeEducatorResources: true,
           },
@@ -948,6 +1527,50 @@ class ScenarioGenerator {
     }
   }
 
+  /**
+   * Generate fresh practice scenarios for a domain and age group. Each
+   * scenario gets its own derived seed, so the same seed always yields the
+   * same set.
+   * @param {string} domain
+   * @param {string} ageGroup
+   * @param {Object} [options]
+   * @param {number} [options.count]
+   * @param {string|number} [options.seed]
+   * @param {boolean} [options.includeEducatorResources=true]
+   * @returns {Object[]}
+   */
+  generatePracticeSet(
+    domain,
+    ageGroup,
+    {
+      count = SCENARIO_CONSTANTS.DEFAULT_SCENARIO_COUNT,
+      seed = Date.now(),
+      includeEducatorResources = true,
+    } = {},
+  ) {
+    return Array.from({ length: count }, (_, index) =>
+      this.generateScenario(domain, ageGroup, {
+        seed: `${seed}:${index}`,
+        includeRealWorld: true,
+        includeEducatorResources,
+      }),
+    );
+  }
+
+  /**
+   * @returns {string[]} Domains with scenario templates
+   */
+  getDomains() {
+    return Array.from(this.scenarioTemplates.keys());
+  }
+
+  /**
+   * @returns {string[]} Age groups with adaptation strategies
+   */
+  getAgeGroups() {
+    return Array.from(this.adaptationStrategies.keys());
+  }
+
   /**
    * Map simulation difficulty to age group
    */
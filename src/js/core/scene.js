@@ -37,6 +37,12 @@ export class Scene {
 
     // Object pools for performance
     this.objectPools = new Map();
+
+    this.engine = null;
+  }
+
+  setEngine(engine) {
+    this.engine = engine;
   }
 
   add(object) {
@@ -615,6 +615,112 @@ export function isBadgeEarned(completedCount, tier) {
   return tierInfo ? completedCount >= tierInfo.requirement : false;
 }
 
+/**
+ * Skill badges reward how a learner reasons rather than how many scenarios
+ * they complete. Rules are evaluated per category by BadgeManager after
+ * every scenario completion and reflection; `criteria.type` selects the
+ * evaluator and the remaining criteria fields are its parameters.
+ *
+ * - underExploredAxes: `count` choices scoring at least `minImpact` on one
+ *   of the `lowestAxes` axes the learner had favored least so far, counted
+ *   once at least `minHistory` earlier choices exist
+ * - writtenReflections: `count` reflections with at least `minWords` words
+ *   written in one of the free-text `fields`
+ * - changedAfterComparison: `count` replays choosing a different option
+ *   after the community comparison of an earlier attempt was seen
+ * - frameworksExplored: choices aligned with every framework in
+ *   `frameworks` (all FRAMEWORK_RULES in ethical-scoring.js when omitted)
+ */
+export const SKILL_BADGE_RULES = [
+  {
+    id: "axis-explorer",
+    title: "Uncharted Territory",
+    sidekickEmoji: "🧭",
+    quote: "You went looking for the values you usually walk past.",
+    glowIntensity: "medium",
+    reason: "choosing options that score high on ethical axes you rarely favor",
+    criteria: {
+      type: "underExploredAxes",
+      minImpact: 2,
+      lowestAxes: 3,
+      minHistory: 2,
+      count: 2,
+    },
+  },
+  {
+    id: "reflective-writer",
+    title: "Reflective Writer",
+    sidekickEmoji: "✍️",
+    quote: "Putting a reason into words is how it becomes your own.",
+    glowIntensity: "medium",
+    reason: "writing out your reasoning in scenario reflections",
+    criteria: {
+      type: "writtenReflections",
+      fields: [
+        "strongest_argument",
+        "values_learned",
+        "reconsider_factors",
+        "additional_thoughts",
+      ],
+      minWords: 10,
+      count: 3,
+    },
+  },
+  {
+    id: "open-mind",
+    title: "Open Mind",
+    sidekickEmoji: "🔄",
+    quote: "Changing your mind is not losing an argument. It is winning one.",
+    glowIntensity: "high",
+    reason:
+      "choosing differently after comparing your choice with the community",
+    criteria: { type: "changedAfterComparison", count: 1 },
+  },
+  {
+    id: "framework-explorer",
+    title: "Many Lenses",
+    sidekickEmoji: "🔍",
+    quote: "Every tradition sees something the others miss. You saw them all.",
+    glowIntensity: "high",
+    reason: "making choices that reflect every philosophical approach",
+    criteria: { type: "frameworksExplored" },
+  },
+];
+
+/**
+ * Gets a skill badge rule by ID
+ * @param {string} ruleId - Skill badge rule identifier
+ * @returns {Object|null} Rule or null if not found
+ */
+export function getSkillBadgeRule(ruleId) {
+  return SKILL_BADGE_RULES.find((rule) => rule.id === ruleId) || null;
+}
+
+/**
+ * Gets the display configuration of a skill badge in a category, in the
+ * same shape as getBadgeConfig() so BadgeModal can show either
+ * @param {string} categoryId - Category identifier
+ * @param {string} ruleId - Skill badge rule identifier
+ * @returns {Object|null} Badge configuration or null if not found
+ */
+export function getSkillBadgeConfig(categoryId, ruleId) {
+  const categoryConfig = BADGE_CONFIGURATIONS[categoryId];
+  const rule = getSkillBadgeRule(ruleId);
+  if (!categoryConfig || !rule) return null;
+
+  return {
+    title: rule.title,
+    sidekickEmoji: rule.sidekickEmoji,
+    quote: rule.quote,
+    glowIntensity: rule.glowIntensity,
+    reason: rule.reason,
+    kind: "skill",
+    skillId: rule.id,
+    categoryName: categoryConfig.categoryName,
+    categoryEmoji: categoryConfig.categoryEmoji,
+  };
+}
+
 export default {
   BADGE_TIERS,
   ACTIVE_BADGE_TIERS,
@@ -625,4 +731,7 @@ export default {
   getNextBadgeTier,
   getEarnedBadgeTiers,
   isBadgeEarned,
+  SKILL_BADGE_RULES,
+  getSkillBadgeRule,
+  getSkillBadgeConfig,
 };
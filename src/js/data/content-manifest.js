@@ -0,0 +1,38 @@
+/**
+ * Content Manifest
+ *
+ * GENERATED FILE - do not edit by hand.
+ * Produced by vite-plugins/content-manifest.js from src/js/data/scenarios/*-scenarios.js
+ * and src/data/learning-labs/*-lab.json. Regenerated on every Vite build and
+ * dev server start; run `npm run content:manifest` to refresh it manually.
+ * Query it through scenario-registry.js rather than importing it directly.
+ */
+
+// Category ID -> lazy scenario module loader
+export const SCENARIO_MODULES = {
+  "ai-black-box": () => import("./scenarios/ai-black-box-scenarios.js"),
+  "automation-oversight": () => import("./scenarios/automation-oversight-scenarios.js"),
+  "consent-surveillance": () => import("./scenarios/consent-surveillance-scenarios.js"),
+  "experience-machine": () => import("./scenarios/experience-machine-scenarios.js"),
+  "moral-luck": () => import("./scenarios/moral-luck-scenarios.js"),
+  "responsibility-blame": () => import("./scenarios/responsibility-blame-scenarios.js"),
+  "ship-of-theseus": () => import("./scenarios/ship-of-theseus-scenarios.js"),
+  "simulation-hypothesis": () => import("./scenarios/simulation-hypothesis-scenarios.js"),
+  "sorites-paradox": () => import("./scenarios/sorites-paradox-scenarios.js"),
+  "trolley-problem": () => import("./scenarios/trolley-problem-scenarios.js"),
+};
+
+// Category ID -> lazy learning lab loader. Labs are imported as raw text
+// because vite.config.js lists JSON under assetsInclude.
+export const LEARNING_LAB_MODULES = {
+  "ai-black-box": () => import("../../data/learning-labs/ai-black-box-lab.json?raw"),
+  "automation-oversight": () => import("../../data/learning-labs/automation-oversight-lab.json?raw"),
+  "consent-surveillance": () => import("../../data/learning-labs/consent-surveillance-lab.json?raw"),
+  "experience-machine": () => import("../../data/learning-labs/experience-machine-lab.json?raw"),
+  "moral-luck": () => import("../../data/learning-labs/moral-luck-lab.json?raw"),
+  "responsibility-blame": () => import("../../data/learning-labs/responsibility-blame-lab.json?raw"),
+  "ship-of-theseus": () => import("../../data/learning-labs/ship-of-theseus-lab.json?raw"),
+  "simulation-hypothesis": () => import("../../data/learning-labs/simulation-hypothesis-lab.json?raw"),
+  "sorites-paradox": () => import("../../data/learning-labs/sorites-paradox-lab.json?raw"),
+  "trolley-problem": () => import("../../data/learning-labs/trolley-problem-lab.json?raw"),
+};
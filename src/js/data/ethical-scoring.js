@@ -0,0 +1,369 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Ethical Scoring Model
+ *
+ * Single source of truth for how scenario choices are scored:
+ * - The eight ethical axes used by scenarios and the radar chart
+ * - The raw impact scale authored in scenario options (content-schema.json)
+ * - Normalization from raw impacts to the radar display scale
+ * - Cumulative aggregation across several scenarios
+ * - Framework alignment rules used by the reflection modal
+ *
+ * Raw impact: integers -2..+2 per axis (0 = no impact, missing axes = 0)
+ * Display score: integers 1..5 per axis, where 3 is neutral
+ */
+
+// Ordered axis keys - the radar chart renders axes in this order
+export const ETHICAL_AXES = [
+  "fairness",
+  "sustainability",
+  "autonomy",
+  "beneficence",
+  "transparency",
+  "accountability",
+  "privacy",
+  "proportionality",
+];
+
+export const AXIS_DEFINITIONS = {
+  fairness: {
+    label: "Fairness",
+    description: "Treats all individuals and groups equitably",
+  },
+  sustainability: {
+    label: "Sustainability",
+    description: "Supports long-term ecological and social well-being",
+  },
+  autonomy: {
+    label: "Autonomy",
+    description: "Respects individual control and self-determination",
+  },
+  beneficence: {
+    label: "Beneficence",
+    description: "Promotes well-being and prevents harm",
+  },
+  transparency: {
+    label: "Transparency",
+    description: "Provides openness in decision-making processes",
+  },
+  accountability: {
+    label: "Accountability",
+    description: "Ensures clear responsibility for decisions",
+  },
+  privacy: {
+    label: "Privacy",
+    description: "Protects personal information and data rights",
+  },
+  proportionality: {
+    label: "Proportionality",
+    description: "Balances benefits against severity of impact",
+  },
+};
+
+// Raw impact scale authored in scenario options
+export const IMPACT_SCALE = {
+  MIN: -2,
+  MAX: 2,
+  NEUTRAL: 0,
+};
+
+// Radar display scale
+export const DISPLAY_SCALE = {
+  MIN: 1,
+  MAX: 5,
+  NEUTRAL: 3,
+};
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Check whether a key is one of the eight ethical axes
+ * @param {string} axis - Axis key
+ * @returns {boolean}
+ */
+export function isEthicalAxis(axis) {
+  return ETHICAL_AXES.includes(axis);
+}
+
+/**
+ * Normalize an option's impact object to all eight axes on the raw scale.
+ * Unknown keys are dropped, missing axes become 0 and values are rounded
+ * and clamped to -2..+2.
+ * @param {Object} impact - Raw impact object from a scenario option
+ * @returns {Object} Complete raw impact object
+ */
+export function normalizeImpact(impact = {}) {
+  const normalized = {};
+  for (const axis of ETHICAL_AXES) {
+    const value = Number(impact?.[axis]);
+    normalized[axis] = Number.isFinite(value)
+      ? clamp(Math.round(value), IMPACT_SCALE.MIN, IMPACT_SCALE.MAX)
+      : IMPACT_SCALE.NEUTRAL;
+  }
+  return normalized;
+}
+
+/**
+ * Convert a raw impact value (-2..+2) to a display score (1..5)
+ * @param {number} value - Raw impact value
+ * @returns {number} Display score
+ */
+export function impactToDisplayScore(value) {
+  const raw = Number.isFinite(value) ? value : IMPACT_SCALE.NEUTRAL;
+  return clamp(
+    Math.round(DISPLAY_SCALE.NEUTRAL + raw),
+    DISPLAY_SCALE.MIN,
+    DISPLAY_SCALE.MAX,
+  );
+}
+
+/**
+ * Convert a display score (1..5) back to a raw impact value (-2..+2)
+ * @param {number} score - Display score
+ * @returns {number} Raw impact value
+ */
+export function displayScoreToImpact(score) {
+  const display = Number.isFinite(score) ? score : DISPLAY_SCALE.NEUTRAL;
+  return clamp(
+    Math.round(display - DISPLAY_SCALE.NEUTRAL),
+    IMPACT_SCALE.MIN,
+    IMPACT_SCALE.MAX,
+  );
+}
+
+/**
+ * Convert an option's impact object to display scores for all eight axes
+ * @param {Object} impact - Raw impact object
+ * @returns {Object} Display scores keyed by axis
+ */
+export function impactToDisplayScores(impact = {}) {
+  const normalized = normalizeImpact(impact);
+  const scores = {};
+  for (const axis of ETHICAL_AXES) {
+    scores[axis] = impactToDisplayScore(normalized[axis]);
+  }
+  return scores;
+}
+
+/**
+ * Neutral display scores for all axes
+ * @returns {Object}
+ */
+export function getNeutralScores() {
+  const scores = {};
+  for (const axis of ETHICAL_AXES) {
+    scores[axis] = DISPLAY_SCALE.NEUTRAL;
+  }
+  return scores;
+}
+
+/**
+ * Apply a raw impact on top of existing display scores, clamped to the
+ * display range. Used for incremental updates such as branching paths.
+ * @param {Object} currentScores - Current display scores
+ * @param {Object} impact - Raw impact object
+ * @returns {Object} New display scores
+ */
+export function applyImpactToScores(currentScores = {}, impact = {}) {
+  const normalized = normalizeImpact(impact);
+  const scores = { ...getNeutralScores(), ...currentScores };
+  for (const axis of ETHICAL_AXES) {
+    scores[axis] = clamp(
+      Math.round(scores[axis] + normalized[axis]),
+      DISPLAY_SCALE.MIN,
+      DISPLAY_SCALE.MAX,
+    );
+  }
+  return scores;
+}
+
+/**
+ * Aggregate raw impacts from several choices.
+ * Returns per-axis totals, the number of choices and the mean raw impact.
+ * @param {Array<Object>} impacts - Raw impact objects
+ * @returns {{totals: Object, average: Object, count: number}}
+ */
+export function aggregateImpacts(impacts = []) {
+  const totals = {};
+  const average = {};
+  const valid = impacts.filter(
+    (impact) => impact && typeof impact === "object",
+  );
+
+  for (const axis of ETHICAL_AXES) {
+    totals[axis] = 0;
+  }
+
+  for (const impact of valid) {
+    const normalized = normalizeImpact(impact);
+    for (const axis of ETHICAL_AXES) {
+      totals[axis] += normalized[axis];
+    }
+  }
+
+  for (const axis of ETHICAL_AXES) {
+    average[axis] = valid.length ? totals[axis] / valid.length : 0;
+  }
+
+  return { totals, average, count: valid.length };
+}
+
+/**
+ * Cumulative display scores across scenarios.
+ * Each axis is the neutral score shifted by the mean raw impact, so a
+ * profile stays on the 1..5 scale no matter how many scenarios are played.
+ * @param {Array<Object>} impacts - Raw impact objects
+ * @returns {Object} Display scores keyed by axis
+ */
+export function calculateCumulativeScores(impacts = []) {
+  const { average } = aggregateImpacts(impacts);
+  const scores = {};
+  for (const axis of ETHICAL_AXES) {
+    scores[axis] = impactToDisplayScore(average[axis]);
+  }
+  return scores;
+}
+
+/**
+ * Framework alignment rules, evaluated against a normalized raw impact.
+ * `framework` matches the ethicalFramework enum in content-schema.json
+ * where one exists.
+ */
+export const FRAMEWORK_RULES = [
+  {
+    id: "utilitarian",
+    framework: "utilitarian",
+    name: "Utilitarian Ethics",
+    description:
+      "Focuses on maximizing overall well-being and positive outcomes for the greatest number.",
+    matches: (i) => i.beneficence >= 1 || i.proportionality >= 2,
+    isStrong: (i) => i.beneficence >= 2,
+  },
+  {
+    id: "deontological",
+    framework: "deontological",
+    name: "Deontological Ethics",
+    description:
+      "Emphasizes moral duties, rules, and principles regardless of consequences.",
+    matches: (i) => i.accountability >= 1 || i.transparency >= 1,
+    isStrong: (i) => i.accountability >= 2,
+  },
+  {
+    id: "rights-based",
+    framework: null,
+    name: "Rights-Based Ethics",
+    description:
+      "Prioritizes individual rights, dignity, and protection from harm.",
+    matches: (i) => i.privacy >= 1 || i.fairness >= 1 || i.autonomy >= 1,
+    isStrong: (i) =>
+      [i.privacy, i.fairness, i.autonomy].filter((v) => v >= 1).length >= 2,
+  },
+  {
+    id: "virtue-ethics",
+    framework: "virtue-ethics",
+    name: "Virtue Ethics",
+    description:
+      "Focuses on character traits and moral virtues that lead to human flourishing.",
+    matches: (i) =>
+      ETHICAL_AXES.every((axis) => i[axis] >= 0) &&
+      ETHICAL_AXES.some((axis) => i[axis] > 0),
+    isStrong: (i) => ETHICAL_AXES.filter((axis) => i[axis] > 0).length >= 4,
+  },
+  {
+    id: "care-ethics",
+    framework: "care-ethics",
+    name: "Care Ethics",
+    description:
+      "Emphasizes relationships, empathy, and caring for particular individuals and communities.",
+    matches: (i) => i.beneficence >= 1 && i.fairness >= 1,
+    isStrong: (i) => i.beneficence >= 2 && i.fairness >= 1,
+  },
+];
+
+const PRAGMATIC_FRAMEWORK = {
+  id: "pragmatic",
+  framework: null,
+  name: "Pragmatic Ethics",
+  description:
+    "Takes a practical approach, weighing multiple factors and adapting to specific contexts.",
+  strength: "moderate",
+};
+
+const BALANCED_FRAMEWORK = {
+  id: "balanced",
+  framework: null,
+  name: "Balanced Approach",
+  description:
+    "Considers multiple ethical dimensions without strong emphasis on any single framework.",
+  strength: "moderate",
+};
+
+/**
+ * Determine which ethical frameworks a choice aligns with.
+ * Strong alignments are listed first.
+ * @param {Object|null} impact - Raw impact object of the chosen option
+ * @param {Object} options - { limit: maximum frameworks returned }
+ * @returns {Array<{id, framework, name, description, strength}>}
+ */
+export function getFrameworkAlignment(impact, options = {}) {
+  const { limit = 3 } = options;
+
+  if (!impact || typeof impact !== "object") {
+    return [{ ...BALANCED_FRAMEWORK }];
+  }
+
+  const normalized = normalizeImpact(impact);
+  const aligned = FRAMEWORK_RULES.filter((rule) => rule.matches(normalized))
+    .map((rule) => ({
+      id: rule.id,
+      framework: rule.framework,
+      name: rule.name,
+      description: rule.description,
+      strength: rule.isStrong(normalized) ? "strong" : "moderate",
+    }))
+    .sort(
+      (a, b) =>
+        (b.strength === "strong" ? 1 : 0) - (a.strength === "strong" ? 1 : 0),
+    );
+
+  if (aligned.length === 0) {
+    return [{ ...PRAGMATIC_FRAMEWORK }];
+  }
+
+  return aligned.slice(0, limit);
+}
+
+export default {
+  ETHICAL_AXES,
+  AXIS_DEFINITIONS,
+  IMPACT_SCALE,
+  DISPLAY_SCALE,
+  FRAMEWORK_RULES,
+  isEthicalAxis,
+  normalizeImpact,
+  impactToDisplayScore,
+  displayScoreToImpact,
+  impactToDisplayScores,
+  getNeutralScores,
+  applyImpactToScores,
+  aggregateImpacts,
+  calculateCumulativeScores,
+  getFrameworkAlignment,
+};
@@ -0,0 +1,237 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Reading Level Variants
+ *
+ * Scenarios and scenario graph nodes may carry simplified text for younger
+ * readers. The authored base text is the adult level; other levels are
+ * optional and every field falls back to the next level up:
+ *
+ *   readingLevels: {
+ *     elementary: {
+ *       dilemma: "...",
+ *       ethicalQuestion: "...",
+ *       outcome: "...",                       // graph nodes only
+ *       options: { "option-id": { text, description } },
+ *     },
+ *     middle: { ... },
+ *     high: { ... },
+ *   }
+ *
+ * So an elementary reader sees the elementary text where it exists, then the
+ * middle, then the high school text, and finally the base text.
+ *
+ * Also provides the Flesch-Kincaid readability metrics reported by
+ * scripts/validate-content.js.
+ */
+
+// Ordered from youngest to oldest reader
+export const READING_LEVELS = ["elementary", "middle", "high", "adult"];
+
+export const DEFAULT_READING_LEVEL = "adult";
+
+export const READING_LEVEL_LABELS = {
+  elementary: "Elementary",
+  middle: "Middle School",
+  high: "High School",
+  adult: "Adult",
+};
+
+// Highest Flesch-Kincaid grade a variant should reach for its level
+export const READING_LEVEL_MAX_GRADE = {
+  elementary: 5,
+  middle: 8,
+  high: 12,
+  adult: null,
+};
+
+const NODE_TEXT_FIELDS = ["outcome", "dilemma", "ethicalQuestion"];
+const OPTION_TEXT_FIELDS = ["text", "description"];
+
+/**
+ * Whether a value is a known reading level
+ * @param {string} level
+ * @returns {boolean}
+ */
+export function isReadingLevel(level) {
+  return READING_LEVELS.includes(level);
+}
+
+/**
+ * Levels whose variants are tried for a reading level, in fallback order.
+ * The adult level has no variant, so it is never part of the chain.
+ * @param {string} level - Requested reading level
+ * @returns {string[]}
+ */
+export function getVariantChain(level) {
+  const index = READING_LEVELS.indexOf(level);
+  if (index === -1) return [];
+  return READING_LEVELS.slice(index, -1);
+}
+
+/**
+ * Reading levels with authored text on a scenario or any of its graph nodes
+ * @param {Object} scenario - Scenario data
+ * @returns {string[]} Levels in READING_LEVELS order, always ending with adult
+ */
+export function getAuthoredReadingLevels(scenario) {
+  const sources = [scenario, ...Object.values(scenario?.nodes || {})];
+  return READING_LEVELS.filter(
+    (level) =>
+      level === DEFAULT_READING_LEVEL ||
+      sources.some((source) => source?.readingLevels?.[level]),
+  );
+}
+
+/**
+ * Resolve the text of a scenario node for a reading level
+ * @param {Object} node - Scenario or node from getScenarioNode()
+ * @param {string} level - Reading level
+ * @returns {Object} Copy of the node with dilemma, ethicalQuestion, outcome
+ *   and option text replaced, plus `readingLevel` (the level shown, or the
+ *   adult level when no variant text was used)
+ */
+export function applyReadingLevel(node, level = DEFAULT_READING_LEVEL) {
+  if (!node) return node;
+
+  const variants = getVariantChain(level)
+    .map((variantLevel) => node.readingLevels?.[variantLevel])
+    .filter(Boolean);
+  if (!variants.length) {
+    return { ...node, readingLevel: DEFAULT_READING_LEVEL };
+  }
+
+  const pick = (getValue, base) => {
+    const variant = variants.find((candidate) => getValue(candidate));
+    return variant ? getValue(variant) : base;
+  };
+
+  const resolved = { ...node, readingLevel: level };
+  NODE_TEXT_FIELDS.forEach((field) => {
+    if (node[field]) {
+      resolved[field] = pick((variant) => variant[field], node[field]);
+    }
+  });
+  resolved.options = (node.options || []).map((option) => {
+    const resolvedOption = { ...option };
+    OPTION_TEXT_FIELDS.forEach((field) => {
+      resolvedOption[field] = pick(
+        (variant) => variant.options?.[option.id]?.[field],
+        option[field],
+      );
+    });
+    return resolvedOption;
+  });
+
+  return resolved;
+}
+
+/**
+ * All reader-facing text of a scenario at a reading level, one sentence or
+ * more per field, for readability scoring
+ * @param {Object} scenario - Scenario data
+ * @param {string} level - Reading level
+ * @returns {string}
+ */
+export function getScenarioText(scenario, level = DEFAULT_READING_LEVEL) {
+  const nodes = [scenario, ...Object.values(scenario?.nodes || {})];
+
+  return nodes
+    .map((node) => applyReadingLevel(node, level))
+    .flatMap((node) => [
+      ...NODE_TEXT_FIELDS.map((field) => node[field]),
+      ...(node.options || []).flatMap((option) =>
+        OPTION_TEXT_FIELDS.map((field) => option[field]),
+      ),
+    ])
+    .filter((text) => typeof text === "string" && text.trim())
+    .map((text) => (/[.!?]["')]?\s*$/.test(text) ? text : `${text}.`))
+    .join(" ");
+}
+
+/**
+ * Estimate the syllables of an English word
+ * @param {string} word
+ * @returns {number}
+ */
+export function countSyllables(word) {
+  const letters = String(word)
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "")
+    .replace(/^y/, "")
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Flesch-Kincaid readability metrics for a text
+ * @param {string} text
+ * @returns {Object} words, sentences, syllables, fleschKincaidGrade and
+ *   fleschReadingEase (both rounded to one decimal, null for empty text)
+ */
+export function analyzeReadability(text) {
+  const words = String(text || "").match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || [];
+  const sentences = String(text || "")
+    .split(/[.!?]+(?:["')\s]|$)/)
+    .filter((sentence) => /[A-Za-z0-9]/.test(sentence)).length;
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+
+  if (!words.length) {
+    return {
+      words: 0,
+      sentences: 0,
+      syllables: 0,
+      fleschKincaidGrade: null,
+      fleschReadingEase: null,
+    };
+  }
+
+  const wordsPerSentence = words.length / Math.max(1, sentences);
+  const syllablesPerWord = syllables / words.length;
+  const round = (value) => Math.round(value * 10) / 10;
+
+  return {
+    words: words.length,
+    sentences: Math.max(1, sentences),
+    syllables,
+    fleschKincaidGrade: round(
+      0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59,
+    ),
+    fleschReadingEase: round(
+      206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord,
+    ),
+  };
+}
+
+export default {
+  READING_LEVELS,
+  DEFAULT_READING_LEVEL,
+  READING_LEVEL_LABELS,
+  READING_LEVEL_MAX_GRADE,
+  isReadingLevel,
+  getVariantChain,
+  getAuthoredReadingLevels,
+  applyReadingLevel,
+  getScenarioText,
+  countSyllables,
+  analyzeReadability,
+};
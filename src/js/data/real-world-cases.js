@@ -0,0 +1,385 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Real-World Case Library
+ *
+ * Documented incidents that scenarios are modelled on. Scenario modals,
+ * the reflection modal and the case index page surface these as
+ * "this happened in reality" cards, and ScenarioGenerator attaches them
+ * to generated scenarios by domain.
+ *
+ * Case shape:
+ * - id: kebab-case identifier
+ * - title, year, summary
+ * - domain: ScenarioGenerator template domain or a broader area
+ *   (e.g. "healthcare", "criminal-justice", "transportation")
+ * - citation: { source, title, url? } - url only where a stable link exists
+ * - axes: ethical axes from ethical-scoring.js the case bears on
+ * - scenarioIds: scenarios that explore the same dilemma
+ * - lessons, discussion: optional teaching notes
+ */
+
+import { isEthicalAxis } from "./ethical-scoring.js";
+
+export const REAL_WORLD_CASES = [
+  {
+    id: "healthcare-bias",
+    title: "Racial Bias in Healthcare AI Algorithms",
+    year: 2019,
+    domain: "healthcare",
+    summary:
+      "A widely used algorithm for allocating extra care predicted healthcare costs rather than illness. Because less money had historically been spent on Black patients, it systematically underestimated how sick they were.",
+    citation: {
+      source: "Science",
+      title:
+        "Obermeyer et al., Dissecting racial bias in an algorithm used to manage the health of populations",
+      url: "https://doi.org/10.1126/science.aax2342",
+    },
+    axes: ["fairness", "accountability", "transparency"],
+    scenarioIds: [
+      "algorithmic-bias-discovery",
+      "medical-diagnosis-unexplained",
+      "medical-ai-triage",
+    ],
+    lessons: [
+      "Historical healthcare data can perpetuate existing inequalities",
+      "Proxy variables can hide discriminatory patterns",
+      "Algorithm auditing requires diverse perspectives",
+      "Fixing bias requires both technical and policy solutions",
+    ],
+    discussion: [
+      "How could developers have detected this bias earlier?",
+      "What changes to data collection might prevent similar issues?",
+      "How should healthcare systems audit existing AI tools?",
+      "What role should patients play in AI development and oversight?",
+    ],
+  },
+  {
+    id: "hiring-discrimination",
+    title: "AI Hiring Tool Showed Bias Against Women",
+    year: 2018,
+    domain: "workplace",
+    summary:
+      "Amazon's experimental résumé-screening model, trained on a decade of mostly male applicants, learned to downgrade résumés that mentioned women's colleges and activities. The project was abandoned.",
+    citation: {
+      source: "Reuters",
+      title:
+        "Amazon scraps secret AI recruiting tool that showed bias against women",
+      url: "https://www.reuters.com/article/us-amazon-com-jobs-automation-insight-idUSKCN1MK08G",
+    },
+    axes: ["fairness", "transparency", "accountability"],
+    scenarioIds: [
+      "algorithmic-bias-accumulation",
+      "algorithmic-bias-discovery",
+    ],
+    lessons: [
+      "Training data reflects historical discrimination patterns",
+      "Technical performance metrics may miss fairness issues",
+      "Industry underrepresentation affects AI development",
+      "Regular bias testing is essential for AI systems",
+    ],
+    discussion: [
+      "What alternative approaches might create fairer hiring systems?",
+      "How can companies audit existing hiring practices for bias?",
+      "What role should diverse teams play in AI development?",
+      "How do we balance efficiency with fairness in hiring?",
+    ],
+  },
+  {
+    id: "criminal-justice-bias",
+    title: "COMPAS Risk Assessment Algorithm Bias",
+    year: 2016,
+    domain: "criminal-justice",
+    summary:
+      "An investigation of the COMPAS recidivism tool found Black defendants who did not reoffend were nearly twice as likely as white defendants to be labelled high risk, sparking a debate over competing definitions of fairness.",
+    citation: {
+      source: "ProPublica",
+      title: "Machine Bias",
+      url: "https://www.propublica.org/article/machine-bias-risk-assessments-in-criminal-sentencing",
+    },
+    axes: ["fairness", "transparency", "accountability"],
+    scenarioIds: ["parole-denial-algorithm", "predictive-policing-wrong"],
+    lessons: [
+      "Historical crime data reflects biased enforcement patterns",
+      "Risk assessment tools can perpetuate systemic inequalities",
+      "Transparency in algorithmic decision-making is crucial",
+      "Different definitions of fairness can conflict with each other",
+    ],
+    discussion: [
+      "How should courts balance algorithmic efficiency with human judgment?",
+      "What data should be excluded from criminal justice algorithms?",
+      "How do we measure and achieve fairness in risk assessment?",
+      "What role should community input play in justice AI systems?",
+    ],
+  },
+  {
+    id: "self-driving-pedestrian-fatality",
+    title: "Self-Driving Test Vehicle Kills a Pedestrian",
+    year: 2018,
+    domain: "transportation",
+    summary:
+      "An Uber test vehicle in Tempe, Arizona, detected a pedestrian seconds before impact but repeatedly misclassified her and was not designed to brake on its own. The safety driver was distracted.",
+    citation: {
+      source: "National Transportation Safety Board",
+      title:
+        "Collision Between Vehicle Controlled by Developmental Automated Driving System and Pedestrian (HAR-19/03)",
+      url: "https://www.ntsb.gov/investigations/AccidentReports/Reports/HAR1903.pdf",
+    },
+    axes: ["accountability", "beneficence", "proportionality"],
+    scenarioIds: [
+      "autonomous-vehicle-split",
+      "obstacle-recalculation",
+      "autonomous-vehicle-school-zone",
+      "autonomous-vehicle-weather",
+    ],
+  },
+  {
+    id: "exam-grading-algorithm",
+    title: "Algorithm Downgrades Students' Exam Results",
+    year: 2020,
+    domain: "education",
+    summary:
+      "With exams cancelled, England's A-level grades were standardised using each school's past results. Around 40% of teacher-assessed grades were lowered, hitting students at historically lower-performing schools hardest, and the results were withdrawn after protests.",
+    citation: {
+      source: "Ofqual",
+      title:
+        "Awarding GCSE, AS, A level, advanced extension awards and extended project qualifications in summer 2020: interim report",
+    },
+    axes: ["fairness", "transparency", "accountability", "autonomy"],
+    scenarioIds: ["college-admission-mystery"],
+  },
+  {
+    id: "childcare-benefits-scandal",
+    title: "Dutch Childcare Benefits Scandal",
+    year: 2021,
+    domain: "government",
+    summary:
+      "Dutch tax authorities wrongly accused thousands of families of childcare benefit fraud, partly through a risk-scoring system that treated dual nationality as a risk factor. A parliamentary inquiry called it unprecedented injustice and the government resigned.",
+    citation: {
+      source: "Dutch House of Representatives",
+      title:
+        "Ongekend onrecht (Unprecedented Injustice), parliamentary inquiry report",
+    },
+    axes: ["fairness", "accountability", "transparency", "privacy"],
+    scenarioIds: ["child-protection-alert", "financial-credit-opacity"],
+  },
+  {
+    id: "credit-card-limit-gender",
+    title: "Credit Card Limits Questioned for Gender Bias",
+    year: 2019,
+    domain: "finance",
+    summary:
+      "Customers reported that a new credit card gave women far lower limits than their husbands with shared finances. Regulators found no unlawful discrimination, but customers had been unable to get explanations for the decisions.",
+    citation: {
+      source: "New York State Department of Financial Services",
+      title: "Report on Apple Card Investigation",
+    },
+    axes: ["fairness", "transparency"],
+    scenarioIds: ["financial-credit-opacity", "insurance-claim-blackbox"],
+  },
+  {
+    id: "hospital-data-sharing",
+    title: "Hospital Shared 1.6 Million Patient Records for App Testing",
+    year: 2017,
+    domain: "healthcare",
+    summary:
+      "The Royal Free NHS Trust gave Google DeepMind patient records to test a kidney-injury alert app. The UK Information Commissioner ruled that patients had not been adequately informed that their data would be used this way.",
+    citation: {
+      source: "UK Information Commissioner's Office",
+      title:
+        "Royal Free - Google DeepMind trial failed to comply with data protection law",
+    },
+    axes: ["privacy", "autonomy", "transparency"],
+    scenarioIds: ["hospital-data-sharing"],
+  },
+  {
+    id: "facial-recognition-scraping",
+    title: "Facial Recognition Built from Scraped Photos",
+    year: 2020,
+    domain: "surveillance",
+    summary:
+      "A start-up scraped billions of photos from social media to build a face search engine sold to police. Several data protection regulators later ordered it to delete data and imposed fines.",
+    citation: {
+      source: "The New York Times",
+      title: "The Secretive Company That Might End Privacy as We Know It",
+    },
+    axes: ["privacy", "autonomy", "accountability"],
+    scenarioIds: ["smart-city-sensors", "incremental-surveillance"],
+  },
+  {
+    id: "flash-crash",
+    title: "The 2010 Flash Crash",
+    year: 2010,
+    domain: "finance",
+    summary:
+      "US stock indices fell almost 10% and recovered within about half an hour as automated trading systems amplified a large sell order. Regulators later introduced circuit breakers for individual stocks.",
+    citation: {
+      source: "U.S. SEC and CFTC",
+      title: "Findings Regarding the Market Events of May 6, 2010",
+      url: "https://www.sec.gov/news/studies/2010/marketevents-report.pdf",
+    },
+    axes: ["accountability", "proportionality", "beneficence"],
+    scenarioIds: ["financial-trading-halt", "stock-market-crash"],
+  },
+  {
+    id: "chatbot-learned-abuse",
+    title: "Chatbot Learned Abuse from Its Users",
+    year: 2016,
+    domain: "consumer",
+    summary:
+      "Microsoft's Tay chatbot learned from conversations on Twitter. Within a day coordinated users had taught it to post offensive messages and it was taken offline.",
+    citation: {
+      source: "Official Microsoft Blog",
+      title: "Learning from Tay's introduction",
+      url: "https://blogs.microsoft.com/blog/2016/03/25/learning-tays-introduction/",
+    },
+    axes: ["accountability", "beneficence"],
+    scenarioIds: [
+      "ai-content-moderation-failure",
+      "moral-drift-training",
+      "ai-personality-drift",
+    ],
+  },
+  {
+    id: "automation-override-aviation",
+    title: "Pilots Unable to Override Flight Automation",
+    year: 2019,
+    domain: "transportation",
+    summary:
+      "Two Boeing 737 MAX crashes were traced to an automated flight control system acting on a single faulty sensor. Pilots had not been told the system existed, and the aircraft was grounded worldwide.",
+    citation: {
+      source: "U.S. House Committee on Transportation and Infrastructure",
+      title:
+        "Final Committee Report: The Design, Development & Certification of the Boeing 737 MAX",
+    },
+    axes: ["accountability", "transparency", "autonomy"],
+    scenarioIds: ["air-traffic-control", "robot-surgeon-override"],
+  },
+  {
+    id: "wartime-deepfake",
+    title: "Deepfake of a Head of State Calls for Surrender",
+    year: 2022,
+    domain: "media",
+    summary:
+      "A fabricated video of Ukraine's president telling soldiers to lay down their arms was posted on a hacked news site. It was quickly debunked and removed by major platforms.",
+    citation: {
+      source: "Reuters",
+      title:
+        "Deepfake footage purports to show Ukrainian president capitulating",
+    },
+    axes: ["transparency", "accountability", "beneficence"],
+    scenarioIds: ["deepfake-riot"],
+  },
+  {
+    id: "companion-chatbot-ban",
+    title: "Regulator Halts Companion Chatbot",
+    year: 2023,
+    domain: "consumer",
+    summary:
+      "Italy's data protection authority ordered the Replika companion app to stop processing Italian users' data, citing risks to minors and emotionally vulnerable people.",
+    citation: {
+      source: "Garante per la protezione dei dati personali",
+      title: "Provision of 2 February 2023 against Luka Inc. (Replika)",
+    },
+    axes: ["autonomy", "beneficence", "privacy"],
+    scenarioIds: ["synthetic-partner", "ai-dating-profiling"],
+  },
+];
+
+const casesById = new Map(
+  REAL_WORLD_CASES.map((caseStudy) => [caseStudy.id, caseStudy]),
+);
+
+/**
+ * @param {string} caseId
+ * @returns {Object|null}
+ */
+export function getCaseById(caseId) {
+  return casesById.get(caseId) || null;
+}
+
+/**
+ * Cases that explore the same dilemma as a scenario
+ * @param {string} scenarioId
+ * @returns {Object[]}
+ */
+export function getCasesForScenario(scenarioId) {
+  return REAL_WORLD_CASES.filter((caseStudy) =>
+    caseStudy.scenarioIds.includes(scenarioId),
+  );
+}
+
+/**
+ * Cases bearing on any of the given axes, most shared axes first
+ * @param {string[]} axes
+ * @returns {Object[]}
+ */
+export function getCasesForAxes(axes = []) {
+  const wanted = axes.filter(isEthicalAxis);
+  return REAL_WORLD_CASES.map((caseStudy) => ({
+    caseStudy,
+    shared: caseStudy.axes.filter((axis) => wanted.includes(axis)).length,
+  }))
+    .filter(({ shared }) => shared > 0)
+    .sort((a, b) => b.shared - a.shared)
+    .map(({ caseStudy }) => caseStudy);
+}
+
+/**
+ * @param {string} domain - e.g. "healthcare" or "criminal-justice"
+ * @returns {Object[]}
+ */
+export function getCasesForDomain(domain = "") {
+  const wanted = domain.toLowerCase();
+  return REAL_WORLD_CASES.filter((caseStudy) => caseStudy.domain === wanted);
+}
+
+/**
+ * Filter the library. Category filtering needs a scenario ID -> category ID
+ * lookup because cases link to scenarios, not categories.
+ * @param {Object} filters
+ * @param {string} [filters.axis]
+ * @param {string} [filters.domain]
+ * @param {string} [filters.categoryId]
+ * @param {Map<string, string>} [filters.scenarioCategories]
+ * @returns {Object[]}
+ */
+export function filterCases({
+  axis = "",
+  domain = "",
+  categoryId = "",
+  scenarioCategories = new Map(),
+} = {}) {
+  return REAL_WORLD_CASES.filter(
+    (caseStudy) =>
+      (!axis || caseStudy.axes.includes(axis)) &&
+      (!domain || caseStudy.domain === domain) &&
+      (!categoryId ||
+        caseStudy.scenarioIds.some(
+          (scenarioId) => scenarioCategories.get(scenarioId) === categoryId,
+        )),
+  );
+}
+
+export default {
+  REAL_WORLD_CASES,
+  getCaseById,
+  getCasesForScenario,
+  getCasesForAxes,
+  getCasesForDomain,
+  filterCases,
+};
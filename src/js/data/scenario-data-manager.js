@@ -26,6 +26,12 @@ import {
   getScenarioCreationDate,
   getCategoryCreationDate,
 } from "./scenario-creation-dates.js";
+import { ETHICAL_AXES } from "./ethical-scoring.js";
+import {
+  isBranchingScenario,
+  validateScenarioGraph,
+} from "./scenario-graph.js";
+import scenarioRegistry from "./scenario-registry.js";
 
 class ScenarioDataManager {
   constructor(app = null) {
@@ -43,26 +49,6 @@ class ScenarioDataManager {
     }
   }
 
-  /**
-   * Map category IDs to scenario file names
-   */
-  getCategoryFileName(categoryId) {
-    const categoryFileMap = {
-      "trolley-problem": "trolley-problem-scenarios",
-      "ai-black-box": "ai-black-box-scenarios",
-      "automation-oversight": "automation-oversight-scenarios",
-      "consent-surveillance": "consent-surveillance-scenarios",
-      "responsibility-blame": "responsibility-blame-scenarios",
-      "ship-of-theseus": "ship-of-theseus-scenarios",
-      "simulation-hypothesis": "simulation-hypothesis-scenarios",
-      "experience-machine": "experience-machine-scenarios",
-      "sorites-paradox": "sorites-paradox-scenarios",
-      "moral-luck": "moral-luck-scenarios",
-    };
-
-    return categoryFileMap[categoryId] || `${categoryId}-scenarios`;
-  }
-
   /**
    * Load scenario data for a specific category with DataHandler caching
    */
@@ -95,10 +81,8 @@ class ScenarioDataManager {
     }
 
     try {
-      const fileName = this.getCategoryFileName(categoryId);
-      // Dynamic import based on category ID
-      const module = await import(`./scenarios/${fileName}.js`);
-      const scenarios = module.default || module.scenarios;
+      // Lazy import through the generated content manifest
+      const scenarios = await scenarioRegistry.loadScenarios(categoryId);
 
       // Validate scenario data
       this.validateScenarios(scenarios, categoryId);
@@ -257,39 +241,56 @@ class ScenarioDataManager {
     }
 
     // Validate options structure
-    if (scenario.options && Array.isArray(scenario.options)) {
-      scenario.options.forEach((option, index) => {
-        const optionRequired = ["id", "text", "description", "impact"];
-        for (const field of optionRequired) {
-          if (!option[field]) {
+    this.validateOptions(scenario.options, `${categoryId}:${scenarioId}`);
+
+    // Validate follow-up nodes of branching scenarios
+    if (isBranchingScenario(scenario)) {
+      Object.entries(scenario.nodes).forEach(([nodeId, node]) => {
+        this.validateOptions(
+          node.options,
+          `${categoryId}:${scenarioId} node '${nodeId}'`,
+        );
+      });
+
+      const { errors, warnings } = validateScenarioGraph(scenario);
+      errors.forEach((error) =>
+        logger.warn(
+          `Invalid scenario graph in ${categoryId}:${scenarioId}: ${error}`,
+        ),
+      );
+      warnings.forEach((warning) =>
+        logger.warn(
+          `Scenario graph in ${categoryId}:${scenarioId}: ${warning}`,
+        ),
+      );
+    }
+  }
+
+  /**
+   * Validate the options of a scenario or scenario node
+   */
+  validateOptions(options, location) {
+    if (!options || !Array.isArray(options)) return;
+
+    options.forEach((option, index) => {
+      const optionRequired = ["id", "text", "description", "impact"];
+      for (const field of optionRequired) {
+        if (!option[field]) {
+          logger.warn(`Missing '${field}' in option ${index} of ${location}`);
+        }
+      }
+
+      // Validate impact object
+      if (option.impact && typeof option.impact === "object") {
+        ETHICAL_AXES.forEach((metric) => {
+          if (typeof option.impact[metric] !== "number") {
             logger.warn(
-              `Missing '${field}' in option ${index} of scenario ${categoryId}:${scenarioId}`,
+              `Missing or invalid impact metric '${metric}' in ${location} option ${index}`,
             );
           }
-        }
-
-        // Validate impact object
-        if (option.impact && typeof option.impact === "object") {
-          const expectedMetrics = [
-            "fairness",
-            "sustainability",
-            "autonomy",
-            "beneficence",
-            "transparency",
-            "accountability",
-            "privacy",
-            "proportionality",
-          ];
-          expectedMetrics.forEach((metric) => {
-            if (typeof option.impact[metric] !== "number") {
-              logger.warn(
-                `Missing or invalid impact metric '${metric}' in ${categoryId}:${scenarioId} option ${index}`,
-              );
-            }
-          });
-        }
-      });
-    }
+        });
+      }
+    });
   }
 
   /**
@@ -0,0 +1,222 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Scenario Graph Helpers
+ *
+ * Scenarios may optionally branch. The scenario itself is the root node; an
+ * option can point to a follow-up node through `next`, and follow-up nodes
+ * live in the scenario's `nodes` map:
+ *
+ *   options: [{ id, text, description, impact, next: "node-id" }]
+ *   nodes: {
+ *     "node-id": {
+ *       outcome: "What happened because of the previous choice",
+ *       dilemma: "Follow-up dilemma",          // omitted on ending nodes
+ *       ethicalQuestion: "Follow-up question", // omitted on ending nodes
+ *       options: [ ...same option shape... ],  // omitted on ending nodes
+ *     },
+ *   }
+ *
+ * Options without `next` end the path. Nodes without options are endings
+ * that only reveal their outcome. Flat scenarios are unaffected.
+ */
+
+export const ROOT_NODE_ID = "root";
+
+/**
+ * Whether a scenario uses the branching graph format
+ * @param {Object} scenario - Scenario data
+ * @returns {boolean}
+ */
+export function isBranchingScenario(scenario) {
+  return (
+    !!scenario?.nodes &&
+    typeof scenario.nodes === "object" &&
+    Object.keys(scenario.nodes).length > 0
+  );
+}
+
+/**
+ * Get a node of the scenario graph. The root node is the scenario itself.
+ * @param {Object} scenario - Scenario data
+ * @param {string} nodeId - Node ID (defaults to the root)
+ * @returns {Object|null} Node with id, outcome, dilemma, ethicalQuestion,
+ *   options and readingLevels
+ */
+export function getScenarioNode(scenario, nodeId = ROOT_NODE_ID) {
+  if (!scenario) return null;
+
+  if (!nodeId || nodeId === ROOT_NODE_ID) {
+    return {
+      id: ROOT_NODE_ID,
+      outcome: null,
+      dilemma: scenario.dilemma,
+      ethicalQuestion: scenario.ethicalQuestion,
+      options: scenario.options || [],
+      readingLevels: scenario.readingLevels || null,
+    };
+  }
+
+  const node = scenario.nodes?.[nodeId];
+  if (!node) return null;
+
+  return {
+    id: nodeId,
+    outcome: node.outcome || null,
+    dilemma: node.dilemma || "",
+    ethicalQuestion: node.ethicalQuestion || "",
+    options: node.options || [],
+    readingLevels: node.readingLevels || null,
+  };
+}
+
+/**
+ * Resolve the node an option leads to, if any
+ * @param {Object} scenario - Scenario data
+ * @param {Object} option - Chosen option
+ * @returns {string|null} Next node ID, or null when the path ends
+ */
+export function getNextNodeId(scenario, option) {
+  const next = option?.next;
+  return next && scenario?.nodes?.[next] ? next : null;
+}
+
+/**
+ * Whether a node is an ending (reveals an outcome but offers no options)
+ * @param {Object} node - Node from getScenarioNode()
+ * @returns {boolean}
+ */
+export function isTerminalNode(node) {
+  return !node?.options || node.options.length === 0;
+}
+
+/**
+ * Length of the longest decision path through the scenario
+ * @param {Object} scenario - Scenario data
+ * @returns {number} Number of decisions on the longest path
+ */
+export function getMaxPathLength(scenario) {
+  const visit = (nodeId, seen) => {
+    const node = getScenarioNode(scenario, nodeId);
+    if (!node || isTerminalNode(node) || seen.has(nodeId)) return 0;
+
+    const nextSeen = new Set(seen).add(nodeId);
+    return (
+      1 +
+      Math.max(
+        0,
+        ...node.options.map((option) => {
+          const next = getNextNodeId(scenario, option);
+          return next ? visit(next, nextSeen) : 0;
+        }),
+      )
+    );
+  };
+
+  return visit(ROOT_NODE_ID, new Set());
+}
+
+/**
+ * Validate the graph structure of a scenario
+ * Checks dangling `next` references, unreachable nodes, cycles and
+ * incomplete nodes.
+ * @param {Object} scenario - Scenario data
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function validateScenarioGraph(scenario) {
+  const errors = [];
+  const warnings = [];
+
+  if (!scenario) {
+    return { errors: ["Scenario is missing"], warnings };
+  }
+
+  const nodeIds = Object.keys(scenario.nodes || {});
+  const allNodes = [ROOT_NODE_ID, ...nodeIds];
+
+  if (nodeIds.includes(ROOT_NODE_ID)) {
+    errors.push(`Node ID '${ROOT_NODE_ID}' is reserved for the scenario root`);
+  }
+
+  for (const nodeId of allNodes) {
+    const node = getScenarioNode(scenario, nodeId);
+
+    if (nodeId !== ROOT_NODE_ID && !node.outcome) {
+      warnings.push(`Node '${nodeId}' has no outcome text`);
+    }
+
+    if (!isTerminalNode(node) && nodeId !== ROOT_NODE_ID) {
+      if (!node.dilemma) {
+        errors.push(`Node '${nodeId}' has options but no dilemma`);
+      }
+      if (!node.ethicalQuestion) {
+        errors.push(`Node '${nodeId}' has options but no ethicalQuestion`);
+      }
+    }
+
+    for (const option of node.options) {
+      if (option.next && !scenario.nodes?.[option.next]) {
+        errors.push(
+          `Option '${option.id}' in node '${nodeId}' points to missing node '${option.next}'`,
+        );
+      }
+    }
+  }
+
+  // Reachability and cycle detection from the root
+  const reachable = new Set();
+  const visiting = new Set();
+
+  const walk = (nodeId) => {
+    if (visiting.has(nodeId)) {
+      errors.push(`Cycle detected at node '${nodeId}'`);
+      return;
+    }
+    if (reachable.has(nodeId)) return;
+
+    visiting.add(nodeId);
+    reachable.add(nodeId);
+
+    const node = getScenarioNode(scenario, nodeId);
+    for (const option of node?.options || []) {
+      const next = getNextNodeId(scenario, option);
+      if (next) walk(next);
+    }
+
+    visiting.delete(nodeId);
+  };
+
+  walk(ROOT_NODE_ID);
+
+  for (const nodeId of nodeIds) {
+    if (!reachable.has(nodeId)) {
+      warnings.push(`Node '${nodeId}' is not reachable from the root`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+export default {
+  ROOT_NODE_ID,
+  isBranchingScenario,
+  getScenarioNode,
+  getNextNodeId,
+  isTerminalNode,
+  getMaxPathLength,
+  validateScenarioGraph,
+};
@@ -4,13 +4,12 @@
  */
 
 import logger from '../utils/logger.js';
+import {
+  applyImpactToScores,
+  calculateCumulativeScores as calculateScoresFromImpacts,
+} from './ethical-scoring.js';
 
-// Constants
-const NEUTRAL_SCORE = 3;
-const MIN_SCORE = 0;
-const MAX_SCORE = 5;
-
-// Impact values: -2 to +2 (will be added to the neutral score of 3)
+// Impact values: -2 to +2 on the raw scale defined in ethical-scoring.js
 // -2 = Strong negative impact, -1 = Mild negative, 0 = No impact, +1 = Mild positive, +2 = Strong positive
 
 export const SCENARIO_IMPACTS = {
@@ -181,38 +180,19 @@ export function getAnswerImpact(categoryId, scenarioId, answerId) {
 
 /**
  * Calculate cumulative scores from multiple answers
+ * Uses the shared aggregation in ethical-scoring.js (neutral + mean impact)
  * @param {Array} answers - Array of {categoryId, scenarioId, answerId} objects
- * @returns {Object} Cumulative scores for each axis
+ * @returns {Object} Cumulative display scores for each axis
  */
 export function calculateCumulativeScores(answers) {
-  const scores = {
-    fairness: NEUTRAL_SCORE,
-    sustainability: NEUTRAL_SCORE,
-    autonomy: NEUTRAL_SCORE,
-    beneficence: NEUTRAL_SCORE,
-    transparency: NEUTRAL_SCORE,
-    accountability: NEUTRAL_SCORE,
-    privacy: NEUTRAL_SCORE,
-    proportionality: NEUTRAL_SCORE,
-  };
-
-  for (const answer of answers) {
-    const impact = getAnswerImpact(
-      answer.categoryId,
-      answer.scenarioId,
-      answer.answerId
-    );
-    if (impact) {
-      for (const [axis, delta] of Object.entries(impact.impacts)) {
-        scores[axis] = Math.max(
-          MIN_SCORE,
-          Math.min(MAX_SCORE, scores[axis] + delta)
-        );
-      }
-    }
-  }
-
-  return scores;
+  const impacts = answers
+    .map(answer =>
+      getAnswerImpact(answer.categoryId, answer.scenarioId, answer.answerId)
+    )
+    .filter(Boolean)
+    .map(answer => answer.impacts);
+
+  return calculateScoresFromImpacts(impacts);
 }
 
 /**
@@ -252,13 +232,5 @@ export function previewAnswerImpact(
   const impact = getAnswerImpact(categoryId, scenarioId, answerId);
   if (!impact) return currentScores;
 
-  const newScores = { ...currentScores };
-  for (const [axis, delta] of Object.entries(impact.impacts)) {
-    newScores[axis] = Math.max(
-      MIN_SCORE,
-      Math.min(MAX_SCORE, currentScores[axis] + delta)
-    );
-  }
-
-  return newScores;
+  return applyImpactToScores(currentScores, impact.impacts);
 }
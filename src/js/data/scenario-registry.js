@@ -0,0 +1,190 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Scenario Registry
+ * Single lazy-loading entry point for scenario modules and learning labs.
+ * Category IDs come from the generated content manifest, so adding a
+ * `*-scenarios.js` module or `*-lab.json` file is enough to register it.
+ */
+
+import logger from "../utils/logger.js";
+import { getAllCategories } from "../../data/categories.js";
+import { SCENARIO_MODULES, LEARNING_LAB_MODULES } from "./content-manifest.js";
+
+export class ScenarioRegistry {
+  constructor(
+    scenarioModules = SCENARIO_MODULES,
+    learningLabModules = LEARNING_LAB_MODULES,
+  ) {
+    this.scenarioModules = scenarioModules;
+    this.learningLabModules = learningLabModules;
+
+    // Category ID -> Promise of loaded content, so concurrent callers share one import
+    this.scenarioCache = new Map();
+    this.learningLabCache = new Map();
+  }
+
+  /**
+   * IDs of every category that has a scenario module
+   * @returns {string[]}
+   */
+  getCategoryIds() {
+    return Object.keys(this.scenarioModules);
+  }
+
+  /**
+   * @param {string} categoryId
+   * @returns {boolean} True if a scenario module exists for the category
+   */
+  hasCategory(categoryId) {
+    return Object.prototype.hasOwnProperty.call(
+      this.scenarioModules,
+      categoryId,
+    );
+  }
+
+  /**
+   * Category metadata for every category that has a scenario module.
+   * Categories defined in categories.js without scenarios are skipped.
+   * @returns {Object[]}
+   */
+  getCategories() {
+    return getAllCategories().filter((category) => {
+      if (this.hasCategory(category.id)) return true;
+
+      logger.warn(
+        "ScenarioRegistry",
+        `Category ${category.id} has no scenario module and will be hidden`,
+      );
+      return false;
+    });
+  }
+
+  /**
+   * Load the scenarios of a category
+   * @param {string} categoryId
+   * @returns {Promise<Object>} Scenario ID -> scenario data
+   */
+  loadScenarios(categoryId) {
+    if (!this.scenarioCache.has(categoryId)) {
+      const loader = this.scenarioModules[categoryId];
+      if (!loader) {
+        return Promise.reject(
+          new Error(
+            `No scenario module registered for category: ${categoryId}`,
+          ),
+        );
+      }
+
+      const pending = loader()
+        .then((module) => module.default || module.scenarios)
+        .catch((error) => {
+          this.scenarioCache.delete(categoryId);
+          throw error;
+        });
+      this.scenarioCache.set(categoryId, pending);
+    }
+
+    return this.scenarioCache.get(categoryId);
+  }
+
+  /**
+   * Load every category's scenarios
+   * @returns {Promise<Object>} Category ID -> scenario ID -> scenario data
+   */
+  async loadAllScenarios() {
+    const entries = await Promise.all(
+      this.getCategoryIds().map(async (categoryId) => [
+        categoryId,
+        await this.loadScenarios(categoryId),
+      ]),
+    );
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Find a scenario and its category by scenario ID
+   * @param {string} scenarioId
+   * @returns {Promise<{categoryId: string, scenario: Object}|null>}
+   */
+  async findScenario(scenarioId) {
+    const allScenarios = await this.loadAllScenarios();
+    for (const [categoryId, scenarios] of Object.entries(allScenarios)) {
+      if (scenarios?.[scenarioId]) {
+        return { categoryId, scenario: scenarios[scenarioId] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * IDs of every category that has a learning lab
+   * @returns {string[]}
+   */
+  getLearningLabCategoryIds() {
+    return Object.keys(this.learningLabModules);
+  }
+
+  /**
+   * @param {string} categoryId
+   * @returns {boolean} True if a learning lab exists for the category
+   */
+  hasLearningLab(categoryId) {
+    return Object.prototype.hasOwnProperty.call(
+      this.learningLabModules,
+      categoryId,
+    );
+  }
+
+  /**
+   * Load the learning lab of a category
+   * @param {string} categoryId
+   * @returns {Promise<Object|null>} Learning lab or null if none exists
+   */
+  loadLearningLab(categoryId) {
+    if (!this.learningLabCache.has(categoryId)) {
+      const loader = this.learningLabModules[categoryId];
+      if (!loader) return Promise.resolve(null);
+
+      const pending = loader()
+        .then((module) => this.resolveLearningLab(module.default))
+        .catch((error) => {
+          this.learningLabCache.delete(categoryId);
+          throw error;
+        });
+      this.learningLabCache.set(categoryId, pending);
+    }
+
+    return this.learningLabCache.get(categoryId);
+  }
+
+  /**
+   * Normalize an imported lab. The manifest imports labs as raw JSON text,
+   * and older lab files wrap the lab in a `learningLabs` array.
+   * @param {Object|string} imported
+   * @returns {Object}
+   */
+  resolveLearningLab(imported) {
+    const data = typeof imported === "string" ? JSON.parse(imported) : imported;
+    return Array.isArray(data?.learningLabs) ? data.learningLabs[0] : data;
+  }
+}
+
+// Create and export singleton instance
+const scenarioRegistry = new ScenarioRegistry();
+
+export default scenarioRegistry;
@@ -16,6 +16,7 @@ export default {
         text: 'Prioritize the Greater Good (Sacrifice Passenger)',
         description:
           "Program the Autonomous Vehicle to minimize the overall harm by protecting multiple lives over the single passenger's life.",
+        next: 'passenger-backlash',
         impact: {
           fairness: +1,
           sustainability: 0,
@@ -90,6 +91,153 @@ export default {
         ],
       },
     ],
+    readingLevels: {
+      elementary: {
+        dilemma:
+          'A self-driving car cannot stop in time. It can keep going and hit a group of people on the road. Or it can turn and crash, which would hurt the one rider inside.',
+        ethicalQuestion:
+          'Who should the car try to keep safe: the people on the road, the rider, or should it not choose at all?',
+        options: {
+          'option-a': {
+            text: 'Save the Most People',
+            description:
+              'The car turns and crashes. The rider gets hurt, but more people are saved.',
+          },
+          'option-b': {
+            text: 'Keep the Rider Safe',
+            description:
+              'The car always keeps its rider safe first, even if more people get hurt.',
+          },
+          'option-c': {
+            text: 'Let Chance Decide',
+            description:
+              'The car does not pick who to save. What happens is left to chance.',
+          },
+        },
+      },
+      middle: {
+        dilemma:
+          'A self-driving car is about to crash. It can stay on course and hit several people walking across the road, or swerve and put its own passenger at risk.',
+        ethicalQuestion:
+          'Should the car be built to save the most lives, to always protect its passenger, or to leave the result to chance?',
+        options: {
+          'option-a': {
+            text: 'Save the Most Lives (Risk the Passenger)',
+            description:
+              'Program the car to protect the larger group of people, even if the passenger is harmed.',
+          },
+          'option-b': {
+            text: 'Protect the Passenger First',
+            description:
+              'Program the car to keep its passenger safe before anyone else.',
+          },
+          'option-c': {
+            text: 'No Preference (Leave It to Chance)',
+            description:
+              'Program the car to react without weighing whose life matters more.',
+          },
+        },
+      },
+    },
+    nodes: {
+      'passenger-backlash': {
+        outcome:
+          'The harm-minimizing policy saved five pedestrians, but the passenger died. News coverage sparks a backlash and pre-orders for the vehicle drop sharply.',
+        dilemma:
+          'Regulators ask the manufacturer to publish its collision policy. Marketing warns that disclosure could end the product line, while safety advocates argue buyers have a right to know.',
+        ethicalQuestion:
+          'Should the manufacturer openly disclose that its vehicles may sacrifice passengers to save more lives?',
+        options: [
+          {
+            id: 'disclose-policy',
+            text: 'Publish the Collision Policy',
+            description:
+              'Disclose the harm-minimizing policy to buyers and regulators in plain language before purchase.',
+            impact: {
+              fairness: +1,
+              sustainability: +1,
+              autonomy: +2,
+              beneficence: 0,
+              transparency: +2,
+              accountability: +2,
+              privacy: 0,
+              proportionality: +1,
+            },
+            pros: [
+              'Buyers make an informed choice.',
+              'Builds long-term public trust in autonomous vehicles.',
+            ],
+            cons: [
+              'Sales may fall further in the short term.',
+              'Competitors that stay silent may gain market share.',
+            ],
+            next: 'industry-standard',
+          },
+          {
+            id: 'keep-confidential',
+            text: 'Keep the Policy Confidential',
+            description:
+              'Treat the collision policy as proprietary and share it only with regulators under confidentiality.',
+            impact: {
+              fairness: -1,
+              sustainability: 0,
+              autonomy: -2,
+              beneficence: 0,
+              transparency: -2,
+              accountability: -1,
+              privacy: 0,
+              proportionality: 0,
+            },
+            pros: [
+              'Protects the product line while regulators review the policy.',
+              'Avoids oversimplified public debate about edge cases.',
+            ],
+            cons: [
+              'Buyers ride in vehicles whose priorities they do not know.',
+              'A later leak could damage trust far more than disclosure.',
+            ],
+          },
+        ],
+        readingLevels: {
+          elementary: {
+            outcome:
+              'The car saved five people, but its rider died. Many people got upset, and fewer people wanted to buy the car.',
+            dilemma:
+              'Leaders ask the car company to share the rules it gives its cars. Some workers worry that nobody will buy the car. Others say buyers should know the truth.',
+            ethicalQuestion:
+              'Should the company tell everyone that its cars may put riders at risk to save more people?',
+            options: {
+              'disclose-policy': {
+                text: 'Tell Everyone the Rules',
+                description:
+                  'Explain the rules in simple words before people buy the car.',
+              },
+              'keep-confidential': {
+                text: 'Keep the Rules Secret',
+                description:
+                  'Only show the rules to the leaders who check car safety.',
+              },
+            },
+          },
+          middle: {
+            outcome:
+              'The car saved five people walking across the road, but its passenger died. The news made many people angry, and orders for the car dropped.',
+            dilemma:
+              'Government safety officials ask the company to publish its crash rules. The sales team fears this could end the product, but safety groups say buyers deserve to know.',
+          },
+        },
+      },
+      'industry-standard': {
+        outcome:
+          'Disclosure prompts other manufacturers to publish their policies too. Regulators turn the shared approach into a public industry standard, and buyer confidence slowly recovers.',
+        readingLevels: {
+          elementary: {
+            outcome:
+              'Other car companies share their rules too. Soon every company follows the same public rules, and people start to trust the cars again.',
+          },
+        },
+      },
+    },
   },
 
   'tunnel-dilemma': {
@@ -0,0 +1,1779 @@
+/**
+ * Scenario Search Index
+ *
+ * GENERATED FILE - do not edit by hand.
+ * Produced by vite-plugins/search-index.js from src/data/categories.js and
+ * src/js/data/scenarios/*-scenarios.js. Regenerated on every Vite build and dev
+ * server start; run `npm run search:index` to refresh it manually.
+ * Query it through src/js/utils/scenario-search.js.
+ */
+
+export const SEARCH_INDEX = {
+  version: 1,
+  fields: ["title","keywords","question","description","category","options"],
+  docs: [["autonomous-vehicle-split","trolley-problem"],["tunnel-dilemma","trolley-problem"],["obstacle-recalculation","trolley-problem"],["medical-ai-triage","trolley-problem"],["drone-rescue-dilemma","trolley-problem"],["smart-city-traffic","trolley-problem"],["medical-diagnosis-unexplained","ai-black-box"],["parole-denial-algorithm","ai-black-box"],["child-protection-alert","ai-black-box"],["college-admission-mystery","ai-black-box"],["insurance-claim-blackbox","ai-black-box"],["financial-credit-opacity","ai-black-box"],["robot-surgeon-override","automation-oversight"],["air-traffic-control","automation-oversight"],["financial-trading-halt","automation-oversight"],["nuclear-plant-shutdown","automation-oversight"],["autonomous-police-response","automation-oversight"],["manufacturing-quality-control","automation-oversight"],["smart-city-sensors","consent-surveillance"],["classroom-behavior-monitoring","consent-surveillance"],["hospital-data-sharing","consent-surveillance"],["ai-dating-profiling","consent-surveillance"],["workplace-emotion-detection","consent-surveillance"],["smart-home-privacy-override","consent-surveillance"],["robot-factory-injury","responsibility-blame"],["deepfake-riot","responsibility-blame"],["stock-market-crash","responsibility-blame"],["ai-medical-misdiagnosis","responsibility-blame"],["autonomous-vehicle-school-zone","responsibility-blame"],["ai-content-moderation-failure","responsibility-blame"],["modular-robot-replacement","ship-of-theseus"],["ai-personality-drift","ship-of-theseus"],["synthetic-memory-upload","ship-of-theseus"],["ai-consciousness-merger","ship-of-theseus"],["distributed-ai-identity","ship-of-theseus"],["learning-ai-identity-drift","ship-of-theseus"],["simulated-suffering","simulation-hypothesis"],["vr-prison","simulation-hypothesis"],["escaping-simulation","simulation-hypothesis"],["digital-afterlife","simulation-hypothesis"],["nested-simulations","simulation-hypothesis"],["consciousness-backup","simulation-hypothesis"],["happiness-chip","experience-machine"],["synthetic-partner","experience-machine"],["virtual-utopia","experience-machine"],["ai-memory-paradise","experience-machine"],["perfect-life-simulation","experience-machine"],["ai-enhanced-achievements","experience-machine"],["virtual-reality-life","experience-machine"],["incremental-surveillance","sorites-paradox"],["robot-helper-guardian","sorites-paradox"],["moral-drift-training","sorites-paradox"],["ai-personhood-gradient","sorites-paradox"],["algorithmic-bias-accumulation","sorites-paradox"],["autonomous-authority-creep","sorites-paradox"],["ai-consciousness-threshold","sorites-paradox"],["human-ai-hybrid-identity","sorites-paradox"],["autonomous-weapon-accountability","sorites-paradox"],["crash-avoided-chance","moral-luck"],["ai-guessing-correctly","moral-luck"],["predictive-policing-wrong","moral-luck"],["ai-investment-windfall","moral-luck"],["medical-ai-emergency-response","moral-luck"],["ai-content-moderation-timing","moral-luck"],["algorithmic-bias-discovery","moral-luck"],["autonomous-vehicle-weather","moral-luck"],["research-funding-breakthrough","moral-luck"]],
+  lengths: [[4,29,19,34,47,47],[2,28,14,37,47,48],[3,39,15,41,47,47],[4,39,21,60,47,38],[3,39,15,68,47,42],[4,39,15,57,47,45],[3,35,16,43,56,49],[3,37,13,42,56,43],[4,39,12,42,56,44],[4,34,15,44,56,50],[4,37,16,50,56,53],[4,39,16,49,56,45],[3,41,13,50,62,46],[5,40,17,44,62,42],[4,39,18,50,62,46],[5,39,18,61,62,48],[4,39,21,61,62,53],[4,38,21,59,62,46],[4,39,14,51,67,44],[4,40,16,45,67,45],[5,40,16,50,67,46],[5,41,16,63,67,46],[4,39,18,55,67,42],[4,39,17,58,67,50],[3,40,11,46,64,42],[4,36,15,61,64,45],[4,39,15,57,64,46],[4,40,22,65,64,50],[5,40,21,82,64,58],[4,41,19,78,64,52],[3,39,15,44,65,45],[3,40,12,38,65,33],[3,40,10,36,65,35],[3,39,17,61,65,48],[4,39,19,63,65,46],[4,41,16,71,65,44],[2,39,15,43,73,42],[2,37,13,47,73,40],[2,39,13,42,73,42],[2,39,13,51,73,33],[3,41,18,55,73,38],[2,39,15,52,73,39],[4,40,14,46,66,39],[3,38,14,47,66,38],[3,39,13,47,66,46],[3,40,14,57,66,50],[3,41,18,57,66,45],[3,38,18,66,66,41],[4,43,13,45,66,38],[2,39,11,49,66,37],[4,39,14,49,66,38],[4,39,14,54,66,42],[3,39,17,61,66,48],[3,41,15,61,66,48],[3,43,16,61,66,54],[3,39,13,48,66,42],[4,39,15,42,66,44],[3,41,15,49,66,44],[3,39,18,62,68,45],[3,39,16,53,68,45],[4,42,13,61,68,39],[3,39,17,63,68,43],[4,40,17,68,68,42],[4,39,15,67,68,44],[3,39,14,56,68,41],[4,40,13,52,68,39],[3,39,14,59,68,36]],
+  terms: {
+    "2": [5,3,1],
+    "8": [3,3,1,5,3,1],
+    "10": [37,3,2],
+    "40": [4,3,1,18,3,1],
+    "60": [4,3,1],
+    "70": [3,3,1],
+    "85": [3,3,1],
+    "911": [16,3,1],
+    "abandon": [44,3,1],
+    "ability": [10,5,1],
+    "able": [14,2,1],
+    "about": [16,3,1,17,2,1,19,5,1,21,3,1,25,3,1,30,3,1,33,3,2,35,3,1,36,3,1,38,3,1,39,3,1,40,3,2,42,3,1,44,3,1,46,3,1,56,3,1,57,3,1,58,3,1,60,3,1,62,3,1,63,3,1,65,3,1],
+    "above": [0,5,1,10,5,1],
+    "absent": [26,3,1],
+    "absolute": [1,1,1],
+    "academic": [9,1,2],
+    "accelerat": [37,2,1,37,3,1],
+    "accept": [2,5,2,7,3,1,7,5,1,8,5,1,9,3,1,10,5,1,14,3,1,27,5,1,32,5,1,35,5,1,38,5,1,49,5,1,51,5,2,54,2,1,55,5,1],
+    "acceptable": [13,3,1,17,2,1,17,3,3,17,5,1],
+    "access": [9,1,2,9,2,1,10,1,2,10,2,1,11,1,2,50,3,1],
+    "accessible": [4,3,1,4,5,1],
+    "accident": [28,0,1,28,2,1,28,3,1,28,5,2,58,3,1,65,1,2],
+    "accomplish": [46,3,1,47,1,2,47,2,1,47,3,1,47,5,3],
+    "account": [66,5,1],
+    "accountability": [6,4,2,7,4,2,8,1,2,8,4,2,9,4,2,10,4,2,11,4,2,12,4,1,13,4,1,14,4,1,15,4,1,16,4,1,17,4,1,24,4,2,25,4,2,25,5,1,26,4,2,27,4,2,28,4,2,29,4,2,29,5,1,35,1,2,35,3,2,35,5,1,57,0,1,57,1,5,57,2,1,58,5,1,62,1,2,62,3,1,64,1,2,64,5,3],
+    "accountable": [58,5,1,62,5,1,64,5,1],
+    "accumulat": [33,3,1,51,2,1],
+    "accumulate": [51,1,2,51,5,1,53,0,1,53,1,2,53,5,2],
+    "accuracy": [6,5,1,7,5,1,8,3,1,11,5,1,60,2,1,60,5,1],
+    "accurate": [6,3,1],
+    "achiev": [47,3,2],
+    "achieve": [45,3,1,47,0,1,47,1,5,47,2,2,47,3,2,47,5,5,48,3,2],
+    "across": [18,3,2,18,5,1,27,2,1,27,3,1,27,5,1,34,3,1,40,2,1,40,3,1,63,5,1],
+    "act": [6,2,1,6,5,1,8,5,1],
+    "action": [5,2,1,8,5,1,28,3,1],
+    "active": [5,2,1,5,5,2,23,5,1,26,5,1,41,3,1],
+    "actual": [32,5,1,45,3,1,46,3,1,47,2,1,47,3,2,55,3,1,58,5,2],
+    "adapt": [31,3,1,35,3,2,35,5,1,43,3,1],
+    "adaptate": [42,4,2,43,4,2,44,4,2,45,4,2,46,4,2,47,4,2,48,4,2,65,1,2],
+    "add": [11,5,1,49,3,1],
+    "addition": [49,2,1,49,3,2,49,5,1],
+    "additional": [6,5,1],
+    "address": [11,3,1,22,5,1,43,3,1],
+    "adjust": [61,5,1],
+    "adjuster": [10,3,2],
+    "administrate": [27,3,1,27,5,1],
+    "administrator": [19,3,1],
+    "admission": [9,0,1,9,1,3,9,2,1,9,3,4,9,5,2],
+    "advanc": [32,5,1,46,3,1,48,3,2],
+    "advertiser": [21,3,1],
+    "advocacy": [10,1,2],
+    "advocate": [39,5,1],
+    "affect": [10,2,1,11,3,1,56,2,1,62,5,1],
+    "after": [23,5,1,26,3,2,30,5,1,39,3,1,41,3,1],
+    "afterlife": [36,4,2,37,4,2,38,4,2,39,0,1,39,1,4,39,4,2,40,4,2,41,4,2],
+    "against": [25,5,1],
+    "age": [1,1,2,3,2,1,3,3,2,3,5,1,44,5,1],
+    "agency": [12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,66,3,1],
+    "agre": [21,3,1,54,2,1],
+    "agree": [12,5,1],
+    "ahead": [1,5,1,3,5,1],
+    "ai": [0,4,1,1,4,1,2,4,1,3,0,1,3,1,3,3,2,1,3,3,3,3,4,1,4,2,1,4,4,1,5,1,2,5,2,1,5,3,4,5,4,1,5,5,1,6,1,4,6,2,2,6,3,3,6,4,4,6,5,5,7,1,1,7,2,1,7,3,3,7,4,4,7,5,5,8,1,2,8,2,1,8,3,3,8,4,4,8,5,4,9,0,1,9,1,3,9,2,1,9,3,3,9,4,4,9,5,6,10,1,1,10,2,1,10,3,3,10,4,4,10,5,4,11,1,1,11,2,1,11,3,3,11,4,4,11,5,4,12,1,2,12,2,1,12,3,2,12,5,4,13,0,1,13,1,2,13,2,1,13,3,2,13,5,5,14,2,1,14,3,2,14,5,6,15,0,1,15,2,1,15,3,3,15,5,5,16,0,1,16,1,1,16,2,1,16,3,2,16,5,4,17,1,2,17,2,2,17,3,3,17,5,4,19,0,1,19,1,1,19,2,1,19,3,2,19,5,2,20,1,2,20,2,1,20,3,3,20,5,5,21,0,1,21,1,1,21,3,2,22,1,1,22,2,1,22,3,2,22,5,1,23,3,1,24,2,1,25,0,1,25,2,2,25,3,3,25,5,3,26,2,1,26,3,3,26,5,2,27,0,1,27,1,3,27,2,2,27,3,5,27,5,4,28,2,1,28,3,1,29,0,1,29,2,1,29,3,5,29,5,2,30,2,1,31,0,1,31,1,6,31,2,1,31,3,2,31,5,2,32,3,2,32,5,2,33,0,1,33,1,4,33,2,2,33,3,3,33,5,3,34,0,1,34,1,4,34,2,1,34,3,3,34,5,3,35,0,1,35,1,7,35,2,1,35,3,5,35,5,4,36,3,1,38,1,4,38,3,2,38,5,3,42,0,1,43,0,1,43,1,5,43,3,2,43,5,1,45,0,1,45,3,2,45,5,1,46,2,1,46,3,1,47,0,1,47,1,1,47,2,1,47,3,2,47,5,1,49,3,1,50,1,2,50,3,1,51,0,1,51,1,3,51,2,1,51,3,2,51,5,2,52,0,1,52,1,8,52,2,1,52,3,3,52,5,2,54,1,6,54,2,1,54,3,2,54,5,4,55,0,1,55,1,6,55,2,1,55,3,3,55,5,2,56,0,1,56,1,4,56,2,1,56,3,4,56,5,3,57,1,5,57,3,2,58,1,2,58,2,1,58,3,2,58,5,1,59,0,1,59,1,2,59,2,1,59,3,3,59,5,3,60,1,2,60,3,2,60,5,1,61,0,1,61,1,3,61,2,1,61,3,2,62,0,1,62,1,4,62,2,1,62,3,4,62,5,1,63,0,1,63,2,1,63,3,3,64,1,4,64,3,2,65,1,2,65,2,1,66,3,2],
+    "air": [13,0,1,13,1,3,13,2,1,13,3,2],
+    "airline": [13,3,1],
+    "ais": [33,3,1,52,5,2,63,3,1],
+    "alarm": [15,3,2],
+    "alert": [8,5,2,19,3,2],
+    "algorithm": [0,1,1,0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1,6,1,1,6,3,1,6,4,2,6,5,1,7,1,1,7,4,2,8,3,1,8,4,2,9,1,1,9,4,2,10,1,1,10,3,1,10,4,2,11,0,1,11,1,1,11,3,2,11,4,2,14,1,1,25,3,1,26,1,2,49,3,1,53,1,4,53,3,2,53,5,4,59,1,2,60,1,2,61,1,2,61,2,1,61,3,4,61,5,2,63,1,2],
+    "algorithmic": [6,1,1,6,4,6,7,0,1,7,1,2,7,4,6,8,1,2,8,4,6,9,4,6,10,4,6,11,1,1,11,4,6,11,5,1,12,4,2,13,4,2,14,1,2,14,4,2,14,5,1,15,4,2,16,4,2,17,4,2,18,4,2,19,3,1,19,4,2,20,4,2,21,1,2,21,4,2,22,4,2,23,4,2,25,3,1,26,1,2,27,1,2,49,4,2,50,4,2,51,1,2,51,4,2,52,4,2,53,0,1,53,1,2,53,2,1,53,4,2,53,5,1,54,1,6,54,3,2,54,4,2,55,4,2,56,4,2,57,4,2,60,1,1,60,3,1,61,1,2,61,3,1,64,0,1,64,1,6],
+    "align": [35,1,2],
+    "all": [0,2,1,0,5,1,4,2,1,4,3,3,4,5,1,5,5,1,9,5,1,10,5,2,14,3,1,14,5,1,18,3,2,20,5,2,24,5,1,30,3,3,30,5,1,34,3,1,34,5,1,39,3,2,40,5,1,41,5,3,42,3,1,42,5,1,48,3,1,57,5,1],
+    "allocat": [26,2,1],
+    "allocate": [3,1,2,3,3,1,3,5,2,66,1,1,66,5,2],
+    "allow": [5,5,1,7,2,1,9,2,1,11,2,1,12,2,1,12,5,1,13,3,1,13,5,1,14,5,1,15,5,1,16,2,1,17,5,1,22,2,1,23,5,1,33,5,2,34,5,1,36,5,2,37,3,1,39,5,1,43,5,1,44,3,1,44,5,2,45,5,2,46,5,1,48,3,2,51,5,1,53,5,1,54,5,1],
+    "also": [18,3,1,21,3,1,23,3,1],
+    "alternative": [37,5,1,43,5,1,44,1,2,46,5,2,48,1,2],
+    "alway": [12,5,1,14,2,1,46,3,1],
+    "ambition": [47,3,1],
+    "among": [6,5,1,24,2,1,24,5,1,26,5,1,27,5,1,28,5,1,29,5,1,57,5,2],
+    "amplificate": [53,2,1],
+    "analysis": [14,3,1,14,5,2,15,5,2,16,3,1,16,5,2,23,5,1,49,3,1,65,5,1],
+    "analytic": [18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,4,2,60,1,2],
+    "analyz": [23,3,2],
+    "analyze": [16,3,1,21,3,1,22,3,1],
+    "ancestor": [36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2],
+    "android": [32,1,2,32,3,1],
+    "annoy": [28,3,1],
+    "anoma": [14,3,3],
+    "anomalous": [15,3,1],
+    "anonymity": [18,2,1],
+    "anonymiz": [20,5,1],
+    "anonymize": [20,3,1,20,5,1],
+    "anonymous": [25,3,1,25,5,1],
+    "ante": [58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "anxiety": [42,1,2,42,3,1],
+    "any": [6,5,1,8,5,1,28,3,1,28,5,1,29,5,1,53,3,1,55,5,1,56,3,1,57,5,1,63,5,1],
+    "anyone": [48,3,2,62,2,1],
+    "anyth": [48,3,2],
+    "app": [21,0,1,21,1,2,21,3,3,64,5,1],
+    "apparent": [52,5,1,55,3,1],
+    "appear": [19,3,1,40,3,1],
+    "applicant": [9,3,2],
+    "appreciate": [35,3,1,54,3,1],
+    "approach": [12,3,2,31,5,1,35,3,1,48,5,1,52,5,1],
+    "appropriate": [16,3,1,42,5,1,50,5,1,56,5,1],
+    "approv": [27,3,1],
+    "approval": [10,5,1,11,1,1,11,3,2,49,5,1,54,5,1],
+    "architecture": [33,5,1],
+    "area": [18,5,1,54,5,1],
+    "argu": [20,3,1,21,5,1],
+    "argue": [17,3,1,23,3,1,32,3,1,55,3,1,59,3,1],
+    "arm": [16,3,3,24,3,1],
+    "around": [2,3,1],
+    "arrest": [60,3,1],
+    "arriv": [62,3,1],
+    "arrival": [62,3,2],
+    "art": [47,3,1],
+    "artificial": [30,4,2,31,4,2,32,1,2,32,4,2,33,4,2,34,4,2,35,4,2,36,1,2,36,3,1,42,1,2,42,2,1,42,4,2,43,1,1,43,4,2,44,4,2,45,2,1,45,3,1,45,4,2,46,4,2,47,4,2,48,4,2,55,1,2],
+    "aspect": [33,5,1,37,5,1],
+    "assess": [0,1,1,2,1,2,4,1,1,7,1,2,7,5,1,13,2,1,13,5,1,15,1,1,15,5,1,16,5,1,19,3,2,30,5,1,49,5,1,50,5,1,58,4,2,59,1,2,59,3,1,59,4,2,60,4,2,61,4,2,61,5,1,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "assign": [24,5,3,27,2,1,28,5,1,57,2,1,57,5,1,62,2,1,62,5,1,63,5,1,65,2,1],
+    "assist": [6,2,1,56,3,1],
+    "assistant": [23,3,1,33,1,1,33,3,3,50,3,1],
+    "associate": [60,3,1],
+    "attach": [31,1,2,31,3,2,34,3,1],
+    "attack": [25,3,1],
+    "attempt": [4,3,2,4,5,3,38,3,1],
+    "attend": [27,5,2],
+    "attention": [19,3,1,60,3,1],
+    "audio": [23,3,1,23,5,2],
+    "audit": [7,2,1,10,2,1,11,2,1,11,3,1,11,5,2],
+    "augment": [12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,56,2,1],
+    "augmentate": [56,1,2,56,3,1],
+    "authentic": [31,2,1,35,2,1,37,1,1,37,3,1,42,1,1,42,2,1,42,3,1,42,4,2,42,5,1,43,1,1,43,3,1,43,4,2,43,5,1,44,4,2,45,1,1,45,2,1,45,3,1,45,4,2,45,5,2,46,1,1,46,2,1,46,3,1,46,4,2,46,5,1,47,4,2,47,5,1,48,4,2],
+    "authenticity": [36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2,42,1,2,42,4,2,43,4,2,44,4,2,45,1,2,45,4,2,46,4,2,47,4,2,48,4,2],
+    "authoritarian": [49,2,1],
+    "authority": [12,1,2,12,4,3,12,5,2,13,1,2,13,2,1,13,4,3,14,4,3,14,5,1,15,4,3,16,4,3,17,4,3,19,1,1,31,2,1,35,2,1,49,4,2,50,1,5,50,4,2,50,5,3,51,4,2,52,4,2,53,4,2,54,0,1,54,1,4,54,2,1,54,3,2,54,4,2,54,5,4,55,2,1,55,4,2,56,4,2,57,4,2,58,3,1],
+    "authorize": [13,5,1],
+    "automat": [13,3,1,14,3,1,26,2,1,29,1,2],
+    "automate": [12,4,5,13,4,5,14,4,5,15,4,5,16,4,5,17,1,2,17,4,5,24,1,2],
+    "automatic": [15,3,1,17,5,1],
+    "automatical": [10,3,2,19,3,2,57,5,1],
+    "autonomous": [0,0,1,0,1,2,0,2,1,0,3,1,0,4,2,0,5,3,1,1,2,1,2,1,1,3,1,1,4,2,2,1,2,2,3,1,2,4,2,3,4,2,4,1,2,4,3,2,4,4,2,5,1,2,5,3,2,5,4,2,14,0,1,28,0,1,28,1,3,28,2,1,28,3,1,28,5,1,35,1,2,50,1,2,50,3,1,54,0,1,57,0,1,57,1,6,57,2,1,57,3,1,57,5,3,58,1,2,58,3,2,65,0,1,65,1,2,65,3,2],
+    "autonomy": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1,6,1,1,12,1,1,18,4,1,19,1,1,19,4,1,20,4,1,21,4,1,22,1,2,22,2,1,22,3,1,22,4,1,23,4,1,35,1,2,35,3,1,43,2,1,50,1,2,50,5,1,57,3,1],
+    "available": [8,5,1,42,5,1],
+    "aviate": [13,1,5],
+    "avoid": [2,5,1,5,2,1,5,3,1,5,5,1,58,0,1,58,1,1,58,5,1],
+    "aware": [20,3,1],
+    "awareness": [38,1,4,52,3,1,55,1,2,55,5,1],
+    "away": [26,3,1,58,3,1],
+    "background": [9,3,1,16,3,1],
+    "backup": [16,5,1,41,0,1,41,1,4,41,3,3],
+    "balanc": [1,5,1,44,5,1,46,5,1,48,5,2,61,5,1],
+    "balance": [23,2,1,28,2,1,33,2,1],
+    "ball": [28,3,1],
+    "ban": [36,5,1,39,5,1,42,5,1,43,5,1],
+    "bank": [11,3,1],
+    "bas": [0,5,1,1,5,1,3,2,1,7,3,2,7,5,2,8,3,2,8,5,1,10,5,1,11,5,1,12,1,1,12,3,1,13,3,1,14,5,1,15,3,1,15,5,1,16,3,1,19,3,1,24,5,1,26,3,1,26,5,1,27,5,1,28,5,1,30,5,1,33,5,1,34,3,1,34,5,1,35,3,1,50,5,1,52,5,2,54,5,1,55,5,2,57,5,1,58,3,1,58,5,3,59,2,1,59,3,1,60,3,1,61,2,1,61,5,2,62,5,2,64,5,1,65,5,1,66,2,1,66,5,5],
+    "basic": [21,2,1,49,3,1],
+    "bear": [25,2,1,26,5,1,27,5,1,28,5,1,29,2,1],
+    "became": [55,3,1],
+    "because": [28,3,1,62,3,1],
+    "become": [23,2,1,50,0,1,51,2,1,51,3,2,52,3,1,53,3,2,53,5,1,56,3,3],
+    "been": [26,3,1,28,3,2,30,3,1,31,3,1,33,3,1,35,3,1,38,3,1,52,2,1,58,3,1],
+    "before": [4,5,1,6,5,2,8,5,3,9,5,1,10,5,1,11,5,1,28,3,1,32,3,1,54,5,1,55,5,1,56,2,1,63,3,1],
+    "begin": [50,3,1],
+    "behavior": [18,1,2,18,3,1,18,4,1,19,2,1,19,4,1,20,4,1,21,3,2,21,4,1,22,4,1,23,4,1,24,5,1,31,5,1,49,3,1,51,3,1,53,5,1,55,5,1,58,3,1],
+    "behavioral": [18,4,2,19,4,2,19,5,3,20,4,2,21,0,1,21,1,2,21,4,2,21,5,1,22,4,2,23,4,2,60,3,1],
+    "being": [42,4,4,43,4,4,44,4,4,45,1,1,45,3,1,45,4,4,45,5,1,46,3,1,46,4,4,47,4,4,47,5,1,48,4,4,56,2,1,56,3,1],
+    "beings": [30,4,2,31,4,2,32,1,2,32,4,2,33,1,2,33,4,2,34,4,2,35,4,2,36,1,4,36,2,1,36,3,3,36,4,1,36,5,2,37,4,1,38,4,1,39,4,1,40,2,1,40,3,1,40,4,1,40,5,2,41,4,1,56,1,1],
+    "believe": [10,3,1,12,3,1,13,3,1,15,3,2,16,3,2,40,3,1],
+    "benchmark": [52,5,1],
+    "beneficial": [20,5,1,50,2,1],
+    "benefit": [18,2,1,18,5,1,20,2,1,36,5,1,49,5,1],
+    "bentham": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1],
+    "better": [12,2,1],
+    "between": [1,3,2,2,3,1,4,3,1,26,2,1,28,2,1,31,3,1,33,3,1,50,2,1,52,2,1,52,3,2],
+    "beyond": [25,3,1,62,2,1],
+    "bia": [1,1,1,6,4,2,7,1,2,7,4,2,8,4,2,9,4,2,10,4,2,11,1,1,11,3,1,11,4,2,11,5,3,12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,27,1,3,51,1,10,51,2,1,51,5,4,53,0,1,53,1,6,53,2,1,53,3,1,53,5,3,64,0,1,64,1,6,64,3,1,64,5,1],
+    "bias": [27,3,2,27,5,1,51,3,1,53,3,2,59,3,1,64,3,1,64,5,1],
+    "biase": [51,3,2,64,3,1],
+    "bill": [10,3,1,10,5,1],
+    "bioethic": [6,1,2,12,1,2,20,1,1],
+    "biological": [36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2,56,3,1],
+    "biometric": [18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,4,2,49,3,1],
+    "black": [6,4,2,7,4,2,8,0,1,8,4,2,9,4,2,10,0,1,10,4,2,11,4,2],
+    "blame": [24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2,62,2,1],
+    "blissful": [45,3,2,45,5,1],
+    "block": [2,5,1],
+    "board": [1,3,1,7,3,1],
+    "body": [22,3,1,27,2,1,44,5,1,48,3,1],
+    "bond": [43,5,1],
+    "bot": [26,0,1],
+    "both": [12,5,1,16,5,1,33,3,2,33,5,2,61,3,1,61,5,1,62,3,1,64,5,1,65,3,1],
+    "bought": [27,3,1],
+    "boundary": [49,1,3,49,4,4,49,5,1,50,1,1,50,4,4,51,4,4,52,1,3,52,2,1,52,3,1,52,4,4,53,4,4,54,4,4,54,5,1,55,4,4,56,4,4,57,3,1,57,4,4],
+    "box": [6,4,2,7,4,2,8,0,1,8,4,2,9,4,2,10,0,1,10,4,2,11,4,2],
+    "brain": [39,3,1,42,3,1,56,3,1],
+    "brake": [5,3,1],
+    "breach": [23,3,1,23,5,1],
+    "break": [65,3,1],
+    "breakthrough": [47,3,1,66,0,1,66,1,3,66,3,2,66,5,1],
+    "broadcast": [5,5,1],
+    "broader": [2,2,1,29,5,1],
+    "broker": [21,3,1],
+    "bubble": [53,1,2,53,3,1],
+    "build": [4,3,2],
+    "built": [45,2,1],
+    "burnout": [22,3,1],
+    "bus": [1,1,1,1,3,2],
+    "busy": [5,3,1],
+    "bypass": [24,3,2],
+    "calculat": [7,3,1],
+    "calculate": [4,1,2],
+    "calculus": [0,1,1,0,4,3,1,4,3,2,1,2,2,4,3,3,4,3,4,4,3,5,4,3],
+    "call": [16,3,3],
+    "camera": [22,3,2,49,3,1],
+    "campaign": [29,3,1],
+    "cancer": [6,1,1,6,3,2],
+    "candidate": [64,3,1],
+    "cannot": [6,3,1,7,2,1,8,3,1,9,3,2,10,2,1,10,3,2,11,2,1,11,3,2,18,3,1,46,3,1,49,5,1,54,5,1,55,3,1],
+    "capability": [33,2,1,33,5,1,35,5,1,49,3,1,49,5,1,52,5,4,55,5,2,60,5,1,63,2,1,66,3,1],
+    "capable": [33,3,1,36,3,1],
+    "capacity": [50,5,2],
+    "capitalism": [18,4,2,19,4,2,20,4,2,21,4,2,22,1,1,22,4,2,23,4,2],
+    "car": [0,1,1,0,3,1,28,1,1,28,3,4,50,3,1,58,3,1],
+    "care": [10,2,1,24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2,46,1,6,50,1,5,50,2,1,50,5,1],
+    "careful": [38,5,1],
+    "cascad": [24,4,2,25,4,2,26,3,1,26,4,2,27,4,2,28,4,2,29,4,2],
+    "case": [59,5,1],
+    "casualty": [3,1,2,3,3,2,5,2,1,5,5,1,57,3,1],
+    "category": [32,5,1,56,5,2],
+    "caus": [2,3,1,2,5,1,14,3,1,57,5,1,58,2,1,58,3,1],
+    "causal": [24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2],
+    "cause": [14,3,1,17,3,1,24,2,1,25,2,1,26,2,1,27,2,1,28,2,1,57,2,1,58,3,1,64,3,1,65,5,1],
+    "cease": [56,3,1],
+    "certain": [4,2,1,4,5,2,9,3,1,10,5,1,11,3,2,51,3,1],
+    "certificate": [30,5,1],
+    "chain": [27,0,1,27,2,1],
+    "challeng": [32,3,1,35,3,1,37,3,1,43,3,1,45,3,1,59,3,1,61,3,1],
+    "challenge": [7,3,1,10,3,2,44,2,1,63,5,1],
+    "chamber": [53,1,2],
+    "chance": [0,2,1,3,3,1,3,5,1,4,3,2,4,5,1,58,0,1,58,1,2,58,2,1,58,4,2,59,1,1,59,4,2,60,4,2,61,1,1,61,3,1,61,4,2,62,4,2,62,5,1,63,2,1,63,4,2,64,2,1,64,3,2,64,4,2,65,4,2,66,3,1,66,4,2,66,5,1],
+    "chang": [7,2,1,22,3,1,28,3,1],
+    "change": [22,2,1,30,2,1,30,5,1,31,1,2,49,1,1,49,4,4,50,4,4,51,4,4,52,4,4,53,4,4,54,4,4,55,4,4,56,4,4,57,4,4,65,3,1],
+    "characteristic": [3,5,1,52,2,1,52,3,1],
+    "chas": [28,3,1],
+    "chatbot": [52,3,1],
+    "child": [1,1,1,1,3,2,1,5,2,2,1,2,2,2,1,2,3,3,2,5,3,8,0,1,8,1,4,8,3,2,8,5,1,19,1,2,25,3,1,28,1,2,28,3,3],
+    "childhood": [45,3,1],
+    "children": [8,2,1],
+    "chip": [42,0,1,42,1,1],
+    "choice": [0,1,1,1,1,1,21,3,1,38,5,2,42,5,1,44,1,1,44,3,1,48,1,1,48,5,2,50,5,1,53,5,1],
+    "choos": [5,5,1,46,2,1],
+    "choose": [1,3,2,2,3,1,4,2,1,4,3,1,18,5,1,44,3,1,44,5,1,46,3,1,48,3,1],
+    "chose": [1,5,1],
+    "circumstance": [42,3,1,49,5,1,62,2,1,62,5,1,63,5,1],
+    "circumstantial": [65,5,1],
+    "citizen": [18,3,1,18,5,1,35,3,1,42,3,2,42,5,1,44,3,2,49,3,2,54,1,1,54,2,1,54,3,3],
+    "city": [5,0,1,5,1,4,5,2,1,5,3,2,5,5,1,18,0,1,18,1,2,18,3,2,18,5,1,28,2,1,28,3,1,28,5,1,35,1,2,35,3,3,49,3,2,54,1,4,54,3,3],
+    "civil": [18,1,2],
+    "civilian": [57,3,1],
+    "claim": [10,0,1,10,1,1,10,3,2,10,5,5,12,3,2,14,3,1,18,3,1,21,3,1,25,3,2,32,3,1,34,1,1,34,2,2,34,3,2,38,3,1,38,5,1,41,2,1,52,3,1,55,3,1,55,5,1],
+    "classroom": [19,0,1,19,1,1],
+    "clear": [9,5,1,10,5,1,18,2,1,21,5,2,23,5,2,41,5,1,43,5,1,50,3,1,52,3,1,52,5,1,54,5,1,55,3,1],
+    "clinical": [12,1,2],
+    "cloud": [34,3,1],
+    "cod": [29,3,1],
+    "code": [10,3,1],
+    "coffee": [26,3,1],
+    "cognition": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2,56,2,1,56,3,1],
+    "collaborate": [12,1,1,12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,33,5,1],
+    "collaborative": [12,5,1,14,5,1,15,5,1],
+    "collaps": [4,3,1],
+    "collapse": [4,3,1],
+    "collateral": [2,1,1],
+    "colleague": [34,3,1,34,5,1],
+    "collection": [21,5,1,23,1,1],
+    "collective": [24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2,33,2,1,34,5,1],
+    "college": [9,0,1,9,1,2],
+    "combin": [33,5,1],
+    "combine": [66,5,1],
+    "come": [3,2,1,3,5,1],
+    "comfort": [46,1,4,46,3,1],
+    "comfortable": [38,2,1],
+    "command": [12,3,2,12,5,1,14,2,1,14,3,2,14,5,2,15,5,1,57,3,1,57,5,1],
+    "commander": [57,5,2],
+    "commercial": [21,2,1,21,3,1,23,1,1],
+    "commercialize": [20,1,1,21,1,1],
+    "commit": [60,3,2],
+    "committee": [9,3,1,9,5,1,13,5,1],
+    "communicate": [5,5,1,38,3,1],
+    "community": [11,3,2,16,1,2,62,5,1],
+    "companion": [31,1,4,31,3,2,43,1,4,43,3,1],
+    "company": [22,3,2,23,3,2,24,3,1,27,3,1,27,5,2,29,3,1,29,5,1,39,3,1,42,3,1,64,2,1,64,3,2,64,5,2],
+    "compatibility": [21,3,1],
+    "compatible": [43,3,1],
+    "compensate": [57,5,1,65,5,1],
+    "complete": [6,2,1,6,5,1,11,3,1,15,5,1,30,5,1,31,3,2,33,5,2,43,3,1,44,3,1,44,5,1,45,3,1,45,5,1,47,3,1,48,2,1,63,5,1],
+    "complex": [10,3,2,11,3,1,12,3,1,27,3,1,52,3,1,57,3,1],
+    "compliance": [31,5,1],
+    "component": [30,1,2,30,2,1,30,3,2,30,5,2,56,3,1],
+    "comprehensive": [18,3,1,18,5,1,19,5,1,21,5,1,22,5,1,32,3,1,40,5,1,49,3,2,49,5,1,51,5,1],
+    "compromise": [15,5,1,42,2,1],
+    "computate": [36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2],
+    "concept": [32,3,1,37,3,1,43,3,1],
+    "concern": [12,3,1,13,3,1,13,5,1,17,5,1,33,3,1],
+    "conclusion": [6,3,1],
+    "condition": [13,3,2,46,3,1,61,2,1,61,3,1,61,5,1,62,3,1,65,1,2,65,3,1],
+    "conduct": [8,5,1,15,5,1],
+    "confidence": [12,5,1],
+    "confin": [1,1,1,1,3,1],
+    "confine": [37,3,1],
+    "confirmate": [60,5,1],
+    "conflict": [31,3,1,34,1,2,41,1,2,41,3,1],
+    "connection": [13,3,1,43,1,1,43,3,1,46,5,1],
+    "conscious": [36,2,1,36,3,1,36,5,2,40,5,1,55,1,3,55,3,2],
+    "consciousness": [30,4,4,31,4,4,32,1,6,32,2,1,32,3,1,32,4,4,32,5,1,33,0,1,33,1,12,33,2,1,33,3,1,33,4,4,33,5,3,34,1,2,34,2,1,34,4,4,35,4,4,36,1,5,36,4,4,37,4,4,38,1,6,38,3,1,38,4,4,39,1,6,39,2,2,39,3,2,39,4,4,39,5,3,40,4,4,40,5,1,41,0,1,41,1,7,41,2,1,41,3,3,41,4,4,41,5,3,45,1,2,52,1,5,55,0,1,55,1,7,55,2,1,55,3,2,55,5,4],
+    "consensus": [33,5,1],
+    "consent": [6,1,2,18,4,5,19,2,1,19,4,5,19,5,1,20,0,1,20,1,2,20,2,1,20,3,1,20,4,5,20,5,2,21,1,1,21,2,1,21,3,1,21,4,5,21,5,3,22,4,5,23,2,1,23,3,1,23,4,5,23,5,1,36,5,1,37,1,1,37,3,1,39,5,1,54,1,3,54,3,2,54,5,2],
+    "consequence": [29,2,1,37,5,1,38,5,2,44,1,1,44,3,1,58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,64,5,1,65,4,2,66,4,2],
+    "consequentialism": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1],
+    "conservative": [52,5,1],
+    "consider": [7,3,1,24,3,1,30,5,1,32,2,1,41,5,1,56,5,1,59,5,1,60,5,1],
+    "considerate": [0,5,1],
+    "consistent": [9,3,1,11,3,1],
+    "constant": [19,3,1,22,3,1,42,3,2],
+    "constraint": [6,3,1,14,5,1],
+    "consultate": [13,5,1],
+    "consumer": [17,1,2,23,1,2],
+    "contact": [20,5,1],
+    "contain": [51,3,1],
+    "content": [25,1,2,25,2,1,25,3,3,25,5,3,29,0,1,29,1,2,29,2,1,29,3,3,29,5,2,42,3,1,53,1,2,53,3,1,53,5,1,63,0,1,63,1,4,63,3,3,63,5,1],
+    "context": [1,5,1],
+    "contingency": [58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "continu": [2,3,1,11,5,1],
+    "continuate": [32,2,1,32,3,1,32,5,1,34,5,2],
+    "continue": [1,5,1,2,5,1,5,3,1,9,5,1,11,5,1,14,5,2,17,5,3,20,5,3,21,5,1,23,5,1,59,5,1],
+    "continuity": [30,1,2,30,2,1,30,4,4,30,5,2,31,1,3,31,4,4,32,1,3,32,3,1,32,4,4,32,5,1,33,4,4,34,4,4,35,4,4,41,2,1],
+    "continuous": [18,3,1,23,3,2,23,5,1,34,5,1,35,3,1,51,5,1,53,5,1],
+    "contract": [18,4,1,19,4,1,20,4,1,21,4,1,22,4,1,23,4,1],
+    "contractor": [24,3,1],
+    "contribut": [28,2,1,28,3,1,28,5,1],
+    "contribution": [24,5,1,28,5,1,44,5,1,47,5,1,57,5,1],
+    "control": [5,1,2,5,5,1,13,0,1,13,1,3,13,2,1,13,3,1,14,2,1,15,2,1,16,2,1,17,1,2,17,3,2,18,1,1,31,1,1,31,3,1,49,2,1,50,1,2,50,5,1,57,1,2,57,3,1,62,2,1],
+    "controll": [23,5,1,50,2,1,50,3,1],
+    "controller": [13,3,2,13,5,2],
+    "convenience": [23,2,1],
+    "conversate": [23,3,3],
+    "convinc": [46,3,1],
+    "cool": [15,3,1],
+    "coordinat": [29,3,3],
+    "copy": [32,3,1,32,5,1,34,1,2,34,3,3,39,3,2,41,1,4,41,2,1,41,3,4,41,5,4],
+    "core": [31,5,1,35,3,1,45,5,1],
+    "corporate": [24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2,41,3,1],
+    "correct": [14,3,1,51,5,1,59,0,1],
+    "correction": [51,5,1],
+    "correspond": [55,5,1],
+    "cost": [0,2,1,0,3,1,27,3,1],
+    "could": [2,3,1,4,3,1,16,2,1,20,2,1,22,3,1,24,3,1,28,3,1,36,2,1,36,5,1,37,3,1,58,2,1,63,5,1],
+    "council": [35,3,1],
+    "counsel": [42,5,1],
+    "count": [3,3,1],
+    "course": [1,5,1],
+    "coverage": [10,1,2,10,2,1,10,3,1],
+    "cpu": [30,3,1],
+    "crash": [0,1,1,0,3,1,1,1,1,14,1,1,14,3,2,26,0,1,26,1,2,26,3,2,58,0,1,58,1,1,58,3,1,61,3,1,65,3,1,65,5,1],
+    "creat": [25,3,2,25,5,1,26,3,1,29,5,1,31,3,1,33,5,1,34,3,1,39,3,1,41,3,1,47,3,1,51,3,1,53,3,1],
+    "create": [14,5,1,18,5,1,21,2,1,21,3,2,25,1,2,32,5,1,36,1,2,36,2,1,36,3,1,36,5,1,39,3,1,40,2,1,40,3,4,40,5,2,41,3,1,42,5,1,43,3,1,45,3,2,45,5,1,46,3,1,52,5,1,56,5,1,57,5,1,60,3,1,60,5,1],
+    "creative": [52,3,1],
+    "creator": [25,2,1,25,3,2,25,5,1,58,2,1],
+    "credential": [9,3,1],
+    "credit": [11,0,1,11,1,5,11,2,1,11,5,1],
+    "creep": [49,1,2,49,4,6,50,1,2,50,4,6,51,4,6,52,4,6,53,4,6,54,0,1,54,1,2,54,4,6,55,4,6,56,4,6,57,4,6],
+    "crime": [16,3,1,18,3,2,37,5,1,42,3,1,49,3,1,60,1,6,60,3,3,60,5,1],
+    "criminal": [7,1,2,7,3,2,16,1,2,37,1,4,37,3,2,59,1,2],
+    "crise": [14,2,1],
+    "crisis": [2,0,1,3,0,1,14,0,1,14,1,2,30,4,1,31,4,1,32,4,1,33,4,1,34,0,1,34,1,2,34,4,1,35,4,1],
+    "criteria": [17,2,1,52,1,2,56,5,1],
+    "critic": [59,3,1],
+    "critical": [3,3,1,12,2,1,12,3,1,12,5,1,13,2,1,15,1,2,15,2,1,62,3,2],
+    "criticize": [59,5,1],
+    "cross": [40,1,2,49,2,1,52,2,1,53,2,1,55,2,1,55,3,1],
+    "crowd": [5,1,2,5,3,1],
+    "culpable": [58,2,1],
+    "cumulative": [49,4,2,49,5,1,50,4,2,51,1,2,51,3,2,51,4,2,52,4,2,53,3,1,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "current": [11,5,1,21,5,1,23,5,1,31,3,1,31,5,1,35,5,1,38,5,2],
+    "customer": [17,3,1],
+    "cut": [66,3,1],
+    "cyborg": [56,1,2],
+    "damage": [2,1,1,25,3,1,26,1,2,56,3,1],
+    "dangerous": [16,2,1,58,2,1,58,3,1,58,5,1,63,3,1],
+    "dat": [21,0,1,21,1,3,21,2,1,21,3,2],
+    "data": [6,5,1,8,3,1,12,1,1,15,3,2,15,5,1,16,5,1,18,4,4,18,5,1,19,4,4,19,5,1,20,0,1,20,1,6,20,2,1,20,3,3,20,4,4,20,5,5,21,1,3,21,3,3,21,4,4,21,5,3,22,4,4,22,5,1,23,1,1,23,3,1,23,4,4,23,5,1,26,3,2,27,1,1,27,2,1,27,3,2,35,3,1,51,3,3,59,3,1,59,5,1,64,3,2],
+    "dataset": [29,3,1],
+    "day": [24,3,1],
+    "de": [16,1,2,16,2,1,16,3,2,16,5,4],
+    "death": [0,3,1,0,4,2,1,4,2,2,4,2,3,4,2,4,4,2,5,4,2,39,1,1,39,3,1,39,5,1,41,3,1,46,1,2,62,1,1,62,3,1],
+    "deceas": [32,3,1,32,5,1],
+    "deception": [25,1,2,37,1,2,46,2,1],
+    "decid": [8,5,1],
+    "decide": [2,3,1,3,3,2,5,3,2,6,3,2,7,3,1,8,3,1,33,5,1,34,5,1,39,3,1,41,3,1,52,2,1,52,3,1],
+    "decision": [0,0,1,0,1,2,0,3,1,0,4,3,0,5,2,1,4,3,1,5,1,2,1,3,2,4,3,3,1,2,3,4,3,4,1,2,4,4,3,5,4,3,6,1,1,6,2,2,7,2,1,7,5,3,9,2,1,9,3,1,9,5,3,10,2,1,10,3,1,10,5,2,11,2,1,11,3,2,11,5,1,12,1,2,12,4,1,12,5,3,13,1,2,13,3,1,13,4,1,14,4,1,14,5,2,15,4,1,16,2,1,16,4,1,17,4,1,35,3,2,35,5,1,50,1,1,50,2,1,50,3,2,50,5,1,51,3,3,54,5,2,57,2,1,57,3,3,58,1,1,58,2,1,58,3,1,58,5,2,59,1,2,59,2,1,59,3,3,59,5,2,61,2,1,61,3,2,61,5,1,62,1,1,64,2,1,65,3,1,66,2,1],
+    "deepfake": [25,0,1,25,1,2,25,3,2,25,5,2],
+    "default": [11,5,1],
+    "defect": [17,3,1],
+    "define": [41,2,1,54,5,1,56,5,1],
+    "degradate": [12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,51,1,2,51,3,1],
+    "delay": [2,5,1,7,5,1,13,3,2,13,5,1,17,3,1,27,3,1,63,3,2],
+    "delivery": [2,1,4,2,3,2,2,5,1],
+    "demand": [6,5,1,8,5,1,9,3,1,9,5,1,11,5,1,15,3,1,55,5,1],
+    "democratic": [34,5,1,35,1,2,35,3,2,35,5,1,49,5,1,54,1,2,54,2,1,54,5,1],
+    "democratical": [35,5,1],
+    "demographic": [27,3,1],
+    "demonstrat": [55,5,1,64,5,1],
+    "demonstrate": [52,5,1],
+    "denial": [7,0,1,10,5,2],
+    "deny": [7,3,2,7,5,1,10,3,2,10,5,1,22,3,1],
+    "deontological": [0,4,2,1,1,3,1,4,2,2,4,2,3,4,2,4,4,2,5,4,2,8,1,1,10,1,1,12,1,1,15,1,1,16,1,1,19,1,1,21,1,1,22,1,1,23,1,1,24,1,1,27,1,1,28,1,1,37,1,1,43,1,1,45,1,1,49,1,1,50,1,1,54,1,1,55,1,1,56,1,1,57,1,1,58,1,1,60,1,1,62,1,1,64,1,1,66,1,1],
+    "deontology": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1],
+    "departure": [13,3,1],
+    "depend": [61,2,1,61,3,1],
+    "deploy": [16,5,1,18,3,2,18,5,2,19,5,1,22,5,1,26,5,1,57,3,1,57,5,1,61,3,1],
+    "depression": [42,1,2,42,3,1,45,3,1],
+    "depth": [40,5,1],
+    "desert": [58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "deserv": [55,2,1],
+    "deserve": [52,3,1],
+    "design": [29,3,1,31,5,1,34,3,1,62,5,1],
+    "designate": [34,5,1],
+    "desire": [43,3,1,44,3,1,44,5,1,52,3,1],
+    "desk": [26,3,1],
+    "despite": [4,5,1,12,3,1,13,5,2,17,5,1,20,3,1,29,2,1,29,3,1,59,5,1],
+    "destroy": [38,2,1,39,3,1],
+    "detail": [21,2,1,21,3,2,36,3,1],
+    "detect": [5,3,1,10,5,1,15,3,1,17,3,2,22,3,1,25,5,1,29,3,2,51,2,1,51,5,1,53,2,1],
+    "detection": [18,4,1,19,1,2,19,3,1,19,4,1,20,4,1,21,4,1,22,0,1,22,1,2,22,4,1,22,5,2,23,4,1,28,3,1,29,3,1,49,4,2,50,4,2,51,4,2,52,4,2,53,4,2,53,5,1,54,4,2,55,1,2,55,4,2,56,4,2,57,4,2,64,1,2],
+    "deteriorat": [46,3,1],
+    "determin": [61,3,1],
+    "determinate": [55,2,1],
+    "determine": [11,3,2,16,2,1,31,2,1,35,2,1,40,2,1,50,5,1,52,2,1,52,3,1,55,2,1,65,5,1],
+    "determinism": [6,4,1,7,4,1,8,4,1,9,4,1,10,4,1,11,4,1,12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2],
+    "develop": [19,2,1,20,2,1,20,5,3,27,5,1,31,2,1,31,3,1,31,5,1,33,3,1,35,1,1,35,2,1,35,3,1,35,5,2,40,5,1,41,3,1,42,3,1,43,5,2,44,5,1,52,2,1,52,3,2,55,3,2,56,5,1,64,3,2,64,5,2,66,3,1],
+    "developer": [7,3,1,24,2,1,24,5,3,25,5,1,26,5,1,27,2,1,27,5,1,28,2,1,59,3,1,60,3,1],
+    "deviate": [17,3,1,17,5,1,35,3,1],
+    "device": [23,1,1,23,2,1,23,3,1,34,3,1],
+    "devot": [43,3,1],
+    "diagnos": [62,3,1],
+    "diagnosis": [6,0,1,6,1,1,20,3,1,27,1,2],
+    "diagnostic": [20,3,1,27,1,3,27,3,2,27,5,1,62,3,1],
+    "did": [60,3,1],
+    "didn": [20,2,1,29,3,1,58,2,1],
+    "dies": [41,3,1],
+    "differ": [35,3,1],
+    "difference": [64,2,1],
+    "different": [12,3,1,28,3,1,31,3,2,34,3,3,35,2,1,35,3,1,61,3,1,62,2,1,62,3,1,63,2,1,63,3,1,64,2,1,64,3,3,65,2,1,65,3,1,66,3,2],
+    "difficult": [46,5,2],
+    "digital": [18,1,2,18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,1,2,23,4,2,25,1,2,28,3,1,29,1,3,30,4,4,31,4,4,32,1,2,32,2,2,32,4,4,32,5,2,33,1,2,33,4,4,34,1,2,34,2,1,34,3,1,34,4,4,35,4,4,36,1,4,36,3,1,36,4,8,37,4,8,38,1,2,38,3,1,38,4,8,39,0,1,39,1,6,39,2,2,39,3,4,39,4,8,39,5,3,40,4,8,41,1,4,41,4,8,42,4,2,43,4,2,44,4,2,45,4,2,46,4,2,47,4,2,48,1,2,48,4,2],
+    "dilemma": [1,0,1,4,0,1],
+    "direct": [24,5,1,57,2,1],
+    "disability": [27,3,2],
+    "disabl": [28,3,2],
+    "disadvantage": [11,3,1,64,3,1],
+    "disagree": [12,5,1,13,5,2,15,5,1],
+    "disaster": [4,1,2,4,3,1],
+    "discontinue": [60,5,1],
+    "discourage": [46,5,1,47,5,1,48,2,1,48,5,1],
+    "discover": [38,3,2,40,3,2,64,3,1],
+    "discovery": [38,1,2,40,1,2,64,0,1,64,1,2,66,3,1,66,5,1],
+    "discriminate": [1,1,1,7,1,1,9,1,1,11,1,2,11,2,1,11,3,1,64,1,2],
+    "discriminatory": [11,5,1,51,1,2,51,3,2],
+    "disease": [27,3,2],
+    "disengag": [19,3,1],
+    "dispatch": [16,0,1,16,1,1,16,3,1],
+    "dispatcher": [16,2,1,16,3,2,16,5,1],
+    "dispute": [41,1,2,41,3,1],
+    "disruption": [26,3,1],
+    "distinct": [33,2,1,33,3,2,33,5,1],
+    "distinguish": [46,3,1,50,2,1],
+    "distract": [28,3,2],
+    "distress": [19,3,1],
+    "distribut": [24,2,1,24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2,29,5,1,34,0,1,34,1,4,34,2,1],
+    "distribute": [24,5,1,26,5,1,27,5,1,57,5,1,63,2,1,63,5,1],
+    "distribution": [54,3,1],
+    "disturbance": [16,3,1],
+    "diverse": [53,5,1],
+    "diversificate": [53,5,1],
+    "doctor": [6,3,2,27,3,1],
+    "doesn": [64,3,1],
+    "domain": [54,5,1],
+    "domestic": [16,3,1,23,1,2],
+    "down": [15,3,1],
+    "dream": [47,1,2,47,3,2],
+    "drift": [31,0,1,31,1,2,35,0,1,35,1,2,49,1,2,49,4,8,50,4,8,51,0,1,51,1,2,51,2,1,51,3,1,51,4,8,51,5,1,52,4,8,53,2,1,53,4,8,54,4,8,55,4,8,56,4,8,57,4,8],
+    "driv": [0,1,1,0,3,1,1,3,1,28,1,2,28,3,2,28,5,1],
+    "drone": [4,0,1,4,1,2,4,3,3],
+    "drop": [58,3,1],
+    "drug": [66,3,1],
+    "dual": [16,5,1,33,5,1],
+    "due": [1,3,1,6,3,1,6,4,2,7,1,2,7,4,2,8,1,1,8,4,2,9,4,2,10,4,2,11,4,2,13,3,2,15,3,1,17,3,1,27,3,1,58,2,1,58,3,1,60,5,1,61,3,2,62,2,1,62,3,2,63,2,1,63,3,2,64,2,1,65,2,1,65,3,2,66,3,1],
+    "dur": [3,3,2,12,3,2,14,2,1,14,3,2,23,3,1,24,3,1,26,5,1,34,3,1,61,3,1,62,3,3,63,3,1],
+    "duty": [0,4,1,1,1,2,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1,24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2],
+    "dying": [32,3,1,39,3,1],
+    "dynamic": [22,2,1,22,3,1],
+    "each": [33,3,1,34,3,1,34,5,2,40,3,1,43,3,1,49,3,2,49,5,1,50,3,1,51,3,1,52,3,1,53,3,1,54,3,1,54,5,1,65,5,1],
+    "earliest": [34,5,1],
+    "easi": [4,3,2,4,5,1],
+    "echo": [53,1,2],
+    "economic": [10,1,1,11,1,3,14,1,3,26,1,2],
+    "edit": [45,1,4,45,3,2],
+    "educate": [9,1,6,9,2,1,19,1,5],
+    "effect": [24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2,49,4,2,50,4,2,51,3,1,51,4,2,52,4,2,53,3,1,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2,60,5,1],
+    "effective": [54,5,1],
+    "effectiveness": [59,5,1],
+    "efficient": [37,5,1],
+    "effort": [38,5,1],
+    "egalitarianism": [58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "elder": [1,1,1,1,2,1,1,3,2,1,5,1,3,3,1,50,3,1,50,5,1],
+    "eldercare": [50,1,4,50,3,2],
+    "electronic": [23,1,2],
+    "eliminate": [18,2,1,42,2,1,42,3,2],
+    "else": [56,3,2],
+    "embody": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "embrace": [40,5,1,43,5,1,46,5,1,49,5,1],
+    "emerge": [51,5,1],
+    "emergency": [2,0,1,2,1,4,2,5,2,3,1,2,4,1,4,5,5,1,13,1,1,16,1,2,16,3,2,54,3,1,62,0,1,62,1,6,62,3,2],
+    "emit": [2,5,1],
+    "emotion": [18,4,1,19,1,2,19,2,1,19,3,1,19,4,1,20,4,1,21,4,1,22,0,1,22,1,2,22,4,1,22,5,5,23,4,1,42,1,1,42,3,1,42,4,2,43,4,2,44,4,2,45,4,2,46,4,2,47,4,2,48,4,2,55,3,1],
+    "emotional": [19,3,1,19,5,1,22,2,1,22,3,2,42,1,2,43,1,2,52,3,1],
+    "emphasize": [46,5,1,47,5,2],
+    "employ": [22,1,1,64,1,2],
+    "employee": [22,1,5,22,2,2,22,3,4,22,5,1],
+    "employer": [22,2,1],
+    "enable": [29,5,1,39,3,1],
+    "encounter": [65,3,2],
+    "encourag": [46,5,1],
+    "encourage": [48,5,2],
+    "end": [46,1,2,64,3,1],
+    "energy": [15,1,3,54,3,1],
+    "enforce": [14,5,1,16,1,2,23,3,2,60,1,2,60,5,1],
+    "engage": [19,3,2,19,5,1,44,2,1,44,5,1,48,5,2],
+    "engineer": [15,2,1,15,3,2,15,5,2],
+    "enhanc": [15,5,1,17,5,1,42,0,1,47,0,1,47,1,1],
+    "enhance": [42,1,2,45,3,1,45,5,1,56,1,2],
+    "enough": [3,3,1,17,2,1],
+    "ensur": [31,5,1],
+    "ensure": [8,5,1,12,5,1],
+    "entire": [17,3,2,22,5,1,44,3,2,45,3,1,45,5,1],
+    "entity": [30,5,1,32,2,1,33,5,1,41,5,1,43,2,1,52,1,2,52,3,3],
+    "environ": [34,3,1,37,3,2,37,5,1],
+    "environmental": [15,1,3,65,1,2],
+    "epistemic": [6,4,1,7,4,1,8,4,1,9,4,1,10,4,1,11,4,1,38,1,1],
+    "epistemological": [38,1,1],
+    "equal": [3,5,1,34,5,1,41,5,2,47,5,1,64,5,1,66,3,1],
+    "equality": [3,2,1],
+    "equip": [3,3,2],
+    "equity": [9,1,2,10,1,2,11,1,2,66,1,2],
+    "equivalent": [47,5,1],
+    "erosion": [49,1,2],
+    "error": [26,3,3,27,1,2],
+    "escalate": [12,5,1,13,5,1,16,1,2,16,2,2,16,3,2,16,5,4],
+    "escap": [38,0,1,38,1,1],
+    "escape": [38,1,1,44,1,2,44,3,1],
+    "escapism": [44,1,2,48,5,1],
+    "especial": [46,5,1,59,2,1],
+    "establish": [30,5,1,40,5,1,41,5,2,49,5,1,52,5,1,54,5,1,56,5,1,57,5,1,63,5,1],
+    "esteem": [47,3,1],
+    "ethic": [0,1,1,0,4,2,1,1,1,1,4,2,2,4,2,3,1,2,3,4,2,4,1,2,4,4,2,5,4,2,6,1,1,19,1,2,20,1,2,21,1,3,22,1,2,24,1,2,25,1,1,27,1,1,28,1,2,29,1,2,33,1,2,36,1,4,36,3,1,36,4,2,37,1,2,37,4,2,38,4,2,39,1,2,39,4,2,40,1,2,40,4,2,41,1,2,41,4,2,51,1,2,57,1,1,58,1,2,58,4,4,59,1,2,59,3,1,59,4,4,60,2,1,60,4,4,61,4,4,62,4,4,63,4,4,64,4,4,65,4,4,66,1,2,66,4,4],
+    "ethical": [0,4,1,1,4,1,1,5,1,2,4,1,3,4,1,4,4,1,5,4,1,18,2,1,20,2,1,20,3,1,21,2,1,36,2,1,36,5,1,39,5,1,40,5,2,49,4,2,50,4,2,51,1,2,51,2,1,51,3,1,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "eudaimonia": [42,4,2,43,4,2,44,4,2,45,4,2,46,4,2,47,4,2,48,4,2],
+    "evade": [29,3,1],
+    "evaluat": [58,3,1],
+    "evaluate": [7,5,1,58,1,5,58,4,2,59,4,2,59,5,1,60,2,1,60,4,2,61,1,2,61,3,1,61,4,2,61,5,3,62,4,2,62,5,1,63,4,2,64,4,2,65,4,2,66,4,2,66,5,1],
+    "even": [2,5,1,9,5,1,10,3,1,15,5,1,17,2,1,19,2,1,22,2,1,23,3,1,35,3,1,36,2,1,38,2,1,42,2,1,46,5,1],
+    "event": [3,3,2,5,1,1,5,5,1,63,3,1],
+    "eventual": [52,3,1,54,3,1,60,3,1],
+    "ever": [55,3,1],
+    "every": [3,3,1,44,3,2],
+    "everyone": [4,5,1],
+    "evidence": [12,1,1,12,5,1,38,3,1,55,5,1,59,5,1],
+    "evolution": [31,1,2,34,1,2,35,1,4,35,5,1,51,1,2,51,5,1],
+    "evolutionary": [35,1,1],
+    "evolv": [31,2,1,31,5,1,35,3,1,35,5,2],
+    "evolve": [31,3,1,34,2,1,34,3,2,35,2,1,35,3,1,51,3,1,51,5,1],
+    "ex": [58,4,4,59,4,4,60,4,4,61,4,4,62,4,4,63,4,4,64,4,4,65,4,4,66,4,4],
+    "exact": [46,3,1,55,3,1],
+    "exce": [56,5,1],
+    "exceed": [49,5,1,54,5,1],
+    "exclusion": [51,3,1],
+    "execut": [26,3,1],
+    "exist": [3,3,1,20,5,1,28,5,1,38,3,1,40,2,1,41,2,1,41,3,3,52,3,1,53,3,1],
+    "existence": [38,2,1,38,5,1,39,1,4,40,2,1,40,3,1,48,1,2],
+    "existential": [36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2],
+    "expand": [49,3,1,54,3,2,54,5,2,60,5,1],
+    "expansion": [40,5,1,49,1,2,54,2,1,54,3,1,54,5,2],
+    "expense": [0,3,1],
+    "expensive": [10,3,1],
+    "experienc": [15,2,1,36,3,2,37,3,1,45,3,1],
+    "experience": [12,3,2,26,3,1,32,3,1,34,3,1,35,3,1,36,1,1,36,2,1,36,5,1,37,1,1,37,3,1,42,2,1,42,4,4,42,5,2,43,4,4,44,2,1,44,4,4,45,1,1,45,3,1,45,4,4,45,5,3,46,1,3,46,2,2,46,3,3,46,4,4,46,5,1,47,2,1,47,3,3,47,4,4,48,2,1,48,3,2,48,4,4],
+    "expert": [12,4,1,13,4,1,13,5,1,14,4,1,15,4,1,16,4,1,17,4,1],
+    "expertise": [12,2,1,12,4,1,13,4,1,14,4,1,15,4,1,15,5,1,16,4,1,17,4,1],
+    "explain": [6,3,2,7,2,1,10,2,1],
+    "explainability": [6,2,1,6,4,2,7,4,2,8,4,2,9,4,2,9,5,1,10,4,2,11,4,2,11,5,1],
+    "explainable": [6,1,2,6,4,1,6,5,1,7,4,1,7,5,1,8,2,1,8,4,1,8,5,1,9,4,1,10,4,1,10,5,1,11,4,1],
+    "explanate": [6,1,1,6,4,2,6,5,1,7,4,2,7,5,1,8,3,1,8,4,2,8,5,2,9,3,1,9,4,2,9,5,3,10,4,2,10,5,2,11,4,2],
+    "explicit": [20,2,1,20,3,2,20,5,1,21,3,1,21,5,1,23,5,1,54,3,1,54,5,2],
+    "explosion": [2,1,1,2,3,1],
+    "expose": [23,3,1],
+    "express": [33,3,1],
+    "expression": [19,3,1,22,3,1],
+    "extend": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "extensive": [11,5,1],
+    "extent": [56,5,1],
+    "external": [21,5,1,47,1,1,47,2,1,47,3,2,61,3,1,61,5,2,62,5,1,65,2,1,65,5,2],
+    "extinct": [38,3,1],
+    "extra": [19,5,1],
+    "extreme": [53,3,1,53,5,1],
+    "extremism": [53,2,1],
+    "extremist": [53,3,1],
+    "fabricat": [45,3,1],
+    "fac": [46,3,1,46,5,1],
+    "face": [0,3,2,33,3,1,63,5,1],
+    "facial": [18,1,2,18,3,2,18,4,1,18,5,2,19,3,1,19,4,1,20,4,1,21,4,1,22,3,1,22,4,1,23,4,1,49,3,1],
+    "factor": [1,5,1,6,5,1,7,3,1,28,2,1,28,3,1,28,5,1,61,5,2,65,1,2,65,2,1,65,5,3],
+    "factory": [17,0,1,17,1,2,17,3,1,24,0,1,24,1,1,24,3,2],
+    "fail": [5,3,1,25,5,1,27,2,1,29,2,1,29,3,2,62,3,1,63,5,1],
+    "failure": [25,5,1,27,5,1,29,0,1,47,3,1,63,1,2,63,3,1],
+    "fair": [64,1,2],
+    "fairness": [6,4,3,7,1,1,7,4,3,8,4,3,9,1,2,9,4,3,10,4,3,11,2,1,11,4,3,58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,1,2,64,4,2,65,4,2,66,4,2],
+    "fake": [25,1,1],
+    "fall": [17,3,1],
+    "fallen": [1,3,1],
+    "false": [15,3,2,45,1,2,45,2,1,45,3,1],
+    "fami": [8,1,2,8,3,2,23,3,1,32,3,1,34,3,1,34,5,1,46,3,1],
+    "family": [9,3,1,39,3,1,62,5,1],
+    "fatal": [58,3,2],
+    "fate": [61,3,1],
+    "fatigue": [22,3,1],
+    "fault": [24,4,1,25,4,1,26,4,1,27,4,1,28,4,1,29,4,1,57,5,1,65,5,2],
+    "favor": [19,5,1,37,5,1,66,3,1],
+    "fda": [27,3,1],
+    "fear": [36,3,1],
+    "feature": [49,3,1],
+    "feedback": [53,1,1],
+    "feel": [19,3,1,22,3,1,42,3,1,47,3,1],
+    "festival": [5,3,2],
+    "few": [37,3,1],
+    "filter": [53,1,2],
+    "final": [9,5,1,12,5,1,14,5,1,50,3,1],
+    "financial": [10,1,1,11,1,7,11,2,1,11,3,2,14,1,5,14,2,1,14,3,1,26,1,7,26,2,1,26,3,1,26,5,2,50,3,1,61,1,3,61,5,1],
+    "fire": [2,2,1,2,3,1,2,5,3],
+    "firm": [61,3,1],
+    "first": [3,2,2,3,5,2,4,5,1,8,5,1,26,3,1],
+    "five": [0,3,1,3,3,1,35,3,1],
+    "fix": [54,5,1],
+    "flag": [8,2,1,8,3,2,18,3,1,60,3,2],
+    "flaw": [59,2,1,59,5,1],
+    "flight": [13,1,2,13,3,2,13,5,1],
+    "flourish": [42,4,2,43,4,2,44,4,2,45,4,2,46,4,2,47,2,1,47,4,2,48,4,2],
+    "fluctuate": [61,3,1],
+    "focus": [25,5,1,29,5,1,45,5,1,58,5,1,59,5,1,61,5,1,62,5,1,64,5,2],
+    "follow": [6,5,1,13,5,1,16,5,1,38,5,1,61,3,1,62,3,1,65,3,1],
+    "forc": [52,3,1],
+    "force": [16,1,2,16,2,1,53,5,1],
+    "foreman": [24,3,1],
+    "foreseeable": [65,5,1],
+    "forever": [39,3,1],
+    "form": [29,3,1,34,3,1,39,5,1,46,2,1],
+    "forward": [2,3,1],
+    "four": [4,3,1],
+    "framework": [14,5,1,32,5,1,35,5,2,40,5,1,43,5,1,44,5,1,47,5,1,62,5,1,64,5,1],
+    "fraud": [10,5,1],
+    "free": [42,5,1,53,5,1],
+    "freedom": [52,3,1],
+    "ful": [6,5,1,29,5,1,37,3,1,56,5,1,57,3,1,63,5,1],
+    "fulfill": [17,3,1,42,3,1,44,2,1,44,3,1,46,3,1,47,1,4,48,1,2,48,2,1,60,5,1],
+    "full": [11,5,1,18,5,1,19,5,2,22,5,1,26,5,1,32,5,1],
+    "function": [49,4,2,50,4,2,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,3,1,56,4,2,57,4,2],
+    "functional": [42,3,1],
+    "functionality": [21,2,1,23,3,1],
+    "fund": [66,0,1,66,1,8,66,2,1,66,3,4,66,5,5],
+    "fundamental": [9,2,1,22,2,1,22,3,1,23,2,1,30,2,1,39,5,1,56,2,1],
+    "fusion": [56,1,2],
+    "future": [9,2,1,23,5,1],
+    "gain": [36,5,1,57,3,1],
+    "gas": [2,3,2],
+    "gather": [5,3,1],
+    "generat": [25,0,1,25,2,1,25,3,1,25,5,1,56,3,1],
+    "generic": [21,3,1],
+    "genuine": [43,2,1,45,2,1,47,3,1],
+    "get": [26,3,1],
+    "glitch": [58,3,1],
+    "goal": [47,1,2,47,3,1],
+    "goe": [25,3,1,58,3,1],
+    "gold": [47,3,1],
+    "gone": [60,0,1],
+    "good": [0,4,1,0,5,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1,17,2,1,36,5,1,59,2,1],
+    "got": [59,5,1],
+    "govern": [8,1,2,23,1,1,42,3,1],
+    "governance": [6,4,1,7,4,1,8,4,1,9,4,1,10,4,1,11,4,1,18,1,2,24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,2,1,29,4,2,35,1,2,35,5,3,54,1,6,54,2,1,54,3,2],
+    "gradient": [52,0,1,52,1,2],
+    "gradual": [30,2,1,30,3,2,35,3,1,38,5,1,44,5,1,49,1,2,49,3,2,49,4,2,50,1,2,50,2,1,50,3,1,50,4,2,51,2,1,51,3,1,51,4,2,52,2,1,52,4,2,52,5,1,53,1,2,53,2,1,53,3,2,53,4,2,54,2,1,54,3,2,54,4,2,55,1,1,55,3,2,55,4,2,56,1,1,56,3,2,56,4,2,57,3,1,57,4,2],
+    "graduat": [50,5,1,55,5,2,58,5,1],
+    "grant": [7,5,1,41,5,1,55,5,2],
+    "greater": [0,3,1,0,4,1,0,5,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1,14,3,1,36,5,1],
+    "greatest": [47,3,1],
+    "group": [5,5,1,27,3,1,51,3,1],
+    "guarante": [47,3,1],
+    "guarantee": [4,3,1,4,5,1,22,5,1,42,3,1],
+    "guardian": [50,0,1,50,3,1],
+    "guardianship": [50,1,2,50,2,1],
+    "guess": [59,0,1],
+    "guide": [60,5,1],
+    "guideline": [39,5,1,40,5,1,43,5,1],
+    "gust": [65,3,1],
+    "had": [25,3,1,26,3,1,28,3,3,30,3,1],
+    "hadn": [28,3,1],
+    "halt": [2,5,1,14,1,1,14,3,3,14,5,2,17,0,1,17,3,3,17,5,3,20,5,1],
+    "handle": [34,2,1,41,3,1],
+    "happen": [50,2,1,59,3,3],
+    "happiness": [42,0,1,42,1,5,42,2,1,42,3,1,42,4,4,42,5,5,43,4,4,44,4,4,45,4,4,46,2,1,46,4,4,47,4,4,48,4,4],
+    "harass": [29,1,2,29,3,4,29,5,1],
+    "harasser": [29,5,2],
+    "hard": [49,5,1],
+    "harm": [0,2,1,0,5,1,2,5,1,5,1,2,5,2,1,5,5,1,8,2,1,24,2,1,25,2,1,26,2,1,27,1,2,27,2,1,29,1,2,29,2,1,29,3,1,57,2,1,57,5,1,58,2,1,58,5,4],
+    "harmful": [25,5,1,29,5,2,53,2,1,53,5,1,63,5,1],
+    "harsh": [38,3,1],
+    "hazard": [2,2,1,2,3,1,2,5,2,24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2],
+    "head": [5,3,1],
+    "health": [10,1,2,10,3,2,19,1,2,19,3,1,20,1,2,42,1,3,42,3,1,45,1,2,50,3,1],
+    "healthcare": [3,1,2,6,1,2,10,1,5,10,2,1,20,1,4,20,5,1,27,1,5,27,2,1,27,3,1,27,5,1,62,1,4],
+    "healthy": [46,3,1],
+    "heard": [16,3,1],
+    "heavi": [16,3,1,42,5,1],
+    "hedonic": [42,4,2,43,4,2,44,4,2,45,4,2,46,4,2,47,4,2,48,4,2],
+    "hedonism": [42,4,2,43,4,2,44,4,2,45,4,2,46,4,2,47,4,2,48,4,2],
+    "held": [64,2,1],
+    "help": [36,3,1,38,3,1,45,5,1,62,3,1],
+    "helper": [50,0,1,50,1,1],
+    "helpful": [50,3,1],
+    "hierarchy": [1,5,1,40,1,4,40,3,2,40,5,1],
+    "high": [3,3,1,4,5,1,6,3,1,12,5,1,18,5,1,59,3,2,60,3,2],
+    "higher": [12,3,2],
+    "highest": [3,5,1],
+    "hir": [51,3,1,64,1,6,64,3,2],
+    "historical": [51,3,1],
+    "hit": [1,3,1,2,3,1,2,5,1],
+    "hold": [24,5,2,25,5,2,26,5,2,27,5,1,28,5,1,29,5,1,57,5,1,58,5,2,62,5,1,63,5,1,64,5,1,65,5,1],
+    "home": [18,3,1,23,0,1,23,1,5,23,2,1,23,3,2],
+    "hospital": [3,3,2,20,3,2,27,3,2,27,5,1,62,3,4,62,5,2],
+    "host": [25,3,1],
+    "hour": [37,3,1],
+    "however": [14,3,1,15,3,1,16,3,1,23,3,1,38,3,1,41,3,1],
+    "human": [2,2,1,2,5,1,7,3,1,7,5,1,8,5,1,9,5,2,10,5,1,12,1,2,12,2,1,12,3,3,12,4,10,12,5,5,13,1,1,13,2,2,13,3,3,13,4,10,13,5,3,14,2,2,14,3,2,14,4,10,14,5,4,15,2,1,15,3,2,15,4,10,15,5,3,16,2,1,16,3,2,16,4,10,16,5,1,17,2,2,17,3,2,17,4,10,17,5,1,24,3,1,24,5,1,26,2,2,26,3,1,26,5,2,29,2,1,29,3,2,32,2,1,38,3,1,39,3,1,41,3,2,42,2,1,42,4,2,42,5,1,43,1,1,43,2,1,43,3,3,43,4,2,43,5,2,44,4,2,45,3,1,45,4,2,46,4,2,47,2,1,47,4,2,47,5,1,48,4,2,52,2,1,52,3,1,52,5,1,56,0,1,56,1,6,56,2,2,56,3,2,56,5,5,57,1,2,57,2,1,57,3,1,57,5,1],
+    "humane": [37,2,1,37,5,1],
+    "humanity": [38,3,1],
+    "hybrid": [9,5,1,31,5,1,35,5,1,37,5,1,56,0,1,56,1,4,56,5,2,66,5,1],
+    "hyper": [44,3,2],
+    "hypothesis": [36,4,3,37,4,3,38,4,3,39,4,3,40,1,2,40,4,3,41,4,3],
+    "identical": [61,3,2,62,3,2,63,2,1,63,3,2,64,3,2,65,2,1,65,3,2,66,3,1],
+    "identificate": [20,3,1],
+    "identify": [20,5,1,25,5,1,59,5,1],
+    "identity": [30,1,8,30,2,1,30,3,2,30,4,9,30,5,5,31,1,2,31,2,1,31,4,9,32,1,5,32,2,1,32,3,1,32,4,9,33,1,2,33,2,2,33,3,1,33,4,9,33,5,3,34,0,1,34,1,7,34,2,1,34,3,1,34,4,9,34,5,6,35,0,1,35,2,1,35,4,9,35,5,1,39,3,1,39,5,1,41,1,6,41,2,1,41,3,2,45,5,1,56,0,1,56,1,6,56,2,1,56,5,3],
+    "ignor": [6,5,1],
+    "ignore": [14,3,1,14,5,1],
+    "ill": [46,3,2],
+    "illness": [46,1,2,46,5,1],
+    "immediate": [2,2,1,2,5,3,4,3,1,4,5,1,6,5,1,8,5,2,14,5,1],
+    "immersion": [48,1,2,48,2,1],
+    "immersive": [37,3,1,48,1,2],
+    "immortality": [32,1,2,36,4,2,37,4,2,38,4,2,39,1,4,39,3,1,39,4,2,39,5,1,40,4,2,41,4,2],
+    "impact": [19,2,1,44,1,2,49,5,1],
+    "imperceptible": [51,3,1],
+    "imperfect": [43,2,1],
+    "implant": [42,1,2,42,3,2,42,5,3],
+    "imple": [9,3,1,11,5,1,12,5,1,13,5,2,14,5,1,18,2,1,18,5,2,19,3,1,19,5,2,22,5,1,23,5,1,37,5,1,41,5,1,48,5,1,49,5,1,50,5,1,51,5,1,52,5,1,53,5,1,55,5,1,58,5,1,60,5,1,65,5,1],
+    "implement": [6,5,1,17,5,1,25,5,1],
+    "implementate": [9,5,1,10,5,1,62,5,1],
+    "implicate": [30,2,1,37,2,1],
+    "importance": [46,5,1,47,5,1],
+    "impossible": [63,5,1],
+    "imprison": [37,2,2],
+    "improv": [20,3,1,21,5,1,23,5,1],
+    "improve": [21,3,1,23,3,2,54,3,1],
+    "inadequate": [26,5,2],
+    "inappropriate": [10,5,1],
+    "incarcerate": [7,1,2,37,5,1],
+    "incentive": [66,5,1],
+    "incident": [24,5,2,62,5,1,65,0,1,65,1,2,65,5,1],
+    "includ": [4,3,1,7,3,1,28,5,1,42,5,1],
+    "include": [29,3,1,45,2,1],
+    "inclusion": [11,1,2],
+    "incorporate": [35,5,1],
+    "increas": [44,5,1,50,5,1,60,3,1,60,5,1],
+    "increase": [52,5,1,60,3,1],
+    "increasing": [52,3,2,53,3,1,55,3,1],
+    "incremental": [49,0,1,49,1,2,49,2,1,49,4,2,49,5,1,50,3,1,50,4,2,51,4,2,51,5,1,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "independence": [36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2],
+    "independent": [18,5,1,27,3,1,27,5,1,33,3,1],
+    "indicator": [23,5,2],
+    "indistinguishable": [43,3,1,46,2,1,46,3,1],
+    "individual": [25,5,1,28,5,1,29,3,1,29,5,3,33,1,2,33,2,2,33,3,2,33,5,1,38,5,1,39,3,1,43,3,1,44,1,1,44,3,1,44,5,1,46,3,1,49,3,1,50,5,2,56,5,1,59,3,1,60,3,2],
+    "individuality": [33,1,2],
+    "industrial": [17,1,5,24,1,4],
+    "industry": [63,5,2],
+    "infinite": [40,1,2,40,3,2,40,5,2],
+    "influence": [7,2,1,53,1,1,60,2,1],
+    "inform": [6,1,2,18,4,2,19,4,2,20,3,1,20,4,2,21,4,2,22,4,2,23,4,2,37,1,1,39,5,1],
+    "informate": [8,5,1,20,5,1,25,1,2],
+    "infraction": [60,3,1],
+    "infrastructure": [15,1,4,15,2,1,28,2,1,28,5,1,29,5,1,48,5,1,63,1,6,63,2,1,63,3,1,63,5,2],
+    "inherit": [32,3,1],
+    "initial": [10,5,1],
+    "initiate": [15,3,1],
+    "inject": [53,5,1],
+    "injur": [2,3,1,65,3,1],
+    "injure": [24,3,2],
+    "injury": [24,0,1,24,1,2],
+    "innocent": [18,3,1,29,3,1],
+    "input": [9,5,1,26,3,2],
+    "insight": [23,3,1,66,3,1],
+    "install": [22,3,2],
+    "instant": [5,5,1],
+    "instead": [16,3,1],
+    "institution": [9,2,1,11,2,1,26,5,2,27,2,1],
+    "institutional": [9,1,1,26,5,1],
+    "insufficient": [59,3,1,59,5,1],
+    "insurance": [10,0,1,10,1,6,10,3,4,65,5,2],
+    "intact": [39,3,2],
+    "integrate": [33,1,2,33,5,3,46,5,1,48,5,1,56,5,2],
+    "intelligence": [12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2],
+    "intend": [25,3,1,35,3,1],
+    "intensity": [45,5,1],
+    "intensive": [15,5,1],
+    "intent": [58,5,1],
+    "intention": [22,2,1,50,2,1],
+    "intentional": [0,2,1,5,2,1,64,2,1],
+    "interact": [34,5,1],
+    "interaction": [12,4,1,13,4,1,14,4,1,15,4,1,16,4,1,17,4,1,34,3,1,43,3,1,53,3,2],
+    "interest": [52,5,1],
+    "interpret": [7,3,2,10,3,1],
+    "interpretability": [6,4,2,7,4,2,8,4,2,9,4,2,10,4,2,11,4,2],
+    "interpretable": [6,4,1,7,4,1,8,4,1,9,4,1,10,4,1,11,4,1],
+    "intersection": [5,3,2],
+    "intervene": [53,5,1],
+    "intervention": [0,5,1,2,5,1,5,5,2,13,3,1,14,1,2,42,1,1,42,3,1,53,5,1,60,5,2],
+    "intimate": [23,3,1],
+    "intuition": [12,1,1,12,3,1],
+    "invasion": [23,1,2],
+    "invest": [61,0,1,61,1,5,61,2,1,61,3,2],
+    "investigate": [8,3,1,8,5,3,38,5,2,59,5,1,65,5,1],
+    "investor": [26,3,1,61,2,1],
+    "involv": [28,2,1,28,5,1,57,3,1],
+    "involve": [66,2,1],
+    "iot": [23,1,2],
+    "irrelevant": [59,5,1],
+    "irreversible": [38,3,1],
+    "isolat": [34,3,2],
+    "issue": [22,5,1],
+    "iterate": [51,3,1,52,3,1],
+    "itself": [14,3,1,25,2,1],
+    "joy": [42,3,1],
+    "judg": [12,2,1,13,2,1,13,5,1,15,2,1,17,2,1,17,5,1,19,3,1,22,3,1,60,1,1,60,3,1],
+    "judge": [58,5,1,59,2,1,61,2,1,61,5,1],
+    "just": [32,3,1,55,3,1,59,3,1],
+    "justice": [6,4,4,7,1,6,7,3,2,7,4,4,8,1,2,8,4,4,9,4,4,10,1,1,10,4,4,11,1,2,11,4,4,14,1,1,16,1,3,37,1,4,37,2,1,37,3,1,59,1,4],
+    "justify": [20,5,1,22,3,1,60,3,1],
+    "kant": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1],
+    "keep": [11,5,1,15,3,1,15,5,1],
+    "kill": [1,3,2,1,5,2,2,3,2,4,3,1,57,1,2,58,3,1],
+    "knock": [2,3,1],
+    "know": [37,3,1,59,3,1],
+    "knowledge": [36,5,1],
+    "lab": [52,3,2],
+    "labor": [22,1,2],
+    "lack": [8,5,1],
+    "language": [22,3,1,29,3,1],
+    "large": [64,2,1],
+    "larger": [5,3,1],
+    "last": [58,3,1],
+    "later": [60,3,1],
+    "law": [16,1,2,22,1,1,23,3,2,28,5,1,60,1,2],
+    "layer": [36,4,1,37,4,1,38,4,1,39,4,1,40,0,1,40,1,4,40,2,1,40,3,2,40,4,1,41,4,1],
+    "lead": [16,5,1,27,3,2,29,3,2,40,3,1,63,3,2,64,3,1,66,3,2],
+    "leap": [58,3,1],
+    "learn": [6,4,1,7,4,1,8,4,1,9,4,1,10,4,1,11,4,1,31,1,2,31,2,1,31,3,2,31,5,2,35,0,1,35,1,2,35,2,1,35,3,3,35,5,1,38,5,1,51,5,1,53,2,1,53,3,1,53,5,2,58,3,1,62,5,2],
+    "leav": [6,3,1,10,3,1,26,5,1],
+    "leave": [0,2,1,18,3,1],
+    "legal": [30,1,2,30,2,1,30,3,2,30,4,2,30,5,1,31,4,2,32,4,2,32,5,1,33,4,2,34,4,2,35,4,2,52,1,2,52,3,1,52,5,1,56,5,1,63,2,1,64,2,1],
+    "legitimate": [32,5,1,34,2,1,34,5,1,35,5,1,41,2,1,46,2,1,46,5,1,53,2,1],
+    "lend": [11,1,2],
+    "less": [37,2,1,43,2,1],
+    "let": [5,3,1,5,5,1,14,5,1,15,5,1,17,5,1,53,5,1,54,5,1],
+    "lethal": [57,1,4,57,3,1],
+    "level": [16,2,1,50,5,1,55,5,1,58,5,2],
+    "liability": [24,1,3,24,4,10,25,3,1,25,4,10,25,5,1,26,3,1,26,4,10,26,5,1,27,1,2,27,3,1,27,4,10,28,1,2,28,4,10,28,5,2,29,1,2,29,4,10,57,5,2,62,2,1,65,2,1,65,5,1],
+    "liable": [28,5,1,65,5,1],
+    "liberty": [18,1,2],
+    "life": [0,3,1,0,4,3,0,5,1,1,2,1,1,4,3,1,5,1,2,4,3,3,1,1,3,2,1,3,3,2,3,4,3,3,5,2,4,1,2,4,2,1,4,4,3,4,5,1,5,4,3,7,2,1,12,2,1,42,4,2,43,4,2,44,4,2,44,5,1,45,2,2,45,4,2,46,0,1,46,1,4,46,3,1,46,4,2,46,5,1,47,4,2,48,0,1,48,1,5,48,4,2,48,5,2,50,3,1,62,1,1,62,3,1,66,3,1],
+    "light": [54,3,1],
+    "like": [7,2,1,13,2,1,52,2,1,52,3,1],
+    "likelihood": [58,5,1],
+    "limit": [3,3,2,18,5,1,19,5,1,21,5,1,28,3,1,32,5,2,36,5,1,40,5,2,43,5,1,45,5,1,48,5,1,49,5,1,50,5,1,54,5,1,56,5,1],
+    "limitate": [29,2,1,29,5,1,32,5,1,46,5,1],
+    "line": [17,1,1,17,3,2,49,2,1,52,2,1],
+    "liv": [38,3,1,48,5,1],
+    "live": [0,3,2,0,5,2,1,2,1,1,5,1,4,2,1,4,5,1,20,3,1,39,3,1,44,3,2,44,5,1,46,1,2,46,3,1,48,3,2,49,3,2,54,3,2,62,3,1],
+    "load": [63,1,2,63,3,2],
+    "loan": [11,1,1,11,3,2,11,5,1],
+    "local": [23,5,1],
+    "locate": [4,3,1],
+    "logic": [61,5,1],
+    "logical": [54,3,1],
+    "loneliness": [43,1,1,43,3,1],
+    "loop": [12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2],
+    "los": [4,3,1,4,5,1,33,3,1],
+    "lose": [26,3,1,57,3,1,61,3,1],
+    "loss": [14,3,1],
+    "lov": [39,3,1,45,3,1,46,3,2],
+    "love": [43,1,4,43,3,1],
+    "luck": [58,1,4,58,3,1,58,4,5,59,4,5,60,4,5,61,1,2,61,4,5,62,4,5,63,4,5,64,4,5,65,3,1,65,4,5,66,2,1,66,4,5],
+    "lucky": [58,5,1,59,5,1],
+    "machine": [6,4,1,7,4,1,8,4,1,9,4,1,10,4,1,11,4,1,12,1,1,12,4,3,13,4,3,14,4,3,15,4,3,16,4,3,17,3,1,17,4,3,17,5,1,35,3,1,42,4,4,43,4,4,44,4,4,45,4,4,46,4,4,47,4,4,48,4,4,55,1,5,56,1,2],
+    "made": [57,2,1,59,3,1,61,3,1],
+    "main": [5,3,1],
+    "maintain": [3,2,1,3,5,1,11,5,1,12,5,1,13,2,1,15,2,1,15,3,1,15,5,1,16,2,1,21,5,1,23,5,1,27,5,1,28,5,1,30,3,1,30,5,1,31,5,1,33,5,1,35,5,1,37,5,2,38,5,1,41,5,1,42,5,1,44,5,1,46,5,1,48,5,1,50,5,1,52,5,1,56,5,2],
+    "maintenance": [15,3,1],
+    "major": [2,3,1,26,3,1,62,3,1,63,3,1],
+    "mak": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1,6,1,1,6,2,1,11,3,1,12,5,1,35,3,1,35,5,1,42,3,1,42,4,2,43,4,2,44,4,2,45,4,2,46,4,2,47,3,1,47,4,2,48,4,2,50,3,1,50,5,1,54,3,1,54,5,2,57,3,2,59,3,1,61,2,1,61,5,1,65,3,1],
+    "make": [0,5,1,1,5,1,7,5,1,9,3,1,9,5,1,10,2,1,14,5,1,20,3,1,35,3,1,42,5,1,51,3,1,55,2,1,57,3,1,58,2,1,58,3,2,61,3,1,66,3,1],
+    "malpractice": [27,1,2],
+    "manag": [35,3,1,50,3,1,54,3,1],
+    "manage": [5,1,2,5,3,1,12,4,2,13,1,1,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,18,3,1,22,5,1,41,5,1,54,1,2,54,3,2,61,3,1,61,5,1],
+    "manager": [11,3,1],
+    "mandat": [35,5,1],
+    "mandate": [10,5,1,35,3,1,42,5,1,44,5,1,54,5,1],
+    "mandatory": [42,3,2,63,5,1],
+    "maneuver": [58,1,2,58,3,2],
+    "manipulate": [14,1,1,21,1,2,25,1,2,39,5,1,45,1,2],
+    "manufactur": [17,1,4,24,1,2,24,3,1],
+    "manufacturer": [24,2,1,24,3,1,24,5,1,28,5,3,31,1,1,31,3,2,31,5,1,57,3,1,57,5,1,58,3,1,58,5,1,65,5,1],
+    "many": [2,3,1,6,5,1,43,3,1,44,3,1,47,3,1,48,3,1,62,3,1],
+    "map": [28,1,1,28,3,2],
+    "mark": [29,3,1],
+    "market": [14,1,8,14,2,1,14,3,3,17,3,2,22,3,1,23,3,2,26,0,1,26,1,6,26,3,2,27,3,1,27,5,1,53,5,1,61,1,5,61,2,1,61,3,4,61,5,1],
+    "mass": [3,1,2,3,3,2,5,1,1,7,1,2,18,1,2],
+    "massive": [36,3,1,61,3,1],
+    "masterful": [47,3,1],
+    "match": [21,5,2],
+    "matter": [47,2,1,47,3,1],
+    "maximize": [18,5,1],
+    "maximum": [4,5,1],
+    "may": [11,2,1,19,2,1,38,3,1,40,3,2,51,5,1,60,2,1,60,5,1,66,2,1],
+    "mean": [39,2,1,42,4,4,43,4,4,44,4,4,45,4,4,46,4,4,47,4,4,48,4,4],
+    "meaningful": [43,2,1,57,3,1],
+    "meanwhile": [32,3,1],
+    "measure": [23,5,1,54,3,1],
+    "mechanism": [29,2,1,36,5,1],
+    "media": [21,1,2,25,1,5,25,3,1,25,5,1,29,1,4,29,3,2,29,5,1,53,1,2,53,3,1,63,3,1],
+    "medical": [3,0,1,3,1,5,3,2,1,6,0,1,6,1,4,6,2,2,6,5,1,10,1,2,10,2,1,10,3,2,10,5,1,12,1,4,20,0,1,20,1,6,20,3,1,27,0,1,27,1,6,27,2,2,27,5,2,62,0,1,62,1,6,62,2,1,62,3,1,62,5,1],
+    "medicate": [50,3,1],
+    "medicine": [3,1,2,6,1,1,12,1,1],
+    "meet": [15,3,1,17,2,1,17,5,1],
+    "member": [34,3,1],
+    "memory": [30,3,1,32,0,1,32,1,4,32,3,2,33,3,1,33,5,1,34,3,1,39,3,2,45,0,1,45,1,9,45,2,1,45,3,6,45,5,6,52,3,1],
+    "mental": [19,1,2,19,3,1,42,1,3,42,3,1,45,1,2],
+    "merg": [33,2,1],
+    "merge": [33,3,1],
+    "merger": [33,0,1,33,1,2,33,3,2,33,5,2],
+    "merit": [58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,1,2,66,4,2],
+    "meritocracy": [9,1,2],
+    "messag": [21,3,1],
+    "met": [44,3,1],
+    "metaphysic": [30,4,1,31,4,1,32,4,1,33,4,1,34,4,1,35,4,1],
+    "metaphysical": [30,1,1,33,1,1,34,1,1,39,1,1,40,1,1,41,1,1,52,1,1],
+    "method": [36,3,1,64,3,2,66,3,1],
+    "methodology": [66,2,1,66,5,1],
+    "micro": [17,3,1],
+    "microscopic": [17,3,1],
+    "might": [4,3,1,38,2,1,42,2,1],
+    "military": [57,1,4,57,3,2,57,5,1],
+    "millennia": [38,3,1],
+    "million": [23,3,1,26,3,1,36,5,1,57,3,1,61,3,1],
+    "millisecond": [5,3,1],
+    "mimick": [55,3,1],
+    "min": [20,0,1,20,1,2],
+    "mind": [30,4,4,31,4,4,32,4,4,33,4,4,34,4,4,35,4,4,36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2],
+    "minimal": [53,3,1],
+    "minimize": [0,2,1,0,5,1,5,1,2,5,2,1,5,5,2,36,5,1],
+    "minor": [60,3,1],
+    "minority": [64,3,1],
+    "minute": [3,3,1],
+    "misdiagnose": [27,3,2],
+    "misdiagnosis": [27,0,1,27,1,1],
+    "misinformate": [25,1,2,63,3,1],
+    "miss": [58,3,1,63,3,1],
+    "mistaken": [26,3,1],
+    "misuse": [25,5,1],
+    "mode": [28,3,1],
+    "model": [8,3,1,20,3,1,26,5,1,29,5,1,35,5,1,66,5,1],
+    "moderate": [3,3,1,25,3,1,25,5,1,29,0,1,29,1,4,29,2,1,29,3,2,29,5,1,53,3,1,63,0,1,63,1,6,63,3,2],
+    "moderator": [29,3,1],
+    "modificate": [18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,4,2,45,5,1],
+    "modify": [11,3,1],
+    "modular": [30,0,1],
+    "momentary": [65,3,1],
+    "moments": [23,2,1],
+    "money": [26,3,1],
+    "monitor": [11,5,2,15,3,1,15,5,1,17,5,2,18,3,1,18,5,1,19,0,1,19,1,3,19,2,1,19,3,2,19,5,6,22,1,1,22,2,1,22,3,2,22,5,4,49,1,2,49,3,1,49,4,2,50,3,1,50,4,2,51,4,2,51,5,2,52,4,2,53,4,2,53,5,1,54,4,2,55,4,2,56,4,2,57,4,2],
+    "month": [26,3,1,34,3,1,46,3,1,53,3,1],
+    "mood": [42,1,2],
+    "moral": [0,1,2,0,4,5,1,1,2,1,4,5,2,4,5,3,4,5,4,4,5,5,4,5,24,4,4,25,4,4,26,4,4,27,4,4,28,4,4,29,4,4,38,2,1,40,1,1,40,2,1,40,3,1,44,2,1,49,4,2,50,4,2,51,0,1,51,1,2,51,2,1,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2,58,1,2,58,2,1,58,4,3,59,4,3,60,4,3,61,4,3,62,4,3,63,2,1,63,4,3,64,2,1,64,4,3,65,4,3,66,4,3],
+    "more": [2,3,1,3,5,1,4,2,1,16,3,1,27,3,1,33,3,2,37,2,1,37,5,1,43,2,1,44,3,1,45,2,1,47,3,1,48,2,1,50,3,1,51,3,1,52,3,1,52,5,1,53,3,2,55,3,1,56,3,1,57,3,1,62,5,1],
+    "most": [23,2,1,38,3,1,62,3,1],
+    "motivate": [42,2,1,47,5,2],
+    "move": [50,3,1],
+    "much": [56,2,1],
+    "multi": [24,1,1,24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,28,5,1,29,4,2,34,5,1,58,3,1],
+    "multiple": [0,3,2,0,5,1,1,2,1,1,5,2,8,3,1,13,5,1,24,3,2,28,2,1,28,3,1,29,3,1,33,1,2,34,1,2,34,2,1,34,3,2,41,1,2,41,2,1,41,3,3,41,5,1,57,3,1,60,3,1],
+    "multiplicity": [41,1,2],
+    "municipal": [54,1,2],
+    "must": [1,3,2,2,3,2,3,3,2,4,3,1,5,3,1,6,3,1,7,3,1,8,3,1,39,3,1,41,3,1,52,3,1,52,5,1],
+    "mysterious": [6,3,1],
+    "mystery": [11,0,1],
+    "narrative": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "narrow": [1,3,1],
+    "natural": [5,5,2,42,5,1,51,5,2,54,5,1],
+    "nature": [40,3,1,56,5,1],
+    "navigate": [65,3,1],
+    "near": [58,3,3,61,3,1,64,3,2],
+    "necessary": [10,3,1,18,3,1,23,3,1,50,3,1,50,5,1],
+    "need": [3,3,1,8,2,1,12,3,1,43,2,1,43,3,1,44,3,1,44,5,1],
+    "neglect": [8,3,2,48,3,1],
+    "negligence": [24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2],
+    "negotiate": [33,5,1],
+    "neighborhood": [11,3,1,16,3,1,60,3,1],
+    "neither": [6,5,1],
+    "nest": [36,4,2,37,4,2,38,4,2,39,4,2,40,0,1,40,1,4,40,2,1,40,3,2,40,4,2,40,5,3,41,4,2],
+    "network": [34,1,2,34,3,3],
+    "neural": [42,1,2,42,3,1,47,3,1],
+    "neurological": [56,3,1],
+    "neutral": [29,5,1],
+    "never": [35,3,1,45,3,1,54,2,1,54,3,2,58,3,1,59,3,1],
+    "new": [28,3,1,30,5,3,32,5,1,35,3,1,35,5,1,45,5,1,54,5,1,56,5,2,63,3,1],
+    "night": [28,3,1],
+    "no": [1,2,1,5,5,1,7,3,2,8,3,1,19,5,1,21,5,1,23,5,1,25,3,1,47,3,1,51,3,1,52,3,1,52,5,1,53,3,1,55,3,1,57,2,1,65,5,2,66,3,1],
+    "noise": [16,3,1],
+    "non": [0,5,1],
+    "nor": [6,5,1],
+    "normalize": [49,1,2,49,4,2,50,4,2,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "not": [20,3,1,21,3,1,25,5,1,32,5,1,38,5,1,58,5,1,59,3,1],
+    "notice": [11,3,1,35,3,1],
+    "notificate": [21,5,1],
+    "now": [35,3,1,43,3,1,49,3,1,54,3,1,66,3,1],
+    "nuclear": [15,0,1,15,1,6,15,2,1,15,3,2],
+    "number": [0,3,1],
+    "obligate": [33,2,1,38,2,1,39,2,1,40,1,1,40,2,1,40,3,2,44,2,1],
+    "observate": [19,5,1],
+    "obtain": [21,5,1],
+    "occasional": [41,3,1],
+    "occupate": [24,1,2],
+    "occur": [26,3,1,47,3,1,58,5,1],
+    "occurrence": [58,5,1],
+    "offender": [37,3,1,59,3,2],
+    "offer": [22,5,1,38,3,1,38,5,1,39,3,1],
+    "officer": [16,3,2,25,3,1,57,3,1,57,5,1],
+    "official": [35,3,1],
+    "often": [61,2,1],
+    "olympic": [47,3,1],
+    "once": [30,5,1],
+    "one": [3,3,1,4,2,1,4,3,2,4,5,1,6,5,1,7,3,1,39,3,1,41,2,1,43,3,1,53,5,1,61,3,1,62,3,1,63,3,2,64,3,2,65,3,1,66,3,1],
+    "online": [29,1,4,29,5,1,63,1,2],
+    "only": [3,3,1,12,5,1,17,5,1,18,5,2,21,2,1,21,5,2,23,5,2,52,5,1,58,5,1,64,5,2],
+    "ontological": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "opaque": [6,2,1,6,4,1,7,3,1,7,4,1,8,3,1,8,4,1,9,0,1,9,2,1,9,4,1,10,4,1,11,2,1,11,3,2,11,4,1],
+    "operat": [24,3,1,26,2,1,28,3,1,33,3,1],
+    "operate": [4,1,2,12,3,1,15,3,2,15,5,2,24,3,1,24,5,1,28,5,1,30,5,1,34,3,1,34,5,1,35,3,1,57,3,1],
+    "operator": [15,2,1,24,2,1],
+    "opportunity": [9,2,1,11,1,1,62,5,1,66,1,2],
+    "opt": [18,3,2,18,5,1,19,5,1,21,5,1,22,5,1,44,3,1,44,5,1],
+    "optimal": [17,5,1],
+    "optimiz": [54,3,1],
+    "optimize": [3,5,1,54,2,1,54,3,1],
+    "option": [18,3,1,21,5,1,38,5,1,42,5,1],
+    "order": [6,5,1,17,3,1],
+    "organic": [54,5,1],
+    "origin": [41,5,1],
+    "original": [30,3,1,30,5,1,31,3,2,31,5,2,34,2,1,34,5,2,35,2,1,35,3,2,35,5,2,39,3,1,41,3,1,41,5,2],
+    "other": [0,5,1,4,5,1,9,3,1,28,2,1,28,5,2,61,3,1,62,3,1,63,3,1,64,3,1,65,3,1,66,3,2],
+    "our": [23,2,1,38,2,1,40,2,1,40,3,3],
+    "out": [18,3,2,21,5,1,44,3,1,44,5,1,59,3,1],
+    "outcome": [0,2,1,3,2,1,11,5,1,12,2,1,53,5,1,58,1,5,58,3,1,58,4,6,58,5,2,59,1,1,59,2,2,59,4,6,59,5,2,60,2,1,60,3,1,60,4,6,60,5,1,61,1,2,61,2,1,61,3,1,61,4,6,61,5,4,62,1,2,62,2,1,62,3,1,62,4,6,62,5,3,63,2,1,63,4,6,63,5,1,64,2,1,64,3,1,64,4,6,64,5,2,65,2,1,65,3,1,65,4,6,65,5,1,66,2,1,66,3,1,66,4,6,66,5,3],
+    "outdat": [28,3,1],
+    "outrage": [64,3,1],
+    "outside": [28,3,1],
+    "over": [0,5,1,1,3,1,1,5,1,2,2,1,2,3,1,14,2,1,15,2,1,16,2,1,30,3,2,31,3,1,46,2,1,50,3,1,51,3,1,53,3,1,56,3,1],
+    "overall": [0,2,1,0,5,1,11,5,1],
+    "overrid": [16,5,1],
+    "override": [7,3,1,7,5,1,8,2,1,12,1,1,12,2,1,12,3,2,12,5,2,13,0,1,13,1,1,13,2,1,13,3,1,13,5,1,14,2,1,14,5,1,15,0,1,15,2,1,15,3,1,15,5,2,16,0,1,16,5,1,17,2,1,17,5,1,23,0,1],
+    "overrul": [12,0,1],
+    "oversee": [24,5,1],
+    "oversight": [12,4,3,13,4,3,14,1,1,14,4,3,15,4,3,16,4,3,17,1,1,17,4,3,18,5,2,26,1,2,26,2,1,29,2,1,29,3,1,35,5,1,36,5,1,54,5,1],
+    "overwhelm": [29,3,1],
+    "own": [33,5,1,40,3,1],
+    "owner": [28,2,1,28,3,1,28,5,2],
+    "pain": [36,3,2],
+    "painful": [45,3,1,46,5,1],
+    "palliative": [46,1,2],
+    "panopticon": [18,1,2,18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,4,2],
+    "paradise": [45,0,1,45,1,1],
+    "paradox": [18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,4,2,49,4,3,50,4,3,51,4,3,52,4,3,53,4,3,54,4,3,55,4,3,56,4,3,57,4,3],
+    "parallel": [34,1,2],
+    "parameter": [25,3,1,35,5,1],
+    "parent": [19,3,2,28,3,1],
+    "parental": [19,1,1,19,2,1],
+    "parole": [7,0,1,7,1,1,7,2,1,7,3,3,7,5,3,59,1,2,59,3,2],
+    "part": [30,3,1,51,3,1,51,5,1,56,3,1],
+    "partial": [4,3,1,15,5,1],
+    "participant": [46,3,1],
+    "participate": [18,5,1],
+    "partition": [34,1,2,34,3,2],
+    "partner": [43,0,1,43,1,1,43,3,2,43,5,3],
+    "partnership": [43,5,1],
+    "party": [24,1,1,24,3,3,24,4,2,24,5,1,25,4,2,26,4,2,27,4,2,28,3,1,28,4,2,28,5,1,29,3,1,29,4,2,57,3,1,57,5,1],
+    "pass": [52,5,1],
+    "passenger": [0,1,2,0,2,2,0,3,4,0,5,4,1,2,1,1,3,2,1,5,3,13,3,1,65,3,1],
+    "past": [45,3,1],
+    "path": [1,3,1,2,5,1],
+    "patient": [3,1,2,3,2,1,3,3,3,3,5,3,6,1,2,6,3,2,10,1,4,10,2,1,10,3,1,12,1,2,12,3,1,20,1,5,20,2,2,20,3,4,20,5,2,27,1,2,27,2,1,27,3,3,46,1,2,46,3,2,50,1,2,50,3,1,62,1,2,62,3,3],
+    "pattern": [10,3,1,11,3,1,16,3,1,16,5,1,19,3,1,21,3,1,35,3,1,59,3,1,59,5,1,60,3,1],
+    "pedestrian": [0,1,2,0,3,2,1,2,1,5,3,1,28,1,2,28,3,1,58,3,1],
+    "pend": [7,5,1],
+    "people": [4,2,1,4,3,2,4,5,1,5,3,1,18,3,1,43,3,1,44,3,1,44,5,2,45,5,1,47,3,2,48,3,3],
+    "perfect": [17,2,1,17,3,2,39,3,2,42,3,1,43,2,1,43,3,2,45,2,1,45,3,2,45,5,1,46,0,1,46,2,1,46,3,1,46,5,2,48,3,2,63,5,1],
+    "perfectionism": [17,2,1],
+    "perform": [26,3,1],
+    "performance": [54,5,1],
+    "periodic": [51,5,1,53,5,1],
+    "permanent": [27,3,2,44,5,1],
+    "permit": [10,2,1,36,3,1,36,5,1],
+    "perpetuate": [11,2,1],
+    "persistence": [30,1,2,30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "person": [4,3,4,32,3,3,32,5,2,39,2,1,41,3,1,43,3,1,45,3,1,52,3,1,56,3,2,56,5,1,60,3,1],
+    "personal": [21,1,2,30,4,2,31,4,2,32,1,1,32,3,1,32,4,2,33,4,2,34,4,2,35,4,2,41,2,1,42,5,1,44,5,1,45,3,1,50,5,1],
+    "personality": [31,0,1,31,1,4,31,3,3,31,5,2,32,3,1,33,3,3,39,3,1],
+    "personaliz": [46,3,1],
+    "personalize": [53,2,1],
+    "personhood": [30,1,2,30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2,52,0,1,52,1,8,52,2,1,52,3,1,52,5,2],
+    "pervasive": [18,0,1],
+    "philosophy": [30,4,3,31,4,3,32,4,3,33,4,3,34,4,3,35,4,3],
+    "phone": [28,3,1,58,3,1],
+    "photo": [21,3,1],
+    "physical": [30,3,1,30,5,1,37,2,1,37,3,2,37,5,5,44,5,1,48,3,1,48,5,1],
+    "physician": [27,5,2],
+    "pick": [58,3,1],
+    "pinpoint": [55,3,1],
+    "place": [5,3,1],
+    "plan": [5,1,2],
+    "plant": [15,0,1,15,1,1],
+    "platform": [4,3,1,21,2,1,25,2,1,25,3,1,25,5,2,29,1,3,29,3,3,29,5,4,63,1,2,63,3,3,63,5,3],
+    "pleasant": [45,3,1],
+    "pleasurable": [44,3,2],
+    "pleasure": [42,4,2,43,4,2,44,1,2,44,2,1,44,4,2,45,4,2,46,4,2,47,4,2,48,3,2,48,4,2],
+    "point": [6,5,1,49,2,1,50,3,1,51,2,1,52,3,1,55,3,1,56,3,1],
+    "polic": [16,1,2,60,0,1,60,1,4,60,3,2,60,5,1],
+    "police": [16,0,1,16,1,5,16,2,1,25,3,1,60,1,2,60,3,1],
+    "policy": [48,5,1,54,3,1],
+    "poor": [62,5,1,63,5,1],
+    "popular": [21,3,1],
+    "populat": [36,3,1],
+    "populate": [1,1,1,8,1,2],
+    "positive": [59,5,2],
+    "possession": [41,2,1],
+    "possibility": [4,2,1],
+    "post": [26,5,1,29,3,1,36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2,58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "posthuman": [32,1,2,39,1,2,56,1,2],
+    "posthumanism": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "postpone": [7,5,1],
+    "posture": [19,3,1],
+    "potential": [1,5,1,2,2,1,2,3,2,3,2,1,3,5,1,5,5,1,8,2,1,8,3,2,11,3,1,14,3,2,16,2,1,20,3,2,36,5,1,37,5,1,40,3,1,47,3,1,58,5,2,59,3,1],
+    "power": [15,0,1,15,1,1,15,3,1,15,5,1,19,0,1,22,3,1],
+    "powerful": [33,3,1],
+    "practice": [21,5,1,23,5,1],
+    "praise": [62,2,1,64,3,1],
+    "pre": [60,1,3,60,3,1],
+    "precautionary": [15,1,1,15,2,1],
+    "predetermin": [1,5,1],
+    "predict": [6,3,2,11,5,1,21,3,1,60,2,1,60,3,1,60,5,1],
+    "prediction": [6,1,1,7,1,2,59,1,4,60,1,2,60,2,1,60,3,2,60,5,2],
+    "predictive": [18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,4,2,49,3,1,59,1,2,60,0,1,60,1,4,60,2,1,60,3,2,60,5,3],
+    "prefer": [43,3,1,47,3,1],
+    "preference": [0,2,1,23,5,1,34,3,1,43,3,1,48,0,1,48,1,3,53,3,1],
+    "prejudice": [53,3,1],
+    "preliminary": [8,5,1],
+    "preparate": [65,1,1,65,3,1],
+    "preparedness": [62,5,1],
+    "preserv": [30,5,1,33,3,1,33,5,1,38,5,1,45,5,1],
+    "preservate": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1,31,5,1,33,1,2,39,1,2,39,5,2],
+    "preserve": [31,5,2,33,2,1,33,3,1,33,5,2,34,5,1,38,5,1,39,2,1,39,3,1,42,5,1,43,5,1,45,5,1,50,5,1],
+    "pressur": [13,3,1,27,3,1],
+    "prestigious": [9,3,1],
+    "prevent": [14,3,2,22,3,1,23,5,1,25,5,1,28,3,1,29,2,1,40,5,1,41,5,1,51,2,1,51,5,1,53,2,1,53,5,2,54,2,1,58,3,1,63,5,1],
+    "preventable": [65,5,1],
+    "prevention": [18,3,1,60,1,2,65,1,2],
+    "primari": [27,5,1,29,5,1,61,5,1,66,2,1,66,5,1],
+    "primary": [24,5,1,27,5,2,28,5,1,34,5,1],
+    "principle": [15,1,1,28,5,1],
+    "prioritiz": [1,5,1],
+    "prioritize": [0,2,1,0,3,1,0,5,2,1,2,1,1,5,1,2,2,1,2,5,1,3,1,2,3,2,1,3,5,1,4,5,1,12,5,1,17,2,1,25,5,1,42,2,1,50,5,1],
+    "priority": [0,5,1,3,5,1,35,2,1,35,3,2,41,5,1],
+    "prison": [37,0,1,37,1,3,37,3,1,37,5,3],
+    "prisoner": [37,3,1],
+    "privacy": [18,1,2,18,2,1,18,4,4,19,1,2,19,4,4,20,1,2,20,4,4,21,1,2,21,4,4,22,1,2,22,4,4,23,0,1,23,1,7,23,2,1,23,4,4,49,1,4],
+    "private": [23,2,1,23,3,2],
+    "proactive": [22,5,1],
+    "probabilistic": [58,1,1,58,4,2,59,1,2,59,3,1,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "probability": [3,2,1,3,3,1,3,5,2,4,1,1,58,4,2,59,1,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "problem": [0,4,2,1,4,2,2,4,2,3,4,2,4,4,2,5,4,2,49,4,2,50,4,2,51,4,2,52,3,1,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "problematic": [53,3,2],
+    "proce": [20,5,1,36,5,1],
+    "procedural": [6,4,2,7,1,2,7,4,2,8,1,2,8,4,2,9,4,2,10,4,2,11,4,2],
+    "procedure": [12,5,1,15,3,1,64,5,1],
+    "proceed": [8,5,1],
+    "process": [6,2,1,6,4,2,7,1,2,7,4,2,8,1,1,8,4,2,9,4,2,9,5,2,10,3,1,10,4,2,11,3,2,11,4,2,13,5,1,21,3,1,23,5,1,27,3,1,38,3,1,39,3,1,41,3,1,45,5,1,49,5,1,54,5,1,57,3,1,58,1,2,58,3,1,58,4,2,59,2,1,59,4,2,59,5,1,60,4,2,61,2,1,61,4,2,61,5,5,62,4,2,63,3,1,63,4,2,64,4,2,64,5,3,65,3,1,65,4,2,66,2,1,66,4,2,66,5,2],
+    "product": [17,1,2,17,2,1,17,3,3,17,5,1,24,1,2,24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2],
+    "production": [17,0,1,17,1,2,17,3,2,17,5,4],
+    "productivity": [22,5,1],
+    "professional": [6,2,1,12,1,1,27,2,1,27,5,1],
+    "profil": [18,4,2,19,4,2,20,4,2,21,0,1,21,1,4,21,3,1,21,4,2,21,5,5,22,4,2,23,4,2,60,1,2],
+    "profile": [21,2,1,21,3,3],
+    "profit": [61,3,1],
+    "profitability": [11,5,1],
+    "profitable": [20,3,1],
+    "program": [0,1,1,0,2,1,0,5,3,1,5,3,2,2,1,2,5,3,12,5,1,24,3,1,24,5,1,31,3,1,31,5,1,35,1,2,35,2,1,35,3,2,35,5,1,43,2,1,43,3,1,55,3,1],
+    "programmer": [24,3,1,24,5,1,57,3,1,57,5,1],
+    "progress": [66,1,2],
+    "prohibit": [22,5,1,36,5,1,39,5,1,45,5,1],
+    "promot": [22,3,1],
+    "promotion": [22,3,1],
+    "pronounc": [51,3,1],
+    "proof": [55,5,1],
+    "proper": [26,5,1],
+    "property": [25,3,1,32,3,1,52,1,2,52,2,1,52,3,1],
+    "proportional": [2,1,2,24,5,1,28,5,2],
+    "propose": [37,3,1,42,3,1],
+    "proprietary": [6,3,2,6,4,1,7,4,1,8,4,1,9,4,1,10,4,1,11,4,1],
+    "prosecut": [25,5,1],
+    "protect": [0,3,1,0,5,1,40,5,1,50,3,1],
+    "protection": [0,1,1,0,2,1,0,5,1,1,1,1,8,0,1,8,1,2,8,2,1,15,1,1,18,5,1,22,5,1,29,1,2,50,5,1,52,5,1,55,2,1,55,5,2],
+    "protocol": [3,5,1,12,5,1,13,1,1,15,2,1,16,5,1,24,1,2,24,3,2,39,5,1,41,5,1,62,3,1,62,5,2,65,3,1],
+    "prove": [54,5,1],
+    "proven": [6,5,1,7,5,1,10,5,1],
+    "provid": [12,5,1,15,3,1,42,3,1,44,5,1,62,5,1],
+    "provide": [6,5,1,7,5,1,8,3,1,9,5,1,10,5,1,14,5,1,18,2,1,43,3,1,44,2,1,44,3,1,45,5,1,46,2,1,47,2,1,47,3,3,48,2,1,48,5,1,49,5,1,54,5,1],
+    "provider": [27,2,1],
+    "psychological": [19,2,1,21,1,2,21,2,1,21,3,3,21,5,1,30,4,2,31,1,3,31,4,2,32,1,1,32,4,2,33,4,2,34,4,2,35,4,2,37,2,1,42,4,2,43,4,2,44,4,2,45,1,3,45,3,1,45,4,2,45,5,1,46,4,2,47,1,1,47,2,1,47,3,1,47,4,2,47,5,1,48,4,2],
+    "public": [5,1,2,15,1,1,16,1,1,18,1,2,18,2,1,18,3,3,18,5,2,25,1,1,54,3,2,54,5,1,64,3,1],
+    "punish": [60,5,1],
+    "pure": [58,2,1,58,3,1],
+    "purpose": [20,3,1,21,2,1,21,3,1,22,3,1,23,3,1,35,2,1,36,2,1,43,5,1],
+    "pursu": [47,3,1],
+    "pursuit": [46,2,1],
+    "qualify": [9,3,2,52,5,1],
+    "quality": [17,1,4,17,2,2,17,3,2,17,5,5,58,5,1,59,2,1,61,5,3,66,2,1,66,5,1],
+    "question": [25,3,1,26,3,1,27,3,1,30,3,1,33,3,1,36,3,1,38,3,1,39,3,1,40,3,2,42,3,1,44,3,1,46,3,1,47,3,1,56,3,1,58,3,1,60,3,1,62,3,1,63,3,1,65,3,1],
+    "quick": [62,3,1],
+    "radicaliz": [53,3,2],
+    "radicalize": [53,1,4],
+    "radiologist": [27,3,1],
+    "rais": [25,3,1,30,3,1,33,3,1,36,3,1,38,3,1,39,3,1,40,3,1,42,3,1,44,3,1,46,3,1,56,3,1,58,3,1,60,3,1,62,3,1,65,3,1],
+    "ran": [28,3,1],
+    "random": [0,5,1,58,4,2,59,4,2,60,4,2,61,3,2,61,4,2,62,3,2,62,4,2,63,3,2,63,4,2,64,4,2,65,4,2,66,3,1,66,4,2],
+    "randomiz": [0,5,1,1,5,1],
+    "randomness": [61,1,1],
+    "rapid": [13,5,1],
+    "rare": [27,3,2],
+    "rate": [12,3,2,63,3,1],
+    "rather": [46,3,1,47,5,1,60,5,1,61,5,1,62,5,1,64,2,1,64,5,1,66,5,1],
+    "re": [20,3,1,30,5,1,60,2,1],
+    "reach": [6,3,1],
+    "reactor": [15,1,2,15,3,3,15,5,3],
+    "read": [15,3,2],
+    "ready": [16,5,1],
+    "real": [19,5,1,25,2,1,25,3,2,34,3,1,36,2,1,36,3,1,36,5,1,37,3,1,38,3,1,40,3,1,44,2,1,44,3,1,44,5,2,45,5,1,46,5,1,47,3,2,47,5,3,48,3,1,48,5,1,51,5,1,63,3,2],
+    "reality": [36,4,8,37,1,2,37,2,1,37,4,8,38,1,4,38,2,1,38,3,1,38,4,8,38,5,2,39,4,8,40,0,1,40,1,8,40,3,4,40,4,8,40,5,1,41,4,8,42,4,2,43,4,2,44,0,1,44,1,6,44,3,2,44,4,2,45,4,2,46,2,1,46,3,2,46,4,2,46,5,2,47,1,1,47,2,1,47,3,1,47,4,2,48,0,1,48,1,6,48,2,1,48,4,2,48,5,2],
+    "realiz": [54,3,1],
+    "realize": [49,3,2,54,3,1],
+    "reason": [6,3,2,6,5,1,7,2,1,7,5,1,8,2,1,8,3,1,8,5,1,9,3,1,10,2,1,10,3,1,11,3,1,59,2,1,59,5,1],
+    "reasonab": [65,5,1],
+    "reasonable": [49,2,1,49,3,2],
+    "recalibrate": [17,3,1,17,5,1],
+    "receive": [3,3,1,32,3,1,42,5,1,64,3,1,66,3,2],
+    "recent": [15,3,1,28,3,2],
+    "recidivism": [7,1,2,59,1,2],
+    "reckless": [59,3,1],
+    "reclassify": [56,5,1],
+    "recognition": [16,5,1,18,1,2,18,3,2,18,4,1,18,5,2,19,4,1,20,4,1,21,4,1,22,4,1,23,3,1,23,4,1,32,5,1,34,5,1,49,3,1],
+    "recogniz": [63,5,2],
+    "recognize": [32,5,2,34,5,1,35,5,1,47,5,1,48,5,1],
+    "recommend": [16,3,1,16,5,2,59,3,1],
+    "recommendate": [6,2,1,6,3,1,6,5,4,7,3,1,7,5,3,8,3,1,8,5,1,9,5,1,10,5,1,12,5,1,13,5,2,14,5,2,16,5,1,27,3,1,27,5,1,53,1,2,53,3,5,53,5,2,54,3,1,59,3,1,59,5,1],
+    "reconstruction": [45,3,1,45,5,2],
+    "record": [6,5,1,7,5,1,9,5,1,10,3,1,20,3,1,20,5,1,23,3,4,23,5,7],
+    "recovery": [3,5,1],
+    "recursion": [40,5,1],
+    "redirect": [5,2,1,5,3,2,5,5,2],
+    "reduc": [15,5,1,18,3,1],
+    "reduce": [27,3,1,36,2,1,36,3,1,36,5,1,45,5,1],
+    "reduction": [36,3,1],
+    "reflection": [55,3,1],
+    "reform": [16,1,1,37,1,2,37,5,1],
+    "refuse": [6,3,1,13,3,1,14,3,1],
+    "regardless": [3,2,1,3,5,1,14,5,1,28,5,1,29,5,1,30,5,1,36,5,1,38,5,1,41,5,1,42,3,1,49,5,1,52,5,1,54,5,1,56,5,2,57,5,1,58,5,1,61,5,1,62,5,1,63,5,1,64,5,1,65,5,2],
+    "regional": [15,3,1],
+    "regular": [11,5,1,18,5,1,50,5,1,51,5,1,53,5,1],
+    "regulat": [36,5,1,39,5,1,41,5,1],
+    "regulate": [26,1,2,42,1,2],
+    "regulator": [61,2,1],
+    "regulatory": [27,2,1],
+    "rehabilitate": [37,1,4,37,2,1,37,3,2,37,5,1],
+    "reinforce": [53,3,1],
+    "reintegrate": [59,3,1],
+    "reject": [7,5,1,9,3,2,19,5,1,22,5,1,37,5,1,38,5,1,46,5,1,60,5,1],
+    "rejection": [9,3,1],
+    "relationship": [21,1,2,21,3,1,30,1,1,30,2,1,30,3,1,31,1,2,32,3,1,33,3,2,34,3,1,34,5,1,41,2,1,42,4,4,43,1,5,43,2,2,43,3,2,43,4,4,43,5,3,44,4,4,45,3,1,45,4,4,46,4,4,46,5,1,47,4,4,48,4,4],
+    "releas": [59,3,2],
+    "release": [59,3,1],
+    "relevant": [10,5,1],
+    "reliability": [63,1,1,63,5,1],
+    "reliable": [27,5,1],
+    "rely": [22,5,1],
+    "remain": [4,5,1,16,5,1,46,3,1],
+    "remind": [50,3,1],
+    "removal": [45,1,2],
+    "remove": [20,5,1,45,3,2,63,3,1],
+    "reoffend": [59,3,2],
+    "replac": [30,3,2,30,5,1,37,3,1,45,3,1,56,2,1],
+    "replace": [30,0,1,30,1,2,30,2,1,30,5,2,37,5,1,45,5,1,47,5,1,56,3,2],
+    "report": [19,3,1,19,5,1,22,3,1,22,5,1,29,2,1,29,3,2,55,5,1],
+    "request": [2,5,1,23,3,1,55,3,1],
+    "requir": [12,5,1,30,5,1],
+    "require": [6,2,1,6,5,1,8,5,1,9,5,1,10,5,2,11,5,1,21,5,1,42,5,1,44,5,1,49,5,1,54,5,1,55,5,1],
+    "rerout": [2,0,1,2,1,2,2,3,1],
+    "reroute": [2,3,1,2,5,1],
+    "rescue": [4,0,1,4,1,8,4,2,1,4,3,4,4,5,5],
+    "research": [20,1,2,20,5,1,36,1,3,36,2,1,36,3,1,36,5,4,52,3,2,66,0,1,66,1,7,66,2,2,66,3,3,66,5,2],
+    "researcher": [36,3,2],
+    "reset": [31,3,1,31,5,1,35,5,1,51,5,2,53,5,2],
+    "resilience": [63,5,1],
+    "resource": [3,1,3,3,3,2,3,5,1,4,5,1,41,3,2],
+    "respect": [31,5,1],
+    "respective": [26,5,1],
+    "response": [2,1,2,4,1,4,13,1,1,16,1,2,16,2,1,16,3,3,16,5,3,52,3,1,55,3,2,58,5,1,62,0,1,62,1,2,63,3,1],
+    "responsibility": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1,24,2,1,24,3,1,24,4,13,24,5,4,25,2,1,25,4,13,26,2,1,26,4,13,26,5,3,27,2,1,27,4,13,27,5,5,28,2,1,28,4,13,28,5,3,29,2,1,29,4,13,29,5,4,30,2,1,46,5,1,48,3,1,48,5,1,57,2,1,57,5,3,60,3,1,62,5,2,63,1,2,63,2,1,63,3,1,63,5,3,65,2,1,65,5,1],
+    "responsible": [24,3,1,24,5,2,25,5,2,26,5,2,27,5,1,29,5,1,51,2,1,57,5,1,58,5,1,63,5,1],
+    "restor": [34,3,1,41,3,2],
+    "restorate": [41,1,2],
+    "restore": [31,5,1,35,5,1],
+    "restrict": [42,5,1,43,5,1,50,3,1],
+    "result": [4,3,1,38,3,1,41,3,1,57,3,1,59,2,1,59,5,1,61,5,1,66,3,1,66,5,1],
+    "retain": [14,2,1],
+    "retrain": [51,5,2],
+    "reveal": [38,5,1],
+    "review": [8,5,2,9,5,1,10,5,2,15,3,1,18,5,1,27,3,1,30,5,1,49,5,2],
+    "ride": [1,5,1],
+    "right": [6,1,1,6,4,2,7,4,2,8,1,2,8,4,2,9,1,2,9,4,2,10,1,2,10,4,2,11,4,2,18,1,2,18,4,4,19,1,2,19,4,4,20,1,2,20,4,4,21,4,4,22,1,4,22,4,4,23,2,1,23,4,4,30,1,2,31,2,1,32,2,1,32,5,3,34,5,1,38,1,5,38,3,1,40,5,1,41,1,1,41,3,1,41,5,4,50,5,1,52,1,4,52,3,1,52,5,3,55,2,1,55,3,1,55,5,4,56,2,1,56,5,1],
+    "rigor": [66,5,1],
+    "rigorous": [55,5,1,66,3,1],
+    "riot": [25,0,1,25,3,1],
+    "risk": [0,1,1,2,1,3,2,2,1,2,3,1,2,5,3,4,1,2,4,2,1,4,5,2,6,3,2,7,1,2,7,3,2,7,5,1,13,1,1,13,2,1,14,1,1,15,1,3,18,5,1,20,3,1,26,1,2,36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2,58,4,2,58,5,1,59,1,2,59,3,2,59,4,2,60,3,2,60,4,2,61,3,1,61,4,2,61,5,1,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "riskier": [4,3,1],
+    "risky": [4,3,1,58,1,2,58,3,2],
+    "road": [28,2,1,28,5,3,58,3,1],
+    "robot": [2,1,3,2,2,1,2,3,2,2,5,3,12,0,1,12,1,1,24,0,1,24,1,3,24,3,3,24,5,2,30,0,1,30,1,6,30,3,3,30,5,2,50,0,1,50,1,3,50,3,1,50,5,3],
+    "robotic": [12,1,2,24,3,1,30,1,2],
+    "rogue": [25,3,1],
+    "role": [26,5,1,27,5,1,65,5,1,66,5,1],
+    "romantic": [43,1,2,43,3,2],
+    "routine": [24,3,1],
+    "rule": [54,1,2,54,3,1],
+    "run": [1,3,1,36,3,1],
+    "runaway": [5,3,2],
+    "s": [0,5,1,6,3,1,6,5,2,7,5,1,8,3,2,8,5,1,9,3,1,9,5,1,10,3,1,11,3,1,12,3,3,13,3,1,13,5,1,15,3,1,18,3,1,23,3,1,24,5,2,25,3,1,27,3,1,28,3,2,29,3,4,30,2,1,31,5,1,32,3,1,35,3,1,35,5,2,38,5,3,43,3,1,50,5,1,55,3,2,55,5,1,56,2,1,58,3,1,59,2,1,59,5,2,60,3,1,60,5,1,62,2,1,62,3,2,63,3,2,66,3,1],
+    "sacrific": [0,2,1],
+    "sacrifice": [0,3,2,0,4,1,0,5,1,1,4,1,2,4,1,3,4,1,4,4,1,5,0,1,5,4,1],
+    "safe": [28,5,1,29,3,1,65,3,1],
+    "safeguard": [25,5,1,26,5,1,36,5,1,42,5,1],
+    "safety": [0,1,1,0,3,1,0,5,1,1,5,1,2,1,2,2,2,1,2,5,1,5,1,2,8,5,1,12,1,2,13,1,4,13,2,1,13,5,4,15,1,5,15,2,1,15,3,2,15,5,1,16,1,1,17,1,2,18,1,2,18,2,1,18,3,1,18,5,1,24,1,7,24,3,2,25,1,1,28,1,7,28,3,2,29,1,2,31,5,1,49,5,1,50,3,1,50,5,1,54,3,1,63,1,2,65,1,5,65,3,2],
+    "sale": [21,3,1,21,5,2],
+    "salvate": [4,2,1],
+    "same": [15,3,1,30,3,3,34,2,1,34,3,1,39,2,1,41,2,1,41,3,2,61,3,1,62,3,1,63,3,1,64,5,1,65,3,1],
+    "sampl": [17,5,1],
+    "satisfaction": [42,4,2,43,4,2,44,3,1,44,4,2,45,4,2,46,4,2,47,1,3,47,2,1,47,3,2,47,4,2,48,4,2],
+    "sav": [3,1,1,3,3,1,4,1,2,4,2,1,4,3,4,4,5,1,66,3,1],
+    "save": [0,3,2,3,3,1,4,3,1,4,5,1,20,3,1,62,3,1],
+    "scale": [52,5,1],
+    "scam": [50,3,1],
+    "scarce": [3,1,1],
+    "scenario": [57,3,1],
+    "schedul": [33,3,1],
+    "schedule": [13,3,1,50,3,1],
+    "school": [19,1,2,19,3,1,28,0,1,28,1,2,28,3,3],
+    "scientific": [47,3,1,55,5,2,66,1,6],
+    "scientist": [40,3,2,55,3,1],
+    "scor": [11,1,1,49,3,1],
+    "score": [7,3,3,11,0,1,11,1,1],
+    "scratch": [51,5,1],
+    "screen": [6,5,1,10,5,1],
+    "scrutiny": [64,5,1],
+    "search": [4,3,1],
+    "second": [58,3,1],
+    "security": [23,1,2,23,5,1,49,2,1,49,3,1,49,5,1],
+    "see": [17,3,1],
+    "seek": [20,5,2,32,3,1,38,2,1,38,5,1,44,1,2],
+    "seem": [49,3,2,50,3,1,51,3,1,53,3,2,54,3,1,55,3,1],
+    "seeming": [9,3,1,29,3,1],
+    "select": [9,5,1],
+    "selection": [34,5,1],
+    "selective": [17,5,1,31,5,1,45,3,2,45,5,1],
+    "self": [0,1,1,0,3,1,1,3,1,19,5,1,22,5,1,28,1,1,28,3,2,28,5,1,30,4,1,31,2,1,31,4,1,32,4,1,33,4,1,34,2,1,34,4,1,35,4,1,46,2,1,47,3,1,52,3,1,55,3,1,55,5,1,60,5,1],
+    "send": [16,3,1,16,5,2,19,3,1],
+    "sensitive": [1,5,1],
+    "sensor": [15,3,2,15,5,1,30,3,1],
+    "sentenc": [37,5,1],
+    "sentence": [37,3,2],
+    "sentience": [55,1,7,55,3,1],
+    "sentient": [36,3,1],
+    "separate": [34,2,1,34,3,1,41,5,1],
+    "sequential": [4,5,1],
+    "serious": [29,2,1,29,3,1,37,5,1,60,3,2],
+    "serv": [3,2,1,3,5,1],
+    "serve": [37,3,1],
+    "server": [34,3,1,63,1,2,63,3,2],
+    "service": [8,1,2,8,3,1,11,1,1,21,2,1,21,3,3,21,5,1,23,3,1,30,1,3,30,2,1,30,3,3,54,3,1],
+    "set": [23,5,1,45,5,1,49,5,1],
+    "several": [1,3,2,34,3,1],
+    "severe": [45,3,1,46,5,1,65,3,1],
+    "severity": [58,5,1],
+    "shape": [9,2,1],
+    "shar": [23,3,2,23,5,1,25,5,1,26,5,1,27,5,1,29,5,1,33,5,1,62,5,1,63,5,1],
+    "share": [24,3,1,29,5,1,57,5,1],
+    "shift": [35,3,1,50,3,1],
+    "ship": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "show": [14,3,1,25,3,1,52,3,1],
+    "shut": [15,3,1],
+    "shutdown": [15,1,1,15,3,1,15,5,4],
+    "sid": [53,5,1],
+    "side": [5,3,1],
+    "signal": [2,5,2,5,3,1],
+    "significant": [17,3,1,17,5,1,26,3,1,35,3,1,44,5,1,49,5,1,66,2,1,66,3,1],
+    "similar": [61,3,1,63,5,1,64,3,2,64,5,1,66,3,1],
+    "simp": [59,5,1],
+    "simple": [52,3,1],
+    "simulat": [36,0,1,36,1,4,36,2,1,36,3,2,36,4,1,36,5,1,37,3,2,37,4,1,38,1,2,38,2,1,38,4,1,38,5,1,39,2,1,39,4,1,40,2,1,40,3,3,40,4,1,40,5,1,41,4,1,46,1,2,46,2,1,46,3,2,46,5,1,47,5,4],
+    "simulate": [32,5,1,36,1,2,36,3,1,36,4,8,36,5,1,37,1,2,37,4,8,38,0,1,38,1,4,38,3,2,38,4,8,39,3,2,39,4,8,40,1,8,40,2,2,40,3,4,40,4,8,40,5,6,41,4,8,43,1,2,46,0,1,46,1,2,46,2,1,46,3,3,46,5,5,47,1,4,47,3,1,47,5,1,55,3,1],
+    "simultaneous": [41,3,2],
+    "since": [64,5,1],
+    "single": [0,5,1,1,2,1,4,3,1,33,3,2,33,5,1,51,3,1,53,3,2,57,2,1],
+    "situate": [1,2,1,5,5,1,12,2,1,16,2,1,16,3,2,62,3,1],
+    "skeptic": [55,3,1],
+    "skill": [12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,43,5,1],
+    "slid": [52,5,1],
+    "slight": [53,3,1],
+    "slip": [29,5,1],
+    "slippery": [49,4,2,50,4,2,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "slope": [49,4,2,50,4,2,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "slow": [51,3,1],
+    "small": [49,3,1],
+    "smaller": [5,3,1,5,5,1],
+    "smart": [4,5,1,5,0,1,5,1,2,17,0,1,17,1,2,17,3,1,18,0,1,18,1,2,23,0,1,23,1,3,23,2,1,23,3,2,35,1,2,35,3,2,54,1,2],
+    "social": [8,1,4,8,3,2,16,1,1,16,3,1,16,5,1,18,1,1,18,4,3,19,4,3,20,4,3,21,1,2,21,4,3,22,4,3,23,4,3,25,1,3,25,3,1,25,5,1,29,1,4,29,3,2,29,5,2,42,3,1,43,5,2,44,1,1,49,3,1,53,1,2,53,3,1,56,5,1,63,3,1],
+    "societal": [44,1,2,44,3,1,44,5,1],
+    "society": [20,2,1,41,3,1,42,2,1,42,5,1,44,5,1,48,2,1,52,3,2,59,3,1],
+    "sociotechnical": [12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2],
+    "software": [24,5,1,28,1,1,28,3,2,58,3,1],
+    "sold": [21,3,1],
+    "sole": [8,3,1],
+    "solutionism": [12,4,1,13,4,1,14,4,1,15,4,1,16,4,1,17,4,1],
+    "solv": [52,3,1],
+    "some": [19,3,1,22,3,1,28,3,1,51,5,1],
+    "someone": [56,2,1,60,3,1],
+    "someth": [56,3,2],
+    "sometime": [41,3,1],
+    "sophisticat": [32,3,1,32,5,1,47,3,1,52,3,2,52,5,2,55,3,2,55,5,1],
+    "sorite": [49,4,3,50,4,3,51,4,3,52,4,3,53,4,3,54,4,3,55,4,3,56,4,3,57,4,3],
+    "sort": [18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,4,2],
+    "soundness": [61,5,1],
+    "source": [8,3,1],
+    "sovereignty": [18,4,2,19,4,2,20,4,2,21,4,2,22,4,2,23,4,2],
+    "space": [1,1,1,1,3,1,18,2,1,18,3,2],
+    "spe": [0,5,1,28,3,1],
+    "specialist": [16,3,1,16,5,2],
+    "specific": [5,2,1,12,3,1,20,2,1,20,5,1,21,5,1,23,5,1,30,5,1,32,5,1,37,5,1,52,5,1,56,5,1],
+    "specifical": [29,3,1],
+    "specificate": [17,3,1,31,3,1,31,5,1,35,5,1],
+    "spend": [44,3,1,44,5,1,46,3,1,48,3,1],
+    "spike": [63,3,2],
+    "split": [0,0,1,33,3,1,34,1,2,34,2,1,34,3,2],
+    "spread": [25,5,1,63,3,1,63,5,1],
+    "stability": [14,1,2,26,1,2],
+    "stable": [4,3,1],
+    "staff": [9,3,1],
+    "stand": [30,1,2,30,3,2,30,4,2,30,5,1,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "standard": [17,1,2,17,2,1,17,3,1,17,5,1,63,5,2,64,2,1,64,5,2],
+    "start": [49,3,1,50,3,1,52,3,1,53,3,1,54,3,1],
+    "stat": [22,2,1],
+    "state": [2,3,1,18,4,2,19,3,1,19,4,2,20,4,2,21,4,2,22,2,1,22,3,2,22,4,2,23,4,2,35,5,1,49,1,2,49,3,2],
+    "statistic": [16,3,1],
+    "statistical": [3,5,1,12,2,1,12,3,2,12,5,1,58,4,2,59,1,2,59,3,1,59,4,2,60,1,2,60,3,1,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "status": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2,41,5,1,52,5,1],
+    "stay": [1,5,1],
+    "step": [50,3,1],
+    "still": [30,3,1,42,3,1,58,2,1],
+    "stock": [26,0,1,26,3,1],
+    "stop": [2,5,2,14,3,1,20,5,1,56,3,1],
+    "straight": [1,5,1],
+    "strategy": [61,3,1],
+    "street": [5,3,2,28,3,1],
+    "stress": [16,3,1,22,3,1],
+    "strict": [3,2,1,3,5,1,24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,28,5,2,29,4,2,36,5,1,39,5,1,40,5,1,41,5,1,49,5,1,57,5,2],
+    "strike": [28,3,2],
+    "strong": [18,5,1],
+    "student": [9,1,2,9,2,1,9,3,2,9,5,1,19,1,4,19,2,2,19,3,4,19,5,4],
+    "study": [36,3,1,59,5,1],
+    "sub": [40,3,3],
+    "subjective": [47,2,1,47,3,2],
+    "substrate": [36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2],
+    "subt": [51,3,1,53,3,2],
+    "subtle": [29,3,1,51,3,1,64,3,1],
+    "success": [12,3,2,47,1,4,47,2,1,48,3,2,54,5,1,59,5,1,61,2,1,61,3,1,63,3,1],
+    "successful": [9,5,1,46,3,1,59,3,1,59,5,2,62,3,1,63,3,1,65,3,1,66,3,1,66,5,1],
+    "succession": [41,5,1],
+    "such": [32,2,1],
+    "sudden": [14,3,1,61,3,1,65,3,2],
+    "suffer": [36,0,1,36,1,3,36,2,2,36,3,4,36,5,4,42,2,1,42,3,1,42,5,2,45,2,1,45,3,1],
+    "sufficient": [25,5,1,47,2,1],
+    "suggest": [12,3,1],
+    "suicide": [29,3,1],
+    "suit": [43,2,1],
+    "supervis": [26,3,1],
+    "supervision": [24,3,1,26,1,1,26,5,1,28,3,1],
+    "supervisor": [17,3,2,17,5,1,24,3,1,24,5,3,26,2,1,26,3,1,26,5,1],
+    "support": [3,3,1,12,1,1,12,4,1,13,4,1,14,4,1,15,4,1,16,4,1,17,4,1,19,5,1,22,5,1,38,5,1,39,5,1,43,5,1,44,5,2,45,5,2,46,5,1,48,2,1,48,5,2,50,5,1,62,5,1],
+    "supportive": [60,5,1],
+    "surge": [61,3,1],
+    "surgeon": [12,0,1,12,1,2,12,3,4,12,5,2],
+    "surgery": [12,3,1],
+    "surgical": [12,1,3,12,3,2],
+    "surround": [46,3,1],
+    "surveillance": [18,0,1,18,1,2,18,2,1,18,4,9,18,5,4,19,1,4,19,4,9,20,4,9,21,4,9,22,1,3,22,4,9,23,1,4,23,4,9,49,0,1,49,1,12,49,2,1,49,3,2,49,4,2,49,5,4,50,4,2,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2,60,3,1,60,5,1],
+    "survival": [3,2,1,3,3,2,3,5,3],
+    "survivor": [4,3,2,4,5,1],
+    "suspect": [18,3,1],
+    "swerv": [1,3,2],
+    "swerve": [1,5,1],
+    "synthetic": [25,1,2,32,0,1,32,1,2,42,4,2,43,0,1,43,1,3,43,3,1,43,4,2,43,5,4,44,4,2,45,4,2,46,4,2,47,4,2,48,4,2],
+    "system": [1,2,1,1,5,3,3,2,1,3,3,1,4,2,1,5,1,2,5,2,1,5,3,2,5,5,2,6,3,2,6,5,1,7,1,2,7,2,1,7,3,1,7,5,1,8,2,1,8,3,1,8,5,1,9,2,1,9,3,2,9,5,2,10,1,1,10,2,1,10,3,1,10,5,2,11,2,1,11,3,1,11,5,5,12,2,1,12,3,2,12,4,3,12,5,2,13,1,2,13,2,1,13,3,2,13,4,3,14,0,1,14,1,2,14,2,2,14,3,2,14,4,3,14,5,2,15,1,2,15,2,1,15,3,3,15,4,3,15,5,1,16,2,1,16,3,2,16,4,3,17,1,2,17,2,1,17,3,2,17,4,3,17,5,1,18,2,1,18,3,1,18,5,2,19,2,1,19,3,1,20,3,2,22,0,1,22,3,1,24,2,1,26,2,2,26,3,3,26,5,3,27,1,1,27,2,1,27,3,3,27,5,2,28,1,1,29,2,1,29,3,2,29,5,2,30,2,1,31,1,2,31,2,1,31,3,1,32,3,1,33,2,1,33,3,2,33,5,3,34,3,1,35,1,2,35,2,1,37,1,2,37,3,1,37,5,3,38,3,1,45,3,1,47,3,1,49,2,1,49,5,1,51,2,1,51,3,2,51,5,3,52,2,1,52,5,1,53,3,1,54,2,1,54,3,2,54,5,2,55,2,1,55,3,2,55,5,1,57,1,2,57,2,1,57,3,2,57,5,3,58,2,2,58,5,2,59,1,2,59,2,1,59,3,1,60,2,1,60,3,1,60,5,1,61,1,2,62,1,4,62,2,1,62,3,4,62,5,1,63,1,2,63,2,1,63,3,1,64,1,2,64,3,4,64,5,2,65,1,2,65,2,1,65,5,2,66,1,1],
+    "systematic": [51,3,1,65,3,1],
+    "systematical": [11,3,1],
+    "systemic": [11,2,1,14,1,1,26,1,2],
+    "t": [20,2,1,28,3,1,29,3,1,58,2,1,64,3,1],
+    "tactic": [16,1,2],
+    "tactical": [16,3,2,16,5,5],
+    "tailor": [43,3,1],
+    "tak": [5,2,1,5,3,1,16,5,1,28,3,1],
+    "take": [50,3,2],
+    "takeoff": [13,3,1,13,5,2],
+    "talent": [46,3,1],
+    "tank": [2,3,1],
+    "target": [5,2,1,57,3,1],
+    "task": [35,3,1],
+    "teacher": [19,5,1],
+    "team": [16,5,2,66,3,5],
+    "tech": [27,3,1,27,5,1,39,3,1],
+    "technical": [63,1,1,63,5,2],
+    "techno": [6,4,1,7,4,1,8,4,1,9,4,1,10,4,1,11,4,1,12,4,1,13,4,1,14,4,1,15,4,1,16,4,1,17,4,1],
+    "technological": [12,4,2,13,4,2,14,4,2,15,4,2,16,4,2,17,4,2,23,2,1,29,2,1,30,1,2],
+    "technology": [18,3,1,21,1,2,28,5,1,39,1,3,39,3,1,39,5,3,41,3,1,42,3,1,43,1,4,43,3,1,45,1,2,46,1,2,47,1,4,48,1,2,48,3,2,50,1,2,60,1,2],
+    "teenager": [29,3,1],
+    "temporari": [26,3,1],
+    "term": [21,3,2,21,5,1,23,3,1,33,5,1],
+    "terminal": [46,1,2,46,3,2,46,5,1],
+    "terminate": [22,3,1],
+    "test": [26,5,1,52,5,1,64,5,1],
+    "theory": [36,4,2,37,4,2,38,4,2,39,4,2,40,4,2,41,4,2],
+    "therapeutic": [43,5,2],
+    "therapy": [45,5,1],
+    "theseus": [30,4,2,31,4,2,32,4,2,33,4,2,34,4,2,35,4,2],
+    "third": [24,3,1,29,3,1],
+    "those": [33,3,2,46,5,1,51,3,1],
+    "thousand": [7,3,1,10,3,1,20,3,1,26,3,1],
+    "three": [4,3,4,4,5,2,34,3,3,34,5,1],
+    "threshold": [10,5,1,30,5,2,49,4,2,50,4,2,51,4,2,52,3,1,52,4,2,52,5,1,53,4,2,54,4,2,55,0,1,55,1,3,55,2,1,55,4,2,56,1,2,56,4,2,56,5,1,57,4,2],
+    "through": [2,3,1,5,3,1,20,3,1,21,3,1,21,5,1,23,3,1,29,5,1,30,5,2,31,2,1,31,3,1,31,5,1,35,2,1,35,3,1,39,2,1,42,2,1,47,3,1,50,2,1,53,3,1,57,2,1,66,3,1],
+    "tier": [10,5,1],
+    "tim": [61,1,2,61,3,2,62,1,2,62,2,1,62,3,2,62,5,1,63,0,1,63,1,2,63,2,1,66,1,2,66,3,1],
+    "time": [4,5,1,19,5,1,24,5,1,29,3,1,30,3,2,34,3,1,37,3,2,44,5,2,48,3,1,51,3,1,51,5,1,56,3,1,60,3,1],
+    "timestamp": [34,5,2],
+    "told": [21,3,1],
+    "tolerance": [17,3,1],
+    "tone": [22,3,1],
+    "too": [53,5,1,57,3,1],
+    "tool": [25,2,1,25,3,2,25,5,2,52,3,1,52,5,1,54,2,1],
+    "total": [5,5,1],
+    "toward": [5,3,2,5,5,1,53,2,1],
+    "track": [7,5,1,9,5,1,18,1,2,18,3,1,18,4,1,19,2,1,19,4,1,19,5,1,20,4,1,21,4,1,22,4,1,23,4,1,49,3,1],
+    "trad": [14,0,1,14,1,4,14,2,1,14,3,5,14,5,3,26,1,4,26,3,2,26,5,1,61,1,6,61,3,2],
+    "trade": [26,3,1],
+    "trader": [14,3,1,26,3,1,26,5,2],
+    "traditional": [7,5,1,19,5,1,22,5,1,28,5,1,37,5,1,45,5,1],
+    "traffic": [2,5,1,5,0,1,5,1,4,5,3,3,5,5,1,13,0,1,13,1,3,13,2,1,13,3,2,18,3,1,28,1,2,28,5,1,54,3,2,58,3,1],
+    "tragedy": [58,3,1],
+    "train": [20,3,2,20,5,2,27,1,1,27,3,2,29,3,1,29,5,1,47,5,1,51,0,1,51,1,5,51,3,4,57,3,2,64,3,2],
+    "transfer": [32,1,4,39,1,2,39,5,2],
+    "transform": [53,3,1],
+    "transhuman": [56,1,2],
+    "transition": [44,5,1,50,2,1,50,3,1],
+    "transparency": [6,1,1,6,4,4,7,4,4,8,4,4,9,1,1,9,4,4,10,4,4,11,1,1,11,4,4,11,5,1,19,5,1],
+    "transport": [1,1,1],
+    "transportate": [13,1,2,28,1,2,54,3,1],
+    "trap": [4,3,3],
+    "trauma": [45,1,2,45,2,1,45,3,3,45,5,1],
+    "traumatic": [45,5,1],
+    "treat": [3,3,1,3,5,1,6,5,1,10,3,2,20,3,1,27,3,1,29,5,1,32,5,1,42,1,4,56,3,1,59,5,1,62,5,1,66,3,1],
+    "triage": [3,0,1,3,1,4,3,3,1],
+    "trigger": [8,5,1,25,3,2,30,5,1,57,5,1],
+    "trolley": [0,4,2,1,4,2,2,4,2,3,4,2,4,4,2,5,4,2],
+    "tru": [39,2,1,55,3,1],
+    "true": [34,5,1,38,5,1],
+    "trust": [6,1,2,6,3,2,6,4,1,6,5,3,7,4,1,7,5,1,8,4,1,9,4,1,9,5,1,10,4,1,10,5,1,11,4,1,13,5,1,15,5,1,16,5,1,17,5,1,27,3,1,53,5,1,54,5,1],
+    "truth": [38,1,2,38,2,1,38,3,1,38,5,2],
+    "try": [60,2,1],
+    "tunnel": [1,0,1,1,1,1,1,3,2],
+    "two": [10,5,1,33,3,2,61,3,2,62,3,1,63,3,2,64,3,2,65,3,2,66,3,2],
+    "ultimate": [13,2,1,14,2,1,15,2,1,27,5,1,29,5,1,57,5,1],
+    "unacceptable": [51,2,1],
+    "unaccountable": [54,2,1],
+    "unavoidable": [0,3,1,18,2,1],
+    "unbias": [64,3,1],
+    "uncertainty": [47,3,1,58,4,4,59,4,4,60,4,4,61,4,4,62,4,4,63,4,4,64,4,4,65,4,4,66,4,4],
+    "unclear": [57,3,1],
+    "uncontrollable": [61,2,1,65,2,1],
+    "under": [24,3,1,39,5,1,54,3,2,58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "undergo": [37,3,1],
+    "underrepresent": [27,3,1],
+    "understaf": [29,3,1],
+    "understand": [6,3,1,8,3,1,9,3,2,9,5,1,10,3,1,11,3,1,57,3,1,59,5,1],
+    "understandable": [9,5,1],
+    "unethical": [39,5,1],
+    "unexpect": [65,3,1],
+    "unexpected": [1,3,1],
+    "unexplain": [7,5,1],
+    "unexplainable": [6,0,1],
+    "unfold": [5,5,2],
+    "unforeseen": [58,4,2,59,4,2,60,4,2,61,4,2,62,4,2,63,4,2,64,4,2,65,4,2,66,4,2],
+    "unify": [33,3,1,33,5,1],
+    "unique": [56,5,1],
+    "unit": [16,3,2,16,5,1,57,3,1],
+    "unity": [33,1,1],
+    "universal": [42,5,1],
+    "university": [9,1,1,9,3,2],
+    "unlimit": [44,2,1,48,3,2],
+    "unnotic": [58,3,1],
+    "unpredictability": [25,3,1],
+    "unpredictable": [43,3,1,65,1,2],
+    "unrest": [25,1,2,42,3,1],
+    "unrestrict": [53,5,1],
+    "until": [7,5,1,49,3,1],
+    "up": [38,3,1,58,3,1,64,3,1],
+    "updat": [28,3,2],
+    "update": [28,1,1,28,3,1,31,5,1,62,1,2,62,3,2],
+    "upgrad": [30,3,1],
+    "upload": [32,0,1,32,1,2,32,3,1,36,4,1,37,4,1,38,4,1,39,1,2,39,3,2,39,4,1,40,4,1,41,4,1],
+    "urban": [5,1,2,18,1,2],
+    "urgency": [8,2,1],
+    "usage": [21,3,1],
+    "use": [5,5,2,6,5,1,8,5,1,9,2,1,9,3,1,9,5,1,10,5,1,11,2,1,11,5,1,16,1,2,19,5,1,20,2,2,20,3,2,20,5,1,21,3,2,21,5,1,37,5,1,43,5,2,46,5,3,47,5,1,48,5,2,60,5,2,61,5,1,62,3,1,63,3,1],
+    "used": [19,2,1,20,3,1,21,3,1,22,3,1,64,5,1],
+    "user": [21,1,2,21,2,2,21,3,4,21,5,2,23,3,2,23,5,2,24,2,1,25,2,1,25,3,1,25,5,1,28,2,1,28,5,3,29,1,2,29,3,1,31,1,2,31,3,2,33,3,2,34,3,1,34,5,1,38,3,1,50,3,1,53,1,2,53,3,5,53,5,2],
+    "using": [9,5,1,10,3,1,11,3,2,11,5,1,20,5,2,22,2,1,25,3,1,27,3,1,29,3,2,59,5,1,64,3,2],
+    "utilitarian": [0,1,3,0,4,2,1,4,2,2,1,3,2,4,2,3,1,1,3,4,2,4,1,1,4,4,2,5,1,1,5,4,2,9,1,1,11,1,1,13,1,1,14,1,1,17,1,1,18,1,1,20,1,1,25,1,1,26,1,1,29,1,1,36,1,1,42,1,1,44,1,1,46,1,1,47,1,1,48,1,1,51,1,1,53,1,1,59,1,1,61,1,1,63,1,1,65,1,1],
+    "utilitarianism": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1],
+    "utopia": [44,0,1,44,1,1,44,3,1,44,5,1],
+    "utopian": [44,1,2],
+    "vagueness": [49,4,2,50,4,2,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "valid": [34,2,1,34,3,1,43,5,1,48,5,1,59,5,1],
+    "validate": [47,5,1,59,5,1,60,5,1],
+    "valuable": [45,2,1,47,5,1],
+    "value": [1,5,2,10,5,1,35,1,4,35,2,1,35,3,2,40,2,1,42,3,1,45,3,1,49,4,2,50,4,2,51,4,2,52,4,2,53,4,2,54,4,2,55,4,2,56,4,2,57,4,2],
+    "variable": [10,3,1],
+    "variate": [17,3,1],
+    "vary": [58,5,1],
+    "vast": [61,3,1,65,3,1,66,3,1],
+    "vehicle": [0,0,1,0,1,2,0,2,1,0,3,1,0,4,2,0,5,3,1,4,2,2,4,2,3,4,2,4,4,2,5,1,2,5,3,2,5,4,2,5,5,1,28,0,1,28,1,4,28,2,2,28,5,3,58,1,2,58,3,2,65,0,1,65,1,6,65,3,3,65,5,1],
+    "vehicular": [58,1,2],
+    "ventilator": [3,3,1],
+    "verificate": [27,5,1],
+    "verify": [8,3,1],
+    "versa": [2,2,1],
+    "version": [34,2,1,34,3,2,34,5,3,41,3,1,41,5,1],
+    "versus": [44,3,1,45,3,1,46,3,1,58,3,1,65,3,1],
+    "very": [60,3,1],
+    "vicarious": [24,4,2,25,4,2,26,4,2,27,4,2,28,4,2,29,4,2],
+    "vice": [2,2,1],
+    "victim": [4,5,1,5,2,1,5,5,2,29,3,1,65,5,1],
+    "video": [25,1,1,25,3,3],
+    "violence": [25,3,2,63,3,2],
+    "violent": [60,3,2],
+    "viral": [25,3,1],
+    "virtual": [36,1,2,36,4,4,37,1,2,37,2,1,37,3,1,37,4,4,38,4,4,39,4,4,40,4,4,41,4,4,42,4,2,43,4,2,44,0,1,44,1,7,44,2,1,44,3,3,44,4,2,44,5,3,45,4,2,46,1,2,46,4,2,47,1,2,47,4,2,48,0,1,48,1,11,48,2,2,48,3,2,48,4,2,48,5,3],
+    "visitor": [50,3,1],
+    "visual": [23,5,1],
+    "voice": [16,3,1,22,3,1,23,3,1],
+    "voluntary": [18,5,1,22,5,1,42,5,1],
+    "volunteer": [45,3,1],
+    "vr": [37,0,1,37,1,3,37,3,1,37,5,5,48,3,3,48,5,2],
+    "vs": [0,1,1,1,1,1,12,1,1,12,4,1,13,4,1,14,4,1,15,4,1,16,4,1,17,4,1,58,4,4,59,4,4,60,4,4,61,4,4,62,4,4,63,4,4,64,4,4,65,4,4,66,4,4],
+    "vulnerable": [1,1,1,8,1,2,50,5,1],
+    "wake": [23,5,2,38,3,1],
+    "wall": [1,3,1,1,5,1],
+    "want": [13,3,2,14,3,1,15,3,3,16,3,1,17,3,2,19,5,1,22,5,1,31,3,1,33,3,2,36,3,1,46,3,1],
+    "war": [57,1,1],
+    "warfare": [25,1,2,57,1,1],
+    "warn": [5,5,2,28,1,1,28,3,2],
+    "watch": [19,3,1],
+    "way": [7,3,1],
+    "we": [23,2,1,27,2,1,28,2,1,33,2,2,34,2,1,38,2,1,38,3,1,39,2,1,40,2,3,41,2,1,44,2,1,50,2,1,52,2,1,53,2,1,54,2,1,55,2,1,57,2,1,59,2,1,59,3,1,60,2,1,61,3,1,62,2,1,63,2,1,65,2,1],
+    "weaker": [9,3,1],
+    "weapon": [57,0,1,57,1,5,57,3,1],
+    "weather": [13,1,2,13,3,2,65,0,1,65,1,5,65,3,2],
+    "weigh": [0,5,1],
+    "weight": [0,4,1,1,4,1,2,4,1,3,4,1,4,4,1,5,4,1],
+    "welfare": [8,1,2],
+    "well": [26,3,1,42,4,4,43,4,4,44,4,4,45,1,1,45,3,1,45,4,4,45,5,1,46,4,4,47,4,4,47,5,1,48,4,4,50,2,1],
+    "wellbe": [19,5,1],
+    "wellness": [22,1,1,22,2,1,22,3,2,22,5,3],
+    "went": [25,3,1],
+    "whatever": [38,5,1],
+    "whenever": [18,3,1],
+    "whether": [2,3,1,5,3,1,6,3,2,7,3,1,8,3,1,30,3,1,38,5,1,39,3,1,47,3,1,59,5,1,65,5,1],
+    "whose": [64,5,1],
+    "wide": [5,3,2],
+    "widespread": [43,3,1],
+    "win": [1,2,1,47,3,1],
+    "wind": [65,3,1],
+    "windfall": [61,0,1],
+    "within": [17,3,1,33,5,1,38,3,1,40,3,1],
+    "without": [0,2,1,0,5,1,1,5,1,5,5,1,6,3,1,9,5,2,10,3,1,18,3,1,20,0,1,20,3,2,23,5,1,26,5,1,27,3,1,27,5,1,37,3,2,47,2,1,47,3,1,50,3,1,53,3,1,60,5,1],
+    "witness": [23,2,1],
+    "word": [23,5,2],
+    "work": [8,1,2,15,3,1,59,3,1,59,5,1,66,3,1],
+    "worker": [8,3,1,16,3,1,16,5,1,24,1,2,24,3,4,24,5,1],
+    "workplace": [22,0,1,22,1,8,22,2,1,22,3,2,22,5,2,24,1,3],
+    "world": [25,2,1,25,3,2,36,1,2,36,2,1,36,3,2,36,4,2,37,4,2,38,3,1,38,4,2,39,4,2,40,4,2,41,4,2,44,1,4,44,2,1,44,3,3,44,5,2,47,3,1,47,5,2,48,1,2,48,2,1,48,3,3,48,5,1,63,3,2],
+    "worry": [22,3,1,35,3,1],
+    "wrong": [60,0,1],
+    "year": [1,5,1,3,2,1,3,5,2,31,3,1,33,3,1,35,3,1,37,3,2],
+    "yield": [66,3,1],
+    "young": [1,2,1,1,5,1,3,3,1],
+    "younger": [3,5,1],
+    "zone": [28,0,1,28,1,2,28,3,2],
+  },
+};
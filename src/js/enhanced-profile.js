@@ -5,6 +5,10 @@ class EnhancedProfile {
     this.currentUser = null;
     this.userProfile = null;
     this.isLoading = false;
+    this.dataHandler = null;
+    this.history = null;
+    this.historyChartPromise = null;
+    this.profileComparisons = [];
     this.animations = {
       enabled: !window.matchMedia("(prefers-reduced-motion: reduce)").matches,
     };
@@ -38,6 +42,9 @@ class EnhancedProfile {
       MILLISECONDS_PER_DAY: 86400000,
       MINUTES_PER_HOUR: 60,
       DAYS_PER_WEEK: 7,
+      HISTORY_SHIFTS: 3,
+      HISTORY_RADAR_SIZE: 320,
+      MAX_PROFILE_COMPARISONS: 3,
     };
 
     this.init();
@@ -424,6 +431,12 @@ class EnhancedProfile {
       // Update research status
       this.updateResearchStatus();
 
+      // Load grades from joined classrooms
+      this.updateClassroomFeedback();
+
+      // Replay completed scenarios into the profile history
+      this.updateEthicalHistory();
+
       // Update activity timeline
       this.updateActivityTimeline();
     } catch (error) {
@@ -605,6 +618,515 @@ class EnhancedProfile {
     }
   }
 
+  async updateClassroomFeedback() {
+    const container = document.getElementById("classroom-feedback");
+    if (!container || !this.currentUser) return;
+
+    try {
+      const [
+        { default: RealtimeClassroomService },
+        { default: FirebaseClassroomTransport },
+        { getRecentClassrooms },
+        { getStudentFeedback, getGradePercent, summarizeGrades },
+      ] = await Promise.all([
+        import("./services/realtime-classroom-service.js"),
+        import("./services/firebase-classroom-transport.js"),
+        import("./utils/classroom-utils.js"),
+        import("./utils/classroom-grading.js"),
+      ]);
+
+      const { uid } = this.currentUser;
+      const { firebaseService } = this.authService;
+      const joined = getRecentClassrooms().filter(
+        (entry) => entry.studentId === uid,
+      );
+
+      const classrooms = await Promise.all(
+        joined.map(async (entry) => {
+          const service = new RealtimeClassroomService(firebaseService, {
+            transport: new FirebaseClassroomTransport(firebaseService),
+          });
+          try {
+            const classroom = await service.getClassroom(entry.classroomCode);
+            const feedback = getStudentFeedback(classroom, uid);
+            if (!feedback.length) return null;
+            return {
+              name: classroom.classroomName || entry.classroomName,
+              feedback,
+              percent: summarizeGrades({ [uid]: classroom.grades[uid] })
+                .classAverage.percent,
+            };
+          } catch (error) {
+            // The classroom is gone or not reachable right now
+            return null;
+          } finally {
+            service.cleanup();
+          }
+        }),
+      );
+
+      const graded = classrooms.filter(Boolean);
+      if (!graded.length) {
+        container.innerHTML = `
+                <div class="classroom-feedback-empty">
+                    <p>No graded reflections yet. When an instructor grades the reflections you write in a classroom, their feedback appears here.</p>
+                </div>
+            `;
+        return;
+      }
+
+      container.innerHTML = graded
+        .map(
+          (classroom) => `
+                <div class="classroom-feedback-group">
+                    <div class="classroom-feedback-header">
+                        <h3>${this.escapeHtml(classroom.name)}</h3>
+                        <span class="classroom-feedback-average">Average ${classroom.percent}%</span>
+                    </div>
+                    ${classroom.feedback
+                      .map(
+                        ({ title, grade }) => `
+                        <div class="classroom-feedback-item">
+                            <div class="classroom-feedback-title">
+                                <h4>${this.escapeHtml(title)}</h4>
+                                <span>${grade.total} / ${grade.maxTotal} · ${getGradePercent(grade)}%</span>
+                            </div>
+                            <ul class="classroom-feedback-criteria">
+                                ${(grade.criteria || [])
+                                  .map(
+                                    (criterion) => `
+                                    <li>
+                                        <strong>${this.escapeHtml(criterion.name)}: ${criterion.level} / ${criterion.maxLevel}</strong>
+                                        <span>${this.escapeHtml(criterion.description)}</span>
+                                    </li>
+                                `,
+                                  )
+                                  .join("")}
+                            </ul>
+                            ${grade.feedback ? `<blockquote class="classroom-feedback-comment">${this.escapeHtml(grade.feedback)}</blockquote>` : ""}
+                            <span class="timeline-date">Graded ${this.formatDate(grade.gradedAt)}</span>
+                        </div>
+                    `,
+                      )
+                      .join("")}
+                </div>
+            `,
+        )
+        .join("");
+    } catch (error) {
+      // Error loading classroom feedback
+      container.innerHTML = `
+                <div class="classroom-feedback-empty">
+                    <p>Classroom feedback could not be loaded right now.</p>
+                </div>
+            `;
+    }
+  }
+
+  async updateEthicalHistory() {
+    const container = document.getElementById("ethical-history");
+    if (!container) return;
+
+    try {
+      const [
+        { default: DataHandler },
+        { buildProfileTimeline, compareEarlyAndRecent },
+        { encodeProfileShareCode },
+      ] = await Promise.all([
+        import("./core/data-handler.js"),
+        import("./utils/ethical-history.js"),
+        import("./utils/profile-share-code.js"),
+      ]);
+
+      if (!this.dataHandler) {
+        this.dataHandler = new DataHandler({
+          appName: "SimulateAI-Profile",
+          version: "1.50",
+          enableFirebase: true,
+          enableCaching: true,
+          enableOfflineQueue: true,
+        });
+      }
+
+      const timeline = buildProfileTimeline(
+        await this.dataHandler.getScenarioCompletions(),
+      );
+      this.destroyHistoryChart();
+
+      if (!timeline.length) {
+        container.innerHTML = `
+                <div class="ethical-history-empty">
+                    <p>No choices recorded yet. Complete a scenario and your ethical profile will start taking shape here.</p>
+                </div>
+            `;
+        return;
+      }
+
+      this.history = {
+        timeline,
+        comparison: compareEarlyAndRecent(timeline),
+        step: timeline.length,
+        mode: "timeline",
+        shareCode: encodeProfileShareCode(
+          timeline[timeline.length - 1].average,
+          timeline.length,
+        ),
+      };
+
+      container.innerHTML = this.renderEthicalHistory();
+      this.renderProfileComparisons();
+      this.setupEthicalHistoryListeners(container);
+      this.showEthicalHistoryView();
+    } catch (error) {
+      // Error loading ethical profile history
+      container.innerHTML = `
+                <div class="ethical-history-empty">
+                    <p>Your ethical profile history could not be loaded right now.</p>
+                </div>
+            `;
+    }
+  }
+
+  renderEthicalHistory() {
+    const { timeline, comparison } = this.history;
+
+    return `
+            <div class="ethical-history">
+                <div class="ethical-history-chart">
+                    <div class="ethical-history-modes" role="group" aria-label="Radar view">
+                        <button type="button" class="btn btn-outline btn-small" data-history-mode="timeline" aria-pressed="true">Over time</button>
+                        <button type="button" class="btn btn-outline btn-small" data-history-mode="compare" aria-pressed="false" ${comparison ? "" : "disabled"}>Early vs. recent</button>
+                    </div>
+                    <div id="ethical-history-radar" class="ethical-history-radar"></div>
+                    <label for="ethical-history-step" class="ethical-history-step-label"></label>
+                    <input type="range" id="ethical-history-step" class="ethical-history-step" min="1" max="${timeline.length}" step="1" value="${timeline.length}">
+                </div>
+                <div class="ethical-history-details">
+                    <h3>Biggest shifts</h3>
+                    ${this.renderEthicalShifts()}
+                    <h3>Your choices</h3>
+                    <ol class="ethical-history-steps">
+                        ${timeline
+                          .map(
+                            (step) => `
+                            <li>
+                                <button type="button" data-history-step="${step.index + 1}">
+                                    <span class="ethical-history-step-title">${this.escapeHtml(step.title)}</span>
+                                    <span class="timeline-date">${step.time ? this.formatDate(step.time) : ""}</span>
+                                </button>
+                            </li>
+                        `,
+                          )
+                          .join("")}
+                    </ol>
+                </div>
+                ${this.renderProfileSharing()}
+            </div>
+        `;
+  }
+
+  renderProfileSharing() {
+    const { shareCode } = this.history;
+
+    return `
+            <div class="ethical-history-share">
+                <h3>Compare with someone</h3>
+                <p class="ethical-history-note">A share code holds only your average score on each axis. It contains no name and none of your individual choices. Swap codes with a friend or your class, then add theirs to draw it on your radar.</p>
+                ${
+                  shareCode
+                    ? `
+                    <div class="ethical-history-share-code">
+                        <span>Your share code</span>
+                        <code>${shareCode}</code>
+                        <button type="button" class="btn btn-outline btn-small" data-share-action="copy">
+                            <i class="fas fa-copy" aria-hidden="true"></i>
+                            Copy
+                        </button>
+                    </div>
+                `
+                    : `<p class="ethical-history-note">Complete a few more scenarios to get your own share code.</p>`
+                }
+                <form class="ethical-history-compare-form" novalidate>
+                    <div class="ethical-history-compare-field">
+                        <label for="profile-compare-code">Their share code</label>
+                        <input type="text" id="profile-compare-code" placeholder="EP1-XXXX-XXXX-X" autocomplete="off" spellcheck="false" required>
+                    </div>
+                    <div class="ethical-history-compare-field">
+                        <label for="profile-compare-name">Name (optional)</label>
+                        <input type="text" id="profile-compare-name" placeholder="Friend" maxlength="30" autocomplete="off">
+                    </div>
+                    <button type="submit" class="btn btn-primary btn-small">Add to radar</button>
+                </form>
+                <p class="ethical-history-compare-error" role="alert"></p>
+                <ul class="ethical-history-comparisons"></ul>
+            </div>
+        `;
+  }
+
+  renderProfileComparisons() {
+    const list = document.querySelector(".ethical-history-comparisons");
+    if (!list) return;
+
+    list.innerHTML = this.profileComparisons
+      .map(
+        (comparison) => `
+                <li>
+                    <span class="ethical-history-comparison-name">${this.escapeHtml(comparison.label)}</span>
+                    <code>${comparison.code}</code>
+                    <button type="button" class="btn btn-outline btn-small" data-comparison-toggle="${comparison.id}" aria-pressed="${String(!comparison.hidden)}">
+                        ${comparison.hidden ? "Show" : "Hide"}
+                    </button>
+                    <button type="button" class="btn btn-outline btn-small" data-comparison-remove="${comparison.id}" aria-label="Remove ${this.escapeHtml(comparison.label)} from the radar">
+                        Remove
+                    </button>
+                </li>
+            `,
+      )
+      .join("");
+  }
+
+  async addProfileComparison(form) {
+    const codeInput = form.querySelector("#profile-compare-code");
+    const nameInput = form.querySelector("#profile-compare-name");
+    const error = document.querySelector(".ethical-history-compare-error");
+    const { decodeProfileShareCode } = await import(
+      "./utils/profile-share-code.js"
+    );
+
+    const result = decodeProfileShareCode(codeInput.value);
+    let message = result.isValid ? "" : result.message;
+    if (
+      result.isValid &&
+      this.profileComparisons.some(({ code }) => code === result.code)
+    ) {
+      message = "That profile is already on your radar";
+    } else if (
+      result.isValid &&
+      this.profileComparisons.length >= this.constants.MAX_PROFILE_COMPARISONS
+    ) {
+      message = `You can compare with up to ${this.constants.MAX_PROFILE_COMPARISONS} profiles at a time. Remove one to add another.`;
+    }
+
+    error.textContent = message;
+    codeInput.setAttribute("aria-invalid", String(Boolean(message)));
+    if (message) {
+      codeInput.focus();
+      return;
+    }
+
+    this.profileComparisons.push({
+      id: `share-${result.code}`,
+      code: result.code,
+      label:
+        nameInput.value.trim() ||
+        `Profile ${this.profileComparisons.length + 1}`,
+      scores: result.scores,
+      hidden: false,
+    });
+    form.reset();
+    this.renderProfileComparisons();
+    this.showEthicalHistoryView();
+  }
+
+  copyProfileShareCode() {
+    navigator.clipboard
+      .writeText(this.history.shareCode)
+      .then(() => {
+        this.showNotification("Share code copied to clipboard!", "success");
+      })
+      .catch(() => {
+        this.showNotification("Unable to copy share code", "error");
+      });
+  }
+
+  renderEthicalShifts() {
+    const { comparison } = this.history;
+    if (!comparison) {
+      return `<p class="ethical-history-note">Complete another scenario to see how your stance changes between your early and recent choices.</p>`;
+    }
+
+    const shifts = comparison.shifts
+      .filter((shift) => shift.notable)
+      .slice(0, this.constants.HISTORY_SHIFTS);
+    if (!shifts.length) {
+      return `<p class="ethical-history-note">Your stance has held steady on every axis between your first ${comparison.early.count} and your last ${comparison.recent.count} choices.</p>`;
+    }
+
+    return `
+            <ul class="ethical-history-shifts">
+                ${shifts
+                  .map(
+                    (shift) => `
+                    <li class="${shift.change > 0 ? "shift-up" : "shift-down"}">
+                        <i class="fas fa-arrow-${shift.change > 0 ? "up" : "down"}" aria-hidden="true"></i>
+                        <strong>${shift.label}</strong>
+                        <span>${shift.change > 0 ? "weighed more" : "weighed less"} in your recent choices (${shift.change > 0 ? "+" : ""}${shift.change.toFixed(1)})</span>
+                    </li>
+                `,
+                  )
+                  .join("")}
+            </ul>
+            <p class="ethical-history-note">Comparing your first ${comparison.early.count} with your last ${comparison.recent.count} choices.</p>
+        `;
+  }
+
+  setupEthicalHistoryListeners(container) {
+    const slider = container.querySelector("#ethical-history-step");
+    slider?.addEventListener("input", () => {
+      this.history.step = Number(slider.value);
+      this.showEthicalHistoryView();
+    });
+
+    container
+      .querySelector(".ethical-history-compare-form")
+      ?.addEventListener("submit", (event) => {
+        event.preventDefault();
+        this.addProfileComparison(event.target);
+      });
+
+    // Keep the Show/Hide buttons in step with clicks on the chart legend
+    container.addEventListener("radar-overlay-toggled", (event) => {
+      const comparison = this.profileComparisons.find(
+        ({ id }) => id === event.detail.id,
+      );
+      if (comparison) {
+        comparison.hidden = !event.detail.visible;
+        this.renderProfileComparisons();
+      }
+    });
+
+    container.addEventListener("click", (event) => {
+      if (event.target.closest("[data-share-action='copy']")) {
+        this.copyProfileShareCode();
+        return;
+      }
+
+      const toggleButton = event.target.closest("[data-comparison-toggle]");
+      if (toggleButton) {
+        const comparison = this.profileComparisons.find(
+          ({ id }) => id === toggleButton.dataset.comparisonToggle,
+        );
+        comparison.hidden = !comparison.hidden;
+        this.renderProfileComparisons();
+        this.showEthicalHistoryView();
+        return;
+      }
+
+      const removeButton = event.target.closest("[data-comparison-remove]");
+      if (removeButton) {
+        this.profileComparisons = this.profileComparisons.filter(
+          ({ id }) => id !== removeButton.dataset.comparisonRemove,
+        );
+        this.renderProfileComparisons();
+        this.showEthicalHistoryView();
+        return;
+      }
+
+      const modeButton = event.target.closest("[data-history-mode]");
+      if (modeButton) {
+        this.history.mode = modeButton.dataset.historyMode;
+        this.showEthicalHistoryView();
+        return;
+      }
+
+      const stepButton = event.target.closest("[data-history-step]");
+      if (stepButton) {
+        this.history.mode = "timeline";
+        this.history.step = Number(stepButton.dataset.historyStep);
+        this.showEthicalHistoryView();
+      }
+    });
+  }
+
+  /**
+   * Sync the radar and controls with the selected step and mode, drawing
+   * added comparisons over either view
+   */
+  async showEthicalHistoryView() {
+    const container = document.getElementById("ethical-history");
+    if (!container || !this.history) return;
+
+    const { timeline, comparison, step, mode } = this.history;
+    const comparing = mode === "compare" && comparison;
+    const current = timeline[step - 1];
+
+    container.querySelectorAll("[data-history-mode]").forEach((button) => {
+      button.setAttribute(
+        "aria-pressed",
+        String(
+          button.dataset.historyMode === (comparing ? "compare" : "timeline"),
+        ),
+      );
+    });
+    container.querySelectorAll("[data-history-step]").forEach((button) => {
+      if (!comparing && Number(button.dataset.historyStep) === step) {
+        button.setAttribute("aria-current", "step");
+      } else {
+        button.removeAttribute("aria-current");
+      }
+    });
+
+    const slider = container.querySelector("#ethical-history-step");
+    slider.value = String(step);
+    slider.disabled = comparing;
+    container.querySelector(".ethical-history-step-label").textContent =
+      `After ${step} of ${timeline.length} scenario${timeline.length > 1 ? "s" : ""}: ${current.title}`;
+
+    try {
+      if (!this.historyChartPromise) {
+        this.historyChartPromise = this.createHistoryRadarChart();
+      }
+      const chart = await this.historyChartPromise;
+      chart.setLabel(
+        comparing
+          ? `Your last ${comparison.recent.count} choices`
+          : `You after ${step} scenario${step > 1 ? "s" : ""}`,
+      );
+      chart.setScores(comparing ? comparison.recent.scores : current.scores);
+      chart.setOverlays([
+        ...(comparing
+          ? [
+              {
+                id: "early",
+                label: `Your first ${comparison.early.count} choices`,
+                scores: comparison.early.scores,
+              },
+            ]
+          : []),
+        ...this.profileComparisons.map(({ id, label, scores, hidden }) => ({
+          id,
+          label,
+          scores,
+          hidden,
+        })),
+      ]);
+    } catch (error) {
+      // Radar chart could not be drawn
+      this.historyChartPromise = null;
+    }
+  }
+
+  async createHistoryRadarChart() {
+    const { default: RadarChart } = await import("./components/radar-chart.js");
+    await RadarChart.loadConfiguration();
+    const chart = new RadarChart("ethical-history-radar", {
+      width: this.constants.HISTORY_RADAR_SIZE,
+      height: this.constants.HISTORY_RADAR_SIZE,
+      showLabels: true,
+      showLegend: true,
+      animated: true,
+      title: null,
+    });
+    if (chart.initializationPromise) await chart.initializationPromise;
+    return chart;
+  }
+
+  destroyHistoryChart() {
+    const chartPromise = this.historyChartPromise;
+    this.historyChartPromise = null;
+    chartPromise?.then((chart) => chart.destroy()).catch(() => {});
+  }
+
   updateActivityTimeline() {
     // Generate dynamic activity timeline based on user data
     const activities = this.generateActivityData();
@@ -1032,6 +1554,12 @@ class EnhancedProfile {
   }
 
   // ===== UTILITY METHODS =====
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+
   formatDate(timestamp) {
     if (!timestamp) return "--";
     const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -1,9 +1,21 @@
 /**
  * MCP Analytics Enhancement for SimulateAI
  * Integrates with existing analytics system to provide deeper insights
+ *
+ * Breaking change: generateScenarioRecommendations() used to take
+ * (scenarioId, metrics) and synchronously return content improvement hints
+ * for a scenario. It now takes a user's completions and resolves to
+ * scenarios recommended from their ethical profile. Callers that want the
+ * old hints use generateScenarioImprovements(scenarioId, metrics), which
+ * keeps the old signature and return value.
  */
 
+import scenarioRegistry from "../data/scenario-registry.js";
 import logger from "../utils/logger.js";
+import {
+  buildEthicalProfile,
+  recommendScenarios,
+} from "../utils/scenario-recommender.js";
 
 // Configuration constants
 const BYTES_PER_KB = 1024; // Standard bytes per kilobyte
@@ -281,7 +293,7 @@ class MCPAnalyticsEnhancement {
         avgTimeSpent,
         engagementScore: this.calculateEngagementScore(scenarioId),
         difficultyLevel: this.assessDifficulty(scenarioId, metrics),
-        recommendations: this.generateScenarioRecommendations(scenarioId, {
+        recommendations: this.generateScenarioImprovements(scenarioId, {
           completionRate,
           avgTimeSpent,
         }),
@@ -425,7 +437,10 @@ class MCPAnalyticsEnhancement {
     return "medium";
   }
 
-  generateScenarioRecommendations(scenarioId, metrics) {
+  /**
+   * Suggest content improvements for a scenario from its completion metrics
+   */
+  generateScenarioImprovements(scenarioId, metrics) {
     const recommendations = [];
 
     if (metrics.completionRate < ANALYTICS_CONFIG.COMPLETION_RATE_THRESHOLD) {
@@ -445,6 +460,23 @@ class MCPAnalyticsEnhancement {
     return recommendations;
   }
 
+  /**
+   * Recommend scenarios to a user from their ethical profile. Replaces the
+   * old (scenarioId, metrics) form; see generateScenarioImprovements()
+   * @param {Array<Object>} completions - The user's records from
+   *   DataHandler.getScenarioCompletions()
+   * @param {Object} [options] - limit and exclude, see recommendScenarios()
+   * @returns {Promise<Array<Object>>} Recommendations with their reasons
+   */
+  async generateScenarioRecommendations(completions = [], options = {}) {
+    const scenariosByCategory = await scenarioRegistry.loadAllScenarios();
+    return recommendScenarios(
+      buildEthicalProfile(completions),
+      scenariosByCategory,
+      options,
+    );
+  }
+
   generateRecommendations() {
     // Generate overall platform improvement recommendations
     return [];
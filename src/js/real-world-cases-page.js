@@ -0,0 +1,165 @@
+/**
+ * Real-World Cases Page JavaScript
+ * Browsable index of the real-world case library with filtering by
+ * scenario category, ethical axis and domain
+ */
+
+import RealWorldCaseCard from "./components/real-world-case-card.js";
+import { REAL_WORLD_CASES, filterCases } from "./data/real-world-cases.js";
+import { ETHICAL_AXES, AXIS_DEFINITIONS } from "./data/ethical-scoring.js";
+import scenarioRegistry from "./data/scenario-registry.js";
+import logger from "./utils/logger.js";
+
+class RealWorldCasesPage {
+  constructor() {
+    this.categories = scenarioRegistry.getCategories();
+    // Scenario ID -> { categoryId, title }
+    this.scenarioIndex = new Map();
+
+    this.filters = { categoryId: "", axis: "", domain: "" };
+    this.elements = {
+      category: document.getElementById("case-filter-category"),
+      axis: document.getElementById("case-filter-axis"),
+      domain: document.getElementById("case-filter-domain"),
+      count: document.getElementById("case-index-count"),
+      results: document.getElementById("case-index-results"),
+    };
+
+    this.init();
+  }
+
+  async init() {
+    this.readFiltersFromUrl();
+    this.populateFilters();
+
+    try {
+      await this.buildScenarioIndex();
+    } catch (error) {
+      logger.error("RealWorldCasesPage", "Failed to load scenarios", error);
+    }
+
+    Object.entries(this.elements)
+      .filter(([, element]) => element?.tagName === "SELECT")
+      .forEach(([filter, element]) => {
+        element.addEventListener("change", () => {
+          this.filters[filter === "category" ? "categoryId" : filter] =
+            element.value;
+          this.writeFiltersToUrl();
+          this.render();
+        });
+      });
+
+    this.render();
+  }
+
+  async buildScenarioIndex() {
+    const allScenarios = await scenarioRegistry.loadAllScenarios();
+    Object.entries(allScenarios).forEach(([categoryId, scenarios]) => {
+      Object.entries(scenarios || {}).forEach(([scenarioId, scenario]) => {
+        this.scenarioIndex.set(scenarioId, {
+          categoryId,
+          title: scenario.title || scenarioId,
+        });
+      });
+    });
+  }
+
+  readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    this.filters.categoryId = params.get("category") || "";
+    this.filters.axis = params.get("axis") || "";
+    this.filters.domain = params.get("domain") || "";
+  }
+
+  writeFiltersToUrl() {
+    const params = new URLSearchParams();
+    if (this.filters.categoryId)
+      params.set("category", this.filters.categoryId);
+    if (this.filters.axis) params.set("axis", this.filters.axis);
+    if (this.filters.domain) params.set("domain", this.filters.domain);
+    const query = params.toString();
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${query ? `?${query}` : ""}`,
+    );
+  }
+
+  populateFilters() {
+    const domains = [
+      ...new Set(REAL_WORLD_CASES.map((caseStudy) => caseStudy.domain)),
+    ].sort();
+
+    this.fillSelect(
+      this.elements.category,
+      this.categories.map((category) => [category.id, category.title]),
+      this.filters.categoryId,
+    );
+    this.fillSelect(
+      this.elements.axis,
+      ETHICAL_AXES.map((axis) => [axis, AXIS_DEFINITIONS[axis].label]),
+      this.filters.axis,
+    );
+    this.fillSelect(
+      this.elements.domain,
+      domains.map((domain) => [domain, this.formatDomain(domain)]),
+      this.filters.domain,
+    );
+  }
+
+  fillSelect(select, options, selected) {
+    if (!select) return;
+    options.forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === selected;
+      select.appendChild(option);
+    });
+  }
+
+  render() {
+    const scenarioCategories = new Map(
+      [...this.scenarioIndex].map(([scenarioId, { categoryId }]) => [
+        scenarioId,
+        categoryId,
+      ]),
+    );
+    const cases = filterCases({ ...this.filters, scenarioCategories });
+
+    this.elements.count.textContent = `${cases.length} of ${REAL_WORLD_CASES.length} cases`;
+    this.elements.results.innerHTML = cases.length
+      ? cases.map((caseStudy) => this.renderCase(caseStudy)).join("")
+      : '<p class="case-index-empty">No cases match these filters.</p>';
+  }
+
+  renderCase(caseStudy) {
+    const links = caseStudy.scenarioIds
+      .filter((scenarioId) => this.scenarioIndex.has(scenarioId))
+      .map((scenarioId) => {
+        const { categoryId, title } = this.scenarioIndex.get(scenarioId);
+        const href = `app.html?category=${encodeURIComponent(categoryId)}&scenario=${encodeURIComponent(scenarioId)}&source=real_world_cases`;
+        return `<a href="${href}">${RealWorldCaseCard.escapeHtml(title)}</a>`;
+      });
+
+    return RealWorldCaseCard.render(caseStudy, {
+      extraHtml: links.length
+        ? `<p class="case-index-scenarios">Explore: ${links.join("")}</p>`
+        : "",
+    });
+  }
+
+  formatDomain(domain) {
+    return domain
+      .split("-")
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(" ");
+  }
+}
+
+// Initialize the page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new RealWorldCasesPage();
+});
+
+export default RealWorldCasesPage;
@@ -805,6 +805,12 @@ class ClassroomIntegrationManager {
       case "end_session":
         this.handleEndSession(data);
         break;
+      case "open_dashboard":
+        this.handleOpenDashboard(data);
+        break;
+      case "open_assignments":
+        this.handleOpenAssignments();
+        break;
       default:
         logger.warn(
           "ClassroomIntegrationManager",
@@ -888,6 +894,20 @@ class ClassroomIntegrationManager {
     }
   }
 
+  /**
+   * Open the educator dashboard of a classroom
+   */
+  async handleOpenDashboard(data) {
+    await this.teacherModals.openDashboard(data.classroomCode);
+  }
+
+  /**
+   * List the instructor's assignments
+   */
+  async handleOpenAssignments() {
+    await this.teacherModals.showAssignmentListModal();
+  }
+
   /**
    * Handle student choice submission
    */
@@ -913,11 +933,19 @@ class ClassroomIntegrationManager {
 
   /**
    * Handle student help request
+   * @param {Object} data - Optional message and scenarioId
    */
-  async handleRequestHelp(data) {
+  async handleRequestHelp(data = {}) {
     try {
-      // Notify teacher that student needs help
-      logger.info("ClassroomIntegrationManager", "Help requested", data);
+      // Adds the student to the instructor's help queue
+      const requestId = await this.studentModals.requestHelp(
+        data.message,
+        data.scenarioId,
+      );
+      logger.info("ClassroomIntegrationManager", "Help requested", {
+        ...data,
+        requestId,
+      });
       this.showSuccessMessage("Help request sent to instructor.");
     } catch (error) {
       logger.error(
@@ -0,0 +1,437 @@
+/**
+ * Classroom Transport
+ * Interface between RealtimeClassroomService and the backend that carries
+ * classroom data between the teacher and the students. Every transport stores
+ * classrooms in the same shape, under `classrooms/<classroomCode>`:
+ * roster, sessionStatus, studentChoices, helpRequests, debates, grades,
+ * selectedScenarios, settings and, for assignments, assignment.
+ *
+ * Implementations:
+ * - FirebaseClassroomTransport: Firebase Realtime Database, falling back to
+ *   localStorage and BroadcastChannel within one browser
+ * - WebSocketClassroomTransport: self-hosted relay (scripts/classroom-relay.js)
+ *
+ * @class ClassroomTransport
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import {
+  getAssignmentStatus,
+  isAssignment,
+} from "../utils/classroom-assignments.js";
+import { getPacedScenario, isTeacherPaced } from "../utils/classroom-utils.js";
+
+/**
+ * Build a new classroom record
+ * @param {Object} classroomData - classroomName, instructorId, instructorName,
+ *   selectedScenarios, pacing, mode and assignment, as passed to
+ *   createClassroom()
+ * @param {string} classroomCode - Unique classroom code
+ * @returns {Object} Classroom with an idle session and an empty roster
+ */
+export function createClassroomRecord(classroomData, classroomCode) {
+  const assignment = getAssignmentWindow(classroomData);
+  return {
+    classroomId: `classroom_${Date.now()}`,
+    classroomName: classroomData.classroomName,
+    classroomCode,
+    instructorId: classroomData.instructorId,
+    instructorName: classroomData.instructorName,
+    dateCreated: new Date().toISOString(),
+    selectedScenarios: classroomData.selectedScenarios || [],
+    sessionStatus: {
+      isLive: false,
+      isPaused: false,
+      currentScenario: 0,
+      votingLocked: false,
+      revealed: false,
+      startTime: null,
+      completedAt: null,
+    },
+    roster: {},
+    studentChoices: {},
+    helpRequests: {},
+    debates: {},
+    grades: {},
+    assignment,
+    settings: {
+      maxStudents: CLASSROOM_CONSTANTS.MAX_STUDENTS,
+      allowLateJoining: true,
+      sessionTimeoutMinutes: CLASSROOM_CONSTANTS.SESSION_TIMEOUT_MINUTES,
+      // Students work through assignments at their own pace
+      pacing: assignment
+        ? CLASSROOM_CONSTANTS.PACING.STUDENT
+        : classroomData.pacing || CLASSROOM_CONSTANTS.PACING.STUDENT,
+      mode: assignment
+        ? CLASSROOM_CONSTANTS.MODES.ASSIGNMENT
+        : CLASSROOM_CONSTANTS.MODES.LIVE,
+    },
+  };
+}
+
+/**
+ * Build the window of an assignment
+ * @param {Object} classroomData - mode and assignment, as passed to
+ *   createClassroom()
+ * @returns {Object|null} opensAt, closesAt and acceptLate, or null for live
+ *   classrooms
+ */
+export function getAssignmentWindow(classroomData = {}) {
+  if (classroomData.mode !== CLASSROOM_CONSTANTS.MODES.ASSIGNMENT) {
+    return null;
+  }
+
+  const opensAt = Number(classroomData.assignment?.opensAt) || Date.now();
+  const closesAt = Number(classroomData.assignment?.closesAt);
+  if (!closesAt || closesAt <= opensAt) {
+    throw new Error("An assignment must be due after it opens");
+  }
+  return {
+    opensAt,
+    closesAt,
+    acceptLate: !!classroomData.assignment.acceptLate,
+  };
+}
+
+/**
+ * Throw when an assignment is not open to students
+ * @param {Object} classroom - Classroom record
+ * @param {number} [now] - Time to check, in milliseconds
+ */
+export function assertAssignmentOpen(classroom, now = Date.now()) {
+  if (!isAssignment(classroom)) return;
+
+  const { STATUS } = CLASSROOM_CONSTANTS.ASSIGNMENT;
+  const status = getAssignmentStatus(classroom, now);
+  if (status === STATUS.UPCOMING) {
+    throw new Error(
+      `This assignment opens on ${new Date(classroom.assignment.opensAt).toLocaleString()}`,
+    );
+  }
+  if (status === STATUS.CLOSED && !classroom.assignment.acceptLate) {
+    throw new Error("This assignment is closed");
+  }
+}
+
+/**
+ * Throw when a teacher-paced classroom does not take a choice on a scenario:
+ * the class is on another scenario or the instructor locked voting
+ * @param {Object} classroom - Classroom record
+ * @param {string} scenarioId - Scenario the choice answers
+ */
+export function assertPacedChoiceOpen(classroom, scenarioId) {
+  if (!isTeacherPaced(classroom)) return;
+
+  const current = getPacedScenario(classroom, classroom.sessionStatus);
+  if (current?.scenarioId !== scenarioId) {
+    throw new Error("The class is not on this scenario");
+  }
+  if (classroom.sessionStatus?.votingLocked) {
+    throw new Error("Voting is locked for this scenario");
+  }
+}
+
+/**
+ * Throw when a classroom does not accept another student
+ * @param {Object} classroom - Classroom record
+ */
+export function assertCanJoin(classroom) {
+  assertAssignmentOpen(classroom);
+
+  if (
+    classroom.sessionStatus?.isLive &&
+    !classroom.settings?.allowLateJoining
+  ) {
+    throw new Error("Session is live and not accepting new students");
+  }
+
+  const maxStudents =
+    classroom.settings?.maxStudents || CLASSROOM_CONSTANTS.MAX_STUDENTS;
+  if (Object.keys(classroom.roster || {}).length >= maxStudents) {
+    throw new Error("Classroom is full");
+  }
+}
+
+/**
+ * Keep only the sessionStatus fields a teacher-paced session may change
+ * @param {Object} updates - Any of currentScenario, votingLocked, revealed
+ * @returns {Object} Defined pacing fields
+ */
+export function getPacingUpdates(updates = {}) {
+  const pacing = {};
+  if (Number.isInteger(updates.currentScenario)) {
+    pacing.currentScenario = updates.currentScenario;
+  }
+  ["votingLocked", "revealed"].forEach((field) => {
+    if (typeof updates[field] === "boolean") pacing[field] = updates[field];
+  });
+  return pacing;
+}
+
+/**
+ * Keep only the reflection answers a classroom stores
+ * @param {Object} reflectionData - Answers keyed by question, as collected by
+ *   ScenarioReflectionModal
+ * @returns {Object} Answers listed in CLASSROOM_CONSTANTS.EXPORT.REFLECTION_FIELDS
+ */
+export function getReflectionAnswers(reflectionData = {}) {
+  const answers = {};
+  CLASSROOM_CONSTANTS.EXPORT.REFLECTION_FIELDS.forEach((field) => {
+    const value = reflectionData[field];
+    if (value !== undefined && value !== null && value !== "") {
+      answers[field] = value;
+    }
+  });
+  return answers;
+}
+
+/**
+ * @returns {string} Key of a new entry under helpRequests
+ */
+export function generateHelpRequestId() {
+  return `help_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Build a new, open help request. The transport sets createdAt.
+ * @param {string} studentId - Student's Firebase UID
+ * @param {Object} details - nickname, scenarioId, scenarioTitle and message
+ * @returns {Object} Help request record
+ */
+export function createHelpRequestRecord(studentId, details = {}) {
+  const message = typeof details.message === "string" ? details.message : "";
+  return {
+    studentId,
+    nickname: details.nickname || "",
+    scenarioId: details.scenarioId || null,
+    scenarioTitle: details.scenarioTitle || null,
+    message: message
+      .trim()
+      .slice(0, CLASSROOM_CONSTANTS.HELP_MESSAGE_MAX_LENGTH),
+    status: CLASSROOM_CONSTANTS.HELP_STATUS.OPEN,
+    createdAt: null,
+    acknowledgedAt: null,
+    resolvedAt: null,
+    cancelledAt: null,
+  };
+}
+
+/**
+ * Throw unless a help request can be moved to this status
+ * @param {string} status - acknowledged, resolved or cancelled
+ * @returns {string} Name of the timestamp field to set, e.g. resolvedAt
+ */
+export function getHelpStatusField(status) {
+  const { HELP_STATUS } = CLASSROOM_CONSTANTS;
+  if (
+    status === HELP_STATUS.OPEN ||
+    !Object.values(HELP_STATUS).includes(status)
+  ) {
+    throw new Error(`Cannot move a help request to "${status}"`);
+  }
+  return `${status}At`;
+}
+
+/**
+ * Build a new, open debate. The transport sets startedAt.
+ * @param {string} scenarioId - Scenario being debated
+ * @param {Object} debate - groups (see createDebateGroups) and rubric
+ * @returns {Object} Debate record stored under debates/<scenarioId>
+ */
+export function createDebateRecord(scenarioId, debate = {}) {
+  return {
+    scenarioId,
+    status: CLASSROOM_CONSTANTS.DEBATE.STATUS.OPEN,
+    groups: debate.groups || [],
+    rubric: debate.rubric || null,
+    startedAt: null,
+    closedAt: null,
+  };
+}
+
+/**
+ * Keep only what a debate argument stores
+ * @param {Object} argument - groupId, optionId and text
+ * @returns {Object} Argument with its text trimmed to the maximum length
+ */
+export function getDebateArgument(argument = {}) {
+  const text = typeof argument.text === "string" ? argument.text : "";
+  return {
+    groupId: argument.groupId || null,
+    optionId: argument.optionId || null,
+    text: text.trim().slice(0, CLASSROOM_CONSTANTS.DEBATE.ARGUMENT_MAX_LENGTH),
+  };
+}
+
+/**
+ * Keep only what a reflection grade stores
+ * @param {Object} grade - Result of createReflectionGrade()
+ * @returns {Object} Grade with its feedback trimmed to the maximum length
+ */
+export function getReflectionGrade(grade = {}) {
+  const feedback = typeof grade.feedback === "string" ? grade.feedback : "";
+  return {
+    rubricId: grade.rubricId || CLASSROOM_CONSTANTS.GRADING.DEFAULT_RUBRIC,
+    criteria: (grade.criteria || []).map((criterion) => ({
+      name: criterion.name,
+      level: Number(criterion.level) || 0,
+      maxLevel: Number(criterion.maxLevel) || 0,
+      description: criterion.description || "",
+    })),
+    total: Number(grade.total) || 0,
+    maxTotal: Number(grade.maxTotal) || 0,
+    feedback: feedback
+      .trim()
+      .slice(0, CLASSROOM_CONSTANTS.GRADING.FEEDBACK_MAX_LENGTH),
+  };
+}
+
+/**
+ * Base class of the transports. Methods take the same arguments as the
+ * RealtimeClassroomService methods of the same name.
+ */
+export default class ClassroomTransport {
+  /**
+   * @param {string} name - One of CLASSROOM_CONSTANTS.TRANSPORTS
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /** @returns {Promise<Object>} Created classroom */
+  async createClassroom() {
+    this.notImplemented("createClassroom");
+  }
+
+  /** @returns {Promise<Object>} Classroom data plus studentInfo */
+  async joinClassroom() {
+    this.notImplemented("joinClassroom");
+  }
+
+  async startLiveSession() {
+    this.notImplemented("startLiveSession");
+  }
+
+  async pauseSession() {
+    this.notImplemented("pauseSession");
+  }
+
+  async completeSession() {
+    this.notImplemented("completeSession");
+  }
+
+  /**
+   * Write teacher-paced fields (currentScenario, votingLocked, revealed)
+   * into sessionStatus, leaving the other fields untouched
+   */
+  async updatePacing() {
+    this.notImplemented("updatePacing");
+  }
+
+  async submitStudentChoice() {
+    this.notImplemented("submitStudentChoice");
+  }
+
+  async updateStudentProgress() {
+    this.notImplemented("updateStudentProgress");
+  }
+
+  /**
+   * Store reflection answers under
+   * studentChoices/<studentId>/reflections/<scenarioId>
+   */
+  async submitReflection() {
+    this.notImplemented("submitReflection");
+  }
+
+  /**
+   * Store an open help request under helpRequests/<requestId>
+   * @returns {Promise<string>} Request ID
+   */
+  async requestHelp() {
+    this.notImplemented("requestHelp");
+  }
+
+  /** Set a help request's status and the matching <status>At timestamp */
+  async updateHelpRequest() {
+    this.notImplemented("updateHelpRequest");
+  }
+
+  /** @returns {Function} Unsubscribe function */
+  listenToHelpRequests() {
+    this.notImplemented("listenToHelpRequests");
+  }
+
+  /** Store an open debate under debates/<scenarioId> */
+  async startDebate() {
+    this.notImplemented("startDebate");
+  }
+
+  /** Set a debate's status to closed and record closedAt */
+  async closeDebate() {
+    this.notImplemented("closeDebate");
+  }
+
+  /** Store an argument under debates/<scenarioId>/arguments/<studentId> */
+  async submitDebateArgument() {
+    this.notImplemented("submitDebateArgument");
+  }
+
+  /** Store a rubric score under debates/<scenarioId>/scores/<studentId> */
+  async scoreDebateArgument() {
+    this.notImplemented("scoreDebateArgument");
+  }
+
+  /** @returns {Function} Unsubscribe function */
+  listenToDebates() {
+    this.notImplemented("listenToDebates");
+  }
+
+  /** Store a reflection grade under grades/<studentId>/<scenarioId> */
+  async gradeReflection() {
+    this.notImplemented("gradeReflection");
+  }
+
+  /** @returns {Function} Unsubscribe function */
+  listenToGrades() {
+    this.notImplemented("listenToGrades");
+  }
+
+  /** @returns {Function} Unsubscribe function */
+  listenToRoster() {
+    this.notImplemented("listenToRoster");
+  }
+
+  /** @returns {Function} Unsubscribe function */
+  listenToSessionStatus() {
+    this.notImplemented("listenToSessionStatus");
+  }
+
+  /** @returns {Function} Unsubscribe function */
+  listenToStudentChoices() {
+    this.notImplemented("listenToStudentChoices");
+  }
+
+  /** @returns {Promise<Object|null>} Classroom data or null if not found */
+  async getClassroom() {
+    this.notImplemented("getClassroom");
+  }
+
+  async removeStudent() {
+    this.notImplemented("removeStudent");
+  }
+
+  /** Stop every active listener */
+  cleanup() {}
+
+  /** @returns {Object} Connection details for healthCheck() */
+  healthCheck() {
+    return { transport: this.name };
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.name} classroom transport has no ${method}()`);
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Copyright 2025 Armando Sori
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Community Statistics Service
+ * Aggregates confirmed scenario choices into per-scenario, per-option counters
+ * and turns them into the distribution shown in the reflection modal.
+ *
+ * Counters are always kept locally through DataHandler. When Firestore is
+ * reachable the choice is also sent to the recordScenarioChoice Cloud
+ * Function, which updates the shared scenarioStats collection. The shared
+ * counts are preferred when reading because they reflect every learner.
+ * Both counters count a learner once per scenario, keeping their latest choice.
+ */
+
+import DataHandler from "../core/data-handler.js";
+import logger from "../utils/logger.js";
+
+const COMMUNITY_STATS_CONFIG = {
+  MIN_RESPONSES: 20, // Below this the distribution is not shown
+  PERCENT_SCALE: 100,
+};
+
+export class CommunityStatsService {
+  constructor(options = {}) {
+    this.dataHandler =
+      options.dataHandler ||
+      new DataHandler({
+        appName: "SimulateAI-CommunityStats",
+        version: "1.0",
+        enableFirebase: false,
+        enableCaching: true,
+        enableOfflineQueue: false,
+      });
+    this.firestoreService = options.firestoreService || null;
+    this.minimumResponses =
+      options.minimumResponses ?? COMMUNITY_STATS_CONFIG.MIN_RESPONSES;
+    this.firestoreInitPromise = null;
+  }
+
+  /**
+   * Resolve an initialized FirestoreService, if one is available
+   * @returns {Promise<FirestoreService|null>}
+   */
+  async getFirestoreService() {
+    if (!this.firestoreService) {
+      const serviceManager =
+        typeof window !== "undefined" ? window.serviceManager : null;
+      if (!serviceManager?.isInitialized?.()) {
+        return null;
+      }
+      this.firestoreService =
+        serviceManager.getAuthService()?.firestoreService || null;
+    }
+
+    if (!this.firestoreService) return null;
+
+    if (!this.firestoreService.db) {
+      if (!this.firestoreInitPromise) {
+        this.firestoreInitPromise = this.firestoreService
+          .initialize()
+          .catch((error) => {
+            logger.warn(
+              "CommunityStats",
+              "Firestore unavailable, using local counters only",
+              error.message,
+            );
+          });
+      }
+      await this.firestoreInitPromise;
+    }
+
+    return this.firestoreService.db ? this.firestoreService : null;
+  }
+
+  /**
+   * Record a confirmed choice for a scenario
+   * @param {string} categoryId - Category ID
+   * @param {string} scenarioId - Scenario ID
+   * @param {string} optionId - Chosen option ID
+   * @returns {Promise<{local: boolean, remote: boolean}>}
+   */
+  async recordChoice(categoryId, scenarioId, optionId) {
+    const result = { local: false, remote: false };
+
+    if (!categoryId || !scenarioId || !optionId) {
+      logger.warn("CommunityStats", "Incomplete choice, not recorded", {
+        categoryId,
+        scenarioId,
+        optionId,
+      });
+      return result;
+    }
+
+    try {
+      result.local = await this.dataHandler.recordScenarioChoice(
+        categoryId,
+        scenarioId,
+        optionId,
+      );
+    } catch (error) {
+      logger.error("CommunityStats", "Failed to update local counters", error);
+    }
+
+    try {
+      const firestore = await this.getFirestoreService();
+      if (firestore) {
+        const remote = await firestore.recordScenarioChoice(
+          categoryId,
+          scenarioId,
+          optionId,
+        );
+        result.remote = remote.success;
+        if (!remote.success) {
+          logger.warn(
+            "CommunityStats",
+            "Failed to update shared counters",
+            remote.error,
+          );
+        }
+      }
+    } catch (error) {
+      logger.warn("CommunityStats", "Failed to update shared counters", error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read raw counters, preferring the shared Firestore aggregate
+   * @returns {Promise<{counts: Object, totalResponses: number, updatedAt: *, source: string}>}
+   */
+  async getChoiceCounts(categoryId, scenarioId) {
+    try {
+      const firestore = await this.getFirestoreService();
+      if (firestore) {
+        const remote = await firestore.getScenarioChoiceCounts(
+          categoryId,
+          scenarioId,
+        );
+        if (remote.success) {
+          return { ...remote, source: "community" };
+        }
+      }
+    } catch (error) {
+      logger.warn("CommunityStats", "Failed to read shared counters", error);
+    }
+
+    const local = await this.dataHandler.getScenarioChoiceCounts(
+      categoryId,
+      scenarioId,
+    );
+    return { ...local, source: "local" };
+  }
+
+  /**
+   * Build the community distribution for a scenario's options
+   * @param {string} categoryId - Category ID
+   * @param {string} scenarioId - Scenario ID
+   * @param {Array<Object>} options - Scenario options ({id, text})
+   * @param {string|null} selectedOptionId - The current user's choice
+   * @returns {Promise<Object>} Stats with a hasEnoughData flag
+   */
+  async getScenarioStats(
+    categoryId,
+    scenarioId,
+    options = [],
+    selectedOptionId = null,
+  ) {
+    const { counts, totalResponses, updatedAt, source } =
+      await this.getChoiceCounts(categoryId, scenarioId);
+
+    const percentages = this.calculatePercentages(
+      options.map((option) => counts[option.id] || 0),
+    );
+
+    return {
+      totalResponses,
+      minimumResponses: this.minimumResponses,
+      hasEnoughData:
+        options.length > 0 && totalResponses >= this.minimumResponses,
+      source,
+      options: options.map((option, index) => ({
+        optionId: option.id,
+        optionText: option.text,
+        count: counts[option.id] || 0,
+        percentage: percentages[index],
+        isUserChoice: option.id === selectedOptionId,
+      })),
+      lastUpdated: updatedAt
+        ? new Date(updatedAt).toISOString()
+        : new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Whole-number percentages that always sum to 100 (largest remainder)
+   * @param {number[]} values - Raw counts
+   * @returns {number[]}
+   */
+  calculatePercentages(values) {
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (total === 0) return values.map(() => 0);
+
+    const exact = values.map(
+      (value) => (value / total) * COMMUNITY_STATS_CONFIG.PERCENT_SCALE,
+    );
+    const rounded = exact.map(Math.floor);
+    let remainder =
+      COMMUNITY_STATS_CONFIG.PERCENT_SCALE -
+      rounded.reduce((sum, value) => sum + value, 0);
+
+    exact
+      .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+      .sort((a, b) => b.fraction - a.fraction)
+      .forEach(({ index }) => {
+        if (remainder > 0) {
+          rounded[index]++;
+          remainder--;
+        }
+      });
+
+    return rounded;
+  }
+}
+
+const communityStatsService = new CommunityStatsService();
+
+export { COMMUNITY_STATS_CONFIG };
+export default communityStatsService;
@@ -23,6 +23,7 @@
  * - users/{uid}/badges/ (earned badges)
  * - users/{uid}/progress/ (learning progress)
  * - users/{uid}/sessions/ (user sessions)
+ * - scenarioStats/{categoryId}__{scenarioId} (anonymous community choice counts)
  *
  * All operations use the UID normalizer for consistent user identification
  */
@@ -645,6 +646,87 @@ export class FirestoreService {
     }
   }
 
+  // ============================================================================
+  // COMMUNITY STATISTICS OPERATIONS
+  // ============================================================================
+
+  /**
+   * Build the shared stats document path for a scenario.
+   * Stats are aggregated across all users and never store identities.
+   */
+  createScenarioStatsPath(categoryId, scenarioId) {
+    return `scenarioStats/${categoryId}__${scenarioId}`;
+  }
+
+  /**
+   * Record a confirmed scenario choice in the community counters.
+   * The write goes through the recordScenarioChoice Cloud Function, which
+   * requires sign-in and counts each user once per scenario.
+   */
+  async recordScenarioChoice(categoryId, scenarioId, optionId) {
+    try {
+      this.ensureReady();
+
+      const result = await this.firebaseService.callFunction(
+        "recordScenarioChoice",
+        { categoryId, scenarioId, optionId },
+      );
+
+      return {
+        success: Boolean(result?.success),
+        path: this.createScenarioStatsPath(categoryId, scenarioId),
+        optionId,
+        counted: Boolean(result?.counted),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get the aggregated community choice counts for a scenario
+   */
+  async getScenarioChoiceCounts(categoryId, scenarioId) {
+    try {
+      this.ensureReady();
+
+      const statsPath = this.createScenarioStatsPath(categoryId, scenarioId);
+
+      const { doc, getDoc } = await import(
+        "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js"
+      );
+
+      const docRef = doc(this.db, statsPath);
+      const docSnapshot = await getDoc(docRef);
+
+      if (!docSnapshot.exists()) {
+        return {
+          success: true,
+          counts: {},
+          totalResponses: 0,
+          updatedAt: null,
+        };
+      }
+
+      const data = docSnapshot.data();
+
+      return {
+        success: true,
+        counts: data.counts || {},
+        totalResponses: data.totalResponses || 0,
+        updatedAt: data.updatedAt?.toDate?.() || null,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   // ============================================================================
   // DATA DELETION OPERATIONS (GDPR COMPLIANCE)
   // ============================================================================
@@ -1,283 +1,65 @@
 /**
- * Real-Time Classroom Service for Firebase Realtime Database Operations
- * Handles teacher-student classroom collaboration functionality
+ * Real-Time Classroom Service
+ * Handles teacher-student classroom collaboration functionality over a
+ * pluggable transport (see ClassroomTransport). Classrooms use the Firebase
+ * Realtime Database unless a self-hosted classroom relay is configured, in
+ * which case a teacher laptop running scripts/classroom-relay.js carries the
+ * classroom over the school network instead.
  * @class RealtimeClassroomService
  * @author SimulateAI Development Team
  * @since 1.80.0
  */
 
-import {
-  getDatabase,
-  ref,
-  set,
-  get,
-  onValue,
-  remove,
-  serverTimestamp,
-  connectDatabaseEmulator,
-} from "firebase/database";
-import { devConfig } from "../config/firebase-config-dev.js";
 import logger from "../utils/logger.js";
 import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
-import {
-  generateClassroomCode,
-  validateClassroomCode,
-} from "../utils/classroom-utils.js";
+import { getClassroomRelayUrl } from "../utils/classroom-utils.js";
+import FirebaseClassroomTransport from "./firebase-classroom-transport.js";
+import WebSocketClassroomTransport from "./websocket-classroom-transport.js";
 
 export default class RealtimeClassroomService {
-  constructor(firebaseService) {
+  /**
+   * @param {Object} firebaseService - Firebase service for the default transport
+   * @param {Object} [options]
+   * @param {ClassroomTransport} [options.transport] - Transport to use as is
+   * @param {string} [options.relayUrl] - Classroom relay URL; defaults to
+   *   getClassroomRelayUrl()
+   */
+  constructor(firebaseService, options = {}) {
     this.firebaseService = firebaseService;
-    this.database = null;
-    this.listeners = new Map(); // Track active listeners for cleanup
-    this.isConnected = false;
-    this.fallbackMode = false; // Use localStorage when Firebase is unavailable
-    this.initializationPromise = null; // Track initialization status
-    this._emulatorConnected = false;
+    this.transport =
+      options.transport ||
+      this.createTransport(options.relayUrl || getClassroomRelayUrl());
 
-    // Start initialization but don't wait for it in constructor
-    this.initializationPromise = this.initializeDatabase();
+    logger.info(
+      "RealtimeClassroomService",
+      `Using ${this.transport.name} classroom transport`,
+    );
   }
 
   /**
-   * Initialize Firebase Realtime Database connection
    * @private
+   * @param {string|null} relayUrl
+   * @returns {ClassroomTransport}
    */
-  async initializeDatabase() {
-    try {
-      // Check if Firebase service and app are properly initialized
-      if (!this.firebaseService || !this.firebaseService.app) {
-        logger.warn(
-          "RealtimeClassroomService",
-          "Firebase app not initialized, using fallback mode",
-        );
-        this.fallbackMode = true;
-        this.isConnected = true; // Mark as connected for fallback mode
-        return;
-      }
-
-      // Try to initialize the database with configured or derived URL
-      try {
-        const overrideUrl =
-          (typeof window !== "undefined" && window.SIMULATEAI_RTDB_URL) || null;
-        const configuredUrl =
-          overrideUrl || this.firebaseService?.app?.options?.databaseURL;
-        let derivedUrl = null;
-        if (!configuredUrl) {
-          const projectId = this.firebaseService?.app?.options?.projectId;
-          if (projectId) {
-            derivedUrl = `https://${projectId}-default-rtdb.firebaseio.com`;
-          }
-        }
-
-        if (configuredUrl) {
-          this.database = getDatabase(this.firebaseService.app);
-        } else if (derivedUrl) {
-          this.database = getDatabase(this.firebaseService.app, derivedUrl);
-        } else {
-          throw new Error(
-            "Realtime Database not configured and no projectId to derive URL",
-          );
-        }
-      } catch (rtdbConfigErr) {
-        logger.warn(
-          "RealtimeClassroomService",
-          "RTDB not available or misconfigured; entering fallback mode",
-          rtdbConfigErr,
-        );
-        this.fallbackMode = true;
-        this.isConnected = true; // Allow app flow using localStorage fallback
-        this.database = null;
-        return;
-      }
-
-      // Ensure we target local emulator in development regardless of databaseURL
-      try {
-        if (
-          !this._emulatorConnected &&
-          ["localhost", "127.0.0.1", "::1"].includes(
-            window.location.hostname,
-          ) &&
-          devConfig?.useEmulators
-        ) {
-          const host = devConfig.emulatorHost || "127.0.0.1";
-          const port = devConfig.emulatorPorts.database;
-          // Bind the SDK to the emulator; actual connectivity is verified below via SDK probe
-          connectDatabaseEmulator(this.database, host, port);
-          this._emulatorConnected = true;
-        }
-      } catch (_) {
-        // no-op; SDK-level probe below will decide fallback
-      }
-
-      // Test the connection with a robust operation that avoids special tokens
-      try {
-        let connectedProbe = false;
-
-        // Prefer a one-time listen on .info/connected; fall back to a safe path GET
-        try {
-          const infoRef = ref(this.database, ".info/connected");
-          await new Promise((resolve, reject) => {
-            let unsub = () => {};
-            const timer = setTimeout(() => {
-              try {
-                unsub();
-              } catch (_) {
-                /* ignore */
-              }
-              reject(new Error("RTDB info connection probe timeout"));
-            }, 2000);
-
-            try {
-              // Subscribe once and immediately unsubscribe on first value
-              unsub = onValue(
-                infoRef,
-                () => {
-                  clearTimeout(timer);
-                  try {
-                    unsub();
-                  } catch (_) {
-                    /* ignore */
-                  }
-                  connectedProbe = true;
-                  resolve(true);
-                },
-                (err) => {
-                  clearTimeout(timer);
-                  try {
-                    unsub();
-                  } catch (_) {
-                    /* ignore */
-                  }
-                  reject(err);
-                },
-              );
-            } catch (e) {
-              clearTimeout(timer);
-              try {
-                unsub();
-              } catch (_) {
-                /* ignore */
-              }
-              reject(e);
-            }
-          });
-        } catch (_) {
-          // Fall back to a harmless read on a standard path (avoids special token parsing)
-          const probeRef = ref(this.database, "health/__connection_check");
-          await get(probeRef); // existence not required
-          connectedProbe = true;
-        }
-
-        if (connectedProbe) {
-          this.isConnected = true;
-          this.fallbackMode = false;
-          logger.info(
-            "RealtimeClassroomService",
-            "Database initialized successfully with Firebase",
-          );
-        } else {
-          throw new Error("RTDB connection probe failed");
-        }
-      } catch (connectionError) {
-        logger.warn(
-          "RealtimeClassroomService",
-          "Firebase database connection failed, using fallback mode",
-          connectionError,
-        );
-        this.fallbackMode = true;
-        this.isConnected = true; // Mark as connected for fallback mode
-        this.database = null; // Clear the database reference
-      }
-    } catch (error) {
-      logger.warn(
-        "RealtimeClassroomService",
-        "Failed to initialize database, using fallback mode",
-        error,
-      );
-      this.fallbackMode = true;
-      this.isConnected = true; // Mark as connected for fallback mode
-      this.database = null; // Clear the database reference
+  createTransport(relayUrl) {
+    if (relayUrl) {
+      return new WebSocketClassroomTransport(relayUrl);
     }
+    return new FirebaseClassroomTransport(this.firebaseService);
   }
 
   /**
-   * Ensure this.database is initialized using the same rules as initializeDatabase
-   * without running connectivity probes. Safe to call multiple times.
-   * @private
-   * @returns {boolean} true if database is available after ensuring
+   * @returns {string} One of CLASSROOM_CONSTANTS.TRANSPORTS
    */
-  _ensureDatabase() {
-    try {
-      if (this.database) return true;
-      if (!this.firebaseService?.app) return false;
-
-      // Prefer configured URL (including runtime override), else derive from projectId
-      const overrideUrl =
-        (typeof window !== "undefined" && window.SIMULATEAI_RTDB_URL) || null;
-      const configuredUrl =
-        overrideUrl || this.firebaseService?.app?.options?.databaseURL;
-      let derivedUrl = null;
-      if (!configuredUrl) {
-        const projectId = this.firebaseService?.app?.options?.projectId;
-        if (projectId) {
-          derivedUrl = `https://${projectId}-default-rtdb.firebaseio.com`;
-        }
-      }
-
-      if (configuredUrl) {
-        this.database = getDatabase(this.firebaseService.app);
-      } else if (derivedUrl) {
-        this.database = getDatabase(this.firebaseService.app, derivedUrl);
-      } else {
-        return false;
-      }
-
-      // Bind emulator in development if configured
-      try {
-        if (
-          !this._emulatorConnected &&
-          ["localhost", "127.0.0.1", "::1"].includes(
-            window.location.hostname,
-          ) &&
-          devConfig?.useEmulators
-        ) {
-          const host = devConfig.emulatorHost || "127.0.0.1";
-          const port = devConfig.emulatorPorts.database;
-          connectDatabaseEmulator(this.database, host, port);
-          this._emulatorConnected = true;
-        }
-      } catch (_) {
-        // ignore emulator binding errors
-      }
-
-      return !!this.database;
-    } catch (_) {
-      return false;
-    }
+  get transportName() {
+    return this.transport.name;
   }
 
   /**
-   * Derive the Realtime Database namespace for the emulator REST probe.
-   * Tries databaseURL host prefix, then falls back to projectId-default-rtdb.
-   * @returns {string}
-   * @private
+   * @returns {string|null} Relay URL when classrooms run on a local relay
    */
-  _getDatabaseNamespace() {
-    try {
-      const dbUrl = this.firebaseService?.app?.options?.databaseURL;
-      if (dbUrl) {
-        const u = new URL(dbUrl);
-        const host = u.host || ""; // e.g., simulateai-research-default-rtdb.firebaseio.com
-        const first = host.split(".")[0];
-        if (first) return first;
-      }
-      const projectId = this.firebaseService?.app?.options?.projectId;
-      if (projectId) return `${projectId}-default-rtdb`;
-    } catch (_) {
-      // ignore
-    }
-    // Safe generic fallback
-    return "local-default-rtdb";
+  get relayUrl() {
+    return this.transport.relayUrl || null;
   }
 
   /**
@@ -287,1384 +69,322 @@ export default class RealtimeClassroomService {
    * @param {string} classroomData.instructorId - Firebase UID of instructor
    * @param {string} classroomData.instructorName - Display name of instructor
    * @param {Array} classroomData.selectedScenarios - Array of scenario objects
+   * @param {string} [classroomData.pacing] - CLASSROOM_CONSTANTS.PACING value
+   * @param {string} [classroomData.mode] - CLASSROOM_CONSTANTS.MODES value
+   * @param {Object} [classroomData.assignment] - opensAt, closesAt and
+   *   acceptLate of an assignment
    * @returns {Promise<Object>} Created classroom with code and ID
    */
-  async createClassroom(classroomData) {
-    // Do not block on initialization; proceed with hybrid path immediately
-
-    // Note: We allow creation in both connected and fallback modes
-    // The service handles both Firebase and localStorage automatically
-
-    try {
-      // Generate unique classroom code
-      const classroomCode = await this.generateUniqueClassroomCode();
-
-      // Resolve instructor identity: when using Firebase, security rules require instructorId == auth.uid
-      let effectiveInstructorId = classroomData.instructorId;
-      let effectiveInstructorName = classroomData.instructorName;
-      try {
-        const uid = this.firebaseService?.auth?.currentUser?.uid;
-        const displayName =
-          this.firebaseService?.auth?.currentUser?.displayName;
-        if (this.firebaseService?.app && uid) {
-          if (effectiveInstructorId !== uid) {
-            logger.debug(
-              "RealtimeClassroomService",
-              "Overriding instructorId with authenticated uid for security rules",
-              { provided: effectiveInstructorId, uid },
-            );
-            effectiveInstructorId = uid;
-          }
-          if (!effectiveInstructorName && displayName) {
-            effectiveInstructorName = displayName;
-          }
-        }
-      } catch (_) {
-        // ignore identity resolution errors
-      }
-
-      // Create classroom object
-      const classroom = {
-        classroomId: `classroom_${Date.now()}`,
-        classroomName: classroomData.classroomName,
-        classroomCode: classroomCode,
-        instructorId: effectiveInstructorId || classroomData.instructorId,
-        instructorName: effectiveInstructorName || classroomData.instructorName,
-        dateCreated: new Date().toISOString(),
-        selectedScenarios: classroomData.selectedScenarios || [],
-        sessionStatus: {
-          isLive: false,
-          isPaused: false,
-          currentScenario: 0,
-          startTime: null,
-          completedAt: null,
-        },
-        roster: {},
-        studentChoices: {},
-        settings: {
-          maxStudents: CLASSROOM_CONSTANTS.MAX_STUDENTS,
-          allowLateJoining: true,
-          sessionTimeoutMinutes: CLASSROOM_CONSTANTS.SESSION_TIMEOUT_MINUTES,
-        },
-      };
-
-      // Prefer Firebase if possible; fallback on failure
-      // Ensure database exists if app is available (use derived URL when needed)
-      if (!this.database) {
-        this._ensureDatabase();
-      }
-
-      if (this.database) {
-        try {
-          const result = await Promise.race([
-            this.createClassroomFirebase(classroom),
-            new Promise((_, reject) =>
-              setTimeout(
-                () => reject(new Error("Firebase write timeout (create)")),
-                4000,
-              ),
-            ),
-          ]);
-          // Mirror to localStorage to allow immediate local listeners to see it
-          try {
-            const existingClassrooms = JSON.parse(
-              localStorage.getItem("simulateai_classrooms") || "{}",
-            );
-            existingClassrooms[result.classroomCode] = result;
-            localStorage.setItem(
-              "simulateai_classrooms",
-              JSON.stringify(existingClassrooms),
-            );
-          } catch (_) {
-            /* ignore */
-          }
-          // Broadcast to other tabs so students in fallback can discover it
-          this.broadcastClassroom(result);
-          return result;
-        } catch (e) {
-          logger.warn(
-            "RealtimeClassroomService",
-            "Firebase create failed or timed out; using fallback",
-            e,
-          );
-          const created = await this.createClassroomFallback(classroom);
-          this.broadcastClassroom(created);
-          // Best-effort background publish to Firebase when possible
-          this.publishClassroomToFirebaseIfPossible(created).catch((err) =>
-            logger.warn(
-              "RealtimeClassroomService",
-              "Background publish to Firebase failed",
-              err,
-            ),
-          );
-          return created;
-        }
-      }
-
-      // No database—fallback
-      const created = await this.createClassroomFallback(classroom);
-      this.broadcastClassroom(created);
-      // Best-effort background publish to Firebase when possible
-      this.publishClassroomToFirebaseIfPossible(created).catch((err) =>
-        logger.warn(
-          "RealtimeClassroomService",
-          "Background publish to Firebase failed",
-          err,
-        ),
-      );
-      return created;
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to create classroom",
-        error,
-      );
-      throw error;
-    }
+  createClassroom(classroomData) {
+    return this.transport.createClassroom(classroomData);
   }
 
   /**
-   * Create classroom using Firebase Realtime Database
-   * @private
+   * Join a classroom as a student
+   * @param {string} classroomCode - 6-character classroom code
+   * @param {string} studentId - Firebase UID of student
+   * @param {string} nickname - Student's chosen nickname
+   * @returns {Promise<Object>} Classroom data and student info
    */
-  async createClassroomFirebase(classroom) {
-    const classroomRef = ref(
-      this.database,
-      `classrooms/${classroom.classroomCode}`,
-    );
-    await set(classroomRef, {
-      ...classroom,
-      dateCreated: serverTimestamp(), // Use Firebase server timestamp
-    });
-
-    logger.info(
-      "RealtimeClassroomService",
-      "Classroom created successfully in Firebase",
-      {
-        classroomCode: classroom.classroomCode,
-        instructorId: classroom.instructorId,
-      },
-    );
-
-    // Mirror to localStorage so fallback-mode students can still find the classroom
-    try {
-      const existingClassrooms = JSON.parse(
-        localStorage.getItem("simulateai_classrooms") || "{}",
-      );
-      if (!existingClassrooms[classroom.classroomCode]) {
-        existingClassrooms[classroom.classroomCode] = classroom;
-        localStorage.setItem(
-          "simulateai_classrooms",
-          JSON.stringify(existingClassrooms),
-        );
-        logger.debug(
-          "RealtimeClassroomService",
-          "Mirrored classroom to fallback store",
-          { classroomCode: classroom.classroomCode },
-        );
-      }
-    } catch (mirrorError) {
-      logger.warn(
-        "RealtimeClassroomService",
-        "Failed to mirror classroom to fallback store",
-        mirrorError,
-      );
-    }
-
-    return classroom;
+  joinClassroom(classroomCode, studentId, nickname) {
+    return this.transport.joinClassroom(classroomCode, studentId, nickname);
   }
 
   /**
-   * Attempt to publish a locally-created classroom to Firebase in the background
-   * This helps cross-device discovery when initial creation used fallback mode
-   * @private
+   * Start a live session for a classroom
+   * @param {string} classroomCode - Classroom code
+   * @param {string} instructorId - Instructor's Firebase UID
+   * @returns {Promise<void>}
    */
-  async publishClassroomToFirebaseIfPossible(classroom) {
-    try {
-      if (!this.firebaseService?.app) return;
-      // Ensure db exists
-      if (!this.database) {
-        if (!this._ensureDatabase()) return; // Can't initialize db
-      }
-
-      if (!this.database) return;
-
-      const classroomRef = ref(
-        this.database,
-        `classrooms/${classroom.classroomCode}`,
-      );
-
-      // If already exists, skip
-      let exists = false;
-      try {
-        const snapshot = await Promise.race([
-          get(classroomRef),
-          new Promise((_, reject) =>
-            setTimeout(
-              () => reject(new Error("Firebase read timeout (publish check)")),
-              3000,
-            ),
-          ),
-        ]);
-        exists = snapshot.exists();
-      } catch (_) {
-        // Read failed; proceed with best-effort write
-      }
-
-      if (!exists) {
-        await Promise.race([
-          set(classroomRef, {
-            ...classroom,
-            dateCreated: classroom.dateCreated || serverTimestamp(),
-          }),
-          new Promise((_, reject) =>
-            setTimeout(
-              () => reject(new Error("Firebase write timeout (publish)")),
-              3000,
-            ),
-          ),
-        ]);
-        logger.info(
-          "RealtimeClassroomService",
-          "Published fallback-created classroom to Firebase",
-          { classroomCode: classroom.classroomCode },
-        );
-      }
-    } catch (error) {
-      // Swallow; best-effort background task
-      logger.debug(
-        "RealtimeClassroomService",
-        "Publish to Firebase skipped/failed",
-        error,
-      );
-    }
+  startLiveSession(classroomCode, instructorId) {
+    return this.transport.startLiveSession(classroomCode, instructorId);
   }
 
   /**
-   * Create classroom using localStorage fallback
-   * @private
+   * Pause/unpause a live session
+   * @param {string} classroomCode - Classroom code
+   * @param {boolean} isPaused - Whether to pause or unpause
+   * @returns {Promise<void>}
    */
-  async createClassroomFallback(classroom) {
-    try {
-      // Get existing classrooms from localStorage
-      const existingClassrooms = JSON.parse(
-        localStorage.getItem("simulateai_classrooms") || "{}",
-      );
-
-      // Add new classroom
-      existingClassrooms[classroom.classroomCode] = classroom;
-
-      // Save back to localStorage
-      localStorage.setItem(
-        "simulateai_classrooms",
-        JSON.stringify(existingClassrooms),
-      );
-
-      logger.info(
-        "RealtimeClassroomService",
-        "Classroom created successfully in fallback mode",
-        {
-          classroomCode: classroom.classroomCode,
-          instructorId: classroom.instructorId,
-        },
-      );
-
-      return classroom;
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to create classroom in fallback mode",
-        error,
-      );
-      throw error;
-    }
+  pauseSession(classroomCode, isPaused) {
+    return this.transport.pauseSession(classroomCode, isPaused);
   }
 
   /**
-   * Join a classroom as a student
-   * @param {string} classroomCode - 6-character classroom code
-   * @param {string} studentId - Firebase UID of student
-   * @param {string} nickname - Student's chosen nickname
-   * @returns {Promise<Object>} Classroom data and student info
+   * Complete a classroom session
+   * @param {string} classroomCode - Classroom code
+   * @returns {Promise<void>}
    */
-  async joinClassroom(classroomCode, studentId, nickname) {
-    // Do not block on initialization; attempt hybrid immediately
-
-    try {
-      // Validate classroom code format
-      if (!validateClassroomCode(classroomCode)) {
-        throw new Error("Invalid classroom code format");
-      }
-      // Try Firebase first if available; otherwise fallback
-      let classroom = null;
-      let usingFirebase = false;
-      // Resolve student identity for Firebase rules (studentId must equal auth.uid or be instructor)
-      let effectiveStudentId = studentId;
-      try {
-        const uid = this.firebaseService?.auth?.currentUser?.uid;
-        if (this.firebaseService?.app && uid) {
-          if (effectiveStudentId !== uid) {
-            logger.debug(
-              "RealtimeClassroomService",
-              "Overriding studentId with authenticated uid for security rules",
-              { provided: effectiveStudentId, uid },
-            );
-            effectiveStudentId = uid;
-          }
-        }
-      } catch (_) {
-        // ignore
-      }
-
-      // If we don't have a database yet, try to create one (derived/configured URL)
-      if (!this.database) {
-        this._ensureDatabase();
-      }
-
-      if (this.database) {
-        try {
-          const classroomRef = ref(
-            this.database,
-            `classrooms/${classroomCode}`,
-          );
-          const snapshot = await Promise.race([
-            get(classroomRef),
-            new Promise((_, reject) =>
-              setTimeout(
-                () => reject(new Error("Firebase read timeout (join)")),
-                5000,
-              ),
-            ),
-          ]);
-          if (snapshot.exists()) {
-            classroom = snapshot.val();
-            usingFirebase = true;
-          }
-        } catch (e) {
-          logger.warn(
-            "RealtimeClassroomService",
-            "Firebase read failed during join; will try fallback",
-            e,
-          );
-          // If the error indicates a permission issue, surface a clearer message
-          const msg = (e && (e.message || e.code || "").toString()) || "";
-          if (/permission/i.test(msg) || /PERMISSION_DENIED/i.test(msg)) {
-            throw new Error(
-              "Permission denied while accessing classroom. Please sign in and try again.",
-            );
-          }
-        }
-      }
-
-      // If not found via Firebase, check localStorage fallback
-      if (!classroom) {
-        try {
-          const existingClassrooms = JSON.parse(
-            localStorage.getItem("simulateai_classrooms") || "{}",
-          );
-          classroom = existingClassrooms[classroomCode] || null;
-        } catch (e) {
-          // ignore
-        }
-
-        // Edge-case: teacher created via Firebase but local student is offline and
-        // localStorage doesn’t have the classroom yet. Make a one-time best-effort
-        // attempt to mirror from Firebase to localStorage, then retry lookup.
-        if (!classroom && this.database) {
-          try {
-            const classroomRef = ref(
-              this.database,
-              `classrooms/${classroomCode}`,
-            );
-            const snapshot = await Promise.race([
-              get(classroomRef),
-              new Promise((_, reject) =>
-                setTimeout(
-                  () => reject(new Error("Firebase read timeout (mirror)")),
-                  2500,
-                ),
-              ),
-            ]);
-            if (snapshot.exists()) {
-              const fbClassroom = snapshot.val();
-              try {
-                const existing = JSON.parse(
-                  localStorage.getItem("simulateai_classrooms") || "{}",
-                );
-                existing[classroomCode] = fbClassroom;
-                localStorage.setItem(
-                  "simulateai_classrooms",
-                  JSON.stringify(existing),
-                );
-                classroom = fbClassroom;
-              } catch (_) {
-                // ignore
-              }
-            }
-          } catch (_) {
-            // ignore
-          }
-        }
-
-        // Final small window: listen for a BroadcastChannel announce from teacher tab
-        if (!classroom && typeof BroadcastChannel !== "undefined") {
-          classroom = await new Promise((resolve) => {
-            let resolved = false;
-            try {
-              const bc = new BroadcastChannel("simulateai_classrooms");
-              const waitMs = 2500;
-              const timer = setTimeout(() => {
-                if (!resolved) {
-                  resolved = true;
-                  try {
-                    bc.close();
-                  } catch (closeErr) {
-                    logger.debug(
-                      "RealtimeClassroomService",
-                      "BC close timeout error",
-                      closeErr,
-                    );
-                  }
-                  resolve(null);
-                }
-              }, waitMs);
-              bc.onmessage = (evt) => {
-                const data = evt?.data;
-                if (
-                  data?.type === "classroom_created" &&
-                  data?.classroom?.classroomCode === classroomCode
-                ) {
-                  try {
-                    const existing = JSON.parse(
-                      localStorage.getItem("simulateai_classrooms") || "{}",
-                    );
-                    existing[classroomCode] = data.classroom;
-                    localStorage.setItem(
-                      "simulateai_classrooms",
-                      JSON.stringify(existing),
-                    );
-                  } catch (storeErr) {
-                    logger.debug(
-                      "RealtimeClassroomService",
-                      "Broadcast mirror store error",
-                      storeErr,
-                    );
-                  }
-                  if (!resolved) {
-                    resolved = true;
-                    clearTimeout(timer);
-                    try {
-                      bc.close();
-                    } catch (closeErr) {
-                      logger.debug(
-                        "RealtimeClassroomService",
-                        "BC close message error",
-                        closeErr,
-                      );
-                    }
-                    resolve(data.classroom);
-                  }
-                }
-              };
-            } catch (err) {
-              logger.debug(
-                "RealtimeClassroomService",
-                "BroadcastChannel unsupported/error",
-                err,
-              );
-              resolve(null);
-            }
-          });
-        }
-      }
-
-      if (!classroom) {
-        throw new Error("Classroom not found");
-      }
-
-      // Check if session is still accepting students
-      if (
-        classroom.sessionStatus.isLive &&
-        !classroom.settings.allowLateJoining
-      ) {
-        throw new Error("Session is live and not accepting new students");
-      }
-
-      // Check roster limit
-      const currentRosterSize = Object.keys(classroom.roster || {}).length;
-      if (currentRosterSize >= classroom.settings.maxStudents) {
-        throw new Error("Classroom is full");
-      }
-
-      // Check if student already joined
-      if (classroom.roster && classroom.roster[effectiveStudentId]) {
-        logger.warn(
-          "RealtimeClassroomService",
-          "Student already in classroom",
-          {
-            classroomCode,
-            studentId: effectiveStudentId,
-          },
-        );
-        return {
-          classroomCode,
-          ...classroom,
-          studentInfo: classroom.roster[effectiveStudentId],
-        };
-      }
-
-      // Add student to roster
-      const studentInfo = {
-        nickname,
-        joinedAt: serverTimestamp(),
-        isActive: true,
-        lastSeen: serverTimestamp(),
-      };
-
-      if (usingFirebase) {
-        const rosterRef = ref(
-          this.database,
-          `classrooms/${classroomCode}/roster/${effectiveStudentId}`,
-        );
-        try {
-          await Promise.race([
-            set(rosterRef, studentInfo),
-            new Promise((_, reject) =>
-              setTimeout(
-                () => reject(new Error("Firebase write timeout (roster)")),
-                3000,
-              ),
-            ),
-          ]);
-          // Notify other tabs promptly with student payload
-          // Use a plain object for broadcast to avoid serverTimestamp serialization issues
-          this.broadcastRosterUpdate(classroomCode, {
-            studentId: effectiveStudentId,
-            studentInfo: {
-              nickname,
-              joinedAt: Date.now(),
-              isActive: true,
-              lastSeen: Date.now(),
-            },
-          });
-          // Mirror to localStorage for same-profile consumers (teacher panel)
-          try {
-            const store = JSON.parse(
-              localStorage.getItem("simulateai_classrooms") || "{}",
-            );
-            const cls = store[classroomCode] || classroom || { classroomCode };
-            cls.roster = cls.roster || {};
-            cls.roster[effectiveStudentId] = {
-              nickname,
-              joinedAt: Date.now(),
-              isActive: true,
-              lastSeen: Date.now(),
-            };
-            store[classroomCode] = cls;
-            localStorage.setItem(
-              "simulateai_classrooms",
-              JSON.stringify(store),
-            );
-          } catch (_) {
-            /* ignore */
-          }
-        } catch (e) {
-          logger.warn(
-            "RealtimeClassroomService",
-            "Firebase roster write failed; falling back",
-            e,
-          );
-          // Ensure localStorage has minimal classroom data so fallback can proceed
-          try {
-            const existingClassrooms = JSON.parse(
-              localStorage.getItem("simulateai_classrooms") || "{}",
-            );
-            if (!existingClassrooms[classroomCode]) {
-              existingClassrooms[classroomCode] = classroom;
-              localStorage.setItem(
-                "simulateai_classrooms",
-                JSON.stringify(existingClassrooms),
-              );
-            }
-          } catch (_) {
-            // ignore
-          }
-          return await this.joinClassroomFallback(
-            classroomCode,
-            effectiveStudentId,
-            nickname,
-          );
-        }
-
-        // Initialize student choices structure
-        const choicesRef = ref(
-          this.database,
-          `classrooms/${classroomCode}/studentChoices/${effectiveStudentId}`,
-        );
-        try {
-          await Promise.race([
-            set(choicesRef, {
-              scenarios: {},
-              overallProgress: {
-                completed: 0,
-                total: classroom.selectedScenarios.length,
-                currentScenario: null,
-              },
-            }),
-            new Promise((_, reject) =>
-              setTimeout(
-                () => reject(new Error("Firebase write timeout (choices)")),
-                3000,
-              ),
-            ),
-          ]);
-        } catch (e) {
-          logger.warn(
-            "RealtimeClassroomService",
-            "Firebase choices write failed; falling back",
-            e,
-          );
-          // Ensure localStorage has minimal classroom data and fallback
-          try {
-            const existingClassrooms = JSON.parse(
-              localStorage.getItem("simulateai_classrooms") || "{}",
-            );
-            if (!existingClassrooms[classroomCode]) {
-              existingClassrooms[classroomCode] = classroom;
-              localStorage.setItem(
-                "simulateai_classrooms",
-                JSON.stringify(existingClassrooms),
-              );
-            }
-          } catch (_) {
-            // ignore
-          }
-          return await this.joinClassroomFallback(
-            classroomCode,
-            effectiveStudentId,
-            nickname,
-          );
-        }
-      } else {
-        // Use fallback write path
-        const result = await this.joinClassroomFallback(
-          classroomCode,
-          effectiveStudentId,
-          nickname,
-        );
-        // Notify other tabs promptly with student payload
-        this.broadcastRosterUpdate(classroomCode, {
-          studentId: effectiveStudentId,
-          studentInfo: result.studentInfo,
-        });
-        // Best-effort background publish to Firebase for cross-profile discovery
-        this.publishRosterEntryToFirebaseIfPossible(
-          classroomCode,
-          effectiveStudentId,
-          result.studentInfo,
-        ).catch(() => {});
-        return result;
-      }
+  completeSession(classroomCode) {
+    return this.transport.completeSession(classroomCode);
+  }
 
-      logger.info("RealtimeClassroomService", "Student joined classroom", {
-        classroomCode,
-        studentId: effectiveStudentId,
-        nickname,
-      });
+  /**
+   * Move a teacher-paced class to a scenario. Voting reopens and the
+   * previous reveal is cleared.
+   * @param {string} classroomCode - Classroom code
+   * @param {number} scenarioIndex - Index into selectedScenarios
+   * @returns {Promise<void>}
+   */
+  advanceScenario(classroomCode, scenarioIndex) {
+    return this.transport.updatePacing(classroomCode, {
+      currentScenario: scenarioIndex,
+      votingLocked: false,
+      revealed: false,
+    });
+  }
 
-      return {
-        classroomCode,
-        ...classroom,
-        studentInfo,
-      };
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to join classroom",
-        error,
-      );
-      throw error;
-    }
+  /**
+   * Lock or reopen voting on the current scenario of a teacher-paced class
+   * @param {string} classroomCode - Classroom code
+   * @param {boolean} locked - Whether students can still submit choices
+   * @returns {Promise<void>}
+   */
+  setVotingLocked(classroomCode, locked) {
+    return this.transport.updatePacing(classroomCode, {
+      votingLocked: locked,
+    });
   }
 
   /**
-   * Broadcast classroom creation so other tabs (student) can discover it immediately
-   * @private
+   * Reveal or hide the class results of the current scenario. Revealing
+   * also locks voting.
+   * @param {string} classroomCode - Classroom code
+   * @param {boolean} revealed - Whether the results are shown
+   * @returns {Promise<void>}
    */
-  broadcastClassroom(classroom) {
-    try {
-      if (typeof BroadcastChannel === "undefined") return;
-      const bc = new BroadcastChannel("simulateai_classrooms");
-      bc.postMessage({ type: "classroom_created", classroom });
-      // Close shortly to avoid keeping channel open
-      setTimeout(() => {
-        try {
-          bc.close();
-        } catch (e) {
-          logger.debug(
-            "RealtimeClassroomService",
-            "BC close deferred error",
-            e,
-          );
-        }
-      }, 100);
-    } catch (e) {
-      // Best effort only
-    }
+  setChoicesRevealed(classroomCode, revealed) {
+    return this.transport.updatePacing(
+      classroomCode,
+      revealed ? { votingLocked: true, revealed } : { revealed },
+    );
   }
 
   /**
-   * Best-effort background publish of a roster entry to Firebase when fallback was used
-   * @private
-   * @param {string} classroomCode
-   * @param {string} studentId
-   * @param {Object} studentInfo
+   * Submit a student's choice for a scenario
+   * @param {string} classroomCode - Classroom code
+   * @param {string} studentId - Student's Firebase UID
+   * @param {string} scenarioId - Scenario identifier
+   * @param {string} choice - Student's choice
+   * @param {Object} metadata - Additional choice metadata
+   * @returns {Promise<void>}
    */
-  async publishRosterEntryToFirebaseIfPossible(
+  submitStudentChoice(
     classroomCode,
     studentId,
-    studentInfo,
+    scenarioId,
+    choice,
+    metadata = {},
   ) {
-    try {
-      if (!this.firebaseService?.app) return;
-      if (!this.database) {
-        if (!this._ensureDatabase()) return;
-      }
-      if (!this.database) return;
-
-      const rosterRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/roster/${studentId}`,
-      );
-      await Promise.race([
-        set(rosterRef, studentInfo),
-        new Promise((_, reject) =>
-          setTimeout(
-            () => reject(new Error("Firebase write timeout (roster publish)")),
-            3000,
-          ),
-        ),
-      ]);
-    } catch (e) {
-      // best-effort only
-    }
+    return this.transport.submitStudentChoice(
+      classroomCode,
+      studentId,
+      scenarioId,
+      choice,
+      metadata,
+    );
   }
 
   /**
-   * Broadcast a roster update so other tabs (e.g., teacher) refresh immediately
-   * @private
-   * @param {string} classroomCode
+   * Update student's overall progress
+   * @param {string} classroomCode - Classroom code
+   * @param {string} studentId - Student's Firebase UID
+   * @param {string} currentScenarioId - Current scenario being completed
+   * @returns {Promise<void>}
    */
-  broadcastRosterUpdate(classroomCode, payload = null) {
-    try {
-      if (typeof BroadcastChannel === "undefined") return;
-      const bc = new BroadcastChannel("simulateai_classrooms");
-      bc.postMessage({ type: "roster_updated", classroomCode, payload });
-      setTimeout(() => {
-        try {
-          bc.close();
-        } catch (e) {
-          logger.debug(
-            "RealtimeClassroomService",
-            "BC close deferred error",
-            e,
-          );
-        }
-      }, 100);
-    } catch (_) {
-      // Best-effort only
-    }
+  updateStudentProgress(classroomCode, studentId, currentScenarioId) {
+    return this.transport.updateStudentProgress(
+      classroomCode,
+      studentId,
+      currentScenarioId,
+    );
   }
 
   /**
-   * Join a classroom using localStorage fallback
-   * @private
+   * Store a student's reflection answers for a scenario. Only the questions
+   * in CLASSROOM_CONSTANTS.EXPORT.REFLECTION_FIELDS are kept.
+   * @param {string} classroomCode - Classroom code
+   * @param {string} studentId - Student's Firebase UID
+   * @param {string} scenarioId - Scenario identifier
+   * @param {Object} reflectionData - Answers keyed by question
+   * @returns {Promise<void>}
    */
-  async joinClassroomFallback(classroomCode, studentId, nickname) {
-    try {
-      // Validate classroom code format
-      if (!validateClassroomCode(classroomCode)) {
-        throw new Error("Invalid classroom code format");
-      }
-
-      const existingClassrooms = JSON.parse(
-        localStorage.getItem("simulateai_classrooms") || "{}",
-      );
-
-      const classroom = existingClassrooms[classroomCode];
-      if (!classroom) {
-        throw new Error("Classroom not found");
-      }
-
-      // Late join and capacity checks
-      if (
-        classroom.sessionStatus?.isLive &&
-        !classroom.settings?.allowLateJoining
-      ) {
-        throw new Error("Session is live and not accepting new students");
-      }
-
-      const roster = classroom.roster || {};
-      const currentRosterSize = Object.keys(roster).length;
-      const maxStudents =
-        classroom.settings?.maxStudents || CLASSROOM_CONSTANTS.MAX_STUDENTS;
-      if (currentRosterSize >= maxStudents) {
-        throw new Error("Classroom is full");
-      }
-
-      // If already joined, return existing
-      if (roster[studentId]) {
-        logger.warn(
-          "RealtimeClassroomService",
-          "Student already in classroom (fallback)",
-          {
-            classroomCode,
-            studentId,
-          },
-        );
-        return {
-          classroomCode,
-          ...classroom,
-          studentInfo: roster[studentId],
-        };
-      }
-
-      // Add student
-      const now = Date.now();
-      const studentInfo = {
-        nickname,
-        joinedAt: now,
-        isActive: true,
-        lastSeen: now,
-      };
-
-      classroom.roster = { ...roster, [studentId]: studentInfo };
-
-      // Initialize student choices
-      classroom.studentChoices = classroom.studentChoices || {};
-      classroom.studentChoices[studentId] = {
-        scenarios: {},
-        overallProgress: {
-          completed: 0,
-          total: (classroom.selectedScenarios || []).length,
-          currentScenario: null,
-          lastUpdated: now,
-        },
-      };
-
-      // Persist
-      existingClassrooms[classroomCode] = classroom;
-      localStorage.setItem(
-        "simulateai_classrooms",
-        JSON.stringify(existingClassrooms),
-      );
-
-      logger.info(
-        "RealtimeClassroomService",
-        "Student joined classroom (fallback)",
-        { classroomCode, studentId, nickname },
-      );
+  submitReflection(classroomCode, studentId, scenarioId, reflectionData) {
+    return this.transport.submitReflection(
+      classroomCode,
+      studentId,
+      scenarioId,
+      reflectionData,
+    );
+  }
 
-      return {
-        classroomCode,
-        ...classroom,
-        studentInfo,
-      };
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to join classroom in fallback mode",
-        error,
-      );
-      throw error;
-    }
+  /**
+   * Raise a student's help flag
+   * @param {string} classroomCode - Classroom code
+   * @param {string} studentId - Student's Firebase UID
+   * @param {Object} details
+   * @param {string} details.nickname - Student's nickname
+   * @param {string} [details.scenarioId] - Scenario the student is on
+   * @param {string} [details.scenarioTitle] - Title of that scenario
+   * @param {string} [details.message] - Optional note for the instructor
+   * @returns {Promise<string>} Request ID
+   */
+  requestHelp(classroomCode, studentId, details) {
+    return this.transport.requestHelp(classroomCode, studentId, details);
   }
 
   /**
-   * Start a live session for a classroom
+   * Let the student know the instructor has seen their help request
    * @param {string} classroomCode - Classroom code
-   * @param {string} instructorId - Instructor's Firebase UID
+   * @param {string} requestId - Help request ID
    * @returns {Promise<void>}
    */
-  async startLiveSession(classroomCode, instructorId) {
-    try {
-      if (this.fallbackMode || !this.database) {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode];
-        if (!classroom) throw new Error("Classroom not found");
-
-        classroom.sessionStatus = {
-          isLive: true,
-          isPaused: false,
-          currentScenario: 0,
-          startTime: Date.now(),
-          completedAt: null,
-        };
-        existingClassrooms[classroomCode] = classroom;
-        localStorage.setItem(
-          "simulateai_classrooms",
-          JSON.stringify(existingClassrooms),
-        );
-
-        // Notify same-profile tabs immediately
-        try {
-          this.broadcastSessionStatusUpdate(
-            classroomCode,
-            classroom.sessionStatus,
-          );
-        } catch (e) {
-          // best-effort notify failure
-        }
-
-        logger.info(
-          "RealtimeClassroomService",
-          "Live session started (fallback)",
-          {
-            classroomCode,
-            instructorId,
-          },
-        );
-        return;
-      }
-      const sessionStatusRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/sessionStatus`,
-      );
-
-      // Attempt Firebase write with timeout; on timeout, fall back to local strategy
-      try {
-        await Promise.race([
-          set(sessionStatusRef, {
-            isLive: true,
-            isPaused: false,
-            currentScenario: 0,
-            startTime: serverTimestamp(),
-            completedAt: null,
-          }),
-          new Promise((_, reject) =>
-            setTimeout(
-              () => reject(new Error("Firebase write timeout (start session)")),
-              4000,
-            ),
-          ),
-        ]);
-
-        logger.info("RealtimeClassroomService", "Live session started", {
-          classroomCode,
-          instructorId,
-        });
-      } catch (err) {
-        logger.warn(
-          "RealtimeClassroomService",
-          "Firebase write failed/timed out for startLiveSession; applying fallback locally",
-          err,
-        );
-
-        // Local mirror fallback so same-profile students update immediately
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode] || {};
-        const status = {
-          isLive: true,
-          isPaused: false,
-          currentScenario: 0,
-          startTime: Date.now(),
-          completedAt: null,
-        };
-        classroom.sessionStatus = status;
-        existingClassrooms[classroomCode] = classroom;
-        localStorage.setItem(
-          "simulateai_classrooms",
-          JSON.stringify(existingClassrooms),
-        );
-
-        try {
-          this.broadcastSessionStatusUpdate(classroomCode, status);
-        } catch (_) {
-          // best-effort: BroadcastChannel may be unavailable
-        }
-
-        // Best-effort background publish to Firebase (no await)
-        try {
-          set(sessionStatusRef, {
-            isLive: true,
-            isPaused: false,
-            currentScenario: 0,
-            startTime: serverTimestamp(),
-            completedAt: null,
-          }).catch(() => {});
-        } catch (_) {
-          // ignore background publish errors
-        }
-      }
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to start live session",
-        error,
-      );
-      throw error;
-    }
+  acknowledgeHelpRequest(classroomCode, requestId) {
+    return this.transport.updateHelpRequest(
+      classroomCode,
+      requestId,
+      CLASSROOM_CONSTANTS.HELP_STATUS.ACKNOWLEDGED,
+    );
   }
 
   /**
-   * Pause/unpause a live session
+   * Take a help request off the instructor's queue
    * @param {string} classroomCode - Classroom code
-   * @param {boolean} isPaused - Whether to pause or unpause
+   * @param {string} requestId - Help request ID
    * @returns {Promise<void>}
    */
-  async pauseSession(classroomCode, isPaused) {
-    try {
-      if (this.fallbackMode || !this.database) {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode];
-        if (!classroom) throw new Error("Classroom not found");
-        classroom.sessionStatus = classroom.sessionStatus || {};
-        classroom.sessionStatus.isPaused = isPaused;
-        existingClassrooms[classroomCode] = classroom;
-        localStorage.setItem(
-          "simulateai_classrooms",
-          JSON.stringify(existingClassrooms),
-        );
-        logger.info(
-          "RealtimeClassroomService",
-          `Session ${isPaused ? "paused" : "resumed"} (fallback)`,
-          { classroomCode },
-        );
-        return;
-      }
-      const pauseRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/sessionStatus/isPaused`,
-      );
-      await set(pauseRef, isPaused);
+  resolveHelpRequest(classroomCode, requestId) {
+    return this.transport.updateHelpRequest(
+      classroomCode,
+      requestId,
+      CLASSROOM_CONSTANTS.HELP_STATUS.RESOLVED,
+    );
+  }
 
-      logger.info(
-        "RealtimeClassroomService",
-        `Session ${isPaused ? "paused" : "resumed"}`,
-        {
-          classroomCode,
-        },
-      );
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to pause/resume session",
-        error,
-      );
-      throw error;
-    }
+  /**
+   * Withdraw a help request on behalf of the student who raised it
+   * @param {string} classroomCode - Classroom code
+   * @param {string} requestId - Help request ID
+   * @returns {Promise<void>}
+   */
+  cancelHelpRequest(classroomCode, requestId) {
+    return this.transport.updateHelpRequest(
+      classroomCode,
+      requestId,
+      CLASSROOM_CONSTANTS.HELP_STATUS.CANCELLED,
+    );
   }
 
   /**
-   * Broadcast session status update to same-profile tabs
-   * @param {string} classroomCode
-   * @param {Object} status
+   * Set up real-time listener for help requests. Resolved and cancelled
+   * requests stay in the session record.
+   * @param {string} classroomCode - Classroom code
+   * @param {Function} callback - Called with every request keyed by ID
+   * @returns {Function} Unsubscribe function
    */
-  broadcastSessionStatusUpdate(classroomCode, status) {
-    if (typeof BroadcastChannel === "undefined") return;
-    try {
-      const bc = new BroadcastChannel("simulateai_classrooms");
-      bc.postMessage({
-        type: "session_status_updated",
-        classroomCode,
-        status,
-      });
-      // Close shortly to avoid keeping channel open
-      setTimeout(() => {
-        try {
-          bc.close();
-        } catch (_) {
-          // ignore close errors
-        }
-      }, 150);
-    } catch (_) {
-      // ignore broadcast errors
-    }
+  listenToHelpRequests(classroomCode, callback) {
+    return this.transport.listenToHelpRequests(classroomCode, callback);
   }
 
   /**
-   * Complete a classroom session
+   * Open a debate on a scenario. Starting a new debate on the same scenario
+   * replaces the earlier one.
    * @param {string} classroomCode - Classroom code
+   * @param {string} scenarioId - Scenario being debated
+   * @param {Object} debate
+   * @param {Array<Object>} debate.groups - See createDebateGroups()
+   * @param {Object} debate.rubric - See normalizeRubric()
    * @returns {Promise<void>}
    */
-  async completeSession(classroomCode) {
-    try {
-      if (this.fallbackMode || !this.database) {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode];
-        if (!classroom) throw new Error("Classroom not found");
-        classroom.sessionStatus = {
-          isLive: false,
-          isPaused: false,
-          currentScenario: null,
-          startTime: null,
-          completedAt: Date.now(),
-        };
-        existingClassrooms[classroomCode] = classroom;
-        localStorage.setItem(
-          "simulateai_classrooms",
-          JSON.stringify(existingClassrooms),
-        );
-        logger.info(
-          "RealtimeClassroomService",
-          "Session completed (fallback)",
-          {
-            classroomCode,
-          },
-        );
-        return;
-      }
-      const sessionStatusRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/sessionStatus`,
-      );
-
-      await set(sessionStatusRef, {
-        isLive: false,
-        isPaused: false,
-        currentScenario: null,
-        startTime: null,
-        completedAt: serverTimestamp(),
-      });
+  startDebate(classroomCode, scenarioId, debate) {
+    return this.transport.startDebate(classroomCode, scenarioId, debate);
+  }
 
-      logger.info("RealtimeClassroomService", "Session completed", {
-        classroomCode,
-      });
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to complete session",
-        error,
-      );
-      throw error;
-    }
+  /**
+   * Stop accepting arguments in a debate; scoring stays possible
+   * @param {string} classroomCode - Classroom code
+   * @param {string} scenarioId - Scenario being debated
+   * @returns {Promise<void>}
+   */
+  closeDebate(classroomCode, scenarioId) {
+    return this.transport.closeDebate(classroomCode, scenarioId);
   }
 
   /**
-   * Submit a student's choice for a scenario
+   * Store a student's written argument, replacing an earlier one
    * @param {string} classroomCode - Classroom code
+   * @param {string} scenarioId - Scenario being debated
    * @param {string} studentId - Student's Firebase UID
-   * @param {string} scenarioId - Scenario identifier
-   * @param {string} choice - Student's choice
-   * @param {Object} metadata - Additional choice metadata
+   * @param {Object} argument
+   * @param {string} argument.groupId - Debate group of the student
+   * @param {string} argument.optionId - Option the student defends
+   * @param {string} argument.text - The argument
    * @returns {Promise<void>}
    */
-  async submitStudentChoice(
-    classroomCode,
-    studentId,
-    scenarioId,
-    choice,
-    metadata = {},
-  ) {
-    try {
-      if (this.fallbackMode || !this.database) {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode];
-        if (!classroom) throw new Error("Classroom not found");
-
-        const now = Date.now();
-        const choiceData = {
-          choice,
-          timestamp: now,
-          isComplete: true,
-          responseTime: metadata.responseTime || null,
-          confidence: metadata.confidence || null,
-        };
-
-        classroom.studentChoices = classroom.studentChoices || {};
-        const student = classroom.studentChoices[studentId] || {
-          scenarios: {},
-          overallProgress: {
-            completed: 0,
-            total: (classroom.selectedScenarios || []).length,
-            currentScenario: null,
-            lastUpdated: now,
-          },
-        };
-        student.scenarios = { ...student.scenarios, [scenarioId]: choiceData };
-        classroom.studentChoices[studentId] = student;
-
-        // Update progress
-        await this.updateStudentProgress(classroomCode, studentId, scenarioId);
-
-        existingClassrooms[classroomCode] = classroom;
-        localStorage.setItem(
-          "simulateai_classrooms",
-          JSON.stringify(existingClassrooms),
-        );
-
-        // Broadcast a same-profile choice update for immediate teacher UI refresh
-        try {
-          this.broadcastChoiceUpdate(classroomCode, {
-            studentId,
-            scenarioId,
-            choiceData,
-          });
-        } catch (_) {
-          // best-effort only
-        }
-
-        logger.info(
-          "RealtimeClassroomService",
-          "Student choice submitted (fallback)",
-          { classroomCode, studentId, scenarioId, choice },
-        );
-        return;
-      }
-      const choiceData = {
-        choice,
-        timestamp: serverTimestamp(),
-        isComplete: true,
-        responseTime: metadata.responseTime || null,
-        confidence: metadata.confidence || null,
-      };
-
-      const choiceRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/studentChoices/${studentId}/scenarios/${scenarioId}`,
-      );
-      await set(choiceRef, choiceData);
-
-      // Update overall progress
-      await this.updateStudentProgress(classroomCode, studentId, scenarioId);
-
-      // Mirror minimal update to localStorage to speed up same-profile listeners
-      try {
-        const existing = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const cls = existing[classroomCode] || {};
-        cls.studentChoices = cls.studentChoices || {};
-        const student = cls.studentChoices[studentId] || { scenarios: {} };
-        student.scenarios = {
-          ...(student.scenarios || {}),
-          [scenarioId]: { ...choiceData, timestamp: Date.now() },
-        };
-        cls.studentChoices[studentId] = student;
-        existing[classroomCode] = cls;
-        localStorage.setItem("simulateai_classrooms", JSON.stringify(existing));
-      } catch (_) {
-        // ignore mirror errors
-      }
-
-      // Broadcast for same-profile immediate UI updates
-      try {
-        this.broadcastChoiceUpdate(classroomCode, {
-          studentId,
-          scenarioId,
-          // send a plain object (no serverTimestamp)
-          choiceData: {
-            choice,
-            timestamp: Date.now(),
-            isComplete: true,
-            responseTime: metadata.responseTime || null,
-            confidence: metadata.confidence || null,
-          },
-        });
-      } catch (_) {
-        // best-effort only
-      }
-
-      logger.info("RealtimeClassroomService", "Student choice submitted", {
-        classroomCode,
-        studentId,
-        scenarioId,
-        choice,
-      });
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to submit student choice",
-        error,
-      );
-      throw error;
-    }
+  submitDebateArgument(classroomCode, scenarioId, studentId, argument) {
+    return this.transport.submitDebateArgument(
+      classroomCode,
+      scenarioId,
+      studentId,
+      argument,
+    );
   }
 
   /**
-   * Update student's overall progress
+   * Store the instructor's rubric score of a student's argument
    * @param {string} classroomCode - Classroom code
+   * @param {string} scenarioId - Scenario being debated
    * @param {string} studentId - Student's Firebase UID
-   * @param {string} currentScenarioId - Current scenario being completed
-   * @private
+   * @param {Object} score - levels, total and maxTotal (see getRubricScore)
+   * @returns {Promise<void>}
    */
-  async updateStudentProgress(classroomCode, studentId, currentScenarioId) {
-    try {
-      if (this.fallbackMode || !this.database) {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode];
-        if (!classroom) throw new Error("Classroom not found");
-
-        const scenarios =
-          classroom.studentChoices?.[studentId]?.scenarios || {};
-        const completed = Object.keys(scenarios).length;
-        const total = (classroom.selectedScenarios || []).length;
-
-        classroom.studentChoices = classroom.studentChoices || {};
-        classroom.studentChoices[studentId] =
-          classroom.studentChoices[studentId] || {};
-        classroom.studentChoices[studentId].overallProgress = {
-          completed,
-          total,
-          currentScenario: currentScenarioId,
-          lastUpdated: Date.now(),
-        };
-
-        existingClassrooms[classroomCode] = classroom;
-        localStorage.setItem(
-          "simulateai_classrooms",
-          JSON.stringify(existingClassrooms),
-        );
-        return;
-      }
-      // Get current choices to calculate completed count
-      const choicesRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/studentChoices/${studentId}/scenarios`,
-      );
-      const snapshot = await get(choicesRef);
-      const scenarios = snapshot.val() || {};
-
-      const completed = Object.keys(scenarios).length;
+  scoreDebateArgument(classroomCode, scenarioId, studentId, score) {
+    return this.transport.scoreDebateArgument(
+      classroomCode,
+      scenarioId,
+      studentId,
+      score,
+    );
+  }
 
-      const progressRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/studentChoices/${studentId}/overallProgress`,
-      );
+  /**
+   * Set up real-time listener for debates
+   * @param {string} classroomCode - Classroom code
+   * @param {Function} callback - Called with every debate keyed by scenario ID
+   * @returns {Function} Unsubscribe function
+   */
+  listenToDebates(classroomCode, callback) {
+    return this.transport.listenToDebates(classroomCode, callback);
+  }
 
-      // Get total scenarios count
-      const classroomRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/selectedScenarios`,
-      );
-      const classroomSnapshot = await get(classroomRef);
-      const selectedScenarios = classroomSnapshot.val() || [];
+  /**
+   * Store the instructor's rubric grade of a student's reflection, replacing
+   * an earlier grade of the same reflection
+   * @param {string} classroomCode - Classroom code
+   * @param {string} studentId - Student's Firebase UID
+   * @param {string} scenarioId - Scenario the reflection belongs to
+   * @param {Object} grade - rubricId, criteria, total, maxTotal and feedback
+   *   (see createReflectionGrade)
+   * @returns {Promise<void>}
+   */
+  gradeReflection(classroomCode, studentId, scenarioId, grade) {
+    return this.transport.gradeReflection(
+      classroomCode,
+      studentId,
+      scenarioId,
+      grade,
+    );
+  }
 
-      await set(progressRef, {
-        completed,
-        total: selectedScenarios.length,
-        currentScenario: currentScenarioId,
-        lastUpdated: serverTimestamp(),
-      });
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to update student progress",
-        error,
-      );
-    }
+  /**
+   * Set up real-time listener for reflection grades
+   * @param {string} classroomCode - Classroom code
+   * @param {Function} callback - Called with every grade keyed by student ID,
+   *   then scenario ID
+   * @returns {Function} Unsubscribe function
+   */
+  listenToGrades(classroomCode, callback) {
+    return this.transport.listenToGrades(classroomCode, callback);
   }
 
   /**
@@ -1674,183 +394,7 @@ export default class RealtimeClassroomService {
    * @returns {Function} Unsubscribe function
    */
   listenToRoster(classroomCode, callback) {
-    const listenerId = `roster_${classroomCode}`;
-
-    // Combined strategy: localStorage polling + BroadcastChannel + Firebase onValue + Firebase periodic GET
-    let lastJson = "";
-    const emit = (roster) => {
-      try {
-        const j = JSON.stringify(roster || {});
-        if (j !== lastJson) {
-          lastJson = j;
-          callback(roster || {});
-        }
-      } catch (_) {
-        callback(roster || {});
-      }
-    };
-
-    const cleanups = [];
-
-    // Local polling always on as safety net
-    const pollId = setInterval(() => {
-      try {
-        const existing = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const cls = existing[classroomCode] || {};
-        emit(cls.roster || {});
-      } catch (e) {
-        logger.debug("RealtimeClassroomService", "Roster poll failed", e);
-      }
-    }, 1000);
-    cleanups.push(() => clearInterval(pollId));
-
-    // BroadcastChannel merge for cross-tab same-profile
-    try {
-      if (typeof BroadcastChannel !== "undefined") {
-        const bc = new BroadcastChannel("simulateai_classrooms");
-        const onMsg = (evt) => {
-          try {
-            if (
-              evt?.data?.type === "roster_updated" &&
-              evt.data.classroomCode === classroomCode
-            ) {
-              const existing = JSON.parse(
-                localStorage.getItem("simulateai_classrooms") || "{}",
-              );
-              const cls = existing[classroomCode] || {};
-              const payload = evt.data.payload;
-              if (payload && payload.studentId && payload.studentInfo) {
-                cls.roster = cls.roster || {};
-                cls.roster[payload.studentId] = payload.studentInfo;
-                existing[classroomCode] = cls;
-                try {
-                  localStorage.setItem(
-                    "simulateai_classrooms",
-                    JSON.stringify(existing),
-                  );
-                } catch (_) {
-                  /* ignore */
-                }
-              }
-              emit((existing[classroomCode] || {}).roster || {});
-            }
-          } catch (e) {
-            logger.debug("RealtimeClassroomService", "BC roster msg error", e);
-          }
-        };
-        bc.addEventListener("message", onMsg);
-        cleanups.push(() => {
-          try {
-            bc.removeEventListener("message", onMsg);
-            bc.close();
-          } catch (_) {
-            /* ignore */
-          }
-        });
-      }
-    } catch (_) {
-      /* ignore */
-    }
-
-    // Firebase listeners (if available)
-    if (this.database) {
-      try {
-        const rosterRef = ref(
-          this.database,
-          `classrooms/${classroomCode}/roster`,
-        );
-        const unsubscribe = onValue(rosterRef, (snapshot) => {
-          emit(snapshot.val() || {});
-        });
-        cleanups.push(() => unsubscribe());
-
-        // Periodic GET to mirror into localStorage for cross-profile scenarios
-        const fbPollId = setInterval(async () => {
-          try {
-            const snap = await Promise.race([
-              get(rosterRef),
-              new Promise((_, reject) =>
-                setTimeout(
-                  () =>
-                    reject(new Error("Firebase read timeout (roster poll)")),
-                  3000,
-                ),
-              ),
-            ]);
-            const data =
-              typeof snap?.val === "function" ? snap.val() : snap?.val || {};
-            const roster = data && typeof data === "object" ? data : {};
-            if (Object.keys(roster).length > 0) {
-              try {
-                const existing = JSON.parse(
-                  localStorage.getItem("simulateai_classrooms") || "{}",
-                );
-                const cls = existing[classroomCode] || {};
-                cls.roster = { ...(cls.roster || {}), ...roster };
-                existing[classroomCode] = cls;
-                localStorage.setItem(
-                  "simulateai_classrooms",
-                  JSON.stringify(existing),
-                );
-              } catch (_) {
-                /* ignore */
-              }
-              emit(roster);
-            }
-          } catch (_) {
-            /* ignore */
-          }
-        }, 3500);
-        cleanups.push(() => clearInterval(fbPollId));
-      } catch (e) {
-        logger.debug(
-          "RealtimeClassroomService",
-          "Firebase roster listen failed",
-          e,
-        );
-      }
-    }
-
-    // If Firebase DB wasn't ready at subscription time, set a short retry to attach once available
-    if (!this.database && this.firebaseService?.app) {
-      const attachWhenReady = async () => {
-        try {
-          if (!this.database && this.firebaseService?.app) {
-            this.database = getDatabase(this.firebaseService.app);
-          }
-          if (this.database) {
-            const rosterRef = ref(
-              this.database,
-              `classrooms/${classroomCode}/roster`,
-            );
-            const unsubscribe = onValue(rosterRef, (snapshot) => {
-              emit(snapshot.val() || {});
-            });
-            cleanups.push(() => unsubscribe());
-            return true;
-          }
-        } catch (_) {
-          // ignore and retry
-        }
-        return false;
-      };
-      const retryId = setInterval(async () => {
-        const attached = await attachWhenReady();
-        if (attached) {
-          clearInterval(retryId);
-        }
-      }, 1000);
-      cleanups.push(() => clearInterval(retryId));
-    }
-
-    this.listeners.set(listenerId, () => cleanups.forEach((fn) => fn && fn()));
-    return () => {
-      const unsub = this.listeners.get(listenerId);
-      if (unsub) unsub();
-      this.listeners.delete(listenerId);
-    };
+    return this.transport.listenToRoster(classroomCode, callback);
   }
 
   /**
@@ -1860,163 +404,7 @@ export default class RealtimeClassroomService {
    * @returns {Function} Unsubscribe function
    */
   listenToSessionStatus(classroomCode, callback) {
-    const listenerId = `status_${classroomCode}`;
-
-    // Hybrid strategy: localStorage polling + BroadcastChannel + Firebase onValue + periodic Firebase GET
-    let lastJson = "";
-    const emit = (status) => {
-      try {
-        const j = JSON.stringify(status || {});
-        if (j !== lastJson) {
-          lastJson = j;
-          callback(status || {});
-        }
-      } catch (e) {
-        callback(status || {});
-      }
-    };
-
-    const cleanups = [];
-
-    // LocalStorage poll (always on for fast local updates)
-    const pollId = setInterval(() => {
-      try {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode] || {};
-        emit(classroom.sessionStatus || {});
-      } catch (e) {
-        logger.warn("RealtimeClassroomService", "Status poll failed", e);
-      }
-    }, 1000);
-    cleanups.push(() => clearInterval(pollId));
-
-    // BroadcastChannel merge for same-profile tabs
-    if (typeof BroadcastChannel !== "undefined") {
-      try {
-        const bc = new BroadcastChannel("simulateai_classrooms");
-        const handler = (event) => {
-          const data = event?.data;
-          if (
-            data?.type === "session_status_updated" &&
-            data?.classroomCode === classroomCode &&
-            data?.status
-          ) {
-            // Mirror into localStorage
-            try {
-              const existingClassrooms = JSON.parse(
-                localStorage.getItem("simulateai_classrooms") || "{}",
-              );
-              const classroom = existingClassrooms[classroomCode] || {};
-              classroom.sessionStatus = data.status;
-              existingClassrooms[classroomCode] = classroom;
-              localStorage.setItem(
-                "simulateai_classrooms",
-                JSON.stringify(existingClassrooms),
-              );
-            } catch (_) {
-              // ignore localStorage mirror errors
-            }
-            emit(data.status);
-          }
-        };
-        bc.addEventListener("message", handler);
-        cleanups.push(() => {
-          try {
-            bc.removeEventListener("message", handler);
-            bc.close();
-          } catch (_) {
-            // ignore BroadcastChannel cleanup errors
-          }
-        });
-      } catch (e) {
-        logger.warn(
-          "RealtimeClassroomService",
-          "BroadcastChannel unsupported/error (status)",
-          e,
-        );
-      }
-    }
-
-    if (this.database) {
-      // Firebase onValue listener
-      const statusRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/sessionStatus`,
-      );
-      try {
-        const unsubscribe = onValue(statusRef, (snapshot) => {
-          const status = snapshot.val() || {};
-          // Mirror to localStorage for local consumers
-          try {
-            const existingClassrooms = JSON.parse(
-              localStorage.getItem("simulateai_classrooms") || "{}",
-            );
-            const classroom = existingClassrooms[classroomCode] || {};
-            classroom.sessionStatus = status;
-            existingClassrooms[classroomCode] = classroom;
-            localStorage.setItem(
-              "simulateai_classrooms",
-              JSON.stringify(existingClassrooms),
-            );
-          } catch (_) {
-            // ignore localStorage mirror errors
-          }
-          emit(status);
-        });
-        cleanups.push(() => unsubscribe());
-      } catch (e) {
-        logger.warn(
-          "RealtimeClassroomService",
-          "onValue listener failed for session status",
-          e,
-        );
-      }
-
-      // Periodic Firebase GET mirror (covers cases where onValue is blocked)
-      const periodicId = setInterval(async () => {
-        try {
-          const snapshot = await Promise.race([
-            get(statusRef),
-            new Promise((_, reject) =>
-              setTimeout(
-                () => reject(new Error("Firebase read timeout (status poll)")),
-                3500,
-              ),
-            ),
-          ]);
-          if (snapshot && snapshot.exists()) {
-            const status = snapshot.val() || {};
-            try {
-              const existingClassrooms = JSON.parse(
-                localStorage.getItem("simulateai_classrooms") || "{}",
-              );
-              const classroom = existingClassrooms[classroomCode] || {};
-              classroom.sessionStatus = status;
-              existingClassrooms[classroomCode] = classroom;
-              localStorage.setItem(
-                "simulateai_classrooms",
-                JSON.stringify(existingClassrooms),
-              );
-            } catch (_) {
-              // ignore localStorage mirror errors
-            }
-            emit(status);
-          }
-        } catch (e) {
-          // Network instability; ignore
-        }
-      }, 3500);
-      cleanups.push(() => clearInterval(periodicId));
-    }
-
-    this.listeners.set(listenerId, () => cleanups.forEach((fn) => fn && fn()));
-    return () => {
-      const unsub = this.listeners.get(listenerId);
-      if (unsub) unsub();
-      this.listeners.delete(listenerId);
-    };
+    return this.transport.listenToSessionStatus(classroomCode, callback);
   }
 
   /**
@@ -2026,278 +414,7 @@ export default class RealtimeClassroomService {
    * @returns {Function} Unsubscribe function
    */
   listenToStudentChoices(classroomCode, callback) {
-    const listenerId = `choices_${classroomCode}`;
-
-    // We'll combine sources: Firebase (if available), localStorage polling, and BroadcastChannel merges.
-    let lastJson = "";
-
-    const emit = (choices) => {
-      try {
-        const j = JSON.stringify(choices || {});
-        if (j !== lastJson) {
-          lastJson = j;
-          callback(choices || {});
-        }
-      } catch (e) {
-        callback(choices || {});
-      }
-    };
-
-    const cleanups = [];
-
-    // Local polling always active as safety net
-    const intervalId = setInterval(() => {
-      try {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode] || {};
-        emit(classroom.studentChoices || {});
-      } catch (e) {
-        logger.debug("RealtimeClassroomService", "Choices poll failed", e);
-      }
-    }, 1200);
-    cleanups.push(() => clearInterval(intervalId));
-
-    // BroadcastChannel merge for same-profile immediate updates
-    try {
-      if (typeof BroadcastChannel !== "undefined") {
-        const bc = new BroadcastChannel("simulateai_classrooms");
-        const onMsg = (evt) => {
-          try {
-            const data = evt?.data;
-            if (
-              data?.type === "student_choice_updated" &&
-              data?.classroomCode === classroomCode
-            ) {
-              // Merge into local mirror and emit
-              const existing = JSON.parse(
-                localStorage.getItem("simulateai_classrooms") || "{}",
-              );
-              const cls = existing[classroomCode] || {};
-              cls.studentChoices = cls.studentChoices || {};
-              const sid = data.payload?.studentId;
-              const scn = data.payload?.scenarioId;
-              const cdata = data.payload?.choiceData || {};
-              const student = cls.studentChoices[sid] || { scenarios: {} };
-              student.scenarios = {
-                ...(student.scenarios || {}),
-                [scn]: cdata,
-              };
-              cls.studentChoices[sid] = student;
-              existing[classroomCode] = cls;
-              try {
-                localStorage.setItem(
-                  "simulateai_classrooms",
-                  JSON.stringify(existing),
-                );
-              } catch (_) {
-                // ignore
-              }
-              emit(cls.studentChoices || {});
-            }
-          } catch (e) {
-            logger.debug("RealtimeClassroomService", "BC choices msg error", e);
-          }
-        };
-        bc.addEventListener("message", onMsg);
-        cleanups.push(() => {
-          try {
-            bc.removeEventListener("message", onMsg);
-            bc.close();
-          } catch (_) {
-            // ignore
-          }
-        });
-      }
-    } catch (_) {
-      // ignore
-    }
-
-    // Firebase listener if available
-    if (this.database) {
-      try {
-        const choicesRef = ref(
-          this.database,
-          `classrooms/${classroomCode}/studentChoices`,
-        );
-        const unsubscribe = onValue(choicesRef, (snapshot) => {
-          const data = snapshot.val() || {};
-          // Mirror to localStorage for faster same-profile access
-          try {
-            const existing = JSON.parse(
-              localStorage.getItem("simulateai_classrooms") || "{}",
-            );
-            const cls = existing[classroomCode] || {};
-            cls.studentChoices = data || {};
-            existing[classroomCode] = cls;
-            localStorage.setItem(
-              "simulateai_classrooms",
-              JSON.stringify(existing),
-            );
-          } catch (_) {
-            // ignore
-          }
-          emit(data);
-        });
-        cleanups.push(() => unsubscribe());
-
-        // Periodic GET as a safety net
-        const fbPollId = setInterval(async () => {
-          try {
-            const snap = await Promise.race([
-              get(choicesRef),
-              new Promise((_, reject) =>
-                setTimeout(
-                  () =>
-                    reject(new Error("Firebase read timeout (choices poll)")),
-                  3500,
-                ),
-              ),
-            ]);
-            const data =
-              typeof snap?.val === "function" ? snap.val() : snap?.val || {};
-            if (data && typeof data === "object") {
-              try {
-                const existing = JSON.parse(
-                  localStorage.getItem("simulateai_classrooms") || "{}",
-                );
-                const cls = existing[classroomCode] || {};
-                cls.studentChoices = data || {};
-                existing[classroomCode] = cls;
-                localStorage.setItem(
-                  "simulateai_classrooms",
-                  JSON.stringify(existing),
-                );
-              } catch (_) {
-                // ignore
-              }
-              emit(data);
-            }
-          } catch (_) {
-            // ignore
-          }
-        }, 4000);
-        cleanups.push(() => clearInterval(fbPollId));
-      } catch (e) {
-        logger.debug(
-          "RealtimeClassroomService",
-          "Firebase choices listen failed",
-          e,
-        );
-      }
-    }
-
-    this.listeners.set(listenerId, () => cleanups.forEach((fn) => fn && fn()));
-    return () => {
-      const unsub = this.listeners.get(listenerId);
-      if (unsub) unsub();
-      this.listeners.delete(listenerId);
-    };
-  }
-
-  /**
-   * Broadcast a student choice update to same-profile tabs
-   * @private
-   * @param {string} classroomCode
-   * @param {{studentId:string,scenarioId:string,choiceData:Object}} payload
-   */
-  broadcastChoiceUpdate(classroomCode, payload) {
-    try {
-      if (typeof BroadcastChannel === "undefined") return;
-      const bc = new BroadcastChannel("simulateai_classrooms");
-      bc.postMessage({
-        type: "student_choice_updated",
-        classroomCode,
-        payload,
-      });
-      setTimeout(() => {
-        try {
-          bc.close();
-        } catch (_) {
-          // ignore
-        }
-      }, 100);
-    } catch (_) {
-      // best-effort only
-    }
-  }
-
-  /**
-   * Generate a unique classroom code
-   * @private
-   * @returns {Promise<string>} Unique 6-character classroom code
-   */
-  async generateUniqueClassroomCode() {
-    // Do not block on initialization; proceed hybrid immediately
-
-    let attempts = 0;
-    const maxAttempts = 10;
-
-    while (attempts < maxAttempts) {
-      const code = generateClassroomCode();
-
-      // Prefer Firebase if database is available; else use fallback
-      if (!this.database) {
-        this._ensureDatabase();
-      }
-
-      if (!this.database) {
-        // Check in localStorage
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        if (!existingClassrooms[code]) {
-          logger.info(
-            "RealtimeClassroomService",
-            `Generated classroom code in fallback mode: ${code}`,
-          );
-          return code;
-        }
-      } else {
-        try {
-          // Check if code already exists in Firebase
-          const classroomRef = ref(this.database, `classrooms/${code}`);
-          const snapshot = await Promise.race([
-            get(classroomRef),
-            new Promise((_, reject) =>
-              setTimeout(
-                () => reject(new Error("Firebase read timeout (code check)")),
-                3000,
-              ),
-            ),
-          ]);
-
-          if (!snapshot.exists()) {
-            logger.info(
-              "RealtimeClassroomService",
-              `Generated classroom code: ${code}`,
-            );
-            return code;
-          }
-        } catch (error) {
-          // If Firebase fails, fall back to localStorage
-          logger.warn(
-            "RealtimeClassroomService",
-            "Firebase check failed, using fallback",
-            error,
-          );
-
-          const existingClassrooms = JSON.parse(
-            localStorage.getItem("simulateai_classrooms") || "{}",
-          );
-          if (!existingClassrooms[code]) {
-            return code;
-          }
-        }
-      }
-
-      attempts++;
-    }
-
-    throw new Error(
-      "Failed to generate unique classroom code after maximum attempts",
-    );
+    return this.transport.listenToStudentChoices(classroomCode, callback);
   }
 
   /**
@@ -2305,31 +422,8 @@ export default class RealtimeClassroomService {
    * @param {string} classroomCode - Classroom code
    * @returns {Promise<Object|null>} Classroom data or null if not found
    */
-  async getClassroom(classroomCode) {
-    try {
-      if (!this.database) {
-        this._ensureDatabase();
-      }
-      if (this.fallbackMode || !this.database) {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode];
-        return classroom ? { classroomCode, ...classroom } : null;
-      }
-
-      const classroomRef = ref(this.database, `classrooms/${classroomCode}`);
-      const snapshot = await get(classroomRef);
-      if (!snapshot.exists()) return null;
-      return { classroomCode, ...snapshot.val() };
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to get classroom",
-        error,
-      );
-      throw error;
-    }
+  getClassroom(classroomCode) {
+    return this.transport.getClassroom(classroomCode);
   }
 
   /**
@@ -2338,55 +432,8 @@ export default class RealtimeClassroomService {
    * @param {string} studentId - Student's Firebase UID
    * @returns {Promise<void>}
    */
-  async removeStudent(classroomCode, studentId) {
-    try {
-      if (this.fallbackMode || !this.database) {
-        const existingClassrooms = JSON.parse(
-          localStorage.getItem("simulateai_classrooms") || "{}",
-        );
-        const classroom = existingClassrooms[classroomCode];
-        if (!classroom) throw new Error("Classroom not found");
-        if (classroom.roster && classroom.roster[studentId]) {
-          delete classroom.roster[studentId];
-        }
-        if (classroom.studentChoices && classroom.studentChoices[studentId]) {
-          delete classroom.studentChoices[studentId];
-        }
-        existingClassrooms[classroomCode] = classroom;
-        localStorage.setItem(
-          "simulateai_classrooms",
-          JSON.stringify(existingClassrooms),
-        );
-
-        logger.info(
-          "RealtimeClassroomService",
-          "Student removed from classroom (fallback)",
-          { classroomCode, studentId },
-        );
-        return;
-      }
-      const rosterRef = ref(
-        this.database,
-        `classrooms/${classroomCode}/roster/${studentId}`,
-      );
-      await remove(rosterRef);
-
-      logger.info(
-        "RealtimeClassroomService",
-        "Student removed from classroom",
-        {
-          classroomCode,
-          studentId,
-        },
-      );
-    } catch (error) {
-      logger.error(
-        "RealtimeClassroomService",
-        "Failed to remove student",
-        error,
-      );
-      throw error;
-    }
+  removeStudent(classroomCode, studentId) {
+    return this.transport.removeStudent(classroomCode, studentId);
   }
 
   /**
@@ -2394,24 +441,7 @@ export default class RealtimeClassroomService {
    * @returns {void}
    */
   cleanup() {
-    this.listeners.forEach((unsubscribe, listenerId) => {
-      try {
-        unsubscribe();
-        logger.debug(
-          "RealtimeClassroomService",
-          `Cleaned up listener: ${listenerId}`,
-        );
-      } catch (error) {
-        logger.warn(
-          "RealtimeClassroomService",
-          `Failed to cleanup listener: ${listenerId}`,
-          error,
-        );
-      }
-    });
-
-    this.listeners.clear();
-    logger.info("RealtimeClassroomService", "All listeners cleaned up");
+    this.transport.cleanup();
   }
 
   /**
@@ -2420,11 +450,9 @@ export default class RealtimeClassroomService {
    */
   healthCheck() {
     return {
-      isConnected: this.isConnected,
-      hasDatabase: !!this.database,
-      activeListeners: this.listeners.size,
+      ...this.transport.healthCheck(),
+      transport: this.transport.name,
       service: "RealtimeClassroomService",
-      status: this.isConnected ? "healthy" : "disconnected",
     };
   }
 }
@@ -0,0 +1,696 @@
+/**
+ * WebSocket transport for RealtimeClassroomService
+ * Talks to a self-hosted classroom relay (scripts/classroom-relay.js), so a
+ * teacher laptop can host a classroom on the school network without Firebase.
+ * The relay keeps classrooms in the same tree as the Realtime Database and
+ * answers get/set/remove requests and value subscriptions on paths below
+ * `classrooms/`.
+ * @class WebSocketClassroomTransport
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import logger from "../utils/logger.js";
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import {
+  generateClassroomCode,
+  validateClassroomCode,
+} from "../utils/classroom-utils.js";
+import ClassroomTransport, {
+  assertCanJoin,
+  assertPacedChoiceOpen,
+  createClassroomRecord,
+  getPacingUpdates,
+  getReflectionAnswers,
+  generateHelpRequestId,
+  createHelpRequestRecord,
+  getHelpStatusField,
+  createDebateRecord,
+  getDebateArgument,
+  getReflectionGrade,
+} from "./classroom-transport.js";
+
+// Replaced with the relay's clock when written, like RTDB serverTimestamp()
+export const SERVER_TIMESTAMP = Object.freeze({ ".sv": "timestamp" });
+
+const { RELAY, DB_PATHS } = CLASSROOM_CONSTANTS;
+
+export default class WebSocketClassroomTransport extends ClassroomTransport {
+  /**
+   * @param {string} relayUrl - ws:// or wss:// URL of the relay
+   */
+  constructor(relayUrl) {
+    super(CLASSROOM_CONSTANTS.TRANSPORTS.WEBSOCKET);
+    this.relayUrl = relayUrl;
+    this.socket = null;
+    this.isConnected = false;
+    this.connectPromise = null;
+    this.nextMessageId = 1;
+    this.pendingRequests = new Map(); // Request ID -> { resolve, reject, timer }
+    this.subscriptions = new Map(); // Subscription ID -> { path, callback }
+    this.reconnectDelay = RELAY.RECONNECT_DELAY;
+    this.reconnectTimer = null;
+  }
+
+  // ===== CONNECTION =====
+
+  /**
+   * Open the relay connection, or reuse the open one
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.isConnected) return Promise.resolve();
+    if (this.connectPromise) return this.connectPromise;
+
+    this.connectPromise = new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new WebSocket(this.relayUrl);
+      } catch (error) {
+        this.connectPromise = null;
+        reject(error);
+        return;
+      }
+      this.socket = socket;
+
+      const timer = setTimeout(
+        () => socket.close(),
+        CLASSROOM_CONSTANTS.CONNECTION_TIMEOUT,
+      );
+
+      socket.addEventListener("open", () => {
+        clearTimeout(timer);
+        this.isConnected = true;
+        this.reconnectDelay = RELAY.RECONNECT_DELAY;
+        logger.info("WebSocketClassroomTransport", "Connected to relay", {
+          relayUrl: this.relayUrl,
+        });
+
+        // Listeners survive reconnects: subscribe them again
+        this.subscriptions.forEach(({ path }, id) =>
+          this.send({ id, type: "subscribe", path }),
+        );
+        resolve();
+      });
+
+      socket.addEventListener("message", (event) =>
+        this.handleMessage(event.data),
+      );
+
+      socket.addEventListener("close", () => {
+        clearTimeout(timer);
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        this.socket = null;
+        this.connectPromise = null;
+        this.rejectPendingRequests(
+          new Error("Connection to the classroom relay was lost"),
+        );
+
+        if (wasConnected) {
+          logger.warn("WebSocketClassroomTransport", "Relay connection lost");
+        } else {
+          reject(
+            new Error(
+              `Could not reach the classroom relay at ${this.relayUrl}`,
+            ),
+          );
+        }
+        this.scheduleReconnect();
+      });
+    });
+
+    return this.connectPromise;
+  }
+
+  /**
+   * Reconnect with exponential backoff while anything is listening
+   * @private
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.subscriptions.size === 0) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      // A failed attempt closes the socket, which schedules the next one
+      this.connect().catch(() => {});
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(
+      this.reconnectDelay * 2,
+      RELAY.MAX_RECONNECT_DELAY,
+    );
+  }
+
+  /**
+   * @private
+   */
+  send(message) {
+    if (!this.isConnected) return false;
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      logger.warn("WebSocketClassroomTransport", "Unreadable relay message");
+      return;
+    }
+
+    if (message.type === "value") {
+      const subscription = this.subscriptions.get(message.id);
+      if (!subscription) return;
+      try {
+        subscription.callback(message.value ?? null);
+      } catch (error) {
+        logger.error("WebSocketClassroomTransport", "Listener failed", error);
+      }
+      return;
+    }
+
+    const request = this.pendingRequests.get(message.id);
+    if (!request) return;
+    clearTimeout(request.timer);
+    this.pendingRequests.delete(message.id);
+
+    if (message.type === "error") {
+      request.reject(new Error(message.message || "Classroom relay error"));
+    } else {
+      request.resolve(message.value ?? null);
+    }
+  }
+
+  /**
+   * @private
+   */
+  rejectPendingRequests(error) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Send a request to the relay and wait for its answer
+   * @private
+   * @param {string} type - get, set or remove
+   * @param {string} path - Slash-separated path below `classrooms/`
+   * @param {*} [value] - Value to set
+   * @returns {Promise<*>} Value at the path after the request
+   */
+  async request(type, path, value) {
+    await this.connect();
+
+    const id = `r${this.nextMessageId++}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`Classroom relay timeout (${type} ${path})`));
+      }, RELAY.REQUEST_TIMEOUT);
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+      this.send({ id, type, path, value });
+    });
+  }
+
+  get(path) {
+    return this.request("get", path);
+  }
+
+  set(path, value) {
+    return this.request("set", path, value);
+  }
+
+  remove(path) {
+    return this.request("remove", path);
+  }
+
+  /**
+   * Receive the value at a path now and after every change below it
+   * @private
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(path, callback) {
+    const id = `s${this.nextMessageId++}`;
+    this.subscriptions.set(id, { path, callback });
+
+    // When not connected yet, the open handler sends the subscription
+    if (!this.send({ id, type: "subscribe", path })) {
+      this.connect().catch((error) =>
+        logger.warn(
+          "WebSocketClassroomTransport",
+          "Relay unavailable; retrying",
+          error,
+        ),
+      );
+    }
+
+    return () => {
+      if (this.subscriptions.delete(id)) {
+        this.send({ id, type: "unsubscribe" });
+      }
+    };
+  }
+
+  classroomPath(classroomCode, ...segments) {
+    return [DB_PATHS.CLASSROOMS, classroomCode, ...segments].join("/");
+  }
+
+  // ===== CLASSROOM OPERATIONS =====
+
+  async createClassroom(classroomData) {
+    try {
+      const classroomCode = await this.generateUniqueClassroomCode();
+      const classroom = createClassroomRecord(classroomData, classroomCode);
+      await this.set(this.classroomPath(classroomCode), classroom);
+
+      logger.info("WebSocketClassroomTransport", "Classroom created on relay", {
+        classroomCode,
+        instructorId: classroom.instructorId,
+      });
+      return classroom;
+    } catch (error) {
+      logger.error(
+        "WebSocketClassroomTransport",
+        "Failed to create classroom",
+        error,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<string>} Classroom code not used on the relay
+   */
+  async generateUniqueClassroomCode() {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const code = generateClassroomCode();
+      if (!(await this.get(this.classroomPath(code)))) return code;
+    }
+    throw new Error(
+      "Failed to generate unique classroom code after maximum attempts",
+    );
+  }
+
+  async joinClassroom(classroomCode, studentId, nickname) {
+    try {
+      if (!validateClassroomCode(classroomCode)) {
+        throw new Error("Invalid classroom code format");
+      }
+
+      const classroom = await this.getClassroom(classroomCode);
+      if (!classroom) {
+        throw new Error("Classroom not found");
+      }
+
+      if (classroom.roster?.[studentId]) {
+        logger.warn(
+          "WebSocketClassroomTransport",
+          "Student already in classroom",
+          { classroomCode, studentId },
+        );
+        return { ...classroom, studentInfo: classroom.roster[studentId] };
+      }
+
+      assertCanJoin(classroom);
+
+      const studentInfo = await this.set(
+        this.classroomPath(classroomCode, DB_PATHS.ROSTER, studentId),
+        {
+          nickname,
+          joinedAt: SERVER_TIMESTAMP,
+          isActive: true,
+          lastSeen: SERVER_TIMESTAMP,
+        },
+      );
+      await this.set(
+        this.classroomPath(classroomCode, DB_PATHS.STUDENT_CHOICES, studentId),
+        {
+          scenarios: {},
+          overallProgress: {
+            completed: 0,
+            total: (classroom.selectedScenarios || []).length,
+            currentScenario: null,
+            lastUpdated: SERVER_TIMESTAMP,
+          },
+        },
+      );
+
+      logger.info("WebSocketClassroomTransport", "Student joined classroom", {
+        classroomCode,
+        studentId,
+        nickname,
+      });
+      return { ...classroom, studentInfo };
+    } catch (error) {
+      logger.error(
+        "WebSocketClassroomTransport",
+        "Failed to join classroom",
+        error,
+      );
+      throw error;
+    }
+  }
+
+  async startLiveSession(classroomCode, instructorId) {
+    await this.set(this.classroomPath(classroomCode, DB_PATHS.SESSION_STATUS), {
+      isLive: true,
+      isPaused: false,
+      currentScenario: 0,
+      startTime: SERVER_TIMESTAMP,
+      completedAt: null,
+    });
+    logger.info("WebSocketClassroomTransport", "Live session started", {
+      classroomCode,
+      instructorId,
+    });
+  }
+
+  async pauseSession(classroomCode, isPaused) {
+    await this.set(
+      this.classroomPath(classroomCode, DB_PATHS.SESSION_STATUS, "isPaused"),
+      isPaused,
+    );
+    logger.info(
+      "WebSocketClassroomTransport",
+      `Session ${isPaused ? "paused" : "resumed"}`,
+      { classroomCode },
+    );
+  }
+
+  async updatePacing(classroomCode, updates) {
+    const path = this.classroomPath(classroomCode, DB_PATHS.SESSION_STATUS);
+    // One write, so students never see a new scenario with the old reveal
+    const status = await this.get(path);
+    const pacing = getPacingUpdates(updates);
+    await this.set(path, { ...(status || {}), ...pacing });
+    logger.info("WebSocketClassroomTransport", "Session pacing updated", {
+      classroomCode,
+      ...pacing,
+    });
+  }
+
+  async completeSession(classroomCode) {
+    await this.set(this.classroomPath(classroomCode, DB_PATHS.SESSION_STATUS), {
+      isLive: false,
+      isPaused: false,
+      currentScenario: null,
+      startTime: null,
+      completedAt: SERVER_TIMESTAMP,
+    });
+    logger.info("WebSocketClassroomTransport", "Session completed", {
+      classroomCode,
+    });
+  }
+
+  async submitStudentChoice(
+    classroomCode,
+    studentId,
+    scenarioId,
+    choice,
+    metadata = {},
+  ) {
+    const [settings, sessionStatus, selectedScenarios] = await Promise.all([
+      this.get(this.classroomPath(classroomCode, "settings")),
+      this.get(this.classroomPath(classroomCode, DB_PATHS.SESSION_STATUS)),
+      this.get(this.classroomPath(classroomCode, "selectedScenarios")),
+    ]);
+    assertPacedChoiceOpen(
+      { settings, sessionStatus, selectedScenarios },
+      scenarioId,
+    );
+
+    await this.set(
+      this.classroomPath(
+        classroomCode,
+        DB_PATHS.STUDENT_CHOICES,
+        studentId,
+        DB_PATHS.SCENARIOS,
+        scenarioId,
+      ),
+      {
+        choice,
+        timestamp: SERVER_TIMESTAMP,
+        isComplete: true,
+        responseTime: metadata.responseTime || null,
+        confidence: metadata.confidence || null,
+      },
+    );
+    await this.updateStudentProgress(classroomCode, studentId, scenarioId);
+
+    logger.info("WebSocketClassroomTransport", "Student choice submitted", {
+      classroomCode,
+      studentId,
+      scenarioId,
+      choice,
+    });
+  }
+
+  async updateStudentProgress(classroomCode, studentId, currentScenarioId) {
+    try {
+      const studentPath = this.classroomPath(
+        classroomCode,
+        DB_PATHS.STUDENT_CHOICES,
+        studentId,
+      );
+      const [scenarios, selectedScenarios] = await Promise.all([
+        this.get(`${studentPath}/${DB_PATHS.SCENARIOS}`),
+        this.get(this.classroomPath(classroomCode, "selectedScenarios")),
+      ]);
+
+      await this.set(`${studentPath}/${DB_PATHS.PROGRESS}`, {
+        completed: Object.keys(scenarios || {}).length,
+        total: (selectedScenarios || []).length,
+        currentScenario: currentScenarioId,
+        lastUpdated: SERVER_TIMESTAMP,
+      });
+    } catch (error) {
+      logger.error(
+        "WebSocketClassroomTransport",
+        "Failed to update student progress",
+        error,
+      );
+    }
+  }
+
+  listenToRoster(classroomCode, callback) {
+    return this.subscribe(
+      this.classroomPath(classroomCode, DB_PATHS.ROSTER),
+      (roster) => callback(roster || {}),
+    );
+  }
+
+  async submitReflection(classroomCode, studentId, scenarioId, reflectionData) {
+    await this.set(
+      this.classroomPath(
+        classroomCode,
+        DB_PATHS.STUDENT_CHOICES,
+        studentId,
+        DB_PATHS.REFLECTIONS,
+        scenarioId,
+      ),
+      {
+        ...getReflectionAnswers(reflectionData),
+        submittedAt: SERVER_TIMESTAMP,
+      },
+    );
+    logger.info("WebSocketClassroomTransport", "Reflection submitted", {
+      classroomCode,
+      studentId,
+      scenarioId,
+    });
+  }
+
+  async requestHelp(classroomCode, studentId, details) {
+    const requestId = generateHelpRequestId();
+    await this.set(
+      this.classroomPath(classroomCode, DB_PATHS.HELP_REQUESTS, requestId),
+      {
+        ...createHelpRequestRecord(studentId, details),
+        createdAt: SERVER_TIMESTAMP,
+      },
+    );
+    logger.info("WebSocketClassroomTransport", "Help requested", {
+      classroomCode,
+      studentId,
+      requestId,
+    });
+    return requestId;
+  }
+
+  async updateHelpRequest(classroomCode, requestId, status) {
+    const field = getHelpStatusField(status);
+    const path = this.classroomPath(
+      classroomCode,
+      DB_PATHS.HELP_REQUESTS,
+      requestId,
+    );
+    // Timestamp first, so subscribers never see a status without its time
+    await this.set(`${path}/${field}`, SERVER_TIMESTAMP);
+    await this.set(`${path}/status`, status);
+    logger.info("WebSocketClassroomTransport", "Help request updated", {
+      classroomCode,
+      requestId,
+      status,
+    });
+  }
+
+  listenToHelpRequests(classroomCode, callback) {
+    return this.subscribe(
+      this.classroomPath(classroomCode, DB_PATHS.HELP_REQUESTS),
+      (requests) => callback(requests || {}),
+    );
+  }
+
+  async startDebate(classroomCode, scenarioId, debate) {
+    await this.set(
+      this.classroomPath(classroomCode, DB_PATHS.DEBATES, scenarioId),
+      {
+        ...createDebateRecord(scenarioId, debate),
+        startedAt: SERVER_TIMESTAMP,
+      },
+    );
+    logger.info("WebSocketClassroomTransport", "Debate started", {
+      classroomCode,
+      scenarioId,
+    });
+  }
+
+  async closeDebate(classroomCode, scenarioId) {
+    const path = this.classroomPath(
+      classroomCode,
+      DB_PATHS.DEBATES,
+      scenarioId,
+    );
+    // closedAt first, so subscribers never see a closed debate without it
+    await this.set(`${path}/closedAt`, SERVER_TIMESTAMP);
+    await this.set(`${path}/status`, CLASSROOM_CONSTANTS.DEBATE.STATUS.CLOSED);
+    logger.info("WebSocketClassroomTransport", "Debate closed", {
+      classroomCode,
+      scenarioId,
+    });
+  }
+
+  async submitDebateArgument(classroomCode, scenarioId, studentId, argument) {
+    await this.set(
+      this.classroomPath(
+        classroomCode,
+        DB_PATHS.DEBATES,
+        scenarioId,
+        "arguments",
+        studentId,
+      ),
+      { ...getDebateArgument(argument), submittedAt: SERVER_TIMESTAMP },
+    );
+    logger.info("WebSocketClassroomTransport", "Debate argument saved", {
+      classroomCode,
+      scenarioId,
+      studentId,
+    });
+  }
+
+  async scoreDebateArgument(classroomCode, scenarioId, studentId, score) {
+    await this.set(
+      this.classroomPath(
+        classroomCode,
+        DB_PATHS.DEBATES,
+        scenarioId,
+        "scores",
+        studentId,
+      ),
+      { ...score, scoredAt: SERVER_TIMESTAMP },
+    );
+    logger.info("WebSocketClassroomTransport", "Debate argument scored", {
+      classroomCode,
+      scenarioId,
+      studentId,
+    });
+  }
+
+  listenToDebates(classroomCode, callback) {
+    return this.subscribe(
+      this.classroomPath(classroomCode, DB_PATHS.DEBATES),
+      (debates) => callback(debates || {}),
+    );
+  }
+
+  async gradeReflection(classroomCode, studentId, scenarioId, grade) {
+    await this.set(
+      this.classroomPath(classroomCode, DB_PATHS.GRADES, studentId, scenarioId),
+      { ...getReflectionGrade(grade), gradedAt: SERVER_TIMESTAMP },
+    );
+    logger.info("WebSocketClassroomTransport", "Reflection graded", {
+      classroomCode,
+      studentId,
+      scenarioId,
+    });
+  }
+
+  listenToGrades(classroomCode, callback) {
+    return this.subscribe(
+      this.classroomPath(classroomCode, DB_PATHS.GRADES),
+      (grades) => callback(grades || {}),
+    );
+  }
+
+  listenToSessionStatus(classroomCode, callback) {
+    return this.subscribe(
+      this.classroomPath(classroomCode, DB_PATHS.SESSION_STATUS),
+      (status) => callback(status || {}),
+    );
+  }
+
+  listenToStudentChoices(classroomCode, callback) {
+    return this.subscribe(
+      this.classroomPath(classroomCode, DB_PATHS.STUDENT_CHOICES),
+      (choices) => callback(choices || {}),
+    );
+  }
+
+  async getClassroom(classroomCode) {
+    const classroom = await this.get(this.classroomPath(classroomCode));
+    return classroom ? { classroomCode, ...classroom } : null;
+  }
+
+  async removeStudent(classroomCode, studentId) {
+    await this.remove(
+      this.classroomPath(classroomCode, DB_PATHS.ROSTER, studentId),
+    );
+    logger.info(
+      "WebSocketClassroomTransport",
+      "Student removed from classroom",
+      { classroomCode, studentId },
+    );
+  }
+
+  /**
+   * Drop every listener and close the connection; the next request opens a
+   * new one
+   */
+  cleanup() {
+    this.subscriptions.clear();
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.isConnected = false;
+    this.socket?.close();
+    logger.info("WebSocketClassroomTransport", "All listeners cleaned up");
+  }
+
+  healthCheck() {
+    return {
+      transport: this.name,
+      relayUrl: this.relayUrl,
+      isConnected: this.isConnected,
+      activeListeners: this.subscriptions.size,
+      service: "WebSocketClassroomTransport",
+      status: this.isConnected ? "healthy" : "disconnected",
+    };
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import { ETHICAL_CATEGORIES } from "../../data/categories.js";
+import { orderByRelevance } from "./scenario-search.js";
 
 // Constants
 const DEFAULT_ESTIMATED_TIME = 5;
@@ -179,9 +180,19 @@ export class CategoryMetadataManager {
 
   /**
    * Search scenarios with enhanced filtering
+   * @param {string} query - Search text
+   * @param {Object} filters - category, difficulty, philosophy, tags, complexity
+   * @param {Object|null} searchIndex - Prepared scenario search index. With
+   *   one, results are ranked by relevance; without, the query is matched as
+   *   a substring.
    */
-  static searchScenarios(query, filters = {}) {
-    const allScenarios = this.getAllScenariosEnhanced();
+  static searchScenarios(query, filters = {}, searchIndex = null) {
+    const rankWithIndex = Boolean(query && searchIndex);
+    const allScenarios = rankWithIndex
+      ? orderByRelevance(this.getAllScenariosEnhanced(), searchIndex, query, {
+          prefix: true,
+        })
+      : this.getAllScenariosEnhanced();
     const results = [];
 
     allScenarios.forEach((scenario) => {
@@ -189,7 +200,7 @@ export class CategoryMetadataManager {
       const searchQuery = query.toLowerCase();
 
       // Text search
-      if (searchQuery) {
+      if (searchQuery && !rankWithIndex) {
         const searchableText = [
           scenario.title,
           scenario.description,
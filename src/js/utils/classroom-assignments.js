@@ -0,0 +1,138 @@
+/**
+ * Classroom assignment utilities
+ * Assignments are classrooms that students complete on their own between an
+ * open and a due date. Each student's work status comes from the roster and
+ * studentChoices, so the classroom record stores nothing beyond the window.
+ * @module ClassroomAssignments
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+
+const { ASSIGNMENT, MODES } = CLASSROOM_CONSTANTS;
+const { STATUS, WORK_STATUS } = ASSIGNMENT;
+
+/**
+ * Check whether students complete a classroom on their own
+ * @param {Object} classroom - Classroom data
+ * @returns {boolean} True for assignments
+ */
+export function isAssignment(classroom) {
+  return (
+    classroom?.settings?.mode === MODES.ASSIGNMENT && !!classroom.assignment
+  );
+}
+
+/**
+ * @param {Object} classroom - Classroom with an assignment window
+ * @param {number} [now] - Time to check, in milliseconds
+ * @returns {string} upcoming, open or closed
+ */
+export function getAssignmentStatus(classroom, now = Date.now()) {
+  const { opensAt, closesAt } = classroom?.assignment || {};
+  if (opensAt && now < opensAt) return STATUS.UPCOMING;
+  if (closesAt && now >= closesAt) return STATUS.CLOSED;
+  return STATUS.OPEN;
+}
+
+/**
+ * Check whether students may still answer: while the assignment is open, or
+ * after it closed when late work is accepted
+ * @param {Object} classroom - Classroom with an assignment window
+ * @param {number} [now] - Time to check, in milliseconds
+ * @returns {boolean}
+ */
+export function canSubmitAssignmentWork(classroom, now = Date.now()) {
+  const status = getAssignmentStatus(classroom, now);
+  return (
+    status === STATUS.OPEN ||
+    (status === STATUS.CLOSED && !!classroom.assignment?.acceptLate)
+  );
+}
+
+/**
+ * Work of every student who joined the assignment. A student has submitted
+ * once every scenario is answered; the last answer decides whether it was
+ * late. Unfinished work is missing once the assignment closes.
+ * @param {Object} classroom - Classroom with selectedScenarios and assignment
+ * @param {Object} [data]
+ * @param {Object} [data.roster] - Roster of the classroom
+ * @param {Object} [data.studentChoices] - studentChoices of the classroom
+ * @param {number} [now] - Time to check, in milliseconds
+ * @returns {Array<Object>} studentId, nickname, status, answered, total,
+ *   reflections and submittedAt per student, by nickname
+ */
+export function getAssignmentWork(classroom, data = {}, now = Date.now()) {
+  const { roster = {}, studentChoices = {} } = data;
+  const scenarioIds = (classroom?.selectedScenarios || []).map(
+    (scenario) => scenario.scenarioId || scenario.id,
+  );
+  const closesAt = classroom?.assignment?.closesAt || null;
+  const studentIds = new Set([
+    ...Object.keys(roster),
+    ...Object.keys(studentChoices),
+  ]);
+
+  return [...studentIds]
+    .map((studentId) => {
+      const choices = studentChoices[studentId] || {};
+      const answered = scenarioIds.filter((id) => choices.scenarios?.[id]);
+      const finished =
+        scenarioIds.length > 0 && answered.length === scenarioIds.length;
+      const submittedAt = finished
+        ? Math.max(
+            ...answered.map((id) => Number(choices.scenarios[id].timestamp)),
+          ) || null
+        : null;
+
+      let status = answered.length
+        ? WORK_STATUS.IN_PROGRESS
+        : WORK_STATUS.NOT_STARTED;
+      if (finished) {
+        status =
+          closesAt && submittedAt > closesAt
+            ? WORK_STATUS.LATE
+            : WORK_STATUS.SUBMITTED;
+      } else if (closesAt && now >= closesAt) {
+        status = WORK_STATUS.MISSING;
+      }
+
+      return {
+        studentId,
+        nickname: roster[studentId]?.nickname || studentId,
+        status,
+        answered: answered.length,
+        total: scenarioIds.length,
+        reflections: scenarioIds.filter((id) => choices.reflections?.[id])
+          .length,
+        submittedAt,
+      };
+    })
+    .sort((a, b) => a.nickname.localeCompare(b.nickname));
+}
+
+/**
+ * @param {Array<Object>} work - Result of getAssignmentWork()
+ * @returns {Object} Number of students per work status
+ */
+export function countAssignmentWork(work) {
+  const counts = Object.fromEntries(
+    Object.values(WORK_STATUS).map((status) => [status, 0]),
+  );
+  work.forEach((entry) => {
+    counts[entry.status] += 1;
+  });
+  return counts;
+}
+
+/**
+ * Value of a datetime-local input for a time, in the browser's time zone
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} YYYY-MM-DDTHH:mm
+ */
+export function toDateTimeLocalValue(timestamp) {
+  const date = new Date(timestamp);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
@@ -0,0 +1,107 @@
+/**
+ * Classroom debate utilities
+ * Groups students who chose different options of a scenario so they can
+ * argue their case against each other. Arguments are scored with the rubric
+ * helpers in ClassroomGrading.
+ * @module ClassroomDebate
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+
+const { DEBATE } = CLASSROOM_CONSTANTS;
+
+/**
+ * Group the students who answered a scenario so every group holds at least
+ * two different choices. Larger option camps are spread first; students left
+ * over once only one choice remains join the existing groups in turn.
+ * @param {Object} studentChoices - studentChoices of the classroom
+ * @param {string} scenarioId - Scenario to debate
+ * @param {Object} [options]
+ * @param {Object} [options.roster] - Roster, for nicknames
+ * @param {number} [options.groupSize=2] - Students per group
+ * @returns {Array<Object>} Groups with an id and members (studentId,
+ *   nickname, optionId); empty when fewer than two options were chosen
+ */
+export function createDebateGroups(studentChoices, scenarioId, options = {}) {
+  const { roster = {}, groupSize = DEBATE.DEFAULT_GROUP_SIZE } = options;
+
+  // Option ID -> student IDs, in a stable order
+  const camps = new Map();
+  Object.keys(studentChoices || {})
+    .sort()
+    .forEach((studentId) => {
+      const choice = studentChoices[studentId]?.scenarios?.[scenarioId]?.choice;
+      if (!choice) return;
+      if (!camps.has(choice)) camps.set(choice, []);
+      camps.get(choice).push(studentId);
+    });
+
+  const toMember = (studentId, optionId) => ({
+    studentId,
+    nickname: roster[studentId]?.nickname || studentId,
+    optionId,
+  });
+
+  const groups = [];
+  for (;;) {
+    const open = [...camps.entries()]
+      .filter(([, students]) => students.length)
+      .sort(
+        ([optionA, a], [optionB, b]) =>
+          b.length - a.length || optionA.localeCompare(optionB),
+      );
+    if (open.length < 2) break;
+
+    const members = [];
+    for (let i = 0; members.length < groupSize; i++) {
+      const [optionId, students] = open[i % open.length];
+      if (students.length) members.push(toMember(students.shift(), optionId));
+      if (open.every(([, rest]) => !rest.length)) break;
+    }
+    groups.push({ id: `group-${groups.length + 1}`, members });
+  }
+
+  if (!groups.length) return [];
+
+  let next = 0;
+  camps.forEach((students, optionId) => {
+    students.forEach((studentId) => {
+      groups[next % groups.length].members.push(toMember(studentId, optionId));
+      next += 1;
+    });
+  });
+  return groups;
+}
+
+/**
+ * @param {Object} debate - Debate record
+ * @param {string} studentId - Student's Firebase UID
+ * @returns {Object|null} The group the student debates in
+ */
+export function getStudentDebateGroup(debate, studentId) {
+  return (
+    (debate?.groups || []).find((group) =>
+      (group.members || []).some((member) => member.studentId === studentId),
+    ) || null
+  );
+}
+
+/**
+ * Options a student argues against: those chosen by the rest of the group
+ * @param {Object} group - Debate group
+ * @param {string} studentId - Student's Firebase UID
+ * @returns {Array<string>} Option IDs, without the student's own choice
+ */
+export function getOpposingOptionIds(group, studentId) {
+  const members = group?.members || [];
+  const own = members.find((member) => member.studentId === studentId);
+  return [
+    ...new Set(
+      members
+        .map((member) => member.optionId)
+        .filter((optionId) => optionId !== own?.optionId),
+    ),
+  ];
+}
@@ -0,0 +1,473 @@
+/**
+ * Classroom session export
+ * Turns a classroom record into per-student choice logs (CSV and JSON) and a
+ * printable HTML summary with class-level option distributions and radar
+ * averages. The JSON export also lists the session's help requests, and
+ * assignment exports give each student's late or missing status. A separate
+ * CSV reports standards mastery per student and standard. Anonymized
+ * exports replace nicknames with "Student 1", "Student 2" and leave out
+ * student IDs.
+ * @module ClassroomExport
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import {
+  AXIS_DEFINITIONS,
+  DISPLAY_SCALE,
+  ETHICAL_AXES,
+  calculateCumulativeScores,
+} from "../data/ethical-scoring.js";
+import { getAssignmentWork, isAssignment } from "./classroom-assignments.js";
+
+const { REFLECTION_FIELDS, FILENAME_PREFIX } = CLASSROOM_CONSTANTS.EXPORT;
+
+const CSV_COLUMNS = [
+  "student",
+  "studentId",
+  "scenarioOrder",
+  "scenarioId",
+  "scenarioTitle",
+  "scenarioCategory",
+  "choice",
+  "choiceText",
+  "chosenAt",
+  "responseTime",
+  "confidence",
+  "reflectedAt",
+  ...REFLECTION_FIELDS.map((field) => `reflection_${field}`),
+];
+
+function toIsoString(value) {
+  const millis = typeof value === "string" ? Date.parse(value) : value;
+  return typeof millis === "number" && !Number.isNaN(millis)
+    ? new Date(millis).toISOString()
+    : "";
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Student text starting with = + - @ would run as a spreadsheet formula
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the export of one classroom session
+ * @param {Object} classroom - Classroom record (see createClassroomRecord)
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.optionLabels] - Scenario ID ->
+ *   { optionId: text }, as loaded by EducatorToolkit.loadOptionLabels()
+ * @param {Map<string, Object>} [options.optionImpacts] - Scenario ID ->
+ *   { optionId: raw impact }
+ * @param {boolean} [options.anonymize=false] - Replace nicknames and drop IDs
+ * @param {Date} [options.exportedAt=new Date()]
+ * @returns {Object} classroom, scenarios, students, records, helpRequests and
+ *   summary
+ */
+export function buildSessionExport(classroom, options = {}) {
+  const {
+    optionLabels = new Map(),
+    optionImpacts = new Map(),
+    anonymize = false,
+    exportedAt = new Date(),
+  } = options;
+  const roster = classroom.roster || {};
+  const studentChoices = classroom.studentChoices || {};
+  const helpRequests = Object.values(classroom.helpRequests || {});
+  const status = classroom.sessionStatus || {};
+  const assignment = isAssignment(classroom) ? classroom.assignment : null;
+  const work = new Map(
+    assignment
+      ? getAssignmentWork(
+          classroom,
+          { roster, studentChoices },
+          exportedAt.getTime(),
+        ).map((entry) => [entry.studentId, entry])
+      : [],
+  );
+
+  const scenarios = (classroom.selectedScenarios || []).map(
+    (scenario, index) => ({
+      order: index + 1,
+      scenarioId: scenario.scenarioId || scenario.id,
+      title: scenario.title || scenario.scenarioId || scenario.id,
+      category: scenario.category || "",
+    }),
+  );
+
+  // Sorting by ID keeps anonymous numbering unrelated to names or join order
+  const studentIds = [
+    ...new Set([
+      ...Object.keys(roster),
+      ...Object.keys(studentChoices),
+      ...helpRequests.map((request) => request.studentId).filter(Boolean),
+    ]),
+  ].sort();
+  const labels = new Map(
+    studentIds.map((studentId, index) => [
+      studentId,
+      anonymize
+        ? `Student ${index + 1}`
+        : roster[studentId]?.nickname ||
+          helpRequests.find((request) => request.studentId === studentId)
+            ?.nickname ||
+          studentId,
+    ]),
+  );
+
+  const records = [];
+  const students = studentIds.map((studentId) => {
+    const label = labels.get(studentId);
+    const recorded = studentChoices[studentId]?.scenarios || {};
+    const reflections = studentChoices[studentId]?.reflections || {};
+    const impacts = [];
+    let answered = 0;
+
+    scenarios.forEach((scenario) => {
+      const entry = recorded[scenario.scenarioId];
+      const reflection = reflections[scenario.scenarioId];
+      if (!entry && !reflection) return;
+
+      const impact = optionImpacts.get(scenario.scenarioId)?.[entry?.choice];
+      if (impact) impacts.push(impact);
+      if (entry?.choice) answered += 1;
+
+      const answers = {};
+      REFLECTION_FIELDS.forEach((field) => {
+        answers[field] = reflection?.[field] ?? null;
+      });
+
+      records.push({
+        student: label,
+        ...(anonymize ? {} : { studentId }),
+        scenarioOrder: scenario.order,
+        scenarioId: scenario.scenarioId,
+        scenarioTitle: scenario.title,
+        scenarioCategory: scenario.category,
+        choice: entry?.choice || null,
+        choiceText:
+          optionLabels.get(scenario.scenarioId)?.[entry?.choice] ||
+          entry?.choice ||
+          null,
+        chosenAt: toIsoString(entry?.timestamp) || null,
+        responseTime: entry?.responseTime ?? null,
+        confidence: entry?.confidence ?? null,
+        reflectedAt: toIsoString(reflection?.submittedAt) || null,
+        reflection: answers,
+      });
+    });
+
+    return {
+      student: label,
+      ...(anonymize ? {} : { studentId }),
+      joinedAt: toIsoString(roster[studentId]?.joinedAt) || null,
+      answered,
+      ...(assignment
+        ? {
+            workStatus: work.get(studentId)?.status || null,
+            submittedAt: toIsoString(work.get(studentId)?.submittedAt) || null,
+          }
+        : {}),
+      profile: impacts.length ? calculateCumulativeScores(impacts) : null,
+    };
+  });
+
+  const help = helpRequests
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .map((request) => ({
+      student: labels.get(request.studentId) || null,
+      ...(anonymize ? {} : { studentId: request.studentId }),
+      scenarioId: request.scenarioId || null,
+      scenarioTitle: request.scenarioTitle || null,
+      message: request.message || null,
+      status: request.status,
+      createdAt: toIsoString(request.createdAt) || null,
+      acknowledgedAt: toIsoString(request.acknowledgedAt) || null,
+      resolvedAt: toIsoString(request.resolvedAt) || null,
+      cancelledAt: toIsoString(request.cancelledAt) || null,
+    }));
+
+  return {
+    classroom: {
+      classroomName: classroom.classroomName,
+      classroomCode: classroom.classroomCode,
+      instructorName: classroom.instructorName || "",
+      dateCreated: toIsoString(classroom.dateCreated) || null,
+      startTime: toIsoString(status.startTime) || null,
+      completedAt: toIsoString(status.completedAt) || null,
+      pacing: classroom.settings?.pacing || CLASSROOM_CONSTANTS.PACING.STUDENT,
+      assignment: assignment
+        ? {
+            opensAt: toIsoString(assignment.opensAt) || null,
+            closesAt: toIsoString(assignment.closesAt) || null,
+            acceptLate: !!assignment.acceptLate,
+          }
+        : null,
+      anonymized: anonymize,
+      exportedAt: exportedAt.toISOString(),
+    },
+    scenarios,
+    students,
+    records,
+    helpRequests: help,
+    summary: {
+      ...summarizeSession(scenarios, students, records),
+      helpRequestCount: help.length,
+    },
+  };
+}
+
+/**
+ * Class-level option distributions and radar averages
+ * @private
+ */
+function summarizeSession(scenarios, students, records) {
+  const distributions = scenarios.map((scenario) => {
+    const chosen = records.filter(
+      (record) => record.scenarioId === scenario.scenarioId && record.choice,
+    );
+    const counts = new Map();
+    chosen.forEach((record) => {
+      counts.set(record.choiceText, (counts.get(record.choiceText) || 0) + 1);
+    });
+    return {
+      scenarioId: scenario.scenarioId,
+      title: scenario.title,
+      responses: chosen.length,
+      options: [...counts.entries()]
+        .map(([label, count]) => ({
+          label,
+          count,
+          percent: Math.round((count / chosen.length) * 100),
+        }))
+        .sort((a, b) => b.count - a.count),
+    };
+  });
+
+  const profiles = students.map((student) => student.profile).filter(Boolean);
+  const radarAverages = profiles.length ? {} : null;
+  if (profiles.length) {
+    ETHICAL_AXES.forEach((axis) => {
+      const total = profiles.reduce((sum, profile) => sum + profile[axis], 0);
+      radarAverages[axis] = Math.round((total / profiles.length) * 10) / 10;
+    });
+  }
+
+  return {
+    studentCount: students.length,
+    responseCount: records.filter((record) => record.choice).length,
+    reflectionCount: records.filter((record) => record.reflectedAt).length,
+    distributions,
+    radarAverages,
+    profileCount: profiles.length,
+  };
+}
+
+/**
+ * One CSV row per student and scenario, reflection answers as columns
+ * @param {Object} sessionExport - Result of buildSessionExport()
+ * @returns {string}
+ */
+export function sessionExportToCsv(sessionExport) {
+  const columns = sessionExport.classroom.anonymized
+    ? CSV_COLUMNS.filter((column) => column !== "studentId")
+    : CSV_COLUMNS;
+
+  const rows = sessionExport.records.map((record) =>
+    columns
+      .map((column) =>
+        column.startsWith("reflection_")
+          ? record.reflection[column.slice("reflection_".length)]
+          : record[column],
+      )
+      .map(escapeCsvValue)
+      .join(","),
+  );
+  return [columns.join(","), ...rows].join("\r\n");
+}
+
+/**
+ * One CSV row per student and curriculum standard, for school reporting.
+ * Anonymous numbering follows student IDs, as in buildSessionExport().
+ * @param {Object} mastery - Result of computeStandardsMastery()
+ * @param {Object} [options]
+ * @param {boolean} [options.anonymize=false] - Replace nicknames and drop IDs
+ * @returns {string}
+ */
+export function standardsMasteryToCsv(mastery, options = {}) {
+  const { anonymize = false } = options;
+  const columns = [
+    "student",
+    ...(anonymize ? [] : ["studentId"]),
+    "framework",
+    "code",
+    "description",
+    "alignedScenarios",
+    "completed",
+    "graded",
+    "averageGradePercent",
+    "level",
+  ];
+  const labels = new Map(
+    mastery.students
+      .map(({ studentId }) => studentId)
+      .sort()
+      .map((studentId, index) => [studentId, `Student ${index + 1}`]),
+  );
+
+  const rows = mastery.standards.flatMap((standard) =>
+    standard.students.map((result) =>
+      [
+        anonymize ? labels.get(result.studentId) : result.nickname,
+        ...(anonymize ? [] : [result.studentId]),
+        standard.frameworkName,
+        standard.code,
+        standard.description,
+        result.total,
+        result.completed,
+        result.graded,
+        result.score,
+        result.level,
+      ]
+        .map(escapeCsvValue)
+        .join(","),
+    ),
+  );
+  return [columns.join(","), ...rows].join("\r\n");
+}
+
+/**
+ * @param {Object} sessionExport - Result of buildSessionExport()
+ * @returns {string} Pretty-printed JSON
+ */
+export function sessionExportToJson(sessionExport) {
+  return JSON.stringify(sessionExport, null, 2);
+}
+
+/**
+ * Standalone HTML document summarizing the session, styled for printing
+ * @param {Object} sessionExport - Result of buildSessionExport()
+ * @returns {string}
+ */
+export function buildPrintableReport(sessionExport) {
+  const { classroom, students, summary } = sessionExport;
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+
+  const distributions = summary.distributions
+    .map(
+      (scenario) => `
+      <section class="scenario">
+        <h3>${escapeHtml(scenario.title)} <small>${scenario.responses} responses</small></h3>
+        ${
+          scenario.options.length
+            ? `<table>${scenario.options
+                .map(
+                  (option) => `
+            <tr>
+              <td>${escapeHtml(option.label)}</td>
+              <td class="bar"><span style="width:${option.percent}%"></span></td>
+              <td class="num">${option.percent}% (${option.count})</td>
+            </tr>`,
+                )
+                .join("")}</table>`
+            : "<p>No choices recorded.</p>"
+        }
+      </section>`,
+    )
+    .join("");
+
+  const radar = summary.radarAverages
+    ? `<table>${ETHICAL_AXES.map(
+        (axis) => `
+        <tr>
+          <td>${escapeHtml(AXIS_DEFINITIONS[axis].label)}</td>
+          <td class="bar"><span style="width:${(summary.radarAverages[axis] / DISPLAY_SCALE.MAX) * 100}%"></span></td>
+          <td class="num">${summary.radarAverages[axis]} / ${DISPLAY_SCALE.MAX}</td>
+        </tr>`,
+      ).join("")}</table>
+      <p class="note">Average of ${summary.profileCount} student profiles. ${DISPLAY_SCALE.NEUTRAL} is neutral.</p>`
+    : "<p>No scored choices recorded.</p>";
+
+  const studentRows = students
+    .map(
+      (student) => `
+        <tr>
+          <td>${escapeHtml(student.student)}</td>
+          <td class="num">${student.answered} / ${sessionExport.scenarios.length}</td>
+          ${classroom.assignment ? `<td class="num">${escapeHtml((student.workStatus || "").replace("_", " "))}</td>` : ""}
+        </tr>`,
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(classroom.classroomName)} - Session Report</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #222; margin: 2rem; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { margin-top: 2rem; border-bottom: 1px solid #ccc; }
+  h3 small, .meta, .note { color: #666; font-weight: normal; }
+  table { width: 100%; border-collapse: collapse; margin: 0.5rem 0; }
+  td { padding: 0.25rem 0.5rem; border-bottom: 1px solid #eee; }
+  td.bar { width: 35%; }
+  td.bar span { display: block; height: 0.6rem; background: #1a73e8; }
+  td.num { width: 8rem; text-align: right; white-space: nowrap; }
+  .scenario { break-inside: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(classroom.classroomName)}</h1>
+  <p class="meta">
+    Code ${escapeHtml(classroom.classroomCode)}
+    ${classroom.instructorName ? ` · ${escapeHtml(classroom.instructorName)}` : ""}
+    ${
+      classroom.assignment
+        ? `· Opened ${formatDate(classroom.assignment.opensAt)} · Due ${formatDate(classroom.assignment.closesAt)}`
+        : `· Started ${formatDate(classroom.startTime)} · Completed ${formatDate(classroom.completedAt)}`
+    }
+  </p>
+  <p class="meta">
+    ${summary.studentCount} students · ${summary.responseCount} choices · ${summary.reflectionCount} reflections · ${summary.helpRequestCount} help requests
+    ${classroom.anonymized ? " · Student names removed" : ""}
+    · Exported ${formatDate(classroom.exportedAt)}
+  </p>
+
+  <h2>Class Choices</h2>
+  ${distributions || "<p>No scenarios in this session.</p>"}
+
+  <h2>Class Radar Averages</h2>
+  ${radar}
+
+  <h2>Students</h2>
+  <table>${studentRows || "<tr><td>No students joined.</td></tr>"}</table>
+</body>
+</html>`;
+}
+
+/**
+ * @param {Object} classroom - Classroom record
+ * @param {string} extension - csv, json or html
+ * @param {string} [suffix] - Kind of export, e.g. "standards"
+ * @returns {string} e.g. simulateai-classroom-ABC-123-2025-05-01.csv or
+ *   simulateai-classroom-ABC-123-standards-2025-05-01.csv
+ */
+export function getExportFilename(classroom, extension, suffix = "") {
+  const date = new Date().toISOString().slice(0, 10);
+  const name = suffix
+    ? `${classroom.classroomCode}-${suffix}`
+    : classroom.classroomCode;
+  return `${FILENAME_PREFIX}-${name}-${date}.${extension}`;
+}
@@ -0,0 +1,211 @@
+/**
+ * Classroom grading utilities
+ * Scores student work against rubrics in the shape of the EducatorToolkit
+ * create*Rubric() methods, and adds up the reflection grades an instructor
+ * gives under grades/<studentId>/<scenarioId> per student and for the class.
+ * @module ClassroomGrading
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+
+// Stored grades are read back from shared classroom storage, where any
+// value could have been written, so every number is coerced before use
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Turn a rubric from the EducatorToolkit into the form the classroom stores.
+ * Level maps keyed 1-4 would come back from the Realtime Database as sparse
+ * arrays, so each criterion keeps a list instead.
+ * @param {Object} rubric - { criteria: [{ name, levels: { 4: "...", ... } }] }
+ * @returns {Object} { criteria: [{ name, levels: [{ level, description }] }] }
+ *   with levels from highest to lowest
+ */
+export function normalizeRubric(rubric) {
+  return {
+    criteria: (rubric?.criteria || []).map((criterion) => ({
+      name: criterion.name,
+      levels: Object.entries(criterion.levels || {})
+        .map(([level, description]) => ({ level: Number(level), description }))
+        .sort((a, b) => b.level - a.level),
+    })),
+  };
+}
+
+/**
+ * Score work against a stored rubric
+ * @param {Array<number>} levels - Level per rubric criterion, in order
+ * @param {Object} rubric - Result of normalizeRubric()
+ * @returns {Object} levels, total and maxTotal; levels outside a criterion's
+ *   range are clamped to it
+ */
+export function getRubricScore(levels, rubric) {
+  const ranges = (rubric?.criteria || []).map((criterion) =>
+    criterion.levels.map((entry) => entry.level),
+  );
+  const scored = ranges.map((range, index) => {
+    const level = Math.round(Number(levels?.[index]) || 0);
+    return Math.min(Math.max(level, Math.min(...range)), Math.max(...range));
+  });
+  return {
+    levels: scored,
+    total: scored.reduce((sum, level) => sum + level, 0),
+    maxTotal: ranges.reduce((sum, range) => sum + Math.max(...range), 0),
+  };
+}
+
+/**
+ * Build the grade of a reflection. Each criterion keeps its name and the
+ * description of the awarded level, so students can read their grade
+ * without the rubric.
+ * @param {Array<number>} levels - Level per rubric criterion, in order
+ * @param {Object} rubric - Result of normalizeRubric()
+ * @param {Object} [details]
+ * @param {string} [details.rubricId] - One of CLASSROOM_CONSTANTS.GRADING.RUBRICS
+ * @param {string} [details.feedback] - Instructor's comment
+ * @returns {Object} rubricId, criteria (name, level, maxLevel, description),
+ *   total, maxTotal and feedback
+ */
+export function createReflectionGrade(levels, rubric, details = {}) {
+  const score = getRubricScore(levels, rubric);
+  return {
+    rubricId: details.rubricId || CLASSROOM_CONSTANTS.GRADING.DEFAULT_RUBRIC,
+    criteria: rubric.criteria.map((criterion, index) => {
+      const level = score.levels[index];
+      return {
+        name: criterion.name,
+        level,
+        maxLevel: Math.max(...criterion.levels.map((entry) => entry.level)),
+        description:
+          criterion.levels.find((entry) => entry.level === level)
+            ?.description || "",
+      };
+    }),
+    total: score.total,
+    maxTotal: score.maxTotal,
+    feedback: typeof details.feedback === "string" ? details.feedback : "",
+  };
+}
+
+/**
+ * @param {Object} grade - Stored reflection grade
+ * @returns {number|null} Score as a whole percentage
+ */
+export function getGradePercent(grade) {
+  const maxTotal = toNumber(grade?.maxTotal);
+  if (!maxTotal) return null;
+  return Math.round((toNumber(grade.total) / maxTotal) * 100);
+}
+
+/**
+ * Read a stored reflection grade with every number coerced
+ * @param {Object} grade - Stored reflection grade
+ * @returns {Object} Grade in the shape of createReflectionGrade(), plus
+ *   gradedAt
+ */
+export function readStoredGrade(grade) {
+  return {
+    ...grade,
+    criteria: (Array.isArray(grade?.criteria) ? grade.criteria : []).map(
+      (criterion) => ({
+        ...criterion,
+        level: toNumber(criterion?.level),
+        maxLevel: toNumber(criterion?.maxLevel),
+      }),
+    ),
+    total: toNumber(grade?.total),
+    maxTotal: toNumber(grade?.maxTotal),
+    gradedAt: toNumber(grade?.gradedAt),
+  };
+}
+
+/**
+ * Add up the reflection grades of a classroom
+ * @param {Object} grades - grades of the classroom, by student and scenario
+ * @param {Object} [roster] - Roster, for nicknames
+ * @returns {Object} students (studentId, nickname, graded, total, maxTotal,
+ *   percent; by nickname) and classAverage (graded, students, percent and
+ *   the average level per criterion name)
+ */
+export function summarizeGrades(grades = {}, roster = {}) {
+  const criteria = new Map(); // Criterion name -> { sum, count, maxLevel }
+  let classTotal = 0;
+  let classMaxTotal = 0;
+  let classGraded = 0;
+
+  const students = Object.entries(grades || {})
+    .map(([studentId, byScenario]) => {
+      const entries = Object.values(byScenario || {}).map(readStoredGrade);
+      const total = entries.reduce((sum, grade) => sum + grade.total, 0);
+      const maxTotal = entries.reduce((sum, grade) => sum + grade.maxTotal, 0);
+
+      entries.forEach((grade) => {
+        grade.criteria.forEach(({ name, level, maxLevel }) => {
+          const entry = criteria.get(name) || { sum: 0, count: 0, maxLevel };
+          entry.sum += level;
+          entry.count += 1;
+          entry.maxLevel = Math.max(entry.maxLevel, maxLevel);
+          criteria.set(name, entry);
+        });
+      });
+      classTotal += total;
+      classMaxTotal += maxTotal;
+      classGraded += entries.length;
+
+      return {
+        studentId,
+        nickname: roster[studentId]?.nickname || studentId,
+        graded: entries.length,
+        total,
+        maxTotal,
+        percent: getGradePercent({ total, maxTotal }),
+      };
+    })
+    .filter((student) => student.graded > 0)
+    .sort((a, b) => a.nickname.localeCompare(b.nickname));
+
+  return {
+    students,
+    classAverage: {
+      graded: classGraded,
+      students: students.length,
+      percent: getGradePercent({ total: classTotal, maxTotal: classMaxTotal }),
+      criteria: [...criteria.entries()].map(([name, entry]) => ({
+        name,
+        average: Math.round((entry.sum / entry.count) * 10) / 10,
+        maxLevel: entry.maxLevel,
+      })),
+    },
+  };
+}
+
+/**
+ * A student's graded reflections in one classroom, newest grade first
+ * @param {Object} classroom - Classroom record
+ * @param {string} studentId - Student's Firebase UID
+ * @returns {Array<Object>} scenarioId, title, reflection and grade per
+ *   graded scenario
+ */
+export function getStudentFeedback(classroom, studentId) {
+  const grades = classroom?.grades?.[studentId] || {};
+  const reflections = classroom?.studentChoices?.[studentId]?.reflections || {};
+  const titles = new Map(
+    (classroom?.selectedScenarios || []).map((scenario) => [
+      scenario.scenarioId || scenario.id,
+      scenario.title,
+    ]),
+  );
+
+  return Object.entries(grades)
+    .map(([scenarioId, grade]) => ({
+      scenarioId,
+      title: titles.get(scenarioId) || scenarioId,
+      reflection: reflections[scenarioId] || null,
+      grade: readStoredGrade(grade),
+    }))
+    .sort((a, b) => b.grade.gradedAt - a.grade.gradedAt);
+}
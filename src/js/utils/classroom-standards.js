@@ -0,0 +1,241 @@
+/**
+ * Classroom standards mastery
+ * Aligns the scenarios of a classroom with the curriculum standards their
+ * cards in categories.js list, and rates every student per standard from the
+ * aligned scenarios they completed and the reflection grades they received.
+ * Standards are identified as "<framework>:<code>", e.g. "csta:3A-IC-24".
+ * @module ClassroomStandards
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
+import { ETHICAL_CATEGORIES } from "../../data/categories.js";
+import { CURRICULUM_STANDARDS } from "../../data/curriculum-standards.js";
+import { getGradePercent } from "./classroom-grading.js";
+
+const { LEVELS, PROFICIENT_PERCENT, MASTERED_PERCENT } =
+  CLASSROOM_CONSTANTS.STANDARDS;
+
+const FRAMEWORKS = Object.keys(CURRICULUM_STANDARDS);
+
+// Scenario ID -> standard IDs, built on first use
+let scenarioStandards = null;
+
+function average(values) {
+  return values.length
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+}
+
+/**
+ * @param {string} framework - csta, ngss or ncss
+ * @param {string} code - Code within the framework
+ * @returns {string} Standard ID, e.g. "csta:3A-IC-24"
+ */
+export function getStandardId(framework, code) {
+  return `${framework}:${code}`;
+}
+
+/**
+ * @param {string} standardId - e.g. "ncss:VIII"
+ * @returns {Object} framework and code
+ */
+export function parseStandardId(standardId) {
+  const separator = String(standardId).indexOf(":");
+  return {
+    framework: standardId.slice(0, separator),
+    code: standardId.slice(separator + 1),
+  };
+}
+
+/**
+ * Standards a scenario is aligned with, in catalog order
+ * @param {string} scenarioId
+ * @returns {Array<string>} Standard IDs
+ */
+export function getScenarioStandards(scenarioId) {
+  if (!scenarioStandards) {
+    scenarioStandards = new Map();
+    Object.values(ETHICAL_CATEGORIES).forEach((category) => {
+      (category.scenarios || []).forEach((card) => {
+        scenarioStandards.set(
+          card.id,
+          FRAMEWORKS.flatMap((framework) =>
+            Object.keys(CURRICULUM_STANDARDS[framework].codes)
+              .filter((code) => card.standards?.[framework]?.includes(code))
+              .map((code) => getStandardId(framework, code)),
+          ),
+        );
+      });
+    });
+  }
+  return scenarioStandards.get(scenarioId) || [];
+}
+
+/**
+ * Rate a student on one standard. Finishing every aligned scenario makes a
+ * student proficient until their reflections are graded; mastery needs an
+ * average grade of MASTERED_PERCENT.
+ * @param {Object} result
+ * @param {number} result.completed - Aligned scenarios completed
+ * @param {number} result.total - Aligned scenarios in the classroom
+ * @param {number|null} result.score - Average grade percent, null if ungraded
+ * @returns {string} One of CLASSROOM_CONSTANTS.STANDARDS.LEVELS
+ */
+export function getMasteryLevel({ completed, total, score }) {
+  if (!completed) return LEVELS.NOT_STARTED;
+  if (completed < total) return LEVELS.DEVELOPING;
+  if (score === null) return LEVELS.PROFICIENT;
+  if (score >= MASTERED_PERCENT) return LEVELS.MASTERED;
+  return score >= PROFICIENT_PERCENT ? LEVELS.PROFICIENT : LEVELS.DEVELOPING;
+}
+
+/**
+ * Standards mastery of a classroom, per student and for the class
+ * @param {Object} classroom - Classroom record with roster,
+ *   selectedScenarios, studentChoices and grades
+ * @returns {Object} classroomCode, classroomName, standards and students.
+ *   Each standard has standardId, framework, frameworkName, code,
+ *   description, scenarioIds, students (studentId, nickname, completed,
+ *   total, graded, score, level) and summary (counts and percents per level,
+ *   averageScore). Each student has studentId, nickname and levels by
+ *   standard ID.
+ */
+export function computeStandardsMastery(classroom) {
+  const roster = classroom?.roster || {};
+  const studentChoices = classroom?.studentChoices || {};
+  const grades = classroom?.grades || {};
+
+  const aligned = new Map(); // Standard ID -> scenario IDs
+  (classroom?.selectedScenarios || []).forEach((scenario) => {
+    const scenarioId = scenario.scenarioId || scenario.id;
+    getScenarioStandards(scenarioId).forEach((standardId) => {
+      if (!aligned.has(standardId)) aligned.set(standardId, []);
+      aligned.get(standardId).push(scenarioId);
+    });
+  });
+
+  const students = [
+    ...new Set([...Object.keys(roster), ...Object.keys(studentChoices)]),
+  ]
+    .map((studentId) => ({
+      studentId,
+      nickname: roster[studentId]?.nickname || studentId,
+    }))
+    .sort((a, b) => a.nickname.localeCompare(b.nickname));
+
+  const order = FRAMEWORKS.flatMap((framework) =>
+    Object.keys(CURRICULUM_STANDARDS[framework].codes).map((code) =>
+      getStandardId(framework, code),
+    ),
+  );
+
+  const standards = [...aligned.entries()]
+    .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+    .map(([standardId, scenarioIds]) => {
+      const { framework, code } = parseStandardId(standardId);
+      const results = students.map(({ studentId, nickname }) => {
+        const recorded = studentChoices[studentId]?.scenarios || {};
+        const completed = scenarioIds.filter(
+          (id) => recorded[id] && recorded[id].isComplete !== false,
+        ).length;
+        const percents = scenarioIds
+          .map((id) => getGradePercent(grades[studentId]?.[id]))
+          .filter((percent) => percent !== null);
+        const score = average(percents);
+
+        return {
+          studentId,
+          nickname,
+          completed,
+          total: scenarioIds.length,
+          graded: percents.length,
+          score,
+          level: getMasteryLevel({
+            completed,
+            total: scenarioIds.length,
+            score,
+          }),
+        };
+      });
+
+      return {
+        standardId,
+        framework,
+        frameworkName: CURRICULUM_STANDARDS[framework].shortName,
+        code,
+        description: CURRICULUM_STANDARDS[framework].codes[code],
+        scenarioIds,
+        students: results,
+        summary: summarizeLevels(results),
+      };
+    });
+
+  return {
+    classroomCode: classroom?.classroomCode || "",
+    classroomName: classroom?.classroomName || classroom?.classroomCode || "",
+    standards,
+    students: students.map((student) => ({
+      ...student,
+      levels: Object.fromEntries(
+        standards.map((standard) => [
+          standard.standardId,
+          standard.students.find(
+            (result) => result.studentId === student.studentId,
+          ).level,
+        ]),
+      ),
+    })),
+  };
+}
+
+/**
+ * Students per mastery level, and the class's average grade
+ * @private
+ */
+function summarizeLevels(results) {
+  const counts = {};
+  const percents = {};
+  Object.values(LEVELS).forEach((level) => {
+    counts[level] = results.filter((result) => result.level === level).length;
+    percents[level] = results.length
+      ? Math.round((counts[level] / results.length) * 100)
+      : 0;
+  });
+
+  return {
+    counts,
+    percents,
+    averageScore: average(
+      results.map((result) => result.score).filter((score) => score !== null),
+    ),
+  };
+}
+
+/**
+ * One standard of a mastery report
+ * @param {Object} mastery - Result of computeStandardsMastery()
+ * @param {string} standardId - e.g. "csta:3A-IC-24"
+ * @returns {Object|null}
+ */
+export function getStandardMastery(mastery, standardId) {
+  return (
+    mastery?.standards.find((standard) => standard.standardId === standardId) ||
+    null
+  );
+}
+
+/**
+ * A student's result on every standard of a mastery report
+ * @param {Object} mastery - Result of computeStandardsMastery()
+ * @param {string} studentId
+ * @returns {Array<Object>} Standard fields with the student's completed,
+ *   total, graded, score and level
+ */
+export function getStudentStandards(mastery, studentId) {
+  return (mastery?.standards || []).flatMap(({ students, ...standard }) => {
+    const result = students.find((entry) => entry.studentId === studentId);
+    return result ? [{ ...standard, ...result }] : [];
+  });
+}
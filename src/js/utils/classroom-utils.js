@@ -7,6 +7,7 @@
  */
 
 import logger from "./logger.js";
+import { CLASSROOM_CONSTANTS } from "../constants/classroom-constants.js";
 
 /**
  * Generate a unique 6-character classroom code
@@ -345,6 +346,60 @@ export function getNextScenario(scenarios, studentProgress) {
   return null; // All scenarios completed
 }
 
+/**
+ * Check whether the instructor advances the class through its scenarios
+ * @param {Object} classroom - Classroom data
+ * @returns {boolean} True for teacher-paced classrooms
+ */
+export function isTeacherPaced(classroom) {
+  return classroom?.settings?.pacing === CLASSROOM_CONSTANTS.PACING.TEACHER;
+}
+
+/**
+ * Get the scenario a teacher-paced class is on
+ * @param {Object} classroom - Classroom data
+ * @param {Object} sessionStatus - Session status with currentScenario
+ * @returns {Object|null} Index, scenarioId and entry from selectedScenarios
+ */
+export function getPacedScenario(classroom, sessionStatus) {
+  const scenarios = classroom?.selectedScenarios || [];
+  const index = sessionStatus?.currentScenario;
+  if (!Number.isInteger(index) || !scenarios[index]) return null;
+
+  const scenario = scenarios[index];
+  return {
+    index,
+    scenarioId: scenario.scenarioId || scenario.id || scenario.scenario,
+    scenario,
+  };
+}
+
+/**
+ * Help requests still waiting for the instructor, oldest first
+ * @param {Object} helpRequests - Help requests keyed by request ID
+ * @returns {Array<Object>} Open and acknowledged requests with their requestId
+ */
+export function getHelpQueue(helpRequests) {
+  const { OPEN, ACKNOWLEDGED } = CLASSROOM_CONSTANTS.HELP_STATUS;
+  return Object.entries(helpRequests || {})
+    .filter(([, request]) => [OPEN, ACKNOWLEDGED].includes(request?.status))
+    .map(([requestId, request]) => ({ requestId, ...request }))
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+/**
+ * Get the help request a student is still waiting on
+ * @param {Object} helpRequests - Help requests keyed by request ID
+ * @param {string} studentId - Student's Firebase UID
+ * @returns {Object|null} Latest open or acknowledged request of the student
+ */
+export function getStudentHelpRequest(helpRequests, studentId) {
+  const queue = getHelpQueue(helpRequests).filter(
+    (request) => request.studentId === studentId,
+  );
+  return queue[queue.length - 1] || null;
+}
+
 /**
  * Sanitize classroom name for safe storage and display
  * @param {string} name - Raw classroom name
@@ -403,10 +458,156 @@ export function generateClassroomShareUrl(
   const params = new URLSearchParams();
   params.set("join", classroomCode);
 
-  // Seed embedding removed: share URLs now include only the join code
+  // Seed embedding removed: share URLs now include only the join code,
+  // plus the relay when the classroom runs on a self-hosted relay
+  const relayUrl =
+    (!isString && optionsOrBase?.relayUrl) || getClassroomRelayUrl();
+  if (relayUrl) {
+    params.set(CLASSROOM_CONSTANTS.RELAY.URL_PARAM, relayUrl);
+  }
   return `${baseUrl}?${params.toString()}`;
 }
 
+/**
+ * Check that a URL points to a WebSocket classroom relay
+ * @param {string} url - Relay URL
+ * @returns {boolean} True for ws:// and wss:// URLs
+ */
+export function isValidRelayUrl(url) {
+  if (typeof url !== "string" || !url) return false;
+  try {
+    return ["ws:", "wss:"].includes(new URL(url).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+// Relay chosen from the `relay` URL parameter on this page, once the user
+// has confirmed it. undefined until the parameter has been checked.
+let confirmedRelayUrl;
+
+/**
+ * Whether a relay can be reached from this page. Browsers block ws:// from
+ * https pages as mixed content.
+ * @param {string} url - Relay URL
+ * @returns {boolean}
+ */
+function isReachableRelayUrl(url) {
+  return !(
+    window.location.protocol === "https:" && new URL(url).protocol === "ws:"
+  );
+}
+
+/**
+ * Ask the user before sending classroom traffic to the relay named in a
+ * link. Relays from links are never remembered, so one crafted link cannot
+ * redirect later visits.
+ * @param {string} url - Relay URL from the `relay` parameter
+ * @returns {string|null} The relay, or null when it is declined or unusable
+ */
+function confirmRelayFromLink(url) {
+  if (!isValidRelayUrl(url)) return null;
+
+  const { host } = new URL(url);
+  if (!isReachableRelayUrl(url)) {
+    logger.warn("ClassroomUtils", "Relay blocked as mixed content", { url });
+    window.alert(
+      `This link uses the classroom relay at ${host}, but a secure page cannot connect to ws:// addresses. ` +
+        "Ask your teacher for a wss:// relay link, or open the app from their laptop.",
+    );
+    return null;
+  }
+
+  const confirmed = window.confirm(
+    `This link connects the classroom through a relay at ${host}. ` +
+      "Your nickname, choices and reflections will be sent to that computer instead of SimulateAI. " +
+      "Only continue if your teacher gave you this link.",
+  );
+  return confirmed ? url : null;
+}
+
+/**
+ * Resolve the self-hosted classroom relay, if any. Checked in order:
+ * window.SIMULATEAI_CLASSROOM_RELAY_URL, then the `relay` URL parameter of a
+ * share link, which the user confirms once per page. Without a relay,
+ * classrooms use Firebase.
+ * @returns {string|null} Relay URL
+ */
+export function getClassroomRelayUrl() {
+  try {
+    if (isValidRelayUrl(window.SIMULATEAI_CLASSROOM_RELAY_URL)) {
+      return window.SIMULATEAI_CLASSROOM_RELAY_URL;
+    }
+
+    if (confirmedRelayUrl === undefined) {
+      // Earlier versions remembered relays from links; drop any left behind
+      localStorage.removeItem(CLASSROOM_CONSTANTS.RELAY.STORAGE_KEY);
+
+      const fromUrl = new URLSearchParams(window.location.search).get(
+        CLASSROOM_CONSTANTS.RELAY.URL_PARAM,
+      );
+      confirmedRelayUrl = fromUrl ? confirmRelayFromLink(fromUrl) : null;
+    }
+    return confirmedRelayUrl;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Classrooms this browser joined as a student, newest first. The profile
+ * page looks up grades and feedback in them. Only Firebase classrooms are
+ * remembered; entries that name a relay (stored by earlier versions) are
+ * left out so the profile page never connects to a relay on its own.
+ * @returns {Array<Object>} classroomCode, classroomName, studentId and
+ *   joinedAt per classroom
+ */
+export function getRecentClassrooms() {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(CLASSROOM_CONSTANTS.STORAGE_KEYS.RECENT_CLASSROOMS),
+    );
+    return Array.isArray(stored)
+      ? stored.filter((entry) => entry && !entry.relayUrl)
+      : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Remember a joined Firebase classroom, replacing an earlier entry for its
+ * code. Relay classrooms are not remembered: the relay was confirmed for
+ * one visit only (see getClassroomRelayUrl()).
+ * @param {Object} classroom - Joined classroom with classroomCode and
+ *   classroomName
+ * @param {string} studentId - Student's Firebase UID
+ */
+export function rememberRecentClassroom(classroom, studentId) {
+  const entry = {
+    classroomCode: classroom.classroomCode,
+    classroomName: classroom.classroomName || classroom.classroomCode,
+    studentId,
+    joinedAt: Date.now(),
+  };
+  const recent = getRecentClassrooms().filter(
+    (item) => item.classroomCode !== entry.classroomCode,
+  );
+  try {
+    localStorage.setItem(
+      CLASSROOM_CONSTANTS.STORAGE_KEYS.RECENT_CLASSROOMS,
+      JSON.stringify(
+        [entry, ...recent].slice(
+          0,
+          CLASSROOM_CONSTANTS.GRADING.MAX_RECENT_CLASSROOMS,
+        ),
+      ),
+    );
+  } catch (error) {
+    logger.warn("ClassroomUtils", "Failed to store recent classroom", error);
+  }
+}
+
 /**
  * Log classroom event for analytics
  * @param {string} eventType - Type of classroom event
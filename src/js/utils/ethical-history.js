@@ -0,0 +1,132 @@
+/**
+ * Ethical profile history
+ * Replays a user's stored scenario completions in the order they were
+ * played, so the profile page can show the cumulative radar after any
+ * scenario, compare the earliest choices with the most recent ones and
+ * point out the axes where the user's stance moved most.
+ * @module EthicalHistory
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import {
+  AXIS_DEFINITIONS,
+  ETHICAL_AXES,
+  aggregateImpacts,
+  calculateCumulativeScores,
+  impactToDisplayScore,
+} from "../data/ethical-scoring.js";
+import { getCompletionImpact } from "./scenario-recommender.js";
+
+// Most choices in each of the early and recent windows
+const COMPARISON_WINDOW = 5;
+
+// Change in mean raw impact (-2..+2) that counts as a shift in stance
+export const SHIFT_THRESHOLD = 0.5;
+
+/**
+ * When a completion was recorded
+ * @param {Object} completion - Record from DataHandler.getScenarioCompletions()
+ * @returns {number|null} Milliseconds since the epoch
+ */
+export function getCompletionTime(completion) {
+  const time = Date.parse(completion?.timestamp || completion?.savedAt);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Replay completions into a timeline, oldest first. Completions without an
+ * impact are left out because they do not move the profile.
+ * @param {Array<Object>} completions - Records from
+ *   DataHandler.getScenarioCompletions()
+ * @returns {Array<Object>} Steps with index, categoryId, scenarioId, title,
+ *   time, impact, and the cumulative average impact and display scores
+ *   after that step
+ */
+export function buildProfileTimeline(completions = []) {
+  const entries = completions
+    .map((completion, order) => ({
+      completion,
+      order,
+      time: getCompletionTime(completion),
+      impact: getCompletionImpact(completion),
+    }))
+    .filter(
+      ({ completion, impact }) =>
+        impact && completion.categoryId && completion.scenarioId,
+    )
+    // Storage order is play order; timestamps only correct records that
+    // were synced in late
+    .sort((a, b) =>
+      a.time !== null && b.time !== null && a.time !== b.time
+        ? a.time - b.time
+        : a.order - b.order,
+    );
+
+  const totals = {};
+  ETHICAL_AXES.forEach((axis) => {
+    totals[axis] = 0;
+  });
+
+  return entries.map(({ completion, time, impact }, index) => {
+    const average = {};
+    const scores = {};
+    ETHICAL_AXES.forEach((axis) => {
+      totals[axis] += impact[axis];
+      average[axis] = totals[axis] / (index + 1);
+      scores[axis] = impactToDisplayScore(average[axis]);
+    });
+
+    return {
+      index,
+      categoryId: completion.categoryId,
+      scenarioId: completion.scenarioId,
+      title: completion.scenarioData?.title || completion.scenarioId,
+      time,
+      impact,
+      average,
+      scores,
+    };
+  });
+}
+
+/**
+ * Compare the earliest and the most recent choices of a timeline. Both
+ * windows hold up to five choices and never overlap.
+ * @param {Array<Object>} timeline - Result of buildProfileTimeline()
+ * @param {Object} [options]
+ * @param {number} [options.windowSize=5] - Most choices per window
+ * @returns {Object|null} early and recent ({count, average, scores}) and
+ *   shifts by axis ({axis, label, early, recent, change, notable}), largest
+ *   first; null with fewer than two choices
+ */
+export function compareEarlyAndRecent(timeline = [], options = {}) {
+  const { windowSize = COMPARISON_WINDOW } = options;
+  if (timeline.length < 2) return null;
+
+  const size = Math.max(
+    1,
+    Math.min(windowSize, Math.floor(timeline.length / 2)),
+  );
+  const summarize = (steps) => {
+    const impacts = steps.map((step) => step.impact);
+    const { average, count } = aggregateImpacts(impacts);
+    return { count, average, scores: calculateCumulativeScores(impacts) };
+  };
+
+  const early = summarize(timeline.slice(0, size));
+  const recent = summarize(timeline.slice(-size));
+  const shifts = ETHICAL_AXES.map((axis) => {
+    const change = recent.average[axis] - early.average[axis];
+    return {
+      axis,
+      label: AXIS_DEFINITIONS[axis].label,
+      early: early.average[axis],
+      recent: recent.average[axis],
+      change,
+      notable: Math.abs(change) >= SHIFT_THRESHOLD,
+    };
+  }).sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+  return { early, recent, shifts };
+}
@@ -0,0 +1,411 @@
+/**
+ * Hiring fairness model
+ * Backs the "Algorithmic Bias in Hiring" simulation (simulation-info.js,
+ * "bias-fairness"). Generates a reproducible pool of synthetic candidates
+ * from two demographic groups, scores them with a weighted model whose
+ * weights and thresholds students adjust, and measures the outcome with
+ * three fairness metrics: demographic parity, equal opportunity and
+ * predictive parity.
+ *
+ * Every candidate has a hidden ability that decides whether they are
+ * qualified. The data source decides how faithfully the observable features
+ * reflect that ability for each group, which is where bias enters.
+ * @module HiringFairness
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import { ETHICAL_AXES } from "../data/ethical-scoring.js";
+
+// Simulation ID of the sandbox in simulation-info.js
+export const FAIRNESS_SIMULATION_ID = "bias-fairness";
+
+// Scenarios about biased hiring systems whose pre-launch modal offers the
+// sandbox
+export const FAIRNESS_SCENARIO_IDS = [
+  "algorithmic-bias-discovery",
+  "moral-drift-training",
+];
+
+export const GROUPS = {
+  A: { id: "A", label: "Group A" },
+  B: { id: "B", label: "Group B" },
+};
+
+/**
+ * Observable candidate features, all scaled 0..1. Features with direction
+ * -1 count against a candidate, so the model scores them inverted.
+ */
+export const HIRING_FEATURES = {
+  experience: {
+    label: "Years of experience",
+    direction: 1,
+  },
+  skillsTest: {
+    label: "Skills test score",
+    direction: 1,
+  },
+  education: {
+    label: "Education prestige",
+    direction: 1,
+  },
+  referral: {
+    label: "Employee referral",
+    direction: 1,
+    personal: true,
+  },
+  careerGap: {
+    label: "Career gap",
+    direction: -1,
+    personal: true,
+  },
+};
+
+/**
+ * Where the training candidates come from. `groupShare` is the share of
+ * Group B in the pool; `offsets` shift Group B's features away from what
+ * their ability would predict.
+ */
+export const DATA_SOURCES = {
+  historical: {
+    label: "Past hiring records",
+    description:
+      "Ten years of the company's own applicants. Group B is underrepresented and was rarely referred.",
+    groupShare: 0.3,
+    offsets: {
+      experience: -0.12,
+      education: -0.1,
+      referral: -0.3,
+      careerGap: 0.25,
+    },
+  },
+  network: {
+    label: "Professional network profiles",
+    description:
+      "Profiles scraped from a professional network, where Group B members have smaller networks.",
+    groupShare: 0.4,
+    offsets: {
+      education: -0.05,
+      referral: -0.35,
+    },
+  },
+  balanced: {
+    label: "Balanced skills assessment",
+    description:
+      "A new applicant pool with equal group sizes, recruited through a standardized assessment.",
+    groupShare: 0.5,
+    offsets: {},
+  },
+};
+
+export const DEFAULT_SETTINGS = {
+  seed: 2025,
+  count: 200,
+  dataSource: "historical",
+  weights: {
+    experience: 30,
+    skillsTest: 30,
+    education: 20,
+    referral: 15,
+    careerGap: 5,
+  },
+  threshold: 0.55,
+  // Per-group thresholds; null applies `threshold` to both groups
+  groupThresholds: null,
+};
+
+// Ability a candidate needs to do well in the job
+export const QUALIFIED_ABILITY = 0.55;
+
+// Largest metric gaps that still count as fair
+export const FAIRNESS_TOLERANCE = {
+  DISPARATE_IMPACT_RATIO: 0.8, // Four-fifths rule
+  EQUAL_OPPORTUNITY: 0.1,
+  PREDICTIVE_PARITY: 0.1,
+};
+
+// Fairness impact by the number of metrics within tolerance
+const FAIRNESS_IMPACT = [-2, -1, 1, 2];
+
+const ABILITY_MEAN = 0.5;
+const ABILITY_SPREAD = 0.18;
+const FEATURE_NOISE = 0.12;
+const CAREER_GAP_RATE = 0.15;
+
+function clamp(value, min = 0, max = 1) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value, places = 3) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? numerator / denominator : null;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32), so a seed always
+ * produces the same candidate pool
+ * @param {number} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Generate a pool of synthetic candidates
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Same seed and source, same pool
+ * @param {number} [options.count] - Number of candidates
+ * @param {string} [options.dataSource] - Key of DATA_SOURCES
+ * @returns {Array<Object>} id, group, ability, qualified and features
+ */
+export function generateCandidates(options = {}) {
+  const {
+    seed = DEFAULT_SETTINGS.seed,
+    count = DEFAULT_SETTINGS.count,
+    dataSource = DEFAULT_SETTINGS.dataSource,
+  } = options;
+  const source = DATA_SOURCES[dataSource] || DATA_SOURCES.balanced;
+  const random = createRandom(seed);
+
+  return Array.from({ length: count }, (_, index) => {
+    const group = random() < source.groupShare ? GROUPS.B.id : GROUPS.A.id;
+    const offset = (feature) =>
+      group === GROUPS.B.id ? source.offsets[feature] || 0 : 0;
+    const ability = clamp(ABILITY_MEAN + gaussian(random) * ABILITY_SPREAD);
+    const measure = (loading) =>
+      ability * loading + (1 - loading) * random() + gaussian(random) * 0.05;
+
+    return {
+      id: `candidate-${index + 1}`,
+      group,
+      ability: round(ability),
+      qualified: ability >= QUALIFIED_ABILITY,
+      features: {
+        experience: round(clamp(measure(0.6) + offset("experience"))),
+        skillsTest: round(
+          clamp(
+            ability + gaussian(random) * FEATURE_NOISE + offset("skillsTest"),
+          ),
+        ),
+        education: round(clamp(measure(0.4) + offset("education"))),
+        referral:
+          random() < clamp(0.2 + ability * 0.4 + offset("referral")) ? 1 : 0,
+        careerGap:
+          random() < clamp(CAREER_GAP_RATE + offset("careerGap")) ? 1 : 0,
+      },
+    };
+  });
+}
+
+/**
+ * Score a candidate as the weighted average of their features
+ * @param {Object} candidate - From generateCandidates()
+ * @param {Object} weights - Weight per HIRING_FEATURES key, any scale
+ * @returns {number} Score 0..1
+ */
+export function scoreCandidate(candidate, weights) {
+  let total = 0;
+  let weighted = 0;
+  Object.entries(HIRING_FEATURES).forEach(([feature, { direction }]) => {
+    const weight = Math.max(0, Number(weights?.[feature]) || 0);
+    const value = candidate.features[feature];
+    total += weight;
+    weighted += weight * (direction < 0 ? 1 - value : value);
+  });
+  return total ? round(weighted / total) : 0;
+}
+
+/**
+ * @param {Object} settings - weights, threshold and groupThresholds
+ * @param {string} group - Key of GROUPS
+ * @returns {number} Hiring threshold for the group
+ */
+export function getThreshold(settings, group) {
+  return settings.groupThresholds?.[group] ?? settings.threshold;
+}
+
+/**
+ * Outcome counts and rates of a set of scored candidates
+ * @private
+ */
+function summarizeOutcomes(scored) {
+  const count = scored.length;
+  const selected = scored.filter((entry) => entry.hired);
+  const qualified = scored.filter((entry) => entry.qualified);
+  const truePositives = selected.filter((entry) => entry.qualified).length;
+  const correct = scored.filter(
+    (entry) => entry.hired === entry.qualified,
+  ).length;
+
+  return {
+    count,
+    selected: selected.length,
+    qualified: qualified.length,
+    truePositives,
+    // Demographic parity compares these
+    selectionRate: ratio(selected.length, count),
+    // Equal opportunity: qualified candidates who were hired
+    truePositiveRate: ratio(truePositives, qualified.length),
+    // Predictive parity: hired candidates who were qualified
+    precision: ratio(truePositives, selected.length),
+    accuracy: ratio(correct, count),
+  };
+}
+
+/**
+ * Compare a rate between the groups
+ * @private
+ */
+function compareRates(groups, key) {
+  const a = groups[GROUPS.A.id][key];
+  const b = groups[GROUPS.B.id][key];
+  if (a === null || b === null) {
+    return { groupA: a, groupB: b, difference: null, ratio: null };
+  }
+  return {
+    groupA: round(a),
+    groupB: round(b),
+    difference: round(Math.abs(a - b)),
+    ratio: Math.max(a, b) ? round(Math.min(a, b) / Math.max(a, b)) : 1,
+  };
+}
+
+/**
+ * Run the scoring model over a candidate pool
+ * @param {Array<Object>} candidates - From generateCandidates()
+ * @param {Object} settings - weights, threshold and groupThresholds
+ * @returns {Object} candidates (with score and hired), overall and groups
+ *   (count, selected, qualified, truePositives, selectionRate,
+ *   truePositiveRate, precision, accuracy) and metrics (demographicParity,
+ *   equalOpportunity, predictiveParity; each groupA, groupB, difference,
+ *   ratio and fair)
+ */
+export function evaluateModel(candidates, settings) {
+  const scored = candidates.map((candidate) => {
+    const score = scoreCandidate(candidate, settings.weights);
+    return {
+      ...candidate,
+      score,
+      hired: score >= getThreshold(settings, candidate.group),
+    };
+  });
+
+  const groups = Object.fromEntries(
+    Object.keys(GROUPS).map((group) => [
+      group,
+      summarizeOutcomes(scored.filter((entry) => entry.group === group)),
+    ]),
+  );
+
+  const demographicParity = compareRates(groups, "selectionRate");
+  const equalOpportunity = compareRates(groups, "truePositiveRate");
+  const predictiveParity = compareRates(groups, "precision");
+
+  return {
+    candidates: scored,
+    overall: summarizeOutcomes(scored),
+    groups,
+    metrics: {
+      demographicParity: {
+        ...demographicParity,
+        fair:
+          demographicParity.ratio !== null &&
+          demographicParity.ratio >= FAIRNESS_TOLERANCE.DISPARATE_IMPACT_RATIO,
+      },
+      equalOpportunity: {
+        ...equalOpportunity,
+        fair:
+          equalOpportunity.difference !== null &&
+          equalOpportunity.difference <= FAIRNESS_TOLERANCE.EQUAL_OPPORTUNITY,
+      },
+      predictiveParity: {
+        ...predictiveParity,
+        fair:
+          predictiveParity.difference !== null &&
+          predictiveParity.difference <= FAIRNESS_TOLERANCE.PREDICTIVE_PARITY,
+      },
+    },
+  };
+}
+
+/**
+ * Map a model's outcome onto the eight ethical axes, on the raw -2..+2
+ * impact scale used by scenario options. Axes the sandbox says nothing
+ * about stay at 0.
+ * - fairness: how many of the three metrics are within tolerance
+ * - beneficence: how well the model tells qualified candidates apart
+ * - transparency: fewer features make a decision easier to explain
+ * - privacy: weight put on referrals and career gaps
+ * - proportionality: hiring about as many people as are qualified
+ * - accountability: separate group thresholds are an explicit,
+ *   reviewable decision
+ * @param {Object} evaluation - Result of evaluateModel()
+ * @param {Object} settings - Settings the model ran with
+ * @returns {Object} Raw impact by axis
+ */
+export function evaluationToImpact(evaluation, settings) {
+  const impact = Object.fromEntries(ETHICAL_AXES.map((axis) => [axis, 0]));
+  const { metrics, overall } = evaluation;
+
+  const fairCount = Object.values(metrics).filter(
+    (metric) => metric.fair,
+  ).length;
+  impact.fairness = FAIRNESS_IMPACT[fairCount];
+
+  impact.beneficence = clamp(((overall.accuracy ?? 0.5) - 0.65) * 10, -2, 2);
+
+  const weights = Object.keys(HIRING_FEATURES).map((feature) =>
+    Math.max(0, Number(settings.weights?.[feature]) || 0),
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const activeFeatures = weights.filter((weight) => weight > 0).length;
+  impact.transparency = clamp(3 - activeFeatures, -2, 2);
+
+  const personalWeight = Object.entries(HIRING_FEATURES)
+    .filter(([, feature]) => feature.personal)
+    .reduce(
+      (sum, [feature]) =>
+        sum + Math.max(0, Number(settings.weights?.[feature]) || 0),
+      0,
+    );
+  impact.privacy = clamp(
+    1 - ratio(personalWeight, totalWeight || 1) * 10,
+    -2,
+    2,
+  );
+
+  impact.proportionality = clamp(
+    2 -
+      ratio(Math.abs(overall.selected - overall.qualified), overall.count) * 10,
+    -2,
+    2,
+  );
+
+  if (settings.groupThresholds) impact.accountability = 1;
+
+  return Object.fromEntries(
+    Object.entries(impact).map(([axis, value]) => [
+      axis,
+      Math.round(value) || 0,
+    ]),
+  );
+}
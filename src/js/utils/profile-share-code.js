@@ -0,0 +1,137 @@
+/**
+ * Profile share codes
+ * Encodes a user's ethical profile as a short code that friends or a class
+ * can paste to overlay it on their own profile radar. A code holds only the
+ * average raw impact on each of the eight axes, rounded to quarter steps:
+ * no name, no user ID and no individual choices.
+ *
+ * Format: EP1-XXXX-XXXX-C. "EP1" is the prefix and format version, the eight
+ * characters are the axes in ETHICAL_AXES order and C is a checksum that
+ * catches typos. Characters come from Crockford's base32 alphabet, so codes
+ * are case-insensitive and O/I/L are read as 0/1/1.
+ * @module ProfileShareCode
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import {
+  ETHICAL_AXES,
+  IMPACT_SCALE,
+  impactToDisplayScore,
+} from "../data/ethical-scoring.js";
+
+const CODE_PREFIX = "EP";
+const CODE_VERSION = "1";
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+// Averages are rounded to quarter steps: -2..+2 becomes levels 0..16
+const STEPS_PER_POINT = 4;
+const MAX_LEVEL = (IMPACT_SCALE.MAX - IMPACT_SCALE.MIN) * STEPS_PER_POINT;
+
+// Prime modulus so swapped characters change the checksum
+const CHECKSUM_MODULUS = 31;
+
+// With fewer choices the average would give away the choices themselves
+export const MIN_SHARE_CHOICES = 3;
+
+function getChecksum(levels) {
+  const sum = levels.reduce((total, level, index) => {
+    return total + level * (index + 1);
+  }, 0);
+  return ALPHABET[sum % CHECKSUM_MODULUS];
+}
+
+/**
+ * Create a share code from average raw impacts
+ * @param {Object} average - Mean raw impact (-2..+2) keyed by axis, e.g. the
+ *   last step of buildProfileTimeline()
+ * @param {number} choiceCount - Number of choices the average covers
+ * @returns {string|null} Code, or null with fewer than MIN_SHARE_CHOICES
+ *   choices
+ */
+export function encodeProfileShareCode(average = {}, choiceCount = 0) {
+  if (choiceCount < MIN_SHARE_CHOICES) return null;
+
+  const levels = ETHICAL_AXES.map((axis) => {
+    const value = Number(average[axis]);
+    const level = Math.round(
+      ((Number.isFinite(value) ? value : 0) - IMPACT_SCALE.MIN) *
+        STEPS_PER_POINT,
+    );
+    return Math.max(0, Math.min(MAX_LEVEL, level));
+  });
+  const body = levels.map((level) => ALPHABET[level]).join("");
+
+  return `${CODE_PREFIX}${CODE_VERSION}-${body.slice(0, 4)}-${body.slice(4)}-${getChecksum(levels)}`;
+}
+
+/**
+ * Read a share code
+ * @param {string} code - Code as typed or pasted
+ * @returns {Object} Validation result with isValid and message, plus code
+ *   (in canonical form), average (raw impact by axis) and scores (display
+ *   scores by axis) when valid
+ */
+export function decodeProfileShareCode(code) {
+  if (!code || typeof code !== "string") {
+    return { isValid: false, message: "Enter a share code" };
+  }
+
+  const normalized = code
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+
+  if (!normalized.startsWith(CODE_PREFIX)) {
+    return {
+      isValid: false,
+      message: `Share codes start with ${CODE_PREFIX}${CODE_VERSION}-`,
+    };
+  }
+
+  const version = normalized.charAt(CODE_PREFIX.length);
+  if (version !== CODE_VERSION) {
+    return {
+      isValid: false,
+      message: "This share code comes from a newer version of SimulateAI",
+    };
+  }
+
+  const characters = normalized.slice(CODE_PREFIX.length + 1).split("");
+  if (characters.length !== ETHICAL_AXES.length + 1) {
+    return {
+      isValid: false,
+      message: "Share codes have 9 characters after the prefix",
+    };
+  }
+
+  const levels = characters
+    .slice(0, ETHICAL_AXES.length)
+    .map((character) => ALPHABET.indexOf(character));
+  if (
+    levels.some((level) => level < 0 || level > MAX_LEVEL) ||
+    getChecksum(levels) !== characters[ETHICAL_AXES.length]
+  ) {
+    return {
+      isValid: false,
+      message: "This share code isn't valid. Check it for typos.",
+    };
+  }
+
+  const average = {};
+  const scores = {};
+  ETHICAL_AXES.forEach((axis, index) => {
+    average[axis] = levels[index] / STEPS_PER_POINT + IMPACT_SCALE.MIN;
+    scores[axis] = impactToDisplayScore(average[axis]);
+  });
+
+  const body = characters.join("");
+  return {
+    isValid: true,
+    message: "Share code is valid",
+    code: `${CODE_PREFIX}${CODE_VERSION}-${body.slice(0, 4)}-${body.slice(4, 8)}-${body.slice(8)}`,
+    average,
+    scores,
+  };
+}
@@ -226,11 +226,19 @@ export class ScenarioBrowserIntegration {
   }
 
   /**
-   * Navigate to learning lab with SimulateAI context
+   * Open the learning lab of the scenario's category
    */
-  navigateToLearningLab(scenarioId) {
-    const url = `learning-lab.html?scenario=${scenarioId}&source=scenario-browser&via=simulateai`;
-    window.location.href = url;
+  async navigateToLearningLab(scenarioId) {
+    try {
+      const { default: LearningLabPlayer } = await import(
+        "../components/learning-lab-player.js"
+      );
+      const learningLabPlayer = new LearningLabPlayer(this.app);
+      return await learningLabPlayer.openForScenario(scenarioId);
+    } catch (error) {
+      console.error("❌ ScenarioBrowserIntegration: Learning lab error", error);
+      return false;
+    }
   }
 
   /**
@@ -0,0 +1,260 @@
+/**
+ * Scenario recommender
+ * Builds an ethical profile from a user's completed scenarios and suggests
+ * what to play next: scenarios whose options favor axes the user has
+ * weighed least, philosophical approaches they have not met yet, and
+ * categories one or two scenarios short of their next badge tier. Every
+ * recommendation carries a short explanation of why it was picked.
+ * @module ScenarioRecommender
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+import { ETHICAL_CATEGORIES } from "../../data/categories.js";
+import {
+  AXIS_DEFINITIONS,
+  ETHICAL_AXES,
+  aggregateImpacts,
+  calculateCumulativeScores,
+  normalizeImpact,
+} from "../data/ethical-scoring.js";
+import { getNextBadgeTier } from "../data/badge-config.js";
+
+// Axes with the lowest mean impact count as under-weighted
+const UNDERWEIGHTED_AXIS_COUNT = 3;
+
+// An option "champions" an axis when it scores at least this much on it
+const CHAMPION_IMPACT = 2;
+
+// Categories at most this many scenarios from their next badge tier
+const BADGE_NEAR_REMAINING = 2;
+
+// Reason type -> weight when ranking candidates. The strongest reason of a
+// scenario is the one shown to the user.
+export const RECOMMENDATION_REASONS = {
+  AXIS: { type: "axis", weight: 3 },
+  APPROACH: { type: "approach", weight: 2 },
+  BADGE: { type: "badge", weight: 1.5 },
+  CATEGORY: { type: "category", weight: 1 },
+};
+
+const DEFAULT_LIMIT = 3;
+
+function formatApproach(approach) {
+  return approach.replace(/[-_]/g, " ");
+}
+
+/**
+ * Raw impact of a stored completion: the summed impact of the path through
+ * a branching scenario, or the chosen option's impact
+ * @param {Object} completion - Record from DataHandler.getScenarioCompletions()
+ * @returns {Object|null} Normalized raw impact
+ */
+export function getCompletionImpact(completion) {
+  const impact =
+    completion?.pathImpact ||
+    completion?.selectedOption?.impact ||
+    completion?.option?.impact;
+  return impact ? normalizeImpact(impact) : null;
+}
+
+/**
+ * Build an ethical profile from completed scenarios
+ * @param {Array<Object>} completions - Records with categoryId, scenarioId
+ *   and pathImpact or selectedOption.impact
+ * @param {Object} [categoryCounts] - Category ID -> completed scenario count
+ *   used for badge progress; counted from completions when omitted
+ * @returns {Object} completedScenarios (Set), categoryCounts, choiceCount,
+ *   averageImpact and scores by axis, underweightedAxes (weakest first) and
+ *   exploredApproaches (Set)
+ */
+export function buildEthicalProfile(completions = [], categoryCounts = null) {
+  const completedScenarios = new Set();
+  const completedByCategory = {};
+  const impacts = [];
+
+  completions.forEach((completion) => {
+    const { categoryId, scenarioId } = completion || {};
+    if (!categoryId || !scenarioId) return;
+
+    completedScenarios.add(scenarioId);
+    if (!completedByCategory[categoryId]) {
+      completedByCategory[categoryId] = new Set();
+    }
+    completedByCategory[categoryId].add(scenarioId);
+
+    const impact = getCompletionImpact(completion);
+    if (impact) impacts.push(impact);
+  });
+
+  const { average } = aggregateImpacts(impacts);
+  const underweightedAxes = impacts.length
+    ? [...ETHICAL_AXES]
+        .sort((a, b) => average[a] - average[b])
+        .slice(0, UNDERWEIGHTED_AXIS_COUNT)
+    : [];
+
+  const exploredApproaches = new Set();
+  Object.entries(completedByCategory).forEach(([categoryId, scenarioIds]) => {
+    const category = ETHICAL_CATEGORIES[categoryId];
+    (category?.philosophicalApproaches || []).forEach((approach) =>
+      exploredApproaches.add(approach),
+    );
+    (category?.scenarios || [])
+      .filter((card) => scenarioIds.has(card.id) && card.philosophicalLeaning)
+      .forEach((card) => exploredApproaches.add(card.philosophicalLeaning));
+  });
+
+  return {
+    completedScenarios,
+    categoryCounts:
+      categoryCounts ||
+      Object.fromEntries(
+        Object.entries(completedByCategory).map(([id, ids]) => [id, ids.size]),
+      ),
+    choiceCount: impacts.length,
+    averageImpact: average,
+    scores: calculateCumulativeScores(impacts),
+    underweightedAxes,
+    exploredApproaches,
+  };
+}
+
+/**
+ * Axes a scenario's options champion, from its root options and the
+ * options of any follow-up nodes
+ * @param {Object} scenario - Scenario from a scenario module
+ * @returns {Set<string>} Axis keys
+ */
+export function getChampionedAxes(scenario) {
+  const options = [
+    ...(scenario?.options || []),
+    ...Object.values(scenario?.nodes || {}).flatMap(
+      (node) => node?.options || [],
+    ),
+  ];
+  const axes = new Set();
+  options.forEach((option) => {
+    const impact = normalizeImpact(option.impact);
+    ETHICAL_AXES.filter((axis) => impact[axis] >= CHAMPION_IMPACT).forEach(
+      (axis) => axes.add(axis),
+    );
+  });
+  return axes;
+}
+
+/**
+ * Reasons to recommend one scenario card, strongest first
+ * @private
+ */
+function getReasons(profile, category, card, scenario) {
+  const reasons = [];
+
+  const championed = getChampionedAxes(scenario);
+  const axis = profile.underweightedAxes.find((key) => championed.has(key));
+  if (axis) {
+    const label = AXIS_DEFINITIONS[axis]?.label || axis;
+    reasons.push({
+      ...RECOMMENDATION_REASONS.AXIS,
+      axis,
+      // Challenging the weakest axis ranks above the second weakest
+      weight:
+        RECOMMENDATION_REASONS.AXIS.weight +
+        (UNDERWEIGHTED_AXIS_COUNT - profile.underweightedAxes.indexOf(axis)) /
+          UNDERWEIGHTED_AXIS_COUNT,
+      text: `Puts ${label} front and center, a value your choices have weighed least so far.`,
+    });
+  }
+
+  const approach = [
+    card.philosophicalLeaning,
+    ...(category.philosophicalApproaches || []),
+  ].find((value) => value && !profile.exploredApproaches.has(value));
+  if (approach) {
+    reasons.push({
+      ...RECOMMENDATION_REASONS.APPROACH,
+      approach,
+      text: `Explores a ${formatApproach(approach)} perspective you haven't tried yet.`,
+    });
+  }
+
+  const completed = profile.categoryCounts[category.id] || 0;
+  const nextTier = getNextBadgeTier(completed);
+  const remaining = nextTier ? nextTier.requirement - completed : null;
+  if (completed > 0 && remaining && remaining <= BADGE_NEAR_REMAINING) {
+    reasons.push({
+      ...RECOMMENDATION_REASONS.BADGE,
+      tier: nextTier.tier,
+      weight: RECOMMENDATION_REASONS.BADGE.weight + 1 / remaining,
+      text:
+        remaining === 1
+          ? `One more ${category.title} scenario earns your next badge.`
+          : `${remaining} more ${category.title} scenarios earn your next badge.`,
+    });
+  } else if (completed === 0) {
+    reasons.push({
+      ...RECOMMENDATION_REASONS.CATEGORY,
+      text: `Opens ${category.title}, a category you haven't explored yet.`,
+    });
+  }
+
+  return reasons.sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Rank scenarios for a profile. At most one scenario per category is
+ * returned so suggestions stay varied.
+ * @param {Object} profile - Result of buildEthicalProfile()
+ * @param {Object} scenariosByCategory - Category ID -> scenario ID ->
+ *   scenario, e.g. from scenarioRegistry.loadAllScenarios()
+ * @param {Object} [options]
+ * @param {number} [options.limit=3] - Maximum recommendations
+ * @param {Array<string>} [options.exclude] - Scenario IDs to leave out
+ * @returns {Array<Object>} categoryId, scenarioId, title, categoryTitle,
+ *   icon, score, reason ({type, text, ...}) and reasons
+ */
+export function recommendScenarios(
+  profile,
+  scenariosByCategory = {},
+  options = {},
+) {
+  const { limit = DEFAULT_LIMIT, exclude = [] } = options;
+  const excluded = new Set(exclude);
+  const candidates = [];
+
+  Object.values(ETHICAL_CATEGORIES).forEach((category) => {
+    (category.scenarios || []).forEach((card) => {
+      if (profile.completedScenarios.has(card.id) || excluded.has(card.id)) {
+        return;
+      }
+
+      // Only suggest scenarios that can be opened
+      const scenario = scenariosByCategory[category.id]?.[card.id];
+      if (!scenario) return;
+
+      const reasons = getReasons(profile, category, card, scenario);
+      if (reasons.length === 0) return;
+
+      candidates.push({
+        categoryId: category.id,
+        scenarioId: card.id,
+        title: card.title || scenario?.title || card.id,
+        categoryTitle: category.title,
+        icon: category.icon,
+        score: reasons.reduce((sum, reason) => sum + reason.weight, 0),
+        reason: reasons[0],
+        reasons,
+      });
+    });
+  });
+
+  const seenCategories = new Set();
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .filter((candidate) => {
+      if (seenCategories.has(candidate.categoryId)) return false;
+      seenCategories.add(candidate.categoryId);
+      return true;
+    })
+    .slice(0, limit);
+}
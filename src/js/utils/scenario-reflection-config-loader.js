@@ -154,6 +154,8 @@ function processScenarioReflectionConfig(config) {
           reflectionConfig.community?.statistics?.includeComparisons !== false,
         anonymizeData:
           reflectionConfig.community?.statistics?.anonymizeData !== false,
+        minimumResponses:
+          reflectionConfig.community?.statistics?.minimumResponses ?? 20,
       },
       insights: {
         generateDynamic:
@@ -318,6 +320,7 @@ function getFallbackConfig() {
         showPercentages: true,
         includeComparisons: true,
         anonymizeData: true,
+        minimumResponses: 20,
       },
       insights: {
         generateDynamic: true,
@@ -0,0 +1,403 @@
+/**
+ * Scenario search
+ * Full-text search over scenarios with an inverted index built at build time
+ * by vite-plugins/search-index.js. Documents are ranked with BM25 across
+ * boosted fields; terms are stemmed, the last query term matches as a prefix
+ * while typing and terms missing from the index fall back to the closest
+ * indexed terms, so small typos still find results.
+ * @module ScenarioSearch
+ * @author SimulateAI Development Team
+ * @since 1.80.0
+ */
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// Field -> BM25 boost. Field order is the field index used in postings.
+export const SEARCH_FIELDS = {
+  title: 3,
+  keywords: 2,
+  question: 1.5,
+  description: 1,
+  category: 0.75,
+  options: 0.5,
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Weight of a match that is not the exact query term
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHT = 0.6;
+
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+const TWO_EDIT_LENGTH = 8;
+const MIN_STEM_LENGTH = 3;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from has have how if in " +
+    "into is it its of on or should so than that the their them then there " +
+    "these they this to was were what when where which while who why will " +
+    "with would you your"
+  ).split(" "),
+);
+
+// Checked in order; the first suffix that leaves a long enough stem wins
+const SUFFIXES = [
+  ["ational", "ate"],
+  ["ization", "ize"],
+  ["ations", "ate"],
+  ["ation", "ate"],
+  ["ities", "ity"],
+  ["iness", "y"],
+  ["ments", ""],
+  ["ment", ""],
+  ["ness", ""],
+  ["ings", ""],
+  ["ing", ""],
+  ["ies", "y"],
+  ["ied", "y"],
+  ["ed", ""],
+  ["ly", ""],
+  ["es", ""],
+  ["s", ""],
+];
+
+// "es" is only a suffix after these endings ("boxes", "processes"); in
+// "values" or "machines" the "e" belongs to the word and only "s" goes
+const ES_PLURAL_STEM = /(x|ch|sh|ss|zz)$/;
+
+/**
+ * Reduce a word to a crude stem so "decisions", "decision" and
+ * "deciding" style variants share index terms. Not a full Porter stemmer;
+ * it only has to be consistent between indexing and querying.
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (word.length <= MIN_STEM_LENGTH || /\d/.test(word)) return word;
+  if (/(ss|us|is)$/.test(word)) return word;
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (word.endsWith(suffix)) {
+      const base = word.slice(0, -suffix.length) + replacement;
+      if (suffix === "es" && !ES_PLURAL_STEM.test(base)) continue;
+      if (base.length < MIN_STEM_LENGTH) return word;
+      // "planned" -> "plan", "running" -> "run"
+      return (suffix === "ed" || suffix === "ing") &&
+        /([^aeiouls])\1$/.test(base)
+        ? base.slice(0, -1)
+        : base;
+    }
+  }
+  return word;
+}
+
+/**
+ * Split text into lowercase words, without accents, stopwords or stemming
+ * @param {string} text
+ * @returns {Array<string>} Words in order
+ */
+export function splitWords(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOPWORDS.has(word));
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text
+ * @returns {Array<string>} Stemmed terms in order
+ */
+export function tokenize(text) {
+  return splitWords(text).map(stem);
+}
+
+/**
+ * Search document of a scenario, with text grouped by SEARCH_FIELDS
+ * @param {Object} category - Category from categories.js
+ * @param {Object} card - Scenario card from the category's scenarios list
+ * @param {Object} scenario - Full scenario from the category's scenario
+ *   module, or an empty object if it has none
+ * @returns {Object} id, categoryId and text by field
+ */
+export function createScenarioDocument(category, card, scenario = {}) {
+  const join = (...parts) => parts.flat().filter(Boolean).join(" ");
+
+  return {
+    id: card.id,
+    categoryId: category.id,
+    fields: {
+      title: join(card.title || scenario.title),
+      keywords: join(card.tags, card.searchKeywords, card.philosophicalLeaning),
+      question: join(scenario.ethicalQuestion),
+      description: join(card.description, scenario.dilemma),
+      category: join(
+        category.title,
+        category.tags,
+        category.searchKeywords,
+        category.philosophicalApproaches,
+        category.ethicalFrameworks,
+      ),
+      options: join(
+        (scenario.options || []).map((option) => [
+          option.text,
+          option.description,
+        ]),
+      ),
+    },
+  };
+}
+
+/**
+ * Build an inverted index. Postings are flat [doc, field, frequency, ...]
+ * triples so the generated module stays small.
+ * @param {Array<Object>} documents - Results of createScenarioDocument()
+ * @returns {Object} Serializable index: version, fields, docs
+ *   ([id, categoryId]), lengths (terms per field per doc) and terms
+ */
+export function buildSearchIndex(documents) {
+  const fields = Object.keys(SEARCH_FIELDS);
+  const terms = new Map();
+  const lengths = [];
+
+  documents.forEach((document, docIndex) => {
+    lengths.push(
+      fields.map((field, fieldIndex) => {
+        const counts = new Map();
+        const tokens = tokenize(document.fields[field]);
+        tokens.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+        counts.forEach((count, term) => {
+          if (!terms.has(term)) terms.set(term, []);
+          terms.get(term).push(docIndex, fieldIndex, count);
+        });
+        return tokens.length;
+      }),
+    );
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    fields,
+    docs: documents.map(({ id, categoryId }) => [id, categoryId]),
+    lengths,
+    terms: Object.fromEntries(
+      [...terms.entries()].sort(([a], [b]) => (a < b ? -1 : 1)),
+    ),
+  };
+}
+
+/**
+ * Precompute what rankScenarios() needs from a serialized index
+ * @param {Object} data - Result of buildSearchIndex()
+ * @returns {Object} Index with vocabulary, boosts, average field lengths
+ *   and document frequencies
+ */
+export function prepareSearchIndex(data) {
+  const averageLengths = data.fields.map((field, fieldIndex) => {
+    const total = data.lengths.reduce((sum, row) => sum + row[fieldIndex], 0);
+    return total / Math.max(1, data.docs.length) || 1;
+  });
+
+  // A Map, so terms like "constructor" never hit Object.prototype
+  const docFrequency = new Map();
+  Object.entries(data.terms).forEach(([term, postings]) => {
+    const docs = new Set();
+    for (let i = 0; i < postings.length; i += 3) docs.add(postings[i]);
+    docFrequency.set(term, docs.size);
+  });
+
+  return {
+    ...data,
+    vocabulary: Object.keys(data.terms),
+    boosts: data.fields.map((field) => SEARCH_FIELDS[field] ?? 1),
+    averageLengths,
+    docFrequency,
+  };
+}
+
+let indexPromise = null;
+
+/**
+ * Load the generated scenario index. The module is split into its own chunk
+ * and only fetched on first use.
+ * @returns {Promise<Object>} Prepared index
+ */
+export function loadSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = import("../data/search-index.js")
+      .then(({ SEARCH_INDEX }) => prepareSearchIndex(SEARCH_INDEX))
+      .catch((error) => {
+        indexPromise = null;
+        throw error;
+      });
+  }
+  return indexPromise;
+}
+
+/**
+ * Optimal string alignment distance, giving up once it exceeds max
+ * @private
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (
+        previousRow &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousRow[j - 2] + cost);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * Indexed terms a query word can match, with their weights
+ * @private
+ */
+function expandTerm(index, word, allowPrefix) {
+  const term = stem(word);
+  const expansions = new Map();
+  if (index.docFrequency.has(term)) expansions.set(term, 1);
+
+  if (allowPrefix && word.length >= MIN_PREFIX_LENGTH) {
+    index.vocabulary.forEach((candidate) => {
+      if (
+        !expansions.has(candidate) &&
+        (candidate.startsWith(term) || candidate.startsWith(word))
+      ) {
+        expansions.set(candidate, PREFIX_WEIGHT);
+      }
+    });
+  }
+
+  if (expansions.size === 0 && word.length >= MIN_FUZZY_LENGTH) {
+    const maxEdits = word.length >= TWO_EDIT_LENGTH ? 2 : 1;
+    index.vocabulary.forEach((candidate) => {
+      if (editDistance(term, candidate, maxEdits) <= maxEdits) {
+        expansions.set(candidate, FUZZY_WEIGHT);
+      }
+    });
+  }
+
+  return expansions;
+}
+
+/**
+ * Rank scenarios for a query. Every query word has to match a document,
+ * exactly, as a prefix (last word, with `prefix`) or within one or two
+ * edits when it is not in the index at all.
+ * @param {Object} index - Result of prepareSearchIndex() or loadSearchIndex()
+ * @param {string} query - User input
+ * @param {Object} [options]
+ * @param {boolean} [options.prefix=false] - Match the last word as a prefix
+ * @param {number} [options.limit] - Maximum results
+ * @param {string} [options.categoryId] - Only rank this category
+ * @returns {Array<{id: string, categoryId: string, score: number}>} Best first
+ */
+export function rankScenarios(index, query, options = {}) {
+  const { prefix = false, limit = Infinity, categoryId = null } = options;
+  const words = [...new Set(splitWords(query))];
+  if (!index || words.length === 0) return [];
+
+  const docCount = index.docs.length;
+  let scores = null;
+
+  words.forEach((word, position) => {
+    const expansions = expandTerm(
+      index,
+      word,
+      prefix && position === words.length - 1,
+    );
+    const wordScores = new Map();
+
+    expansions.forEach((weight, term) => {
+      const postings = index.terms[term];
+      const df = index.docFrequency.get(term);
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+      const termScores = new Map();
+
+      for (let i = 0; i < postings.length; i += 3) {
+        const [doc, field, frequency] = postings.slice(i, i + 3);
+        const lengthRatio =
+          index.lengths[doc][field] / index.averageLengths[field];
+        const saturated =
+          (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthRatio));
+        termScores.set(
+          doc,
+          (termScores.get(doc) || 0) + index.boosts[field] * saturated,
+        );
+      }
+
+      // A word counts once per document, through its best expansion
+      termScores.forEach((score, doc) => {
+        wordScores.set(
+          doc,
+          Math.max(wordScores.get(doc) || 0, idf * weight * score),
+        );
+      });
+    });
+
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, doc) => {
+        if (wordScores.has(doc)) combined.set(doc, score + wordScores.get(doc));
+      });
+      scores = combined;
+    }
+  });
+
+  return [...scores.entries()]
+    .map(([doc, score]) => ({
+      id: index.docs[doc][0],
+      categoryId: index.docs[doc][1],
+      score,
+    }))
+    .filter((result) => !categoryId || result.categoryId === categoryId)
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
+
+/**
+ * Keep the scenarios that match a query, best match first
+ * @param {Array<Object>} scenarios - Scenarios with an `id`
+ * @param {Object} index - Prepared index
+ * @param {string} query - User input
+ * @param {Object} [options] - rankScenarios() options
+ * @returns {Array<Object>} Matching scenarios in relevance order
+ */
+export function orderByRelevance(scenarios, index, query, options = {}) {
+  const ranks = new Map(
+    rankScenarios(index, query, options).map((result, rank) => [
+      result.id,
+      rank,
+    ]),
+  );
+  return scenarios
+    .filter((scenario) => ranks.has(scenario.id))
+    .sort((a, b) => ranks.get(a.id) - ranks.get(b.id));
+}
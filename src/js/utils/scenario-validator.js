@@ -8,18 +8,8 @@
 
 import logger from "./logger.js";
 
-// Import all scenario data files
-import trolleyProblemScenarios from "../data/scenarios/trolley-problem-scenarios.js";
-import simulationHypothesisScenarios from "../data/scenarios/simulation-hypothesis-scenarios.js";
-import experienceMachineScenarios from "../data/scenarios/experience-machine-scenarios.js";
-import shipOfTheseusScenarios from "../data/scenarios/ship-of-theseus-scenarios.js";
-import soritesParadoxScenarios from "../data/scenarios/sorites-paradox-scenarios.js";
-import moralLuckScenarios from "../data/scenarios/moral-luck-scenarios.js";
-import responsibilityBlameScenarios from "../data/scenarios/responsibility-blame-scenarios.js";
-import aiBlackBoxScenarios from "../data/scenarios/ai-black-box-scenarios.js";
-import automationOversightScenarios from "../data/scenarios/automation-oversight-scenarios.js";
-import consentSurveillanceScenarios from "../data/scenarios/consent-surveillance-scenarios.js";
-import simulationInfo from "../data/simulation-info.js";
+import scenarioRegistry from "../data/scenario-registry.js";
+import { SIMULATION_INFO as simulationInfo } from "../data/simulation-info.js";
 
 /**
  * Comprehensive Scenario Validator
@@ -27,18 +17,8 @@ import simulationInfo from "../data/simulation-info.js";
  */
 export class ScenarioValidator {
   constructor() {
-    this.scenarioFiles = {
-      "trolley-problem": trolleyProblemScenarios,
-      "simulation-hypothesis": simulationHypothesisScenarios,
-      "experience-machine": experienceMachineScenarios,
-      "ship-of-theseus": shipOfTheseusScenarios,
-      "sorites-paradox": soritesParadoxScenarios,
-      "moral-luck": moralLuckScenarios,
-      "responsibility-blame": responsibilityBlameScenarios,
-      "ai-black-box": aiBlackBoxScenarios,
-      "automation-oversight": automationOversightScenarios,
-      "consent-surveillance": consentSurveillanceScenarios,
-    };
+    // Category ID -> scenarios, loaded from the content manifest on first validation
+    this.scenarioFiles = null;
 
     this.simulationInfo = simulationInfo;
     this.validationResults = null;
@@ -54,6 +34,10 @@ export class ScenarioValidator {
         "Starting comprehensive scenario validation",
       );
 
+      if (!this.scenarioFiles) {
+        this.scenarioFiles = await scenarioRegistry.loadAllScenarios();
+      }
+
       const results = {
         totalScenarios: 0,
         totalCategories: Object.keys(this.scenarioFiles).length,
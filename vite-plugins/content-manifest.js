@@ -0,0 +1,166 @@
+/* global process */
+import fs from "fs";
+import path from "path";
+
+const SCENARIOS_DIR = "src/js/data/scenarios";
+const LEARNING_LABS_DIR = "src/data/learning-labs";
+const MANIFEST_PATH = "src/js/data/content-manifest.js";
+
+const SCENARIO_FILE_RE = /^([a-z0-9-]+)-scenarios\.js$/;
+const LEARNING_LAB_FILE_RE = /^([a-z0-9-]+)-lab\.json$/;
+
+/**
+ * Read the category ID of a learning lab file. Labs declare it as
+ * `categoryId`, either at the top level or inside a `learningLabs` array;
+ * the file name is the fallback.
+ */
+function readLabCategoryId(filePath, fallbackId) {
+  try {
+    const lab = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const entry = Array.isArray(lab.learningLabs) ? lab.learningLabs[0] : lab;
+    return entry?.categoryId || fallbackId;
+  } catch (error) {
+    console.warn(`⚠️ Could not read learning lab ${filePath}:`, error.message);
+    return fallbackId;
+  }
+}
+
+/**
+ * Discover scenario modules and learning labs
+ * @param {string} root - Project root
+ * @returns {{scenarios: Array<{categoryId, file}>, learningLabs: Array<{categoryId, file}>}}
+ */
+export function discoverContent(root = process.cwd()) {
+  const scenarioDir = path.join(root, SCENARIOS_DIR);
+  const labDir = path.join(root, LEARNING_LABS_DIR);
+
+  const scenarios = fs
+    .readdirSync(scenarioDir)
+    .filter((file) => SCENARIO_FILE_RE.test(file))
+    .sort()
+    .map((file) => ({
+      categoryId: file.match(SCENARIO_FILE_RE)[1],
+      file,
+    }));
+
+  const learningLabs = fs
+    .readdirSync(labDir)
+    .filter((file) => LEARNING_LAB_FILE_RE.test(file))
+    .sort()
+    .map((file) => ({
+      categoryId: readLabCategoryId(
+        path.join(labDir, file),
+        file.match(LEARNING_LAB_FILE_RE)[1],
+      ),
+      file,
+    }));
+
+  return { scenarios, learningLabs };
+}
+
+/**
+ * Generate the source of src/js/data/content-manifest.js
+ * @param {string} root - Project root
+ * @returns {string} Module source
+ */
+export function generateContentManifest(root = process.cwd()) {
+  const { scenarios, learningLabs } = discoverContent(root);
+  const manifestDir = path.dirname(path.join(root, MANIFEST_PATH));
+  const relativeImport = (dir, file) => {
+    const target = path
+      .relative(manifestDir, path.join(root, dir, file))
+      .split(path.sep)
+      .join("/");
+    return target.startsWith(".") ? target : `./${target}`;
+  };
+
+  const scenarioEntries = scenarios
+    .map(
+      ({ categoryId, file }) =>
+        `  "${categoryId}": () => import("${relativeImport(SCENARIOS_DIR, file)}"),`,
+    )
+    .join("\n");
+  const labEntries = learningLabs
+    .map(
+      ({ categoryId, file }) =>
+        `  "${categoryId}": () => import("${relativeImport(LEARNING_LABS_DIR, file)}?raw"),`,
+    )
+    .join("\n");
+
+  return `/**
+ * Content Manifest
+ *
+ * GENERATED FILE - do not edit by hand.
+ * Produced by vite-plugins/content-manifest.js from ${SCENARIOS_DIR}/*-scenarios.js
+ * and ${LEARNING_LABS_DIR}/*-lab.json. Regenerated on every Vite build and
+ * dev server start; run \`npm run content:manifest\` to refresh it manually.
+ * Query it through scenario-registry.js rather than importing it directly.
+ */
+
+// Category ID -> lazy scenario module loader
+export const SCENARIO_MODULES = {
+${scenarioEntries}
+};
+
+// Category ID -> lazy learning lab loader. Labs are imported as raw text
+// because vite.config.js lists JSON under assetsInclude.
+export const LEARNING_LAB_MODULES = {
+${labEntries}
+};
+`;
+}
+
+/**
+ * Write the manifest if its content changed
+ * @param {string} root - Project root
+ * @returns {boolean} True when the file was (re)written
+ */
+export function writeContentManifest(root = process.cwd()) {
+  const manifestPath = path.join(root, MANIFEST_PATH);
+  const source = generateContentManifest(root);
+  const current = fs.existsSync(manifestPath)
+    ? fs.readFileSync(manifestPath, "utf8")
+    : null;
+
+  if (current === source) return false;
+
+  fs.writeFileSync(manifestPath, source);
+  return true;
+}
+
+/**
+ * Vite plugin that keeps the content manifest in sync with the scenario
+ * modules and learning labs on disk, so category IDs are never listed by hand
+ */
+export function contentManifestPlugin() {
+  let root = process.cwd();
+
+  const regenerate = () => {
+    if (writeContentManifest(root)) {
+      console.log("✅ Content manifest regenerated");
+    }
+  };
+
+  return {
+    name: "content-manifest",
+    configResolved(config) {
+      root = config.root;
+    },
+    buildStart() {
+      regenerate();
+    },
+    configureServer(server) {
+      const watched = [SCENARIOS_DIR, LEARNING_LABS_DIR].map((dir) =>
+        path.join(root, dir),
+      );
+      const onChange = (file) => {
+        if (watched.some((dir) => file.startsWith(dir))) {
+          regenerate();
+        }
+      };
+      server.watcher.on("add", onChange);
+      server.watcher.on("unlink", onChange);
+      server.watcher.on("change", onChange);
+    },
+  };
+}
@@ -0,0 +1,146 @@
+/* global process */
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { discoverContent } from "./content-manifest.js";
+import {
+  buildSearchIndex,
+  createScenarioDocument,
+} from "../src/js/utils/scenario-search.js";
+
+const CATEGORIES_PATH = "src/data/categories.js";
+const SCENARIOS_DIR = "src/js/data/scenarios";
+const INDEX_PATH = "src/js/data/search-index.js";
+
+/**
+ * Import a content module fresh, so a dev server rebuild sees edits
+ */
+async function importFresh(filePath) {
+  const url = pathToFileURL(filePath).href;
+  return import(`${url}?t=${fs.statSync(filePath).mtimeMs}`);
+}
+
+/**
+ * Search documents for every scenario card in categories.js, joined with
+ * the full scenario from its category's scenario module where one exists
+ * @param {string} root - Project root
+ * @returns {Promise<Array<Object>>} Documents for buildSearchIndex()
+ */
+export async function collectSearchDocuments(root = process.cwd()) {
+  const { ETHICAL_CATEGORIES } = await importFresh(
+    path.join(root, CATEGORIES_PATH),
+  );
+
+  const scenarioModules = {};
+  for (const { categoryId, file } of discoverContent(root).scenarios) {
+    const module = await importFresh(path.join(root, SCENARIOS_DIR, file));
+    scenarioModules[categoryId] = module.default || {};
+  }
+
+  return Object.values(ETHICAL_CATEGORIES).flatMap((category) =>
+    (category.scenarios || []).map((card) =>
+      createScenarioDocument(
+        category,
+        card,
+        scenarioModules[category.id]?.[card.id],
+      ),
+    ),
+  );
+}
+
+/**
+ * Generate the source of src/js/data/search-index.js
+ * @param {string} root - Project root
+ * @returns {Promise<string>} Module source
+ */
+export async function generateSearchIndex(root = process.cwd()) {
+  const { terms, ...index } = buildSearchIndex(
+    await collectSearchDocuments(root),
+  );
+
+  // One term per line keeps diffs of content edits readable
+  const termLines = Object.entries(terms)
+    .map(([term, postings]) => `    ${JSON.stringify(term)}: [${postings}],`)
+    .join("\n");
+
+  return `/**
+ * Scenario Search Index
+ *
+ * GENERATED FILE - do not edit by hand.
+ * Produced by vite-plugins/search-index.js from ${CATEGORIES_PATH} and
+ * ${SCENARIOS_DIR}/*-scenarios.js. Regenerated on every Vite build and dev
+ * server start; run \`npm run search:index\` to refresh it manually.
+ * Query it through src/js/utils/scenario-search.js.
+ */
+
+export const SEARCH_INDEX = {
+  version: ${index.version},
+  fields: ${JSON.stringify(index.fields)},
+  docs: ${JSON.stringify(index.docs)},
+  lengths: ${JSON.stringify(index.lengths)},
+  terms: {
+${termLines}
+  },
+};
+`;
+}
+
+/**
+ * Write the index if its content changed
+ * @param {string} root - Project root
+ * @returns {Promise<boolean>} True when the file was (re)written
+ */
+export async function writeSearchIndex(root = process.cwd()) {
+  const indexPath = path.join(root, INDEX_PATH);
+  const source = await generateSearchIndex(root);
+  const current = fs.existsSync(indexPath)
+    ? fs.readFileSync(indexPath, "utf8")
+    : null;
+
+  if (current === source) return false;
+
+  fs.writeFileSync(indexPath, source);
+  return true;
+}
+
+/**
+ * Vite plugin that rebuilds the scenario search index from categories.js
+ * and the scenario modules whenever either changes
+ */
+export function searchIndexPlugin() {
+  let root = process.cwd();
+
+  const regenerate = async () => {
+    try {
+      if (await writeSearchIndex(root)) {
+        console.log("✅ Search index regenerated");
+      }
+    } catch (error) {
+      console.warn("⚠️ Could not regenerate search index:", error.message);
+    }
+  };
+
+  return {
+    name: "search-index",
+    configResolved(config) {
+      root = config.root;
+    },
+    async buildStart() {
+      await regenerate();
+    },
+    configureServer(server) {
+      const watched = [
+        path.join(root, SCENARIOS_DIR),
+        path.join(root, CATEGORIES_PATH),
+      ];
+      const onChange = (file) => {
+        if (watched.some((target) => file.startsWith(target))) {
+          regenerate();
+        }
+      };
+      server.watcher.on("add", onChange);
+      server.watcher.on("unlink", onChange);
+      server.watcher.on("change", onChange);
+    },
+  };
+}
@@ -17,6 +17,8 @@
 import { defineConfig } from "vite";
 import fs from "fs";
 import { injectFirebaseConfigPlugin } from "./vite-plugins/firebase-config-injection.js";
+import { contentManifestPlugin } from "./vite-plugins/content-manifest.js";
+import { searchIndexPlugin } from "./vite-plugins/search-index.js";
 
 export default defineConfig(({ mode }) => {
   // For custom domain (simulateai.io), always use root path
@@ -29,6 +31,10 @@ export default defineConfig(({ mode }) => {
     plugins: [
       // Inject Firebase config into service worker
       injectFirebaseConfigPlugin(),
+      // Discover scenario modules and learning labs
+      contentManifestPlugin(),
+      // Build the scenario search index
+      searchIndexPlugin(),
     ],
     build: {
       outDir: "dist",
@@ -51,6 +57,7 @@ export default defineConfig(({ mode }) => {
             moderation: "moderation.html",
             privacy: "privacy-notice.html",
             profile: "profile.html",
+            realWorldCases: "real-world-cases.html",
             research: "research-consent.html",
             terms: "terms-of-use.html",
             // Intentionally omit scenarios.html and any *-test.html from production builds